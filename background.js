@@ -8,6 +8,9 @@ const FREE_TIER_PATCH_SIZE_LIMIT = 40_000;
 import { CloudService } from './services/cloud-service.js';
 import { OllamaService } from './services/ollama-service.js';
 import { OpenRouterService } from './services/openrouter-service.js';
+import { OpenAICompatibleService } from './services/openai-compatible-service.js';
+import { AnthropicService } from './services/anthropic-service.js';
+import { AzureOpenAIService } from './services/azure-openai-service.js';
 import { isValidOrigin } from './utils/origin-validator.js';
 import './vendor/diff.min.js';
 import { azureDevOpsFetcher } from './services/azure-devops-fetcher.js';
@@ -16,8 +19,23 @@ import { AzureDevOpsAuthError } from './services/azure-devops-api.js';
 import { dbgLog, dbgWarn, dbgError } from './utils/logger.js';
 import { getThinkReviewAuthHeaders, EXTENSION_AUTH_TOKEN_KEY, isAuthExpiredError, handleUnauthorizedResponse, AuthExpiredError } from './utils/extension-auth.js';
 import { hasOpenRouterHostPermission } from './utils/openrouter-permissions.js';
+import { normalizeOpenAICompatibleBaseUrl, hasOpenAICompatibleHostPermission } from './utils/openai-compatible.js';
+import { hasAnthropicHostPermission } from './utils/anthropic.js';
+import { normalizeAzureOpenAIEndpoint, hasAzureOpenAIHostPermission } from './utils/azure-openai.js';
 import { assertSelfHostedGatewayReady } from './utils/enterprise-gateway.js';
+import { buildProviderChain, runProviderChain, getFallbackReason, PROVIDER_LABELS } from './utils/provider-fallback.js';
+import { readManagedPolicy, applyManagedProviderPolicy, resolveManagedProvider, isProviderAllowed, mergeManagedDomains } from './utils/managed-policy.js';
 import { fetchPatchContent } from './services/bitbucket-api.js';
+import { publishPullRequestComments } from './services/pr-comment-publisher.js';
+import { fetchGitHubPullRequestDiff } from './services/github-api.js';
+import { getGitHubToken, getGitHubApiOriginPattern } from './utils/github-tokens.js';
+import { fetchIncrementalDiff } from './services/incremental-diff.js';
+import { fetchReviewRulesFile } from './services/review-rules-fetcher.js';
+import { collectPrContext } from './services/pr-context-collector.js';
+import { fetchContextFiles } from './services/context-files-fetcher.js';
+import { runRepoTool } from './services/repo-tool-runner.js';
+import { getRepoToolNames, getRepoToolDefinitions } from './utils/repo-tools.js';
+import { addReviewHistoryEntry, listReviewHistory, getReviewHistoryEntry, clearReviewHistory } from './services/review-history-store.js';
 // Logger module will automatically initialize Honeybadger
 // Set uninstall URL to redirect users to feedback page
 chrome.runtime.setUninstallURL('https://thinkreview.dev/goodbye.html', () => {
@@ -173,6 +191,10 @@ async function handleGoogleSignIn() {
  */
 async function trackOllamaReview(patchContent, mrId, mrUrl, reviewData, model) {
   try {
+    if ((await readManagedPolicy()).disableAnalytics) {
+      return;
+    }
+
     // Get user email from storage
     const storageData = await new Promise((resolve) => {
       chrome.storage.local.get(['userData', 'user'], (result) => {
@@ -273,6 +295,476 @@ async function trackOllamaReview(patchContent, mrId, mrUrl, reviewData, model) {
   }
 }
 
+/** Providers whose reviews and chat answers can be streamed to the content script */
+const STREAMING_PROVIDERS = ['ollama', 'openrouter', 'openai-compatible', 'anthropic', 'azure-openai'];
+/** Port name used by content.js for streamed requests */
+const STREAM_PORT_NAME = 'thinkreview-stream';
+/** Storage keys read for each review or chat request */
+const PROVIDER_SETTINGS_KEYS = ['aiProvider', 'ollamaConfig', 'openrouterConfig', 'openaiCompatibleConfig', 'anthropicConfig', 'azureOpenAIConfig', 'providerFallback'];
+
+/**
+ * Provider settings for a review or chat request with the managed policy applied: a provider
+ * the policy does not allow is replaced by the policy default and left out of the fallback chain.
+ * @returns {Promise<Object>} PROVIDER_SETTINGS_KEYS
+ */
+async function readProviderSettings() {
+  const [stored, policy] = await Promise.all([chrome.storage.local.get(PROVIDER_SETTINGS_KEYS), readManagedPolicy()]);
+  const settings = applyManagedProviderPolicy(stored, policy);
+  if (stored.aiProvider && settings.aiProvider !== stored.aiProvider) {
+    dbgLog(`Provider ${stored.aiProvider} is not allowed by the managed policy, using ${settings.aiProvider}`);
+  }
+  return settings;
+}
+
+/** Bring-your-own-key and self-run API providers: service, name used in logs, and error suggestion */
+const API_PROVIDERS = {
+  openrouter: {
+    service: OpenRouterService,
+    label: 'OpenRouter',
+    suggestion: 'Check your OpenRouter API key and selected model in extension settings.'
+  },
+  'openai-compatible': {
+    service: OpenAICompatibleService,
+    label: 'OpenAI-compatible',
+    suggestion: 'Check that the server is running and the URL, API key and model are correct in extension settings.'
+  },
+  anthropic: {
+    service: AnthropicService,
+    label: 'Anthropic',
+    suggestion: 'Check your Anthropic API key and selected model in extension settings.'
+  },
+  'azure-openai': {
+    service: AzureOpenAIService,
+    label: 'Azure OpenAI',
+    suggestion: 'Check your Azure OpenAI endpoint, API key, deployment and API version in extension settings.'
+  }
+};
+
+/**
+ * Response sent to the content script when a streamed request was cancelled
+ * @param {string} provider
+ */
+function cancelledPayload(provider) {
+  return { success: false, error: 'Request cancelled', isCancelled: true, provider };
+}
+
+/**
+ * Error response when an API provider's server is not configured or its host permission is missing
+ * @param {string} provider - Key of API_PROVIDERS
+ * @param {Object} settings - Storage snapshot with the provider configs
+ * @returns {Promise<Object|null>} null when requests can be sent
+ */
+async function checkApiProviderAccess(provider, settings) {
+  const denied = (error, suggestion) => ({ success: false, error, provider, suggestion, fallbackReason: 'unavailable' });
+
+  if (provider === 'openrouter') {
+    return (await hasOpenRouterHostPermission())
+      ? null
+      : denied('OpenRouter host permission not granted.', 'Open the extension popup, select OpenRouter, and click Allow OpenRouter.');
+  }
+  if (provider === 'anthropic') {
+    return (await hasAnthropicHostPermission())
+      ? null
+      : denied('Anthropic host permission not granted.', 'Open the extension popup, select Anthropic, and click Save to allow access to api.anthropic.com.');
+  }
+  if (provider === 'azure-openai') {
+    const endpoint = normalizeAzureOpenAIEndpoint(settings.azureOpenAIConfig?.endpoint);
+    if (!endpoint) {
+      return denied('Azure OpenAI endpoint is not configured.', 'Open the extension popup, select Azure OpenAI, and save your resource endpoint.');
+    }
+    return (await hasAzureOpenAIHostPermission(endpoint))
+      ? null
+      : denied(`Host permission not granted for ${endpoint}.`, 'Open the extension popup, select Azure OpenAI, and click Save to allow access to your resource.');
+  }
+
+  const baseUrl = normalizeOpenAICompatibleBaseUrl(settings.openaiCompatibleConfig?.baseUrl);
+  if (!baseUrl) {
+    return denied('OpenAI-compatible server URL is not configured.', 'Open the extension popup, select Custom OpenAI-compatible, and save the server URL.');
+  }
+  return (await hasOpenAICompatibleHostPermission(baseUrl))
+    ? null
+    : denied(`Host permission not granted for ${new URL(baseUrl).origin}.`, 'Open the extension popup, select Custom OpenAI-compatible, and click Save to allow access to the server.');
+}
+
+/**
+ * Review a patch with Ollama or one of the API_PROVIDERS.
+ * @param {string} provider - 'ollama' or a key of API_PROVIDERS
+ * @param {Object} settings - aiProvider and the provider configs from storage
+ * @param {Object} request - { patchContent, language, mrId, mrUrl, reviewRules, prContext, contextFiles }
+ * @param {Object} [stream] - { onToken, signal } (streamed requests only)
+ * @returns {Promise<Object>} Response for the content script ({ success, data, provider } or the error)
+ */
+async function reviewWithStreamingProvider(provider, settings, { patchContent, language, mrId, mrUrl, reviewRules = null, prContext = null, contextFiles = null }, stream = {}) {
+  if (provider === 'ollama') {
+    try {
+      const config = settings.ollamaConfig || { url: 'http://localhost:11434', model: 'gemma4' };
+      
+      dbgLog('Reviewing with Ollama:', config);
+      
+      const data = await OllamaService.reviewPatchCode(patchContent, language, mrId, mrUrl, reviewRules, prContext, contextFiles, stream);
+      
+      dbgLog('Ollama review completed successfully');
+      
+      // Track the review in Firebase (fire-and-forget)
+      trackOllamaReview(patchContent, mrId, mrUrl, data, config.model).catch(err => {
+        dbgWarn('Failed to track Ollama review in Firebase:', err.message);
+      });
+      
+      return { success: true, data, provider: 'ollama' };
+    } catch (ollamaError) {
+      if (stream.signal?.aborted) return cancelledPayload('ollama');
+      dbgWarn('Ollama review failed:', ollamaError.message);
+      
+      // Provide a helpful error message
+      return { 
+        success: false, 
+        error: ollamaError.message,
+        provider: 'ollama',
+        suggestion: 'Check if Ollama is running and configured correctly in extension settings.',
+        fallbackReason: getFallbackReason(ollamaError)
+      };
+    }
+  }
+
+  const accessError = await checkApiProviderAccess(provider, settings);
+  if (accessError) return accessError;
+
+  const { service, label, suggestion } = API_PROVIDERS[provider];
+  try {
+    const data = await service.reviewPatchCode(patchContent, language, mrId, mrUrl, reviewRules, prContext, contextFiles, stream);
+
+    dbgLog(`${label} review completed successfully`);
+    return { success: true, data, provider };
+  } catch (providerError) {
+    if (stream.signal?.aborted) return cancelledPayload(provider);
+    dbgWarn(`${label} review failed:`, providerError.message);
+
+    return {
+      success: false,
+      error: providerError.message,
+      provider,
+      suggestion,
+      fallbackReason: getFallbackReason(providerError)
+    };
+  }
+}
+
+/**
+ * Answer a chat message with Ollama or one of the API_PROVIDERS.
+ * @param {string} provider - 'ollama' or a key of API_PROVIDERS
+ * @param {Object} settings - aiProvider and the provider configs from storage
+ * @param {Object} request - { patchContent, conversationHistory, language, mrId, mrUrl }
+ * @param {Object} [stream] - { onToken, signal } (streamed requests only)
+ * @returns {Promise<Object>} Response for the content script ({ success, data, provider } or the error)
+ */
+async function chatWithStreamingProvider(provider, settings, { patchContent, conversationHistory, language, mrId, mrUrl }, stream = {}) {
+  if (provider === 'ollama') {
+    try {
+      const config = settings.ollamaConfig || { url: 'http://localhost:11434', model: 'gemma4' };
+      
+      dbgLog('Getting conversational response from Ollama:', config);
+      
+      const data = await OllamaService.getConversationalResponse(
+        patchContent, 
+        conversationHistory, 
+        language || 'English',
+        mrId, 
+        mrUrl,
+        stream
+      );
+      
+      dbgLog('Ollama conversational response completed successfully');
+      return { success: true, data: data, provider: 'ollama' };
+    } catch (ollamaError) {
+      if (stream.signal?.aborted) return cancelledPayload('ollama');
+      dbgWarn('Ollama conversational response failed:', ollamaError.message);
+      
+      // Provide a helpful error message
+      return { 
+        success: false, 
+        error: ollamaError.message,
+        provider: 'ollama',
+        suggestion: 'Check if Ollama is running and configured correctly in extension settings.',
+        fallbackReason: getFallbackReason(ollamaError)
+      };
+    }
+  }
+
+  const accessError = await checkApiProviderAccess(provider, settings);
+  if (accessError) return accessError;
+
+  const { service, label, suggestion } = API_PROVIDERS[provider];
+  try {
+    const data = await service.getConversationalResponse(
+      patchContent,
+      conversationHistory,
+      language || 'English',
+      mrId,
+      mrUrl,
+      stream
+    );
+
+    dbgLog(`${label} conversational response completed successfully`);
+    return { success: true, data: data, provider };
+  } catch (providerError) {
+    if (stream.signal?.aborted) return cancelledPayload(provider);
+    dbgWarn(`${label} conversational response failed:`, providerError.message);
+    return {
+      success: false,
+      error: providerError.message,
+      provider,
+      suggestion,
+      fallbackReason: getFallbackReason(providerError)
+    };
+  }
+}
+
+/**
+ * Review a patch with ThinkReview Cloud or the self-hosted gateway (CloudService routes by aiProvider).
+ * @param {string} provider - 'cloud' or 'self-hosted'
+ * @param {Object} request - REVIEW_PATCH_CODE fields
+ * @returns {Promise<Object>} Response for the content script
+ */
+async function reviewWithCloud(provider, { patchContent, mrId, mrUrl, language, platform, forceRegenerate, reviewFormat, reviewRules = null, prContext = null, contextFiles = null }) {
+  try {
+    const selfHostedGate = await assertSelfHostedGatewayReady(provider);
+    if (!selfHostedGate.ok) {
+      return { success: false, ...selfHostedGate };
+    }
+    
+    // ThinkReview Cloud or self-hosted gateway (via CloudService routing)
+    // Validate patchContent before sending
+    if (!patchContent || patchContent.trim().length === 0) {
+      throw new Error('There are no code changes yet in this merge request. If you think this is a bug, please report it here: https://thinkreview.dev/bug-report');
+    }
+
+    // Use CloudService to review the patch code
+    const data = await CloudService.reviewPatchCode(patchContent, language, mrId, mrUrl, forceRegenerate, platform, reviewFormat, reviewRules, prContext, contextFiles);
+    
+    // Track the review if mrId is provided
+    if (mrId) {
+      // Review tracking is now handled automatically by the cloud function reviewPatchCode_1_1
+      dbgLog('Review completed for MR:', mrId);
+    }
+
+    // Refresh ThinkReviewGetUserData (enabledReviewAgents, counts) without blocking the review response
+    (async () => {
+      try {
+        const storageResult = await chrome.storage.local.get(['userData', 'user']);
+        let email = storageResult.userData?.email || null;
+        if (!email && storageResult.user) {
+          try {
+            const parsed = JSON.parse(storageResult.user);
+            if (parsed?.email) email = parsed.email;
+          } catch {
+            /* ignore */
+          }
+        }
+        const userData = await CloudService.refreshUserData();
+        const toStore = { ...userData };
+        if (email) {
+          const subscriptionData = await CloudService.getUserSubscriptionData(email);
+          if (subscriptionData) toStore.userSubscriptionData = subscriptionData;
+        }
+        await chrome.storage.local.set(toStore);
+        dbgLog('Post-review user data refresh stored');
+      } catch (refreshErr) {
+        dbgWarn('Post-review user data refresh failed:', refreshErr?.message || refreshErr);
+      }
+    })();
+    
+    return {
+      success: true,
+      data,
+      provider: provider === 'self-hosted' ? 'self-hosted' : 'cloud',
+    };
+  } catch (err) {
+    dbgWarn('Review fetch error:', err);
+    return { 
+      success: false, 
+      error: err.message,
+      isLimitExceeded: err.isLimitExceeded || false,
+      isPatchTooLarge: err.isPatchTooLarge || false,
+      patchSize: err.patchSize,
+      maxPatchSize: err.maxPatchSize,
+      dailyLimit: err.dailyLimit,
+      currentCount: err.currentCount,
+      purchasedReviewCredits: err.purchasedReviewCredits,
+      provider,
+      fallbackReason: getFallbackReason(err),
+      ...authExpiredPayload(err),
+    };
+  }
+}
+
+/**
+ * Answer a chat message with ThinkReview Cloud or the self-hosted gateway.
+ * @param {string} provider - 'cloud' or 'self-hosted'
+ * @param {Object} request - GET_AI_RESPONSE fields
+ * @returns {Promise<Object>} Response for the content script
+ */
+async function chatWithCloud(provider, { patchContent, conversationHistory, mrId, mrUrl, language }) {
+  try {
+    const selfHostedGate = await assertSelfHostedGatewayReady(provider);
+    if (!selfHostedGate.ok) {
+      return { success: false, ...selfHostedGate };
+    }
+    
+    // ThinkReview Cloud or self-hosted gateway (via CloudService routing)
+    const data = await CloudService.getConversationalResponse(patchContent, conversationHistory, mrId, mrUrl, language || 'English');
+    // Log only metadata, not the actual response content
+    dbgLog('Conversational response received:', {
+      status: data?.status,
+      hasResponse: !!data?.response,
+      responseLength: data?.response?.length || 0
+    });
+    
+    return { 
+      success: true, 
+      data: data, 
+      provider: provider === 'self-hosted' ? 'self-hosted' : 'cloud'
+    };
+  } catch (err) {
+    // Pass rate limit error properties if available
+    return {
+      success: false,
+      error: err.message,
+      isRateLimit: err.isRateLimit || false,
+      isLimitExceeded: err.isLimitExceeded || false,
+      dailyLimit: err.dailyLimit,
+      currentCount: err.currentCount,
+      purchasedReviewCredits: err.purchasedReviewCredits,
+      rateLimitMessage: err.rateLimitMessage || null,
+      retryAfter: err.retryAfter || null,
+      provider,
+      fallbackReason: getFallbackReason(err),
+      ...authExpiredPayload(err),
+    };
+  }
+}
+
+/**
+ * Review a patch with the given provider of the chain (streamed when the provider supports it).
+ * @param {string} provider
+ * @param {Object} settings - PROVIDER_SETTINGS_KEYS from storage
+ * @param {Object} request - REVIEW_PATCH_CODE fields
+ * @param {Object} [stream] - { onToken, signal } (streamed requests only)
+ */
+function reviewWithProvider(provider, settings, request, stream = {}) {
+  return STREAMING_PROVIDERS.includes(provider)
+    ? reviewWithStreamingProvider(provider, settings, request, stream)
+    : reviewWithCloud(provider, request);
+}
+
+/**
+ * Answer a chat message with the given provider of the chain (streamed when the provider supports it).
+ * @param {string} provider
+ * @param {Object} settings - PROVIDER_SETTINGS_KEYS from storage
+ * @param {Object} request - GET_AI_RESPONSE fields
+ * @param {Object} [stream] - { onToken, signal } (streamed requests only)
+ */
+function chatWithProvider(provider, settings, request, stream = {}) {
+  return STREAMING_PROVIDERS.includes(provider)
+    ? chatWithStreamingProvider(provider, settings, request, stream)
+    : chatWithCloud(provider, request);
+}
+
+// Streamed reviews and chat answers (Ollama and the API providers). Protocol on the port:
+//   content → background: { type: 'start', kind: 'review'|'chat', request }, { type: 'cancel' }
+//   background → content: { type: 'token', text } per chunk of text, then { type: 'done', response }
+//                         { type: 'fallback', provider, label } when the next provider of the chain is tried
+//                         (text received so far is discarded)
+//                         { type: 'tool_call', id, name, args } when the model calls a repository tool
+//                         (chat with request.repoTools = { platform }); answered by
+//   content → background: { type: 'tool_result', id, output }
+// where response has the shape of the REVIEW_PATCH_CODE / GET_AI_RESPONSE responses.
+// Cancelling or closing the port (tab closed, page left) aborts the provider request.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== STREAM_PORT_NAME) return;
+
+  const controller = new AbortController();
+  let connected = true;
+  const post = (message) => {
+    if (!connected) return;
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      dbgWarn('Stream port closed while sending:', error?.message || error);
+    }
+  };
+
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    controller.abort();
+  });
+
+  // Tool calls wait for the content script, which runs them, shows them and counts the fetch budget
+  const pendingToolCalls = new Map();
+  let lastToolCallId = 0;
+  const runTool = (name, args) => new Promise((resolve, reject) => {
+    if (controller.signal.aborted) {
+      reject(new DOMException('The request was cancelled', 'AbortError'));
+      return;
+    }
+    const id = ++lastToolCallId;
+    pendingToolCalls.set(id, resolve);
+    controller.signal.addEventListener('abort', () => {
+      pendingToolCalls.delete(id);
+      reject(new DOMException('The request was cancelled', 'AbortError'));
+    }, { once: true });
+    post({ type: 'tool_call', id, name, args });
+  });
+
+  port.onMessage.addListener((message) => {
+    if (message?.type === 'cancel') {
+      dbgLog('Streamed request cancelled');
+      controller.abort();
+      return;
+    }
+    if (message?.type === 'tool_result') {
+      pendingToolCalls.get(message.id)?.(String(message.output ?? ''));
+      pendingToolCalls.delete(message.id);
+      return;
+    }
+    if (message?.type !== 'start') return;
+
+    (async () => {
+      try {
+        const settings = await readProviderSettings();
+        const provider = settings.aiProvider;
+        if (!STREAMING_PROVIDERS.includes(provider)) {
+          post({ type: 'done', response: { success: false, error: `Streaming is not available for the ${provider} provider`, provider } });
+          return;
+        }
+
+        dbgLog('Streaming', message.kind, 'with provider:', provider);
+        const stream = { signal: controller.signal, onToken: (text) => post({ type: 'token', text }) };
+        const toolNames = message.kind === 'chat' ? getRepoToolNames(message.request?.repoTools?.platform) : [];
+        if (toolNames.length > 0) {
+          stream.repoTools = { definitions: getRepoToolDefinitions(toolNames), runTool };
+        }
+        const run = message.kind === 'chat' ? chatWithProvider : reviewWithProvider;
+        const response = await runProviderChain(
+          buildProviderChain(provider, settings.providerFallback),
+          settings.providerFallback,
+          (candidate) => run(candidate, settings, message.request || {}, stream),
+          {
+            signal: controller.signal,
+            onFallback: (candidate) => {
+              dbgLog('Falling back to provider:', candidate);
+              post({ type: 'fallback', provider: candidate, label: PROVIDER_LABELS[candidate] });
+            }
+          }
+        );
+        post({ type: 'done', response });
+      } catch (error) {
+        dbgWarn('Streamed request failed:', error);
+        post({ type: 'done', response: { success: false, error: error?.message || String(error) } });
+      }
+    })();
+  });
+});
+
 // Listen for extension icon clicks to open full page
 chrome.action.onClicked.addListener((tab) => {
   dbgLog('Extension icon clicked, opening full page');
@@ -309,129 +801,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     const { patchContent, conversationHistory, mrId, mrUrl, language } = message;
     (async () => {
       try {
-        // Get AI provider setting
-        const settings = await chrome.storage.local.get(['aiProvider', 'ollamaConfig', 'openrouterConfig']);
-        let provider = settings.aiProvider || 'cloud';
+        const settings = await readProviderSettings();
+        const provider = settings.aiProvider;
         
         dbgLog('Using AI provider for conversation:', provider);
         
-        // Route to appropriate service based on provider
-        if (provider === 'ollama') {
-          // Use Ollama for conversational response
-          try {
-            const config = settings.ollamaConfig || { url: 'http://localhost:11434', model: 'gemma4' };
-            
-            dbgLog('Getting conversational response from Ollama:', config);
-            
-            const data = await OllamaService.getConversationalResponse(
-              patchContent, 
-              conversationHistory, 
-              language || 'English',
-              mrId, 
-              mrUrl
-            );
-            
-            dbgLog('Ollama conversational response completed successfully');
-            sendResponse({ success: true, data: data, provider: 'ollama' });
-            return;
-          } catch (ollamaError) {
-            dbgWarn('Ollama conversational response failed:', ollamaError.message);
-            
-            // Provide a helpful error message
-            sendResponse({ 
-              success: false, 
-              error: ollamaError.message,
-              provider: 'ollama',
-              suggestion: 'Check if Ollama is running and configured correctly in extension settings.'
-            });
-            return;
-          }
-        }
-
-        if (provider === 'openrouter') {
-          if (!(await hasOpenRouterHostPermission())) {
-            sendResponse({
-              success: false,
-              error: 'OpenRouter host permission not granted.',
-              provider: 'openrouter',
-              suggestion: 'Open the extension popup, select OpenRouter, and click Allow OpenRouter.'
-            });
-            return;
-          }
-          try {
-            const data = await OpenRouterService.getConversationalResponse(
-              patchContent,
-              conversationHistory,
-              language || 'English',
-              mrId,
-              mrUrl
-            );
-
-            dbgLog('OpenRouter conversational response completed successfully');
-            sendResponse({ success: true, data: data, provider: 'openrouter' });
-            return;
-          } catch (openRouterError) {
-            dbgWarn('OpenRouter conversational response failed:', openRouterError.message);
-            sendResponse({
-              success: false,
-              error: openRouterError.message,
-              provider: 'openrouter',
-              suggestion: 'Check your OpenRouter API key and selected model in extension settings.'
-            });
-            return;
-          }
-        }
-
-        const latestSettings = await chrome.storage.local.get(['aiProvider']);
-        provider = latestSettings.aiProvider || provider || 'cloud';
-
-        const selfHostedGate = await assertSelfHostedGatewayReady(provider);
-        if (!selfHostedGate.ok) {
-          sendResponse({ success: false, ...selfHostedGate });
-          return;
-        }
-        
-        // ThinkReview Cloud or self-hosted gateway (via CloudService routing)
-        const data = await CloudService.getConversationalResponse(patchContent, conversationHistory, mrId, mrUrl, language || 'English');
-        // Log only metadata, not the actual response content
-        dbgLog('Conversational response received:', {
-          status: data?.status,
-          hasResponse: !!data?.response,
-          responseLength: data?.response?.length || 0
-        });
-        
-        sendResponse({ 
-          success: true, 
-          data: data, 
-          provider: provider === 'self-hosted' ? 'self-hosted' : 'cloud'
-        });
+        // Route to the selected provider, then to the fallback chain when it cannot answer
+        sendResponse(await runProviderChain(
+          buildProviderChain(provider, settings.providerFallback),
+          settings.providerFallback,
+          (candidate) => chatWithProvider(candidate, settings, { patchContent, conversationHistory, mrId, mrUrl, language }),
+          { onFallback: (candidate) => dbgLog('Falling back to provider for conversation:', candidate) }
+        ));
       } catch (err) {
-        // Log error details for debugging
-        // if (err.isRateLimit) {
-        //   console.warn('Rate limit reached for conversational review:', {
-        //     message: err.rateLimitMessage,
-        //     retryAfter: err.retryAfter,
-        //     minutes: Math.ceil((err.retryAfter || 900) / 60)
-        //   });
-        // } else {
-        //   console.warn('Conversational review fetch error:', err.message);
-        // }
-        
-        // Pass rate limit error properties if available
-        const errorResponse = {
-          success: false,
-          error: err.message,
-          isRateLimit: err.isRateLimit || false,
-          isLimitExceeded: err.isLimitExceeded || false,
-          dailyLimit: err.dailyLimit,
-          currentCount: err.currentCount,
-          purchasedReviewCredits: err.purchasedReviewCredits,
-          rateLimitMessage: err.rateLimitMessage || null,
-          retryAfter: err.retryAfter || null,
-          ...authExpiredPayload(err),
-        };
-        
-        sendResponse(errorResponse);
+        sendResponse({ success: false, error: err.message, ...authExpiredPayload(err) });
       }
     })();
     return true; // Keep channel open for async response
@@ -439,151 +822,27 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
   // Handle code review request from content script to avoid CSP issues
   if (message.type === 'REVIEW_PATCH_CODE') {
-    const { patchContent, mrId, mrUrl, language, platform, forceRegenerate, reviewFormat } = message;
+    const { patchContent, mrId, mrUrl, language, platform, forceRegenerate, reviewFormat, reviewRules = null, prContext = null, contextFiles = null } = message;
     
     (async () => {
-      // Get AI provider setting (declare outside try block so it's accessible in catch)
-      let settings = { aiProvider: 'cloud', ollamaConfig: null, openrouterConfig: null };
       let provider = 'cloud';
       
       try {
-        settings = await chrome.storage.local.get(['aiProvider', 'ollamaConfig', 'openrouterConfig']);
-        provider = settings.aiProvider || 'cloud';
+        const settings = await readProviderSettings();
+        provider = settings.aiProvider;
         
         dbgLog('Using AI provider:', provider);
         
-        // Route to appropriate service based on provider
-        if (provider === 'ollama') {
-          // Use Ollama for local code review
-          try {
-            const config = settings.ollamaConfig || { url: 'http://localhost:11434', model: 'gemma4' };
-            
-            dbgLog('Reviewing with Ollama:', config);
-            
-            const data = await OllamaService.reviewPatchCode(patchContent, language, mrId, mrUrl);
-            
-            dbgLog('Ollama review completed successfully');
-            
-            // Track the review in Firebase (fire-and-forget)
-            trackOllamaReview(patchContent, mrId, mrUrl, data, config.model).catch(err => {
-              dbgWarn('Failed to track Ollama review in Firebase:', err.message);
-            });
-            
-            sendResponse({ success: true, data, provider: 'ollama' });
-            return;
-          } catch (ollamaError) {
-            dbgWarn('Ollama review failed:', ollamaError.message);
-            
-            // Provide a helpful error message
-            sendResponse({ 
-              success: false, 
-              error: ollamaError.message,
-              provider: 'ollama',
-              suggestion: 'Check if Ollama is running and configured correctly in extension settings.'
-            });
-            return;
-          }
-        }
-
-        if (provider === 'openrouter') {
-          if (!(await hasOpenRouterHostPermission())) {
-            sendResponse({
-              success: false,
-              error: 'OpenRouter host permission not granted.',
-              provider: 'openrouter',
-              suggestion: 'Open the extension popup, select OpenRouter, and click Allow OpenRouter.'
-            });
-            return;
-          }
-          try {
-            const data = await OpenRouterService.reviewPatchCode(patchContent, language, mrId, mrUrl);
-
-            dbgLog('OpenRouter review completed successfully');
-            sendResponse({ success: true, data, provider: 'openrouter' });
-            return;
-          } catch (openRouterError) {
-            dbgWarn('OpenRouter review failed:', openRouterError.message);
-
-            sendResponse({
-              success: false,
-              error: openRouterError.message,
-              provider: 'openrouter',
-              suggestion: 'Check your OpenRouter API key and selected model in extension settings.'
-            });
-            return;
-          }
-        }
-
-        const latestSettings = await chrome.storage.local.get(['aiProvider']);
-        provider = latestSettings.aiProvider || provider || 'cloud';
-
-        const selfHostedGate = await assertSelfHostedGatewayReady(provider);
-        if (!selfHostedGate.ok) {
-          sendResponse({ success: false, ...selfHostedGate });
-          return;
-        }
-        
-        // ThinkReview Cloud or self-hosted gateway (via CloudService routing)
-        // Validate patchContent before sending
-        if (!patchContent || patchContent.trim().length === 0) {
-          throw new Error('There are no code changes yet in this merge request. If you think this is a bug, please report it here: https://thinkreview.dev/bug-report');
-        }
-
-        // Use CloudService to review the patch code
-        const data = await CloudService.reviewPatchCode(patchContent, language, mrId, mrUrl, forceRegenerate, platform, reviewFormat);
-        
-        // Track the review if mrId is provided
-        if (mrId) {
-          // Review tracking is now handled automatically by the cloud function reviewPatchCode_1_1
-          dbgLog('Review completed for MR:', mrId);
-        }
-
-        // Refresh ThinkReviewGetUserData (enabledReviewAgents, counts) without blocking the review response
-        (async () => {
-          try {
-            const storageResult = await chrome.storage.local.get(['userData', 'user']);
-            let email = storageResult.userData?.email || null;
-            if (!email && storageResult.user) {
-              try {
-                const parsed = JSON.parse(storageResult.user);
-                if (parsed?.email) email = parsed.email;
-              } catch {
-                /* ignore */
-              }
-            }
-            const userData = await CloudService.refreshUserData();
-            const toStore = { ...userData };
-            if (email) {
-              const subscriptionData = await CloudService.getUserSubscriptionData(email);
-              if (subscriptionData) toStore.userSubscriptionData = subscriptionData;
-            }
-            await chrome.storage.local.set(toStore);
-            dbgLog('Post-review user data refresh stored');
-          } catch (refreshErr) {
-            dbgWarn('Post-review user data refresh failed:', refreshErr?.message || refreshErr);
-          }
-        })();
-        
-        sendResponse({
-          success: true,
-          data,
-          provider: provider === 'self-hosted' ? 'self-hosted' : 'cloud',
-        });
+        // Route to the selected provider, then to the fallback chain when it cannot answer
+        sendResponse(await runProviderChain(
+          buildProviderChain(provider, settings.providerFallback),
+          settings.providerFallback,
+          (candidate) => reviewWithProvider(candidate, settings, { patchContent, mrId, mrUrl, language, platform, forceRegenerate, reviewFormat, reviewRules, prContext, contextFiles }),
+          { onFallback: (candidate) => dbgLog('Falling back to provider for review:', candidate) }
+        ));
       } catch (err) {
         dbgWarn('Review fetch error:', err);
-        sendResponse({ 
-          success: false, 
-          error: err.message,
-          isLimitExceeded: err.isLimitExceeded || false,
-          isPatchTooLarge: err.isPatchTooLarge || false,
-          patchSize: err.patchSize,
-          maxPatchSize: err.maxPatchSize,
-          dailyLimit: err.dailyLimit,
-          currentCount: err.currentCount,
-          purchasedReviewCredits: err.purchasedReviewCredits,
-          provider: settings.aiProvider || 'cloud',
-          ...authExpiredPayload(err),
-        });
+        sendResponse({ success: false, error: err.message, provider, ...authExpiredPayload(err) });
       }
     })();
     return true; // Keep channel open
@@ -593,6 +852,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     const { patchContent, mrId } = message;
     (async () => {
       try {
+        if (!isProviderAllowed(await readManagedPolicy(), 'cloud')) {
+          sendResponse({ success: false, error: "ThinkReview Cloud agents are blocked by your organization's policy" });
+          return;
+        }
         const storageResult = await chrome.storage.local.get(['userData', 'user']);
         let email = storageResult.userData?.email || null;
         if (!email && storageResult.user) {
@@ -670,19 +933,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep channel open
   }
 
-  // Handle request to fetch GitHub diff (to avoid CORS)
+  // Handle request to fetch GitHub diff (to avoid CORS). With a token for the host, the diff is built
+  // from the REST API (private repositories). Logic in services/github-api.js.
   if (message.type === 'FETCH_GITHUB_DIFF') {
-    const { url } = message;
+    const { url, target } = message;
     (async () => {
       try {
-        dbgLog('Fetching GitHub diff from:', url);
-        const response = await fetch(url);
-        if (!response.ok) {
-          throw new Error(`Failed to fetch GitHub diff: ${response.status} ${response.statusText}`);
-        }
-        const diffContent = await response.text();
-        dbgLog('Successfully fetched GitHub diff, length:', diffContent.length);
-        sendResponse({ success: true, content: diffContent });
+        const token = target?.hostname ? await getGitHubToken(target.hostname) : null;
+        const canUseApi = !!token && await chrome.permissions.contains({ origins: [getGitHubApiOriginPattern(target.hostname)] });
+        sendResponse(await fetchGitHubPullRequestDiff({ url, target, token, canUseApi }));
       } catch (error) {
         dbgWarn('Error fetching GitHub diff:', error);
         sendResponse({ success: false, error: error.message });
@@ -758,6 +1017,423 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep channel open
   }
 
+  // Incremental re-review: resolve the PR head commit and fetch the diff since the last reviewed head
+  // (GitHub, Azure DevOps). GitLab runs from the content script. Logic in services/incremental-diff.js.
+  if (message.type === 'FETCH_INCREMENTAL_DIFF') {
+    const { platform, target, baseSha } = message;
+    (async () => {
+      try {
+        if (!target) {
+          sendResponse({ success: false, error: 'Invalid incremental diff request' });
+          return;
+        }
+
+        if (platform === 'github') {
+          const token = await getGitHubToken(target.hostname);
+          const canUseApi = !!token && await chrome.permissions.contains({ origins: [getGitHubApiOriginPattern(target.hostname)] });
+          const result = await fetchIncrementalDiff({ platform, target, baseSha, credentials: { token, canUseApi } });
+          sendResponse({ success: true, ...result });
+          return;
+        }
+
+        if (platform === 'azure-devops') {
+          const { azureDevOpsToken } = await chrome.storage.local.get(['azureDevOpsToken']);
+          if (!azureDevOpsToken) {
+            sendResponse({ success: false, isAuthError: true, error: 'Azure DevOps Personal Access Token is required' });
+            return;
+          }
+          const result = await runAzureFetchTask(async () => {
+            await azureDevOpsFetcher.init(target, azureDevOpsToken);
+            return fetchIncrementalDiff({ platform, target, baseSha });
+          });
+          sendResponse({ success: true, ...result });
+          return;
+        }
+
+        sendResponse({ success: false, error: `Incremental review is not supported on ${platform || 'this platform'}` });
+      } catch (error) {
+        dbgWarn('FETCH_INCREMENTAL_DIFF error:', error);
+        sendResponse({
+          success: false,
+          isAuthError: error instanceof AzureDevOpsAuthError,
+          error: error?.message || String(error)
+        });
+      }
+    })();
+    return true; // Keep channel open
+  }
+
+  // Repository review rules (.thinkreview.yml) from the PR target branch (GitHub, Azure DevOps, Bitbucket).
+  // GitLab runs from the content script. Logic in services/review-rules-fetcher.js.
+  if (message.type === 'FETCH_REVIEW_RULES') {
+    const { platform, target } = message;
+    (async () => {
+      try {
+        if (!target) {
+          sendResponse({ success: false, error: 'Invalid review rules request' });
+          return;
+        }
+
+        if (platform === 'github') {
+          const token = await getGitHubToken(target.hostname);
+          const canUseApi = !!token && await chrome.permissions.contains({ origins: [getGitHubApiOriginPattern(target.hostname)] });
+          const file = await fetchReviewRulesFile({ platform, target, credentials: { token, canUseApi } });
+          sendResponse({ success: true, file });
+          return;
+        }
+
+        if (platform === 'azure-devops') {
+          const { azureDevOpsToken } = await chrome.storage.local.get(['azureDevOpsToken']);
+          if (!azureDevOpsToken) {
+            sendResponse({ success: false, isAuthError: true, error: 'Azure DevOps Personal Access Token is required' });
+            return;
+          }
+          const file = await runAzureFetchTask(async () => {
+            await azureDevOpsFetcher.init(target, azureDevOpsToken);
+            return fetchReviewRulesFile({ platform, target });
+          });
+          sendResponse({ success: true, file });
+          return;
+        }
+
+        if (platform === 'bitbucket') {
+          const isDataCenter = typeof target.diffUrl === 'string' && target.diffUrl.includes('/rest/api/1.0/');
+          const creds = isDataCenter
+            ? await chrome.storage.local.get(['bitbucketDataCenterToken'])
+            : await chrome.storage.local.get(['bitbucketToken', 'bitbucketEmail']);
+          const credentials = isDataCenter
+            ? { token: creds.bitbucketDataCenterToken, email: null }
+            : { token: creds.bitbucketToken, email: creds.bitbucketEmail };
+          const file = await fetchReviewRulesFile({ platform, target, credentials });
+          sendResponse({ success: true, file });
+          return;
+        }
+
+        sendResponse({ success: false, error: `Review rules files are not supported on ${platform || 'this platform'}` });
+      } catch (error) {
+        dbgWarn('FETCH_REVIEW_RULES error:', error);
+        sendResponse({
+          success: false,
+          isAuthError: error instanceof AzureDevOpsAuthError,
+          error: error?.message || String(error)
+        });
+      }
+    })();
+    return true; // Keep channel open
+  }
+
+  // PR title, description, linked issues and open review discussions for the review prompt.
+  // GitLab runs from the content script. Logic in services/pr-context-collector.js.
+  if (message.type === 'FETCH_PR_CONTEXT') {
+    const { platform, target } = message;
+    (async () => {
+      try {
+        if (!target) {
+          sendResponse({ success: false, error: 'Invalid PR context request' });
+          return;
+        }
+
+        if (platform === 'github') {
+          // Review threads and linked issues need the GraphQL API; the page details are used without a token
+          const token = await getGitHubToken(target.hostname);
+          const canUseApi = !!token && await chrome.permissions.contains({ origins: [getGitHubApiOriginPattern(target.hostname)] });
+          if (!canUseApi) {
+            sendResponse({ success: true, context: null });
+            return;
+          }
+          const context = await collectPrContext({ platform, target, credentials: { token } });
+          sendResponse({ success: true, context });
+          return;
+        }
+
+        if (platform === 'azure-devops') {
+          const { azureDevOpsToken } = await chrome.storage.local.get(['azureDevOpsToken']);
+          if (!azureDevOpsToken) {
+            sendResponse({ success: false, isAuthError: true, error: 'Azure DevOps Personal Access Token is required' });
+            return;
+          }
+          const context = await runAzureFetchTask(async () => {
+            await azureDevOpsFetcher.init(target, azureDevOpsToken);
+            return collectPrContext({ platform, target });
+          });
+          sendResponse({ success: true, context });
+          return;
+        }
+
+        if (platform === 'bitbucket') {
+          const isDataCenter = typeof target.diffUrl === 'string' && target.diffUrl.includes('/rest/api/1.0/');
+          const creds = isDataCenter
+            ? await chrome.storage.local.get(['bitbucketDataCenterToken'])
+            : await chrome.storage.local.get(['bitbucketToken', 'bitbucketEmail']);
+          const credentials = isDataCenter
+            ? { token: creds.bitbucketDataCenterToken, email: null }
+            : { token: creds.bitbucketToken, email: creds.bitbucketEmail };
+          const context = await collectPrContext({ platform, target, credentials });
+          sendResponse({ success: true, context });
+          return;
+        }
+
+        sendResponse({ success: false, error: `Pull request context is not supported on ${platform || 'this platform'}` });
+      } catch (error) {
+        dbgWarn('FETCH_PR_CONTEXT error:', error);
+        sendResponse({
+          success: false,
+          isAuthError: error instanceof AzureDevOpsAuthError,
+          error: error?.message || String(error)
+        });
+      }
+    })();
+    return true; // Keep channel open
+  }
+
+  // Files at the PR head commit for the expanded review context.
+  // GitLab runs from the content script. Logic in services/context-files-fetcher.js.
+  if (message.type === 'FETCH_CONTEXT_FILES') {
+    const { platform, target, pathGroups } = message;
+    (async () => {
+      try {
+        if (!target || !Array.isArray(pathGroups)) {
+          sendResponse({ success: false, error: 'Invalid context files request' });
+          return;
+        }
+
+        if (platform === 'github') {
+          const token = await getGitHubToken(target.hostname);
+          const canUseApi = !!token && await chrome.permissions.contains({ origins: [getGitHubApiOriginPattern(target.hostname)] });
+          const result = await fetchContextFiles({ platform, target, pathGroups, credentials: { token, canUseApi } });
+          sendResponse({ success: true, ...result });
+          return;
+        }
+
+        if (platform === 'azure-devops') {
+          const { azureDevOpsToken } = await chrome.storage.local.get(['azureDevOpsToken']);
+          if (!azureDevOpsToken) {
+            sendResponse({ success: false, isAuthError: true, error: 'Azure DevOps Personal Access Token is required' });
+            return;
+          }
+          const result = await runAzureFetchTask(async () => {
+            await azureDevOpsFetcher.init(target, azureDevOpsToken);
+            return fetchContextFiles({ platform, target, pathGroups });
+          });
+          sendResponse({ success: true, ...result });
+          return;
+        }
+
+        if (platform === 'bitbucket') {
+          const isDataCenter = typeof target.diffUrl === 'string' && target.diffUrl.includes('/rest/api/1.0/');
+          const creds = isDataCenter
+            ? await chrome.storage.local.get(['bitbucketDataCenterToken'])
+            : await chrome.storage.local.get(['bitbucketToken', 'bitbucketEmail']);
+          const credentials = isDataCenter
+            ? { token: creds.bitbucketDataCenterToken, email: null }
+            : { token: creds.bitbucketToken, email: creds.bitbucketEmail };
+          const result = await fetchContextFiles({ platform, target, pathGroups, credentials });
+          sendResponse({ success: true, ...result });
+          return;
+        }
+
+        sendResponse({ success: false, error: `Expanded context is not supported on ${platform || 'this platform'}` });
+      } catch (error) {
+        dbgWarn('FETCH_CONTEXT_FILES error:', error);
+        sendResponse({
+          success: false,
+          isAuthError: error instanceof AzureDevOpsAuthError,
+          error: error?.message || String(error)
+        });
+      }
+    })();
+    return true; // Keep channel open
+  }
+
+  // Repository tools called by the model in chat (read_file, list_directory, search_code).
+  // GitLab runs from the content script. Logic in services/repo-tool-runner.js.
+  if (message.type === 'RUN_REPO_TOOL') {
+    const { platform, target, name, args } = message;
+    (async () => {
+      try {
+        if (!target || !name) {
+          sendResponse({ success: false, error: 'Invalid repository tool request' });
+          return;
+        }
+
+        if (platform === 'github') {
+          const token = await getGitHubToken(target.hostname);
+          const canUseApi = !!token && await chrome.permissions.contains({ origins: [getGitHubApiOriginPattern(target.hostname)] });
+          const output = await runRepoTool({ platform, target, name, args, credentials: { token, canUseApi } });
+          sendResponse({ success: true, output });
+          return;
+        }
+
+        if (platform === 'azure-devops') {
+          const { azureDevOpsToken } = await chrome.storage.local.get(['azureDevOpsToken']);
+          if (!azureDevOpsToken) {
+            sendResponse({ success: false, isAuthError: true, error: 'Azure DevOps Personal Access Token is required' });
+            return;
+          }
+          const output = await runAzureFetchTask(async () => {
+            await azureDevOpsFetcher.init(target, azureDevOpsToken);
+            return runRepoTool({ platform, target, name, args });
+          });
+          sendResponse({ success: true, output });
+          return;
+        }
+
+        if (platform === 'bitbucket') {
+          const isDataCenter = typeof target.diffUrl === 'string' && target.diffUrl.includes('/rest/api/1.0/');
+          const creds = isDataCenter
+            ? await chrome.storage.local.get(['bitbucketDataCenterToken'])
+            : await chrome.storage.local.get(['bitbucketToken', 'bitbucketEmail']);
+          const credentials = isDataCenter
+            ? { token: creds.bitbucketDataCenterToken, email: null }
+            : { token: creds.bitbucketToken, email: creds.bitbucketEmail };
+          const output = await runRepoTool({ platform, target, name, args, credentials });
+          sendResponse({ success: true, output });
+          return;
+        }
+
+        sendResponse({ success: false, error: `Repository tools are not supported on ${platform || 'this platform'}` });
+      } catch (error) {
+        dbgWarn('RUN_REPO_TOOL error:', error);
+        sendResponse({
+          success: false,
+          isAuthError: error instanceof AzureDevOpsAuthError,
+          error: error?.message || String(error)
+        });
+      }
+    })();
+    return true; // Keep channel open
+  }
+
+  // Review history (IndexedDB in the extension origin). Logic in services/review-history-store.js.
+  if (message.type === 'SAVE_REVIEW_HISTORY') {
+    const { reviewKey, review, patchContent, metadata } = message;
+    (async () => {
+      try {
+        const id = await addReviewHistoryEntry({ reviewKey, review, patchContent, metadata });
+        sendResponse({ success: true, id });
+      } catch (error) {
+        dbgWarn('SAVE_REVIEW_HISTORY error:', error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+      }
+    })();
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'GET_REVIEW_HISTORY') {
+    (async () => {
+      try {
+        sendResponse({ success: true, entries: await listReviewHistory(message.reviewKey) });
+      } catch (error) {
+        dbgWarn('GET_REVIEW_HISTORY error:', error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+      }
+    })();
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'GET_REVIEW_HISTORY_ENTRY') {
+    (async () => {
+      try {
+        const entry = await getReviewHistoryEntry(message.id);
+        sendResponse(entry ? { success: true, entry } : { success: false, error: 'Review not found in history' });
+      } catch (error) {
+        dbgWarn('GET_REVIEW_HISTORY_ENTRY error:', error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+      }
+    })();
+    return true; // Keep channel open
+  }
+
+  if (message.type === 'CLEAR_REVIEW_HISTORY') {
+    (async () => {
+      try {
+        sendResponse({ success: true, deleted: await clearReviewHistory(message.reviewKey) });
+      } catch (error) {
+        dbgWarn('CLEAR_REVIEW_HISTORY error:', error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+      }
+    })();
+    return true; // Keep channel open
+  }
+
+  // Publish review findings as PR comments (GitHub, Azure DevOps, Bitbucket). GitLab posts from the
+  // content script with the page session. Logic in services/pr-comment-publisher.js.
+  if (message.type === 'PUBLISH_PR_COMMENTS') {
+    const { platform, target, comments } = message;
+    (async () => {
+      try {
+        if (!target || !Array.isArray(comments)) {
+          sendResponse({ success: false, error: 'Invalid publish request' });
+          return;
+        }
+
+        if (platform === 'github') {
+          const githubToken = await getGitHubToken(target.hostname);
+          const originPattern = getGitHubApiOriginPattern(target.hostname);
+          if (!githubToken) {
+            sendResponse({
+              success: false,
+              isAuthError: true,
+              error: `Add a GitHub token for ${target.hostname} in the extension popup (GitHub settings) to publish comments.`
+            });
+            return;
+          }
+          if (!(await chrome.permissions.contains({ origins: [originPattern] }))) {
+            sendResponse({
+              success: false,
+              isAuthError: true,
+              error: 'ThinkReview needs permission to call the GitHub API. Re-save your GitHub token in the extension popup to grant it.'
+            });
+            return;
+          }
+          sendResponse(await publishPullRequestComments({
+            platform,
+            target,
+            comments,
+            credentials: { token: githubToken }
+          }));
+          return;
+        }
+
+        if (platform === 'azure-devops') {
+          const { azureDevOpsToken } = await chrome.storage.local.get(['azureDevOpsToken']);
+          if (!azureDevOpsToken) {
+            sendResponse({
+              success: false,
+              isAuthError: true,
+              error: 'Azure DevOps Personal Access Token is required. Please configure it in the extension popup.'
+            });
+            return;
+          }
+          const result = await runAzureFetchTask(async () => {
+            await azureDevOpsFetcher.init(target, azureDevOpsToken);
+            return publishPullRequestComments({ platform, target, comments });
+          });
+          sendResponse(result);
+          return;
+        }
+
+        if (platform === 'bitbucket') {
+          const isDataCenter = typeof target.diffUrl === 'string' && target.diffUrl.includes('/rest/api/1.0/');
+          const creds = isDataCenter
+            ? await chrome.storage.local.get(['bitbucketDataCenterToken'])
+            : await chrome.storage.local.get(['bitbucketToken', 'bitbucketEmail']);
+          const credentials = isDataCenter
+            ? { token: creds.bitbucketDataCenterToken, email: null }
+            : { token: creds.bitbucketToken, email: creds.bitbucketEmail };
+          sendResponse(await publishPullRequestComments({ platform, target, comments, credentials }));
+          return;
+        }
+
+        sendResponse({ success: false, error: `Publishing comments is not supported on ${platform || 'this platform'}` });
+      } catch (error) {
+        dbgWarn('PUBLISH_PR_COMMENTS error:', error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+      }
+    })();
+    return true; // Keep channel open
+  }
+
   // Handle request to open extension page in a new tab
   if (message.type === 'OPEN_EXTENSION_PAGE') {
     if (!sender.origin || !isAllowedOpenPageOrigin(sender.origin)) {
@@ -1241,11 +1917,38 @@ async function handleWebappAuthChanged(message, sender, sendResponse) {
 // Dynamic Content Script Registration for Custom Domains
 const DEFAULT_DOMAINS = ['https://gitlab.com'];
 
+/**
+ * Store the provider and gateway URL set by the managed policy, so the popup and the cloud
+ * routing see them. Domains and filter rules are merged with the user settings when read.
+ */
+async function syncManagedPolicy() {
+  try {
+    const policy = await readManagedPolicy();
+    if (!policy.managed) return;
+
+    const stored = await chrome.storage.local.get(['aiProvider', 'gatewayBaseUrl']);
+    const updates = {};
+    const provider = resolveManagedProvider(policy, stored.aiProvider);
+    if (provider !== stored.aiProvider) updates.aiProvider = provider;
+    if (policy.gatewayBaseUrl && policy.gatewayBaseUrl !== stored.gatewayBaseUrl) updates.gatewayBaseUrl = policy.gatewayBaseUrl;
+    if (Object.keys(updates).length > 0) {
+      dbgLog('Applying managed policy settings:', updates);
+      await chrome.storage.local.set(updates);
+    }
+  } catch (error) {
+    dbgWarn('Error applying managed policy:', error);
+  }
+}
+
 // Register content scripts for stored domains on startup
-chrome.runtime.onStartup.addListener(updateContentScripts);
+chrome.runtime.onStartup.addListener(async () => {
+  await syncManagedPolicy();
+  await updateContentScripts();
+});
 chrome.runtime.onInstalled.addListener(async (details) => {
   // Await so the service worker stays alive until all scripts are registered/updated.
   // Without await, the SW can be terminated mid-registration (sporadic missing button on install/update).
+  await syncManagedPolicy();
   await updateContentScripts();
   
   // Open onboarding page on first install
@@ -1294,16 +1997,22 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
     dbgLog('Domains changed, updating content scripts');
     updateContentScripts();
   }
+  if (namespace === 'managed') {
+    dbgLog('Managed policy changed, applying it');
+    syncManagedPolicy().then(updateContentScripts);
+  }
 });
 
 async function updateContentScripts() {
   try {
     // Get current domains from storage
     const result = await chrome.storage.local.get(['gitlabDomains', 'azureDevOpsDomains', 'bitbucketAllowed', 'githubEnterpriseDomains', 'bitbucketDataCenterDomains']);
-    const gitlabDomains = result.gitlabDomains || DEFAULT_DOMAINS;
-    const customAzureDevOpsDomains = result.azureDevOpsDomains || [];
-    const githubEnterpriseDomains = result.githubEnterpriseDomains || [];
-    const bitbucketDataCenterDomains = result.bitbucketDataCenterDomains || [];
+    // Domains pushed by the managed policy come first; user domains are kept when the policy allows them
+    const policy = await readManagedPolicy();
+    const gitlabDomains = mergeManagedDomains(policy, 'gitlabDomains', result.gitlabDomains || DEFAULT_DOMAINS);
+    const customAzureDevOpsDomains = mergeManagedDomains(policy, 'azureDevOpsDomains', result.azureDevOpsDomains || []);
+    const githubEnterpriseDomains = mergeManagedDomains(policy, 'githubEnterpriseDomains', result.githubEnterpriseDomains || []);
+    const bitbucketDataCenterDomains = mergeManagedDomains(policy, 'bitbucketDataCenterDomains', result.bitbucketDataCenterDomains || []);
 
     // Built-in Azure DevOps domains (always included)
     const builtInAzureDevOpsDomains = [
@@ -2,6 +2,7 @@
  * Dynamic tabs for custom review agents: loader until ThinkReviewGetAgentReviewsForPatch returns.
  * The fetch should start in content.js right after reviewPatchCode_1_1 (via startAgentReviewsFetchForPatch) and
  * a promise is passed in; if not, we run ThinkReviewGetUserData then start the same fetch (legacy path).
+ * Local agents (utils/local-agents.js) run on the selected AI provider and fill their tabs one by one.
  */
 
 /** Incremented on each mount so stale fetches do not update the DOM after a new review. */
@@ -25,6 +26,27 @@ if (typeof dbgError === 'undefined') {
 }
 
 import { getAgentIcon } from './utils/agent-icon.js';
+import { LOCAL_AGENT_TIMEOUT_MS, runLocalAgentReview } from '../utils/local-agents.js';
+
+/** Wording of the loading and timeout states, by where the agent runs */
+const AGENT_STATE_COPY = {
+  cloud: {
+    closeHint: 'Feel free to close this panel and return in a few seconds; this agent\'s review will keep running in the cloud.',
+    timeout: 'The server stopped waiting; the agent may still be processing.'
+  },
+  local: {
+    closeHint: 'Feel free to close this panel and return in a few seconds; this agent\'s review will keep running on your AI provider.',
+    timeout: 'Your AI provider is taking longer than usual; the result will show here when it arrives.'
+  }
+};
+
+const ERROR_ICON_HTML =
+  '<div class="thinkreview-agent-error-icon-wrap">' +
+  '<svg class="thinkreview-agent-error-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">' +
+  '<circle cx="12" cy="12" r="9"/>' +
+  '<path d="M12 8v4m0 4h.01"/>' +
+  '</svg>' +
+  '</div>';
 
 export function sanitizeAgentIdForDom(id) {
   return String(id || 'agent').replace(/[^a-zA-Z0-9]/g, '_');
@@ -115,7 +137,13 @@ export async function renderEmptyAgentState(tabButtons, panelsWrap) {
   }
 }
 
-export function renderAgentLoadingTabs(enabledReviewAgents, tabButtons, panelsWrap) {
+/**
+ * @param {Array<{id: string, name: string, icon?: string}>} enabledReviewAgents
+ * @param {HTMLElement} tabButtons
+ * @param {HTMLElement} panelsWrap
+ * @param {'cloud'|'local'} [source]
+ */
+export function renderAgentLoadingTabs(enabledReviewAgents, tabButtons, panelsWrap, source = 'cloud') {
   for (const agent of enabledReviewAgents) {
     const safe = sanitizeAgentIdForDom(agent.id);
     const tabKey = `agent_${safe}`;
@@ -125,7 +153,8 @@ export function renderAgentLoadingTabs(enabledReviewAgents, tabButtons, panelsWr
     btn.className = 'thinkreview-tab-btn';
     btn.setAttribute('data-tab', tabKey);
     btn.setAttribute('data-thinkreview-agent-tab', '1');
-    btn.textContent = agent.name || 'Agent';
+    btn.textContent = agent.icon ? `${agent.icon} ${agent.name || 'Agent'}` : (agent.name || 'Agent');
+    if (source === 'local') btn.title = 'Local agent';
     tabButtons.appendChild(btn);
 
     const panel = document.createElement('div');
@@ -134,6 +163,7 @@ export function renderAgentLoadingTabs(enabledReviewAgents, tabButtons, panelsWr
     panel.setAttribute('data-tab', tabKey);
     panel.setAttribute('data-thinkreview-agent-panel', '1');
     panel.dataset.agentId = agent.id;
+    panel.dataset.agentSource = source;
 
     const scrollWrap = document.createElement('div');
     scrollWrap.className = 'thinkreview-agent-tab-scroll';
@@ -149,7 +179,7 @@ export function renderAgentLoadingTabs(enabledReviewAgents, tabButtons, panelsWr
       '<div class="thinkreview-agent-state-title">Agent Running</div>' +
       '<div class="thinkreview-agent-state-subtitle">Analyzing your code changes…</div>' +
       '<div class="thinkreview-agent-state-bar"><div class="thinkreview-agent-state-bar-fill"></div></div>' +
-      '<p class="loader-close-hint">Feel free to close this panel and return in a few seconds; this agent\'s review will keep running in the cloud.</p>' +
+      `<p class="loader-close-hint">${AGENT_STATE_COPY[source].closeHint}</p>` +
       '</div>';
 
     scrollWrap.appendChild(inner);
@@ -159,17 +189,12 @@ export function renderAgentLoadingTabs(enabledReviewAgents, tabButtons, panelsWr
 }
 
 export function handleAgentPayloadError(panelsWrap) {
-  panelsWrap.querySelectorAll('[data-thinkreview-agent-panel]').forEach((panel) => {
+  panelsWrap.querySelectorAll('[data-thinkreview-agent-panel]:not([data-agent-source="local"])').forEach((panel) => {
     const inner = panel.querySelector('.thinkreview-agent-tab-inner');
     if (inner) {
       inner.innerHTML =
         '<div class="thinkreview-agent-error">' +
-        '<div class="thinkreview-agent-error-icon-wrap">' +
-        '<svg class="thinkreview-agent-error-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">' +
-        '<circle cx="12" cy="12" r="9"/>' +
-        '<path d="M12 8v4m0 4h.01"/>' +
-        '</svg>' +
-        '</div>' +
+        ERROR_ICON_HTML +
         '<div class="thinkreview-agent-state-title">Could Not Load</div>' +
         '<div class="thinkreview-agent-state-subtitle">The agent review failed to load. Refresh the page to try again.</div>' +
         '</div>';
@@ -177,27 +202,37 @@ export function handleAgentPayloadError(panelsWrap) {
   });
 }
 
-export function renderAgentPanelState(inner, row, processors, timeoutInfo) {
+/**
+ * @param {HTMLElement} inner
+ * @param {Object|undefined} row - Agent payload row
+ * @param {Object} processors
+ * @param {boolean} timeoutInfo - The wait for the result timed out
+ * @param {'cloud'|'local'} [source]
+ */
+export function renderAgentPanelState(inner, row, processors, timeoutInfo, source = 'cloud') {
+  const copy = AGENT_STATE_COPY[source];
   if (!row) {
     inner.innerHTML =
       '<div class="thinkreview-agent-error">' +
-      '<div class="thinkreview-agent-error-icon-wrap">' +
-      '<svg class="thinkreview-agent-error-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">' +
-      '<circle cx="12" cy="12" r="9"/>' +
-      '<path d="M12 8v4m0 4h.01"/>' +
-      '</svg>' +
-      '</div>' +
+      ERROR_ICON_HTML +
       '<div class="thinkreview-agent-state-title">No Result</div>' +
       '<div class="thinkreview-agent-state-subtitle">No result was returned for this agent.</div>' +
       '</div>';
     return;
   }
 
+  if (row.error) {
+    inner.innerHTML =
+      '<div class="thinkreview-agent-error">' +
+      ERROR_ICON_HTML +
+      '<div class="thinkreview-agent-state-title">Agent Failed</div>' +
+      `<div class="thinkreview-agent-state-subtitle">${escapeHtml(row.error)}</div>` +
+      '</div>';
+    return;
+  }
+
   if (row.pending) {
-    const extra =
-      timeoutInfo
-        ? 'The server stopped waiting; the agent may still be processing.'
-        : '';
+    const extra = timeoutInfo ? copy.timeout : '';
     inner.innerHTML =
       '<div class="thinkreview-agent-loading">' +
       '<div class="thinkreview-agent-state-icon-wrap thinkreview-agent-state-icon-wrap--pending">' +
@@ -209,7 +244,7 @@ export function renderAgentPanelState(inner, row, processors, timeoutInfo) {
       '</div>' +
       '<div class="thinkreview-agent-state-title">Still Processing</div>' +
       `<div class="thinkreview-agent-state-subtitle">${extra || 'The agent is still working.'} Check back in a moment.</div>` +
-      '<p class="loader-close-hint">Feel free to close this panel and return in a few seconds; this agent\'s review will keep running in the cloud.</p>' +
+      `<p class="loader-close-hint">${copy.closeHint}</p>` +
       '</div>';
     return;
   }
@@ -397,17 +432,58 @@ export function sortAgentTabs(tabButtons, panelsWrap, byId) {
 
 export { startAgentReviewsFetchForPatch } from '../utils/fetch-agent-reviews-background.js';
 
+/**
+ * Add the tabs of the local agents and run them in parallel; each tab is filled when its agent answers.
+ * Agents still running after LOCAL_AGENT_TIMEOUT_MS are shown as still processing until they answer.
+ * @param {Array<Object>} localReviewAgents - Enabled agents from utils/local-agents.js
+ * @param {Object} ctx - { patchContent, askProvider, processors, tabButtons, panelsWrap, generation, dbgWarn }
+ */
+function mountLocalAgentTabs(localReviewAgents, { patchContent, askProvider, processors, tabButtons, panelsWrap, generation, dbgWarn }) {
+  renderAgentLoadingTabs(localReviewAgents, tabButtons, panelsWrap, 'local');
+
+  const findInner = (agentId) => {
+    const panel = Array.from(panelsWrap.querySelectorAll('[data-thinkreview-agent-panel][data-agent-source="local"]'))
+      .find((el) => el.dataset.agentId === agentId);
+    return panel ? panel.querySelector('.thinkreview-agent-tab-inner') : null;
+  };
+
+  const finished = new Set();
+  const timer = setTimeout(() => {
+    if (generation !== agentTabFetchGeneration) return;
+    for (const agent of localReviewAgents) {
+      const inner = finished.has(agent.id) ? null : findInner(agent.id);
+      if (inner) renderAgentPanelState(inner, { agentId: agent.id, pending: true }, processors, true, 'local');
+    }
+  }, LOCAL_AGENT_TIMEOUT_MS);
+
+  const runs = localReviewAgents.map(async (agent) => {
+    const row = await runLocalAgentReview(agent, patchContent, askProvider);
+    finished.add(agent.id);
+    if (generation !== agentTabFetchGeneration) return;
+    if (row.error) dbgWarn(`Local agent "${agent.name}" failed:`, row.error);
+    const inner = findInner(agent.id);
+    if (inner) renderAgentPanelState(inner, row, processors, false, 'local');
+    if (row.relevanceSkipped) {
+      sortAgentTabs(tabButtons, panelsWrap, new Map([[agent.id, row]]));
+    }
+  });
+  Promise.all(runs).finally(() => clearTimeout(timer));
+}
+
 /**
  * @param {Object} opts
  * @param {Array<{id: string, name: string}>} opts.enabledReviewAgents
+ * @param {Array<Object>} [opts.localReviewAgents] - enabled local agents (utils/local-agents.js), run on any provider
+ * @param {(patch: string, prompt: string) => Promise<string>} [opts.askProvider] - sends a local agent prompt to the AI provider
  * @param {string} opts.patchContent - exact string sent to reviewPatchCode_1_1
  * @param {string|null|undefined} opts.mrId
  * @param {string} opts.provider - 'cloud' | 'ollama' | etc.
  * @param {Promise<{ success: boolean, data?: object, error?: string }>|null|undefined} [opts.agentReviewsResultPromise] - from startAgentReviewsFetchForPatch
+ * @param {(value: Object) => Object} [opts.restorePlaceholders] - maps privacy guard placeholders in the cloud results back to the original values
  * @param {{ dbgLog?: Function, dbgWarn?: Function }} opts.logger
  */
 export async function mountAgentReviewTabs(opts) {
-  const { enabledReviewAgents, patchContent, mrId, provider, logger = {}, agentReviewsResultPromise } = opts;
+  const { enabledReviewAgents, localReviewAgents, askProvider, patchContent, mrId, provider, logger = {}, agentReviewsResultPromise, restorePlaceholders } = opts;
   const dbgLog = logger.dbgLog || (() => { });
   const dbgWarn = logger.dbgWarn || (() => { });
 
@@ -415,7 +491,8 @@ export async function mountAgentReviewTabs(opts) {
 
   removePriorAgentTabs();
 
-  if (provider !== 'cloud') {
+  const localAgents = Array.isArray(localReviewAgents) && typeof askProvider === 'function' ? localReviewAgents : [];
+  if (provider !== 'cloud' && localAgents.length === 0) {
     return;
   }
 
@@ -426,7 +503,8 @@ export async function mountAgentReviewTabs(opts) {
     return;
   }
 
-  if (!Array.isArray(enabledReviewAgents) || enabledReviewAgents.length === 0) {
+  const hasCloudAgents = provider === 'cloud' && Array.isArray(enabledReviewAgents) && enabledReviewAgents.length > 0;
+  if (!hasCloudAgents && localAgents.length === 0) {
     await renderEmptyAgentState(tabButtons, panelsWrap);
     return;
   }
@@ -445,18 +523,27 @@ export async function mountAgentReviewTabs(opts) {
     attachCopyButtonToItem: copyBtnModule.attachCopyButtonToItem
   };
 
-  renderAgentLoadingTabs(enabledReviewAgents, tabButtons, panelsWrap);
+  if (hasCloudAgents) {
+    renderAgentLoadingTabs(enabledReviewAgents, tabButtons, panelsWrap);
+  }
+  if (localAgents.length > 0) {
+    mountLocalAgentTabs(localAgents, { patchContent, askProvider, processors, tabButtons, panelsWrap, generation: myGeneration, dbgWarn });
+  }
+  if (!hasCloudAgents) {
+    return;
+  }
 
-  const applyResults = (payload) => {
-    if (!payload || typeof payload !== 'object') {
+  const applyResults = (rawPayload) => {
+    if (!rawPayload || typeof rawPayload !== 'object') {
       handleAgentPayloadError(panelsWrap);
       return;
     }
+    const payload = typeof restorePlaceholders === 'function' ? restorePlaceholders(rawPayload) : rawPayload;
 
     const agents = Array.isArray(payload.agents) ? payload.agents : [];
     const byId = new Map(agents.map((a) => [a.agentId, a]));
 
-    panelsWrap.querySelectorAll('[data-thinkreview-agent-panel]').forEach((panel) => {
+    panelsWrap.querySelectorAll('[data-thinkreview-agent-panel][data-agent-source="cloud"]').forEach((panel) => {
       const agentId = panel.dataset.agentId;
       const inner = panel.querySelector('.thinkreview-agent-tab-inner');
       if (!inner || !agentId) return;
@@ -0,0 +1,70 @@
+// chat-thread-bar.js
+// Bar above the chat log of the integrated review panel: the saved conversations of the current
+// MR/PR (utils/chat-threads.js) to switch between, and a button that starts a new conversation.
+
+/**
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatThreadDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Render (or hide, when there is no conversation yet) the thread bar.
+ * @param {HTMLElement|null} container - #chat-thread-bar
+ * @param {Object} params
+ * @param {Array<Object>} params.threads - listChatThreads() result
+ * @param {string|null} params.activeThreadId - Thread shown in the chat log; null for a new conversation
+ * @param {(threadId: string) => void} params.onSelect
+ * @param {() => void} params.onNew
+ */
+export function renderChatThreadBar(container, { threads, activeThreadId, onSelect, onNew }) {
+  if (!container) return;
+  container.replaceChildren();
+  if (threads.length === 0) {
+    container.classList.add('gl-hidden');
+    return;
+  }
+  container.classList.remove('gl-hidden');
+
+  const select = document.createElement('select');
+  select.className = 'thinkreview-chat-thread-select';
+  select.setAttribute('aria-label', 'Saved conversations');
+  if (!activeThreadId) {
+    select.appendChild(new Option('New conversation', '', true, true));
+  }
+  threads.forEach((thread) => {
+    const count = thread.messages?.length || 0;
+    const option = new Option(
+      `${thread.title} · ${formatThreadDate(thread.updatedAt)} · ${count} ${count === 1 ? 'message' : 'messages'}`,
+      thread.id,
+      false,
+      thread.id === activeThreadId
+    );
+    select.appendChild(option);
+  });
+  select.addEventListener('change', () => {
+    if (select.value) onSelect(select.value);
+  });
+
+  const newButton = document.createElement('button');
+  newButton.type = 'button';
+  newButton.className = 'thinkreview-chat-thread-new-btn';
+  newButton.textContent = '+ New conversation';
+  newButton.disabled = !activeThreadId;
+  newButton.addEventListener('click', () => onNew());
+
+  container.append(select, newButton);
+}
+
+/**
+ * Warning shown at the top of a restored conversation started on a different patch.
+ * @returns {HTMLElement}
+ */
+export function createStalePatchNotice() {
+  const notice = document.createElement('div');
+  notice.className = 'thinkreview-chat-thread-stale';
+  notice.textContent = '⚠️ The patch has changed since this conversation started. Earlier answers may refer to code that is no longer in the pull request.';
+  return notice;
+}
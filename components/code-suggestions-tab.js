@@ -35,8 +35,10 @@ function hasCodeSuggestionsAccess(subscriptionType) {
  * @param {Object} [params.patchSize] - Patch size info { original, truncated, wasForcedTruncated, ... } from backend
  * @param {Object} [params.logger] - Optional { dbgLog, dbgWarn }
  * @param {Function} [params.onExplainSuggestion] - Callback(suggestion) when Explain is clicked; switches to Review tab and sends message
+ * @param {Function|null} [params.onPublishSuggestions] - Callback() that opens the Publish to PR dialog with the code suggestions;
+ *   the button is shown when it is set and a suggestion has a file and line
  */
-export async function updateCodeSuggestionsTab({ review, patchContent, subscriptionType = 'Free', wasForcedTruncated = false, patchSize = null, logger = {}, onExplainSuggestion } = {}) {
+export async function updateCodeSuggestionsTab({ review, patchContent, subscriptionType = 'Free', wasForcedTruncated = false, patchSize = null, logger = {}, onExplainSuggestion, onPublishSuggestions = null } = {}) {
   const { dbgLog = () => {}, dbgWarn = (...args) => console.warn('[CodeSuggestionsTab]', ...args) } = logger;
 
   const codeSuggestionsTabBtn = document.getElementById('tab-btn-code-suggestions');
@@ -188,6 +190,33 @@ export async function updateCodeSuggestionsTab({ review, patchContent, subscript
       });
       
       codeSuggestionsInner.appendChild(toggleContainer);
+
+      // Publish the located suggestions as native suggestion comments (components/publish-to-pr.js)
+      const hasLocatedSuggestion = review.codeSuggestions.some((s) => s?.filePath && typeof s.startLine === 'number');
+      if (typeof onPublishSuggestions === 'function' && hasLocatedSuggestion) {
+        const publishBtn = document.createElement('button');
+        publishBtn.type = 'button';
+        publishBtn.className = 'thinkreview-publish-suggestions-btn';
+        publishBtn.textContent = 'Publish as suggestions…';
+        publishBtn.title = 'Post the code suggestions on the PR as suggestions the author can commit';
+        Object.assign(publishBtn.style, {
+          marginBottom: '12px',
+          padding: '6px 10px',
+          fontSize: '12px',
+          fontWeight: '500',
+          color: '#ffffff',
+          backgroundColor: '#6b4fbb',
+          border: 'none',
+          borderRadius: '4px',
+          cursor: 'pointer'
+        });
+        publishBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          e.preventDefault();
+          onPublishSuggestions();
+        });
+        codeSuggestionsInner.appendChild(publishBtn);
+      }
       
       const [suggestionModule, copyModule, analyticsModule] = await Promise.all([
         import(chrome.runtime.getURL('components/utils/code-suggestion-element.js')),
@@ -228,6 +257,7 @@ export async function updateCodeSuggestionsTab({ review, patchContent, subscript
         // Wrap in suggestion-tab-item div (separate class from diff injection to avoid reinject conflicts)
         const wrapper = document.createElement('div');
         wrapper.className = 'thinkreview-suggestion-tab-item';
+        wrapper.dataset.reviewItemId = `suggestion-${i}`;
         Object.assign(wrapper.style, {
           marginTop: '8px',
           padding: '8px',
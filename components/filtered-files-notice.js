@@ -0,0 +1,77 @@
+// filtered-files-notice.js
+// Notice listing the files the patch filter removed from the review, the rule that removed each
+// one, and "Review anyway" actions that regenerate the review with those files included.
+
+import { describeFilterRule } from '../utils/patch-filter.js';
+
+/**
+ * Ask content.js to include the files and regenerate the review.
+ * @param {string[]} files
+ */
+function requestReviewAnyway(files) {
+  document.dispatchEvent(new CustomEvent('thinkreview-review-filtered-files', { detail: { files } }));
+}
+
+/**
+ * Render (or hide) the filtered files notice.
+ * @param {HTMLElement} container
+ * @param {Array<{ filename: string, rule: string, detail?: string|null }>|null} filteredFiles - filterPatch().removed
+ */
+export function renderFilteredFilesNotice(container, filteredFiles) {
+  if (!container) return;
+  container.replaceChildren();
+
+  const files = Array.isArray(filteredFiles) ? filteredFiles : [];
+  if (files.length === 0) {
+    container.classList.add('gl-hidden');
+    return;
+  }
+  // Media/binary diffs carry no reviewable text
+  const reviewable = files.filter((file) => file.rule !== 'media').map((file) => file.filename);
+
+  const details = document.createElement('details');
+  details.className = 'thinkreview-filtered-files';
+  const summary = document.createElement('summary');
+  summary.textContent = `${files.length} file${files.length === 1 ? '' : 's'} excluded from this review`;
+  details.appendChild(summary);
+
+  const list = document.createElement('ul');
+  list.className = 'thinkreview-filtered-files-list';
+  files.forEach((file) => {
+    const li = document.createElement('li');
+    const name = document.createElement('span');
+    name.className = 'thinkreview-filtered-files-name';
+    name.textContent = file.filename;
+    name.title = file.filename;
+    const reason = document.createElement('span');
+    reason.className = 'thinkreview-filtered-files-reason';
+    reason.textContent = describeFilterRule(file);
+    li.appendChild(name);
+    li.appendChild(reason);
+
+    if (file.rule !== 'media') {
+      const reviewBtn = document.createElement('button');
+      reviewBtn.type = 'button';
+      reviewBtn.className = 'thinkreview-filtered-files-btn';
+      reviewBtn.textContent = 'Review anyway';
+      reviewBtn.addEventListener('click', () => requestReviewAnyway([file.filename]));
+      li.appendChild(reviewBtn);
+    }
+    list.appendChild(li);
+  });
+  details.appendChild(list);
+
+  if (reviewable.length > 1) {
+    const reviewAllBtn = document.createElement('button');
+    reviewAllBtn.type = 'button';
+    reviewAllBtn.className = 'thinkreview-filtered-files-btn thinkreview-filtered-files-all-btn';
+    reviewAllBtn.textContent = `Review all ${reviewable.length} anyway`;
+    reviewAllBtn.addEventListener('click', () => requestReviewAnyway(reviewable));
+    details.appendChild(reviewAllBtn);
+  }
+
+  container.appendChild(details);
+  container.classList.remove('gl-hidden');
+}
+
+export default { renderFilteredFilesNotice };
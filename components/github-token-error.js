@@ -0,0 +1,196 @@
+// github-token-error.js
+// Module for displaying GitHub token configuration error with helpful UI
+import { dbgLog, dbgWarn } from '../utils/logger.js';
+
+const GITHUB_DOCS_URL = 'https://thinkreview.dev/docs/github-integration';
+
+/**
+ * Shows GitHub token configuration error with helpful UI
+ * @param {Function} stopEnhancedLoader - Function to stop the enhanced loader if running
+ * @param {Object} [options]
+ * @param {string} [options.hostname] - GitHub host the token is needed for
+ * @param {string|null} [options.extraInfo] - Optional server error message to surface to the user
+ * @param {string|null} [options.ssoUrl] - Page to authorize the token for an organization with SAML SSO
+ */
+export function showGitHubTokenError(stopEnhancedLoader = null, { hostname = 'github.com', extraInfo = null, ssoUrl = null } = {}) {
+  if (typeof stopEnhancedLoader === 'function') {
+    stopEnhancedLoader();
+  }
+
+  const reviewLoading = document.getElementById('review-loading');
+  const reviewContent = document.getElementById('review-content');
+  const reviewError = document.getElementById('review-error');
+
+  if (reviewLoading) reviewLoading.classList.add('gl-hidden');
+  if (reviewContent) reviewContent.classList.add('gl-hidden');
+  if (reviewError) reviewError.classList.add('gl-hidden');
+
+  let tokenError = document.getElementById('review-github-token-error');
+  if (!tokenError) {
+    tokenError = createTokenErrorElement();
+    const cardBody = document.querySelector('#gitlab-mr-integrated-review .thinkreview-card-body');
+    if (cardBody) {
+      cardBody.appendChild(tokenError);
+    }
+  }
+
+  updateTokenErrorDetails(tokenError, { hostname, extraInfo, ssoUrl });
+  tokenError.classList.remove('gl-hidden');
+}
+
+function createTokenErrorElement() {
+  const tokenError = document.createElement('div');
+  tokenError.id = 'review-github-token-error';
+  tokenError.className = 'gl-p-5 gl-text-center';
+  Object.assign(tokenError.style, {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    justifyContent: 'center',
+    flex: '1',
+    minHeight: '0',
+    boxSizing: 'border-box'
+  });
+
+  const messageContainer = document.createElement('div');
+  messageContainer.className = 'gl-mb-5';
+  messageContainer.style.textAlign = 'center';
+
+  const heading = document.createElement('h3');
+  heading.className = 'github-token-heading';
+  heading.style.textAlign = 'center';
+  heading.style.marginBottom = '12px';
+  heading.style.fontSize = '18px';
+  heading.style.fontWeight = '600';
+  heading.style.color = '#e6e6e6';
+  heading.style.textShadow = '0 1px 2px rgba(0, 0, 0, 0.3)';
+  heading.textContent = 'GitHub token required';
+  messageContainer.appendChild(heading);
+
+  const description = document.createElement('p');
+  description.className = 'github-token-description';
+  description.style.textAlign = 'center';
+  description.style.marginBottom = '16px';
+  description.style.fontSize = '14px';
+  description.style.color = '#b3b3b3';
+  description.style.lineHeight = '1.4';
+  description.style.textShadow = '0 1px 2px rgba(0, 0, 0, 0.2)';
+  messageContainer.appendChild(description);
+
+  const extraDetails = document.createElement('p');
+  extraDetails.className = 'github-token-extra';
+  extraDetails.style.display = 'none';
+  extraDetails.style.textAlign = 'left';
+  extraDetails.style.marginBottom = '16px';
+  extraDetails.style.fontSize = '12px';
+  extraDetails.style.color = '#ffb347';
+  extraDetails.style.lineHeight = '1.5';
+  extraDetails.style.background = 'rgba(255, 179, 71, 0.08)';
+  extraDetails.style.border = '1px solid rgba(255, 179, 71, 0.35)';
+  extraDetails.style.borderRadius = '6px';
+  extraDetails.style.padding = '10px 12px';
+  extraDetails.style.wordBreak = 'break-word';
+  messageContainer.appendChild(extraDetails);
+
+  tokenError.appendChild(messageContainer);
+
+  const actionContainer = document.createElement('div');
+  actionContainer.className = 'github-token-actions';
+  actionContainer.style.display = 'flex';
+  actionContainer.style.flexDirection = 'column';
+  actionContainer.style.gap = '12px';
+  actionContainer.style.alignItems = 'center';
+
+  const settingsButton = document.createElement('button');
+  settingsButton.className = 'github-token-settings-button';
+  Object.assign(settingsButton.style, {
+    backgroundColor: '#238636',
+    color: 'white',
+    border: 'none',
+    padding: '12px 20px',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500',
+    boxShadow: '0 2px 4px rgba(0, 0, 0, 0.2)'
+  });
+  settingsButton.textContent = 'Open Extension Settings';
+  settingsButton.addEventListener('click', () => {
+    dbgLog('[Content] Requesting background to open extension popup for GitHub token');
+    chrome.runtime.sendMessage({ type: 'OPEN_EXTENSION_POPUP' }, (response) => {
+      if (chrome.runtime.lastError) {
+        dbgWarn('[Content] Error opening extension popup:', chrome.runtime.lastError);
+      }
+    });
+  });
+  actionContainer.appendChild(settingsButton);
+
+  const ssoLink = createLink('github-token-sso-link', 'Authorize the token for this organization (SSO)');
+  ssoLink.style.display = 'none';
+  actionContainer.appendChild(ssoLink);
+
+  const learnLink = createLink('github-token-learn-link', 'How to create a GitHub token for ThinkReview');
+  learnLink.href = GITHUB_DOCS_URL;
+  actionContainer.appendChild(learnLink);
+
+  tokenError.appendChild(actionContainer);
+  return tokenError;
+}
+
+function createLink(className, text) {
+  const link = document.createElement('a');
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.className = className;
+  Object.assign(link.style, {
+    color: '#4da6ff',
+    textDecoration: 'none',
+    fontSize: '14px'
+  });
+  link.textContent = text;
+  link.addEventListener('mouseenter', () => { link.style.textDecoration = 'underline'; });
+  link.addEventListener('mouseleave', () => { link.style.textDecoration = 'none'; });
+  return link;
+}
+
+/**
+ * Updates the description, the SSO link and the optional server message.
+ * @param {HTMLElement} container - The token error container element
+ * @param {{ hostname: string, extraInfo: string|null, ssoUrl: string|null }} details
+ */
+function updateTokenErrorDetails(container, { hostname, extraInfo, ssoUrl }) {
+  const description = container.querySelector('.github-token-description');
+  if (description) {
+    description.textContent = ssoUrl
+      ? `Your token for ${hostname} works, but the organization requires single sign-on. Authorize the token for it, then review again.`
+      : `ThinkReview could not read this pull request. Add a personal access or fine-grained token for ${hostname} with read access to pull requests and contents.`;
+  }
+
+  const ssoLink = container.querySelector('.github-token-sso-link');
+  if (ssoLink) {
+    // Only GitHub pages are linked
+    const isGitHubPage = typeof ssoUrl === 'string' && /^https:\/\//.test(ssoUrl);
+    ssoLink.href = isGitHubPage ? ssoUrl : '#';
+    ssoLink.style.display = isGitHubPage ? 'inline' : 'none';
+  }
+
+  const extraElement = container.querySelector('.github-token-extra');
+  if (!extraElement) return;
+
+  if (extraInfo && extraInfo.trim().length > 0) {
+    const trimmed = extraInfo.trim();
+    const displayText = trimmed.length > 400 ? `${trimmed.slice(0, 397)}…` : trimmed;
+    extraElement.textContent = `Server message: ${displayText}`;
+    extraElement.style.display = 'block';
+  } else {
+    extraElement.textContent = '';
+    extraElement.style.display = 'none';
+  }
+}
+
+export function hideGitHubTokenError() {
+  const tokenError = document.getElementById('review-github-token-error');
+  if (tokenError) {
+    tokenError.classList.add('gl-hidden');
+  }
+}
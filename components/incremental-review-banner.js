@@ -0,0 +1,120 @@
+// incremental-review-banner.js
+// Banner shown above an incremental re-review: which commits were reviewed, how the earlier
+// findings changed (new / still present / resolved), the resolved findings, and a full-review action.
+
+const SEVERITY_LABELS = {
+  critical: 'Critical',
+  high: 'High',
+  low: 'Low',
+  suggestion: 'Suggestion'
+};
+
+/**
+ * @param {string} sha
+ * @returns {string}
+ */
+function shortSha(sha) {
+  return String(sha || '').slice(0, 7);
+}
+
+/**
+ * @param {{ filePath?: string, startLine?: number, endLine?: number }} finding
+ * @returns {string}
+ */
+function formatFindingLocation(finding) {
+  if (!finding.filePath) return '';
+  if (typeof finding.startLine !== 'number') return finding.filePath;
+  return typeof finding.endLine === 'number' && finding.endLine !== finding.startLine
+    ? `${finding.filePath}:${finding.startLine}-${finding.endLine}`
+    : `${finding.filePath}:${finding.startLine}`;
+}
+
+/**
+ * Render (or hide) the incremental review banner.
+ * @param {HTMLElement} container
+ * @param {Object} review - Merged review from utils/incremental-review.js (has `incremental` and `resolvedFindings`)
+ * @param {Object} [handlers]
+ * @param {Function} [handlers.onFullReview] - Re-run the review over the whole PR
+ */
+export function renderIncrementalReviewBanner(container, review, handlers = {}) {
+  if (!container) return;
+  container.replaceChildren();
+
+  const incremental = review?.incremental;
+  if (!incremental) {
+    container.classList.add('gl-hidden');
+    return;
+  }
+
+  const banner = document.createElement('div');
+  banner.className = 'thinkreview-incremental-banner';
+
+  const topRow = document.createElement('div');
+  topRow.className = 'thinkreview-incremental-top-row';
+
+  const text = document.createElement('div');
+  text.className = 'thinkreview-incremental-text';
+  const title = document.createElement('strong');
+  title.textContent = 'Incremental review';
+  const range = document.createElement('span');
+  range.className = 'thinkreview-incremental-range';
+  range.textContent = ` · commits ${shortSha(incremental.baseSha)}..${shortSha(incremental.headSha)}`;
+  const counts = document.createElement('div');
+  counts.className = 'thinkreview-incremental-counts';
+  counts.textContent = `${incremental.newCount} new · ${incremental.stillPresentCount} still present · ${incremental.resolvedCount} resolved`;
+  text.appendChild(title);
+  text.appendChild(range);
+  text.appendChild(counts);
+  topRow.appendChild(text);
+
+  if (typeof handlers.onFullReview === 'function') {
+    const fullReviewBtn = document.createElement('button');
+    fullReviewBtn.type = 'button';
+    fullReviewBtn.className = 'thinkreview-incremental-full-btn';
+    fullReviewBtn.textContent = 'Review full PR';
+    fullReviewBtn.title = 'Review all changes in this PR instead of only the commits since the last review';
+    fullReviewBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handlers.onFullReview();
+    });
+    topRow.appendChild(fullReviewBtn);
+  }
+  banner.appendChild(topRow);
+
+  const resolved = Array.isArray(review.resolvedFindings) ? review.resolvedFindings : [];
+  if (resolved.length > 0) {
+    const details = document.createElement('details');
+    details.className = 'thinkreview-incremental-resolved';
+    const summary = document.createElement('summary');
+    summary.textContent = `Resolved since last review (${resolved.length})`;
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    resolved.forEach((finding) => {
+      const li = document.createElement('li');
+      const badge = document.createElement('span');
+      badge.className = `thinkreview-incremental-severity thinkreview-incremental-severity-${finding.incrementalLevel}`;
+      badge.textContent = SEVERITY_LABELS[finding.incrementalLevel] || finding.incrementalLevel;
+      const label = document.createElement('span');
+      label.className = 'thinkreview-incremental-resolved-title';
+      label.textContent = (finding.incrementalLevel === 'suggestion' ? finding.description : finding.title) || 'Untitled';
+      li.appendChild(badge);
+      li.appendChild(label);
+      const location = formatFindingLocation(finding);
+      if (location) {
+        const locEl = document.createElement('span');
+        locEl.className = 'thinkreview-incremental-resolved-location';
+        locEl.textContent = location;
+        li.appendChild(locEl);
+      }
+      list.appendChild(li);
+    });
+    details.appendChild(list);
+    banner.appendChild(details);
+  }
+
+  container.appendChild(banner);
+  container.classList.remove('gl-hidden');
+}
+
+export default { renderIncrementalReviewBanner };
@@ -82,6 +82,18 @@ let attachCopyButtonToItem = null;
 
 // Store current review data for copy-all functionality
 let currentReviewData = null;
+// Platform, provider and model of currentReviewData for the settings menu Export flyout
+let currentReviewExportMeta = null;
+// Review, patch and platform shown as inline annotations in the diff view (settings menu → Annotate diff)
+let currentDiffAnnotationsSource = null;
+
+// Bring-your-own-key and self-run API providers (patch-only context, metadata bar with token usage)
+const REVIEW_API_PROVIDER_LABELS = {
+  openrouter: 'OpenRouter',
+  'openai-compatible': 'OpenAI-compatible server',
+  anthropic: 'Anthropic',
+  'azure-openai': 'Azure OpenAI'
+};
 
 // Badge utils
 let createNewBadge = null;
@@ -232,6 +244,13 @@ function hideReviewPromptWhilePanelClosed() {
 // Conversation history
 let conversationHistory = [];
 let currentPatchContent = '';
+// Repository tool calls made by the model in this conversation (bounded by REPO_TOOL_FETCH_BUDGET)
+let repoToolFetchCount = 0;
+// Messages at the start of conversationHistory that carry the review, before the chat itself
+const REVIEW_CONTEXT_MESSAGE_COUNT = 2;
+// Saved conversation shown in the chat log ({ id, patchHash }, utils/chat-threads.js); null until the first answer is saved
+let currentChatThread = null;
+let currentPatchHash = null;
 
 /**
  * Clears stored patch content, conversation history, and review panel UI.
@@ -241,6 +260,9 @@ let currentPatchContent = '';
 function clearPatchContentAndHistory() {
   currentPatchContent = '';
   conversationHistory = [];
+  repoToolFetchCount = 0;
+  currentChatThread = null;
+  currentPatchHash = null;
   currentReviewData = null;
   stopEnhancedLoader();
 
@@ -248,6 +270,7 @@ function clearPatchContentAndHistory() {
   if (chatLog) {
     chatLog.replaceChildren();
   }
+  document.getElementById('chat-thread-bar')?.classList.add('gl-hidden');
 
   const elementsToHide = [
     'review-loading',
@@ -255,8 +278,14 @@ function clearPatchContentAndHistory() {
     'review-error',
     'review-azure-token-error',
     'review-bitbucket-token-error',
+    'review-github-token-error',
+    'review-gitlab-token-error',
     'review-login-prompt',
     'review-patch-size-banner',
+    'review-incremental-banner',
+    'review-history-notice',
+    'review-filtered-files-notice',
+    'review-redaction-notice',
   ];
 
   elementsToHide.forEach((id) => {
@@ -488,6 +517,9 @@ async function createIntegratedReviewPanel(patchUrl) {
                 </div>
                 <div class="progress-text">Retrieving patch data...</div>
               </div>
+              <div id="review-redaction-confirm" class="gl-hidden"></div>
+              <div id="review-stream-preview" class="thinkreview-stream-preview gl-hidden" aria-live="polite"></div>
+              <button type="button" id="review-cancel-btn" class="thinkreview-review-cancel-btn gl-hidden">Cancel review</button>
               <p class="loader-close-hint">Feel free to close this panel and return in a few seconds; your review will keep running in the cloud.</p>
             </div>
           </div>
@@ -506,6 +538,7 @@ async function createIntegratedReviewPanel(patchUrl) {
                 <div class="thinkreview-error-icon">⚠️</div>
                 <div class="thinkreview-error-content">
                   <div id="review-error-message" class="thinkreview-error-message">Failed to load code review.</div>
+                  <button type="button" id="review-error-history-btn" class="thinkreview-error-history-btn gl-hidden">View saved reviews of this PR</button>
                 </div>
               </div>
             </div>
@@ -513,6 +546,10 @@ async function createIntegratedReviewPanel(patchUrl) {
             <div id="review-prompt-container"></div>
             <div id="review-news-banner" class="thinkreview-news-banner gl-hidden gl-mb-4" role="region" aria-label="ThinkReview announcement"></div>
             <div id="review-patch-size-banner" class="gl-mb-4 gl-hidden"></div>
+            <div id="review-incremental-banner" class="gl-mb-4 gl-hidden"></div>
+            <div id="review-history-notice" class="thinkreview-history-notice gl-mb-4 gl-hidden" role="status"></div>
+            <div id="review-filtered-files-notice" class="gl-mb-4 gl-hidden"></div>
+            <div id="review-redaction-notice" class="gl-mb-4 gl-hidden"></div>
             <div id="review-metrics-container" class="gl-mb-4"></div>
             <div id="review-severity-container" class="gl-mb-4 gl-hidden"></div>
             <div id="review-summary-container" class="gl-mb-4">
@@ -564,6 +601,28 @@ async function createIntegratedReviewPanel(patchUrl) {
                   </svg>
                   <span>Add an Agent</span>
                 </a>
+                <button type="button"
+                   id="publish-to-pr-btn"
+                   class="thinkreview-severity-action-btn gl-hidden"
+                   title="Post findings as review comments on this PR/MR"
+                   aria-label="Publish to PR">
+                  <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                    <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+                  </svg>
+                  <span>Publish to PR</span>
+                </button>
+                <button type="button"
+                   id="review-history-btn"
+                   class="thinkreview-severity-action-btn"
+                   title="Earlier reviews of this PR saved on this device"
+                   aria-label="Review history">
+                  <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                    <path d="M3 12a9 9 0 1 0 3-6.7L3 8"></path>
+                    <path d="M3 3v5h5"></path>
+                    <path d="M12 7v5l4 2"></path>
+                  </svg>
+                  <span>History</span>
+                </button>
               </div>
               <div class="thinkreview-feedback-helpful">
                 <div class="thinkreview-feedback-label">Was this review helpful?</div>
@@ -581,6 +640,7 @@ async function createIntegratedReviewPanel(patchUrl) {
                 </div>
               </div>
             </div>
+            <div id="chat-thread-bar" class="thinkreview-chat-thread-bar gl-hidden"></div>
             <div id="chat-log" class="thinkreview-chat-log"></div>
             </div>
           </div>
@@ -852,7 +912,17 @@ async function createIntegratedReviewPanel(patchUrl) {
     try {
       const settingsMenuUrl = chrome.runtime.getURL('components/popup-modules/panel-settings-menu-widget.js');
       const { mountPanelSettingsMenu } = await import(settingsMenuUrl);
-      await mountPanelSettingsMenu(settingsButton, { settingsWrapper });
+      const { DIFF_ANNOTATION_PLATFORMS } = await import(chrome.runtime.getURL('utils/diff-annotation-injector.js'));
+      const currentPlatform = (typeof platformDetector !== 'undefined' && platformDetector !== null)
+        ? platformDetector.getCurrentPlatform()
+        : null;
+      await mountPanelSettingsMenu(settingsButton, {
+        settingsWrapper,
+        getReviewExport: getCurrentReviewExport,
+        onDiffAnnotationsChange: DIFF_ANNOTATION_PLATFORMS.includes(currentPlatform)
+          ? () => updateDiffAnnotations()
+          : null
+      });
     } catch (error) {
       dbgWarn('Failed to mount panel settings menu:', error);
       // Fallback: open full extension settings
@@ -1000,7 +1070,7 @@ async function createIntegratedReviewPanel(patchUrl) {
   try {
     const providerSettings = await chrome.storage.local.get(['aiProvider']);
     const aiProvider = providerSettings.aiProvider || 'cloud';
-    const isLocalProvider = aiProvider === 'ollama' || aiProvider === 'openrouter';
+    const isLocalProvider = aiProvider === 'ollama' || Boolean(REVIEW_API_PROVIDER_LABELS[aiProvider]);
 
     if (!isLocalProvider) {
       const formatWidgetUrl = chrome.runtime.getURL('components/popup-modules/review-format-preference-widget.js');
@@ -1340,6 +1410,25 @@ function appendToChatLog(sender, message, aiResponseText = null, isTypingIndicat
 }
 
 
+/**
+ * Add a Stop button next to the AI message whose answer is being streamed.
+ * @param {HTMLElement|null} messageWrapper - Typing indicator message
+ * @param {Function} cancel - Cancels the request
+ */
+function addChatStopButton(messageWrapper, cancel) {
+  if (!messageWrapper) return;
+  const stopButton = document.createElement('button');
+  stopButton.type = 'button';
+  stopButton.className = 'thinkreview-chat-stop-btn';
+  stopButton.textContent = 'Stop';
+  stopButton.title = 'Stop generating the answer';
+  stopButton.addEventListener('click', () => {
+    stopButton.disabled = true;
+    cancel();
+  });
+  messageWrapper.appendChild(stopButton);
+}
+
 /**
  * Creates and shows feedback popup for thumbs down
  * @param {string} aiResponse - AI response text (null for initial review)
@@ -1577,6 +1666,24 @@ function switchToReviewTab() {
  * @param {string} type - 'full_repo' or anything else (treated as patch-only).
  * @returns {HTMLDivElement}
  */
+/**
+ * Note shown under a chat answer that came from a fallback provider
+ * @param {Object} fallback - { provider, label, failures } (utils/provider-fallback.js)
+ * @returns {Promise<HTMLElement>}
+ */
+async function createProviderFallbackNote(fallback) {
+  const { describeProviderFallback } = await import(chrome.runtime.getURL('components/review-metadata-bar.js'));
+  const note = document.createElement('div');
+  note.className = 'thinkreview-provider-fallback-note';
+  note.textContent = `🔁 ${describeProviderFallback(fallback)}`;
+  return note;
+}
+
+/**
+ * @param {'full_repo'|'repo_tools'|'patch_only'} type - repo_tools: the model of an API provider or
+ *   Ollama read the repository through the chat tools
+ * @returns {HTMLElement}
+ */
 function createContextBanner(type) {
   const banner = document.createElement('div');
   const icon = document.createElement('span');
@@ -1585,7 +1692,12 @@ function createContextBanner(type) {
   icon.className = 'thinkreview-context-icon';
   label.className = 'thinkreview-context-label';
 
-  if (type === 'full_repo') {
+  if (type === 'repo_tools') {
+    banner.className = 'thinkreview-context-banner context-full';
+    icon.textContent = '✓';
+    label.textContent = 'Repository access active — the model can read files from the source branch of this pull request while it answers. Each file it reads is listed above its answer.';
+    banner.append(icon, label);
+  } else if (type === 'full_repo') {
     banner.className = 'thinkreview-context-banner context-full';
     icon.textContent = '✓';
     label.textContent = 'Full repository context active — ThinkReview can read files across your codebase for deeper, more accurate answers.';
@@ -1608,6 +1720,171 @@ function createContextBanner(type) {
   return banner;
 }
 
+/**
+ * Show the saved conversations of the current MR/PR above the chat log.
+ * @param {string|null} reviewKey
+ */
+async function refreshChatThreadBar(reviewKey) {
+  const container = document.getElementById('chat-thread-bar');
+  if (!container || !reviewKey) return;
+  const [{ listChatThreads }, { renderChatThreadBar }] = await Promise.all([
+    import(chrome.runtime.getURL('utils/chat-threads.js')),
+    import(chrome.runtime.getURL('components/chat-thread-bar.js'))
+  ]);
+  renderChatThreadBar(container, {
+    threads: await listChatThreads(reviewKey),
+    activeThreadId: currentChatThread?.id || null,
+    onSelect: (threadId) => {
+      showChatThread(reviewKey, threadId).catch((error) => dbgWarn('Failed to open the conversation:', error));
+    },
+    onNew: () => {
+      startNewChatThread(reviewKey).catch((error) => dbgWarn('Failed to start a new conversation:', error));
+    }
+  });
+}
+
+/**
+ * Replace the chat log with a saved conversation and continue it.
+ * @param {string} reviewKey
+ * @param {string} threadId
+ */
+async function showChatThread(reviewKey, threadId) {
+  const [{ loadChatThread }, { createStalePatchNotice }] = await Promise.all([
+    import(chrome.runtime.getURL('utils/chat-threads.js')),
+    import(chrome.runtime.getURL('components/chat-thread-bar.js'))
+  ]);
+  const thread = await loadChatThread(reviewKey, threadId);
+  const chatLog = document.getElementById('chat-log');
+  if (!thread || !chatLog) return;
+
+  if (!attachCopyButtonToItem) {
+    await initCopyButtonUtils();
+  }
+  chatLog.replaceChildren();
+  if (thread.patchHash && currentPatchHash && thread.patchHash !== currentPatchHash) {
+    chatLog.appendChild(createStalePatchNotice());
+  }
+  thread.messages.forEach((message) => {
+    if (message.role === 'user') {
+      appendToChatLog('user', message.content);
+    } else {
+      appendToChatLog('ai', message.content, message.content);
+    }
+  });
+
+  conversationHistory = [...conversationHistory.slice(0, REVIEW_CONTEXT_MESSAGE_COUNT), ...thread.messages];
+  // The fetch budget is per conversation: reopening a thread must not renew it
+  repoToolFetchCount = thread.repoToolFetchCount || 0;
+  currentChatThread = { id: thread.id, patchHash: thread.patchHash };
+  await refreshChatThreadBar(reviewKey);
+}
+
+/**
+ * Clear the chat log and start a conversation from the review alone (the current one stays saved).
+ * @param {string} reviewKey
+ */
+async function startNewChatThread(reviewKey) {
+  document.getElementById('chat-log')?.replaceChildren();
+  conversationHistory = conversationHistory.slice(0, REVIEW_CONTEXT_MESSAGE_COUNT);
+  repoToolFetchCount = 0;
+  currentChatThread = null;
+  await refreshChatThreadBar(reviewKey);
+}
+
+/**
+ * Reopen the most recent conversation of the MR/PR after the review is shown (page reload, panel reopened).
+ * @param {string} patchContent - Reviewed patch, to warn when the conversation was about another one
+ */
+async function restoreLatestChatThread(patchContent) {
+  try {
+    const reviewKey = typeof window.getCurrentReviewKey === 'function' ? await window.getCurrentReviewKey() : null;
+    if (!reviewKey) return;
+    const { listChatThreads, hashPatchContent } = await import(chrome.runtime.getURL('utils/chat-threads.js'));
+    currentPatchHash = await hashPatchContent(patchContent);
+    const [latest] = await listChatThreads(reviewKey);
+    // Questions asked in the meantime start a new conversation
+    if (latest && conversationHistory.length === REVIEW_CONTEXT_MESSAGE_COUNT) {
+      await showChatThread(reviewKey, latest.id);
+    } else {
+      await refreshChatThreadBar(reviewKey);
+    }
+  } catch (error) {
+    dbgWarn('Failed to restore the conversation:', error);
+  }
+}
+
+/**
+ * Save the current conversation after an answer (fire-and-forget).
+ */
+async function saveCurrentChatThread() {
+  try {
+    const reviewKey = typeof window.getCurrentReviewKey === 'function' ? await window.getCurrentReviewKey() : null;
+    if (!reviewKey) return;
+    const { saveChatThread } = await import(chrome.runtime.getURL('utils/chat-threads.js'));
+    const thread = await saveChatThread(reviewKey, {
+      id: currentChatThread?.id || null,
+      patchHash: currentPatchHash,
+      repoToolFetchCount,
+      messages: conversationHistory.slice(REVIEW_CONTEXT_MESSAGE_COUNT)
+    });
+    if (thread) {
+      currentChatThread = { id: thread.id, patchHash: thread.patchHash };
+      await refreshChatThreadBar(reviewKey);
+    }
+  } catch (error) {
+    dbgWarn('Failed to save the conversation:', error);
+  }
+}
+
+/**
+ * Add a repository tool call of the model to the chat log, above the answer being written.
+ * @param {string} description - describeRepoToolCall() text
+ * @param {HTMLElement|null} typingIndicator
+ * @returns {HTMLElement} The entry; set its dataset.status to 'done', 'failed' or 'skipped'
+ */
+function appendRepoToolCallToChatLog(description, typingIndicator) {
+  const chatLog = document.getElementById('chat-log');
+  const entry = document.createElement('div');
+  entry.className = 'thinkreview-tool-call';
+  entry.dataset.status = 'running';
+  entry.textContent = description;
+  if (chatLog && typingIndicator?.parentNode === chatLog) {
+    chatLog.insertBefore(entry, typingIndicator);
+  } else {
+    chatLog?.appendChild(entry);
+  }
+  return entry;
+}
+
+/**
+ * Run a repository tool called by the model, within the fetch budget of the conversation.
+ * @param {{ name: string, args: Object }} call
+ * @param {HTMLElement|null} typingIndicator
+ * @returns {Promise<string>} Output for the model (errors and an exhausted budget are reported as text)
+ */
+async function runRepoToolCall({ name, args }, typingIndicator) {
+  const { describeRepoToolCall, REPO_TOOL_FETCH_BUDGET } = await import(chrome.runtime.getURL('utils/repo-tools.js'));
+  const entry = appendRepoToolCallToChatLog(describeRepoToolCall(name, args), typingIndicator);
+
+  if (repoToolFetchCount >= REPO_TOOL_FETCH_BUDGET) {
+    entry.dataset.status = 'skipped';
+    entry.title = `Fetch budget of this conversation used (${REPO_TOOL_FETCH_BUDGET})`;
+    return `The repository fetch budget of this conversation (${REPO_TOOL_FETCH_BUDGET} calls) is used up. Answer with the information you already have.`;
+  }
+  repoToolFetchCount++;
+  entry.title = `Repository fetch ${repoToolFetchCount} of ${REPO_TOOL_FETCH_BUDGET} in this conversation`;
+
+  try {
+    const output = await window.runRepoTool(name, args);
+    entry.dataset.status = 'done';
+    return output;
+  } catch (error) {
+    entry.dataset.status = 'failed';
+    entry.title = error?.message || String(error);
+    return `Error: ${error?.message || String(error)}`;
+  }
+}
+
 /**
  * Handles sending a user message.
  * @param {string} messageText - The text of the user's message.
@@ -1634,27 +1911,63 @@ async function handleSendMessage(messageText) {
   const randomMessage = thinkingMessages[Math.floor(Math.random() * thinkingMessages.length)];
   
   appendToChatLog('ai', `<span class="gl-spinner gl-spinner-sm"></span> ${randomMessage}`, null, true);
+  const chatLog = document.getElementById('chat-log');
+  // The typing indicator shows the answer while it is streamed (Ollama, OpenRouter)
+  const typingIndicator = chatLog?.lastElementChild || null;
+  let streamedText = '';
+  let streamFrame = null;
+  const toolCountBefore = repoToolFetchCount;
+  const renderStreamedText = () => {
+    streamFrame = null;
+    const bubble = typingIndicator?.querySelector('.chat-message');
+    if (bubble) {
+      bubble.innerHTML = markdownToHtml(preprocessAIResponse(streamedText));
+    }
+  };
+  const removeTypingIndicator = () => {
+    if (streamFrame !== null) {
+      cancelAnimationFrame(streamFrame);
+      streamFrame = null;
+    }
+    typingIndicator?.remove();
+  };
 
   try {
     // Get the user's language preference from extension storage
     const language = await getLanguagePreference();
     
     // The `getAIResponse` function will be exposed by content.js
-    const aiResponse = await window.getAIResponse(currentPatchContent, conversationHistory, language);
-
-    // Remove typing indicator
-    const chatLog = document.getElementById('chat-log');
-    const spinner = chatLog.querySelector('.gl-spinner');
-    if (spinner) {
-      // Find the chat-message-wrapper by traversing up the DOM tree
-      let messageWrapper = spinner.closest('.chat-message-wrapper');
-      if (messageWrapper && messageWrapper.parentNode === chatLog) {
-        chatLog.removeChild(messageWrapper);
-      } else if (messageWrapper) {
-        // Fallback: if found but not direct child, try remove() which is safer
-        messageWrapper.remove();
+    const aiResponse = await window.getAIResponse(currentPatchContent, conversationHistory, language, {
+      onStart: (cancel) => addChatStopButton(typingIndicator, cancel),
+      onToken: (token) => {
+        streamedText += token;
+        // Re-render at most once per frame
+        if (streamFrame === null) {
+          streamFrame = requestAnimationFrame(renderStreamedText);
+        }
+      },
+      onFallback: (label) => {
+        // The next provider of the fallback chain answers from scratch
+        streamedText = '';
+        if (streamFrame !== null) {
+          cancelAnimationFrame(streamFrame);
+          streamFrame = null;
+        }
+        const bubble = typingIndicator?.querySelector('.chat-message');
+        if (bubble) {
+          const spinner = document.createElement('span');
+          spinner.className = 'gl-spinner gl-spinner-sm';
+          bubble.replaceChildren(spinner, ` Trying ${label}...`);
+        }
+      },
+      onToolCall: (call) => {
+        // Text written before a tool call is a preamble: the answer follows the tool results
+        streamedText = '';
+        return runRepoToolCall(call, typingIndicator);
       }
-    }
+    });
+
+    removeTypingIndicator();
 
     // Extract the response text with fallback handling
     // Handle the nested response structure: { status: "success", review: { response: "..." } }
@@ -1674,16 +1987,21 @@ async function handleSendMessage(messageText) {
     }
     appendToChatLog('ai', responseText, rawResponseText);
     conversationHistory.push({ role: 'model', content: responseText });
+    saveCurrentChatThread();
 
-    // Append context banner once, right after the first AI message (cloud only — Ollama has no full-repo tool context)
-    if (
-      chatLog &&
-      !chatLog.querySelector('.thinkreview-context-banner') &&
-      aiResponse.provider !== 'ollama' &&
-      aiResponse.provider !== 'openrouter'
-    ) {
-      const contextType = aiResponse.contextType || 'patch_only';
-      chatLog.appendChild(createContextBanner(contextType));
+    if (chatLog && aiResponse.fallback) {
+      chatLog.appendChild(await createProviderFallbackNote(aiResponse.fallback));
+    }
+
+    // Append context banner once, right after the first AI message (cloud), or after the first answer
+    // for which an API provider or Ollama read the repository
+    const isLocalOrApiProvider = aiResponse.provider === 'ollama' || !!REVIEW_API_PROVIDER_LABELS[aiResponse.provider];
+    if (chatLog && !chatLog.querySelector('.thinkreview-context-banner')) {
+      if (!isLocalOrApiProvider) {
+        chatLog.appendChild(createContextBanner(aiResponse.contextType || 'patch_only'));
+      } else if (repoToolFetchCount > toolCountBefore) {
+        chatLog.appendChild(createContextBanner('repo_tools'));
+      }
     }
 
   } catch (error) {
@@ -1698,18 +2016,20 @@ async function handleSendMessage(messageText) {
     //   console.error('Error getting AI response:', error.message);
     // }
     
-    // Remove typing indicator
-    const chatLog = document.getElementById('chat-log');
-    const spinner = chatLog.querySelector('.gl-spinner');
-    if (spinner) {
-      // Find the chat-message-wrapper by traversing up the DOM tree
-      let messageWrapper = spinner.closest('.chat-message-wrapper');
-      if (messageWrapper && messageWrapper.parentNode === chatLog) {
-        chatLog.removeChild(messageWrapper);
-      } else if (messageWrapper) {
-        // Fallback: if found but not direct child, try remove() which is safer
-        messageWrapper.remove();
+    removeTypingIndicator();
+
+    // Stopped by the user: keep what was received so far
+    if (error.isCancelled) {
+      if (streamedText.trim()) {
+        appendToChatLog('ai', `${streamedText}\n\n_Response stopped._`, streamedText);
+        conversationHistory.push({ role: 'model', content: streamedText });
+        saveCurrentChatThread();
+      } else {
+        // No answer: drop the question so the history keeps alternating user / model turns
+        conversationHistory.pop();
+        appendToChatLog('ai', '_Response stopped._');
       }
+      return;
     }
     
     if (error.isLimitExceeded && typeof window.showUpgradeMessage === 'function') {
@@ -1927,7 +2247,9 @@ async function renderSeverityReviewSections(review, containers) {
   if (severityContainer) {
     try {
       const severityModule = await import(chrome.runtime.getURL('components/severity-review-layout.js'));
+      const taxonomyModule = await import(chrome.runtime.getURL('utils/review-taxonomy.js'));
       severityModule.renderSeverityLayout(severityContainer, review, {
+        taxonomy: await taxonomyModule.readReviewTaxonomy(),
         markdownToHtml,
         preprocessAIResponse,
         attachCopyButtonToItem,
@@ -1992,6 +2314,8 @@ async function renderScoringReviewLayout(review, containers, integrationOpts = n
     if (review.metrics) {
       try {
         const scorecardModule = await import(chrome.runtime.getURL('components/quality-scorecard.js'));
+        const taxonomyModule = await import(chrome.runtime.getURL('utils/review-taxonomy.js'));
+        const categoryScores = taxonomyModule.buildCategoryScores(review, await taxonomyModule.readReviewTaxonomy());
         
         // Define metric click handler
         const handleMetricClick = (metricName, score) => {
@@ -2003,7 +2327,8 @@ async function renderScoringReviewLayout(review, containers, integrationOpts = n
             'bestPractices': 'Best Practices'
           };
           
-          const metricLabel = metricLabels[metricName] || metricName;
+          const category = categoryScores.find(({ id }) => metricName === `category:${id}`);
+          const metricLabel = category ? `${category.label} category` : metricLabels[metricName] || metricName;
           
           // Format the query asking about the score
           const query = `Why was the ${metricLabel} score ${score}? Can you explain what factors contributed to this score and provide specific recommendations on how to achieve a higher score?`;
@@ -2012,7 +2337,7 @@ async function renderScoringReviewLayout(review, containers, integrationOpts = n
           handleSendMessage(query);
         };
         
-        const scorecardElement = scorecardModule.renderQualityScorecard(review.metrics, handleMetricClick);
+        const scorecardElement = scorecardModule.renderQualityScorecard(review.metrics, handleMetricClick, categoryScores);
         if (scorecardElement) {
           reviewMetricsContainer.appendChild(scorecardElement);
           reviewMetricsContainer.classList.remove('gl-hidden');
@@ -2304,6 +2629,22 @@ async function renderScoringReviewLayout(review, containers, integrationOpts = n
 
 }
 
+/**
+ * Review shown in the panel with its export metadata (settings menu → Export review).
+ * @returns {Promise<{ review: Object, meta: Object }|null>}
+ */
+async function getCurrentReviewExport() {
+  if (!currentReviewData) return null;
+  const meta = { ...currentReviewExportMeta };
+  try {
+    const metadataModule = await import(chrome.runtime.getURL('components/review-metadata-bar.js'));
+    meta.reviewLabel = metadataModule.formatReviewRequestLabel(meta.platform, meta.mrId);
+  } catch (error) {
+    dbgWarn('Failed to load review metadata bar for export:', error);
+  }
+  return { review: currentReviewData, meta };
+}
+
 async function displayIntegratedReview(
   review,
   patchContent,
@@ -2313,11 +2654,21 @@ async function displayIntegratedReview(
   isCached = false,
   provider = null,
   ollamaMeta = null,
-  openrouterMeta = null,
+  apiProviderMeta = null,
   integrationOpts = null
 ) {
   // Store review data for copy-all functionality
   currentReviewData = review;
+  currentReviewExportMeta = {
+    platform: integrationOpts?.platform ?? null,
+    mrId: integrationOpts?.mrId ?? null,
+    reviewUrl: window.location.href,
+    provider: provider || null,
+    providerLabel: REVIEW_API_PROVIDER_LABELS[provider]
+      || { ollama: 'Ollama', 'self-hosted': 'Self-hosted gateway', cloud: 'ThinkReview Cloud' }[provider]
+      || null,
+    model: apiProviderMeta?.model || ollamaMeta?.model || modelUsed || null
+  };
 
   const integratedPanelEl = document.getElementById('gitlab-mr-integrated-review');
   if (integratedPanelEl) {
@@ -2441,16 +2792,17 @@ async function displayIntegratedReview(
           },
           reviewRequestLabel
         );
-      } else if (provider === 'openrouter' && openrouterMeta) {
-        metadataModule.renderOpenRouterMetadataBar(
+      } else if (REVIEW_API_PROVIDER_LABELS[provider] && apiProviderMeta) {
+        metadataModule.renderApiProviderMetadataBar(
           patchSizeBanner,
-          openrouterMeta,
+          apiProviderMeta,
           {
             onSwitchToCloud() {
               document.dispatchEvent(new CustomEvent('thinkreview-switch-to-cloud'));
             }
           },
-          reviewRequestLabel
+          reviewRequestLabel,
+          REVIEW_API_PROVIDER_LABELS[provider]
         );
       } else {
         metadataModule.renderReviewMetadataBar(
@@ -2463,12 +2815,61 @@ async function displayIntegratedReview(
           { isGateway: provider === 'self-hosted' }
         );
       }
+      metadataModule.renderReviewRulesRow(patchSizeBanner, integrationOpts?.reviewRules ?? null);
+      metadataModule.renderContextFilesRow(patchSizeBanner, integrationOpts?.expandedContext ?? null);
+      metadataModule.renderProviderFallbackRow(patchSizeBanner, integrationOpts?.fallback ?? null);
     } catch (error) {
       dbgWarn('Failed to load review metadata bar:', error);
       patchSizeBanner.classList.add('gl-hidden');
     }
   }
 
+  // Incremental re-review banner (commits reviewed, new / still present / resolved findings)
+  const incrementalBanner = document.getElementById('review-incremental-banner');
+  if (incrementalBanner) {
+    try {
+      const bannerModule = await import(chrome.runtime.getURL('components/incremental-review-banner.js'));
+      bannerModule.renderIncrementalReviewBanner(incrementalBanner, review, {
+        onFullReview() {
+          currentReviewData = null;
+          if (typeof fetchAndDisplayCodeReview === 'function') {
+            // forceRegenerate=true skips the incremental path and reviews the whole PR
+            fetchAndDisplayCodeReview(true);
+          }
+        }
+      });
+    } catch (error) {
+      dbgWarn('Failed to render incremental review banner:', error);
+      incrementalBanner.classList.add('gl-hidden');
+    }
+  }
+
+  renderReviewHistoryNotice(integrationOpts?.historyEntry ?? null);
+
+  // Files removed by the patch filter, with "Review anyway"
+  const filteredFilesNotice = document.getElementById('review-filtered-files-notice');
+  if (filteredFilesNotice) {
+    try {
+      const noticeModule = await import(chrome.runtime.getURL('components/filtered-files-notice.js'));
+      noticeModule.renderFilteredFilesNotice(filteredFilesNotice, integrationOpts?.filteredFiles ?? null);
+    } catch (error) {
+      dbgWarn('Failed to render filtered files notice:', error);
+      filteredFilesNotice.classList.add('gl-hidden');
+    }
+  }
+
+  // Values the privacy guard replaced before the patch was sent
+  const redactionNotice = document.getElementById('review-redaction-notice');
+  if (redactionNotice) {
+    try {
+      const reportModule = await import(chrome.runtime.getURL('components/redaction-report.js'));
+      reportModule.renderRedactionReport(redactionNotice, integrationOpts?.privacyRedaction?.report ?? null);
+    } catch (error) {
+      dbgWarn('Failed to render redaction report:', error);
+      redactionNotice.classList.add('gl-hidden');
+    }
+  }
+
   // Determine if the patch was forcibly truncated due to free-tier limits
   const wasForcedTruncated = !!(patchSize && patchSize.wasForcedTruncated);
 
@@ -2556,6 +2957,11 @@ async function displayIntegratedReview(
     }
   }
 
+  await setupPublishToPrButton(review, patchContent, integrationOpts?.platform ?? null);
+  currentDiffAnnotationsSource = { review, patchContent, platform: integrationOpts?.platform ?? null };
+  await updateDiffAnnotations();
+  bindReviewHistoryButton(document.getElementById('review-history-btn'), 'feedback_row');
+
   // Store patch content and initialize conversation history
   currentPatchContent = patchContent;
   const initialPrompt = isSeverityFormat
@@ -2568,6 +2974,9 @@ async function displayIntegratedReview(
     { role: 'user', content: 'Please perform a code review on the patch.' },
     { role: 'model', content: JSON.stringify(review) } // Store full review for context
   ];
+  repoToolFetchCount = 0;
+  currentChatThread = null;
+  restoreLatestChatThread(patchContent);
 
   // Setup chat input
   let sendButton = document.getElementById('chat-send-btn');
@@ -2697,6 +3106,9 @@ async function displayIntegratedReview(
       wasForcedTruncated,
       patchSize,
       logger: { dbgLog, dbgWarn },
+      onPublishSuggestions: typeof window.publishReviewCommentsToPR === 'function' && integrationOpts?.platform
+        ? () => openPublishSuggestionsDialog(review, patchContent, integrationOpts.platform)
+        : null,
       onExplainSuggestion: (suggestion) => {
         // Build explain message with suggestion context (handleSendMessage switches to Review tab)
         const parts = ['Can you explain this code suggestion?'];
@@ -2726,13 +3138,26 @@ async function displayIntegratedReview(
         enabledReviewAgents = st.enabledReviewAgents;
       }
     }
+    // Local agents run on the selected provider through the chat path (same fallback chain)
+    const localAgentsModule = await import(chrome.runtime.getURL('utils/local-agents.js'));
+    const stored = await chrome.storage.local.get([localAgentsModule.LOCAL_AGENTS_STORAGE_KEY]);
+    const localReviewAgents = localAgentsModule.normalizeLocalAgents(stored[localAgentsModule.LOCAL_AGENTS_STORAGE_KEY])
+      .filter((agent) => agent.enabled);
+    const language = await getLanguagePreference();
     const agentTabs = await import(chrome.runtime.getURL('components/agent-review-tabs.js'));
     await agentTabs.mountAgentReviewTabs({
       enabledReviewAgents: enabledReviewAgents || [],
-      patchContent,
+      localReviewAgents,
+      askProvider: async (agentPatch, prompt) => {
+        const answer = await window.getAIResponse(agentPatch, [{ role: 'user', content: prompt }], language);
+        return answer?.response || '';
+      },
+      // Cloud agents find their results by the checksum of the patch that was sent (redacted by the privacy guard)
+      patchContent: integrationOpts?.privacyRedaction?.patch ?? patchContent,
       mrId: integrationOpts?.mrId ?? null,
       provider: integrationOpts?.provider ?? provider ?? 'cloud',
       agentReviewsResultPromise: integrationOpts?.agentReviewsResultPromise,
+      restorePlaceholders: integrationOpts?.privacyRedaction?.restore,
       logger: { dbgLog, dbgWarn }
     });
   } catch (error) {
@@ -2740,6 +3165,244 @@ async function displayIntegratedReview(
   }
 }
 
+/**
+ * Show the "Publish to PR" action when the review has findings anchored to a file and line,
+ * and open the publish dialog on click. Publishing itself goes through window.publishReviewCommentsToPR (content.js).
+ * @param {Object} review
+ * @param {string} patchContent - Patch the review was generated from (used to anchor comments to diff lines)
+ * @param {string|null} platform - 'gitlab' | 'github' | 'azure-devops' | 'bitbucket'
+ */
+async function setupPublishToPrButton(review, patchContent, platform) {
+  const publishBtn = document.getElementById('publish-to-pr-btn');
+  if (!publishBtn) return;
+
+  let comments = [];
+  try {
+    const commentsModule = await import(chrome.runtime.getURL('components/utils/review-comments.js'));
+    comments = commentsModule.anchorCommentsToPatch(commentsModule.buildPublishableComments(review), patchContent || '');
+  } catch (error) {
+    dbgWarn('Failed to build publishable comments:', error);
+  }
+
+  const canPublish = comments.length > 0 && typeof window.publishReviewCommentsToPR === 'function';
+  publishBtn.classList.toggle('gl-hidden', !canPublish);
+
+  // Replace the node to drop the listener bound to the previous review
+  const freshBtn = publishBtn.cloneNode(true);
+  publishBtn.parentNode.replaceChild(freshBtn, publishBtn);
+  if (!canPublish) return;
+
+  freshBtn.addEventListener('click', () => openPublishDialog(comments, platform, 'feedback_row'));
+}
+
+/**
+ * Show (or remove) the located findings of the current review as annotations in the diff view of
+ * GitHub, Azure DevOps and Bitbucket, following the "Annotate diff" setting. GitLab has its own
+ * suggestion markers (utils/gitlab-suggestion-injector.js, injected from content.js).
+ */
+async function updateDiffAnnotations() {
+  const { review, patchContent, platform } = currentDiffAnnotationsSource || {};
+  try {
+    const injectorModule = await import(chrome.runtime.getURL('utils/diff-annotation-injector.js'));
+    if (!injectorModule.DIFF_ANNOTATION_PLATFORMS.includes(platform)) return;
+
+    const { diffAnnotationsEnabled } = await chrome.storage.local.get(['diffAnnotationsEnabled']);
+    if (diffAnnotationsEnabled !== true || !review) {
+      injectorModule.removeDiffAnnotations();
+      return;
+    }
+
+    const annotations = injectorModule.buildDiffAnnotations(review, patchContent || '');
+    const result = injectorModule.injectDiffAnnotations(platform, annotations, {
+      onShowInPanel: (annotation) => revealReviewPanelItem(annotation.id)
+    });
+    dbgLog(`Diff annotations: ${result.injected} injected, ${result.pending} waiting for their line to render`);
+  } catch (error) {
+    dbgWarn('Failed to update diff annotations:', error);
+  }
+}
+
+/**
+ * Open the panel on the item a diff annotation points to and highlight it.
+ * @param {string} itemId - Review item id (issue-<severity>-<index> or suggestion-<index>)
+ */
+function revealReviewPanelItem(itemId) {
+  const panel = document.getElementById('gitlab-mr-integrated-review');
+  if (panel?.classList.contains('thinkreview-panel-minimized-to-button')) {
+    document.getElementById('code-review-btn')?.click();
+  }
+
+  const item = document.querySelector(`#gitlab-mr-integrated-review [data-review-item-id="${CSS.escape(itemId)}"]`);
+  if (!item) return;
+
+  const tab = item.closest('.thinkreview-tab-panel')?.getAttribute('data-tab');
+  const tabButton = tab ? document.querySelector(`.thinkreview-tab-btn[data-tab="${tab}"]`) : null;
+  if (tabButton && !tabButton.classList.contains('active')) tabButton.click();
+
+  item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  item.classList.remove('thinkreview-review-item-highlight');
+  // Restart the highlight animation when the same item is revealed twice
+  void item.offsetWidth;
+  item.classList.add('thinkreview-review-item-highlight');
+  setTimeout(() => item.classList.remove('thinkreview-review-item-highlight'), 2000);
+}
+
+/**
+ * Open the Publish to PR dialog for the given anchored comments.
+ * @param {Array<Object>} comments - Anchored comments (components/utils/review-comments.js)
+ * @param {string|null} platform
+ * @param {string} location - Analytics location of the button that opened it
+ */
+async function openPublishDialog(comments, platform, location) {
+  try {
+    const analyticsModule = await import(chrome.runtime.getURL('utils/analytics-service.js'));
+    analyticsModule.trackUserAction('publish_to_pr_opened', {
+      context: 'integrated_review_panel',
+      location,
+      platform: platform || 'unknown'
+    }).catch(() => {});
+  } catch (_) { /* silent */ }
+
+  try {
+    const [publishModule, commentsModule] = await Promise.all([
+      import(chrome.runtime.getURL('components/publish-to-pr.js')),
+      import(chrome.runtime.getURL('components/utils/review-comments.js'))
+    ]);
+    const suggestionFlavor = typeof window.getSuggestionFlavor === 'function' ? await window.getSuggestionFlavor() : null;
+    publishModule.openPublishToPrDialog({
+      comments,
+      platformLabel: platform === 'gitlab' ? 'merge request' : 'pull request',
+      allInline: platform === 'azure-devops',
+      suggestionFlavor,
+      batchApply: commentsModule.BATCH_APPLY_PLATFORMS.includes(platform),
+      onPublish: (selected, options) => window.publishReviewCommentsToPR(selected, options),
+      onPublished: async ({ posted, failed, committed }) => {
+        try {
+          const analyticsModule = await import(chrome.runtime.getURL('utils/analytics-service.js'));
+          analyticsModule.trackUserAction('publish_to_pr_completed', {
+            context: 'integrated_review_panel',
+            platform: platform || 'unknown',
+            posted,
+            failed,
+            committed
+          }).catch(() => {});
+        } catch (_) { /* silent */ }
+      }
+    });
+  } catch (error) {
+    dbgWarn('Failed to open Publish to PR dialog:', error);
+  }
+}
+
+/**
+ * Open the Publish to PR dialog with the code suggestions of a review only (Code Suggestions tab).
+ * @param {Object} review
+ * @param {string} patchContent
+ * @param {string|null} platform
+ */
+async function openPublishSuggestionsDialog(review, patchContent, platform) {
+  let comments = [];
+  try {
+    const commentsModule = await import(chrome.runtime.getURL('components/utils/review-comments.js'));
+    comments = commentsModule
+      .anchorCommentsToPatch(commentsModule.buildPublishableComments(review), patchContent || '')
+      .filter((comment) => comment.kind === 'suggestion');
+  } catch (error) {
+    dbgWarn('Failed to build publishable suggestions:', error);
+  }
+  if (comments.length === 0) return;
+  await openPublishDialog(comments, platform, 'code_suggestions_tab');
+}
+
+/**
+ * Show which saved run is displayed when a review was reopened from the history, with a way back.
+ * @param {{ createdAt: number }|null} historyEntry - Set when the review comes from the local history
+ */
+function renderReviewHistoryNotice(historyEntry) {
+  const notice = document.getElementById('review-history-notice');
+  if (!notice) return;
+  notice.replaceChildren();
+  if (!historyEntry) {
+    notice.classList.add('gl-hidden');
+    return;
+  }
+
+  const text = document.createElement('span');
+  text.textContent = `Saved review from ${new Date(historyEntry.createdAt).toLocaleString()}`;
+  const backBtn = document.createElement('button');
+  backBtn.type = 'button';
+  backBtn.className = 'thinkreview-history-notice-btn';
+  backBtn.textContent = 'Back to latest';
+  backBtn.addEventListener('click', () => {
+    currentReviewData = null;
+    if (typeof fetchAndDisplayCodeReview === 'function') {
+      fetchAndDisplayCodeReview(false);
+    }
+  });
+  notice.appendChild(text);
+  notice.appendChild(backBtn);
+  notice.classList.remove('gl-hidden');
+}
+
+/**
+ * Open the review history dialog for the current PR/MR from a panel button (bound once per button).
+ * @param {HTMLElement|null} button
+ * @param {string} location - Analytics location of the button
+ */
+function bindReviewHistoryButton(button, location) {
+  if (!button || button.dataset.historyBound) return;
+  button.dataset.historyBound = '1';
+
+  button.addEventListener('click', async () => {
+    const reviewKey = typeof window.getCurrentReviewKey === 'function'
+      ? await window.getCurrentReviewKey().catch(() => null)
+      : null;
+
+    let analyticsModule = null;
+    try {
+      analyticsModule = await import(chrome.runtime.getURL('utils/analytics-service.js'));
+      analyticsModule.trackUserAction('review_history_opened', {
+        context: 'integrated_review_panel',
+        location
+      }).catch(() => {});
+    } catch (_) { /* silent */ }
+
+    try {
+      const historyModule = await import(chrome.runtime.getURL('components/review-history.js'));
+      historyModule.openReviewHistoryDialog({
+        reviewKey,
+        onOpen: (entry) => {
+          displayIntegratedReview(
+            entry.review,
+            entry.patchContent || '',
+            null,
+            null,
+            entry.model || null,
+            false,
+            entry.provider || null,
+            null,
+            null,
+            {
+              mrId: entry.mrId,
+              provider: entry.provider || null,
+              platform: entry.platform || null,
+              historyEntry: { createdAt: entry.createdAt }
+            }
+          );
+        },
+        onCompare: ({ sameCode }) => {
+          analyticsModule?.trackUserAction('review_history_compared', {
+            context: 'integrated_review_panel',
+            same_code: sameCode
+          }).catch(() => {});
+        }
+      });
+    } catch (error) {
+      dbgWarn('Failed to open review history dialog:', error);
+    }
+  });
+}
+
 /**
  * Removes the upgrade/limit message UI injected by showUpgradeMessage() and
  * restores the tabs and chat input that it hid.
@@ -2812,6 +3475,8 @@ async function showIntegratedReviewError(message) {
   const reviewScrollMain = document.getElementById('review-scroll-main');
   const tokenError = document.getElementById('review-azure-token-error');
   const bitbucketTokenError = document.getElementById('review-bitbucket-token-error');
+  const githubTokenError = document.getElementById('review-github-token-error');
+  const gitlabTokenError = document.getElementById('review-gitlab-token-error');
   const loginPrompt = document.getElementById('review-login-prompt');
 
   if (!reviewLoading || !reviewContent || !reviewError || !reviewErrorMessage) {
@@ -2828,6 +3493,8 @@ async function showIntegratedReviewError(message) {
   // Hide other error states
   if (tokenError) tokenError.classList.add('gl-hidden');
   if (bitbucketTokenError) bitbucketTokenError.classList.add('gl-hidden');
+  if (githubTokenError) githubTokenError.classList.add('gl-hidden');
+  if (gitlabTokenError) gitlabTokenError.classList.add('gl-hidden');
   if (loginPrompt) loginPrompt.classList.add('gl-hidden');
 
   let ollamaModule = null;
@@ -2872,6 +3539,13 @@ async function showIntegratedReviewError(message) {
 
   reviewError.classList.remove('gl-hidden');
 
+  // Saved reviews stay readable when the live review cannot be fetched (e.g. offline)
+  const errorHistoryBtn = document.getElementById('review-error-history-btn');
+  if (errorHistoryBtn) {
+    errorHistoryBtn.classList.toggle('gl-hidden', typeof window.getCurrentReviewKey !== 'function');
+    bindReviewHistoryButton(errorHistoryBtn, 'review_error');
+  }
+
   switchToReviewTab();
 
   const scrollContainer = document.getElementById('review-scroll-container');
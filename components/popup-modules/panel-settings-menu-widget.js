@@ -1,7 +1,7 @@
 /**
  * panel-settings-menu-widget.js
- * Settings gear opens a body-appended menu with nested Layout, Implement via, and Text size flyouts,
- * plus a link to the full extension settings popup.
+ * Settings gear opens a body-appended menu with nested Layout, Implement via, Text size and Export
+ * flyouts, plus a link to the full extension settings popup.
  */
 
 import { dbgWarn } from '../../utils/logger.js';
@@ -46,10 +46,18 @@ function _usageIconSvg() {
   return `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M21.21 15.89A10 10 0 1 1 8 2.83"/><path d="M22 12A10 10 0 0 0 12 2v10z"/></svg>`;
 }
 
+function _exportIconSvg() {
+  return `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>`;
+}
+
 function _autoStartIconSvg() {
   return `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><polygon points="5 3 19 12 5 21 5 3"/></svg>`;
 }
 
+function _diffAnnotationsIconSvg() {
+  return `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/><line x1="8" y1="9" x2="16" y2="9"/><line x1="8" y1="13" x2="13" y2="13"/></svg>`;
+}
+
 const AUTO_START_REVIEW_STORAGE_KEY = 'autoStartReview';
 
 async function _getAutoStartReviewEnabled() {
@@ -66,36 +74,53 @@ async function _setAutoStartReviewEnabled(enabled) {
   await chrome.storage.local.set({ [AUTO_START_REVIEW_STORAGE_KEY]: !!enabled });
 }
 
-function _syncAutoStartToggleUI(row, enabled) {
+const DIFF_ANNOTATIONS_STORAGE_KEY = 'diffAnnotationsEnabled';
+
+/** Review annotations in the GitHub / Azure DevOps / Bitbucket diff view; off by default (Beta) */
+async function _getDiffAnnotationsEnabled() {
+  try {
+    const result = await chrome.storage.local.get([DIFF_ANNOTATIONS_STORAGE_KEY]);
+    return result[DIFF_ANNOTATIONS_STORAGE_KEY] === true;
+  } catch (e) {
+    dbgWarn('Failed to read diff annotations setting:', e);
+    return false;
+  }
+}
+
+async function _setDiffAnnotationsEnabled(enabled) {
+  await chrome.storage.local.set({ [DIFF_ANNOTATIONS_STORAGE_KEY]: !!enabled });
+}
+
+function _syncToggleUI(row, enabled) {
   if (!row) return;
-  const valueEl = row.querySelector('[data-menu-value="auto-start-review"]');
+  const valueEl = row.querySelector('.thinkreview-settings-menu-item-value');
   const switchEl = row.querySelector('.thinkreview-settings-toggle-switch');
   row.setAttribute('aria-checked', enabled ? 'true' : 'false');
   if (valueEl) valueEl.textContent = enabled ? 'On' : 'Off';
   if (switchEl) switchEl.classList.toggle('is-on', enabled);
 }
 
-function _createAutoStartToggleRow(enabled) {
+function _createToggleRow({ id, label, iconHtml, enabled }) {
   const btn = document.createElement('button');
   btn.type = 'button';
   btn.className = 'thinkreview-settings-menu-item thinkreview-settings-menu-item--toggle';
-  btn.dataset.menuAction = 'auto-start-review';
+  btn.dataset.menuAction = id;
   btn.setAttribute('role', 'menuitemcheckbox');
   btn.setAttribute('aria-checked', enabled ? 'true' : 'false');
 
   const icon = document.createElement('span');
   icon.className = 'thinkreview-settings-menu-item-icon';
-  icon.innerHTML = _autoStartIconSvg();
+  icon.innerHTML = iconHtml;
 
   const text = document.createElement('span');
   text.className = 'thinkreview-settings-menu-item-text';
   const lab = document.createElement('span');
   lab.className = 'thinkreview-settings-menu-item-label';
-  lab.textContent = 'Auto-start review';
+  lab.textContent = label;
   text.appendChild(lab);
   const val = document.createElement('span');
   val.className = 'thinkreview-settings-menu-item-value';
-  val.dataset.menuValue = 'auto-start-review';
+  val.dataset.menuValue = id;
   val.textContent = enabled ? 'On' : 'Off';
   text.appendChild(val);
 
@@ -372,10 +397,98 @@ async function _populateCreditsSubmenu(container, onLoaded) {
   }
 }
 
+/**
+ * Fill the Export flyout: one row per format with Copy and Download actions.
+ * @param {HTMLElement} container
+ * @param {boolean} hasReview - Without a review the flyout only explains why nothing can be exported
+ */
+async function _populateExportSubmenu(container, hasReview) {
+  container.replaceChildren();
+
+  const sectionLabel = document.createElement('div');
+  sectionLabel.className = 'thinkreview-settings-menu-section-label';
+  sectionLabel.textContent = 'Export review';
+  container.appendChild(sectionLabel);
+
+  if (!hasReview) {
+    const status = document.createElement('div');
+    status.className = 'thinkreview-settings-credits-status';
+    status.textContent = 'Run a review to export it';
+    container.appendChild(status);
+    return;
+  }
+
+  let formats = [];
+  try {
+    ({ REVIEW_EXPORT_FORMATS: formats } = await import(chrome.runtime.getURL('components/utils/review-export.js')));
+  } catch (e) {
+    dbgWarn('Failed to load review export formats:', e);
+    const status = document.createElement('div');
+    status.className = 'thinkreview-settings-credits-status';
+    status.textContent = 'Export is not available';
+    container.appendChild(status);
+    return;
+  }
+
+  formats.forEach((format) => {
+    const row = document.createElement('div');
+    row.className = 'thinkreview-settings-menu-item thinkreview-settings-export-item';
+
+    const text = document.createElement('span');
+    text.className = 'thinkreview-settings-menu-item-text';
+    const lab = document.createElement('span');
+    lab.className = 'thinkreview-settings-menu-item-label';
+    lab.textContent = format.label;
+    const desc = document.createElement('span');
+    desc.className = 'thinkreview-settings-menu-item-value';
+    desc.textContent = format.description;
+    text.appendChild(lab);
+    text.appendChild(desc);
+    row.appendChild(text);
+
+    [['copy', 'Copy'], ['download', 'Download']].forEach(([action, label]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'thinkreview-settings-export-btn';
+      btn.setAttribute('role', 'menuitem');
+      btn.setAttribute('aria-label', `${label} review as ${format.label}`);
+      btn.dataset.exportAction = action;
+      btn.dataset.exportFormat = format.id;
+      btn.textContent = label;
+      row.appendChild(btn);
+    });
+
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Copy an export to the clipboard or save it as a file.
+ * @param {'copy'|'download'} action
+ * @param {{ content: string, filename: string, mimeType: string }} exported
+ */
+async function _deliverReviewExport(action, exported) {
+  if (action === 'copy') {
+    await navigator.clipboard.writeText(exported.content);
+    return;
+  }
+  const url = URL.createObjectURL(new Blob([exported.content], { type: exported.mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = exported.filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Attach nested settings dropdown to the existing gear button.
  * @param {HTMLElement} settingsButton
- * @param {{ settingsWrapper?: HTMLElement | null }} [options]
+ * @param {{ settingsWrapper?: HTMLElement | null, getReviewExport?: () => Promise<{ review: Object, meta: Object } | null>, onDiffAnnotationsChange?: (enabled: boolean) => void }} [options]
+ *   getReviewExport returns the review shown in the panel (and its export metadata) for the Export flyout.
+ *   onDiffAnnotationsChange adds the "Annotate diff" toggle (platforms with a diff annotation adapter).
  */
 export async function mountPanelSettingsMenu(settingsButton, options = {}) {
   if (!settingsButton || document.getElementById('thinkreview-settings-dropdown')) return;
@@ -419,11 +532,12 @@ export async function mountPanelSettingsMenu(settingsButton, options = {}) {
     refreshTextSizeActiveItems
   } = textSizeMod;
 
-  const [layoutSettings, ideTarget, autoStartEnabled, textSize] = await Promise.all([
+  const [layoutSettings, ideTarget, autoStartEnabled, textSize, diffAnnotationsEnabled] = await Promise.all([
     getLayoutSettings(),
     getIdeAssistTarget(),
     _getAutoStartReviewEnabled(),
-    getPanelTextSize()
+    getPanelTextSize(),
+    _getDiffAnnotationsEnabled()
   ]);
 
   settingsButton.setAttribute('aria-haspopup', 'true');
@@ -466,9 +580,34 @@ export async function mountPanelSettingsMenu(settingsButton, options = {}) {
   main.appendChild(ideRow);
   main.appendChild(textSizeRow);
 
-  const autoStartRow = _createAutoStartToggleRow(autoStartEnabled);
+  const autoStartRow = _createToggleRow({
+    id: 'auto-start-review',
+    label: 'Auto-start review',
+    iconHtml: _autoStartIconSvg(),
+    enabled: autoStartEnabled
+  });
   main.appendChild(autoStartRow);
 
+  const onDiffAnnotationsChange = typeof options.onDiffAnnotationsChange === 'function' ? options.onDiffAnnotationsChange : null;
+  const diffAnnotationsRow = onDiffAnnotationsChange
+    ? _createToggleRow({
+      id: 'diff-annotations',
+      label: 'Annotate diff',
+      iconHtml: _diffAnnotationsIconSvg(),
+      enabled: diffAnnotationsEnabled
+    })
+    : null;
+  if (diffAnnotationsRow) main.appendChild(diffAnnotationsRow);
+
+  const exportRow = _createMenuRow({
+    id: 'export',
+    label: 'Export review',
+    value: 'Markdown, SARIF, JSON',
+    iconHtml: _exportIconSvg(),
+    hasSubmenu: true
+  });
+  main.appendChild(exportRow);
+
   const portalDivider = document.createElement('div');
   portalDivider.className = 'thinkreview-settings-menu-divider';
   portalDivider.setAttribute('role', 'separator');
@@ -581,7 +720,16 @@ export async function mountPanelSettingsMenu(settingsButton, options = {}) {
   creditsSub.style.display = 'none';
   document.body.appendChild(creditsSub);
 
-  let openSubmenu = null; // 'layout' | 'implement' | 'text-size' | 'buy-credits' | null
+  const exportSub = document.createElement('div');
+  exportSub.id = 'thinkreview-settings-export-submenu';
+  exportSub.className = 'thinkreview-settings-submenu';
+  exportSub.setAttribute('role', 'menu');
+  exportSub.style.display = 'none';
+  document.body.appendChild(exportSub);
+
+  const getReviewExport = typeof options.getReviewExport === 'function' ? options.getReviewExport : async () => null;
+
+  let openSubmenu = null; // 'layout' | 'implement' | 'text-size' | 'export' | 'buy-credits' | null
   let creditsLoadPromise = null;
   let creditsPacksCached = false;
 
@@ -590,9 +738,11 @@ export async function mountPanelSettingsMenu(settingsButton, options = {}) {
     ideSub.style.display = 'none';
     textSizeSub.style.display = 'none';
     creditsSub.style.display = 'none';
+    exportSub.style.display = 'none';
     layoutRow.setAttribute('aria-expanded', 'false');
     ideRow.setAttribute('aria-expanded', 'false');
     textSizeRow.setAttribute('aria-expanded', 'false');
+    exportRow.setAttribute('aria-expanded', 'false');
     buyCreditsRow.setAttribute('aria-expanded', 'false');
     openSubmenu = null;
   }
@@ -653,6 +803,12 @@ export async function mountPanelSettingsMenu(settingsButton, options = {}) {
       _positionSubmenu(textSizeSub, textSizeRow, 220);
       textSizeSub.style.display = 'block';
       textSizeRow.setAttribute('aria-expanded', 'true');
+    } else if (kind === 'export') {
+      await _populateExportSubmenu(exportSub, Boolean(await getReviewExport()));
+      if (openSubmenu !== 'export') return;
+      _positionSubmenu(exportSub, exportRow, 280);
+      exportSub.style.display = 'block';
+      exportRow.setAttribute('aria-expanded', 'true');
     } else if (kind === 'buy-credits') {
       _positionSubmenu(creditsSub, buyCreditsRow, 280);
       creditsSub.style.display = 'block';
@@ -665,18 +821,20 @@ export async function mountPanelSettingsMenu(settingsButton, options = {}) {
   }
 
   async function _openMain() {
-    const [currentLayout, currentIde, currentAutoStart, currentTextSize] = await Promise.all([
+    const [currentLayout, currentIde, currentAutoStart, currentTextSize, currentDiffAnnotations] = await Promise.all([
       getLayoutSettings(),
       getIdeAssistTarget(),
       _getAutoStartReviewEnabled(),
-      getPanelTextSize()
+      getPanelTextSize(),
+      _getDiffAnnotationsEnabled()
     ]);
     const layoutVal = layoutRow.querySelector('[data-menu-value="layout"]');
     const ideVal = ideRow.querySelector('[data-menu-value="implement"]');
     const textSizeVal = textSizeRow.querySelector('[data-menu-value="text-size"]');
     if (layoutVal) layoutVal.textContent = getLayoutComboSummary(currentLayout);
     if (ideVal) ideVal.textContent = getIdeAssistRowLabel(currentIde);
-    _syncAutoStartToggleUI(autoStartRow, currentAutoStart);
+    _syncToggleUI(autoStartRow, currentAutoStart);
+    _syncToggleUI(diffAnnotationsRow, currentDiffAnnotations);
     if (textSizeVal) textSizeVal.textContent = getPanelTextSizeLabel(currentTextSize);
 
     _positionMainMenu(main, settingsButton);
@@ -714,17 +872,32 @@ export async function mountPanelSettingsMenu(settingsButton, options = {}) {
     if (action === 'auto-start-review') {
       const next = autoStartRow.getAttribute('aria-checked') !== 'true';
       await _setAutoStartReviewEnabled(next);
-      _syncAutoStartToggleUI(autoStartRow, next);
+      _syncToggleUI(autoStartRow, next);
       await _trackSettingsMenu(next ? 'auto_start_review_enabled' : 'auto_start_review_disabled', {
         via: 'settings_header_menu'
       });
       return;
     }
+    if (action === 'diff-annotations' && diffAnnotationsRow) {
+      const next = diffAnnotationsRow.getAttribute('aria-checked') !== 'true';
+      await _setDiffAnnotationsEnabled(next);
+      _syncToggleUI(diffAnnotationsRow, next);
+      onDiffAnnotationsChange(next);
+      await _trackSettingsMenu(next ? 'diff_annotations_enabled' : 'diff_annotations_disabled', {
+        via: 'settings_header_menu'
+      });
+      return;
+    }
     if (action === 'text-size') {
       await _trackSettingsMenu('settings_menu_text_size_clicked');
       await _openSubmenu('text-size');
       return;
     }
+    if (action === 'export') {
+      await _trackSettingsMenu('settings_menu_export_clicked');
+      await _openSubmenu('export');
+      return;
+    }
     if (action === 'buy-credits') {
       await _trackSettingsMenu('settings_menu_buy_credits_clicked');
       await _openSubmenu('buy-credits');
@@ -769,6 +942,42 @@ export async function mountPanelSettingsMenu(settingsButton, options = {}) {
     }
   });
 
+  exportSub.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const btn = e.target.closest('[data-export-action]');
+    if (!btn) return;
+    const action = btn.dataset.exportAction;
+    const formatId = btn.dataset.exportFormat;
+    const label = btn.textContent;
+
+    let succeeded = false;
+    try {
+      const current = await getReviewExport();
+      if (!current) throw new Error('There is no review to export');
+      const { buildReviewExport } = await import(chrome.runtime.getURL('components/utils/review-export.js'));
+      const exported = buildReviewExport(formatId, current.review, {
+        ...current.meta,
+        extensionVersion: chrome.runtime.getManifest?.().version || null
+      });
+      await _deliverReviewExport(action, exported);
+      succeeded = true;
+    } catch (err) {
+      dbgWarn('Failed to export review:', err);
+    }
+
+    await _trackSettingsMenu('review_exported', { format: formatId, action, success: succeeded });
+    if (action === 'download' && succeeded) {
+      _closeAll();
+      return;
+    }
+    btn.textContent = succeeded ? 'Copied' : 'Failed';
+    btn.classList.toggle('is-error', !succeeded);
+    setTimeout(() => {
+      btn.textContent = label;
+      btn.classList.remove('is-error');
+    }, 1500);
+  });
+
   const onDocumentClick = (e) => {
     // Keep menus open while the first-open settings tour is driving them
     if (document.documentElement.hasAttribute('data-thinkreview-tour-active')) {
@@ -783,6 +992,7 @@ export async function mountPanelSettingsMenu(settingsButton, options = {}) {
       ideSub.contains(t) ||
       textSizeSub.contains(t) ||
       creditsSub.contains(t) ||
+      exportSub.contains(t) ||
       (t instanceof Element && t.closest('#thinkreview-panel-settings-tour')) ||
       (t instanceof Element && t.closest('#thinkreview-panel-settings-tour-card'))
     ) {
@@ -793,11 +1003,19 @@ export async function mountPanelSettingsMenu(settingsButton, options = {}) {
   document.addEventListener('click', onDocumentClick);
 
   const onStorageChanged = (changes, area) => {
-    if (area !== 'local' || !changes[AUTO_START_REVIEW_STORAGE_KEY]) return;
-    _syncAutoStartToggleUI(
-      autoStartRow,
-      changes[AUTO_START_REVIEW_STORAGE_KEY].newValue === true
-    );
+    if (area !== 'local') return;
+    if (changes[AUTO_START_REVIEW_STORAGE_KEY]) {
+      _syncToggleUI(
+        autoStartRow,
+        changes[AUTO_START_REVIEW_STORAGE_KEY].newValue === true
+      );
+    }
+    if (changes[DIFF_ANNOTATIONS_STORAGE_KEY]) {
+      _syncToggleUI(
+        diffAnnotationsRow,
+        changes[DIFF_ANNOTATIONS_STORAGE_KEY].newValue === true
+      );
+    }
   };
   chrome.storage.onChanged.addListener(onStorageChanged);
 
@@ -807,6 +1025,7 @@ export async function mountPanelSettingsMenu(settingsButton, options = {}) {
     if (openSubmenu === 'layout') _positionSubmenu(layoutSub, layoutRow, 232);
     if (openSubmenu === 'implement') _positionSubmenu(ideSub, ideRow, 280);
     if (openSubmenu === 'text-size') _positionSubmenu(textSizeSub, textSizeRow, 220);
+    if (openSubmenu === 'export') _positionSubmenu(exportSub, exportRow, 280);
     if (openSubmenu === 'buy-credits') _positionSubmenu(creditsSub, buyCreditsRow, 280);
   };
 
@@ -913,6 +1132,7 @@ export async function mountPanelSettingsMenu(settingsButton, options = {}) {
     ideSub.remove();
     textSizeSub.remove();
     creditsSub.remove();
+    exportSub.remove();
     creditsLoadPromise = null;
   }
 
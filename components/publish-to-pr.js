@@ -0,0 +1,302 @@
+// publish-to-pr.js
+// "Publish to PR" dialog for the integrated review panel.
+// Lists the publishable findings (severity issues + code suggestions), lets the user pick which ones
+// to post, and shows a per-item status while they are published as PR/MR comments.
+// Code suggestions go out as native suggestion blocks where the platform supports them; on GitLab
+// the selected suggestions can also be committed together in a single commit.
+import { getSuggestionBlockHeader } from './utils/review-comments.js';
+
+const SEVERITY_BADGES = {
+  critical: { label: 'Critical', className: 'thinkreview-publish-badge-critical' },
+  high: { label: 'High', className: 'thinkreview-publish-badge-high' },
+  low: { label: 'Low', className: 'thinkreview-publish-badge-low' }
+};
+
+/**
+ * @param {Object} comment
+ * @returns {string}
+ */
+function formatCommentLocation(comment) {
+  return comment.endLine !== comment.startLine
+    ? `${comment.filePath}:${comment.startLine}-${comment.endLine}`
+    : `${comment.filePath}:${comment.startLine}`;
+}
+
+/** Intro lines about code suggestions, per suggestion flavor (see getSuggestionBlockHeader) */
+const SUGGESTION_INTROS = {
+  github: 'Code suggestions are posted as suggested changes; commit them one by one, or together with "Add suggestion to batch" in the Files changed tab.',
+  gitlab: 'Code suggestions are posted as suggestions the author can apply, or that you can commit together below.',
+  'azure-devops': 'Code suggestions are posted as suggested changes the author can apply.'
+};
+
+/**
+ * @param {number} count
+ * @returns {string}
+ */
+function defaultCommitMessage(count) {
+  return `Apply ${count} suggestion${count === 1 ? '' : 's'} from ThinkReview code review`;
+}
+
+/**
+ * @param {HTMLElement} statusEl
+ * @param {'ready'|'posting'|'posted'|'failed'} state
+ * @param {Object} [detail] - { url, inline, applied, error }
+ */
+function setItemStatus(statusEl, state, detail = {}) {
+  statusEl.className = `thinkreview-publish-status thinkreview-publish-status-${state}`;
+  statusEl.replaceChildren();
+  statusEl.removeAttribute('title');
+
+  if (state === 'posting') {
+    statusEl.textContent = 'Posting…';
+  } else if (state === 'posted') {
+    let label = detail.inline === false ? 'Posted as PR comment' : 'Posted';
+    if (detail.applied) label = 'Posted & committed';
+    if (detail.url) {
+      const link = document.createElement('a');
+      link.href = detail.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = `${label} ↗`;
+      statusEl.appendChild(link);
+    } else {
+      statusEl.textContent = label;
+    }
+  } else if (state === 'failed') {
+    statusEl.textContent = 'Failed';
+    if (detail.error) statusEl.title = detail.error;
+  } else {
+    statusEl.textContent = '';
+  }
+}
+
+/**
+ * Open the Publish to PR dialog.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.comments - Anchored comments (components/utils/review-comments.js)
+ * @param {string} [params.platformLabel] - e.g. 'pull request' or 'merge request'
+ * @param {boolean} [params.allInline] - Platform accepts inline comments on any line (Azure DevOps)
+ * @param {'github'|'gitlab'|'azure-devops'|'bitbucket-dc'|null} [params.suggestionFlavor] - Native suggestion
+ *   syntax of the platform; null posts code suggestions as plain code blocks
+ * @param {boolean} [params.batchApply] - Offer to commit the selected suggestions in one commit (GitLab)
+ * @param {(selected: Array<Object>, options: { applySuggestions: { commitMessage: string }|null }) => Promise<{ success: boolean, results?: Array<Object>, batchApply?: Object, error?: string }>} params.onPublish
+ * @param {Function} [params.onPublished] - Callback({ posted, failed, committed }) after each publish run
+ */
+export function openPublishToPrDialog({
+  comments,
+  platformLabel = 'pull request',
+  allInline = false,
+  suggestionFlavor = null,
+  batchApply = false,
+  onPublish,
+  onPublished
+}) {
+  document.getElementById('thinkreview-publish-overlay')?.remove();
+
+  const overlay = document.createElement('div');
+  overlay.id = 'thinkreview-publish-overlay';
+  overlay.className = 'thinkreview-feedback-popup-overlay';
+
+  const popup = document.createElement('div');
+  popup.className = 'thinkreview-feedback-popup thinkreview-publish-popup';
+  popup.setAttribute('role', 'dialog');
+  popup.setAttribute('aria-modal', 'true');
+  popup.setAttribute('aria-label', 'Publish to PR');
+  popup.innerHTML = `
+    <div class="thinkreview-feedback-popup-header">
+      <h3>Publish to PR</h3>
+      <button type="button" class="thinkreview-feedback-popup-close" title="Close">×</button>
+    </div>
+    <div class="thinkreview-feedback-popup-body">
+      <p class="thinkreview-publish-intro"></p>
+      <label class="thinkreview-publish-select-all">
+        <input type="checkbox" class="thinkreview-publish-select-all-checkbox" checked>
+        <span>Select all</span>
+      </label>
+      <ul class="thinkreview-publish-list"></ul>
+      <div class="thinkreview-publish-batch-apply gl-hidden">
+        <label class="thinkreview-publish-batch-apply-label">
+          <input type="checkbox" class="thinkreview-publish-batch-apply-checkbox">
+          <span>Commit the selected suggestions to the source branch in one commit</span>
+        </label>
+        <input type="text" class="thinkreview-publish-commit-message gl-hidden" aria-label="Commit message" maxlength="200">
+      </div>
+      <div class="thinkreview-publish-error gl-hidden" role="alert"></div>
+    </div>
+    <div class="thinkreview-feedback-popup-footer">
+      <button type="button" class="thinkreview-feedback-cancel-btn">Close</button>
+      <button type="button" class="thinkreview-feedback-submit-btn thinkreview-publish-submit-btn">Publish</button>
+    </div>
+  `;
+
+  const hasSuggestions = comments.some((comment) => comment.kind === 'suggestion');
+  popup.querySelector('.thinkreview-publish-intro').textContent = [
+    `Selected findings are posted as review comments on this ${platformLabel}. Findings outside the diff are posted as general comments that reference the file and line.`,
+    hasSuggestions ? SUGGESTION_INTROS[suggestionFlavor] : null
+  ].filter(Boolean).join(' ');
+
+  const list = popup.querySelector('.thinkreview-publish-list');
+  const selectAll = popup.querySelector('.thinkreview-publish-select-all-checkbox');
+  const submitBtn = popup.querySelector('.thinkreview-publish-submit-btn');
+  const errorEl = popup.querySelector('.thinkreview-publish-error');
+  const batchApplyRow = popup.querySelector('.thinkreview-publish-batch-apply');
+  const batchApplyCheckbox = popup.querySelector('.thinkreview-publish-batch-apply-checkbox');
+  const commitMessageInput = popup.querySelector('.thinkreview-publish-commit-message');
+
+  /** @type {Map<string, { comment: Object, checkbox: HTMLInputElement, statusEl: HTMLElement, posted: boolean }>} */
+  const rows = new Map();
+
+  comments.forEach((comment) => {
+    const li = document.createElement('li');
+    li.className = 'thinkreview-publish-item';
+    li.dataset.commentId = comment.id;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.setAttribute('aria-label', `Publish: ${comment.title}`);
+
+    const body = document.createElement('div');
+    body.className = 'thinkreview-publish-item-body';
+
+    const header = document.createElement('div');
+    header.className = 'thinkreview-publish-item-header';
+    const badgeInfo = comment.kind === 'suggestion'
+      ? { label: 'Suggestion', className: 'thinkreview-publish-badge-suggestion' }
+      : (SEVERITY_BADGES[comment.severity] || SEVERITY_BADGES.low);
+    const badge = document.createElement('span');
+    badge.className = `thinkreview-publish-badge ${badgeInfo.className}`;
+    badge.textContent = badgeInfo.label;
+    const title = document.createElement('span');
+    title.className = 'thinkreview-publish-item-title';
+    title.textContent = comment.title;
+    header.appendChild(badge);
+    header.appendChild(title);
+
+    const location = document.createElement('div');
+    location.className = 'thinkreview-publish-item-location';
+    location.textContent = formatCommentLocation(comment);
+    const hint = document.createElement('span');
+    hint.className = 'thinkreview-publish-item-hint';
+    if (!comment.anchor && !allInline) {
+      hint.textContent = ' · outside diff, posted as general comment';
+    } else if (comment.kind === 'suggestion' && suggestionFlavor && !getSuggestionBlockHeader(comment, suggestionFlavor)) {
+      hint.textContent = ' · posted as a code block (range not applicable as a suggestion)';
+    }
+    if (hint.textContent) location.appendChild(hint);
+
+    body.appendChild(header);
+    body.appendChild(location);
+
+    const statusEl = document.createElement('span');
+    setItemStatus(statusEl, 'ready');
+
+    li.appendChild(checkbox);
+    li.appendChild(body);
+    li.appendChild(statusEl);
+    list.appendChild(li);
+
+    rows.set(comment.id, { comment, checkbox, statusEl, posted: false });
+  });
+
+  const getSelectable = () => [...rows.values()].filter((row) => !row.posted);
+
+  // Suggestions that can be posted as native suggestions, and so committed by the batch apply
+  const isApplicable = (row) => row.comment.kind === 'suggestion' && !!getSuggestionBlockHeader(row.comment, suggestionFlavor);
+
+  const updateSubmitState = () => {
+    const selectable = getSelectable();
+    const selectedCount = selectable.filter((row) => row.checkbox.checked).length;
+    const applicableCount = selectable.filter((row) => row.checkbox.checked && isApplicable(row)).length;
+    batchApplyRow.classList.toggle('gl-hidden', !batchApply || applicableCount === 0);
+    if (!commitMessageInput.dataset.edited) commitMessageInput.value = defaultCommitMessage(applicableCount);
+    submitBtn.textContent = selectedCount > 0 ? `Publish ${selectedCount} selected` : 'Publish';
+    submitBtn.disabled = selectedCount === 0;
+    selectAll.checked = selectable.length > 0 && selectedCount === selectable.length;
+    selectAll.indeterminate = selectedCount > 0 && selectedCount < selectable.length;
+    selectAll.disabled = selectable.length === 0;
+  };
+
+  rows.forEach((row) => row.checkbox.addEventListener('change', updateSubmitState));
+  batchApplyCheckbox.addEventListener('change', () => {
+    commitMessageInput.classList.toggle('gl-hidden', !batchApplyCheckbox.checked);
+  });
+  commitMessageInput.addEventListener('input', () => {
+    commitMessageInput.dataset.edited = commitMessageInput.value.trim() ? '1' : '';
+  });
+  selectAll.addEventListener('change', () => {
+    getSelectable().forEach((row) => { row.checkbox.checked = selectAll.checked; });
+    updateSubmitState();
+  });
+
+  const closePopup = () => overlay.remove();
+  popup.querySelector('.thinkreview-feedback-popup-close').addEventListener('click', closePopup);
+  popup.querySelector('.thinkreview-feedback-cancel-btn').addEventListener('click', closePopup);
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closePopup();
+  });
+
+  submitBtn.addEventListener('click', async () => {
+    const selected = getSelectable().filter((row) => row.checkbox.checked);
+    if (selected.length === 0) return;
+
+    const applySuggestions = batchApply && batchApplyCheckbox.checked && selected.some(isApplicable)
+      ? { commitMessage: commitMessageInput.value.trim() || defaultCommitMessage(selected.filter(isApplicable).length) }
+      : null;
+
+    errorEl.classList.add('gl-hidden');
+    errorEl.textContent = '';
+    submitBtn.disabled = true;
+    selectAll.disabled = true;
+    batchApplyCheckbox.disabled = true;
+    rows.forEach((row) => { row.checkbox.disabled = true; });
+    selected.forEach((row) => setItemStatus(row.statusEl, 'posting'));
+
+    let response;
+    try {
+      response = await onPublish(selected.map((row) => row.comment), { applySuggestions });
+    } catch (error) {
+      response = { success: false, error: error?.message || String(error) };
+    }
+
+    if (!response?.success) {
+      selected.forEach((row) => setItemStatus(row.statusEl, 'ready'));
+      errorEl.textContent = response?.error || 'Publishing failed.';
+      errorEl.classList.remove('gl-hidden');
+    } else {
+      const resultsById = new Map((response.results || []).map((result) => [result.id, result]));
+      const appliedIds = new Set(response.batchApply?.appliedIds || []);
+      selected.forEach((row) => {
+        const result = resultsById.get(row.comment.id);
+        if (result?.success) {
+          row.posted = true;
+          row.checkbox.checked = false;
+          setItemStatus(row.statusEl, 'posted', { ...result, applied: appliedIds.has(row.comment.id) });
+        } else {
+          setItemStatus(row.statusEl, 'failed', { error: result?.error || 'Not posted' });
+        }
+      });
+      if (response.batchApply && !response.batchApply.success) {
+        errorEl.textContent = `The suggestions were posted but not committed: ${response.batchApply.error || 'unknown error'}`;
+        errorEl.classList.remove('gl-hidden');
+      }
+      if (typeof onPublished === 'function') {
+        const results = response.results || [];
+        onPublished({
+          posted: results.filter((r) => r.success).length,
+          failed: results.filter((r) => !r.success).length,
+          committed: appliedIds.size
+        });
+      }
+    }
+
+    batchApplyCheckbox.disabled = false;
+    rows.forEach((row) => { row.checkbox.disabled = row.posted; });
+    updateSubmitState();
+  });
+
+  updateSubmitState();
+  overlay.appendChild(popup);
+  document.body.appendChild(overlay);
+}
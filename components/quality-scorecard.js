@@ -39,6 +39,57 @@ function getScoreColor(score) {
   return '#c9190b'; // Red
 }
 
+/**
+ * Escapes text for use in the scorecard markup (category labels are user-defined)
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds the per-category breakdown (see buildCategoryScores in utils/review-taxonomy.js)
+ * @param {Array<{ id: string, label: string, score: number, count: number }>} categoryScores
+ * @returns {string} - Markup, empty when there are no categories
+ */
+function buildCategoryBreakdown(categoryScores) {
+  if (!Array.isArray(categoryScores) || categoryScores.length === 0) {
+    return '';
+  }
+  const items = categoryScores.map(({ id, label, score, count }) => `
+        <div class="thinkreview-metric-item thinkreview-category-score-item thinkreview-clickable-metric"
+             data-metric="category:${escapeHtml(id)}"
+             data-score="${score}"
+             title="${count} finding${count === 1 ? '' : 's'}"
+             role="button"
+             tabindex="0">
+          <div class="thinkreview-metric-header gl-display-flex gl-justify-content-space-between gl-mb-1">
+            <span class="thinkreview-metric-label">${escapeHtml(label)}</span>
+            <span class="thinkreview-metric-score ${getScoreColorClass(score)}">${score}</span>
+          </div>
+          <div class="thinkreview-progress-bar">
+            <div class="thinkreview-progress-fill ${getScoreColorClass(score)}"
+                 style="width: ${score}%; background-color: ${getScoreColor(score)};"
+                 role="progressbar"
+                 aria-valuenow="${score}"
+                 aria-valuemin="0"
+                 aria-valuemax="100"
+                 aria-label="${escapeHtml(label)} score: ${score}%"></div>
+          </div>
+        </div>`).join('');
+  return `
+      <div class="thinkreview-category-scores">
+        <h6 class="thinkreview-category-scores-title">By category</h6>
+        <div class="thinkreview-metrics-grid">${items}
+        </div>
+      </div>`;
+}
+
 /**
  * Renders a quality scorecard component
  * @param {Object} metrics - Metrics object with scores
@@ -46,10 +97,13 @@ function getScoreColor(score) {
  * @param {number} metrics.codeQuality - Code quality score (0-100)
  * @param {number} metrics.securityScore - Security score (0-100)
  * @param {number} metrics.bestPracticesScore - Best practices score (0-100)
- * @param {Function} [onMetricClick] - Optional callback function when a metric is clicked. Receives (metricName, score)
+ * @param {Function} [onMetricClick] - Optional callback function when a metric is clicked. Receives (metricName, score);
+ *   category scores are named "category:<id>"
+ * @param {Array<{ id: string, label: string, score: number, count: number }>} [categoryScores] - Optional per-category
+ *   breakdown shown below the metrics
  * @returns {HTMLElement} - The rendered scorecard element
  */
-export function renderQualityScorecard(metrics, onMetricClick = null) {
+export function renderQualityScorecard(metrics, onMetricClick = null, categoryScores = null) {
   if (!metrics) {
     return null;
   }
@@ -176,7 +230,7 @@ export function renderQualityScorecard(metrics, onMetricClick = null) {
                  aria-label="Best practices score: ${bestPracticesScore}%"></div>
           </div>
         </div>
-      </div>
+      </div>${buildCategoryBreakdown(categoryScores)}
     </div>
   `;
 
@@ -0,0 +1,117 @@
+// redaction-report.js
+// Privacy guard report: what utils/privacy-guard.js replaced before the patch was sent (shown with
+// the review), and the prompt that lets the user block sending when confirmBeforeSending is on.
+
+/**
+ * @param {{ total: number, counts: Array<{ label: string, count: number }> }} report
+ * @returns {string} "3 values redacted (2 API keys, 1 Email address)"
+ */
+function describeRedactions(report) {
+  const counts = report.counts.map(({ label, count }) => `${count} ${label}${count === 1 ? '' : 's'}`).join(', ');
+  return `${report.total} value${report.total === 1 ? '' : 's'} redacted before sending (${counts})`;
+}
+
+/**
+ * @param {Array<{ placeholder: string, label: string, file: string|null, line: number|null, preview: string }>} items
+ * @returns {HTMLUListElement}
+ */
+function createRedactionList(items) {
+  const list = document.createElement('ul');
+  list.className = 'thinkreview-redactions-list';
+  items.forEach((item) => {
+    const li = document.createElement('li');
+    const placeholder = document.createElement('code');
+    placeholder.className = 'thinkreview-redactions-placeholder';
+    placeholder.textContent = item.placeholder;
+    const location = document.createElement('span');
+    location.className = 'thinkreview-redactions-location';
+    location.textContent = item.file ? `${item.file}${item.line ? `:${item.line}` : ''}` : '';
+    location.title = location.textContent;
+    const detail = document.createElement('span');
+    detail.className = 'thinkreview-redactions-detail';
+    detail.textContent = `${item.label} · ${item.preview}`;
+    li.appendChild(placeholder);
+    li.appendChild(location);
+    li.appendChild(detail);
+    list.appendChild(li);
+  });
+  return list;
+}
+
+/**
+ * Render (or hide) the redaction report shown with the review.
+ * @param {HTMLElement} container
+ * @param {ReturnType<ReturnType<typeof import('../utils/privacy-guard.js').createRedactionSession>['createReport']>|null} report
+ */
+export function renderRedactionReport(container, report) {
+  if (!container) return;
+  container.replaceChildren();
+
+  if (!report || report.total === 0) {
+    container.classList.add('gl-hidden');
+    return;
+  }
+
+  const details = document.createElement('details');
+  details.className = 'thinkreview-redactions';
+  const summary = document.createElement('summary');
+  summary.textContent = `🔒 ${describeRedactions(report)}`;
+  details.appendChild(summary);
+  details.appendChild(createRedactionList(report.items));
+
+  const note = document.createElement('p');
+  note.className = 'thinkreview-redactions-note';
+  note.textContent = 'The AI saw placeholders instead of these values; they are shown again in the review. Private keys are never shown.';
+  details.appendChild(note);
+
+  container.appendChild(details);
+  container.classList.remove('gl-hidden');
+}
+
+/**
+ * Show the report in the loader and wait for the user to send the redacted patch or cancel.
+ * @param {HTMLElement|null} container
+ * @param {Object} report - createReport() result
+ * @returns {Promise<boolean>} true to send
+ */
+export function confirmRedactedSend(container, report) {
+  if (!container) return Promise.resolve(true);
+  container.replaceChildren();
+
+  const box = document.createElement('div');
+  box.className = 'thinkreview-redactions thinkreview-redactions-confirm';
+  const title = document.createElement('p');
+  title.className = 'thinkreview-redactions-title';
+  title.textContent = `🔒 ${describeRedactions(report)}`;
+  box.appendChild(title);
+  box.appendChild(createRedactionList(report.items));
+
+  const actions = document.createElement('div');
+  actions.className = 'thinkreview-redactions-actions';
+  const sendBtn = document.createElement('button');
+  sendBtn.type = 'button';
+  sendBtn.className = 'thinkreview-redactions-btn thinkreview-redactions-send-btn';
+  sendBtn.textContent = 'Send redacted patch';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'thinkreview-redactions-btn';
+  cancelBtn.textContent = "Don't send";
+  actions.appendChild(sendBtn);
+  actions.appendChild(cancelBtn);
+  box.appendChild(actions);
+
+  container.appendChild(box);
+  container.classList.remove('gl-hidden');
+
+  return new Promise((resolve) => {
+    const finish = (send) => {
+      container.replaceChildren();
+      container.classList.add('gl-hidden');
+      resolve(send);
+    };
+    sendBtn.addEventListener('click', () => finish(true));
+    cancelBtn.addEventListener('click', () => finish(false));
+  });
+}
+
+export default { renderRedactionReport, confirmRedactedSend };
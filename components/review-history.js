@@ -0,0 +1,372 @@
+// review-history.js
+// "Review history" dialog for the integrated review panel.
+// Lists the earlier review runs of the current MR/PR (stored on this device by
+// services/review-history-store.js), reopens one of them offline, and compares two runs.
+import { dbgWarn } from '../utils/logger.js';
+import { diffReviewFindings, findingTitle } from '../utils/review-diff.js';
+
+const SEVERITY_BADGES = {
+  critical: { label: 'Critical', className: 'thinkreview-publish-badge-critical' },
+  high: { label: 'High', className: 'thinkreview-publish-badge-high' },
+  low: { label: 'Low', className: 'thinkreview-publish-badge-low' },
+  suggestion: { label: 'Suggestion', className: 'thinkreview-publish-badge-suggestion' },
+  suggestions: { label: 'Suggestion', className: 'thinkreview-publish-badge-suggestion' },
+  security: { label: 'Security', className: 'thinkreview-publish-badge-critical' },
+  practice: { label: 'Practice', className: 'thinkreview-publish-badge-low' }
+};
+
+/**
+ * @param {Object} message
+ * @returns {Promise<Object>}
+ */
+function sendHistoryMessage(message) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        resolve({ success: false, error: chrome.runtime.lastError.message });
+        return;
+      }
+      resolve(response || { success: false, error: 'No response from background' });
+    });
+  });
+}
+
+/**
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatRunDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * @param {{ critical: number, high: number, low: number, suggestions: number }} counts
+ * @returns {string}
+ */
+function formatCounts(counts = {}) {
+  const parts = [
+    [counts.critical, 'critical'],
+    [counts.high, 'high'],
+    [counts.low, 'low'],
+    [counts.suggestions, counts.suggestions === 1 ? 'suggestion' : 'suggestions']
+  ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+  return parts.length > 0 ? parts.join(' · ') : 'No findings';
+}
+
+/**
+ * @param {Object} entry - History summary
+ * @returns {string}
+ */
+function formatRunMeta(entry) {
+  return [
+    [entry.provider, entry.model].filter(Boolean).join(' · '),
+    entry.reviewFormat,
+    entry.patchHash ? `patch ${entry.patchHash.slice(0, 8)}` : null
+  ].filter(Boolean).join(' — ');
+}
+
+/**
+ * @param {{ severity: string, item: Object }} finding
+ * @returns {HTMLLIElement}
+ */
+function renderFindingRow(finding) {
+  const li = document.createElement('li');
+  li.className = 'thinkreview-history-finding';
+
+  const badgeInfo = SEVERITY_BADGES[finding.severity] || SEVERITY_BADGES.low;
+  const badge = document.createElement('span');
+  badge.className = `thinkreview-publish-badge ${badgeInfo.className}`;
+  badge.textContent = badgeInfo.label;
+
+  const title = document.createElement('span');
+  title.className = 'thinkreview-history-finding-title';
+  title.textContent = findingTitle(finding) || 'Untitled';
+
+  li.appendChild(badge);
+  li.appendChild(title);
+
+  const { filePath, startLine } = finding.item;
+  if (filePath) {
+    const location = document.createElement('span');
+    location.className = 'thinkreview-history-finding-location';
+    location.textContent = typeof startLine === 'number' ? `${filePath}:${startLine}` : filePath;
+    li.appendChild(location);
+  }
+  return li;
+}
+
+/**
+ * @param {string} label
+ * @param {string} modifier - appeared | disappeared | unchanged
+ * @param {Array<Object>} findings
+ * @param {boolean} [collapsed]
+ * @returns {HTMLDetailsElement}
+ */
+function renderDiffSection(label, modifier, findings, collapsed = false) {
+  const section = document.createElement('details');
+  section.className = `thinkreview-history-diff-section thinkreview-history-diff-${modifier}`;
+  section.open = !collapsed && findings.length > 0;
+
+  const summary = document.createElement('summary');
+  summary.textContent = `${label} (${findings.length})`;
+  section.appendChild(summary);
+
+  const list = document.createElement('ul');
+  list.className = 'thinkreview-history-finding-list';
+  findings.forEach((finding) => list.appendChild(renderFindingRow(finding)));
+  section.appendChild(list);
+  return section;
+}
+
+/**
+ * Open the review history dialog.
+ *
+ * @param {Object} params
+ * @param {string} params.reviewKey - utils/review-key.js key of the current MR/PR
+ * @param {(entry: Object) => void} params.onOpen - Display a stored run (full entry, review included)
+ * @param {Function} [params.onCompare] - Callback({ sameCode }) after two runs are compared
+ */
+export function openReviewHistoryDialog({ reviewKey, onOpen, onCompare }) {
+  document.getElementById('thinkreview-history-overlay')?.remove();
+
+  const overlay = document.createElement('div');
+  overlay.id = 'thinkreview-history-overlay';
+  overlay.className = 'thinkreview-feedback-popup-overlay';
+
+  const popup = document.createElement('div');
+  popup.className = 'thinkreview-feedback-popup thinkreview-history-popup';
+  popup.setAttribute('role', 'dialog');
+  popup.setAttribute('aria-modal', 'true');
+  popup.setAttribute('aria-label', 'Review history');
+  popup.innerHTML = `
+    <div class="thinkreview-feedback-popup-header">
+      <h3>Review history</h3>
+      <button type="button" class="thinkreview-feedback-popup-close" title="Close">×</button>
+    </div>
+    <div class="thinkreview-feedback-popup-body">
+      <p class="thinkreview-history-intro">Reviews of this PR saved on this device. Open a run to view it again, or select two runs to compare their findings.</p>
+      <div class="thinkreview-history-status"></div>
+      <ul class="thinkreview-publish-list thinkreview-history-list"></ul>
+      <div class="thinkreview-history-compare gl-hidden"></div>
+      <div class="thinkreview-publish-error gl-hidden" role="alert"></div>
+    </div>
+    <div class="thinkreview-feedback-popup-footer">
+      <button type="button" class="thinkreview-feedback-cancel-btn thinkreview-history-clear-btn">Clear history</button>
+      <button type="button" class="thinkreview-feedback-cancel-btn thinkreview-history-close-btn">Close</button>
+      <button type="button" class="thinkreview-feedback-submit-btn thinkreview-history-compare-btn">Compare</button>
+    </div>
+  `;
+
+  const intro = popup.querySelector('.thinkreview-history-intro');
+  const statusEl = popup.querySelector('.thinkreview-history-status');
+  const list = popup.querySelector('.thinkreview-history-list');
+  const compareView = popup.querySelector('.thinkreview-history-compare');
+  const errorEl = popup.querySelector('.thinkreview-publish-error');
+  const clearBtn = popup.querySelector('.thinkreview-history-clear-btn');
+  const compareBtn = popup.querySelector('.thinkreview-history-compare-btn');
+
+  /** @type {Array<{ entry: Object, checkbox: HTMLInputElement }>} */
+  let rows = [];
+  let comparing = false;
+
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.classList.toggle('gl-hidden', !message);
+  };
+
+  const getSelected = () => rows.filter((row) => row.checkbox.checked);
+
+  const updateFooter = () => {
+    if (comparing) {
+      compareBtn.textContent = 'Back';
+      compareBtn.disabled = false;
+      clearBtn.classList.add('gl-hidden');
+      return;
+    }
+    const selectedCount = getSelected().length;
+    compareBtn.textContent = 'Compare selected';
+    compareBtn.disabled = selectedCount !== 2;
+    clearBtn.classList.toggle('gl-hidden', rows.length === 0);
+    // Only two runs can be compared at a time
+    rows.forEach((row) => { row.checkbox.disabled = !row.checkbox.checked && selectedCount >= 2; });
+  };
+
+  const showList = () => {
+    comparing = false;
+    compareView.classList.add('gl-hidden');
+    compareView.replaceChildren();
+    list.classList.remove('gl-hidden');
+    intro.classList.remove('gl-hidden');
+    statusEl.classList.toggle('gl-hidden', rows.length > 0);
+    showError('');
+    updateFooter();
+  };
+
+  const openRun = async (entrySummary, button) => {
+    button.disabled = true;
+    const response = await sendHistoryMessage({ type: 'GET_REVIEW_HISTORY_ENTRY', id: entrySummary.id });
+    button.disabled = false;
+    if (!response.success || !response.entry) {
+      showError(response.error || 'This review is no longer stored.');
+      return;
+    }
+    overlay.remove();
+    onOpen(response.entry);
+  };
+
+  const renderList = (entries) => {
+    list.replaceChildren();
+    rows = [];
+    statusEl.textContent = entries.length === 0
+      ? 'No saved reviews for this PR yet. Each completed review is saved here automatically.'
+      : '';
+
+    entries.forEach((entry) => {
+      const li = document.createElement('li');
+      li.className = 'thinkreview-publish-item thinkreview-history-item';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.setAttribute('aria-label', `Select review from ${formatRunDate(entry.createdAt)} for comparison`);
+      checkbox.addEventListener('change', updateFooter);
+
+      const body = document.createElement('div');
+      body.className = 'thinkreview-publish-item-body';
+
+      const header = document.createElement('div');
+      header.className = 'thinkreview-publish-item-header';
+      const date = document.createElement('span');
+      date.className = 'thinkreview-publish-item-title';
+      date.textContent = formatRunDate(entry.createdAt);
+      header.appendChild(date);
+      if (entry.incremental) {
+        const tag = document.createElement('span');
+        tag.className = 'thinkreview-history-tag';
+        tag.textContent = 'Incremental';
+        header.appendChild(tag);
+      }
+
+      const meta = document.createElement('div');
+      meta.className = 'thinkreview-history-item-meta';
+      meta.textContent = formatRunMeta(entry);
+
+      const counts = document.createElement('div');
+      counts.className = 'thinkreview-history-item-counts';
+      counts.textContent = formatCounts(entry.counts);
+
+      body.appendChild(header);
+      body.appendChild(meta);
+      body.appendChild(counts);
+
+      const openBtn = document.createElement('button');
+      openBtn.type = 'button';
+      openBtn.className = 'thinkreview-history-open-btn';
+      openBtn.textContent = 'Open';
+      openBtn.addEventListener('click', () => openRun(entry, openBtn));
+
+      li.appendChild(checkbox);
+      li.appendChild(body);
+      li.appendChild(openBtn);
+      list.appendChild(li);
+      rows.push({ entry, checkbox });
+    });
+    showList();
+  };
+
+  const loadList = async () => {
+    statusEl.textContent = 'Loading…';
+    statusEl.classList.remove('gl-hidden');
+    const response = await sendHistoryMessage({ type: 'GET_REVIEW_HISTORY', reviewKey });
+    if (!response.success) {
+      statusEl.textContent = '';
+      showError(response.error || 'Could not load the review history.');
+      return;
+    }
+    renderList(response.entries || []);
+  };
+
+  const showComparison = async () => {
+    const [newerSummary, olderSummary] = getSelected()
+      .map((row) => row.entry)
+      .sort((a, b) => b.createdAt - a.createdAt);
+    compareBtn.disabled = true;
+
+    const [newer, older] = await Promise.all([
+      sendHistoryMessage({ type: 'GET_REVIEW_HISTORY_ENTRY', id: newerSummary.id }),
+      sendHistoryMessage({ type: 'GET_REVIEW_HISTORY_ENTRY', id: olderSummary.id })
+    ]);
+    if (!newer.success || !older.success || !newer.entry || !older.entry) {
+      showError(newer.error || older.error || 'One of the selected reviews is no longer stored.');
+      updateFooter();
+      return;
+    }
+
+    const diff = diffReviewFindings(older.entry.review, newer.entry.review);
+    const sameCode = !!newerSummary.patchHash && newerSummary.patchHash === olderSummary.patchHash;
+
+    const heading = document.createElement('p');
+    heading.className = 'thinkreview-history-compare-heading';
+    heading.textContent = `${formatRunDate(olderSummary.createdAt)} → ${formatRunDate(newerSummary.createdAt)}`;
+    const note = document.createElement('p');
+    note.className = 'thinkreview-history-compare-note';
+    note.textContent = sameCode
+      ? 'Both runs reviewed the same code; differences come from the model or settings.'
+      : 'The reviewed code changed between these runs.';
+
+    compareView.replaceChildren(
+      heading,
+      note,
+      renderDiffSection('Appeared', 'appeared', diff.appeared),
+      renderDiffSection('Disappeared', 'disappeared', diff.disappeared),
+      renderDiffSection('Unchanged', 'unchanged', diff.unchanged, true)
+    );
+
+    comparing = true;
+    list.classList.add('gl-hidden');
+    intro.classList.add('gl-hidden');
+    statusEl.classList.add('gl-hidden');
+    compareView.classList.remove('gl-hidden');
+    showError('');
+    updateFooter();
+
+    if (typeof onCompare === 'function') {
+      onCompare({ sameCode });
+    }
+  };
+
+  compareBtn.addEventListener('click', () => {
+    if (comparing) {
+      showList();
+    } else {
+      showComparison().catch((error) => {
+        dbgWarn('Failed to compare review runs:', error);
+        showError('Could not compare the selected reviews.');
+        updateFooter();
+      });
+    }
+  });
+
+  clearBtn.addEventListener('click', async () => {
+    if (!window.confirm('Delete all saved reviews of this PR from this device?')) return;
+    clearBtn.disabled = true;
+    const response = await sendHistoryMessage({ type: 'CLEAR_REVIEW_HISTORY', reviewKey });
+    clearBtn.disabled = false;
+    if (!response.success) {
+      showError(response.error || 'Could not clear the review history.');
+      return;
+    }
+    renderList([]);
+  });
+
+  const closePopup = () => overlay.remove();
+  popup.querySelector('.thinkreview-feedback-popup-close').addEventListener('click', closePopup);
+  popup.querySelector('.thinkreview-history-close-btn').addEventListener('click', closePopup);
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closePopup();
+  });
+
+  updateFooter();
+  overlay.appendChild(popup);
+  document.body.appendChild(overlay);
+  loadList();
+}
@@ -380,10 +380,27 @@ function formatCharsAsSize(chars) {
   return `${(chars / (1024 * 1024)).toFixed(1)} MB`;
 }
 
+/**
+ * Append "Reviewed in N parts" when an oversized patch was reviewed in parts (utils/chunked-review.js).
+ * @param {HTMLElement} content
+ * @param {{ chunkCount?: number, failedChunkCount?: number }} meta
+ */
+function appendChunkInfo(content, meta) {
+  if (!(meta.chunkCount > 1)) return;
+  content.appendChild(document.createTextNode(' • '));
+  const chunkSpan = document.createElement('span');
+  chunkSpan.className = 'thinkreview-chunked-review-label';
+  chunkSpan.textContent = meta.failedChunkCount > 0
+    ? `Reviewed in ${meta.chunkCount} parts (${meta.failedChunkCount} failed)`
+    : `Reviewed in ${meta.chunkCount} parts`;
+  chunkSpan.title = "The patch was larger than this model's context length, so each part was reviewed separately and the results were merged.";
+  content.appendChild(chunkSpan);
+}
+
 /**
  * Render the Ollama-specific metadata bar (patch size, truncation, Switch to Cloud, model dropdown).
  * @param {HTMLElement} container - The container element for the banner
- * @param {Object|null} ollamaMeta - { patchSizeChars, patchSentChars, wasTruncated, model }
+ * @param {Object|null} ollamaMeta - { patchSizeChars, patchSentChars, wasTruncated, model, chunkCount?, failedChunkCount? }
  * @param {Object} callbacks - { onSwitchToCloud(), getModels?(): Promise<Array<{name:string}>>, onModelChange?(modelName: string) }
  * @param {string|null} [reviewRequestLabel] - e.g. MR !12 or PR #34
  */
@@ -455,6 +472,7 @@ export function renderOllamaMetadataBar(container, ollamaMeta, callbacks = {}, r
     });
     content.appendChild(truncatedWrapper);
   }
+  appendChunkInfo(content, ollamaMeta);
 
   topRow.appendChild(content);
 
@@ -526,23 +544,36 @@ export function renderOllamaMetadataBar(container, ollamaMeta, callbacks = {}, r
 }
 
 /**
- * Render the OpenRouter-specific metadata bar (patch size, truncation, Switch to Cloud, model name).
+ * Format token usage as "Tokens: 1,234 in / 567 out".
+ * @param {Object|null} usage - { inputTokens, outputTokens }
+ * @returns {string|null}
+ */
+function formatTokenUsage(usage) {
+  if (!usage || (usage.inputTokens == null && usage.outputTokens == null)) return null;
+  const format = (value) => (typeof value === 'number' ? value.toLocaleString('en-US') : '?');
+  return `Tokens: ${format(usage.inputTokens)} in / ${format(usage.outputTokens)} out`;
+}
+
+/**
+ * Render the metadata bar of API provider reviews — OpenRouter, Anthropic, Azure OpenAI and custom
+ * OpenAI-compatible servers (provider, patch size, truncation, model, token usage, Switch to Cloud).
  * @param {HTMLElement} container
- * @param {Object|null} openrouterMeta - { patchSizeChars, patchSentChars, wasTruncated, model }
+ * @param {Object|null} providerMeta - { patchSizeChars, patchSentChars, wasTruncated, model, chunkCount?, failedChunkCount?, usage? }
  * @param {Object} callbacks - { onSwitchToCloud() }
  * @param {string|null} [reviewRequestLabel]
+ * @param {string|null} [providerLabel] - e.g. Anthropic
  */
-export function renderOpenRouterMetadataBar(container, openrouterMeta, callbacks = {}, reviewRequestLabel = null) {
+export function renderApiProviderMetadataBar(container, providerMeta, callbacks = {}, reviewRequestLabel = null, providerLabel = null) {
   if (!container) return;
 
   container.replaceChildren();
 
-  if (!openrouterMeta || typeof openrouterMeta.patchSizeChars !== 'number') {
+  if (!providerMeta || typeof providerMeta.patchSizeChars !== 'number') {
     container.classList.add('gl-hidden');
     return;
   }
 
-  const { patchSizeChars, patchSentChars, wasTruncated, model } = openrouterMeta;
+  const { patchSizeChars, patchSentChars, wasTruncated, model } = providerMeta;
   const onSwitchToCloud = typeof callbacks.onSwitchToCloud === 'function' ? callbacks.onSwitchToCloud : () => {};
 
   const banner = document.createElement('div');
@@ -559,6 +590,9 @@ export function renderOpenRouterMetadataBar(container, openrouterMeta, callbacks
     content.appendChild(document.createTextNode(reviewRequestLabel));
     content.appendChild(document.createTextNode(' • '));
   }
+  if (providerLabel) {
+    content.appendChild(document.createTextNode(`${providerLabel} • `));
+  }
   content.appendChild(document.createTextNode(`Original patch: ${patchSizeStr}`));
   if (wasTruncated && truncatedSizeStr) {
     content.appendChild(document.createTextNode(' • '));
@@ -598,10 +632,16 @@ export function renderOpenRouterMetadataBar(container, openrouterMeta, callbacks
     });
     content.appendChild(truncatedWrapper);
   }
+  appendChunkInfo(content, providerMeta);
   if (model) {
     content.appendChild(document.createTextNode(' • '));
     content.appendChild(document.createTextNode(`Model: ${model}`));
   }
+  const usageStr = formatTokenUsage(providerMeta.usage);
+  if (usageStr) {
+    content.appendChild(document.createTextNode(' • '));
+    content.appendChild(document.createTextNode(usageStr));
+  }
 
   topRow.appendChild(content);
 
@@ -621,4 +661,178 @@ export function renderOpenRouterMetadataBar(container, openrouterMeta, callbacks
   container.classList.remove('gl-hidden');
 }
 
+/**
+ * Render the OpenRouter metadata bar (see renderApiProviderMetadataBar).
+ * @param {HTMLElement} container
+ * @param {Object|null} openrouterMeta
+ * @param {Object} callbacks - { onSwitchToCloud() }
+ * @param {string|null} [reviewRequestLabel]
+ */
+export function renderOpenRouterMetadataBar(container, openrouterMeta, callbacks = {}, reviewRequestLabel = null) {
+  renderApiProviderMetadataBar(container, openrouterMeta, callbacks, reviewRequestLabel, 'OpenRouter');
+}
+
+/**
+ * The banner of the metadata bar; a standalone one is created when the bar is hidden.
+ * @param {HTMLElement} container
+ * @returns {HTMLElement}
+ */
+function getOrCreateMetadataBanner(container) {
+  let banner = container.classList.contains('gl-hidden') ? null : container.querySelector('.thinkreview-patch-size-banner');
+  if (!banner) {
+    container.replaceChildren();
+    banner = document.createElement('div');
+    banner.className = 'thinkreview-patch-size-banner';
+    container.appendChild(banner);
+    container.classList.remove('gl-hidden');
+  }
+  return banner;
+}
+
+/**
+ * Add the repository rules (.thinkreview.yml) used for this review to the metadata bar.
+ * Renders a standalone banner when the bar itself is hidden (no patch size info).
+ * @param {HTMLElement} container - The metadata bar container, after one of the render*MetadataBar calls
+ * @param {Object|null} reviewRules - { path, ref, labels: string[], errors: string[], warnings: string[], ignoredFiles: string[] }
+ */
+export function renderReviewRulesRow(container, reviewRules) {
+  if (!container || !reviewRules) return;
+
+  const banner = getOrCreateMetadataBanner(container);
+
+  const { path, ref, labels = [], errors = [], warnings = [], ignoredFiles = [] } = reviewRules;
+  const row = document.createElement('div');
+  row.className = 'thinkreview-review-rules-row';
+
+  const icon = document.createElement('span');
+  icon.className = 'thinkreview-review-rules-icon';
+  icon.textContent = '📐';
+  icon.setAttribute('aria-hidden', 'true');
+
+  const text = document.createElement('span');
+  text.className = 'thinkreview-review-rules-text';
+  const source = ref ? `${path} (${ref})` : path;
+  if (errors.length > 0) {
+    row.classList.add('thinkreview-review-rules-row-invalid');
+    text.textContent = `Rules file ${source} not applied: ${errors[0]}`;
+  } else {
+    const parts = [`Rules: ${source}`];
+    parts.push(labels.length > 0 ? labels.join(', ') : 'no rules set');
+    if (ignoredFiles.length > 0) {
+      parts.push(`${ignoredFiles.length} file${ignoredFiles.length === 1 ? '' : 's'} ignored`);
+    }
+    text.textContent = parts.join(' • ');
+  }
+
+  const details = [
+    ...warnings.map((warning) => `Warning: ${warning}`),
+    ...ignoredFiles.map((file) => `Ignored: ${file}`)
+  ];
+  if (details.length > 0) {
+    row.title = details.join('\n');
+  }
+
+  row.appendChild(icon);
+  row.appendChild(text);
+  banner.appendChild(row);
+}
+
+/**
+ * Add the files sent as expanded context (utils/expanded-context.js) to the metadata bar.
+ * @param {HTMLElement} container - The metadata bar container, after one of the render*MetadataBar calls
+ * @param {Object|null} expandedContext - { files: [{ path, reason, tokens }], skipped: string[], usedTokens, tokenBudget, omitted }
+ *   omitted: the provider left the files out to fit the patch in the model context
+ */
+export function renderContextFilesRow(container, expandedContext) {
+  if (!container || !expandedContext || !Array.isArray(expandedContext.files) || expandedContext.files.length === 0) return;
+
+  const banner = getOrCreateMetadataBanner(container);
+  const { files, skipped = [], usedTokens = 0, tokenBudget = 0, omitted = false } = expandedContext;
+  const row = document.createElement('div');
+  row.className = 'thinkreview-review-rules-row thinkreview-context-files-row';
+
+  const icon = document.createElement('span');
+  icon.className = 'thinkreview-review-rules-icon';
+  icon.textContent = '📄';
+  icon.setAttribute('aria-hidden', 'true');
+
+  const formatTokens = (tokens) => (tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens));
+  const text = document.createElement('span');
+  text.className = 'thinkreview-review-rules-text';
+  const count = `${files.length} file${files.length === 1 ? '' : 's'}`;
+  if (omitted) {
+    row.classList.add('thinkreview-review-rules-row-invalid');
+    text.textContent = `Context: ${count} not sent, the patch alone fills the model context`;
+  } else {
+    const parts = [`Context: ${count} (~${formatTokens(usedTokens)} of ${formatTokens(tokenBudget)} tokens)`];
+    if (skipped.length > 0) {
+      parts.push(`${skipped.length} over budget`);
+    }
+    text.textContent = parts.join(' • ');
+  }
+
+  row.title = [
+    ...files.map((file) => `${file.reason === 'import' ? 'Imported' : 'Changed'}: ${file.path} (~${formatTokens(file.tokens || 0)} tokens)`),
+    ...skipped.map((path) => `Over budget: ${path}`)
+  ].join('\n');
+
+  row.appendChild(icon);
+  row.appendChild(text);
+  banner.appendChild(row);
+}
+
+const FALLBACK_REASON_LABELS = {
+  connection: 'unreachable',
+  timeout: 'timed out',
+  'rate-limit': 'rate limited',
+  'server-error': 'server error',
+  unavailable: 'not set up',
+  privacy: 'skipped, remote fallback not allowed'
+};
+
+/**
+ * One-line description of a fallback (utils/provider-fallback.js), e.g.
+ * "Answered by OpenRouter • Ollama: unreachable".
+ * @param {Object|null} fallback - { provider, label, failures: [{ provider, label, reason, error }] }
+ * @returns {string}
+ */
+export function describeProviderFallback(fallback) {
+  if (!fallback) return '';
+  const failures = (fallback.failures || []).map((failure) =>
+    `${failure.label || failure.provider}: ${FALLBACK_REASON_LABELS[failure.reason] || failure.reason}`
+  );
+  return [`Answered by ${fallback.label || fallback.provider}`, ...failures].join(' • ');
+}
+
+/**
+ * Add the provider that answered after a fallback, and why the earlier providers failed, to the metadata bar.
+ * @param {HTMLElement} container - The metadata bar container, after one of the render*MetadataBar calls
+ * @param {Object|null} fallback - See describeProviderFallback()
+ */
+export function renderProviderFallbackRow(container, fallback) {
+  if (!container || !fallback) return;
+
+  const banner = getOrCreateMetadataBanner(container);
+  const row = document.createElement('div');
+  row.className = 'thinkreview-review-rules-row thinkreview-provider-fallback-row';
+
+  const icon = document.createElement('span');
+  icon.className = 'thinkreview-review-rules-icon';
+  icon.textContent = '🔁';
+  icon.setAttribute('aria-hidden', 'true');
+
+  const text = document.createElement('span');
+  text.className = 'thinkreview-review-rules-text';
+  text.textContent = describeProviderFallback(fallback);
+
+  const errors = (fallback.failures || [])
+    .filter((failure) => failure.error)
+    .map((failure) => `${failure.label || failure.provider}: ${failure.error}`);
+  if (errors.length > 0) {
+    row.title = errors.join('\n');
+  }
 
+  row.appendChild(icon);
+  row.appendChild(text);
+  banner.appendChild(row);
+}
@@ -1,8 +1,21 @@
 /**
- * Severity review layout — PR description + Critical / High / Low issues.
+ * Severity review layout — PR description + findings grouped by severity, file or category,
+ * with category filter chips (severities and categories from utils/review-taxonomy.js).
  * Loaded via chrome.runtime.getURL for Firefox-safe dynamic imports.
  */
 
+import {
+  GROUP_BY_OPTIONS,
+  collectTaggedFindings,
+  normalizeReviewTaxonomy
+} from '../utils/review-taxonomy.js';
+
+/** Badges for findings of an incremental re-review (see utils/incremental-review.js) */
+const INCREMENTAL_STATUS_LABELS = {
+  new: 'New',
+  'still-present': 'Still present'
+};
+
 /**
  * @param {{ filePath?: string, startLine?: number, endLine?: number }} issue
  * @returns {string}
@@ -19,27 +32,28 @@ function formatLocation(issue) {
 }
 
 /**
- * Build a severity issue list section
+ * Build a list section of tagged findings
  * @param {string} title
- * @param {string} severityClass - CSS modifier (critical|high|low)
- * @param {Array} issues
+ * @param {string} sectionClass - CSS modifier (severity-critical|severity-high|severity-low|group)
+ * @param {Array} entries - Findings from collectTaggedFindings
  * @param {Object} handlers
  * @param {Function} [handlers.onIssueClick]
  * @param {Function} [handlers.markdownToHtml]
  * @param {Function} [handlers.preprocessAIResponse]
  * @param {Function} [handlers.attachCopyButtonToItem]
+ * @param {Object} labels - { severity: { id: label }, category: { id: label }, showSeverity, showCategory }
  * @returns {HTMLElement|null}
  */
-function buildIssueSection(title, severityClass, issues, handlers = {}) {
+function buildIssueSection(title, sectionClass, entries, handlers, labels) {
   const section = document.createElement('div');
-  section.className = `gl-mb-4 thinkreview-severity-section thinkreview-severity-${severityClass}`;
+  section.className = `gl-mb-4 thinkreview-severity-section thinkreview-${sectionClass}`;
 
   const heading = document.createElement('h5');
   heading.className = 'gl-font-weight-bold thinkreview-section-title';
   heading.textContent = title;
   section.appendChild(heading);
 
-  if (!Array.isArray(issues) || issues.length === 0) {
+  if (entries.length === 0) {
     const empty = document.createElement('p');
     empty.className = 'thinkreview-severity-empty';
     empty.textContent = 'None found.';
@@ -57,9 +71,11 @@ function buildIssueSection(title, severityClass, issues, handlers = {}) {
     attachCopyButtonToItem
   } = handlers;
 
-  issues.forEach((issue) => {
+  entries.forEach(({ issue, level, itemId, severity, category }) => {
     const li = document.createElement('li');
-    li.className = 'thinkreview-severity-issue-item';
+    li.className = `thinkreview-severity-issue-item thinkreview-severity-issue-${level}`;
+    // Same id as the publishable comment / diff annotation of this issue (components/utils/review-comments.js)
+    li.dataset.reviewItemId = itemId;
 
     const wrapper = document.createElement('div');
     wrapper.className = 'thinkreview-item-wrapper thinkreview-severity-issue-wrapper';
@@ -70,8 +86,38 @@ function buildIssueSection(title, severityClass, issues, handlers = {}) {
     const titleEl = document.createElement('div');
     titleEl.className = 'thinkreview-severity-issue-title';
     titleEl.textContent = issue.title || 'Untitled issue';
+    const statusLabel = INCREMENTAL_STATUS_LABELS[issue.incrementalStatus];
+    if (statusLabel) {
+      const statusEl = document.createElement('span');
+      statusEl.className = `thinkreview-incremental-status thinkreview-incremental-status-${issue.incrementalStatus}`;
+      statusEl.textContent = statusLabel;
+      titleEl.appendChild(statusEl);
+    }
+    if (issue.source === 'rule') {
+      const ruleEl = document.createElement('span');
+      ruleEl.className = 'thinkreview-rule-badge';
+      ruleEl.textContent = 'Rule';
+      ruleEl.title = `Found by the static check "${issue.ruleLabel || issue.ruleId}", not by the AI`;
+      titleEl.appendChild(ruleEl);
+    }
     content.appendChild(titleEl);
 
+    const tags = document.createElement('div');
+    tags.className = 'thinkreview-finding-tags';
+    if (labels.showSeverity) {
+      const severityEl = document.createElement('span');
+      severityEl.className = `thinkreview-finding-tag thinkreview-finding-tag-${level}`;
+      severityEl.textContent = labels.severity[severity];
+      tags.appendChild(severityEl);
+    }
+    if (labels.showCategory) {
+      const categoryEl = document.createElement('span');
+      categoryEl.className = 'thinkreview-finding-tag thinkreview-finding-tag-category';
+      categoryEl.textContent = labels.category[category];
+      tags.appendChild(categoryEl);
+    }
+    if (tags.childElementCount > 0) content.appendChild(tags);
+
     const location = formatLocation(issue);
     if (location) {
       const locEl = document.createElement('div');
@@ -102,7 +148,7 @@ function buildIssueSection(title, severityClass, issues, handlers = {}) {
           location,
           issue.description || ''
         ].filter(Boolean).join('\n');
-        onIssueClick(plain, severityClass, issue);
+        onIssueClick(plain, level, issue);
       });
     }
 
@@ -126,6 +172,94 @@ function buildIssueSection(title, severityClass, issues, handlers = {}) {
   return section;
 }
 
+/**
+ * Split the findings into titled sections.
+ * @param {Array} entries - Findings from collectTaggedFindings (in level order)
+ * @param {string} groupBy - severity|file|category
+ * @param {Object} taxonomy
+ * @returns {Array<{ title: string, sectionClass: string, entries: Array }>}
+ */
+function groupFindings(entries, groupBy, taxonomy) {
+  if (groupBy === 'file') {
+    const files = new Map();
+    entries.forEach((entry) => {
+      const path = entry.issue.filePath || '';
+      if (!files.has(path)) files.set(path, []);
+      files.get(path).push(entry);
+    });
+    return [...files.keys()]
+      .sort((a, b) => (a === '' ? 1 : b === '' ? -1 : a.localeCompare(b)))
+      .map((path) => ({ title: `${path || 'General'} (${files.get(path).length})`, sectionClass: 'group-section', entries: files.get(path) }));
+  }
+  if (groupBy === 'category') {
+    return taxonomy.categories
+      .map(({ id, label }) => ({ label, entries: entries.filter((entry) => entry.category === id) }))
+      .filter((group) => group.entries.length > 0)
+      .map(({ label, entries: inCategory }) => ({ title: `${label} (${inCategory.length})`, sectionClass: 'group-section', entries: inCategory }));
+  }
+  // Every severity gets a section, empty ones included, as the default Critical / High / Low layout
+  return taxonomy.severities.map(({ id, label, level }) => {
+    const ofSeverity = entries.filter((entry) => entry.severity === id);
+    return { title: `${label} Issues (${ofSeverity.length})`, sectionClass: `severity-${level}`, entries: ofSeverity };
+  });
+}
+
+/**
+ * Build the filter chips (one per category with findings) and the group-by selector.
+ * @param {Array} entries
+ * @param {Object} taxonomy
+ * @param {{ category: string|null, groupBy: string }} state
+ * @param {Function} onChange - Called after the state changed
+ * @returns {HTMLElement}
+ */
+function buildToolbar(entries, taxonomy, state, onChange) {
+  const toolbar = document.createElement('div');
+  toolbar.className = 'thinkreview-findings-toolbar';
+
+  const chips = document.createElement('div');
+  chips.className = 'thinkreview-findings-chips';
+  chips.setAttribute('role', 'group');
+  chips.setAttribute('aria-label', 'Filter findings by category');
+  const addChip = (label, category, count) => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'thinkreview-findings-chip';
+    chip.textContent = `${label} (${count})`;
+    chip.setAttribute('aria-pressed', String(state.category === category));
+    chip.addEventListener('click', () => {
+      state.category = category;
+      onChange();
+    });
+    chips.appendChild(chip);
+  };
+  addChip('All', null, entries.length);
+  taxonomy.categories.forEach(({ id, label }) => {
+    const count = entries.filter((entry) => entry.category === id).length;
+    if (count > 0) addChip(label, id, count);
+  });
+  toolbar.appendChild(chips);
+
+  const groupLabel = document.createElement('label');
+  groupLabel.className = 'thinkreview-findings-group-by';
+  groupLabel.textContent = 'Group by ';
+  const select = document.createElement('select');
+  Object.entries(GROUP_BY_OPTIONS).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = state.groupBy;
+  select.addEventListener('change', () => {
+    state.groupBy = select.value;
+    onChange();
+  });
+  groupLabel.appendChild(select);
+  toolbar.appendChild(groupLabel);
+
+  return toolbar;
+}
+
 /**
  * Render the severity review layout into a container.
  * @param {HTMLElement} container
@@ -136,6 +270,7 @@ function buildIssueSection(title, severityClass, issues, handlers = {}) {
  * @param {Function} [handlers.preprocessAIResponse]
  * @param {Function} [handlers.attachCopyButtonToItem]
  * @param {Function} [handlers.applySimpleSyntaxHighlighting]
+ * @param {Object} [handlers.taxonomy] - Severities, categories and default grouping (utils/review-taxonomy.js)
  * @returns {HTMLElement|null}
  */
 export function renderSeverityLayout(container, review, handlers = {}) {
@@ -151,6 +286,7 @@ export function renderSeverityLayout(container, review, handlers = {}) {
     applySimpleSyntaxHighlighting,
     onIssueClick
   } = handlers;
+  const taxonomy = normalizeReviewTaxonomy(handlers.taxonomy);
 
   // PR Description section
   const prSection = document.createElement('div');
@@ -195,33 +331,36 @@ export function renderSeverityLayout(container, review, handlers = {}) {
     attachCopyButtonToItem
   };
 
-  container.appendChild(
-    buildIssueSection(
-      `Critical Issues (${Array.isArray(review.criticalIssues) ? review.criticalIssues.length : 0})`,
-      'critical',
-      review.criticalIssues,
-      issueHandlers
-    )
-  );
-  container.appendChild(
-    buildIssueSection(
-      `High Issues (${Array.isArray(review.highIssues) ? review.highIssues.length : 0})`,
-      'high',
-      review.highIssues,
-      issueHandlers
-    )
-  );
-  container.appendChild(
-    buildIssueSection(
-      `Low Issues (${Array.isArray(review.lowIssues) ? review.lowIssues.length : 0})`,
-      'low',
-      review.lowIssues,
-      issueHandlers
-    )
-  );
+  const entries = collectTaggedFindings(review, taxonomy);
+  const labels = {
+    severity: Object.fromEntries(taxonomy.severities.map(({ id, label }) => [id, label])),
+    category: Object.fromEntries(taxonomy.categories.map(({ id, label }) => [id, label]))
+  };
+  const state = { category: null, groupBy: taxonomy.groupBy };
+  const findingsEl = document.createElement('div');
+  findingsEl.className = 'thinkreview-findings';
+
+  const renderFindings = () => {
+    const visible = state.category ? entries.filter((entry) => entry.category === state.category) : entries;
+    const groups = groupFindings(visible, state.groupBy, taxonomy);
+    if (groups.length === 0) groups.push({ title: 'Findings (0)', sectionClass: 'group-section', entries: [] });
+    const sections = groups.map(({ title, sectionClass, entries: inSection }) =>
+      buildIssueSection(title, sectionClass, inSection, issueHandlers, {
+        ...labels,
+        showSeverity: state.groupBy !== 'severity',
+        showCategory: state.groupBy !== 'category'
+      })
+    );
+    findingsEl.replaceChildren(...(entries.length > 0 ? [buildToolbar(entries, taxonomy, state, renderFindings)] : []), ...sections);
+    if (typeof applySimpleSyntaxHighlighting === 'function') {
+      applySimpleSyntaxHighlighting(findingsEl);
+    }
+  };
 
+  container.appendChild(findingsEl);
+  renderFindings();
   if (typeof applySimpleSyntaxHighlighting === 'function') {
-    applySimpleSyntaxHighlighting(container);
+    applySimpleSyntaxHighlighting(prSection);
   }
 
   return container;
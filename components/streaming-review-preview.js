@@ -0,0 +1,82 @@
+// streaming-review-preview.js
+// Live preview, inside the review loader, of a review that is being streamed (Ollama, OpenRouter):
+// each section is shown as soon as its part of the JSON response has arrived.
+
+import { parsePartialJson } from '../utils/partial-json.js';
+
+const PREVIEW_LIST_SECTIONS = [
+  ['suggestions', 'Suggestions'],
+  ['securityIssues', 'Security'],
+  ['bestPractices', 'Best practices']
+];
+/** Raw text shown while the response is not (yet) recognizable JSON */
+const MAX_RAW_PREVIEW_CHARS = 600;
+
+/**
+ * @param {HTMLElement} container
+ * @param {string} title
+ * @returns {HTMLElement} The section element
+ */
+function appendSection(container, title) {
+  const section = document.createElement('div');
+  section.className = 'thinkreview-stream-preview-section';
+  const heading = document.createElement('div');
+  heading.className = 'thinkreview-stream-preview-heading';
+  heading.textContent = title;
+  section.appendChild(heading);
+  container.appendChild(section);
+  return section;
+}
+
+/**
+ * Render the part of the review received so far.
+ * @param {HTMLElement} container
+ * @param {string} text - Response text received so far
+ */
+export function renderStreamingReviewPreview(container, text) {
+  if (!container) return;
+  container.replaceChildren();
+
+  const review = parsePartialJson(text);
+  if (typeof review?.summary === 'string' && review.summary.trim()) {
+    const summary = document.createElement('p');
+    summary.className = 'thinkreview-stream-preview-summary';
+    summary.textContent = review.summary;
+    appendSection(container, 'Summary').appendChild(summary);
+  }
+  PREVIEW_LIST_SECTIONS.forEach(([field, title]) => {
+    const items = Array.isArray(review?.[field])
+      ? review[field].filter((item) => typeof item === 'string' && item.trim())
+      : [];
+    if (items.length === 0) return;
+    const list = document.createElement('ul');
+    items.forEach((item) => {
+      const li = document.createElement('li');
+      li.textContent = item;
+      list.appendChild(li);
+    });
+    appendSection(container, title).appendChild(list);
+  });
+
+  if (!container.hasChildNodes()) {
+    const raw = document.createElement('pre');
+    raw.className = 'thinkreview-stream-preview-raw';
+    raw.textContent = text.slice(-MAX_RAW_PREVIEW_CHARS);
+    container.appendChild(raw);
+  }
+
+  container.classList.remove('gl-hidden');
+  container.scrollTop = container.scrollHeight;
+}
+
+/**
+ * Empty and hide the preview.
+ * @param {HTMLElement} container
+ */
+export function clearStreamingReviewPreview(container) {
+  if (!container) return;
+  container.replaceChildren();
+  container.classList.add('gl-hidden');
+}
+
+export default { renderStreamingReviewPreview, clearStreamingReviewPreview };
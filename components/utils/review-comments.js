@@ -0,0 +1,238 @@
+// review-comments.js
+// Turns review findings into inline PR/MR comments that can be published back to the platform.
+// Only findings anchored to a file + line are publishable; summaries stay in the panel.
+
+import { buildDiffLineIndex, getDiffOldPath, locateDiffLine } from '../../utils/diff-line-locator.js';
+
+const SEVERITY_LABELS = {
+  critical: 'Critical',
+  high: 'High',
+  low: 'Low'
+};
+
+const COMMENT_FOOTER = '_Posted from a ThinkReview AI code review._';
+
+/** Lines a GitLab suggestion may reach above or below the line it is attached to */
+const MAX_GITLAB_SUGGESTION_OFFSET = 100;
+
+/** Platforms whose API can apply several posted suggestions in a single commit */
+export const BATCH_APPLY_PLATFORMS = ['gitlab'];
+
+/**
+ * @param {Object} item
+ * @returns {{ startLine: number, endLine: number } | null}
+ */
+function normalizeLineRange(item) {
+  if (!item || typeof item.startLine !== 'number' || !Number.isFinite(item.startLine) || item.startLine < 1) {
+    return null;
+  }
+  const startLine = Math.floor(item.startLine);
+  const endLine = typeof item.endLine === 'number' && Number.isFinite(item.endLine) && item.endLine >= startLine
+    ? Math.floor(item.endLine)
+    : startLine;
+  return { startLine, endLine };
+}
+
+/**
+ * Strip leading "./", "/" and "a/" / "b/" diff prefixes so paths match the platform's repo-relative paths.
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function normalizeCommentPath(filePath) {
+  return String(filePath || '')
+    .trim()
+    .replace(/^\.\//, '')
+    .replace(/^[ab]\//, '')
+    .replace(/^\/+/, '');
+}
+
+/**
+ * @param {Object} issue
+ * @param {string} severity
+ * @returns {string}
+ */
+function buildIssueBody(issue, severity) {
+  const label = SEVERITY_LABELS[severity] || severity;
+  const parts = [`**[${label}] ${issue.title || 'Untitled issue'}**`];
+  const description = String(issue.description || '').trim();
+  if (description) parts.push(description);
+  parts.push(COMMENT_FOOTER);
+  return parts.join('\n\n');
+}
+
+/**
+ * @param {Object} suggestion
+ * @returns {string}
+ */
+function buildSuggestionBody(suggestion) {
+  const parts = ['**Suggested change**'];
+  const description = String(suggestion.description || '').trim();
+  if (description) parts.push(description);
+  if (suggestion.suggestedCode) {
+    parts.push(['```', suggestion.suggestedCode, '```'].join('\n'));
+  }
+  parts.push(COMMENT_FOOTER);
+  return parts.join('\n\n');
+}
+
+/**
+ * Build the list of publishable inline comments from a review.
+ * Severity issues (criticalIssues / highIssues / lowIssues) and codeSuggestions are included
+ * when they carry a filePath and a positive startLine.
+ *
+ * @param {Object} review - Review object as rendered by the integrated panel
+ * @returns {Array<{ id: string, kind: 'issue'|'suggestion', severity: string|null, title: string, filePath: string, startLine: number, endLine: number, body: string, description: string, suggestedCode?: string }>}
+ */
+export function buildPublishableComments(review) {
+  if (!review) return [];
+  const comments = [];
+
+  for (const severity of Object.keys(SEVERITY_LABELS)) {
+    const issues = review[`${severity}Issues`];
+    if (!Array.isArray(issues)) continue;
+    issues.forEach((issue, index) => {
+      const range = normalizeLineRange(issue);
+      const filePath = normalizeCommentPath(issue?.filePath);
+      if (!range || !filePath) return;
+      comments.push({
+        id: `issue-${severity}-${index}`,
+        kind: 'issue',
+        severity,
+        title: issue.title || 'Untitled issue',
+        filePath,
+        ...range,
+        body: buildIssueBody(issue, severity),
+        description: String(issue.description || '').trim()
+      });
+    });
+  }
+
+  if (Array.isArray(review.codeSuggestions)) {
+    review.codeSuggestions.forEach((suggestion, index) => {
+      const range = normalizeLineRange(suggestion);
+      const filePath = normalizeCommentPath(suggestion?.filePath);
+      if (!range || !filePath) return;
+      comments.push({
+        id: `suggestion-${index}`,
+        kind: 'suggestion',
+        severity: null,
+        title: String(suggestion.description || '').split('\n')[0].trim() || 'Code suggestion',
+        filePath,
+        ...range,
+        body: buildSuggestionBody(suggestion),
+        description: String(suggestion.description || '').trim(),
+        suggestedCode: suggestion.suggestedCode || ''
+      });
+    });
+  }
+
+  return comments;
+}
+
+/**
+ * Resolve where each comment lands in the PR diff.
+ * `anchor` is the diff line the comment is attached to (the last line of the range when it is
+ * part of the diff, otherwise the first). `startAnchor` is set for multi-line ranges whose first
+ * line is also in the diff. Comments outside the diff get `anchor: null`; publishers post those
+ * as general PR comments that reference the file and line instead. `oldFilePath` is the file's
+ * path before the change (the rename source for renamed files).
+ *
+ * @param {Array<Object>} comments - Result of buildPublishableComments()
+ * @param {string} patchContent - Patch the review was generated from
+ * @returns {Array<Object>} New comment objects with anchor / startAnchor / oldFilePath
+ */
+export function anchorCommentsToPatch(comments, patchContent) {
+  const index = buildDiffLineIndex(patchContent);
+  return (comments || []).map((comment) => {
+    const endAnchor = locateDiffLine(index, comment.filePath, comment.endLine);
+    const startAnchor = locateDiffLine(index, comment.filePath, comment.startLine);
+    const anchor = endAnchor || startAnchor;
+    return {
+      ...comment,
+      anchor,
+      startAnchor: endAnchor && startAnchor && comment.startLine !== comment.endLine ? startAnchor : null,
+      oldFilePath: getDiffOldPath(index, comment.filePath) || comment.filePath
+    };
+  });
+}
+
+/**
+ * Prefix used when a comment cannot be attached inline and is posted on the PR conversation instead.
+ * @param {Object} comment
+ * @returns {string}
+ */
+export function buildGeneralCommentBody(comment) {
+  const range = comment.endLine !== comment.startLine
+    ? `${comment.startLine}-${comment.endLine}`
+    : `${comment.startLine}`;
+  return `\`${comment.filePath}:${range}\`\n\n${comment.body}`;
+}
+
+/**
+ * Native suggestion syntax of a platform (see getSuggestionBlockHeader), or null without one.
+ * @param {'gitlab'|'github'|'azure-devops'|'bitbucket'|null} platform
+ * @param {{ diffUrl?: string }|null} [target] - Bitbucket: tells Data Center from Cloud
+ * @returns {'github'|'gitlab'|'azure-devops'|'bitbucket-dc'|null}
+ */
+export function getSuggestionFlavor(platform, target = null) {
+  if (platform === 'bitbucket') {
+    return typeof target?.diffUrl === 'string' && target.diffUrl.includes('/rest/api/1.0/') ? 'bitbucket-dc' : null;
+  }
+  return ['github', 'gitlab', 'azure-devops'].includes(platform) ? platform : null;
+}
+
+/**
+ * Header of the native suggestion block for a code suggestion comment, or null when the platform
+ * could not apply it where the comment lands.
+ *   github       → ```suggestion, replacing the commented lines (the whole range must be in the diff)
+ *   gitlab       → ```suggestion:-A+B, A/B lines above/below the line the comment is attached to
+ *   azure-devops → ```suggestion, replacing the thread's line range (any line of the file)
+ *   bitbucket-dc → ```suggestion, replacing the single commented line
+ * Bitbucket Cloud has no suggestion syntax, so its suggestions stay plain code blocks.
+ *
+ * @param {Object} comment - Anchored comment from anchorCommentsToPatch()
+ * @param {'github'|'gitlab'|'azure-devops'|'bitbucket-dc'|null} flavor
+ * @returns {string|null}
+ */
+export function getSuggestionBlockHeader(comment, flavor) {
+  if (comment?.kind !== 'suggestion' || !String(comment.suggestedCode || '').trim()) return null;
+  const { anchor, startAnchor, startLine, endLine } = comment;
+
+  switch (flavor) {
+    case 'github':
+      return anchor && anchor.newLine === endLine && (startLine === endLine || startAnchor) ? 'suggestion' : null;
+    case 'gitlab': {
+      if (!anchor) return null;
+      const above = anchor.newLine - startLine;
+      const below = endLine - anchor.newLine;
+      if (above < 0 || below < 0 || above > MAX_GITLAB_SUGGESTION_OFFSET || below > MAX_GITLAB_SUGGESTION_OFFSET) return null;
+      return `suggestion:-${above}+${below}`;
+    }
+    case 'azure-devops':
+      return 'suggestion';
+    case 'bitbucket-dc':
+      return anchor && startLine === endLine && anchor.newLine === startLine ? 'suggestion' : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Comment body with the suggested code as a native suggestion block the PR author can commit.
+ * @param {Object} comment - Anchored comment from anchorCommentsToPatch()
+ * @param {'github'|'gitlab'|'azure-devops'|'bitbucket-dc'|null} flavor
+ * @returns {string|null} Null when getSuggestionBlockHeader() has no block for the comment
+ */
+export function buildSuggestionBlockBody(comment, flavor) {
+  const header = getSuggestionBlockHeader(comment, flavor);
+  if (!header) return null;
+  const code = String(comment.suggestedCode).replace(/\n+$/, '');
+  // The fence must be longer than any backtick run inside the suggested code
+  const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const parts = ['**Suggested change**'];
+  if (comment.description) parts.push(comment.description);
+  parts.push(`${fence}${header}\n${code}\n${fence}`);
+  parts.push(COMMENT_FOOTER);
+  return parts.join('\n\n');
+}
@@ -0,0 +1,209 @@
+// review-export.js
+// Full-review exports of the settings menu (Export flyout): Markdown for PR descriptions,
+// SARIF 2.1.0 for code-scanning tools and the raw review as JSON. Pure builders — the menu
+// copies the content to the clipboard or downloads it as a file.
+import { buildReviewExportMarkdown } from './review-markdown.js';
+
+const SARIF_SCHEMA_URL = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_INFORMATION_URI = 'https://thinkreview.dev';
+
+/** Export formats in menu order */
+export const REVIEW_EXPORT_FORMATS = [
+  { id: 'markdown', label: 'Markdown', description: 'For PR descriptions', extension: 'md', mimeType: 'text/markdown' },
+  { id: 'sarif', label: 'SARIF 2.1.0', description: 'For code-scanning tools', extension: 'sarif', mimeType: 'application/sarif+json' },
+  { id: 'json', label: 'JSON', description: 'Raw review data', extension: 'json', mimeType: 'application/json' }
+];
+
+/**
+ * SARIF rules, one per kind of finding. Severity-layout issues carry a location; the string lists
+ * of the scoring layout become results without one.
+ */
+const SARIF_RULES = [
+  { id: 'thinkreview/critical', field: 'criticalIssues', level: 'error', name: 'CriticalIssue', description: 'Critical issue found by the review' },
+  { id: 'thinkreview/high', field: 'highIssues', level: 'warning', name: 'HighIssue', description: 'High severity issue found by the review' },
+  { id: 'thinkreview/low', field: 'lowIssues', level: 'note', name: 'LowIssue', description: 'Low severity issue found by the review' },
+  { id: 'thinkreview/code-suggestion', field: 'codeSuggestions', level: 'note', name: 'CodeSuggestion', description: 'Suggested code change' },
+  { id: 'thinkreview/security', field: 'securityIssues', level: 'warning', name: 'SecurityIssue', description: 'Security issue found by the review' },
+  { id: 'thinkreview/suggestion', field: 'suggestions', level: 'note', name: 'Suggestion', description: 'Improvement suggested by the review' },
+  { id: 'thinkreview/best-practice', field: 'bestPractices', level: 'note', name: 'BestPractice', description: 'Best practice noted by the review' }
+];
+
+/**
+ * @param {string} filePath
+ * @returns {string} Repository-relative URI
+ */
+function toArtifactUri(filePath) {
+  return String(filePath || '').trim().replace(/^\.\//, '').replace(/^\/+/, '');
+}
+
+/**
+ * @param {Object} finding - { startLine?, endLine? }
+ * @returns {{ startLine: number, endLine?: number }|null}
+ */
+function toSarifRegion(finding) {
+  const startLine = Number(finding.startLine);
+  if (!Number.isInteger(startLine) || startLine < 1) return null;
+  const endLine = Number(finding.endLine);
+  return Number.isInteger(endLine) && endLine > startLine ? { startLine, endLine } : { startLine };
+}
+
+/**
+ * @param {Object|string} finding - Located finding, or a plain string of the scoring layout
+ * @param {Object} rule - SARIF_RULES entry
+ * @param {number} ruleIndex
+ * @returns {Object} SARIF result
+ */
+function toSarifResult(finding, rule, ruleIndex) {
+  if (typeof finding === 'string') {
+    return { ruleId: rule.id, ruleIndex, level: rule.level, message: { text: finding.trim() } };
+  }
+
+  const title = String((rule.field === 'codeSuggestions' ? finding.description : finding.title) || '').trim();
+  const description = rule.field === 'codeSuggestions' ? '' : String(finding.description || '').trim();
+  const result = {
+    ruleId: rule.id,
+    ruleIndex,
+    level: rule.level,
+    message: { text: [title, description].filter(Boolean).join('\n\n') || rule.description }
+  };
+  if (finding.source === 'rule') {
+    // Found by a static check (utils/static-rules.js), not by the model
+    result.properties = { source: 'static-rule', staticRuleId: finding.ruleId };
+  }
+  if (finding.category) {
+    // Category the finding was tagged with (utils/review-taxonomy.js)
+    result.properties = { ...result.properties, tags: [finding.category] };
+  }
+
+  const uri = toArtifactUri(finding.filePath);
+  if (!uri) return result;
+  const region = toSarifRegion(finding);
+  const physicalLocation = { artifactLocation: { uri, uriBaseId: '%SRCROOT%' } };
+  if (region) physicalLocation.region = region;
+  result.locations = [{ physicalLocation }];
+
+  if (rule.field === 'codeSuggestions' && region && typeof finding.suggestedCode === 'string') {
+    result.fixes = [{
+      description: { text: title || rule.description },
+      artifactChanges: [{
+        artifactLocation: { uri, uriBaseId: '%SRCROOT%' },
+        replacements: [{ deletedRegion: region, insertedContent: { text: finding.suggestedCode } }]
+      }]
+    }];
+  }
+  return result;
+}
+
+/**
+ * Builds a SARIF 2.1.0 log with one run for the review.
+ * @param {Object} review - The review data object
+ * @param {Object} [meta] - Export metadata (see buildReviewExport)
+ * @returns {Object} SARIF log
+ */
+export function buildReviewSarif(review, meta = {}) {
+  const results = [];
+  SARIF_RULES.forEach((rule, ruleIndex) => {
+    const findings = Array.isArray(review?.[rule.field]) ? review[rule.field] : [];
+    findings
+      .filter((finding) => finding && (typeof finding === 'object' || String(finding).trim()))
+      .forEach((finding) => results.push(toSarifResult(finding, rule, ruleIndex)));
+  });
+
+  const driver = {
+    name: 'ThinkReview',
+    informationUri: TOOL_INFORMATION_URI,
+    rules: SARIF_RULES.map((rule) => ({
+      id: rule.id,
+      name: rule.name,
+      shortDescription: { text: rule.description },
+      defaultConfiguration: { level: rule.level }
+    }))
+  };
+  if (meta.extensionVersion) driver.version = meta.extensionVersion;
+
+  const properties = {
+    provider: meta.providerLabel || meta.provider || null,
+    model: meta.model || null,
+    reviewRequest: meta.reviewLabel || null,
+    reviewUrl: meta.reviewUrl || null
+  };
+  if (review?.summary) properties.summary = review.summary;
+  if (review?.metrics) properties.metrics = review.metrics;
+
+  return {
+    $schema: SARIF_SCHEMA_URL,
+    version: '2.1.0',
+    runs: [{
+      tool: { driver },
+      invocations: [{ executionSuccessful: true, endTimeUtc: meta.exportedAt || new Date().toISOString() }],
+      results,
+      properties
+    }]
+  };
+}
+
+/**
+ * Raw review with the export metadata alongside.
+ * @param {Object} review - The review data object
+ * @param {Object} [meta] - Export metadata (see buildReviewExport)
+ * @returns {Object}
+ */
+export function buildReviewJson(review, meta = {}) {
+  return {
+    exportedAt: meta.exportedAt || new Date().toISOString(),
+    platform: meta.platform || null,
+    reviewRequest: meta.reviewLabel || null,
+    reviewUrl: meta.reviewUrl || null,
+    provider: meta.provider || null,
+    providerLabel: meta.providerLabel || null,
+    model: meta.model || null,
+    extensionVersion: meta.extensionVersion || null,
+    review
+  };
+}
+
+/**
+ * @param {Object} meta
+ * @param {string} extension
+ * @returns {string} e.g. thinkreview-github-pr-34.sarif
+ */
+function buildExportFilename(meta, extension) {
+  const slug = [meta.platform, meta.reviewLabel]
+    .filter(Boolean)
+    .join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `thinkreview-${slug || 'review'}.${extension}`;
+}
+
+/**
+ * Build one export of the review.
+ * @param {'markdown'|'sarif'|'json'} formatId
+ * @param {Object} review - The review data object
+ * @param {Object} [meta]
+ * @param {string|null} [meta.platform] - gitlab, github, azure-devops, bitbucket
+ * @param {string|null} [meta.reviewLabel] - e.g. MR !12 or PR #34
+ * @param {string|null} [meta.reviewUrl] - Page of the MR/PR
+ * @param {string|null} [meta.provider] - Provider id (cloud, ollama, openrouter, ...)
+ * @param {string|null} [meta.providerLabel] - Display name of the provider
+ * @param {string|null} [meta.model]
+ * @param {string|null} [meta.extensionVersion]
+ * @param {string} [meta.exportedAt] - ISO timestamp (defaults to now)
+ * @returns {{ content: string, filename: string, mimeType: string }}
+ */
+export function buildReviewExport(formatId, review, meta = {}) {
+  const format = REVIEW_EXPORT_FORMATS.find((candidate) => candidate.id === formatId);
+  if (!format) throw new Error(`Unknown export format: ${formatId}`);
+  if (!review) throw new Error('There is no review to export');
+
+  let content;
+  if (format.id === 'markdown') {
+    content = buildReviewExportMarkdown(review, meta);
+  } else if (format.id === 'sarif') {
+    content = JSON.stringify(buildReviewSarif(review, meta), null, 2);
+  } else {
+    content = JSON.stringify(buildReviewJson(review, meta), null, 2);
+  }
+  return { content, filename: buildExportFilename(meta, format.extension), mimeType: format.mimeType };
+}
@@ -18,7 +18,79 @@ function formatSeverityIssueMarkdown(issue) {
     : '';
   const desc = String(issue.description || '').trim();
   const locLine = location ? ` (${location})` : '';
-  return `- **${title}**${locLine}${desc ? `\n  ${desc}` : ''}`;
+  // Findings of the static checks (utils/static-rules.js) are marked as such
+  const ruleTag = issue.source === 'rule' ? ` _[rule: ${issue.ruleLabel || issue.ruleId}]_` : '';
+  // Category the finding was tagged with (utils/review-taxonomy.js)
+  const categoryTag = issue.category ? ` _[${issue.category}]_` : '';
+  return `- **${title}**${ruleTag}${categoryTag}${locLine}${desc ? `\n  ${desc}` : ''}`;
+}
+
+/**
+ * Format a code suggestion as markdown bullet followed by its suggested code
+ * @param {Object} suggestion
+ * @returns {string}
+ */
+function formatCodeSuggestionMarkdown(suggestion) {
+  if (!suggestion) return '';
+  const bullet = formatSeverityIssueMarkdown({ ...suggestion, title: suggestion.description || 'Suggestion', description: '' });
+  const code = String(suggestion.suggestedCode || '').replace(/\n+$/, '');
+  if (!code) return bullet;
+  const indented = ['```', ...code.split('\n'), '```'].map((line) => `  ${line}`).join('\n');
+  return `${bullet}\n\n${indented}`;
+}
+
+/**
+ * @param {Object} review
+ * @returns {string|null} Quality Score section
+ */
+function buildMetricsSection(review) {
+  if (!review.metrics) return null;
+  const m = review.metrics;
+  const lines = ['## Quality Score', ''];
+  if (m.overallScore != null) lines.push(`**Overall:** ${m.overallScore}`, '');
+  if (m.codeQuality != null) lines.push(`- **Code Quality:** ${m.codeQuality}`);
+  if (m.securityScore != null) lines.push(`- **Security:** ${m.securityScore}`);
+  if (m.bestPracticesScore != null) lines.push(`- **Best Practices:** ${m.bestPracticesScore}`);
+  return lines.join('\n');
+}
+
+/**
+ * @param {Object} review
+ * @returns {string|null} Summary section
+ */
+function buildSummarySection(review) {
+  return review.summary ? `## Summary\n\n${review.summary}` : null;
+}
+
+/**
+ * Critical / High / Low sections of the severity layout
+ * @param {Object} review
+ * @returns {string[]}
+ */
+function buildSeverityIssueSections(review) {
+  return [
+    ['Critical Issues', review.criticalIssues],
+    ['High Issues', review.highIssues],
+    ['Low Issues', review.lowIssues]
+  ]
+    .filter(([, issues]) => Array.isArray(issues) && issues.length > 0)
+    .map(([heading, issues]) => `## ${heading}\n\n${issues.map(formatSeverityIssueMarkdown).join('\n')}`);
+}
+
+/**
+ * Sections of the scoring layout (metrics, summary and the plain string lists)
+ * @param {Object} review
+ * @returns {string[]}
+ */
+function buildScoringSections(review) {
+  const lists = [
+    ['Suggestions', review.suggestions],
+    ['Security Issues', review.securityIssues],
+    ['Best Practices', review.bestPractices]
+  ]
+    .filter(([, items]) => items && items.length > 0)
+    .map(([heading, items]) => `## ${heading}\n\n${items.map(s => `- ${String(s || '').trim()}`).join('\n')}`);
+  return [buildMetricsSection(review), buildSummarySection(review), ...lists].filter(Boolean);
 }
 
 /**
@@ -29,67 +101,48 @@ function formatSeverityIssueMarkdown(issue) {
 export function buildReviewMarkdown(review) {
   if (!review) return '';
 
-  // Severity layout
+  const sections = ['# AI Code Review'];
   if (review.reviewFormat === 'severity') {
-    const sections = ['# AI Code Review'];
-
     if (review.prDescription) {
       sections.push(`## PR Description\n\n${review.prDescription}`);
     }
-
-    if (Array.isArray(review.criticalIssues) && review.criticalIssues.length > 0) {
-      const items = review.criticalIssues.map(formatSeverityIssueMarkdown).join('\n');
-      sections.push(`## Critical Issues\n\n${items}`);
-    }
-
-    if (Array.isArray(review.highIssues) && review.highIssues.length > 0) {
-      const items = review.highIssues.map(formatSeverityIssueMarkdown).join('\n');
-      sections.push(`## High Issues\n\n${items}`);
-    }
-
-    if (Array.isArray(review.lowIssues) && review.lowIssues.length > 0) {
-      const items = review.lowIssues.map(formatSeverityIssueMarkdown).join('\n');
-      sections.push(`## Low Issues\n\n${items}`);
-    }
-
-    return sections.join('\n\n');
-  }
-
-  const sections = ['# AI Code Review'];
-
-  // Quality Score
-  if (review.metrics) {
-    const m = review.metrics;
-    const lines = ['## Quality Score', ''];
-    if (m.overallScore != null) lines.push(`**Overall:** ${m.overallScore}`, '');
-    if (m.codeQuality != null) lines.push(`- **Code Quality:** ${m.codeQuality}`);
-    if (m.securityScore != null) lines.push(`- **Security:** ${m.securityScore}`);
-    if (m.bestPracticesScore != null) lines.push(`- **Best Practices:** ${m.bestPracticesScore}`);
-    sections.push(lines.join('\n'));
+    sections.push(...buildSeverityIssueSections(review));
+  } else {
+    sections.push(...buildScoringSections(review));
   }
+  return sections.join('\n\n');
+}
 
-  // Summary
-  if (review.summary) {
-    sections.push(`## Summary\n\n${review.summary}`);
-  }
+/**
+ * Builds the Markdown export of the full review (settings menu → Export): the copy-all content
+ * plus the summary and metrics of the severity layout, the code suggestions and a footer naming
+ * the provider and model.
+ * @param {Object} review - The review data object
+ * @param {Object} [meta] - { reviewLabel, providerLabel, model } from the export metadata
+ * @returns {string} Markdown ready to paste into a PR description
+ */
+export function buildReviewExportMarkdown(review, meta = {}) {
+  if (!review) return '';
 
-  // Suggestions
-  if (review.suggestions && review.suggestions.length > 0) {
-    const items = review.suggestions.map(s => `- ${String(s || '').trim()}`).join('\n');
-    sections.push(`## Suggestions\n\n${items}`);
+  const sections = ['# AI Code Review'];
+  if (review.reviewFormat === 'severity') {
+    if (review.prDescription) {
+      sections.push(`## PR Description\n\n${review.prDescription}`);
+    }
+    sections.push(
+      ...[buildSummarySection(review), buildMetricsSection(review)].filter(Boolean),
+      ...buildSeverityIssueSections(review)
+    );
+  } else {
+    sections.push(...buildScoringSections(review));
   }
 
-  // Security Issues
-  if (review.securityIssues && review.securityIssues.length > 0) {
-    const items = review.securityIssues.map(s => `- ${String(s || '').trim()}`).join('\n');
-    sections.push(`## Security Issues\n\n${items}`);
+  if (Array.isArray(review.codeSuggestions) && review.codeSuggestions.length > 0) {
+    sections.push(`## Code Suggestions\n\n${review.codeSuggestions.map(formatCodeSuggestionMarkdown).join('\n')}`);
   }
 
-  // Best Practices
-  if (review.bestPractices && review.bestPractices.length > 0) {
-    const items = review.bestPractices.map(s => `- ${String(s || '').trim()}`).join('\n');
-    sections.push(`## Best Practices\n\n${items}`);
-  }
+  const about = [meta.reviewLabel, meta.providerLabel, meta.model].filter(Boolean).join(' · ');
+  if (about) sections.push(`---\n\n_Reviewed with ThinkReview · ${about}_`);
 
   return sections.join('\n\n');
 }
@@ -64,6 +64,13 @@ let pendingAutoReviewTimeoutId = null;
 // Track current PR ID for detecting navigation to new PRs
 let currentPRId = null;
 
+// Files of the current PR the user chose to review despite the patch filter (cleared on PR navigation)
+let reviewAnywayFiles = new Set();
+
+// Privacy guard placeholders of the current review, reused by the chat so the same value keeps the
+// same placeholder (utils/privacy-guard.js; cleared on PR navigation)
+let privacyRedactionSession = null;
+
 // State for the button-injection retry observer — grouped to reduce namespace pollution.
 const retryState = {
   observer: null,        // MutationObserver instance
@@ -103,6 +110,16 @@ document.addEventListener('thinkreview-ollama-model-changed', async (e) => {
   }
 });
 
+// "Review anyway" on files removed by the patch filter: include them and regenerate the review
+document.addEventListener('thinkreview-review-filtered-files', (e) => {
+  const files = Array.isArray(e.detail?.files) ? e.detail.files : [];
+  if (files.length === 0) return;
+  files.forEach((file) => reviewAnywayFiles.add(file));
+  if (typeof fetchAndDisplayCodeReview === 'function') {
+    fetchAndDisplayCodeReview(true, false);
+  }
+});
+
 // Import platform detection services
 let platformDetector = null;
 
@@ -161,9 +178,13 @@ async function initializePlatformDetection() {
     platformDetector = platformModule.platformDetector;
     platformDetector.init();
 
-    const storage = await chrome.storage.local.get(['azureDevOpsDomains', 'bitbucketDataCenterDomains']);
-    platformDetector.setAzureDevOpsCustomDomains(storage.azureDevOpsDomains || []);
-    platformDetector.setBitbucketCustomDomains(storage.bitbucketDataCenterDomains || []);
+    const { readManagedPolicy, mergeManagedDomains } = await import(chrome.runtime.getURL('utils/managed-policy.js'));
+    const [storage, policy] = await Promise.all([
+      chrome.storage.local.get(['azureDevOpsDomains', 'bitbucketDataCenterDomains']),
+      readManagedPolicy()
+    ]);
+    platformDetector.setAzureDevOpsCustomDomains(mergeManagedDomains(policy, 'azureDevOpsDomains', storage.azureDevOpsDomains || []));
+    platformDetector.setBitbucketCustomDomains(mergeManagedDomains(policy, 'bitbucketDataCenterDomains', storage.bitbucketDataCenterDomains || []));
 
     // Do not block button injection on Azure API / token-error modules
     initializeAzurePlatformExtras().catch(() => {});
@@ -481,6 +502,54 @@ function getCurrentPRId() {
   return null;
 }
 
+/**
+ * Get the platform and PR/MR coordinates used by the platform APIs (publishing comments,
+ * incremental re-review).
+ * @returns {{ platform: string, target: Object } | null}
+ */
+function getPullRequestTarget() {
+  if (!platformDetector) {
+    return null;
+  }
+
+  if (platformDetector.isOnGitLabMRPage()) {
+    const match = window.location.pathname.match(/^\/(.+?)\/-\/merge_requests\/(\d+)/);
+    if (!match) return null;
+    return {
+      platform: 'gitlab',
+      target: {
+        origin: window.location.origin,
+        projectPath: match[1],
+        mrIid: match[2],
+        csrfToken: document.querySelector('meta[name="csrf-token"]')?.getAttribute('content') || null
+      }
+    };
+  } else if (platformDetector.isOnGitHubPRPage()) {
+    const match = window.location.pathname.match(/\/([^/]+)\/([^/]+)\/pull\/(\d+)/);
+    if (!match) return null;
+    return {
+      platform: 'github',
+      target: { hostname: window.location.hostname, owner: match[1], repo: match[2], prNumber: match[3] }
+    };
+  } else if (platformDetector.isOnAzureDevOpsPRPage()) {
+    const prInfo = platformDetector.detectPlatform().pageInfo;
+    return prInfo ? { platform: 'azure-devops', target: prInfo } : null;
+  } else if (platformDetector.isOnBitbucketPRPage()) {
+    const prInfo = platformDetector.detectPlatform().pageInfo;
+    return {
+      platform: 'bitbucket',
+      target: {
+        diffUrl: getPatchUrl(),
+        hostname: window.location.hostname,
+        repository: prInfo?.repository?.fullName || null,
+        prId: prInfo?.prId || null
+      }
+    };
+  }
+
+  return null;
+}
+
 /**
  * Check if we've navigated to a new PR and trigger review if needed.
  * Clears panel state only when the URL identifies a different PR than currentPRId
@@ -564,6 +633,8 @@ async function checkAndTriggerReviewForNewPR() {
     reviewSessionId += 1;
     isReviewInProgress = false;
     pendingManualReview = null;
+    reviewAnywayFiles = new Set();
+    privacyRedactionSession = null;
     if (pendingAutoReviewTimeoutId != null) {
       clearTimeout(pendingAutoReviewTimeoutId);
       pendingAutoReviewTimeoutId = null;
@@ -1272,6 +1343,8 @@ function showIntegratedReviewLoadingUI() {
     'review-login-prompt',
     'review-azure-token-error',
     'review-bitbucket-token-error',
+    'review-github-token-error',
+    'review-gitlab-token-error',
   ];
 
   elementsToHide.forEach((id) => {
@@ -1294,6 +1367,517 @@ function dismissIntegratedReviewLoadingUI() {
   if (reviewLoading) reviewLoading.classList.add('gl-hidden');
 }
 
+/** Providers whose reviews and chat answers are streamed (see the onConnect handler in background.js) */
+const STREAMING_PROVIDERS = ['ollama', 'openrouter', 'openai-compatible', 'anthropic', 'azure-openai'];
+
+/**
+ * Run a review or chat request over a port so the answer arrives while the provider generates it.
+ * @param {'review'|'chat'} kind
+ * @param {Object} request - Same fields as the REVIEW_PATCH_CODE / GET_AI_RESPONSE messages
+ * @param {{ onToken?: (text: string) => void, onStart?: (cancel: () => void) => void, onFallback?: (label: string) => void, onToolCall?: (call: { name: string, args: Object }) => Promise<string> }} [handlers]
+ *   onToken receives each piece of text; onStart receives a function that cancels the request;
+ *   onFallback is called when the next provider of the fallback chain is tried (discard the text so far);
+ *   onToolCall runs a repository tool called by the model and returns its output
+ * @returns {Promise<Object>} Same shape as the REVIEW_PATCH_CODE / GET_AI_RESPONSE responses
+ *   (isCancelled is set when the request was cancelled)
+ */
+function streamProviderRequest(kind, request, { onToken = null, onStart = null, onFallback = null, onToolCall = null } = {}) {
+  return new Promise((resolve) => {
+    let port;
+    try {
+      port = chrome.runtime.connect({ name: 'thinkreview-stream' });
+    } catch (error) {
+      resolve({ success: false, error: error?.message || String(error) });
+      return;
+    }
+
+    let settled = false;
+    const finish = (response, disconnect = true) => {
+      if (settled) return;
+      settled = true;
+      if (disconnect) port.disconnect();
+      resolve(response);
+    };
+
+    port.onMessage.addListener((message) => {
+      if (message?.type === 'token') {
+        onToken?.(message.text);
+      } else if (message?.type === 'fallback') {
+        onFallback?.(message.label || message.provider);
+      } else if (message?.type === 'tool_call') {
+        Promise.resolve()
+          .then(() => (onToolCall ? onToolCall({ name: message.name, args: message.args || {} }) : 'Repository tools are not available.'))
+          .catch((error) => `Error: ${error?.message || String(error)}`)
+          .then((output) => {
+            if (!settled) port.postMessage({ type: 'tool_result', id: message.id, output });
+          });
+      } else if (message?.type === 'done') {
+        finish(message.response);
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      finish({
+        success: false,
+        error: chrome.runtime.lastError?.message || 'The connection to the extension was lost. Reload the page and try again.'
+      }, false);
+    });
+
+    port.postMessage({ type: 'start', kind, request });
+    onStart?.(() => {
+      if (!settled) port.postMessage({ type: 'cancel' });
+    });
+  });
+}
+
+/**
+ * Stream a review, showing the sections received so far and a Cancel button in the loader.
+ * @param {Object} request - REVIEW_PATCH_CODE fields
+ * @returns {Promise<Object>} REVIEW_PATCH_CODE response
+ */
+async function streamReviewIntoLoader(request) {
+  const previewContainer = document.getElementById('review-stream-preview');
+  const cancelButton = document.getElementById('review-cancel-btn');
+  const { renderStreamingReviewPreview, clearStreamingReviewPreview } = await import(
+    chrome.runtime.getURL('components/streaming-review-preview.js')
+  );
+
+  let text = '';
+  let frame = null;
+  try {
+    return await streamProviderRequest('review', request, {
+      onStart: (cancel) => {
+        if (!cancelButton) return;
+        cancelButton.disabled = false;
+        cancelButton.textContent = 'Cancel review';
+        cancelButton.onclick = () => {
+          cancelButton.disabled = true;
+          cancelButton.textContent = 'Cancelling...';
+          cancel();
+        };
+        cancelButton.classList.remove('gl-hidden');
+      },
+      onToken: (token) => {
+        if (!text) {
+          // Generation has started: stop cycling the loader stages
+          if (typeof stopEnhancedLoader === 'function') stopEnhancedLoader();
+          if (typeof updateLoaderStage === 'function') updateLoaderStage('generating');
+        }
+        text += token;
+        // Re-render at most once per frame
+        if (previewContainer && frame === null) {
+          frame = requestAnimationFrame(() => {
+            frame = null;
+            renderStreamingReviewPreview(previewContainer, text);
+          });
+        }
+      },
+      onFallback: (label) => {
+        dbgLog('Review continues with fallback provider:', label);
+        text = '';
+        if (frame !== null) {
+          cancelAnimationFrame(frame);
+          frame = null;
+        }
+        clearStreamingReviewPreview(previewContainer);
+      }
+    });
+  } finally {
+    if (frame !== null) cancelAnimationFrame(frame);
+    clearStreamingReviewPreview(previewContainer);
+    if (cancelButton) {
+      cancelButton.onclick = null;
+      cancelButton.classList.add('gl-hidden');
+    }
+  }
+}
+
+/**
+ * Key of the current PR/MR for per-MR local state (review history, incremental review).
+ * @returns {Promise<string|null>}
+ */
+window.getCurrentReviewKey = async () => {
+  const prTarget = getPullRequestTarget();
+  if (!prTarget) return null;
+  const { buildReviewKey } = await import(chrome.runtime.getURL('utils/review-key.js'));
+  return buildReviewKey(prTarget.platform, prTarget.target);
+};
+
+/**
+ * Store a completed review in the local review history (fire-and-forget).
+ * @param {Object} review - Review as displayed
+ * @param {string} patchContent - Reviewed patch
+ * @param {Object} metadata - { provider, model, reviewFormat, language, mrId, mrUrl, headSha, incremental }
+ */
+async function recordReviewHistory(review, patchContent, metadata) {
+  try {
+    const reviewKey = await window.getCurrentReviewKey();
+    if (!reviewKey) return;
+    const response = await new Promise((resolve) => {
+      chrome.runtime.sendMessage({
+        type: 'SAVE_REVIEW_HISTORY',
+        reviewKey,
+        review,
+        patchContent,
+        metadata: {
+          ...metadata,
+          platform: getCurrentPlatform(),
+          title: document.title || null
+        }
+      }, resolve);
+    });
+    if (!response?.success) {
+      dbgWarn('Failed to store review history:', response?.error);
+    }
+  } catch (error) {
+    dbgWarn('Failed to store review history:', error);
+  }
+}
+
+/**
+ * Resolve the head commit of the current PR/MR and, when an earlier review of it is stored for an
+ * older head (same language and format), fetch only the diff of the commits pushed since then.
+ * Bitbucket is not supported; any failure falls back to a full review.
+ * @param {boolean} forceRegenerate - Regenerate always reviews the full PR
+ * @param {string} reviewFormat
+ * @param {string} language
+ * @returns {Promise<{ key: string, headSha: string, previous: Object|null, deltaPatch: string|null } | null>}
+ */
+async function resolveIncrementalReview(forceRegenerate, reviewFormat, language) {
+  const prTarget = getPullRequestTarget();
+  if (!prTarget || prTarget.platform === 'bitbucket') {
+    return null;
+  }
+  const { platform, target } = prTarget;
+
+  try {
+    const [reviewKeyModule, incrementalModule] = await Promise.all([
+      import(chrome.runtime.getURL('utils/review-key.js')),
+      import(chrome.runtime.getURL('utils/incremental-review.js'))
+    ]);
+    const key = reviewKeyModule.buildReviewKey(platform, target);
+    if (!key) return null;
+
+    const stored = forceRegenerate ? null : await incrementalModule.loadIncrementalReviewState(key);
+    const previous = stored && stored.reviewFormat === reviewFormat && stored.language === language ? stored : null;
+    const baseSha = previous?.headSha || null;
+
+    let response;
+    if (platform === 'gitlab') {
+      const { fetchIncrementalDiff } = await import(chrome.runtime.getURL('services/incremental-diff.js'));
+      response = { success: true, ...(await fetchIncrementalDiff({ platform, target, baseSha })) };
+    } else {
+      response = await new Promise((resolve) => {
+        chrome.runtime.sendMessage({ type: 'FETCH_INCREMENTAL_DIFF', platform, target, baseSha }, resolve);
+      });
+    }
+
+    if (!response?.success || !response.headSha) {
+      dbgLog('Incremental review unavailable:', response?.error || 'head commit not resolved');
+      return null;
+    }
+
+    const hasDelta = typeof response.patch === 'string' && response.patch.trim() !== '';
+    return {
+      key,
+      headSha: response.headSha,
+      previous: hasDelta ? previous : null,
+      deltaPatch: hasDelta ? response.patch : null
+    };
+  } catch (error) {
+    dbgWarn('Incremental review unavailable, falling back to a full review:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetch and validate the repository review rules file (.thinkreview.yml) from the PR/MR target branch.
+ * A missing or unreadable file never blocks the review; an invalid file is reported in the metadata bar.
+ * @returns {Promise<{ path: string, ref: string, rules: Object|null, errors: string[], warnings: string[] } | null>}
+ */
+async function resolveReviewRules() {
+  const prTarget = getPullRequestTarget();
+  if (!prTarget) {
+    return null;
+  }
+  const { platform } = prTarget;
+  let { target } = prTarget;
+
+  try {
+    let response;
+    if (platform === 'gitlab') {
+      const { fetchReviewRulesFile } = await import(chrome.runtime.getURL('services/review-rules-fetcher.js'));
+      response = { success: true, file: await fetchReviewRulesFile({ platform, target }) };
+    } else {
+      if (platform === 'github') {
+        // Base branch shown on the PR page ("owner:branch" for forks), used when the API is not available
+        const baseRef = document.querySelector('.base-ref')?.textContent?.trim().replace(/^[^:]+:/, '') || null;
+        target = { ...target, baseRef };
+      }
+      response = await new Promise((resolve) => {
+        chrome.runtime.sendMessage({ type: 'FETCH_REVIEW_RULES', platform, target }, resolve);
+      });
+    }
+
+    if (!response?.success) {
+      dbgWarn('Review rules file unavailable:', response?.error);
+      return null;
+    }
+    if (!response.file) {
+      return null;
+    }
+
+    const { parseReviewRules } = await import(chrome.runtime.getURL('utils/review-rules.js'));
+    const { rules, errors, warnings } = parseReviewRules(response.file.content);
+    if (errors.length > 0 || warnings.length > 0) {
+      dbgWarn('Review rules file has problems:', { path: response.file.path, errors, warnings });
+    }
+    return { path: response.file.path, ref: response.file.ref, rules, errors, warnings };
+  } catch (error) {
+    dbgWarn('Review rules file unavailable, reviewing without it:', error);
+    return null;
+  }
+}
+
+/**
+ * Collect the PR/MR title, description, linked issues and unresolved review discussions for the prompt.
+ * When the platform API is not available, the title, branches and author shown on the page are used.
+ * Never blocks the review.
+ * @returns {Promise<Object|null>} Normalized context (utils/pr-context.js)
+ */
+async function resolvePrContext() {
+  const prTarget = getPullRequestTarget();
+  if (!prTarget) {
+    return null;
+  }
+  const { platform, target } = prTarget;
+
+  let context = null;
+  try {
+    if (platform === 'gitlab') {
+      const [{ gitlabApiMode }, { getGitLabToken }, { collectPrContext }] = await Promise.all([
+        chrome.storage.local.get(['gitlabApiMode']),
+        import(chrome.runtime.getURL('utils/gitlab-tokens.js')),
+        import(chrome.runtime.getURL('services/pr-context-collector.js'))
+      ]);
+      const token = gitlabApiMode ? await getGitLabToken(target.origin) : null;
+      context = await collectPrContext({ platform, target, credentials: { token } });
+    } else {
+      const response = await new Promise((resolve) => {
+        chrome.runtime.sendMessage({ type: 'FETCH_PR_CONTEXT', platform, target }, resolve);
+      });
+      if (response?.success) {
+        context = response.context;
+      } else {
+        dbgWarn('Pull request context unavailable:', response?.error);
+      }
+    }
+  } catch (error) {
+    dbgWarn('Pull request context unavailable, using the page details:', error);
+  }
+
+  try {
+    const { mergePrContextWithPageInfo } = await import(chrome.runtime.getURL('utils/pr-context.js'));
+    return mergePrContextWithPageInfo(context, platformDetector?.detectPlatform()?.pageInfo || null);
+  } catch (error) {
+    dbgWarn('Failed to read the page details of the pull request:', error);
+    return context;
+  }
+}
+
+/**
+ * Read the context files of the patch (changed files and, optionally, the files they import) at the
+ * PR/MR head commit and keep those that fit in the token budget. Never blocks the review.
+ * @param {string} patchContent - Filtered patch that will be reviewed
+ * @returns {Promise<{ files: Array<{ path: string, content: string, reason: string, tokens: number }>, skipped: string[], usedTokens: number, tokenBudget: number } | null>}
+ *   null when expanded context is off or no file could be read
+ */
+async function resolveExpandedContext(patchContent) {
+  const prTarget = getPullRequestTarget();
+  if (!prTarget || !patchContent) {
+    return null;
+  }
+  const { platform, target } = prTarget;
+
+  try {
+    const contextModule = await import(chrome.runtime.getURL('utils/expanded-context.js'));
+    const { expandedContextSettings } = await chrome.storage.local.get(['expandedContextSettings']);
+    const settings = contextModule.normalizeExpandedContextSettings(expandedContextSettings);
+    if (!settings.enabled) {
+      return null;
+    }
+
+    let readFiles;
+    if (platform === 'gitlab') {
+      const [{ gitlabApiMode }, { getGitLabToken }, { fetchContextFiles }] = await Promise.all([
+        chrome.storage.local.get(['gitlabApiMode']),
+        import(chrome.runtime.getURL('utils/gitlab-tokens.js')),
+        import(chrome.runtime.getURL('services/context-files-fetcher.js'))
+      ]);
+      const token = gitlabApiMode ? await getGitLabToken(target.origin) : null;
+      readFiles = async (pathGroups) => (await fetchContextFiles({ platform, target, pathGroups, credentials: { token } })).files;
+    } else {
+      readFiles = async (pathGroups) => {
+        const response = await new Promise((resolve) => {
+          chrome.runtime.sendMessage({ type: 'FETCH_CONTEXT_FILES', platform, target, pathGroups }, resolve);
+        });
+        if (!response?.success) {
+          throw new Error(response?.error || 'Failed to read the context files');
+        }
+        return response.files;
+      };
+    }
+
+    const changedPaths = contextModule.listChangedFilePaths(patchContent).slice(0, contextModule.MAX_CHANGED_CONTEXT_FILES);
+    const files = (await readFiles(changedPaths.map((path) => [path]))).map((file) => ({ ...file, reason: 'changed' }));
+
+    if (settings.includeImports) {
+      // Imports of changed files that are not changed files or already listed themselves
+      const known = new Set(changedPaths);
+      const importGroups = [];
+      files.forEach((file) => {
+        contextModule.findRelativeImports(file.path, file.content).forEach((group) => {
+          if (group.some((path) => known.has(path))) return;
+          group.forEach((path) => known.add(path));
+          importGroups.push(group);
+        });
+      });
+      if (importGroups.length > 0) {
+        const imported = await readFiles(importGroups.slice(0, contextModule.MAX_IMPORTED_CONTEXT_FILES));
+        files.push(...imported.map((file) => ({ ...file, reason: 'import' })));
+      }
+    }
+
+    const selection = contextModule.selectContextFiles(files, settings.tokenBudget);
+    if (selection.files.length === 0) {
+      return null;
+    }
+    dbgLog('Expanded context:', {
+      files: selection.files.map((file) => file.path),
+      skipped: selection.skipped,
+      usedTokens: selection.usedTokens,
+      tokenBudget: settings.tokenBudget
+    });
+    return { ...selection, tokenBudget: settings.tokenBudget };
+  } catch (error) {
+    dbgWarn('Expanded context unavailable, reviewing the patch only:', error);
+    return null;
+  }
+}
+
+/**
+ * Static checks (utils/static-rules.js) on the added lines of the patch.
+ * @param {string} patchContent - Filtered patch that will be reviewed
+ * @returns {Promise<{ findings: Array<Object>, sendToModel: boolean }>} No findings when the checks are off
+ */
+async function runStaticChecks(patchContent) {
+  try {
+    const { runStaticRules, normalizeStaticRulesSettings, STATIC_RULES_STORAGE_KEY } = await import(chrome.runtime.getURL('utils/static-rules.js'));
+    const stored = await chrome.storage.local.get([STATIC_RULES_STORAGE_KEY]);
+    const settings = normalizeStaticRulesSettings(stored[STATIC_RULES_STORAGE_KEY]);
+    const findings = runStaticRules(patchContent, settings);
+    if (findings.length > 0) {
+      dbgLog('Static checks found', findings.length, 'issues:', findings.map((finding) => finding.ruleId));
+    }
+    return { findings, sendToModel: settings.sendToModel };
+  } catch (error) {
+    dbgWarn('Static checks unavailable:', error);
+    return { findings: [], sendToModel: false };
+  }
+}
+
+/**
+ * Privacy guard session of the current review, or a new one when there is none (chat on a review
+ * loaded from history).
+ * @returns {Promise<Object|null>} createRedactionSession() result; null when the guard is off
+ */
+async function getPrivacyRedactionSession() {
+  if (privacyRedactionSession) {
+    return privacyRedactionSession;
+  }
+  const { createRedactionSession, PRIVACY_GUARD_STORAGE_KEY } = await import(chrome.runtime.getURL('utils/privacy-guard.js'));
+  const stored = await chrome.storage.local.get([PRIVACY_GUARD_STORAGE_KEY]);
+  const session = createRedactionSession(stored[PRIVACY_GUARD_STORAGE_KEY]);
+  privacyRedactionSession = session.settings.enabled ? session : null;
+  return privacyRedactionSession;
+}
+
+/**
+ * Privacy guard: replace secrets and personal data in the patch, the context files and the PR
+ * details before they are sent. When confirmBeforeSending is on and something was redacted, the
+ * loader shows the report and waits for the user.
+ * @param {string} patchContent - Filtered patch that will be reviewed
+ * @param {Array<{ path: string, content: string, reason: string }>|null} contextFiles
+ * @param {Object|null} prContext - PR title, description, linked issues and discussions (utils/pr-context.js)
+ * @returns {Promise<{ session: Object, patch: string, contextFiles: Array<Object>|null, prContext: Object|null, report: Object, declined: boolean } | null>}
+ *   null when the guard is off
+ */
+async function applyPrivacyGuard(patchContent, contextFiles, prContext) {
+  // Every review starts with its own placeholders
+  privacyRedactionSession = null;
+  const session = await getPrivacyRedactionSession();
+  if (!session) {
+    return null;
+  }
+
+  const { patch, items } = session.redactPatch(patchContent);
+  const redactedFiles = contextFiles
+    ? contextFiles.map((file) => {
+      const { text, items: fileItems } = session.redactText(file.content, { file: file.path });
+      items.push(...fileItems);
+      return { ...file, content: text };
+    })
+    : null;
+  const { prContext: redactedPrContext, items: prContextItems } = session.redactPrContext(prContext);
+  items.push(...prContextItems);
+  const report = session.createReport(items);
+  if (report.total > 0) {
+    dbgLog('Privacy guard redacted', report.total, 'values:', report.counts);
+  }
+
+  let declined = false;
+  if (report.total > 0 && session.settings.confirmBeforeSending) {
+    const { confirmRedactedSend } = await import(chrome.runtime.getURL('components/redaction-report.js'));
+    declined = !(await confirmRedactedSend(document.getElementById('review-redaction-confirm'), report));
+  }
+  return { session, patch, contextFiles: redactedFiles, prContext: redactedPrContext, report, declined };
+}
+
+/**
+ * GitLab API mode: read the merged MR diff and the MR details through the REST API, with the access
+ * token saved for this instance or the session cookie.
+ * @returns {Promise<{ patch: string, prContext: Object } | { authError: string } | null>} null when API
+ *   mode is off or the API failed for another reason (the .patch URL is used then)
+ */
+async function fetchGitLabChangesFromApi() {
+  const prTarget = getPullRequestTarget();
+  if (prTarget?.platform !== 'gitlab') {
+    return null;
+  }
+
+  try {
+    const { gitlabApiMode } = await chrome.storage.local.get(['gitlabApiMode']);
+    if (!gitlabApiMode) {
+      return null;
+    }
+    const [{ getGitLabToken }, { GitLabAPI }] = await Promise.all([
+      import(chrome.runtime.getURL('utils/gitlab-tokens.js')),
+      import(chrome.runtime.getURL('services/gitlab-api.js'))
+    ]);
+    const token = await getGitLabToken(window.location.origin);
+    const api = new GitLabAPI({ ...prTarget.target, token });
+    const { patch, prContext, fileCount } = await api.getMergeRequestChanges(prTarget.target.mrIid);
+    dbgLog('GitLab merge request read through the API:', { fileCount, withToken: !!token });
+    return { patch, prContext };
+  } catch (error) {
+    // GitLab answers 404 for projects the token or session cannot see
+    if ([401, 403, 404].includes(error.status)) {
+      return { authError: error.message };
+    }
+    dbgWarn('GitLab API unavailable, using the .patch URL:', error);
+    return null;
+  }
+}
+
 /**
  * Fetches code changes and sends them for AI review
  * Supports both GitLab (patch) and Azure DevOps (API) platforms
@@ -1342,33 +1926,87 @@ async function fetchAndDisplayCodeReview(forceRegenerate = false, isAutoTriggere
 
     showIntegratedReviewLoadingUI();
 
+    // Get the user's language preference from extension storage
+    const result = await chrome.storage.local.get(['code-review-language', 'code-review-format']);
+    const language = result['code-review-language'] || 'English';
+    const reviewFormat = result['code-review-format'] === 'scoring' ? 'scoring' : 'severity';
+
+    // Repository review rules are read from the target branch while the patch is fetched
+    const reviewRulesPromise = resolveReviewRules();
+    const prContextPromise = resolvePrContext();
+
+    // Incremental re-review: when this PR was already reviewed at an older head commit,
+    // only the commits pushed since then are fetched and reviewed
+    const incrementalReview = await resolveIncrementalReview(forceRegenerate, reviewFormat, language);
+    const isIncremental = !!incrementalReview?.previous;
+
     // Determine platform and get code changes
     let codeContent = '';
     let reviewId = null;
-
-    if (platformDetector && platformDetector.isOnGitLabMRPage()) {
-      // GitLab: fetch patch file
-      const patchUrl = getPatchUrl();
-      const response = await fetch(patchUrl, { credentials: 'include' });
-      if (!response.ok) {
-        throw new Error(`Not a Merge request page or there are no code changes yet in this MR- if you think this is a bug, please report it here: https://thinkreview.dev/bug-report`);
+    let prContext = null;
+
+    if (isIncremental) {
+      codeContent = incrementalReview.deltaPatch;
+      reviewId = getCurrentPRId();
+      dbgLog('Reviewing commits since the last review:', {
+        baseSha: incrementalReview.previous.headSha,
+        headSha: incrementalReview.headSha
+      });
+    } else if (platformDetector && platformDetector.isOnGitLabMRPage()) {
+      // GitLab: merged diff and MR details through the API when API mode is on, otherwise the patch file
+      const apiChanges = await fetchGitLabChangesFromApi();
+      if (apiChanges?.authError) {
+        try {
+          const gitlabTokenErrorModule = await import(chrome.runtime.getURL('components/gitlab-token-error.js'));
+          gitlabTokenErrorModule.showGitLabTokenError(stopEnhancedLoader, apiChanges.authError);
+        } catch (e) {
+          dbgWarn('Failed to show GitLab token error UI:', e);
+          throw new Error(`GitLab API mode could not read this merge request (${apiChanges.authError}). Check the GitLab access token in the extension popup.`);
+        }
+        return;
+      }
+      if (apiChanges) {
+        codeContent = apiChanges.patch;
+        prContext = apiChanges.prContext;
+      } else {
+        const patchUrl = getPatchUrl();
+        const response = await fetch(patchUrl, { credentials: 'include' });
+        if (!response.ok) {
+          throw new Error(`Not a Merge request page or there are no code changes yet in this MR- if you think this is a bug, please report it here: https://thinkreview.dev/bug-report`);
+        }
+        codeContent = await response.text();
       }
-      codeContent = await response.text();
       reviewId = getMergeRequestId();
       
     } else if (platformDetector && platformDetector.isOnGitHubPRPage()) {
-      // GitHub: fetch diff file through background script (to avoid CORS)
+      // GitHub: fetch diff through background script (to avoid CORS); REST API when a token is saved for the host
       const patchUrl = getPatchUrl();
+      const target = getPullRequestTarget()?.target || null;
       dbgLog('Fetching GitHub diff through background script:', patchUrl);
       
       const bgResponse = await new Promise((resolve) => {
         chrome.runtime.sendMessage({ 
           type: 'FETCH_GITHUB_DIFF', 
-          url: patchUrl 
+          url: patchUrl,
+          target
         }, resolve);
       });
       
       if (!bgResponse || !bgResponse.success) {
+        if (bgResponse?.isAuthError || bgResponse?.needsToken) {
+          try {
+            const githubTokenErrorModule = await import(chrome.runtime.getURL('components/github-token-error.js'));
+            githubTokenErrorModule.showGitHubTokenError(stopEnhancedLoader, {
+              hostname: window.location.hostname,
+              extraInfo: bgResponse.isAuthError ? bgResponse.error : null,
+              ssoUrl: bgResponse.ssoUrl || null
+            });
+          } catch (e) {
+            dbgWarn('Failed to show GitHub token error UI:', e);
+            throw new Error(bgResponse.error);
+          }
+          return;
+        }
         throw new Error(bgResponse?.error || `Not a Pull request page or there are no code changes yet in this PR- if you think this is a bug, please report it here: https://thinkreview.dev/bug-report`);
       }
       
@@ -1467,32 +2105,58 @@ async function fetchAndDisplayCodeReview(forceRegenerate = false, isAutoTriggere
 
     // In-panel loader already shown after login; keep UI through filter + cloud call.
 
-    // Apply filtering for GitLab, GitHub, and Bitbucket patches (Azure DevOps changes are already filtered)
+    // Apply the patch filter (media/binary files and the user's filter settings) on every platform;
+    // Azure DevOps binary and oversized files are already skipped by the fetcher
     let filteredCodeContent = codeContent;
     let filterSummaryText = null;
+    let filteredFiles = [];
     
-    if (platformDetector && (platformDetector.isOnGitLabMRPage() || platformDetector.isOnGitHubPRPage() || platformDetector.isOnBitbucketPRPage())) {
-      // Dynamically import patch filtering utilities for GitLab and GitHub
+    if (platformDetector) {
+      // Dynamically import patch filtering utilities
       const patchFilterModule = await import(chrome.runtime.getURL('utils/patch-filter.js'));
-      const { filterPatch, getFilterSummary } = patchFilterModule;
+      const { filterPatch, getFilterSummary, normalizePatchFilterSettings } = patchFilterModule;
+      const { readManagedPolicy, applyManagedPatchFilter } = await import(chrome.runtime.getURL('utils/managed-policy.js'));
+      const { patchFilterSettings } = await chrome.storage.local.get(['patchFilterSettings']);
+      // Filter rules of the managed policy are added to the user's
+      const filterSettings = applyManagedPatchFilter(await readManagedPolicy(), normalizePatchFilterSettings(patchFilterSettings));
       
-      // Filter out media and binary files from the patch
-      const filterResult = filterPatch(codeContent);
+      const filterResult = filterPatch(codeContent, filterSettings, { reviewAnyway: [...reviewAnywayFiles] });
       filteredCodeContent = filterResult.filteredPatch;
+      filteredFiles = filterResult.removed;
       
       // Generate filter summary text if files were removed
       filterSummaryText = filterResult.removedFileCount > 0 ? getFilterSummary(filterResult) : null;
       
       // Log filtering statistics if any files were removed
       if (filterResult.removedFileCount > 0) {
-        dbgLog('Filtered out', filterResult.removedFileCount, 'media/binary files:', filterResult.removedFiles);
+        dbgLog('Filtered out', filterResult.removedFileCount, 'files:', filterResult.removed);
       }
     }
-    
-    // Get the user's language preference from extension storage
-    const result = await chrome.storage.local.get(['code-review-language', 'code-review-format']);
-    const language = result['code-review-language'] || 'English';
-    const reviewFormat = result['code-review-format'] === 'scoring' ? 'scoring' : 'severity';
+
+    // The collected context has the linked issues and discussions; the API-mode MR details remain as fallback
+    prContext = (await prContextPromise) || prContext;
+
+    // Drop the files matched by the repository rules' ignore globs
+    const reviewRules = await reviewRulesPromise;
+    const reviewRulesModule = reviewRules ? await import(chrome.runtime.getURL('utils/review-rules.js')) : null;
+    let rulesIgnoredFiles = [];
+    if (reviewRules?.rules) {
+      const ignoreResult = reviewRulesModule.applyReviewRulesIgnore(filteredCodeContent, reviewRules.rules);
+      filteredCodeContent = ignoreResult.patch;
+      rulesIgnoredFiles = ignoreResult.ignoredFiles;
+      if (rulesIgnoredFiles.length > 0) {
+        dbgLog('Ignored by review rules:', rulesIgnoredFiles);
+      }
+    }
+
+    // Expanded context: full contents of the reviewed files (and their imports) within the token budget
+    const expandedContext = await resolveExpandedContext(filteredCodeContent);
+
+    // Deterministic checks; the model is told about their findings so it does not report them again
+    const staticChecks = await runStaticChecks(filteredCodeContent);
+    if (staticChecks.sendToModel && staticChecks.findings.length > 0) {
+      prContext = { ...(prContext || {}), staticFindings: staticChecks.findings };
+    }
     
     // Get the full MR/PR URL
     const mrUrl = window.location.href;
@@ -1525,20 +2189,55 @@ async function fetchAndDisplayCodeReview(forceRegenerate = false, isAutoTriggere
         return;
       }
     }
-    
-    // Send the code content for review via background script (avoids CSP fetch issues)
-    const bgResponse = await new Promise((resolve) => {
-      chrome.runtime.sendMessage({ 
-        type: 'REVIEW_PATCH_CODE', 
-        patchContent: filteredCodeContent,
-        mrId: reviewId, // Include the review ID for tracking
-        mrUrl: mrUrl, // Include the full MR/PR URL
-        language, // Include the language preference
-        platform, // Include platform information
-        forceRegenerate, // Include force regenerate flag
-        reviewFormat // Include review layout format (scoring | severity)
-      }, resolve);
-    });
+
+    const privacy = await applyPrivacyGuard(
+      filteredCodeContent,
+      expandedContext ? expandedContext.files.map(({ path, content, reason }) => ({ path, content, reason })) : null,
+      prContext
+    );
+    if (privacy?.declined) {
+      dbgLog('Review not sent: the user declined the redacted patch');
+      await showIntegratedReviewError('Review not sent. The privacy guard found secrets or personal data in this patch; use Regenerate review to see the report again.');
+      return;
+    }
+    if (sessionAtStart !== reviewSessionId) {
+      dbgLog('Review session invalidated while waiting for the privacy guard; aborting');
+      return;
+    }
+    // The patch as sent (placeholders instead of secrets); the panel and history keep the original
+    const sentPatchContent = privacy ? privacy.patch : filteredCodeContent;
+
+    const reviewRequest = {
+      patchContent: sentPatchContent,
+      mrId: reviewId, // Include the review ID for tracking
+      mrUrl: mrUrl, // Include the full MR/PR URL
+      language, // Include the language preference
+      platform, // Include platform information
+      forceRegenerate: forceRegenerate || isIncremental, // Include force regenerate flag (an incremental diff is never served from the full-PR cache)
+      reviewFormat, // Include review layout format (scoring | severity)
+      reviewRules: reviewRules?.rules || null, // Repository rules (.thinkreview.yml) for the prompt
+      prContext: privacy ? privacy.prContext : prContext, // PR title, description, linked issues and open discussions for the prompt
+      contextFiles: privacy
+        ? privacy.contextFiles
+        : expandedContext
+          ? expandedContext.files.map(({ path, content, reason }) => ({ path, content, reason }))
+          : null // Full file contents for the prompt (expanded context)
+    };
+
+    // Send the code content for review via background script (avoids CSP fetch issues);
+    // Ollama and OpenRouter reviews are streamed into the loader and can be cancelled
+    const { aiProvider } = await chrome.storage.local.get(['aiProvider']);
+    const bgResponse = STREAMING_PROVIDERS.includes(aiProvider)
+      ? await streamReviewIntoLoader(reviewRequest)
+      : await new Promise((resolve) => {
+        chrome.runtime.sendMessage({ type: 'REVIEW_PATCH_CODE', ...reviewRequest }, resolve);
+      });
+
+    if (bgResponse?.isCancelled) {
+      dbgLog('Review cancelled');
+      await showIntegratedReviewError('Review cancelled. Use Regenerate review to start it again.');
+      return;
+    }
 
     if (!bgResponse || !bgResponse.success) {
       if (bgResponse?.isAuthExpired) {
@@ -1590,6 +2289,11 @@ async function fetchAndDisplayCodeReview(forceRegenerate = false, isAutoTriggere
       await showIntegratedReviewError(errorMessage);
       return;
     }
+
+    // File/line references and quoted code show the original values again
+    if (privacy) {
+      data.review = privacy.session.restore(data.review);
+    }
     
     // Append filter summary to the review summary if files were filtered
     if (filterSummaryText) {
@@ -1607,7 +2311,7 @@ async function fetchAndDisplayCodeReview(forceRegenerate = false, isAutoTriggere
           chrome.runtime.getURL('utils/fetch-agent-reviews-background.js')
         );
         agentReviewsResultPromise = startAgentReviewsFetchForPatch(
-          filteredCodeContent,
+          sentPatchContent,
           reviewId != null && reviewId !== '' ? reviewId : null
         );
       }
@@ -1618,6 +2322,34 @@ async function fetchAndDisplayCodeReview(forceRegenerate = false, isAutoTriggere
     if (!data.review.reviewFormat) {
       data.review.reviewFormat = data.reviewFormat || reviewFormat || 'severity';
     }
+
+    if (staticChecks.findings.length > 0) {
+      const { mergeStaticFindings } = await import(chrome.runtime.getURL('utils/static-rules.js'));
+      data.review = mergeStaticFindings(data.review, staticChecks.findings);
+    }
+
+    if (reviewRules?.rules) {
+      const { review: overriddenReview, overridden } = reviewRulesModule.applyReviewRulesSeverityOverrides(data.review, reviewRules.rules);
+      data.review = overriddenReview;
+      if (overridden > 0) {
+        dbgLog('Review rules changed the severity of', overridden, 'findings');
+      }
+    }
+
+    let incrementalModule = null;
+    if (incrementalReview) {
+      incrementalModule = await import(chrome.runtime.getURL('utils/incremental-review.js'));
+    }
+    if (isIncremental) {
+      data.review = incrementalModule.mergeIncrementalReview(
+        incrementalReview.previous.review,
+        data.review,
+        filteredCodeContent,
+        { baseSha: incrementalReview.previous.headSha, headSha: incrementalReview.headSha }
+      );
+    }
+    // Metadata bar info of the API providers (services/*-service.js)
+    const apiProviderMeta = data.openrouterMeta || data.openaiCompatibleMeta || data.anthropicMeta || data.azureOpenAIMeta || null;
     displayIntegratedReview(
       data.review,
       filteredCodeContent,
@@ -1627,15 +2359,62 @@ async function fetchAndDisplayCodeReview(forceRegenerate = false, isAutoTriggere
       data.cached,
       bgResponse.provider,
       data.ollamaMeta,
-      data.openrouterMeta,
+      apiProviderMeta,
       {
         enabledReviewAgents: data.enabledReviewAgents,
         mrId: reviewId,
         provider: bgResponse.provider,
+        fallback: bgResponse.fallback || null,
         platform,
-        agentReviewsResultPromise
+        agentReviewsResultPromise,
+        filteredFiles,
+        reviewRules: reviewRules
+          ? {
+            path: reviewRules.path,
+            ref: reviewRules.ref,
+            labels: reviewRules.rules ? reviewRulesModule.describeReviewRules(reviewRules.rules) : [],
+            errors: reviewRules.errors,
+            warnings: reviewRules.warnings,
+            ignoredFiles: rulesIgnoredFiles
+          }
+          : null,
+        expandedContext: expandedContext
+          ? {
+            files: expandedContext.files.map(({ path, reason, tokens }) => ({ path, reason, tokens })),
+            skipped: expandedContext.skipped,
+            usedTokens: expandedContext.usedTokens,
+            tokenBudget: expandedContext.tokenBudget,
+            omitted: !!(apiProviderMeta?.contextFilesOmitted || data.ollamaMeta?.contextFilesOmitted)
+          }
+          : null,
+        privacyRedaction: privacy
+          ? { report: privacy.report, patch: privacy.patch, restore: privacy.session.restore }
+          : null
       }
     );
+
+    recordReviewHistory(data.review, filteredCodeContent, {
+      provider: bgResponse.provider || null,
+      model: data.modelUsed || data.ollamaMeta?.model || apiProviderMeta?.model || null,
+      reviewFormat: data.review.reviewFormat,
+      language,
+      mrId: reviewId,
+      mrUrl,
+      headSha: incrementalReview?.headSha || null,
+      incremental: isIncremental
+        ? { baseSha: incrementalReview.previous.headSha, headSha: incrementalReview.headSha }
+        : null
+    });
+
+    // Remember this head commit and its findings so the next review can cover only newer commits
+    if (incrementalModule) {
+      incrementalModule.saveIncrementalReviewState(incrementalReview.key, {
+        headSha: incrementalReview.headSha,
+        review: data.review,
+        reviewFormat,
+        language
+      }).catch((error) => dbgWarn('Failed to store incremental review state:', error));
+    }
     
     // Handle code suggestions injection for GitLab
     if (Array.isArray(data.review.codeSuggestions) && data.review.codeSuggestions.length > 0) {
@@ -1936,67 +2715,180 @@ async function toggleReviewPanel() {
  * @param {string} [language] - Optional language preference for the response.
  * @returns {Promise<Object>} - A promise that resolves with the AI's response.
  */
-window.getAIResponse = (patchContent, conversationHistory, language = 'English') => {
-  return new Promise((resolve, reject) => {
-    // Get the merge request/pull request ID for tracking
-    let mrId = null;
-    if (platformDetector) {
-      if (platformDetector.isOnGitLabMRPage()) {
-        mrId = getMergeRequestId();
-      } else if (platformDetector.isOnGitHubPRPage()) {
-        mrId = getGitHubPRId();
-      } else if (platformDetector.isOnAzureDevOpsPRPage()) {
-        const prInfo = platformDetector.detectPlatform().pageInfo;
-        mrId = prInfo?.prId || null;
-      }
+/**
+ * Get the AI answer to the last message of the conversation.
+ * Ollama and OpenRouter answers are streamed when options.onToken is given.
+ * @param {string} patchContent
+ * @param {Array<Object>} conversationHistory
+ * @param {string} [language]
+ * @param {{ onToken?: (text: string) => void, onStart?: (cancel: () => void) => void, onFallback?: (label: string) => void, onToolCall?: (call: { name: string, args: Object }) => Promise<string> }} [options]
+ *   onToken receives each piece of the answer; onStart receives a function that cancels the request
+ *   (the promise then rejects with error.isCancelled); onFallback is called when the next provider of
+ *   the fallback chain is tried; onToolCall is called for each repository tool the model calls (streamed
+ *   answers on a PR/MR page) and returns the output sent back to the model
+ * @returns {Promise<Object>} The answer; fallback is set when it comes from a fallback provider
+ */
+window.getAIResponse = async (patchContent, conversationHistory, language = 'English', { onToken = null, onStart = null, onFallback = null, onToolCall = null } = {}) => {
+  // Get the merge request/pull request ID for tracking
+  let mrId = null;
+  if (platformDetector) {
+    if (platformDetector.isOnGitLabMRPage()) {
+      mrId = getMergeRequestId();
+    } else if (platformDetector.isOnGitHubPRPage()) {
+      mrId = getGitHubPRId();
+    } else if (platformDetector.isOnAzureDevOpsPRPage()) {
+      const prInfo = platformDetector.detectPlatform().pageInfo;
+      mrId = prInfo?.prId || null;
     }
-    
-    // Get the full MR/PR URL
-    const mrUrl = window.location.href;
-    
-    chrome.runtime.sendMessage(
-      {
-        type: 'GET_AI_RESPONSE',
-        patchContent,
-        conversationHistory,
-        mrId, // Include the MR ID for conversation tracking
-        mrUrl, // Include the MR URL for authentication
-        language, // Include the language preference
-      },
-      (response) => {
+  }
+  
+  // Get the full MR/PR URL
+  const mrUrl = window.location.href;
+
+  // Privacy guard: the patch, the messages and the tool outputs are sent with the review's placeholders
+  const privacy = await getPrivacyRedactionSession();
+  const redact = (text) => (privacy && typeof text === 'string' ? privacy.redactText(text).text : text);
+
+  const request = {
+    patchContent: privacy ? privacy.redactPatch(patchContent).patch : patchContent,
+    conversationHistory: privacy
+      ? conversationHistory.map((message) => ({ ...message, content: redact(message.content) }))
+      : conversationHistory,
+    mrId, // Include the MR ID for conversation tracking
+    mrUrl, // Include the MR URL for authentication
+    language, // Include the language preference
+  };
+
+  // The model may read the repository while it answers (background.js offers the tools of the platform)
+  const prTarget = onToolCall ? getPullRequestTarget() : null;
+  if (prTarget) {
+    request.repoTools = { platform: prTarget.platform };
+  }
+
+  const { aiProvider } = await chrome.storage.local.get(['aiProvider']);
+  const response = onToken && STREAMING_PROVIDERS.includes(aiProvider)
+    ? await streamProviderRequest('chat', request, {
+      onToken,
+      onStart,
+      onFallback,
+      onToolCall: privacy && onToolCall ? async (call) => redact(await onToolCall(privacy.restore(call))) : onToolCall
+    })
+    : await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ type: 'GET_AI_RESPONSE', ...request }, (result) => {
         if (chrome.runtime.lastError) {
-          return reject(chrome.runtime.lastError);
-        }
-        if (response && response.success) {
-          const data = response.data;
-          const routedProvider = response.provider || 'cloud';
-          const merged =
-            data && typeof data === 'object' && !Array.isArray(data)
-              ? { ...data, provider: data.provider || routedProvider }
-              : { response: data, provider: routedProvider };
-          resolve(merged);
-        } else {
-          const error = new Error(response?.error || 'Failed to get AI response.');
-          // Pass rate limit error properties if available
-          if (response.isRateLimit) {
-            error.isRateLimit = response.isRateLimit;
-            error.rateLimitMessage = response.rateLimitMessage;
-            error.retryAfter = response.retryAfter;
-          }
-          if (response.isLimitExceeded) {
-            error.isLimitExceeded = true;
-            error.dailyLimit = response.dailyLimit;
-            error.currentCount = response.currentCount;
-            error.purchasedReviewCredits = response.purchasedReviewCredits;
-          }
-          if (response.isAuthExpired) {
-            error.isAuthExpired = true;
-            showLoginPrompt({ sessionExpired: true });
-          }
-          reject(error);
+          reject(chrome.runtime.lastError);
+          return;
         }
+        resolve(result);
+      });
+    });
+
+  if (response && response.success) {
+    const data = privacy ? privacy.restore(response.data) : response.data;
+    const routedProvider = response.provider || 'cloud';
+    const fallback = response.fallback || null;
+    return data && typeof data === 'object' && !Array.isArray(data)
+      ? { ...data, provider: data.provider || routedProvider, fallback }
+      : { response: data, provider: routedProvider, fallback };
+  }
+
+  const error = new Error(response?.error || 'Failed to get AI response.');
+  if (response?.isCancelled) {
+    error.isCancelled = true;
+  }
+  // Pass rate limit error properties if available
+  if (response?.isRateLimit) {
+    error.isRateLimit = response.isRateLimit;
+    error.rateLimitMessage = response.rateLimitMessage;
+    error.retryAfter = response.retryAfter;
+  }
+  if (response?.isLimitExceeded) {
+    error.isLimitExceeded = true;
+    error.dailyLimit = response.dailyLimit;
+    error.currentCount = response.currentCount;
+    error.purchasedReviewCredits = response.purchasedReviewCredits;
+  }
+  if (response?.isAuthExpired) {
+    error.isAuthExpired = true;
+    showLoginPrompt({ sessionExpired: true });
+  }
+  throw error;
+};
+
+/**
+ * Run a repository tool called by the model in chat, on the source branch of the current PR/MR.
+ * GitLab runs from the page (session cookie or token); other platforms go through the background
+ * script, which holds the API credentials.
+ * @param {string} name - read_file, list_directory or search_code (utils/repo-tools.js)
+ * @param {Object} args - Arguments given by the model
+ * @returns {Promise<string>} Output for the model
+ */
+window.runRepoTool = async (name, args) => {
+  const prTarget = getPullRequestTarget();
+  if (!prTarget) {
+    throw new Error('Repository tools are not available on this page.');
+  }
+  const { platform, target } = prTarget;
+
+  if (platform === 'gitlab') {
+    const [{ gitlabApiMode }, { getGitLabToken }, { runRepoTool }] = await Promise.all([
+      chrome.storage.local.get(['gitlabApiMode']),
+      import(chrome.runtime.getURL('utils/gitlab-tokens.js')),
+      import(chrome.runtime.getURL('services/repo-tool-runner.js'))
+    ]);
+    const token = gitlabApiMode ? await getGitLabToken(target.origin) : null;
+    return runRepoTool({ platform, target, name, args, credentials: { token } });
+  }
+
+  const response = await new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: 'RUN_REPO_TOOL', platform, target, name, args }, resolve);
+  });
+  if (!response?.success) {
+    throw new Error(response?.error || chrome.runtime.lastError?.message || 'The repository tool failed');
+  }
+  return response.output;
+};
+
+/**
+ * Native suggestion syntax of the current PR/MR, used by the Publish to PR dialog.
+ * @returns {Promise<'github'|'gitlab'|'azure-devops'|'bitbucket-dc'|null>} See getSuggestionFlavor (components/utils/review-comments.js)
+ */
+window.getSuggestionFlavor = async () => {
+  const prTarget = getPullRequestTarget();
+  if (!prTarget) return null;
+  const { getSuggestionFlavor } = await import(chrome.runtime.getURL('components/utils/review-comments.js'));
+  return getSuggestionFlavor(prTarget.platform, prTarget.target);
+};
+
+/**
+ * Publish anchored review comments to the current PR/MR.
+ * GitLab posts directly from the page (session cookie + CSRF token); other platforms go through
+ * the background script, which holds the API credentials.
+ * @param {Array<Object>} comments - Result of anchorCommentsToPatch() (components/utils/review-comments.js)
+ * @param {{ applySuggestions?: { commitMessage?: string }|null }} [options] - GitLab only: apply the
+ *   posted code suggestions in one commit
+ * @returns {Promise<{ success: boolean, results?: Array<Object>, batchApply?: Object, error?: string, isAuthError?: boolean }>}
+ */
+window.publishReviewCommentsToPR = async (comments, { applySuggestions = null } = {}) => {
+  const prTarget = getPullRequestTarget();
+  if (!prTarget) {
+    return { success: false, error: 'Publishing comments is not supported on this page.' };
+  }
+  const { platform, target } = prTarget;
+
+  if (platform === 'gitlab') {
+    const publisherModule = await import(chrome.runtime.getURL('services/pr-comment-publisher.js'));
+    return publisherModule.publishPullRequestComments({ platform, target, comments, applySuggestions });
+  }
+
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: 'PUBLISH_PR_COMMENTS', platform, target, comments }, (response) => {
+      if (chrome.runtime.lastError) {
+        resolve({ success: false, error: chrome.runtime.lastError.message });
+        return;
       }
-    );
+      resolve(response || { success: false, error: 'No response from extension' });
+    });
   });
 };
 
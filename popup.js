@@ -7,6 +7,35 @@ import { reviewCount } from './components/popup-modules/review-count.js';
 import { dbgLog, dbgWarn, dbgError } from './utils/logger.js';
 import { clampTemperature, clampTopP, clampTopK } from './utils/ollama-options.js';
 import { normalizeGatewayBaseUrl, canUseEnterpriseGatewayFromStorage } from './utils/enterprise-gateway.js';
+import { normalizePatchFilterSettings } from './utils/patch-filter.js';
+import { normalizeExpandedContextSettings } from './utils/expanded-context.js';
+import { compileCustomPatterns, normalizePrivacyGuardSettings } from './utils/privacy-guard.js';
+import { listStaticRules, normalizeStaticRulesSettings } from './utils/static-rules.js';
+import { normalizeReviewTaxonomy } from './utils/review-taxonomy.js';
+import {
+  SETTINGS_BUNDLE_STORAGE_KEYS,
+  buildSettingsBundle,
+  parseSettingsBundle,
+  decryptSettingsBundleSecrets,
+  planSettingsImport,
+  getSettingsBundleOrigins,
+  getSettingLabel
+} from './utils/settings-bundle.js';
+import { LOCAL_AGENTS_STORAGE_KEY, MAX_LOCAL_AGENTS, normalizeLocalAgent, normalizeLocalAgents, formatOutputSectionsText } from './utils/local-agents.js';
+import { readGitHubTokens, setGitHubToken, listGitHubHosts, getGitHubApiOriginPattern } from './utils/github-tokens.js';
+import { readGitLabTokens, setGitLabToken, listGitLabOrigins } from './utils/gitlab-tokens.js';
+import { normalizeProviderFallbackSettings, FALLBACK_PROVIDERS, LOCAL_PROVIDERS, PROVIDER_LABELS, MAX_FALLBACK_PROVIDERS } from './utils/provider-fallback.js';
+import { normalizeOpenAICompatibleBaseUrl, getOpenAICompatibleOriginPattern } from './utils/openai-compatible.js';
+import { ANTHROPIC_ORIGINS } from './utils/anthropic.js';
+import { normalizeAzureOpenAIEndpoint, getAzureOpenAIOriginPattern, DEFAULT_AZURE_OPENAI_API_VERSION } from './utils/azure-openai.js';
+import {
+  readManagedPolicy,
+  isProviderAllowed,
+  resolveManagedProvider,
+  getManagedDomainOrigins,
+  MANAGED_DOMAIN_KEYS,
+  MANAGED_POLICY_NOTICE
+} from './utils/managed-policy.js';
 
 // Timing constants (in milliseconds)
 const TIMEOUT_AUTO_SIGNIN_WAIT = 500;
@@ -860,6 +889,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Initialize GitHub Enterprise domain settings
   initializeGitHubEnterpriseDomainSettings();
+
+  // Initialize GitHub token (Publish to PR)
+  initializeGitHubTokenSettings();
+  initializeGitLabApiSettings();
   
   // Initialize Bitbucket settings (also called above after Azure)
   initializeBitbucketSettings();
@@ -876,6 +909,33 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Initialize collapsible AI Provider header
   initializeAIProviderCollapsible();
 
+  // Initialize provider fallback chain settings
+  initializeProviderFallbackSettings();
+
+  // Initialize patch filter settings
+  initializePatchFilterSettings();
+
+  // Initialize expanded context settings
+  initializeExpandedContextSettings();
+
+  // Initialize static checks settings
+  initializeStaticRulesSettings();
+
+  // Initialize review taxonomy settings
+  initializeReviewTaxonomySettings();
+
+  // Initialize privacy guard settings
+  initializePrivacyGuardSettings();
+
+  // Initialize local review agents
+  initializeLocalAgentsSettings();
+
+  // Initialize settings bundle import/export
+  initializeSettingsBundle();
+
+  // Lock the controls set by the organization's managed policy
+  initializeManagedPolicy();
+
 });
 
 // Domain Management Functionality
@@ -1155,6 +1215,7 @@ async function addDomain() {
     domainInput.value = '';
     
     renderDomainList(updatedDomains);
+    loadGitLabApiSettings();
     
     // Show success message
     showMessage('Domain added successfully! You may need to reload GitLab pages for changes to take effect.', 'success');
@@ -1318,6 +1379,7 @@ async function addGitHubEnterpriseDomain() {
     if (domainInput) domainInput.value = '';
 
     renderGitHubEnterpriseDomainList(updatedDomains);
+    loadGitHubTokens();
     showMessage('Domain added successfully! You may need to reload GitHub Enterprise pages for changes to take effect.', 'success');
   } catch (error) {
     dbgWarn('Error adding GitHub Enterprise domain:', error);
@@ -1353,6 +1415,7 @@ async function removeGitHubEnterpriseDomain(domain) {
     }).catch(err => dbgWarn('Error checking login status for GitHub Enterprise cloud tracking:', err));
 
     renderGitHubEnterpriseDomainList(updatedDomains);
+    loadGitHubTokens();
     showMessage('Domain removed successfully!', 'success');
   } catch (error) {
     dbgWarn('Error removing GitHub Enterprise domain:', error);
@@ -1392,6 +1455,7 @@ async function removeDomain(domain) {
     
     dbgLog('Domain removed:', domain);
     renderDomainList(updatedDomains);
+    loadGitLabApiSettings();
     
     showMessage('Domain removed successfully!', 'success');
     
@@ -1594,6 +1658,327 @@ async function removeAzureDevOpsDomain(domain) {
   }
 }
 
+// =====================================================================
+// GITHUB TOKENS (API diff fetch, Publish to PR)
+// =====================================================================
+
+const GITHUB_TOKEN_MASK = '••••••••••••••••••••••••••••••••••••••••••••••••••';
+
+function initializeGitHubTokenSettings() {
+  loadGitHubTokens();
+  const hostSelect = document.getElementById('github-token-host');
+  const saveBtn = document.getElementById('save-github-token-btn');
+  const tokenInput = document.getElementById('github-token-input');
+  if (hostSelect) hostSelect.addEventListener('change', () => loadGitHubTokens());
+  if (saveBtn) saveBtn.addEventListener('click', saveGitHubToken);
+  if (tokenInput) {
+    tokenInput.addEventListener('keypress', (e) => { if (e.key === 'Enter') saveGitHubToken(); });
+  }
+}
+
+function showGitHubTokenStatus(message, type) {
+  const statusEl = document.getElementById('github-token-status');
+  if (!statusEl) return;
+  statusEl.textContent = message;
+  statusEl.className = message ? `token-status ${type}` : 'token-status';
+}
+
+/**
+ * Fill the host select (github.com and GitHub Enterprise domains), the token field of the selected
+ * host and the list of saved tokens.
+ */
+async function loadGitHubTokens() {
+  try {
+    const tokens = await readGitHubTokens();
+    const { githubEnterpriseDomains } = await chrome.storage.local.get(['githubEnterpriseDomains']);
+    // Hosts whose domain was removed keep their token until it is removed here
+    const hosts = [...new Set([...listGitHubHosts(githubEnterpriseDomains), ...Object.keys(tokens)])];
+
+    const hostSelect = document.getElementById('github-token-host');
+    const tokenInput = document.getElementById('github-token-input');
+    if (!hostSelect) return;
+    const selectedHost = hosts.includes(hostSelect.value) ? hostSelect.value : hosts[0];
+    hostSelect.replaceChildren(...hosts.map((host) => {
+      const option = document.createElement('option');
+      option.value = host;
+      option.textContent = host;
+      return option;
+    }));
+    hostSelect.value = selectedHost;
+
+    if (tokenInput) {
+      tokenInput.value = tokens[selectedHost] ? GITHUB_TOKEN_MASK : '';
+      tokenInput.type = 'password';
+    }
+    showGitHubTokenStatus(tokens[selectedHost] ? `Token saved for ${selectedHost}` : '', 'success');
+    renderGitHubTokenList(tokens);
+  } catch (error) {
+    dbgWarn('Error loading GitHub tokens:', error);
+  }
+}
+
+function renderGitHubTokenList(tokens) {
+  const tokenList = document.getElementById('github-token-list');
+  if (!tokenList) return;
+
+  tokenList.replaceChildren();
+  Object.keys(tokens).forEach((host) => {
+    const item = document.createElement('div');
+    item.className = 'domain-item';
+
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'domain-name';
+    nameSpan.textContent = host;
+
+    const actionsDiv = document.createElement('div');
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-domain-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => removeGitHubToken(host));
+    actionsDiv.appendChild(removeBtn);
+
+    item.appendChild(nameSpan);
+    item.appendChild(actionsDiv);
+    tokenList.appendChild(item);
+  });
+}
+
+async function saveGitHubToken() {
+  const hostSelect = document.getElementById('github-token-host');
+  const tokenInput = document.getElementById('github-token-input');
+  const saveBtn = document.getElementById('save-github-token-btn');
+  const host = hostSelect?.value || 'github.com';
+  const tokenRaw = tokenInput?.value?.trim() ?? '';
+
+  try {
+    // Firefox: permissions.request must run before any other await (user-gesture stack).
+    // api.github.com for github.com; GHES APIs share the already-granted enterprise origin.
+    const granted = await chrome.permissions.request({ origins: [getGitHubApiOriginPattern(host)] });
+    if (!granted) {
+      showGitHubTokenStatus('Permission needed to call the GitHub API', 'error');
+      return;
+    }
+
+    const tokens = await readGitHubTokens();
+    const token = (tokenRaw === GITHUB_TOKEN_MASK && tokens[host]) ? tokens[host] : tokenRaw;
+    if (!token || token === GITHUB_TOKEN_MASK) {
+      showGitHubTokenStatus('Enter a token to save', 'error');
+      return;
+    }
+
+    if (saveBtn) {
+      saveBtn.textContent = 'Checking...';
+      saveBtn.disabled = true;
+    }
+    const { validateGitHubToken } = await import(chrome.runtime.getURL('services/github-api.js'));
+    const result = await validateGitHubToken(host, token);
+    if (!result.valid && result.isAuthError) {
+      showGitHubTokenStatus(`${host} rejected the token. Check that it is not expired and try again.`, 'error');
+      return;
+    }
+
+    await setGitHubToken(host, token);
+    await loadGitHubTokens();
+    if (result.valid) {
+      showGitHubTokenStatus(result.login ? `Token saved for ${host} (${result.login})` : `Token saved for ${host}`, 'success');
+    } else {
+      // Unreachable host (VPN, proxy): keep the token, it is checked again on the next review
+      showGitHubTokenStatus(`Token saved for ${host}, but it could not be checked: ${result.error}`, 'info');
+    }
+  } catch (error) {
+    dbgWarn('Error saving GitHub token:', error);
+    showGitHubTokenStatus('Failed to save', 'error');
+  } finally {
+    if (saveBtn) {
+      saveBtn.textContent = 'Save';
+      saveBtn.disabled = false;
+    }
+  }
+}
+
+async function removeGitHubToken(host) {
+  if (!(await showConfirm(`Remove the GitHub token for "${host}"?`, { confirmLabel: 'Remove' }))) return;
+
+  try {
+    await setGitHubToken(host, null);
+    await loadGitHubTokens();
+    showGitHubTokenStatus(`Token removed for ${host}`, 'success');
+  } catch (error) {
+    dbgWarn('Error removing GitHub token:', error);
+    showGitHubTokenStatus("Couldn't remove the token. Please try again.", 'error');
+  }
+}
+
+// =====================================================================
+// GITLAB API MODE (merged MR diff and details, optional token per instance)
+// =====================================================================
+
+const GITLAB_TOKEN_MASK = '••••••••••••••••••••••••••••••••••••••••••••••••••';
+
+function initializeGitLabApiSettings() {
+  loadGitLabApiSettings();
+  const apiModeCheckbox = document.getElementById('gitlab-api-mode');
+  const originSelect = document.getElementById('gitlab-token-origin');
+  const saveBtn = document.getElementById('save-gitlab-token-btn');
+  const tokenInput = document.getElementById('gitlab-token-input');
+  if (apiModeCheckbox) apiModeCheckbox.addEventListener('change', saveGitLabApiMode);
+  if (originSelect) originSelect.addEventListener('change', () => loadGitLabApiSettings());
+  if (saveBtn) saveBtn.addEventListener('click', saveGitLabToken);
+  if (tokenInput) {
+    tokenInput.addEventListener('keypress', (e) => { if (e.key === 'Enter') saveGitLabToken(); });
+  }
+}
+
+function showGitLabTokenStatus(message, type) {
+  const statusEl = document.getElementById('gitlab-token-status');
+  if (!statusEl) return;
+  statusEl.textContent = message;
+  statusEl.className = message ? `token-status ${type}` : 'token-status';
+}
+
+/**
+ * Fill the API mode checkbox, the instance select (gitlab.com and self-managed domains), the token
+ * field of the selected instance and the list of saved tokens.
+ */
+async function loadGitLabApiSettings() {
+  try {
+    const tokens = await readGitLabTokens();
+    const { gitlabApiMode, gitlabDomains } = await chrome.storage.local.get(['gitlabApiMode', 'gitlabDomains']);
+    // Instances whose domain was removed keep their token until it is removed here
+    const origins = [...new Set([...listGitLabOrigins(gitlabDomains), ...Object.keys(tokens)])];
+
+    const apiModeCheckbox = document.getElementById('gitlab-api-mode');
+    if (apiModeCheckbox) apiModeCheckbox.checked = gitlabApiMode === true;
+
+    const originSelect = document.getElementById('gitlab-token-origin');
+    const tokenInput = document.getElementById('gitlab-token-input');
+    if (!originSelect) return;
+    const selectedOrigin = origins.includes(originSelect.value) ? originSelect.value : origins[0];
+    originSelect.replaceChildren(...origins.map((origin) => {
+      const option = document.createElement('option');
+      option.value = origin;
+      option.textContent = formatDomainForDisplay(origin);
+      return option;
+    }));
+    originSelect.value = selectedOrigin;
+
+    if (tokenInput) {
+      tokenInput.value = tokens[selectedOrigin] ? GITLAB_TOKEN_MASK : '';
+      tokenInput.type = 'password';
+    }
+    showGitLabTokenStatus(tokens[selectedOrigin] ? `Token saved for ${formatDomainForDisplay(selectedOrigin)}` : '', 'success');
+    renderGitLabTokenList(tokens);
+  } catch (error) {
+    dbgWarn('Error loading GitLab API settings:', error);
+  }
+}
+
+function renderGitLabTokenList(tokens) {
+  const tokenList = document.getElementById('gitlab-token-list');
+  if (!tokenList) return;
+
+  tokenList.replaceChildren();
+  Object.keys(tokens).forEach((origin) => {
+    const item = document.createElement('div');
+    item.className = 'domain-item';
+
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'domain-name';
+    nameSpan.textContent = formatDomainForDisplay(origin);
+
+    const actionsDiv = document.createElement('div');
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-domain-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => removeGitLabToken(origin));
+    actionsDiv.appendChild(removeBtn);
+
+    item.appendChild(nameSpan);
+    item.appendChild(actionsDiv);
+    tokenList.appendChild(item);
+  });
+}
+
+async function saveGitLabApiMode() {
+  const apiModeCheckbox = document.getElementById('gitlab-api-mode');
+  const enabled = apiModeCheckbox?.checked === true;
+  try {
+    await chrome.storage.local.set({ gitlabApiMode: enabled });
+    showGitLabTokenStatus(enabled ? 'API mode on: merge requests are read through the GitLab API' : 'API mode off: merge requests are read from the .patch file', 'success');
+  } catch (error) {
+    dbgWarn('Error saving GitLab API mode:', error);
+    showGitLabTokenStatus('Failed to save', 'error');
+  }
+}
+
+async function saveGitLabToken() {
+  const originSelect = document.getElementById('gitlab-token-origin');
+  const tokenInput = document.getElementById('gitlab-token-input');
+  const saveBtn = document.getElementById('save-gitlab-token-btn');
+  const origin = originSelect?.value || 'https://gitlab.com';
+  const label = formatDomainForDisplay(origin);
+  const tokenRaw = tokenInput?.value?.trim() ?? '';
+
+  try {
+    // Firefox: permissions.request must run before any other await (user-gesture stack).
+    // gitlab.com is a required host; self-managed origins were granted when the domain was added.
+    const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+    if (!granted) {
+      showGitLabTokenStatus('Permission needed to call the GitLab API', 'error');
+      return;
+    }
+
+    const tokens = await readGitLabTokens();
+    const token = (tokenRaw === GITLAB_TOKEN_MASK && tokens[origin]) ? tokens[origin] : tokenRaw;
+    if (!token || token === GITLAB_TOKEN_MASK) {
+      showGitLabTokenStatus('Enter a token to save', 'error');
+      return;
+    }
+
+    if (saveBtn) {
+      saveBtn.textContent = 'Checking...';
+      saveBtn.disabled = true;
+    }
+    const { validateGitLabToken } = await import(chrome.runtime.getURL('services/gitlab-api.js'));
+    const result = await validateGitLabToken(origin, token);
+    if (!result.valid && result.isAuthError) {
+      showGitLabTokenStatus(`${label} rejected the token. Check that it is not expired and has the read_api scope.`, 'error');
+      return;
+    }
+
+    await setGitLabToken(origin, token);
+    await loadGitLabApiSettings();
+    if (result.valid) {
+      showGitLabTokenStatus(result.username ? `Token saved for ${label} (${result.username})` : `Token saved for ${label}`, 'success');
+    } else {
+      // Unreachable instance (VPN, proxy): keep the token, it is used on the next review
+      showGitLabTokenStatus(`Token saved for ${label}, but it could not be checked: ${result.error}`, 'info');
+    }
+  } catch (error) {
+    dbgWarn('Error saving GitLab token:', error);
+    showGitLabTokenStatus('Failed to save', 'error');
+  } finally {
+    if (saveBtn) {
+      saveBtn.textContent = 'Save';
+      saveBtn.disabled = false;
+    }
+  }
+}
+
+async function removeGitLabToken(origin) {
+  const label = formatDomainForDisplay(origin);
+  if (!(await showConfirm(`Remove the GitLab token for "${label}"?`, { confirmLabel: 'Remove' }))) return;
+
+  try {
+    await setGitLabToken(origin, null);
+    await loadGitLabApiSettings();
+    showGitLabTokenStatus(`Token removed for ${label}`, 'success');
+  } catch (error) {
+    dbgWarn('Error removing GitLab token:', error);
+    showGitLabTokenStatus("Couldn't remove the token. Please try again.", 'error');
+  }
+}
+
 // Bitbucket: Allow Bitbucket (request permission for page + API host, store bitbucketAllowed, trigger content script update)
 const BITBUCKET_ORIGINS = ['https://bitbucket.org/*', 'https://api.bitbucket.org/*'];
 const BITBUCKET_TOKEN_MASK = '••••••••••••••••••••••••••••••••••••••••••••••••••';
@@ -2238,6 +2623,15 @@ function setupAIProviderEventListeners() {
   const testGatewayButton = document.getElementById('test-gateway-btn');
   const saveGatewayButton = document.getElementById('save-gateway-btn');
   const gatewayUrlInput = document.getElementById('gateway-base-url');
+  const testCompatibleButton = document.getElementById('test-openai-compatible-btn');
+  const saveCompatibleButton = document.getElementById('save-openai-compatible-btn');
+  const refreshCompatibleModelsButton = document.getElementById('refresh-openai-compatible-models-btn');
+  const testAnthropicButton = document.getElementById('test-anthropic-btn');
+  const saveAnthropicButton = document.getElementById('save-anthropic-btn');
+  const refreshAnthropicModelsButton = document.getElementById('refresh-anthropic-models-btn');
+  const testAzureButton = document.getElementById('test-azure-openai-btn');
+  const saveAzureButton = document.getElementById('save-azure-openai-btn');
+  const refreshAzureDeploymentsButton = document.getElementById('refresh-azure-openai-deployments-btn');
   
   // Provider selection change
   providerRadios.forEach(radio => {
@@ -2272,6 +2666,36 @@ function setupAIProviderEventListeners() {
       }
     });
   }
+
+  if (testCompatibleButton) {
+    testCompatibleButton.addEventListener('click', testOpenAICompatibleConnection);
+  }
+  if (saveCompatibleButton) {
+    saveCompatibleButton.addEventListener('click', saveOpenAICompatibleSettings);
+  }
+  if (refreshCompatibleModelsButton) {
+    refreshCompatibleModelsButton.addEventListener('click', testOpenAICompatibleConnection);
+  }
+
+  if (testAnthropicButton) {
+    testAnthropicButton.addEventListener('click', testAnthropicConnection);
+  }
+  if (saveAnthropicButton) {
+    saveAnthropicButton.addEventListener('click', saveAnthropicSettings);
+  }
+  if (refreshAnthropicModelsButton) {
+    refreshAnthropicModelsButton.addEventListener('click', testAnthropicConnection);
+  }
+
+  if (testAzureButton) {
+    testAzureButton.addEventListener('click', testAzureOpenAIConnection);
+  }
+  if (saveAzureButton) {
+    saveAzureButton.addEventListener('click', saveAzureOpenAISettings);
+  }
+  if (refreshAzureDeploymentsButton) {
+    refreshAzureDeploymentsButton.addEventListener('click', refreshAzureOpenAIDeployments);
+  }
 }
 
 async function loadAIProviderSettings() {
@@ -2280,6 +2704,9 @@ async function loadAIProviderSettings() {
       'aiProvider',
       'ollamaConfig',
       'gatewayBaseUrl',
+      'openaiCompatibleConfig',
+      'anthropicConfig',
+      'azureOpenAIConfig',
       'userSubscriptionData',
       'subscriptionType',
     ]);
@@ -2295,6 +2722,9 @@ async function loadAIProviderSettings() {
       provider = 'cloud';
       await chrome.storage.local.set({ aiProvider: 'cloud' });
     }
+
+    // background.js replaces a provider the managed policy blocks by the policy default; show that one
+    provider = resolveManagedProvider(await readManagedPolicy(), provider);
     const config = result.ollamaConfig || {
       url: 'http://localhost:11434',
       model: 'gemma4',
@@ -2316,6 +2746,10 @@ async function loadAIProviderSettings() {
     if (gatewayUrlInput) {
       gatewayUrlInput.value = result.gatewayBaseUrl || '';
     }
+
+    await loadOpenAICompatibleSettings(result.openaiCompatibleConfig, provider === 'openai-compatible');
+    await loadAnthropicSettings(result.anthropicConfig, provider === 'anthropic');
+    loadAzureOpenAISettings(result.azureOpenAIConfig);
     
     // Load Ollama config values
     const urlInput = document.getElementById('ollama-url');
@@ -2346,6 +2780,9 @@ async function loadAIProviderSettings() {
   }
 }
 
+/** Providers with a card and a `<id>-config` settings panel of their own (besides cloud, gateway and Ollama) */
+const API_PROVIDER_IDS = ['openai-compatible', 'anthropic', 'azure-openai'];
+
 function updateProviderCardSelection(provider) {
   const cloudCard = document.getElementById('provider-card-cloud');
   const selfHostedCard = document.getElementById('provider-card-self-hosted');
@@ -2353,6 +2790,9 @@ function updateProviderCardSelection(provider) {
   if (cloudCard) cloudCard.classList.toggle('is-selected', provider === 'cloud');
   if (selfHostedCard) selfHostedCard.classList.toggle('is-selected', provider === 'self-hosted');
   if (ollamaCard) ollamaCard.classList.toggle('is-selected', provider === 'ollama');
+  API_PROVIDER_IDS.forEach((id) => {
+    document.getElementById(`provider-card-${id}`)?.classList.toggle('is-selected', provider === id);
+  });
 }
 
 function showProviderConfigPanels(provider) {
@@ -2360,6 +2800,10 @@ function showProviderConfigPanels(provider) {
   const selfHostedConfig = document.getElementById('self-hosted-config');
   if (ollamaConfig) ollamaConfig.style.display = provider === 'ollama' ? 'block' : 'none';
   if (selfHostedConfig) selfHostedConfig.style.display = provider === 'self-hosted' ? 'block' : 'none';
+  API_PROVIDER_IDS.forEach((id) => {
+    const panel = document.getElementById(`${id}-config`);
+    if (panel) panel.style.display = provider === id ? 'block' : 'none';
+  });
   // Show "Start review automatically" for all providers
   const autoStartSection = document.getElementById('auto-start-review-section');
   if (autoStartSection) {
@@ -2395,6 +2839,12 @@ async function handleProviderChange(event) {
 
   if (provider === 'self-hosted') {
     showGatewayStatus('ThinkReview Self-Hosted Gateway selected — enter your gateway URL below', 'info');
+  } else if (provider === 'openai-compatible') {
+    showOpenAICompatibleStatus('Custom OpenAI-compatible server selected — enter its URL, test and save below', 'info');
+  } else if (provider === 'anthropic') {
+    showProviderPanelStatus('anthropic-status', 'Anthropic selected — enter your API key, test and save below', 'info');
+  } else if (provider === 'azure-openai') {
+    showProviderPanelStatus('azure-openai-status', 'Azure OpenAI selected — enter your endpoint, key and deployment below', 'info');
   } else {
     showOllamaStatus(
       provider === 'cloud'
@@ -2988,59 +3438,165 @@ function initializeAIProviderCollapsible() {
 }
 
 // =====================================================================
-// THINKREVIEW SELF-HOSTED GATEWAY (Teams plan only — aiProvider: self-hosted)
+// PROVIDER FALLBACK (providers tried after the selected one; applied by background.js via utils/provider-fallback.js)
 // =====================================================================
 
-async function updateSelfHostedProviderVisibility(userData) {
-  const card = document.getElementById('provider-card-self-hosted');
-  const canUse = canUseEnterpriseGatewayFromStorage({
-    userSubscriptionData: userData?.userSubscriptionData,
-    subscriptionType: userData?.subscriptionType,
-  });
+function initializeProviderFallbackSettings() {
+  const toggle = document.getElementById('provider-fallback-toggle');
+  const body = document.getElementById('provider-fallback-body');
+  if (toggle && body) {
+    toggle.addEventListener('click', () => {
+      const expanded = toggle.getAttribute('aria-expanded') === 'true';
+      toggle.setAttribute('aria-expanded', String(!expanded));
+      body.style.display = expanded ? 'none' : 'block';
+    });
+  }
 
-  if (card) {
-    card.style.display = canUse ? 'block' : 'none';
+  for (let index = 1; index <= MAX_FALLBACK_PROVIDERS; index++) {
+    const select = document.getElementById(`provider-fallback-${index}`);
+    if (!select) continue;
+    select.replaceChildren(new Option('None', ''), ...FALLBACK_PROVIDERS.map((provider) => new Option(PROVIDER_LABELS[provider], provider)));
   }
 
-  if (!canUse) {
-    const stored = await chrome.storage.local.get(['aiProvider']);
-    if (stored.aiProvider === 'self-hosted') {
-      await chrome.storage.local.set({ aiProvider: 'cloud' });
-      const cloudRadio = document.getElementById('provider-cloud');
-      if (cloudRadio) cloudRadio.checked = true;
-      updateProviderCardSelection('cloud');
-      showProviderConfigPanels('cloud');
+  loadProviderFallbackSettings();
+  const saveBtn = document.getElementById('save-provider-fallback-btn');
+  if (saveBtn) saveBtn.addEventListener('click', saveProviderFallbackSettings);
+}
+
+async function loadProviderFallbackSettings() {
+  try {
+    const { providerFallback } = await chrome.storage.local.get(['providerFallback']);
+    const settings = normalizeProviderFallbackSettings(providerFallback);
+    for (let index = 1; index <= MAX_FALLBACK_PROVIDERS; index++) {
+      const select = document.getElementById(`provider-fallback-${index}`);
+      if (select) select.value = settings.chain[index - 1] || '';
     }
+    LOCAL_PROVIDERS.forEach((provider) => {
+      const checkbox = document.getElementById(`provider-fallback-allow-remote-${provider}`);
+      if (checkbox) checkbox.checked = settings.allowRemote[provider];
+    });
+  } catch (error) {
+    dbgWarn('Error loading provider fallback settings:', error);
   }
 }
 
-async function ensureTeamsPlanForGateway() {
-  const stored = await chrome.storage.local.get([
-    'userSubscriptionData',
-    'subscriptionType',
-  ]);
-  if (canUseEnterpriseGatewayFromStorage(stored)) {
-    return true;
+async function saveProviderFallbackSettings() {
+  try {
+    const chain = [];
+    for (let index = 1; index <= MAX_FALLBACK_PROVIDERS; index++) {
+      const value = document.getElementById(`provider-fallback-${index}`)?.value;
+      if (value) chain.push(value);
+    }
+    const allowRemote = {};
+    LOCAL_PROVIDERS.forEach((provider) => {
+      allowRemote[provider] = !!document.getElementById(`provider-fallback-allow-remote-${provider}`)?.checked;
+    });
+    const settings = normalizeProviderFallbackSettings({ chain, allowRemote });
+    await chrome.storage.local.set({ providerFallback: settings });
+    await loadProviderFallbackSettings();
+    showProviderPanelStatus(
+      'provider-fallback-status',
+      settings.chain.length > 0
+        ? `Fallback saved: ${settings.chain.map((provider) => PROVIDER_LABELS[provider]).join(' → ')}. Make sure each provider is set up.`
+        : 'Fallback turned off.',
+      'success'
+    );
+
+    try {
+      const { trackUserAction } = await import('./utils/analytics-service.js');
+      trackUserAction('provider_fallback_saved', {
+        context: 'popup',
+        chain: settings.chain.join(',')
+      }).catch(() => {});
+    } catch (e) { /* silent */ }
+  } catch (error) {
+    dbgWarn('Error saving provider fallback settings:', error);
+    showProviderPanelStatus('provider-fallback-status', 'Failed to save the fallback', 'error');
   }
-  showGatewayStatus('ThinkReview Self-Hosted Gateway is available on the Teams plan only', 'error');
-  return false;
 }
 
-function getGatewayOriginPattern(baseUrl) {
-  const url = new URL(baseUrl);
-  return `${url.origin}/*`;
+// =====================================================================
+// PATCH FILTER (files left out of reviews; applied by content.js via utils/patch-filter.js)
+// =====================================================================
+
+function initializePatchFilterSettings() {
+  const toggle = document.getElementById('patch-filter-toggle');
+  const body = document.getElementById('patch-filter-body');
+  if (toggle && body) {
+    toggle.addEventListener('click', () => {
+      const expanded = toggle.getAttribute('aria-expanded') === 'true';
+      toggle.setAttribute('aria-expanded', String(!expanded));
+      body.style.display = expanded ? 'none' : 'block';
+    });
+  }
+
+  loadPatchFilterSettings();
+  const saveBtn = document.getElementById('save-patch-filter-btn');
+  if (saveBtn) saveBtn.addEventListener('click', savePatchFilterSettings);
 }
 
-async function requestGatewayHostPermission(baseUrl) {
-  const originPattern = getGatewayOriginPattern(baseUrl);
-  const existing = await chrome.permissions.contains({ origins: [originPattern] });
-  if (existing) return true;
+async function loadPatchFilterSettings() {
+  try {
+    const [{ patchFilterSettings }, policy] = await Promise.all([
+      chrome.storage.local.get(['patchFilterSettings']),
+      readManagedPolicy()
+    ]);
+    // Fields set by the managed policy show its value; its excludes are listed in the policy note
+    const own = normalizePatchFilterSettings(patchFilterSettings);
+    const settings = { ...own, ...policy.patchFilter, excludeGlobs: own.excludeGlobs };
+    document.getElementById('patch-filter-include').value = settings.includeGlobs.join('\n');
+    document.getElementById('patch-filter-exclude').value = settings.excludeGlobs.join('\n');
+    document.getElementById('patch-filter-max-size').value = String(settings.maxFileSizeKb);
+    document.getElementById('patch-filter-lockfiles').checked = settings.skipLockfiles;
+    document.getElementById('patch-filter-vendored').checked = settings.skipVendored;
+    document.getElementById('patch-filter-generated').checked = settings.skipGenerated;
+    document.getElementById('patch-filter-minified').checked = settings.skipMinified;
+    lockManagedPatchFilter(policy);
+  } catch (error) {
+    dbgWarn('Error loading patch filter settings:', error);
+  }
+}
 
-  return chrome.permissions.request({ origins: [originPattern] });
+async function savePatchFilterSettings() {
+  try {
+    const settings = normalizePatchFilterSettings({
+      includeGlobs: document.getElementById('patch-filter-include').value,
+      excludeGlobs: document.getElementById('patch-filter-exclude').value,
+      maxFileSizeKb: document.getElementById('patch-filter-max-size').value,
+      skipLockfiles: document.getElementById('patch-filter-lockfiles').checked,
+      skipVendored: document.getElementById('patch-filter-vendored').checked,
+      skipGenerated: document.getElementById('patch-filter-generated').checked,
+      skipMinified: document.getElementById('patch-filter-minified').checked
+    });
+    // Keep the user's own value of the fields the managed policy locks
+    const [{ patchFilterSettings }, policy] = await Promise.all([
+      chrome.storage.local.get(['patchFilterSettings']),
+      readManagedPolicy()
+    ]);
+    const stored = normalizePatchFilterSettings(patchFilterSettings);
+    Object.keys(PATCH_FILTER_POLICY_CONTROLS).forEach((key) => {
+      if (key in policy.patchFilter) settings[key] = stored[key];
+    });
+    await chrome.storage.local.set({ patchFilterSettings: settings });
+    showPatchFilterStatus('Filter saved. It applies to the next review.', 'success');
+
+    try {
+      const { trackUserAction } = await import('./utils/analytics-service.js');
+      trackUserAction('patch_filter_saved', {
+        context: 'popup',
+        include_globs: settings.includeGlobs.length,
+        exclude_globs: settings.excludeGlobs.length,
+        max_file_size_kb: settings.maxFileSizeKb
+      }).catch(() => {});
+    } catch (e) { /* silent */ }
+  } catch (error) {
+    dbgWarn('Error saving patch filter settings:', error);
+    showPatchFilterStatus('Failed to save the filter', 'error');
+  }
 }
 
-function showGatewayStatus(message, type = 'info') {
-  const statusDiv = document.getElementById('gateway-status');
+function showPatchFilterStatus(message, type = 'info') {
+  const statusDiv = document.getElementById('patch-filter-status');
   if (!statusDiv) return;
 
   statusDiv.textContent = message;
@@ -3053,16 +3609,863 @@ function showGatewayStatus(message, type = 'info') {
   }
 }
 
-async function testGatewayConnection() {
-  if (!(await ensureTeamsPlanForGateway())) {
-    return;
+// =====================================================================
+// EXPANDED CONTEXT (full changed files sent with reviews; read by content.js via utils/expanded-context.js)
+// =====================================================================
+
+function initializeExpandedContextSettings() {
+  const toggle = document.getElementById('expanded-context-toggle');
+  const body = document.getElementById('expanded-context-body');
+  if (toggle && body) {
+    toggle.addEventListener('click', () => {
+      const expanded = toggle.getAttribute('aria-expanded') === 'true';
+      toggle.setAttribute('aria-expanded', String(!expanded));
+      body.style.display = expanded ? 'none' : 'block';
+    });
   }
-  const urlInput = document.getElementById('gateway-base-url');
-  const testButton = document.getElementById('test-gateway-btn');
-  const raw = urlInput ? urlInput.value : '';
-  const baseUrl = normalizeGatewayBaseUrl(raw);
 
-  if (!baseUrl) {
+  loadExpandedContextSettings();
+  const saveBtn = document.getElementById('save-expanded-context-btn');
+  if (saveBtn) saveBtn.addEventListener('click', saveExpandedContextSettings);
+}
+
+async function loadExpandedContextSettings() {
+  try {
+    const { expandedContextSettings } = await chrome.storage.local.get(['expandedContextSettings']);
+    const settings = normalizeExpandedContextSettings(expandedContextSettings);
+    document.getElementById('expanded-context-enabled').checked = settings.enabled;
+    document.getElementById('expanded-context-imports').checked = settings.includeImports;
+    document.getElementById('expanded-context-budget').value = String(settings.tokenBudget);
+  } catch (error) {
+    dbgWarn('Error loading expanded context settings:', error);
+  }
+}
+
+async function saveExpandedContextSettings() {
+  try {
+    const settings = normalizeExpandedContextSettings({
+      enabled: document.getElementById('expanded-context-enabled').checked,
+      includeImports: document.getElementById('expanded-context-imports').checked,
+      tokenBudget: document.getElementById('expanded-context-budget').value
+    });
+    await chrome.storage.local.set({ expandedContextSettings: settings });
+    await loadExpandedContextSettings();
+    showProviderPanelStatus('expanded-context-status', 'Context settings saved. They apply to the next review.', 'success');
+
+    try {
+      const { trackUserAction } = await import('./utils/analytics-service.js');
+      trackUserAction('expanded_context_saved', {
+        context: 'popup',
+        enabled: settings.enabled,
+        include_imports: settings.includeImports,
+        token_budget: settings.tokenBudget
+      }).catch(() => {});
+    } catch (e) { /* silent */ }
+  } catch (error) {
+    dbgWarn('Error saving expanded context settings:', error);
+    showProviderPanelStatus('expanded-context-status', 'Failed to save the context settings', 'error');
+  }
+}
+
+// =====================================================================
+// STATIC CHECKS (deterministic findings merged with the review; run by content.js via utils/static-rules.js)
+// =====================================================================
+
+const STATIC_RULE_SEVERITY_LABELS = { critical: 'Critical', high: 'High', low: 'Low' };
+
+function initializeStaticRulesSettings() {
+  const toggle = document.getElementById('static-rules-toggle');
+  const body = document.getElementById('static-rules-body');
+  if (toggle && body) {
+    toggle.addEventListener('click', () => {
+      const expanded = toggle.getAttribute('aria-expanded') === 'true';
+      toggle.setAttribute('aria-expanded', String(!expanded));
+      body.style.display = expanded ? 'none' : 'block';
+    });
+  }
+
+  const list = document.getElementById('static-rules-list');
+  if (list) {
+    listStaticRules().forEach((rule) => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.dataset.staticRule = rule.id;
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(` ${rule.label} (${STATIC_RULE_SEVERITY_LABELS[rule.severity]})`));
+      list.appendChild(label);
+    });
+  }
+
+  loadStaticRulesSettings();
+  const saveBtn = document.getElementById('save-static-rules-btn');
+  if (saveBtn) saveBtn.addEventListener('click', saveStaticRulesSettings);
+}
+
+async function loadStaticRulesSettings() {
+  try {
+    const { staticRulesSettings } = await chrome.storage.local.get(['staticRulesSettings']);
+    const settings = normalizeStaticRulesSettings(staticRulesSettings);
+    document.getElementById('static-rules-enabled').checked = settings.enabled;
+    document.querySelectorAll('[data-static-rule]').forEach((input) => {
+      input.checked = !settings.disabledRules.includes(input.dataset.staticRule);
+    });
+    document.getElementById('static-rules-max-function-lines').value = String(settings.maxFunctionLines);
+    document.getElementById('static-rules-send-to-model').checked = settings.sendToModel;
+  } catch (error) {
+    dbgWarn('Error loading static checks settings:', error);
+  }
+}
+
+async function saveStaticRulesSettings() {
+  try {
+    const settings = normalizeStaticRulesSettings({
+      enabled: document.getElementById('static-rules-enabled').checked,
+      disabledRules: [...document.querySelectorAll('[data-static-rule]')]
+        .filter((input) => !input.checked)
+        .map((input) => input.dataset.staticRule),
+      maxFunctionLines: document.getElementById('static-rules-max-function-lines').value,
+      sendToModel: document.getElementById('static-rules-send-to-model').checked
+    });
+    await chrome.storage.local.set({ staticRulesSettings: settings });
+    await loadStaticRulesSettings();
+    showProviderPanelStatus('static-rules-status', 'Static checks saved. They apply to the next review.', 'success');
+
+    try {
+      const { trackUserAction } = await import('./utils/analytics-service.js');
+      trackUserAction('static_rules_saved', {
+        context: 'popup',
+        enabled: settings.enabled,
+        disabled_rules: settings.disabledRules.join(','),
+        max_function_lines: settings.maxFunctionLines,
+        send_to_model: settings.sendToModel
+      }).catch(() => {});
+    } catch (e) { /* silent */ }
+  } catch (error) {
+    dbgWarn('Error saving static checks settings:', error);
+    showProviderPanelStatus('static-rules-status', 'Failed to save the static checks', 'error');
+  }
+}
+
+// =====================================================================
+// REVIEW TAXONOMY (severities and categories of findings; see utils/review-taxonomy.js)
+// =====================================================================
+
+function initializeReviewTaxonomySettings() {
+  const toggle = document.getElementById('review-taxonomy-toggle');
+  const body = document.getElementById('review-taxonomy-body');
+  if (toggle && body) {
+    toggle.addEventListener('click', () => {
+      const expanded = toggle.getAttribute('aria-expanded') === 'true';
+      toggle.setAttribute('aria-expanded', String(!expanded));
+      body.style.display = expanded ? 'none' : 'block';
+    });
+  }
+
+  loadReviewTaxonomySettings();
+  const saveBtn = document.getElementById('save-review-taxonomy-btn');
+  if (saveBtn) saveBtn.addEventListener('click', saveReviewTaxonomySettings);
+}
+
+async function loadReviewTaxonomySettings() {
+  try {
+    const { reviewTaxonomySettings } = await chrome.storage.local.get(['reviewTaxonomySettings']);
+    const settings = normalizeReviewTaxonomy(reviewTaxonomySettings);
+    document.getElementById('review-taxonomy-severities').value = settings.severities
+      .map(({ label, level }) => `${label} = ${level}`)
+      .join('\n');
+    document.getElementById('review-taxonomy-categories').value = settings.categories.map(({ label }) => label).join('\n');
+    document.getElementById('review-taxonomy-group-by').value = settings.groupBy;
+  } catch (error) {
+    dbgWarn('Error loading review taxonomy settings:', error);
+  }
+}
+
+async function saveReviewTaxonomySettings() {
+  try {
+    const lines = (id) => document.getElementById(id).value.split('\n').map((line) => line.trim()).filter(Boolean);
+    const severityLines = lines('review-taxonomy-severities');
+    const invalid = severityLines.filter((line) => !/^[^=]*[a-z0-9][^=]*=\s*(critical|high|low)$/i.test(line));
+    if (invalid.length > 0) {
+      showProviderPanelStatus('review-taxonomy-status', `Use "Label = critical", "high" or "low": ${invalid[0]}`, 'error');
+      return;
+    }
+
+    const settings = normalizeReviewTaxonomy({
+      severities: severityLines,
+      categories: lines('review-taxonomy-categories'),
+      groupBy: document.getElementById('review-taxonomy-group-by').value
+    });
+    await chrome.storage.local.set({ reviewTaxonomySettings: settings });
+    await loadReviewTaxonomySettings();
+    showProviderPanelStatus('review-taxonomy-status', 'Taxonomy saved. It applies to the next review.', 'success');
+
+    try {
+      const { trackUserAction } = await import('./utils/analytics-service.js');
+      trackUserAction('review_taxonomy_saved', {
+        context: 'popup',
+        severities: settings.severities.length,
+        categories: settings.categories.length,
+        group_by: settings.groupBy
+      }).catch(() => {});
+    } catch (e) { /* silent */ }
+  } catch (error) {
+    dbgWarn('Error saving review taxonomy settings:', error);
+    showProviderPanelStatus('review-taxonomy-status', 'Failed to save the taxonomy', 'error');
+  }
+}
+
+// =====================================================================
+// PRIVACY GUARD (secrets redacted before sending; applied by content.js via utils/privacy-guard.js)
+// =====================================================================
+
+function initializePrivacyGuardSettings() {
+  const toggle = document.getElementById('privacy-guard-toggle');
+  const body = document.getElementById('privacy-guard-body');
+  if (toggle && body) {
+    toggle.addEventListener('click', () => {
+      const expanded = toggle.getAttribute('aria-expanded') === 'true';
+      toggle.setAttribute('aria-expanded', String(!expanded));
+      body.style.display = expanded ? 'none' : 'block';
+    });
+  }
+
+  loadPrivacyGuardSettings();
+  const saveBtn = document.getElementById('save-privacy-guard-btn');
+  if (saveBtn) saveBtn.addEventListener('click', savePrivacyGuardSettings);
+}
+
+async function loadPrivacyGuardSettings() {
+  try {
+    const { privacyGuardSettings } = await chrome.storage.local.get(['privacyGuardSettings']);
+    const settings = normalizePrivacyGuardSettings(privacyGuardSettings);
+    document.getElementById('privacy-guard-enabled').checked = settings.enabled;
+    document.querySelectorAll('[data-privacy-detector]').forEach((input) => {
+      input.checked = settings.detectors[input.dataset.privacyDetector];
+    });
+    document.getElementById('privacy-guard-patterns').value = settings.customPatterns.join('\n');
+    document.getElementById('privacy-guard-confirm').checked = settings.confirmBeforeSending;
+  } catch (error) {
+    dbgWarn('Error loading privacy guard settings:', error);
+  }
+}
+
+async function savePrivacyGuardSettings() {
+  try {
+    const detectors = {};
+    document.querySelectorAll('[data-privacy-detector]').forEach((input) => {
+      detectors[input.dataset.privacyDetector] = input.checked;
+    });
+    const settings = normalizePrivacyGuardSettings({
+      enabled: document.getElementById('privacy-guard-enabled').checked,
+      detectors,
+      customPatterns: document.getElementById('privacy-guard-patterns').value,
+      confirmBeforeSending: document.getElementById('privacy-guard-confirm').checked
+    });
+    const { errors } = compileCustomPatterns(settings.customPatterns);
+    if (errors.length > 0) {
+      showProviderPanelStatus('privacy-guard-status', `Invalid pattern ${errors[0].pattern}: ${errors[0].error}`, 'error');
+      return;
+    }
+    await chrome.storage.local.set({ privacyGuardSettings: settings });
+    await loadPrivacyGuardSettings();
+    showProviderPanelStatus('privacy-guard-status', 'Privacy settings saved. They apply to the next review.', 'success');
+
+    try {
+      const { trackUserAction } = await import('./utils/analytics-service.js');
+      trackUserAction('privacy_guard_saved', {
+        context: 'popup',
+        enabled: settings.enabled,
+        detectors: Object.keys(detectors).filter((id) => detectors[id]).join(','),
+        custom_patterns: settings.customPatterns.length,
+        confirm_before_sending: settings.confirmBeforeSending
+      }).catch(() => {});
+    } catch (e) { /* silent */ }
+  } catch (error) {
+    dbgWarn('Error saving privacy guard settings:', error);
+    showProviderPanelStatus('privacy-guard-status', 'Failed to save the privacy settings', 'error');
+  }
+}
+
+// =====================================================================
+// LOCAL REVIEW AGENTS (run after each review by components/agent-review-tabs.js via utils/local-agents.js)
+// =====================================================================
+
+function initializeLocalAgentsSettings() {
+  const toggle = document.getElementById('local-agents-toggle');
+  const body = document.getElementById('local-agents-body');
+  if (toggle && body) {
+    toggle.addEventListener('click', () => {
+      const expanded = toggle.getAttribute('aria-expanded') === 'true';
+      toggle.setAttribute('aria-expanded', String(!expanded));
+      body.style.display = expanded ? 'none' : 'block';
+    });
+  }
+
+  loadLocalAgents();
+  document.getElementById('add-local-agent-btn')?.addEventListener('click', () => openLocalAgentForm(null));
+  document.getElementById('cancel-local-agent-btn')?.addEventListener('click', closeLocalAgentForm);
+  document.getElementById('save-local-agent-btn')?.addEventListener('click', saveLocalAgent);
+}
+
+async function readLocalAgents() {
+  const stored = await chrome.storage.local.get([LOCAL_AGENTS_STORAGE_KEY]);
+  return normalizeLocalAgents(stored[LOCAL_AGENTS_STORAGE_KEY]);
+}
+
+async function writeLocalAgents(agents) {
+  await chrome.storage.local.set({ [LOCAL_AGENTS_STORAGE_KEY]: agents });
+  await loadLocalAgents();
+}
+
+async function loadLocalAgents() {
+  const list = document.getElementById('local-agents-list');
+  if (!list) return;
+  try {
+    const agents = await readLocalAgents();
+    list.replaceChildren();
+    if (agents.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'local-agents-empty';
+      empty.textContent = 'No local agents yet.';
+      list.appendChild(empty);
+    }
+    for (const agent of agents) {
+      list.appendChild(createLocalAgentItem(agent, agents));
+    }
+    const addBtn = document.getElementById('add-local-agent-btn');
+    if (addBtn) addBtn.disabled = agents.length >= MAX_LOCAL_AGENTS;
+  } catch (error) {
+    dbgWarn('Error loading local agents:', error);
+  }
+}
+
+function createLocalAgentItem(agent, agents) {
+  const item = document.createElement('div');
+  item.className = 'local-agent-item';
+
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.checked = agent.enabled;
+  enabled.title = 'Run on every review';
+  enabled.addEventListener('change', () => {
+    writeLocalAgents(agents.map((a) => (a.id === agent.id ? { ...a, enabled: enabled.checked } : a)))
+      .catch((error) => dbgWarn('Error saving local agent:', error));
+  });
+
+  const name = document.createElement('span');
+  name.className = 'local-agent-item-name';
+  name.textContent = agent.icon ? `${agent.icon} ${agent.name}` : agent.name;
+  if (agent.fileGlobs.length > 0) {
+    const scope = document.createElement('span');
+    scope.className = 'local-agent-item-scope';
+    scope.textContent = ` · ${agent.fileGlobs.join(', ')}`;
+    name.appendChild(scope);
+  }
+
+  const editBtn = document.createElement('button');
+  editBtn.type = 'button';
+  editBtn.textContent = 'Edit';
+  editBtn.addEventListener('click', () => openLocalAgentForm(agent));
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.type = 'button';
+  deleteBtn.textContent = 'Delete';
+  deleteBtn.addEventListener('click', async () => {
+    if (!(await showConfirm(`Delete the agent "${agent.name}"?`, { confirmLabel: 'Delete' }))) return;
+    try {
+      await writeLocalAgents(agents.filter((a) => a.id !== agent.id));
+      showProviderPanelStatus('local-agents-status', 'Agent deleted.', 'success');
+    } catch (error) {
+      dbgWarn('Error deleting local agent:', error);
+      showProviderPanelStatus('local-agents-status', 'Failed to delete the agent', 'error');
+    }
+  });
+
+  item.append(enabled, name, editBtn, deleteBtn);
+  return item;
+}
+
+function openLocalAgentForm(agent) {
+  const form = document.getElementById('local-agent-form');
+  if (!form) return;
+  document.getElementById('local-agent-id').value = agent?.id || '';
+  document.getElementById('local-agent-icon').value = agent?.icon || '';
+  document.getElementById('local-agent-name').value = agent?.name || '';
+  document.getElementById('local-agent-prompt').value = agent?.systemPrompt || '';
+  document.getElementById('local-agent-globs').value = (agent?.fileGlobs || []).join('\n');
+  document.getElementById('local-agent-sections').value = formatOutputSectionsText(agent?.outputSections);
+  document.getElementById('local-agent-enabled').checked = agent ? agent.enabled : true;
+  form.style.display = 'block';
+  document.getElementById('add-local-agent-btn').style.display = 'none';
+  document.getElementById('local-agent-name').focus();
+}
+
+function closeLocalAgentForm() {
+  const form = document.getElementById('local-agent-form');
+  if (form) form.style.display = 'none';
+  const addBtn = document.getElementById('add-local-agent-btn');
+  if (addBtn) addBtn.style.display = '';
+}
+
+async function saveLocalAgent() {
+  const id = document.getElementById('local-agent-id').value;
+  const agent = normalizeLocalAgent({
+    id,
+    icon: document.getElementById('local-agent-icon').value,
+    name: document.getElementById('local-agent-name').value,
+    systemPrompt: document.getElementById('local-agent-prompt').value,
+    fileGlobs: document.getElementById('local-agent-globs').value,
+    outputSections: document.getElementById('local-agent-sections').value,
+    enabled: document.getElementById('local-agent-enabled').checked
+  });
+  if (!agent) {
+    showProviderPanelStatus('local-agents-status', 'Enter a name and a system prompt for the agent.', 'error');
+    return;
+  }
+
+  try {
+    const agents = await readLocalAgents();
+    const index = agents.findIndex((a) => a.id === agent.id);
+    if (index === -1 && agents.length >= MAX_LOCAL_AGENTS) {
+      showProviderPanelStatus('local-agents-status', `You can add up to ${MAX_LOCAL_AGENTS} local agents.`, 'error');
+      return;
+    }
+    if (index === -1) agents.push(agent); else agents[index] = agent;
+    await writeLocalAgents(agents);
+    closeLocalAgentForm();
+    showProviderPanelStatus('local-agents-status', 'Agent saved. It runs with the next review.', 'success');
+
+    try {
+      const { trackUserAction } = await import('./utils/analytics-service.js');
+      trackUserAction('local_agent_saved', {
+        context: 'popup',
+        is_new: index === -1,
+        file_globs: agent.fileGlobs.length,
+        output_sections: agent.outputSections.length
+      }).catch(() => {});
+    } catch (e) { /* silent */ }
+  } catch (error) {
+    dbgWarn('Error saving local agent:', error);
+    showProviderPanelStatus('local-agents-status', 'Failed to save the agent', 'error');
+  }
+}
+
+// =====================================================================
+// SETTINGS BUNDLE (team import/export of the configuration; see utils/settings-bundle.js)
+// =====================================================================
+
+const MIN_BUNDLE_PASSPHRASE_LENGTH = 8;
+
+/** Bundle being imported: { parsed, secrets, plan } until applied or cancelled */
+let pendingSettingsImport = null;
+
+function initializeSettingsBundle() {
+  const toggle = document.getElementById('settings-bundle-toggle');
+  const body = document.getElementById('settings-bundle-body');
+  if (toggle && body) {
+    toggle.addEventListener('click', () => {
+      const expanded = toggle.getAttribute('aria-expanded') === 'true';
+      toggle.setAttribute('aria-expanded', String(!expanded));
+      body.style.display = expanded ? 'none' : 'block';
+    });
+  }
+
+  const includeSecrets = document.getElementById('settings-bundle-include-secrets');
+  includeSecrets?.addEventListener('change', () => {
+    document.getElementById('settings-bundle-export-passphrase-row').style.display = includeSecrets.checked ? '' : 'none';
+  });
+
+  const fileInput = document.getElementById('settings-bundle-file');
+  document.getElementById('export-settings-bundle-btn')?.addEventListener('click', exportSettingsBundle);
+  document.getElementById('import-settings-bundle-btn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = '';
+    if (file) await previewSettingsBundle(await file.text());
+  });
+  document.getElementById('unlock-settings-bundle-btn')?.addEventListener('click', unlockSettingsBundleSecrets);
+  document.getElementById('apply-settings-bundle-btn')?.addEventListener('click', applySettingsBundle);
+  document.getElementById('cancel-settings-bundle-btn')?.addEventListener('click', closeSettingsBundlePreview);
+}
+
+async function exportSettingsBundle() {
+  const includeSecrets = document.getElementById('settings-bundle-include-secrets')?.checked === true;
+  const passphrase = includeSecrets ? document.getElementById('settings-bundle-export-passphrase').value : '';
+  if (includeSecrets && passphrase.length < MIN_BUNDLE_PASSPHRASE_LENGTH) {
+    showProviderPanelStatus('settings-bundle-status', `Enter a passphrase of at least ${MIN_BUNDLE_PASSPHRASE_LENGTH} characters to include secrets.`, 'error');
+    return;
+  }
+
+  try {
+    const storage = await chrome.storage.local.get(SETTINGS_BUNDLE_STORAGE_KEYS);
+    const bundle = await buildSettingsBundle(storage, {
+      passphrase,
+      extensionVersion: chrome.runtime.getManifest().version
+    });
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `thinkreview-settings-${bundle.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    showProviderPanelStatus(
+      'settings-bundle-status',
+      includeSecrets ? 'Settings exported with encrypted secrets.' : 'Settings exported without tokens and API keys.',
+      'success'
+    );
+
+    try {
+      const { trackUserAction } = await import('./utils/analytics-service.js');
+      trackUserAction('settings_bundle_exported', {
+        context: 'popup',
+        settings_count: Object.keys(bundle.settings).length,
+        include_secrets: includeSecrets
+      }).catch(() => {});
+    } catch (e) { /* silent */ }
+  } catch (error) {
+    dbgWarn('Error exporting settings bundle:', error);
+    showProviderPanelStatus('settings-bundle-status', `Failed to export the settings: ${error.message}`, 'error');
+  }
+}
+
+async function previewSettingsBundle(text) {
+  try {
+    const parsed = parseSettingsBundle(text);
+    pendingSettingsImport = { parsed, secrets: null, plan: null };
+    await renderSettingsBundlePreview();
+  } catch (error) {
+    dbgWarn('Error reading settings bundle:', error);
+    closeSettingsBundlePreview();
+    showProviderPanelStatus('settings-bundle-status', error.message, 'error');
+  }
+}
+
+async function unlockSettingsBundleSecrets() {
+  if (!pendingSettingsImport?.parsed.secrets) return;
+  try {
+    const passphrase = document.getElementById('settings-bundle-import-passphrase').value;
+    pendingSettingsImport.secrets = await decryptSettingsBundleSecrets(pendingSettingsImport.parsed.secrets, passphrase);
+    await renderSettingsBundlePreview();
+  } catch (error) {
+    showProviderPanelStatus('settings-bundle-status', error.message, 'error');
+  }
+}
+
+/**
+ * Show what the import changes compared to the current settings (the diff preview).
+ */
+async function renderSettingsBundlePreview() {
+  const { parsed, secrets } = pendingSettingsImport;
+  const current = await chrome.storage.local.get(SETTINGS_BUNDLE_STORAGE_KEYS);
+  const plan = planSettingsImport(current, parsed, secrets);
+  pendingSettingsImport.plan = plan;
+
+  const from = [parsed.extensionVersion && `version ${parsed.extensionVersion}`, parsed.exportedAt && parsed.exportedAt.slice(0, 10)]
+    .filter(Boolean).join(', ');
+  document.getElementById('settings-bundle-preview-title').textContent = plan.changes.length > 0
+    ? `${plan.changes.length} change${plan.changes.length === 1 ? '' : 's'} to apply${from ? ` (exported from ${from})` : ''}:`
+    : 'This bundle matches your current settings.';
+  document.getElementById('settings-bundle-import-passphrase-row').style.display = parsed.secrets && !secrets ? '' : 'none';
+
+  const list = document.getElementById('settings-bundle-changes');
+  list.replaceChildren();
+  for (const change of plan.changes) {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'settings-bundle-change-label';
+    label.textContent = `${change.label}: `;
+    const before = document.createElement('span');
+    before.className = 'settings-bundle-change-before';
+    before.textContent = change.before;
+    const after = document.createElement('span');
+    after.className = 'settings-bundle-change-after';
+    after.textContent = change.after;
+    item.append(label, before, ' → ', after);
+    list.appendChild(item);
+  }
+  for (const skipped of parsed.skipped) {
+    const item = document.createElement('li');
+    item.className = 'settings-bundle-change-skipped';
+    item.textContent = `${getSettingLabel(skipped.key)}: skipped (${skipped.reason})`;
+    list.appendChild(item);
+  }
+
+  document.getElementById('apply-settings-bundle-btn').disabled = plan.changes.length === 0;
+  document.getElementById('settings-bundle-preview').style.display = 'block';
+}
+
+function closeSettingsBundlePreview() {
+  pendingSettingsImport = null;
+  const preview = document.getElementById('settings-bundle-preview');
+  if (preview) preview.style.display = 'none';
+  const passphrase = document.getElementById('settings-bundle-import-passphrase');
+  if (passphrase) passphrase.value = '';
+}
+
+async function applySettingsBundle() {
+  const plan = pendingSettingsImport?.plan;
+  if (!plan || plan.changes.length === 0) return;
+  const includedSecrets = Boolean(pendingSettingsImport.secrets);
+
+  // Firefox requires permissions.request in the same synchronous turn as the click (no await before this).
+  const origins = getSettingsBundleOrigins(plan.updates);
+  const granted = origins.length > 0 ? await chrome.permissions.request({ origins }) : true;
+
+  try {
+    await chrome.storage.local.set(plan.updates);
+    // Register the content scripts for the imported domains
+    chrome.runtime.sendMessage({ type: 'UPDATE_CONTENT_SCRIPTS' });
+    const count = plan.changes.length;
+    closeSettingsBundlePreview();
+    showProviderPanelStatus(
+      'settings-bundle-status',
+      granted
+        ? `Imported ${count} change${count === 1 ? '' : 's'}. Reloading the settings…`
+        : `Imported ${count} change${count === 1 ? '' : 's'}, but access to some domains was not granted; allow it from their settings. Reloading…`,
+      granted ? 'success' : 'info'
+    );
+
+    try {
+      const { trackUserAction } = await import('./utils/analytics-service.js');
+      trackUserAction('settings_bundle_imported', {
+        context: 'popup',
+        changes: count,
+        included_secrets: includedSecrets,
+        permissions_granted: granted
+      }).catch(() => {});
+    } catch (e) { /* silent */ }
+
+    setTimeout(() => window.location.reload(), 1500);
+  } catch (error) {
+    dbgWarn('Error importing settings bundle:', error);
+    showProviderPanelStatus('settings-bundle-status', `Failed to import the settings: ${error.message}`, 'error');
+  }
+}
+
+// =====================================================================
+// MANAGED POLICY (options set by IT through chrome.storage.managed; see utils/managed-policy.js)
+// =====================================================================
+
+/** Labels of the policy domain lists */
+const MANAGED_DOMAIN_LABELS = {
+  gitlabDomains: 'GitLab',
+  githubEnterpriseDomains: 'GitHub Enterprise Server',
+  azureDevOpsDomains: 'Azure DevOps Server',
+  bitbucketDataCenterDomains: 'Bitbucket Data Center'
+};
+
+/** Domain inputs and Add buttons, locked when the policy does not allow user domains */
+const USER_DOMAIN_CONTROL_IDS = [
+  'domain-input', 'add-domain-btn',
+  'github-enterprise-domain-input', 'add-github-enterprise-domain-btn',
+  'azure-domain-input', 'add-azure-domain-btn',
+  'bitbucket-dc-domain-input', 'add-bitbucket-dc-domain-btn'
+];
+
+/** Patch filter controls the policy locks, by field (its excludes are added to the user's instead) */
+const PATCH_FILTER_POLICY_CONTROLS = {
+  includeGlobs: 'patch-filter-include',
+  maxFileSizeKb: 'patch-filter-max-size',
+  skipLockfiles: 'patch-filter-lockfiles',
+  skipVendored: 'patch-filter-vendored',
+  skipGenerated: 'patch-filter-generated',
+  skipMinified: 'patch-filter-minified'
+};
+
+function lockPolicyControl(element) {
+  if (!element) return;
+  element.disabled = true;
+  element.title = MANAGED_POLICY_NOTICE;
+}
+
+async function initializeManagedPolicy() {
+  try {
+    const policy = await readManagedPolicy();
+    if (!policy.managed) return;
+
+    await renderManagedPolicyNotice(policy);
+    lockManagedProviders(policy);
+
+    if (!policy.allowUserDomains) {
+      USER_DOMAIN_CONTROL_IDS.forEach((id) => lockPolicyControl(document.getElementById(id)));
+    }
+
+    if (policy.gatewayBaseUrl) {
+      const gatewayUrlInput = document.getElementById('gateway-base-url');
+      if (gatewayUrlInput) {
+        gatewayUrlInput.value = policy.gatewayBaseUrl;
+        gatewayUrlInput.readOnly = true;
+        gatewayUrlInput.title = MANAGED_POLICY_NOTICE;
+      }
+      lockPolicyControl(document.getElementById('save-gateway-btn'));
+    }
+  } catch (error) {
+    dbgWarn('Error applying the managed policy to the settings:', error);
+  }
+}
+
+async function renderManagedPolicyNotice(policy) {
+  const notice = document.getElementById('managed-policy-notice');
+  const list = document.getElementById('managed-policy-list');
+  if (!notice || !list) return;
+
+  const items = [];
+  MANAGED_DOMAIN_KEYS.forEach((key) => {
+    const domains = policy.domains[key];
+    if (domains.length > 0) items.push(`${MANAGED_DOMAIN_LABELS[key]} domains: ${domains.map(formatDomainForDisplay).join(', ')}`);
+  });
+  if (!policy.allowUserDomains) items.push('Only the domains set by your organization are used; adding your own is turned off.');
+  if (policy.allowedProviders) items.push(`Allowed AI providers: ${policy.allowedProviders.map((provider) => PROVIDER_LABELS[provider]).join(', ')}`);
+  if (policy.defaultProvider) items.push(`Default AI provider: ${PROVIDER_LABELS[policy.defaultProvider]}`);
+  if (policy.gatewayBaseUrl) items.push(`Self-hosted gateway: ${policy.gatewayBaseUrl}`);
+  if (Object.keys(policy.patchFilter).length > 0) items.push('Patch filter rules (see Patch Filter)');
+  if (policy.disableAnalytics) items.push('Usage analytics are turned off.');
+
+  list.replaceChildren(...items.map((text) => {
+    const item = document.createElement('li');
+    item.textContent = text;
+    return item;
+  }));
+  notice.style.display = 'flex';
+
+  // Content scripts only run on the managed domains once access to them is granted
+  const origins = getManagedDomainOrigins(policy);
+  const granted = await Promise.all(origins.map((origin) => chrome.permissions.contains({ origins: [origin] })));
+  const missing = origins.filter((origin, index) => !granted[index]);
+  const grantButton = document.getElementById('managed-policy-grant-btn');
+  if (!grantButton || missing.length === 0) return;
+
+  grantButton.style.display = 'inline-block';
+  grantButton.addEventListener('click', async () => {
+    // Firefox requires permissions.request in the same synchronous turn as the click (no await before this).
+    const allowed = await chrome.permissions.request({ origins: missing });
+    if (!allowed) {
+      showProviderPanelStatus('managed-policy-status', 'Permission needed — allow access so ThinkReview runs on these domains.', 'error');
+      return;
+    }
+    chrome.runtime.sendMessage({ type: 'UPDATE_CONTENT_SCRIPTS' });
+    grantButton.style.display = 'none';
+    showProviderPanelStatus('managed-policy-status', 'Access granted. Reload open pull request pages to use ThinkReview.', 'success');
+  });
+}
+
+function lockManagedProviders(policy) {
+  if (!policy.allowedProviders) return;
+
+  document.querySelectorAll('input[name="ai-provider"]').forEach((radio) => {
+    if (isProviderAllowed(policy, radio.value)) return;
+    radio.disabled = true;
+    const card = document.getElementById(`provider-card-${radio.value}`);
+    if (!card || card.classList.contains('is-policy-blocked')) return;
+    card.classList.add('is-policy-blocked');
+    card.title = "Blocked by your organization's policy";
+    const note = document.createElement('p');
+    note.className = 'provider-card-policy-note';
+    note.textContent = "Blocked by your organization's policy";
+    card.querySelector('.provider-card-inner')?.appendChild(note);
+  });
+
+  document.querySelectorAll('.provider-fallback-select option').forEach((option) => {
+    if (option.value && !isProviderAllowed(policy, option.value)) {
+      option.disabled = true;
+      option.textContent = `${PROVIDER_LABELS[option.value]} (blocked by policy)`;
+    }
+  });
+}
+
+function lockManagedPatchFilter(policy) {
+  Object.entries(PATCH_FILTER_POLICY_CONTROLS).forEach(([key, id]) => {
+    if (key in policy.patchFilter) lockPolicyControl(document.getElementById(id));
+  });
+
+  const note = document.getElementById('patch-filter-policy-note');
+  if (!note || Object.keys(policy.patchFilter).length === 0) return;
+  note.textContent = policy.patchFilter.excludeGlobs
+    ? `${MANAGED_POLICY_NOTICE}: files matching ${policy.patchFilter.excludeGlobs.join(', ')} are never reviewed, and locked options are set by your IT administrator.`
+    : `${MANAGED_POLICY_NOTICE}: locked options are set by your IT administrator.`;
+  note.style.display = 'block';
+}
+
+// =====================================================================
+// THINKREVIEW SELF-HOSTED GATEWAY (Teams plan only — aiProvider: self-hosted)
+// =====================================================================
+
+async function updateSelfHostedProviderVisibility(userData) {
+  const card = document.getElementById('provider-card-self-hosted');
+  const canUse = canUseEnterpriseGatewayFromStorage({
+    userSubscriptionData: userData?.userSubscriptionData,
+    subscriptionType: userData?.subscriptionType,
+  });
+
+  if (card) {
+    card.style.display = canUse ? 'block' : 'none';
+  }
+
+  if (!canUse) {
+    const stored = await chrome.storage.local.get(['aiProvider']);
+    if (stored.aiProvider === 'self-hosted') {
+      await chrome.storage.local.set({ aiProvider: 'cloud' });
+      const cloudRadio = document.getElementById('provider-cloud');
+      if (cloudRadio) cloudRadio.checked = true;
+      updateProviderCardSelection('cloud');
+      showProviderConfigPanels('cloud');
+    }
+  }
+}
+
+async function ensureTeamsPlanForGateway() {
+  const stored = await chrome.storage.local.get([
+    'userSubscriptionData',
+    'subscriptionType',
+  ]);
+  if (canUseEnterpriseGatewayFromStorage(stored)) {
+    return true;
+  }
+  showGatewayStatus('ThinkReview Self-Hosted Gateway is available on the Teams plan only', 'error');
+  return false;
+}
+
+function getGatewayOriginPattern(baseUrl) {
+  const url = new URL(baseUrl);
+  return `${url.origin}/*`;
+}
+
+async function requestGatewayHostPermission(baseUrl) {
+  const originPattern = getGatewayOriginPattern(baseUrl);
+  const existing = await chrome.permissions.contains({ origins: [originPattern] });
+  if (existing) return true;
+
+  return chrome.permissions.request({ origins: [originPattern] });
+}
+
+function showGatewayStatus(message, type = 'info') {
+  const statusDiv = document.getElementById('gateway-status');
+  if (!statusDiv) return;
+
+  statusDiv.textContent = message;
+  statusDiv.className = `ollama-status show ${type}`;
+
+  if (type === 'success') {
+    setTimeout(() => {
+      statusDiv.classList.remove('show');
+    }, 5000);
+  }
+}
+
+async function testGatewayConnection() {
+  if (!(await ensureTeamsPlanForGateway())) {
+    return;
+  }
+  const urlInput = document.getElementById('gateway-base-url');
+  const testButton = document.getElementById('test-gateway-btn');
+  const raw = urlInput ? urlInput.value : '';
+  const baseUrl = normalizeGatewayBaseUrl(raw);
+
+  if (!baseUrl) {
     showGatewayStatus('Please enter a valid gateway URL (http or https)', 'error');
     return;
   }
@@ -3146,3 +4549,388 @@ async function saveGatewaySettings() {
     if (saveButton) saveButton.disabled = false;
   }
 }
+
+// API provider settings panels (custom OpenAI-compatible, Anthropic, Azure OpenAI)
+function showProviderPanelStatus(statusId, message, type = 'info') {
+  const statusDiv = document.getElementById(statusId);
+  if (!statusDiv) return;
+
+  statusDiv.textContent = message;
+  statusDiv.className = `ollama-status show ${type}`;
+
+  if (type === 'success') {
+    setTimeout(() => {
+      statusDiv.classList.remove('show');
+    }, 5000);
+  }
+}
+
+/**
+ * Replace the options of a model/deployment datalist.
+ * @param {string} listId
+ * @param {string[]} values
+ */
+function fillProviderDatalist(listId, values) {
+  const list = document.getElementById(listId);
+  if (!list) return;
+  list.replaceChildren();
+  values.forEach((value) => {
+    const option = document.createElement('option');
+    option.value = value;
+    list.appendChild(option);
+  });
+}
+
+// Custom OpenAI-compatible provider (vLLM, LM Studio, llama.cpp server...)
+let openAICompatibleModelList = [];
+
+function showOpenAICompatibleStatus(message, type = 'info') {
+  showProviderPanelStatus('openai-compatible-status', message, type);
+}
+
+function readOpenAICompatibleForm() {
+  return {
+    baseUrl: normalizeOpenAICompatibleBaseUrl(document.getElementById('openai-compatible-url')?.value),
+    apiKey: document.getElementById('openai-compatible-api-key')?.value.trim() || '',
+    model: document.getElementById('openai-compatible-model')?.value.trim() || ''
+  };
+}
+
+/**
+ * Fill the settings panel from storage. Models are listed only when the server's origin is
+ * already allowed (no permission prompt outside a click).
+ * @param {Object|undefined} config - openaiCompatibleConfig from storage
+ * @param {boolean} isSelected - Whether the provider is the selected one
+ */
+async function loadOpenAICompatibleSettings(config, isSelected) {
+  const urlInput = document.getElementById('openai-compatible-url');
+  const apiKeyInput = document.getElementById('openai-compatible-api-key');
+  const modelInput = document.getElementById('openai-compatible-model');
+  if (urlInput) urlInput.value = config?.baseUrl || '';
+  if (apiKeyInput) apiKeyInput.value = config?.apiKey || '';
+  if (modelInput) modelInput.value = config?.model || '';
+
+  const baseUrl = normalizeOpenAICompatibleBaseUrl(config?.baseUrl);
+  if (!isSelected || !baseUrl) return;
+  const hasPermission = await chrome.permissions.contains({ origins: [getOpenAICompatibleOriginPattern(baseUrl)] });
+  if (hasPermission) {
+    await fetchOpenAICompatibleModels(baseUrl, config.apiKey || '');
+  }
+}
+
+/**
+ * List the server's models into the model datalist.
+ * @param {string} baseUrl - Normalized base URL (host permission granted)
+ * @param {string} apiKey
+ * @returns {Promise<{ models: Array<Object>, error: string|null, isAuthError: boolean }>}
+ */
+async function fetchOpenAICompatibleModels(baseUrl, apiKey) {
+  const { OpenAICompatibleService } = await import(chrome.runtime.getURL('services/openai-compatible-service.js'));
+  const result = await OpenAICompatibleService.getAvailableModels(baseUrl, apiKey);
+
+  openAICompatibleModelList = result.models;
+  fillProviderDatalist('openai-compatible-model-list', result.models.map((model) => model.id));
+  const modelInput = document.getElementById('openai-compatible-model');
+  if (modelInput && !modelInput.value && result.models.length === 1) {
+    modelInput.value = result.models[0].id;
+  }
+  return result;
+}
+
+async function testOpenAICompatibleConnection() {
+  const urlInput = document.getElementById('openai-compatible-url');
+  const testButton = document.getElementById('test-openai-compatible-btn');
+  const { baseUrl, apiKey } = readOpenAICompatibleForm();
+
+  if (!baseUrl) {
+    showOpenAICompatibleStatus('Please enter a valid server URL (http or https)', 'error');
+    return;
+  }
+
+  try {
+    // Firefox: permissions.request must run before any other await (user-gesture stack).
+    const granted = await chrome.permissions.request({ origins: [getOpenAICompatibleOriginPattern(baseUrl)] });
+    if (!granted) {
+      showOpenAICompatibleStatus('Permission not granted. Allow access to your server to test the connection.', 'error');
+      return;
+    }
+
+    if (urlInput) urlInput.value = baseUrl;
+    if (testButton) testButton.disabled = true;
+    showOpenAICompatibleStatus('Testing connection...', 'info');
+
+    const { models, error, isAuthError } = await fetchOpenAICompatibleModels(baseUrl, apiKey);
+    if (error) {
+      showOpenAICompatibleStatus(
+        isAuthError ? 'The server rejected the API key' : `Connection failed: ${error}`,
+        'error'
+      );
+      return;
+    }
+    showOpenAICompatibleStatus(
+      models.length > 0
+        ? `Connected — ${models.length} model${models.length === 1 ? '' : 's'} available`
+        : 'Connected, but the server lists no models. Enter the model name manually.',
+      models.length > 0 ? 'success' : 'info'
+    );
+  } catch (error) {
+    dbgWarn('OpenAI-compatible connection test failed:', error);
+    showOpenAICompatibleStatus(`Connection failed: ${error.message}`, 'error');
+  } finally {
+    if (testButton) testButton.disabled = false;
+  }
+}
+
+async function saveOpenAICompatibleSettings() {
+  const urlInput = document.getElementById('openai-compatible-url');
+  const saveButton = document.getElementById('save-openai-compatible-btn');
+  const { baseUrl, apiKey, model } = readOpenAICompatibleForm();
+
+  if (!baseUrl) {
+    showOpenAICompatibleStatus('Please enter a valid server URL (http or https)', 'error');
+    return;
+  }
+  if (!model) {
+    showOpenAICompatibleStatus('Please select or enter a model', 'error');
+    return;
+  }
+
+  try {
+    // Firefox: permissions.request must run before any other await (user-gesture stack).
+    const granted = await chrome.permissions.request({ origins: [getOpenAICompatibleOriginPattern(baseUrl)] });
+    if (!granted) {
+      showOpenAICompatibleStatus('Permission not granted. Allow access to your server to save these settings.', 'error');
+      return;
+    }
+
+    if (urlInput) urlInput.value = baseUrl;
+    if (saveButton) saveButton.disabled = true;
+
+    const contextLength = openAICompatibleModelList.find((entry) => entry.id === model)?.context_length || null;
+    await chrome.storage.local.set({ openaiCompatibleConfig: { baseUrl, apiKey, model, contextLength } });
+    showOpenAICompatibleStatus('Custom OpenAI-compatible settings saved', 'success');
+    dbgLog('OpenAI-compatible settings saved:', { baseUrl, model, contextLength, hasApiKey: !!apiKey });
+  } catch (error) {
+    dbgWarn('Error saving OpenAI-compatible settings:', error);
+    showOpenAICompatibleStatus('Failed to save settings', 'error');
+  } finally {
+    if (saveButton) saveButton.disabled = false;
+  }
+}
+
+// Anthropic (Messages API, bring your own key)
+
+/**
+ * Fill the Anthropic panel from storage; models are listed when the API host is already allowed.
+ * @param {Object|undefined} config - anthropicConfig from storage
+ * @param {boolean} isSelected
+ */
+async function loadAnthropicSettings(config, isSelected) {
+  const apiKeyInput = document.getElementById('anthropic-api-key');
+  const modelInput = document.getElementById('anthropic-model');
+  if (apiKeyInput) apiKeyInput.value = config?.apiKey || '';
+  if (modelInput) modelInput.value = config?.model || '';
+
+  if (!isSelected || !config?.apiKey) return;
+  if (await chrome.permissions.contains({ origins: ANTHROPIC_ORIGINS })) {
+    await fetchAnthropicModels(config.apiKey);
+  }
+}
+
+async function fetchAnthropicModels(apiKey) {
+  const { AnthropicService } = await import(chrome.runtime.getURL('services/anthropic-service.js'));
+  const result = await AnthropicService.getAvailableModels(apiKey);
+  fillProviderDatalist('anthropic-model-list', result.models.map((model) => model.id));
+  return result;
+}
+
+async function testAnthropicConnection() {
+  const testButton = document.getElementById('test-anthropic-btn');
+  const apiKey = document.getElementById('anthropic-api-key')?.value.trim() || '';
+
+  if (!apiKey) {
+    showProviderPanelStatus('anthropic-status', 'Please enter your Anthropic API key', 'error');
+    return;
+  }
+
+  try {
+    // Firefox: permissions.request must run before any other await (user-gesture stack).
+    const granted = await chrome.permissions.request({ origins: ANTHROPIC_ORIGINS });
+    if (!granted) {
+      showProviderPanelStatus('anthropic-status', 'Permission not granted. Allow access to api.anthropic.com to test the connection.', 'error');
+      return;
+    }
+
+    if (testButton) testButton.disabled = true;
+    showProviderPanelStatus('anthropic-status', 'Testing connection...', 'info');
+
+    const { models, error, isAuthError } = await fetchAnthropicModels(apiKey);
+    if (error) {
+      showProviderPanelStatus('anthropic-status', isAuthError ? 'Anthropic rejected the API key' : `Connection failed: ${error}`, 'error');
+      return;
+    }
+    showProviderPanelStatus('anthropic-status', `Connected — ${models.length} models available`, 'success');
+  } catch (error) {
+    dbgWarn('Anthropic connection test failed:', error);
+    showProviderPanelStatus('anthropic-status', `Connection failed: ${error.message}`, 'error');
+  } finally {
+    if (testButton) testButton.disabled = false;
+  }
+}
+
+async function saveAnthropicSettings() {
+  const saveButton = document.getElementById('save-anthropic-btn');
+  const apiKey = document.getElementById('anthropic-api-key')?.value.trim() || '';
+  const model = document.getElementById('anthropic-model')?.value.trim() || '';
+
+  if (!apiKey) {
+    showProviderPanelStatus('anthropic-status', 'Please enter your Anthropic API key', 'error');
+    return;
+  }
+  if (!model) {
+    showProviderPanelStatus('anthropic-status', 'Please select or enter a model', 'error');
+    return;
+  }
+
+  try {
+    // Firefox: permissions.request must run before any other await (user-gesture stack).
+    const granted = await chrome.permissions.request({ origins: ANTHROPIC_ORIGINS });
+    if (!granted) {
+      showProviderPanelStatus('anthropic-status', 'Permission not granted. Allow access to api.anthropic.com to save these settings.', 'error');
+      return;
+    }
+
+    if (saveButton) saveButton.disabled = true;
+    await chrome.storage.local.set({ anthropicConfig: { apiKey, model } });
+    showProviderPanelStatus('anthropic-status', 'Anthropic settings saved', 'success');
+    dbgLog('Anthropic settings saved:', { model });
+  } catch (error) {
+    dbgWarn('Error saving Anthropic settings:', error);
+    showProviderPanelStatus('anthropic-status', 'Failed to save settings', 'error');
+  } finally {
+    if (saveButton) saveButton.disabled = false;
+  }
+}
+
+// Azure OpenAI (resource deployment, bring your own key)
+
+function loadAzureOpenAISettings(config) {
+  const endpointInput = document.getElementById('azure-openai-endpoint');
+  const apiKeyInput = document.getElementById('azure-openai-api-key');
+  const deploymentInput = document.getElementById('azure-openai-deployment');
+  const apiVersionInput = document.getElementById('azure-openai-api-version');
+  if (endpointInput) endpointInput.value = config?.endpoint || '';
+  if (apiKeyInput) apiKeyInput.value = config?.apiKey || '';
+  if (deploymentInput) deploymentInput.value = config?.deployment || '';
+  if (apiVersionInput) apiVersionInput.value = config?.apiVersion || DEFAULT_AZURE_OPENAI_API_VERSION;
+}
+
+function readAzureOpenAIForm() {
+  return {
+    endpoint: normalizeAzureOpenAIEndpoint(document.getElementById('azure-openai-endpoint')?.value),
+    apiKey: document.getElementById('azure-openai-api-key')?.value.trim() || '',
+    deployment: document.getElementById('azure-openai-deployment')?.value.trim() || '',
+    apiVersion: document.getElementById('azure-openai-api-version')?.value.trim() || DEFAULT_AZURE_OPENAI_API_VERSION
+  };
+}
+
+/**
+ * Validate the Azure OpenAI form and ask for access to the resource. Must be called first in a
+ * click handler (Firefox only allows permissions.request before any other await).
+ * @param {string} action - Wording for the permission error ("test the connection")
+ * @param {{ requireDeployment?: boolean }} [options]
+ * @returns {Promise<Object|null>} The form values, or null (status already shown)
+ */
+async function requestAzureOpenAIAccess(action, { requireDeployment = true } = {}) {
+  const form = readAzureOpenAIForm();
+  if (!form.endpoint) {
+    showProviderPanelStatus('azure-openai-status', 'Please enter a valid endpoint (https://<resource>.openai.azure.com)', 'error');
+    return null;
+  }
+  if (!form.apiKey) {
+    showProviderPanelStatus('azure-openai-status', 'Please enter your Azure OpenAI API key', 'error');
+    return null;
+  }
+  if (requireDeployment && !form.deployment) {
+    showProviderPanelStatus('azure-openai-status', 'Please select or enter a deployment', 'error');
+    return null;
+  }
+
+  const granted = await chrome.permissions.request({ origins: [getAzureOpenAIOriginPattern(form.endpoint)] });
+  if (!granted) {
+    showProviderPanelStatus('azure-openai-status', `Permission not granted. Allow access to your resource to ${action}.`, 'error');
+    return null;
+  }
+  const endpointInput = document.getElementById('azure-openai-endpoint');
+  if (endpointInput) endpointInput.value = form.endpoint;
+  return form;
+}
+
+async function refreshAzureOpenAIDeployments() {
+  try {
+    const form = await requestAzureOpenAIAccess('list deployments', { requireDeployment: false });
+    if (!form) return;
+
+    showProviderPanelStatus('azure-openai-status', 'Listing deployments...', 'info');
+    const { AzureOpenAIService } = await import(chrome.runtime.getURL('services/azure-openai-service.js'));
+    const { deployments, error, isAuthError } = await AzureOpenAIService.getAvailableDeployments(form.endpoint, form.apiKey);
+    if (error) {
+      showProviderPanelStatus(
+        'azure-openai-status',
+        isAuthError ? 'Azure OpenAI rejected the API key' : 'Could not list deployments — enter the deployment name as shown in Azure AI Foundry',
+        isAuthError ? 'error' : 'info'
+      );
+      return;
+    }
+    fillProviderDatalist('azure-openai-deployment-list', deployments.map((deployment) => deployment.id));
+    const deploymentInput = document.getElementById('azure-openai-deployment');
+    if (deploymentInput && !deploymentInput.value && deployments.length === 1) {
+      deploymentInput.value = deployments[0].id;
+    }
+    showProviderPanelStatus('azure-openai-status', `${deployments.length} deployment${deployments.length === 1 ? '' : 's'} found`, 'success');
+  } catch (error) {
+    dbgWarn('Error listing Azure OpenAI deployments:', error);
+    showProviderPanelStatus('azure-openai-status', `Could not list deployments: ${error.message}`, 'error');
+  }
+}
+
+async function testAzureOpenAIConnection() {
+  const testButton = document.getElementById('test-azure-openai-btn');
+  try {
+    const form = await requestAzureOpenAIAccess('test the connection');
+    if (!form) return;
+
+    if (testButton) testButton.disabled = true;
+    showProviderPanelStatus('azure-openai-status', 'Testing deployment...', 'info');
+    const { AzureOpenAIService } = await import(chrome.runtime.getURL('services/azure-openai-service.js'));
+    const { connected, error, model } = await AzureOpenAIService.testDeployment(form);
+    showProviderPanelStatus(
+      'azure-openai-status',
+      connected ? `Connected to ${form.deployment}${model ? ` (${model})` : ''}` : error,
+      connected ? 'success' : 'error'
+    );
+  } catch (error) {
+    dbgWarn('Azure OpenAI connection test failed:', error);
+    showProviderPanelStatus('azure-openai-status', `Connection failed: ${error.message}`, 'error');
+  } finally {
+    if (testButton) testButton.disabled = false;
+  }
+}
+
+async function saveAzureOpenAISettings() {
+  const saveButton = document.getElementById('save-azure-openai-btn');
+  try {
+    const form = await requestAzureOpenAIAccess('save these settings');
+    if (!form) return;
+
+    if (saveButton) saveButton.disabled = true;
+    await chrome.storage.local.set({ azureOpenAIConfig: form });
+    showProviderPanelStatus('azure-openai-status', 'Azure OpenAI settings saved', 'success');
+    dbgLog('Azure OpenAI settings saved:', { endpoint: form.endpoint, deployment: form.deployment, apiVersion: form.apiVersion });
+  } catch (error) {
+    dbgWarn('Error saving Azure OpenAI settings:', error);
+    showProviderPanelStatus('azure-openai-status', 'Failed to save settings', 'error');
+  } finally {
+    if (saveButton) saveButton.disabled = false;
+  }
+}
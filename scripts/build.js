@@ -139,6 +139,11 @@ function writeFirefoxManifest (buildDir) {
       manifest.optional_host_permissions = ['<all_urls>']
     }
   }
+  // Firefox reads managed storage from enterprise policies and rejects storage.managed_schema
+  if (manifest.storage) {
+    delete manifest.storage
+    console.log('🦊 Removed storage.managed_schema (Chrome/Edge only)')
+  }
   fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2))
   console.log('🦊 Wrote Firefox-compatible manifest (background.scripts, optional_host_permissions)')
 }
@@ -0,0 +1,111 @@
+// anthropic-messages.js
+// Anthropic Messages API client for the flows of services/chat-completions.js: requests are built
+// from the same Chat Completions style body ({ model, messages, temperature, max_tokens }).
+import { dbgLog } from '../utils/logger.js';
+import { readSseStream } from '../utils/stream-readers.js';
+import { withRequestTimeout, toHttpError } from '../utils/http-request.js';
+
+/**
+ * Messages API request from a Chat Completions style body: system messages become the system
+ * prompt, and consecutive messages of the same role are joined (the API requires alternating roles).
+ * @param {Object} body - { model, messages, temperature, max_tokens }
+ * @returns {Object}
+ */
+export function toAnthropicRequest({ model, messages, temperature, max_tokens: maxTokens }) {
+  const system = messages.filter((message) => message.role === 'system').map((message) => message.content).join('\n\n');
+  const turns = [];
+  messages.filter((message) => message.role !== 'system').forEach((message) => {
+    const role = message.role === 'user' ? 'user' : 'assistant';
+    const previous = turns[turns.length - 1];
+    if (previous?.role === role) {
+      previous.content = `${previous.content}\n\n${message.content}`;
+    } else {
+      turns.push({ role, content: String(message.content ?? '') });
+    }
+  });
+
+  return {
+    model,
+    max_tokens: maxTokens,
+    temperature,
+    ...(system ? { system } : {}),
+    messages: turns
+  };
+}
+
+function toUsage(usage) {
+  return usage ? { inputTokens: usage.input_tokens ?? null, outputTokens: usage.output_tokens ?? null } : null;
+}
+
+/**
+ * Send one message request; streamed (server-sent events) when the caller passes onToken.
+ * @param {Object} endpoint - { baseUrl, headers, provider }
+ * @param {Object} body - Chat Completions style body
+ * @param {Object} [stream] - { onToken, signal }
+ * @returns {Promise<{ text: string, usage: { inputTokens: number|null, outputTokens: number|null }|null }>}
+ */
+export async function requestAnthropicMessage(endpoint, body, { onToken = null, signal = null } = {}) {
+  const response = await fetch(`${endpoint.baseUrl}/messages`, {
+    method: 'POST',
+    headers: endpoint.headers,
+    body: JSON.stringify({ ...toAnthropicRequest(body), stream: !!onToken }),
+    signal: withRequestTimeout(signal)
+  });
+
+  if (!response.ok) {
+    throw await toHttpError(response);
+  }
+
+  if (!onToken) {
+    const data = await response.json();
+    const text = Array.isArray(data.content)
+      ? data.content.filter((block) => block.type === 'text').map((block) => block.text).join('')
+      : '';
+    dbgLog('Anthropic message received:', { stopReason: data.stop_reason, responseLength: text.length });
+    return { text, usage: toUsage(data.usage) };
+  }
+
+  let text = '';
+  const usage = { inputTokens: null, outputTokens: null };
+  await readSseStream(response, (data) => {
+    const event = JSON.parse(data);
+    if (event.type === 'error') {
+      const error = new Error(`API error: ${event.error?.message || 'stream interrupted'}`);
+      error.status = event.error?.type === 'authentication_error' ? 401 : undefined;
+      throw error;
+    }
+    if (event.type === 'message_start') {
+      usage.inputTokens = event.message?.usage?.input_tokens ?? null;
+    } else if (event.type === 'message_delta') {
+      usage.outputTokens = event.usage?.output_tokens ?? usage.outputTokens;
+    } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta' && event.delta.text) {
+      text += event.delta.text;
+      onToken(event.delta.text);
+    }
+  });
+  dbgLog('Anthropic streamed message received:', { responseLength: text.length });
+  return { text, usage };
+}
+
+/**
+ * List the models available to the API key (GET /models).
+ * @param {Object} endpoint
+ * @param {number} [timeoutMs]
+ * @returns {Promise<Array<Object>>} The raw model entries ({ id, display_name, ... })
+ */
+export async function listAnthropicModels(endpoint, timeoutMs = 5000) {
+  const response = await fetch(`${endpoint.baseUrl}/models?limit=100`, {
+    method: 'GET',
+    headers: endpoint.headers,
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Failed to fetch models: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  return Array.isArray(data?.data) ? data.data : [];
+}
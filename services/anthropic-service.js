@@ -0,0 +1,154 @@
+// anthropic-service.js
+// Reviews and chat with the Anthropic Messages API using the user's own API key.
+// Settings are stored under anthropicConfig: { apiKey, model }.
+import { dbgLog, dbgWarn } from '../utils/logger.js';
+import { ANTHROPIC_API_BASE_URL, ANTHROPIC_API_VERSION } from '../utils/anthropic.js';
+import {
+  reviewPatchWithChatCompletions,
+  chatWithChatCompletions
+} from './chat-completions.js';
+import { listAnthropicModels } from './anthropic-messages.js';
+
+const PROVIDER_ID = 'anthropic';
+/** Context window of the current Claude models; larger patches are reviewed in parts */
+const ANTHROPIC_CONTEXT_LENGTH = 200000;
+
+function getStoredAnthropicConfig() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['anthropicConfig'], (result) => {
+      resolve(result?.anthropicConfig || {});
+    });
+  });
+}
+
+function getAnthropicEndpoint(apiKey) {
+  return {
+    api: 'anthropic',
+    baseUrl: ANTHROPIC_API_BASE_URL,
+    headers: {
+      'x-api-key': apiKey,
+      'anthropic-version': ANTHROPIC_API_VERSION,
+      // Required for requests sent from a browser (the key is the user's own)
+      'anthropic-dangerous-direct-browser-access': 'true',
+      'Content-Type': 'application/json'
+    },
+    provider: PROVIDER_ID,
+    enforceReviewSchema: true
+  };
+}
+
+async function resolveAnthropicSettings() {
+  const config = await getStoredAnthropicConfig();
+  const apiKey = config.apiKey?.trim();
+  const model = config.model?.trim();
+
+  if (!apiKey) {
+    throw new Error('Anthropic API key is missing. Open the extension settings and save your API key first.');
+  }
+  if (!model) {
+    throw new Error('Anthropic model is missing. Open the extension settings and select a model first.');
+  }
+  return { apiKey, model };
+}
+
+function toAnthropicError(error) {
+  if (error.status === 401 || error.status === 403) {
+    return new Error('Anthropic rejected the API key. Please check the key in extension settings and save again.', { cause: error });
+  }
+  return new Error(`Anthropic error: ${error.message}`, { cause: error });
+}
+
+export class AnthropicService {
+  /**
+   * @param {string} patchContent
+   * @param {string} [language]
+   * @param {string} [mrId]
+   * @param {string} [mrUrl]
+   * @param {Object|null} [reviewRules] - Repository rules (utils/review-rules.js) added to the prompt
+   * @param {Object|null} [prContext] - Pull request details (utils/pr-context.js) added to the prompt
+   * @param {Array<Object>|null} [contextFiles] - Full file contents (utils/expanded-context.js) added to the prompt
+   * @param {Object} [stream] - { onToken, signal }: stream the review text (not for reviews in parts) / abort the request
+   */
+  static async reviewPatchCode(patchContent, language = 'English', mrId = null, mrUrl = null, reviewRules = null, prContext = null, contextFiles = null, stream = {}) {
+    dbgLog('Sending patch for code review via Anthropic');
+
+    if (!patchContent) {
+      dbgWarn('Cannot review code: Missing patch content');
+      throw new Error('Missing patch content');
+    }
+
+    const { apiKey, model } = await resolveAnthropicSettings();
+
+    try {
+      const { meta, ...result } = await reviewPatchWithChatCompletions(getAnthropicEndpoint(apiKey), {
+        patchContent, language, reviewRules, prContext, contextFiles, model, contextLength: ANTHROPIC_CONTEXT_LENGTH
+      }, stream);
+      return { ...result, anthropicMeta: meta };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      dbgWarn('Error reviewing code with Anthropic:', error);
+      throw toAnthropicError(error);
+    }
+  }
+
+  /**
+   * @param {string} patchContent
+   * @param {Array<Object>} conversationHistory
+   * @param {string} [language]
+   * @param {string} [mrId]
+   * @param {string} [mrUrl]
+   * @param {Object} [stream] - { onToken, signal }: stream the response text / abort the request
+   */
+  static async getConversationalResponse(patchContent, conversationHistory, language = 'English', mrId = null, mrUrl = null, stream = {}) {
+    dbgLog('Getting conversational response from Anthropic');
+
+    if (!patchContent || !conversationHistory || conversationHistory.length === 0) {
+      throw new Error('Missing patch content or conversation history');
+    }
+
+    const { apiKey, model } = await resolveAnthropicSettings();
+
+    try {
+      const responseContent = await chatWithChatCompletions(getAnthropicEndpoint(apiKey), {
+        patchContent, conversationHistory, language, model, contextLength: ANTHROPIC_CONTEXT_LENGTH
+      }, stream);
+      return {
+        response: responseContent || 'No response generated',
+        provider: PROVIDER_ID,
+        model
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      dbgWarn('Error getting conversational response from Anthropic:', error);
+      throw toAnthropicError(error);
+    }
+  }
+
+  /**
+   * List the models available to the API key (also serves as the connection test).
+   * @param {string} apiKey
+   * @returns {Promise<{ models: Array<{ id: string, name: string }>, error: string|null, isAuthError: boolean }>}
+   */
+  static async getAvailableModels(apiKey) {
+    const key = String(apiKey || '').trim();
+    if (!key) {
+      return { models: [], error: 'Anthropic API key is missing', isAuthError: true };
+    }
+
+    try {
+      dbgLog('Fetching available Anthropic models');
+      const models = (await listAnthropicModels(getAnthropicEndpoint(key)))
+        .filter((model) => model?.id)
+        .map((model) => ({ id: model.id, name: model.display_name || model.id }));
+      dbgLog(`Found ${models.length} Anthropic models`);
+      return { models, error: null, isAuthError: false };
+    } catch (error) {
+      dbgWarn('Error fetching Anthropic models:', error);
+      return {
+        models: [],
+        error: error.message || String(error),
+        isAuthError: error.status === 401 || error.status === 403
+      };
+    }
+  }
+}
@@ -261,7 +261,9 @@ export class AzureDevOpsAPI {
             );
           }
           
-          throw new Error(`Azure DevOps API error: ${response.status} ${response.statusText} - ${errorText}`);
+          const apiError = new Error(`Azure DevOps API error: ${response.status} ${response.statusText} - ${errorText}`);
+          apiError.status = response.status;
+          throw apiError;
         }
 
       // If the server followed a redirect to a login/error HTML page the status is 200 but the body
@@ -362,6 +364,30 @@ export class AzureDevOpsAPI {
     return data.value || [];
   }
 
+  /**
+   * Get the files changed in an iteration, optionally relative to an earlier iteration
+   * (compareTo) instead of the target branch.
+   * @param {string|number} pullRequestId - Pull request ID
+   * @param {number} iterationId - Iteration to read changes for
+   * @param {number} [compareTo] - Earlier iteration ID to diff against
+   * @returns {Promise<Object>} { changeEntries: [...] }
+   */
+  async getPullRequestIterationChanges(pullRequestId, iterationId, compareTo = null) {
+    const params = new URLSearchParams({ $top: '1000' });
+    if (compareTo != null) params.set('$compareTo', String(compareTo));
+    const endpoint = `git/repositories/${this.repositoryId}/pullRequests/${pullRequestId}/iterations/${iterationId}/changes`;
+    const response = await this.makeRequest(`${endpoint}?${params}`);
+    const data = await response.json();
+
+    dbgLog('Retrieved pull request iteration changes:', {
+      iterationId,
+      compareTo,
+      changeCount: data.changeEntries?.length || 0
+    });
+
+    return data;
+  }
+
   /**
    * Get pull request diff between source and target branches.
    * Uses documented format: diffs/commits with baseVersion, targetVersion, baseVersionType, targetVersionType (no includeFileDiff).
@@ -435,6 +461,57 @@ export class AzureDevOpsAPI {
   }
 
 
+  /**
+   * Get file content at the tip of a branch
+   * @param {string} filePath - File path from the repository root
+   * @param {string} branch - Branch name (without refs/heads/)
+   * @returns {Promise<string|null>} File content, or null when the file does not exist
+   */
+  async getBranchFileContent(filePath, branch) {
+    const endpoint = `git/repositories/${this.repositoryId}/items`;
+    const params = new URLSearchParams({
+      path: filePath,
+      'versionDescriptor.version': branch,
+      'versionDescriptor.versionType': 'branch',
+      includeContent: 'true'
+    });
+
+    try {
+      const response = await this.makeRequest(`${endpoint}?${params}`);
+      const data = await response.json();
+      return typeof data.content === 'string' ? data.content : null;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * List the entries of a repository folder at a commit
+   * @param {string} commitId - Commit ID
+   * @param {string} folderPath - Folder path ('/' for the root)
+   * @returns {Promise<Array<{ path: string, isFolder: boolean }>|null>} Entries, or null when the folder does not exist
+   */
+  async listItems(commitId, folderPath) {
+    const endpoint = `git/repositories/${this.repositoryId}/items`;
+    const params = new URLSearchParams({
+      scopePath: folderPath,
+      recursionLevel: 'OneLevel',
+      'versionDescriptor.version': commitId,
+      'versionDescriptor.versionType': 'commit'
+    });
+
+    try {
+      const response = await this.makeRequest(`${endpoint}?${params}`);
+      const data = await response.json();
+      // The folder itself is the first entry
+      return (data.value || []).filter((item) => item.path !== folderPath);
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
   /**
    * Create a unified diff for LLM/backend using jsdiff (vendor/diff.min.js).
    * Returns empty string if jsdiff is not loaded or createTwoFilesPatch throws.
@@ -565,6 +642,52 @@ export class AzureDevOpsAPI {
     return data.value || [];
   }
 
+  /**
+   * Work items linked to a pull request, with their titles.
+   * @param {string|number} pullRequestId - Pull request ID
+   * @returns {Promise<Array<{ id: number, title: string, type: string }>>}
+   */
+  async getPullRequestWorkItems(pullRequestId) {
+    const refsResponse = await this.makeRequest(`git/repositories/${this.repositoryId}/pullRequests/${pullRequestId}/workitems`);
+    const ids = ((await refsResponse.json()).value || []).map((ref) => ref.id).filter(Boolean).slice(0, 200);
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const response = await this.makeRequest(`wit/workitems?ids=${ids.join(',')}&fields=System.Title,System.WorkItemType&errorPolicy=omit`);
+    const data = await response.json();
+    dbgLog('Retrieved pull request work items:', { count: ids.length });
+
+    return (data.value || []).filter(Boolean).map((item) => ({
+      id: item.id,
+      title: item.fields?.['System.Title'] || '',
+      type: item.fields?.['System.WorkItemType'] || ''
+    }));
+  }
+
+  /**
+   * Create a comment thread on a pull request.
+   * Pass threadContext ({ filePath, rightFileStart, rightFileEnd }) to anchor the thread to a file/line.
+   * @param {string|number} pullRequestId - Pull request ID
+   * @param {Object} thread - Thread payload ({ comments, status, threadContext? })
+   * @returns {Promise<Object>} Created thread
+   */
+  async createPullRequestThread(pullRequestId, thread) {
+    const endpoint = `git/repositories/${this.repositoryId}/pullRequests/${pullRequestId}/threads`;
+    const response = await this.makeRequest(endpoint, {
+      method: 'POST',
+      body: JSON.stringify(thread)
+    });
+    const data = await response.json();
+
+    dbgLog('Created pull request thread:', {
+      threadId: data.id,
+      filePath: thread?.threadContext?.filePath || null
+    });
+
+    return data;
+  }
+
   /**
    * Get repository branches
    * @returns {Promise<Array>} List of branches
@@ -116,6 +116,71 @@ export class AzureDevOpsFetcher {
     }
   }
 
+  /**
+   * Get the latest PR iteration (one per push) and its source commit.
+   * @returns {Promise<{ id: number, headSha: string|null }|null>}
+   */
+  async getLatestIteration() {
+    if (!this.isInitialized) {
+      throw new Error('Azure DevOps fetcher not initialized');
+    }
+    const iterations = await azureDevOpsAPI.getPullRequestIterations(this.prInfo.prId);
+    if (iterations.length === 0) return null;
+    const latest = iterations.reduce((acc, current) => (current.id > acc.id ? current : acc));
+    return { id: latest.id, headSha: latest.sourceRefCommit?.commitId || null };
+  }
+
+  /**
+   * Fetch only the changes pushed between two source commits of this PR.
+   * Uses the iteration changes endpoint ($compareTo the iteration that ended at baseCommit),
+   * or a plain commit diff when that iteration is no longer listed (e.g. after a force push).
+   * @param {string} baseCommit - Head commit of the previous review
+   * @param {string} headCommit - Current head commit
+   * @returns {Promise<Object>} Formatted changes (see formatChangesAsPatch)
+   */
+  async fetchIncrementalChanges(baseCommit, headCommit) {
+    if (!this.isInitialized) {
+      throw new Error('Azure DevOps fetcher not initialized');
+    }
+
+    const iterations = await azureDevOpsAPI.getPullRequestIterations(this.prInfo.prId);
+    const latest = iterations.reduce((acc, current) => (!acc || current.id > acc.id ? current : acc), null);
+    const baseIteration = iterations.find((iteration) => iteration.sourceRefCommit?.commitId === baseCommit);
+
+    let changes;
+    if (latest && baseIteration && latest.sourceRefCommit?.commitId === headCommit) {
+      changes = await azureDevOpsAPI.getPullRequestIterationChanges(this.prInfo.prId, latest.id, baseIteration.id);
+    } else {
+      dbgLog('Base iteration not found, diffing commits directly:', { baseCommit, headCommit });
+      changes = await azureDevOpsAPI.getGitDiff(baseCommit, headCommit);
+    }
+
+    const formattedPatch = {
+      header: [
+        `Pull Request: #${this.prInfo.prId}`,
+        `Incremental changes: ${baseCommit.slice(0, 8)}..${headCommit.slice(0, 8)}`,
+        '---'
+      ].join('\n'),
+      files: [],
+      totalLines: 0,
+      metadata: { prId: this.prInfo.prId, baseCommit, headCommit }
+    };
+
+    const entries = changes.changeEntries || changes.changes || [];
+    for (const change of entries) {
+      if (change.item?.isFolder) {
+        continue;
+      }
+      const fileChange = await this.processFileChange(change, [], null, { baseCommit, targetCommit: headCommit });
+      if (fileChange) {
+        formattedPatch.files.push(fileChange);
+        formattedPatch.totalLines += fileChange.linesAdded + fileChange.linesRemoved;
+      }
+    }
+
+    return formattedPatch;
+  }
+
   /**
    * Format Azure DevOps changes into a patch-like format for AI review
    * @param {Object} prDetails - Pull request details
@@ -189,9 +254,10 @@ export class AzureDevOpsFetcher {
    * @param {Object} change - File change object
    * @param {Array} commits - List of commits
    * @param {Object} prDetails - Pull request details
+   * @param {{ baseCommit: string, targetCommit: string }} [commitRange] - Diff these commits instead of the PR merge commits
    * @returns {Promise<Object|null>} Processed file change or null if skipped
    */
-  async processFileChange(change, commits, prDetails = null) {
+  async processFileChange(change, commits, prDetails = null, commitRange = null) {
     const filePath = change.item?.path;
     if (!filePath) {
       return null;
@@ -225,7 +291,12 @@ export class AzureDevOpsFetcher {
         }
       }
       
-      // Priority 2: Fetch individual file diff using commits
+      // Priority 2: Fetch individual file diff for an explicit commit range (incremental review)
+      if (!diffContent && commitRange) {
+        diffContent = await azureDevOpsAPI.getGitFileDiff(commitRange.baseCommit, commitRange.targetCommit, filePath, change.changeType);
+      }
+
+      // Priority 3: Fetch individual file diff using commits
       if (!diffContent && commits.length > 0 && prDetails) {
         try {
           const sourceCommit = prDetails.lastMergeSourceCommit?.commitId || commits[0]?.commitId;
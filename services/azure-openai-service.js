@@ -0,0 +1,220 @@
+// azure-openai-service.js
+// Reviews and chat with an Azure OpenAI deployment using the user's own resource and key.
+// Settings are stored under azureOpenAIConfig: { endpoint, apiKey, deployment, apiVersion }.
+import { dbgLog, dbgWarn } from '../utils/logger.js';
+import { normalizeAzureOpenAIEndpoint, DEFAULT_AZURE_OPENAI_API_VERSION } from '../utils/azure-openai.js';
+import {
+  postChatCompletion,
+  reviewPatchWithChatCompletions,
+  chatWithChatCompletions
+} from './chat-completions.js';
+
+const PROVIDER_ID = 'azure-openai';
+/** Last data-plane version that lists the deployments of a resource */
+const DEPLOYMENTS_API_VERSION = '2022-12-01';
+
+function getStoredAzureOpenAIConfig() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['azureOpenAIConfig'], (result) => {
+      resolve(result?.azureOpenAIConfig || {});
+    });
+  });
+}
+
+/**
+ * Endpoint for services/chat-completions.js: requests go to the deployment, and the model name
+ * in the body is ignored by Azure.
+ * @param {{ endpoint: string, apiKey: string, deployment: string, apiVersion?: string }} settings
+ */
+function getAzureOpenAIEndpoint({ endpoint, apiKey, deployment, apiVersion }) {
+  return {
+    baseUrl: `${endpoint}/openai/deployments/${encodeURIComponent(deployment)}`,
+    query: `api-version=${encodeURIComponent(apiVersion || DEFAULT_AZURE_OPENAI_API_VERSION)}`,
+    headers: {
+      'api-key': apiKey,
+      'Content-Type': 'application/json'
+    },
+    provider: PROVIDER_ID,
+    jsonMode: true,
+    streamUsage: true,
+    enforceReviewSchema: true
+  };
+}
+
+async function resolveAzureOpenAISettings() {
+  const config = await getStoredAzureOpenAIConfig();
+  const endpoint = normalizeAzureOpenAIEndpoint(config.endpoint);
+  const apiKey = config.apiKey?.trim();
+  const deployment = config.deployment?.trim();
+
+  if (!endpoint) {
+    throw new Error('Azure OpenAI endpoint is missing or invalid. Open the extension settings and save your resource endpoint first.');
+  }
+  if (!apiKey) {
+    throw new Error('Azure OpenAI API key is missing. Open the extension settings and save your API key first.');
+  }
+  if (!deployment) {
+    throw new Error('Azure OpenAI deployment is missing. Open the extension settings and select a deployment first.');
+  }
+  return {
+    endpoint,
+    apiKey,
+    deployment,
+    apiVersion: config.apiVersion?.trim() || DEFAULT_AZURE_OPENAI_API_VERSION,
+    contextLength: Number(config.contextLength) || null
+  };
+}
+
+function toAzureOpenAIError(error) {
+  if (error.status === 401 || error.status === 403) {
+    return new Error('Azure OpenAI rejected the API key. Please check the key in extension settings and save again.', { cause: error });
+  }
+  if (error.status === 404) {
+    return new Error('Azure OpenAI deployment not found. Check the deployment name and API version in extension settings.', { cause: error });
+  }
+  return new Error(`Azure OpenAI error: ${error.message}`, { cause: error });
+}
+
+export class AzureOpenAIService {
+  /**
+   * @param {string} patchContent
+   * @param {string} [language]
+   * @param {string} [mrId]
+   * @param {string} [mrUrl]
+   * @param {Object|null} [reviewRules] - Repository rules (utils/review-rules.js) added to the prompt
+   * @param {Object|null} [prContext] - Pull request details (utils/pr-context.js) added to the prompt
+   * @param {Array<Object>|null} [contextFiles] - Full file contents (utils/expanded-context.js) added to the prompt
+   * @param {Object} [stream] - { onToken, signal }: stream the review text (not for reviews in parts) / abort the request
+   */
+  static async reviewPatchCode(patchContent, language = 'English', mrId = null, mrUrl = null, reviewRules = null, prContext = null, contextFiles = null, stream = {}) {
+    dbgLog('Sending patch for code review via Azure OpenAI');
+
+    if (!patchContent) {
+      dbgWarn('Cannot review code: Missing patch content');
+      throw new Error('Missing patch content');
+    }
+
+    const settings = await resolveAzureOpenAISettings();
+
+    try {
+      const { meta, ...result } = await reviewPatchWithChatCompletions(getAzureOpenAIEndpoint(settings), {
+        patchContent, language, reviewRules, prContext, contextFiles, model: settings.deployment, contextLength: settings.contextLength
+      }, stream);
+      return { ...result, azureOpenAIMeta: meta };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      dbgWarn('Error reviewing code with Azure OpenAI:', error);
+      throw toAzureOpenAIError(error);
+    }
+  }
+
+  /**
+   * @param {string} patchContent
+   * @param {Array<Object>} conversationHistory
+   * @param {string} [language]
+   * @param {string} [mrId]
+   * @param {string} [mrUrl]
+   * @param {Object} [stream] - { onToken, signal, repoTools }: stream the response text / abort the request /
+   *   let the model call the repository tools (utils/repo-tools.js)
+   */
+  static async getConversationalResponse(patchContent, conversationHistory, language = 'English', mrId = null, mrUrl = null, stream = {}) {
+    dbgLog('Getting conversational response from Azure OpenAI');
+
+    if (!patchContent || !conversationHistory || conversationHistory.length === 0) {
+      throw new Error('Missing patch content or conversation history');
+    }
+
+    const settings = await resolveAzureOpenAISettings();
+
+    try {
+      const responseContent = await chatWithChatCompletions(getAzureOpenAIEndpoint(settings), {
+        patchContent, conversationHistory, language, model: settings.deployment, contextLength: settings.contextLength
+      }, stream);
+      return {
+        response: responseContent || 'No response generated',
+        provider: PROVIDER_ID,
+        model: settings.deployment
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      dbgWarn('Error getting conversational response from Azure OpenAI:', error);
+      throw toAzureOpenAIError(error);
+    }
+  }
+
+  /**
+   * Send a tiny request to the deployment to check endpoint, key, deployment and API version together.
+   * @param {{ endpoint: string, apiKey: string, deployment: string, apiVersion?: string }} settings - endpoint as entered
+   * @returns {Promise<{ connected: boolean, error: string|null, isAuthError: boolean, model?: string }>}
+   */
+  static async testDeployment({ endpoint, apiKey, deployment, apiVersion }) {
+    const normalizedEndpoint = normalizeAzureOpenAIEndpoint(endpoint);
+    if (!normalizedEndpoint || !String(apiKey || '').trim() || !String(deployment || '').trim()) {
+      return { connected: false, error: 'Endpoint, API key and deployment are required', isAuthError: false };
+    }
+
+    try {
+      dbgLog('Testing Azure OpenAI deployment:', deployment);
+      const data = await postChatCompletion(getAzureOpenAIEndpoint({
+        endpoint: normalizedEndpoint,
+        apiKey: String(apiKey).trim(),
+        deployment: String(deployment).trim(),
+        apiVersion: String(apiVersion || '').trim()
+      }), {
+        messages: [{ role: 'user', content: 'Reply with OK.' }],
+        temperature: 0,
+        max_tokens: 8
+      });
+      return { connected: true, error: null, isAuthError: false, model: data.model || null };
+    } catch (error) {
+      dbgWarn('Azure OpenAI deployment test failed:', error);
+      return {
+        connected: false,
+        error: toAzureOpenAIError(error).message,
+        isAuthError: error.status === 401 || error.status === 403
+      };
+    }
+  }
+
+  /**
+   * List the deployments of the resource. Newer API versions no longer offer this; when it fails,
+   * the deployment name is entered by hand.
+   * @param {string} endpoint - Resource endpoint as entered
+   * @param {string} apiKey
+   * @returns {Promise<{ deployments: Array<{ id: string, model: string|null }>, error: string|null, isAuthError: boolean }>}
+   */
+  static async getAvailableDeployments(endpoint, apiKey) {
+    const normalizedEndpoint = normalizeAzureOpenAIEndpoint(endpoint);
+    const key = String(apiKey || '').trim();
+    if (!normalizedEndpoint || !key) {
+      return { deployments: [], error: 'Endpoint and API key are required', isAuthError: !key };
+    }
+
+    try {
+      dbgLog('Fetching Azure OpenAI deployments');
+      const response = await fetch(`${normalizedEndpoint}/openai/deployments?api-version=${DEPLOYMENTS_API_VERSION}`, {
+        method: 'GET',
+        headers: { 'api-key': key },
+        signal: AbortSignal.timeout(5000)
+      });
+      if (!response.ok) {
+        const error = new Error(`Failed to fetch deployments: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      const data = await response.json();
+      const deployments = (Array.isArray(data?.data) ? data.data : [])
+        .filter((deployment) => deployment?.id)
+        .map((deployment) => ({ id: deployment.id, model: deployment.model || null }));
+      dbgLog(`Found ${deployments.length} Azure OpenAI deployments`);
+      return { deployments, error: null, isAuthError: false };
+    } catch (error) {
+      dbgWarn('Error fetching Azure OpenAI deployments:', error);
+      return {
+        deployments: [],
+        error: error.message || String(error),
+        isAuthError: error.status === 401 || error.status === 403
+      };
+    }
+  }
+}
@@ -4,8 +4,8 @@
 //   Bitbucket Data Center → services/bitbucket-dc-api.js    (Bearer auth, /rest/api/1.0/)
 // background.js imports only this file and calls fetchPatchContent() without needing
 // to know which platform it is dealing with.
-import { fetchCloudPatchContent } from './bitbucket-cloud-api.js';
-import { fetchDataCenterPatchContent } from './bitbucket-dc-api.js';
+import { fetchCloudPatchContent, postCloudPullRequestComment, fetchCloudTargetBranchFile, fetchCloudPullRequestContext, fetchCloudSourceFiles, fetchCloudSourceDirectory } from './bitbucket-cloud-api.js';
+import { fetchDataCenterPatchContent, postDataCenterPullRequestComment, fetchDataCenterTargetBranchFile, fetchDataCenterPullRequestContext, fetchDataCenterSourceFiles, fetchDataCenterSourceDirectory } from './bitbucket-dc-api.js';
 
 /** Returns true when the URL points to a Bitbucket Data Center REST API endpoint. */
 function isDataCenterUrl(url) {
@@ -27,3 +27,86 @@ export async function fetchPatchContent(diffUrl, { token, email }) {
   }
   return fetchCloudPatchContent(diffUrl, { token, email });
 }
+
+/**
+ * Post a PR comment on Bitbucket (Cloud or Data Center), optionally anchored to a new-file line.
+ *
+ * @param {string} commentsUrl - Cloud …/pullrequests/{id}/comments or DC …/pull-requests/{id}/comments
+ * @param {{ body: string, path?: string, line?: number, startLine?: number, lineType?: 'ADDED'|'CONTEXT' }} comment
+ *   Omit path/line for a general PR comment.
+ * @param {{ token: string|null, email: string|null }} credentials
+ * @returns {Promise<{ success: true, id: number|null, url: string|null } | { success: false, error: string, bitbucketAuthRequired: boolean, serverMessage: string|null }>}
+ */
+export async function postPullRequestComment(commentsUrl, { body, path, line, startLine, lineType }, { token, email }) {
+  const isInline = !!path && typeof line === 'number';
+  if (isDataCenterUrl(commentsUrl)) {
+    const anchor = isInline ? { path, line, lineType: lineType || 'ADDED' } : undefined;
+    return postDataCenterPullRequestComment(commentsUrl, { body, anchor }, { token });
+  }
+  let inline;
+  if (isInline) {
+    inline = { path, to: line };
+    if (typeof startLine === 'number' && startLine !== line) inline.start_to = startLine;
+  }
+  return postCloudPullRequestComment(commentsUrl, { body, inline }, { token, email });
+}
+
+/**
+ * Read the first existing file of `filePaths` from the PR target branch (Cloud or Data Center).
+ *
+ * @param {string} diffUrl
+ * @param {string[]} filePaths - Candidate paths from the repository root, in order
+ * @param {{ token: string|null, email: string|null }} credentials
+ * @returns {Promise<{ success: true, file: { path: string, ref: string, content: string }|null } | { success: false, error: string, bitbucketAuthRequired: boolean, serverMessage: string|null }>}
+ */
+export async function fetchTargetBranchFile(diffUrl, filePaths, { token, email }) {
+  if (isDataCenterUrl(diffUrl)) {
+    return fetchDataCenterTargetBranchFile(diffUrl, filePaths, { token });
+  }
+  return fetchCloudTargetBranchFile(diffUrl, filePaths, { token, email });
+}
+
+/**
+ * PR details and unresolved comment threads for the review context (Cloud or Data Center).
+ *
+ * @param {string} diffUrl
+ * @param {{ token: string|null, email: string|null }} credentials
+ * @returns {Promise<{ success: true, context: Object } | { success: false, error: string, bitbucketAuthRequired: boolean, serverMessage: string|null }>}
+ */
+export async function fetchPullRequestContext(diffUrl, { token, email }) {
+  if (isDataCenterUrl(diffUrl)) {
+    return fetchDataCenterPullRequestContext(diffUrl, { token });
+  }
+  return fetchCloudPullRequestContext(diffUrl, { token, email });
+}
+
+/**
+ * Read files at the PR source commit (Cloud or Data Center): for each group of candidate paths,
+ * the first that exists.
+ *
+ * @param {string} diffUrl
+ * @param {string[][]} pathGroups - Candidate paths from the repository root
+ * @param {{ token: string|null, email: string|null }} credentials
+ * @returns {Promise<{ success: true, ref: string, files: Array<{ path: string, content: string }> } | { success: false, error: string, bitbucketAuthRequired: boolean, serverMessage: string|null }>}
+ */
+export async function fetchSourceFiles(diffUrl, pathGroups, { token, email }) {
+  if (isDataCenterUrl(diffUrl)) {
+    return fetchDataCenterSourceFiles(diffUrl, pathGroups, { token });
+  }
+  return fetchCloudSourceFiles(diffUrl, pathGroups, { token, email });
+}
+
+/**
+ * List a directory at the PR source commit (Cloud or Data Center, from the diff URL).
+ *
+ * @param {string} diffUrl
+ * @param {string} dirPath - Path from the repository root ('' for the root)
+ * @param {{ token: string|null, email: string|null }} credentials
+ * @returns {Promise<{ success: true, ref: string, entries: Array<{ path: string, isDirectory: boolean }>|null } | { success: false, error: string, bitbucketAuthRequired: boolean, serverMessage: string|null }>}
+ */
+export async function fetchSourceDirectory(diffUrl, dirPath, { token, email }) {
+  if (isDataCenterUrl(diffUrl)) {
+    return fetchDataCenterSourceDirectory(diffUrl, dirPath, { token });
+  }
+  return fetchCloudSourceDirectory(diffUrl, dirPath, { token, email });
+}
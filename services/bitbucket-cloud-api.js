@@ -3,7 +3,7 @@
 // Auth: HTTP Basic using Atlassian account email + app-password.
 // Flow: diff URL → PR API (to resolve links.diff.href) → GET diff text.
 import { dbgLog, dbgError } from '../utils/logger.js';
-import { parseBitbucketPrDiffUrl, getBitbucketPrApiUrl } from '../utils/bitbucket-api-urls.js';
+import { parseBitbucketPrDiffUrl, getBitbucketPrApiUrl, getBitbucketSourceFileApiUrl } from '../utils/bitbucket-api-urls.js';
 
 /**
  * Build Basic auth headers for Bitbucket Cloud (email + app-password).
@@ -88,3 +88,257 @@ export async function fetchCloudPatchContent(diffUrl, { token, email }) {
     return { success: false, error: msg || 'Request failed', bitbucketAuthRequired: authRequired, serverMessage: error?.serverMessage || null };
   }
 }
+
+/**
+ * Post a comment on a Bitbucket Cloud pull request.
+ * Pass `inline` ({ path, to, start_to? }) to attach the comment to a line of the new file.
+ *
+ * @param {string} commentsUrl - api.bitbucket.org …/pullrequests/{id}/comments
+ * @param {{ body: string, inline?: { path: string, to: number, start_to?: number } }} comment
+ * @param {{ token: string|null, email: string|null }} credentials
+ * @returns {Promise<{ success: true, id: number|null, url: string|null } | { success: false, error: string, status?: number, bitbucketAuthRequired: boolean, serverMessage: string|null }>}
+ */
+export async function postCloudPullRequestComment(commentsUrl, { body, inline }, { token, email }) {
+  const trimmedToken = token && String(token).trim() ? token.trim() : null;
+  const trimmedEmail = email && String(email).trim() ? String(email).trim() : null;
+  const headers = { ...buildCloudAuthHeaders(trimmedToken, trimmedEmail), 'Content-Type': 'application/json' };
+
+  try {
+    const payload = { content: { raw: body } };
+    if (inline) payload.inline = inline;
+    const response = await fetch(commentsUrl, { method: 'POST', headers, body: JSON.stringify(payload) });
+    if (!response.ok) {
+      let serverMessage = null;
+      try { serverMessage = (await response.text()).trim() || null; } catch (_) {}
+      return {
+        success: false,
+        error: `Failed to post Bitbucket comment: ${response.status} ${response.statusText}`,
+        status: response.status,
+        bitbucketAuthRequired: response.status === 401 || response.status === 403,
+        serverMessage
+      };
+    }
+    const data = await response.json();
+    dbgLog('Posted Bitbucket Cloud PR comment:', data?.id);
+    return { success: true, id: data?.id ?? null, url: data?.links?.html?.href || null };
+  } catch (error) {
+    dbgError('Error posting Bitbucket Cloud comment:', error?.message || String(error));
+    return { success: false, error: error?.message || 'Request failed', bitbucketAuthRequired: false, serverMessage: null };
+  }
+}
+
+/**
+ * Read the first existing file of `filePaths` from the PR destination branch (Bitbucket Cloud).
+ *
+ * @param {string} diffUrl - api.bitbucket.org …/pullrequests/{id}/diff
+ * @param {string[]} filePaths - Candidate paths from the repository root, in order
+ * @param {{ token: string|null, email: string|null }} credentials
+ * @returns {Promise<{ success: true, file: { path: string, ref: string, content: string }|null } | { success: false, error: string, bitbucketAuthRequired: boolean, serverMessage: string|null }>}
+ */
+export async function fetchCloudTargetBranchFile(diffUrl, filePaths, { token, email }) {
+  const trimmedToken = token && String(token).trim() ? token.trim() : null;
+  const trimmedEmail = email && String(email).trim() ? String(email).trim() : null;
+  const headers = buildCloudAuthHeaders(trimmedToken, trimmedEmail);
+
+  try {
+    const parsed = parseBitbucketPrDiffUrl(diffUrl);
+    if (!parsed) throw new Error('Not a Bitbucket Cloud pull request diff URL');
+
+    const prRes = await fetch(getBitbucketPrApiUrl(parsed.workspace, parsed.repoSlug, parsed.prId), { headers });
+    if (!prRes.ok) {
+      const err = new Error(`Failed to fetch Bitbucket PR: ${prRes.status} ${prRes.statusText}`);
+      err.bitbucketAuthRequired = prRes.status === 401 || prRes.status === 403;
+      throw err;
+    }
+    const destination = (await prRes.json())?.destination;
+    const branch = destination?.branch?.name;
+    if (!branch) throw new Error('Bitbucket PR response missing destination branch');
+    const repoFullName = destination?.repository?.full_name || `${parsed.workspace}/${parsed.repoSlug}`;
+    // The destination commit avoids encoding issues with slashes in branch names
+    const sourceRef = destination?.commit?.hash || branch;
+
+    for (const filePath of filePaths) {
+      const response = await fetch(getBitbucketSourceFileApiUrl(repoFullName, sourceRef, filePath), {
+        headers: { ...headers, 'Accept': 'text/plain,*/*' }
+      });
+      if (response.status === 404) continue;
+      if (!response.ok) {
+        const err = new Error(`Failed to fetch ${filePath} from Bitbucket: ${response.status} ${response.statusText}`);
+        err.bitbucketAuthRequired = response.status === 401 || response.status === 403;
+        throw err;
+      }
+      dbgLog('Fetched Bitbucket Cloud file from destination branch:', { filePath, branch });
+      return { success: true, file: { path: filePath, ref: branch, content: await response.text() } };
+    }
+    return { success: true, file: null };
+  } catch (error) {
+    dbgError('Error fetching Bitbucket Cloud file:', error?.message || String(error));
+    return { success: false, error: error?.message || 'Request failed', bitbucketAuthRequired: error?.bitbucketAuthRequired === true, serverMessage: null };
+  }
+}
+
+/**
+ * PR details and unresolved comment threads for the review context (Bitbucket Cloud).
+ *
+ * @param {string} diffUrl - api.bitbucket.org …/pullrequests/{id}/diff
+ * @param {{ token: string|null, email: string|null }} credentials
+ * @returns {Promise<{ success: true, context: Object } | { success: false, error: string, bitbucketAuthRequired: boolean, serverMessage: string|null }>}
+ *   context as read by utils/pr-context.js
+ */
+export async function fetchCloudPullRequestContext(diffUrl, { token, email }) {
+  const trimmedToken = token && String(token).trim() ? token.trim() : null;
+  const trimmedEmail = email && String(email).trim() ? String(email).trim() : null;
+  const headers = buildCloudAuthHeaders(trimmedToken, trimmedEmail);
+
+  try {
+    const parsed = parseBitbucketPrDiffUrl(diffUrl);
+    if (!parsed) throw new Error('Not a Bitbucket Cloud pull request diff URL');
+    const prApiUrl = getBitbucketPrApiUrl(parsed.workspace, parsed.repoSlug, parsed.prId);
+
+    const [prRes, commentsRes] = await Promise.all([
+      fetch(prApiUrl, { headers }),
+      fetch(`${prApiUrl}/comments?pagelen=100`, { headers })
+    ]);
+    if (!prRes.ok) {
+      const err = new Error(`Failed to fetch Bitbucket PR: ${prRes.status} ${prRes.statusText}`);
+      err.bitbucketAuthRequired = prRes.status === 401 || prRes.status === 403;
+      throw err;
+    }
+    const pr = await prRes.json();
+    const comments = commentsRes.ok ? ((await commentsRes.json())?.values || []) : [];
+
+    // Replies point to their parent; threads are keyed by their first comment
+    const threads = new Map();
+    comments.forEach((comment) => {
+      if (comment?.deleted) return;
+      const rootId = comment.parent?.id || comment.id;
+      if (!threads.has(rootId)) threads.set(rootId, { root: null, replies: [] });
+      const thread = threads.get(rootId);
+      if (comment.parent?.id) thread.replies.push(comment);
+      else thread.root = comment;
+    });
+    const discussions = [...threads.values()]
+      .filter(({ root }) => root && !root.resolution)
+      .map(({ root, replies }) => ({
+        path: root.inline?.path || '',
+        line: root.inline?.to || root.inline?.from || null,
+        comments: [root, ...replies].map((comment) => ({
+          author: comment.user?.display_name || '',
+          body: comment.content?.raw || ''
+        }))
+      }));
+
+    dbgLog('Fetched Bitbucket Cloud PR context:', { discussions: discussions.length });
+    return {
+      success: true,
+      context: {
+        title: pr?.title || '',
+        description: pr?.description || pr?.summary?.raw || '',
+        author: pr?.author?.display_name || '',
+        sourceBranch: pr?.source?.branch?.name || '',
+        targetBranch: pr?.destination?.branch?.name || '',
+        discussions
+      }
+    };
+  } catch (error) {
+    dbgError('Error fetching Bitbucket Cloud PR context:', error?.message || String(error));
+    return { success: false, error: error?.message || 'Request failed', bitbucketAuthRequired: error?.bitbucketAuthRequired === true, serverMessage: null };
+  }
+}
+
+/**
+ * Source commit of a pull request and the repository that holds it (the fork for PRs from forks).
+ * @param {string} diffUrl
+ * @param {Record<string, string>} headers
+ * @returns {Promise<{ ref: string, repoFullName: string }>}
+ */
+async function resolveCloudPullRequestSource(diffUrl, headers) {
+  const parsed = parseBitbucketPrDiffUrl(diffUrl);
+  if (!parsed) throw new Error('Not a Bitbucket Cloud pull request diff URL');
+
+  const prRes = await fetch(getBitbucketPrApiUrl(parsed.workspace, parsed.repoSlug, parsed.prId), { headers });
+  if (!prRes.ok) {
+    const err = new Error(`Failed to fetch Bitbucket PR: ${prRes.status} ${prRes.statusText}`);
+    err.bitbucketAuthRequired = prRes.status === 401 || prRes.status === 403;
+    throw err;
+  }
+  const source = (await prRes.json())?.source;
+  const ref = source?.commit?.hash;
+  if (!ref) throw new Error('Bitbucket PR response missing source commit');
+  return { ref, repoFullName: source?.repository?.full_name || `${parsed.workspace}/${parsed.repoSlug}` };
+}
+
+/**
+ * Read files at the PR source commit (Bitbucket Cloud): for each group of candidate paths, the first
+ * that exists.
+ *
+ * @param {string} diffUrl - api.bitbucket.org …/pullrequests/{id}/diff
+ * @param {string[][]} pathGroups - Candidate paths from the repository root
+ * @param {{ token: string|null, email: string|null }} credentials
+ * @returns {Promise<{ success: true, ref: string, files: Array<{ path: string, content: string }> } | { success: false, error: string, bitbucketAuthRequired: boolean, serverMessage: string|null }>}
+ */
+export async function fetchCloudSourceFiles(diffUrl, pathGroups, { token, email }) {
+  const trimmedToken = token && String(token).trim() ? token.trim() : null;
+  const trimmedEmail = email && String(email).trim() ? String(email).trim() : null;
+  const headers = buildCloudAuthHeaders(trimmedToken, trimmedEmail);
+
+  try {
+    const { ref, repoFullName } = await resolveCloudPullRequestSource(diffUrl, headers);
+
+    const files = [];
+    for (const group of pathGroups) {
+      for (const filePath of group) {
+        const response = await fetch(getBitbucketSourceFileApiUrl(repoFullName, ref, filePath), {
+          headers: { ...headers, 'Accept': 'text/plain,*/*' }
+        });
+        if (response.status === 404) continue;
+        if (!response.ok) {
+          throw new Error(`Failed to fetch ${filePath} from Bitbucket: ${response.status} ${response.statusText}`);
+        }
+        files.push({ path: filePath, content: await response.text() });
+        break;
+      }
+    }
+    dbgLog('Fetched Bitbucket Cloud files at the source commit:', { fileCount: files.length });
+    return { success: true, ref, files };
+  } catch (error) {
+    dbgError('Error fetching Bitbucket Cloud source files:', error?.message || String(error));
+    return { success: false, error: error?.message || 'Request failed', bitbucketAuthRequired: error?.bitbucketAuthRequired === true, serverMessage: null };
+  }
+}
+
+/**
+ * List a directory at the PR source commit (Bitbucket Cloud, first 100 entries).
+ *
+ * @param {string} diffUrl - api.bitbucket.org …/pullrequests/{id}/diff
+ * @param {string} dirPath - Path from the repository root ('' for the root)
+ * @param {{ token: string|null, email: string|null }} credentials
+ * @returns {Promise<{ success: true, ref: string, entries: Array<{ path: string, isDirectory: boolean }>|null } | { success: false, error: string, bitbucketAuthRequired: boolean, serverMessage: string|null }>}
+ *   entries is null when the directory does not exist
+ */
+export async function fetchCloudSourceDirectory(diffUrl, dirPath, { token, email }) {
+  const trimmedToken = token && String(token).trim() ? token.trim() : null;
+  const trimmedEmail = email && String(email).trim() ? String(email).trim() : null;
+  const headers = buildCloudAuthHeaders(trimmedToken, trimmedEmail);
+
+  try {
+    const { ref, repoFullName } = await resolveCloudPullRequestSource(diffUrl, headers);
+    const url = `${getBitbucketSourceFileApiUrl(repoFullName, ref, dirPath ? `${dirPath}/` : '')}?pagelen=100`;
+    const response = await fetch(url, { headers });
+    if (response.status === 404) {
+      return { success: true, ref, entries: null };
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to list ${dirPath || '/'} on Bitbucket: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    const entries = (Array.isArray(data?.values) ? data.values : []).map((entry) => ({
+      path: entry.path,
+      isDirectory: entry.type === 'commit_directory'
+    }));
+    return { success: true, ref, entries };
+  } catch (error) {
+    dbgError('Error listing Bitbucket Cloud directory:', error?.message || String(error));
+    return { success: false, error: error?.message || 'Request failed', bitbucketAuthRequired: error?.bitbucketAuthRequired === true, serverMessage: null };
+  }
+}
@@ -133,3 +133,254 @@ export async function fetchDataCenterPatchContent(diffUrl, { token }) {
     return { success: false, error: msg || 'Request failed', bitbucketAuthRequired: authRequired, serverMessage: error?.serverMessage || null };
   }
 }
+
+/**
+ * Post a comment on a Bitbucket Data Center pull request.
+ * Pass `anchor` ({ path, line, lineType }) to attach the comment to a line of the new file.
+ *
+ * @param {string} commentsUrl - {origin}/rest/api/1.0/…/pull-requests/{id}/comments
+ * @param {{ body: string, anchor?: { path: string, line: number, lineType: 'ADDED'|'CONTEXT' } }} comment
+ * @param {{ token: string|null }} credentials
+ * @returns {Promise<{ success: true, id: number|null, url: string|null } | { success: false, error: string, status?: number, bitbucketAuthRequired: boolean, serverMessage: string|null }>}
+ */
+export async function postDataCenterPullRequestComment(commentsUrl, { body, anchor }, { token }) {
+  const trimmedToken = token && String(token).trim() ? token.trim() : null;
+  const headers = { ...buildDataCenterAuthHeaders(trimmedToken), 'Content-Type': 'application/json' };
+
+  try {
+    const payload = { text: body };
+    if (anchor) {
+      payload.anchor = {
+        path: anchor.path,
+        line: anchor.line,
+        lineType: anchor.lineType,
+        fileType: 'TO',
+        diffType: 'EFFECTIVE'
+      };
+    }
+    const response = await fetch(commentsUrl, { method: 'POST', headers, body: JSON.stringify(payload) });
+    if (!response.ok) {
+      let serverMessage = null;
+      try { serverMessage = (await response.text()).trim() || null; } catch (_) {}
+      return {
+        success: false,
+        error: `Failed to post Bitbucket Data Center comment: ${response.status} ${response.statusText}`,
+        status: response.status,
+        bitbucketAuthRequired: response.status === 401 || response.status === 403,
+        serverMessage
+      };
+    }
+    const data = await response.json();
+    dbgLog('Posted Bitbucket Data Center PR comment:', data?.id);
+    return { success: true, id: data?.id ?? null, url: null };
+  } catch (error) {
+    dbgError('Error posting Bitbucket Data Center comment:', error?.message || String(error));
+    return { success: false, error: error?.message || 'Request failed', bitbucketAuthRequired: false, serverMessage: null };
+  }
+}
+
+/**
+ * Read the first existing file of `filePaths` from the PR target branch (Bitbucket Data Center).
+ *
+ * @param {string} diffUrl - {origin}/rest/api/1.0/…/pull-requests/{id}/diff
+ * @param {string[]} filePaths - Candidate paths from the repository root, in order
+ * @param {{ token: string|null }} credentials
+ * @returns {Promise<{ success: true, file: { path: string, ref: string, content: string }|null } | { success: false, error: string, bitbucketAuthRequired: boolean, serverMessage: string|null }>}
+ */
+export async function fetchDataCenterTargetBranchFile(diffUrl, filePaths, { token }) {
+  const trimmedToken = token && String(token).trim() ? token.trim() : null;
+  const headers = buildDataCenterAuthHeaders(trimmedToken);
+
+  try {
+    const prUrl = diffUrl.replace(/[?#].*$/, '').replace(/\/diff$/, '');
+    const repoUrl = prUrl.replace(/\/pull-requests\/\d+$/, '');
+    if (prUrl === repoUrl) throw new Error('Not a Bitbucket Data Center pull request diff URL');
+
+    const prRes = await fetch(prUrl, { headers });
+    if (!prRes.ok) {
+      const err = new Error(`Failed to fetch Bitbucket Data Center PR: ${prRes.status} ${prRes.statusText}`);
+      err.bitbucketAuthRequired = prRes.status === 401 || prRes.status === 403;
+      throw err;
+    }
+    const toRef = (await prRes.json())?.toRef;
+    if (!toRef?.id) throw new Error('Bitbucket Data Center PR response missing target branch');
+
+    for (const filePath of filePaths) {
+      const response = await fetch(`${repoUrl}/raw/${filePath}?${new URLSearchParams({ at: toRef.id })}`, {
+        headers: { ...headers, 'Accept': 'text/plain,*/*' }
+      });
+      if (response.status === 404) continue;
+      if (!response.ok) {
+        const err = new Error(`Failed to fetch ${filePath} from Bitbucket Data Center: ${response.status} ${response.statusText}`);
+        err.bitbucketAuthRequired = response.status === 401 || response.status === 403;
+        throw err;
+      }
+      dbgLog('Fetched Bitbucket Data Center file from target branch:', { filePath, ref: toRef.id });
+      return { success: true, file: { path: filePath, ref: toRef.displayId || toRef.id, content: await response.text() } };
+    }
+    return { success: true, file: null };
+  } catch (error) {
+    dbgError('Error fetching Bitbucket Data Center file:', error?.message || String(error));
+    return { success: false, error: error?.message || 'Request failed', bitbucketAuthRequired: error?.bitbucketAuthRequired === true, serverMessage: null };
+  }
+}
+
+/**
+ * PR details and unresolved comment threads for the review context (Bitbucket Data Center).
+ *
+ * @param {string} diffUrl - {origin}/rest/api/1.0/…/pull-requests/{id}/diff
+ * @param {{ token: string|null }} credentials
+ * @returns {Promise<{ success: true, context: Object } | { success: false, error: string, bitbucketAuthRequired: boolean, serverMessage: string|null }>}
+ *   context as read by utils/pr-context.js
+ */
+export async function fetchDataCenterPullRequestContext(diffUrl, { token }) {
+  const trimmedToken = token && String(token).trim() ? token.trim() : null;
+  const headers = buildDataCenterAuthHeaders(trimmedToken);
+
+  try {
+    const prUrl = diffUrl.replace(/[?#].*$/, '').replace(/\/diff$/, '');
+    if (!/\/pull-requests\/\d+$/.test(prUrl)) throw new Error('Not a Bitbucket Data Center pull request diff URL');
+
+    const [prRes, activitiesRes] = await Promise.all([
+      fetch(prUrl, { headers }),
+      fetch(`${prUrl}/activities?limit=100`, { headers })
+    ]);
+    if (!prRes.ok) {
+      const err = new Error(`Failed to fetch Bitbucket Data Center PR: ${prRes.status} ${prRes.statusText}`);
+      err.bitbucketAuthRequired = prRes.status === 401 || prRes.status === 403;
+      throw err;
+    }
+    const pr = await prRes.json();
+    const activities = activitiesRes.ok ? ((await activitiesRes.json())?.values || []) : [];
+
+    // Each new thread is one ADDED comment activity; its replies are nested in comment.comments
+    const flattenReplies = (comment) => (comment.comments || []).flatMap((reply) => [reply, ...flattenReplies(reply)]);
+    const discussions = activities
+      .filter((activity) => activity?.action === 'COMMENTED' && activity.commentAction === 'ADDED' && activity.comment)
+      .filter(({ comment }) => !comment.threadResolved && comment.state !== 'RESOLVED')
+      .map(({ comment, commentAnchor }) => ({
+        path: commentAnchor?.path || '',
+        line: commentAnchor?.line || null,
+        comments: [comment, ...flattenReplies(comment)].map((entry) => ({
+          author: entry.author?.displayName || entry.author?.name || '',
+          body: entry.text || ''
+        }))
+      }));
+
+    dbgLog('Fetched Bitbucket Data Center PR context:', { discussions: discussions.length });
+    return {
+      success: true,
+      context: {
+        title: pr?.title || '',
+        description: pr?.description || '',
+        author: pr?.author?.user?.displayName || '',
+        sourceBranch: pr?.fromRef?.displayId || '',
+        targetBranch: pr?.toRef?.displayId || '',
+        discussions
+      }
+    };
+  } catch (error) {
+    dbgError('Error fetching Bitbucket Data Center PR context:', error?.message || String(error));
+    return { success: false, error: error?.message || 'Request failed', bitbucketAuthRequired: error?.bitbucketAuthRequired === true, serverMessage: null };
+  }
+}
+
+/**
+ * Source commit of a pull request and the REST URL of the repository that holds it (the fork for
+ * PRs from forks).
+ * @param {string} diffUrl
+ * @param {Record<string, string>} headers
+ * @returns {Promise<{ ref: string, repoUrl: string }>}
+ */
+async function resolveDataCenterPullRequestSource(diffUrl, headers) {
+  const prUrl = diffUrl.replace(/[?#].*$/, '').replace(/\/diff$/, '');
+  const apiBase = prUrl.match(/^(.*\/rest\/api\/1\.0)\//)?.[1];
+  if (!apiBase || !/\/pull-requests\/\d+$/.test(prUrl)) throw new Error('Not a Bitbucket Data Center pull request diff URL');
+
+  const prRes = await fetch(prUrl, { headers });
+  if (!prRes.ok) {
+    const err = new Error(`Failed to fetch Bitbucket Data Center PR: ${prRes.status} ${prRes.statusText}`);
+    err.bitbucketAuthRequired = prRes.status === 401 || prRes.status === 403;
+    throw err;
+  }
+  const fromRef = (await prRes.json())?.fromRef;
+  const ref = fromRef?.latestCommit;
+  const sourceRepo = fromRef?.repository;
+  if (!ref || !sourceRepo?.slug || !sourceRepo.project?.key) {
+    throw new Error('Bitbucket Data Center PR response missing source commit');
+  }
+  return { ref, repoUrl: `${apiBase}/projects/${encodeURIComponent(sourceRepo.project.key)}/repos/${encodeURIComponent(sourceRepo.slug)}` };
+}
+
+/**
+ * Read files at the PR source commit (Bitbucket Data Center): for each group of candidate paths,
+ * the first that exists.
+ *
+ * @param {string} diffUrl - {origin}/rest/api/1.0/…/pull-requests/{id}/diff
+ * @param {string[][]} pathGroups - Candidate paths from the repository root
+ * @param {{ token: string|null }} credentials
+ * @returns {Promise<{ success: true, ref: string, files: Array<{ path: string, content: string }> } | { success: false, error: string, bitbucketAuthRequired: boolean, serverMessage: string|null }>}
+ */
+export async function fetchDataCenterSourceFiles(diffUrl, pathGroups, { token }) {
+  const trimmedToken = token && String(token).trim() ? token.trim() : null;
+  const headers = buildDataCenterAuthHeaders(trimmedToken);
+
+  try {
+    const { ref, repoUrl } = await resolveDataCenterPullRequestSource(diffUrl, headers);
+
+    const files = [];
+    for (const group of pathGroups) {
+      for (const filePath of group) {
+        const response = await fetch(`${repoUrl}/raw/${filePath}?${new URLSearchParams({ at: ref })}`, {
+          headers: { ...headers, 'Accept': 'text/plain,*/*' }
+        });
+        if (response.status === 404) continue;
+        if (!response.ok) {
+          throw new Error(`Failed to fetch ${filePath} from Bitbucket Data Center: ${response.status} ${response.statusText}`);
+        }
+        files.push({ path: filePath, content: await response.text() });
+        break;
+      }
+    }
+    dbgLog('Fetched Bitbucket Data Center files at the source commit:', { fileCount: files.length });
+    return { success: true, ref, files };
+  } catch (error) {
+    dbgError('Error fetching Bitbucket Data Center source files:', error?.message || String(error));
+    return { success: false, error: error?.message || 'Request failed', bitbucketAuthRequired: error?.bitbucketAuthRequired === true, serverMessage: null };
+  }
+}
+
+/**
+ * List a directory at the PR source commit (Bitbucket Data Center, first 500 entries).
+ *
+ * @param {string} diffUrl - {origin}/rest/api/1.0/…/pull-requests/{id}/diff
+ * @param {string} dirPath - Path from the repository root ('' for the root)
+ * @param {{ token: string|null }} credentials
+ * @returns {Promise<{ success: true, ref: string, entries: Array<{ path: string, isDirectory: boolean }>|null } | { success: false, error: string, bitbucketAuthRequired: boolean, serverMessage: string|null }>}
+ *   entries is null when the directory does not exist
+ */
+export async function fetchDataCenterSourceDirectory(diffUrl, dirPath, { token }) {
+  const trimmedToken = token && String(token).trim() ? token.trim() : null;
+  const headers = buildDataCenterAuthHeaders(trimmedToken);
+
+  try {
+    const { ref, repoUrl } = await resolveDataCenterPullRequestSource(diffUrl, headers);
+    const response = await fetch(`${repoUrl}/browse/${dirPath}?${new URLSearchParams({ at: ref, limit: '500' })}`, { headers });
+    if (response.status === 404) {
+      return { success: true, ref, entries: null };
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to list ${dirPath || '/'} on Bitbucket Data Center: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    // Child paths are relative to the listed directory
+    const entries = (Array.isArray(data?.children?.values) ? data.children.values : []).map((entry) => ({
+      path: [dirPath, entry.path?.toString].filter(Boolean).join('/'),
+      isDirectory: entry.type === 'DIRECTORY'
+    }));
+    return { success: true, ref, entries };
+  } catch (error) {
+    dbgError('Error listing Bitbucket Data Center directory:', error?.message || String(error));
+    return { success: false, error: error?.message || 'Request failed', bitbucketAuthRequired: error?.bitbucketAuthRequired === true, serverMessage: null };
+  }
+}
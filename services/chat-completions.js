@@ -0,0 +1,668 @@
+// chat-completions.js
+// Reviews and chat over an OpenAI-compatible Chat Completions API, shared by OpenRouter, Azure OpenAI
+// and the custom OpenAI-compatible provider (vLLM, LM Studio, llama.cpp server...). Anthropic uses the
+// same flows over the Messages API (services/anthropic-messages.js).
+//
+// Functions take an endpoint: { baseUrl, query?, headers, provider, api?, jsonMode?, streamUsage?, enforceReviewSchema? }
+//   baseUrl             → API root that serves /chat/completions and /models (e.g. https://openrouter.ai/api/v1)
+//   query               → query string added to every request (Azure OpenAI api-version)
+//   headers             → request headers (authorization, attribution)
+//   provider            → provider id set on normalized reviews ('openrouter', 'openai-compatible', ...)
+//   api                 → 'anthropic' for the Messages API, Chat Completions otherwise
+//   jsonMode            → ask for a JSON object (response_format) in review requests
+//   streamUsage         → ask for token usage at the end of streamed answers (stream_options)
+//   enforceReviewSchema → ask the model once to fix a review that does not match the schema
+// Errors are thrown as is (HTTP errors carry `status`); each service words them for the user.
+import { dbgLog, dbgWarn } from '../utils/logger.js';
+import { buildReviewRulesPrompt } from '../utils/review-rules.js';
+import { buildPrContextPrompt } from '../utils/pr-context.js';
+import { buildContextFilesPrompt } from '../utils/expanded-context.js';
+import { normalizeReviewTaxonomy, readReviewTaxonomy, buildTaxonomyPrompt, toSeverityLists } from '../utils/review-taxonomy.js';
+import {
+  MAX_REVIEW_CHUNKS,
+  MIN_CHUNK_CHARS,
+  splitPatchIntoChunks,
+  buildChunkNote,
+  runChunkedReview
+} from '../utils/chunked-review.js';
+import { readSseStream } from '../utils/stream-readers.js';
+import { withRequestTimeout, toHttpError } from '../utils/http-request.js';
+import { findReviewSchemaProblems, buildReviewRepairPrompt } from '../utils/review-schema.js';
+import { MAX_TOOL_ROUNDS, REPO_TOOLS_SYSTEM_PROMPT, parseToolArguments } from '../utils/repo-tools.js';
+import { requestAnthropicMessage } from './anthropic-messages.js';
+
+export const REVIEW_MAX_TOKENS_BUDGET = 4096;
+export const CONVERSATION_MAX_TOKENS_BUDGET = 2048;
+const RESERVED_RESPONSE_TOKENS = 1024;
+const REVIEW_SYSTEM_PROMPT = 'You are an expert code reviewer. Return only valid JSON that matches the requested schema.';
+/** Room kept in the prompt for the "part i of n" note of chunked reviews */
+const CHUNK_NOTE_RESERVED_CHARS = 200;
+
+function buildReviewPrompt(patchContent, language, reviewRules = null, prContext = null, chunkNote = null, contextFiles = null, taxonomy = normalizeReviewTaxonomy(null)) {
+  const rulesPrompt = buildReviewRulesPrompt(reviewRules);
+  const contextPrompt = buildPrContextPrompt(prContext);
+  const filesPrompt = buildContextFilesPrompt(contextFiles);
+  const findingsPrompt = buildTaxonomyPrompt(taxonomy);
+  const promptBeforePatch = `You are an expert code reviewer. Analyze this git patch and provide a comprehensive code review in ${language}.
+
+You MUST provide a comprehensive code review with the following sections:
+1. Summary: an explanatory high level, 1 up to 7 numbered bullet points with an extra line separator between each point - depending on the code's purpose and design, you mention and summarize every change in the patch.
+2. Suggestions: An array of strings containing specific, actionable recommendations to directly improve the provided code , be well descriptive and focus on critical issues . If none, this MUST be an empty array ([]).
+3. Security Issues: An array of strings identifying potential security vulnerabilities (e.g., injection risks, hardcoded secrets, insecure dependencies). If none, this MUST be an empty array.
+4. Suggested Follow-up Questions: An array containing exactly 3 relevant, insightful follow-up questions a developer might ask to deepen their understanding of the underlying principles related to the review feedback.
+5. Metrics: An object containing scores from 0-100 (overallScore, codeQuality, securityScore, bestPracticesScore).
+6. ${findingsPrompt.instruction}
+
+You MUST format your response as VALID JSON with this structure:
+{
+  "summary": "Brief summary of the changes",
+  "suggestions": ["Suggestion 1", "Suggestion 2", ...],
+  "securityIssues": ["Security issue 1", "Security issue 2", ...],
+  "suggestedQuestions": ["Question 1?", "Question 2?", "Question 3?"],
+  ${findingsPrompt.example},
+  "metrics": {
+    "overallScore": 85,
+    "codeQuality": 80,
+    "securityScore": 90,
+    "bestPracticesScore": 85
+  }
+}
+
+Import rules:
+- Return ONLY valid JSON, no markdown formatting, no code blocks, no explanations.
+- All metric scores should be 0-100. Provide at least 3 code suggestions. Provide exactly 3 follow-up questions.
+
+${rulesPrompt ? `${rulesPrompt}\n\n` : ''}${contextPrompt ? `${contextPrompt}\n\n` : ''}${filesPrompt ? `${filesPrompt}\n\n` : ''}${chunkNote ? `${chunkNote}\n\n` : ''}Here is the patch to review:
+
+`;
+  const promptAfterPatch = `
+
+Important: Respond ONLY with valid JSON. Do not include any explanatory text before or after the JSON.`;
+
+  return {
+    promptBeforePatch,
+    promptAfterPatch,
+    prompt: `${promptBeforePatch}${patchContent}${promptAfterPatch}`
+  };
+}
+
+function buildConversationMessages(patchContent, conversationHistory, language) {
+  const systemContext = `You are an expert code reviewer. The following code patch is being discussed:\n\nCODE PATCH (Git Diff Format):\n\`\`\`\n${patchContent}\n\`\`\`\n\nYour role is to answer questions about this code review in a helpful, concise manner using Markdown formatting.`;
+
+  const languageInstruction = language && language !== 'English'
+    ? `\n\nIMPORTANT: You MUST respond entirely in ${language}. Your entire response must be written in ${language}.`
+    : '';
+
+  const lastUserMessage = conversationHistory[conversationHistory.length - 1];
+  if (!lastUserMessage || lastUserMessage.role !== 'user') {
+    throw new Error('The last message in the history must be from the user');
+  }
+
+  return [
+    { role: 'system', content: systemContext },
+    ...conversationHistory.slice(0, -1).map((message) => ({
+      role: message.role === 'user' ? 'user' : 'assistant',
+      content: message.content
+    })),
+    {
+      role: 'user',
+      content: lastUserMessage.content + (languageInstruction ? `\n\n${languageInstruction}` : '') + '\n\nKeep your response concise and well-formatted using Markdown.'
+    }
+  ];
+}
+
+function estimatePromptTokensFromMessages(messages) {
+  const totalCharacters = Array.isArray(messages)
+    ? messages.reduce((total, message) => total + String(message?.content || '').length, 0)
+    : 0;
+
+  return Math.ceil(totalCharacters / 2);
+}
+
+function resolveMaxTokens(contextLength, promptTokens, fallbackBudget) {
+  const parsedBudget = Number(fallbackBudget);
+  const budget = Number.isFinite(parsedBudget) && parsedBudget > 0
+    ? Math.floor(parsedBudget)
+    : 1024;
+  const parsedContextLength = Number(contextLength);
+  const parsedPromptTokens = Number(promptTokens);
+
+  if (Number.isFinite(parsedContextLength) && parsedContextLength > 0) {
+    const availableTokens = Math.max(
+      1,
+      parsedContextLength - RESERVED_RESPONSE_TOKENS - (Number.isFinite(parsedPromptTokens) && parsedPromptTokens > 0 ? Math.floor(parsedPromptTokens) : 0)
+    );
+    return Math.max(1, Math.min(availableTokens, budget));
+  }
+
+  return budget;
+}
+
+function extractJsonFromText(text) {
+  const match = text.match(/\{[\s\S]*\}/);
+  if (!match) {
+    throw new Error('No JSON found in response');
+  }
+  return JSON.parse(match[0]);
+}
+
+function normalizeReview(parsedReview, model, provider, taxonomy = normalizeReviewTaxonomy(null)) {
+  const suggestions = [];
+  if (Array.isArray(parsedReview.suggestions)) {
+    parsedReview.suggestions.forEach((suggestion) => {
+      if (typeof suggestion === 'string') {
+        suggestions.push(suggestion);
+      } else if (suggestion && typeof suggestion === 'object' && suggestion.description) {
+        suggestions.push(`[${suggestion.type?.toUpperCase() || 'TIP'}] ${suggestion.description} (${suggestion.file || ''}:${suggestion.line || ''})`);
+      }
+    });
+  }
+  if (suggestions.length === 0 && Array.isArray(parsedReview.issues)) {
+    parsedReview.issues.forEach((issue) => {
+      suggestions.push(`[${issue.severity?.toUpperCase() || 'INFO'}] ${issue.description} (${issue.file}:${issue.line})`);
+    });
+  }
+
+  const securityIssues = [];
+  if (Array.isArray(parsedReview.securityIssues)) {
+    parsedReview.securityIssues.forEach((securityIssue) => securityIssues.push(String(securityIssue)));
+  }
+  if (securityIssues.length === 0 && Array.isArray(parsedReview.security)) {
+    parsedReview.security.forEach((securityItem) => {
+      securityIssues.push(`[${securityItem.severity?.toUpperCase() || 'WARNING'}] ${securityItem.description}\n**Recommendation:** ${securityItem.recommendation || 'Review and address this concern.'}`);
+    });
+  }
+
+  const bestPractices = Array.isArray(parsedReview.positives)
+    ? parsedReview.positives
+    : (Array.isArray(parsedReview.bestPractices) ? parsedReview.bestPractices : []);
+
+  return {
+    summary: parsedReview.summary || 'Code review completed',
+    prDescription: parsedReview.summary || 'Code review completed',
+    ...toSeverityLists(parsedReview.findings, taxonomy),
+    suggestions,
+    securityIssues,
+    bestPractices,
+    metrics: parsedReview.metrics || {
+      overallScore: 75,
+      codeQuality: 75,
+      securityScore: 85,
+      bestPracticesScore: 75
+    },
+    suggestedQuestions: parsedReview.suggestedQuestions || [
+      'How does this change affect existing functionality?',
+      'Are there any edge cases we should consider?',
+      'What testing strategy would you recommend?'
+    ],
+    provider,
+    model
+  };
+}
+
+/**
+ * Largest patch (in characters) that fits one review request, or null when the context length is unknown.
+ * @param {number|null} contextLength
+ * @param {string} promptBeforePatch
+ * @param {string} promptAfterPatch
+ * @returns {number|null}
+ */
+function getMaxPatchChars(contextLength, promptBeforePatch, promptAfterPatch) {
+  if (!contextLength) {
+    return null;
+  }
+  const promptTokens = estimatePromptTokensFromMessages([
+    { content: REVIEW_SYSTEM_PROMPT },
+    { content: promptBeforePatch + promptAfterPatch }
+  ]) + Math.ceil(CHUNK_NOTE_RESERVED_CHARS / 2);
+  const patchTokens = contextLength - promptTokens - REVIEW_MAX_TOKENS_BUDGET - RESERVED_RESPONSE_TOKENS;
+  return Math.max(0, patchTokens * 2);
+}
+
+function endpointUrl(endpoint, path) {
+  return `${endpoint.baseUrl}${path}${endpoint.query ? `?${endpoint.query}` : ''}`;
+}
+
+function toUsage(usage) {
+  return usage ? { inputTokens: usage.prompt_tokens ?? null, outputTokens: usage.completion_tokens ?? null } : null;
+}
+
+/**
+ * Add the token usage of one request to a running total (null parts are skipped).
+ * @param {Object|null} total
+ * @param {Object|null} usage
+ * @returns {Object|null}
+ */
+function addUsage(total, usage) {
+  if (!usage) return total;
+  return {
+    inputTokens: (total?.inputTokens || 0) + (usage.inputTokens || 0),
+    outputTokens: (total?.outputTokens || 0) + (usage.outputTokens || 0)
+  };
+}
+
+/**
+ * Send one chat completion request and return the JSON response.
+ * @param {Object} endpoint
+ * @param {Object} body
+ * @param {AbortSignal|null} [signal]
+ * @returns {Promise<Object>}
+ */
+export async function postChatCompletion(endpoint, body, signal = null) {
+  const response = await fetch(endpointUrl(endpoint, '/chat/completions'), {
+    method: 'POST',
+    headers: endpoint.headers,
+    body: JSON.stringify(body),
+    signal: withRequestTimeout(signal)
+  });
+
+  if (!response.ok) {
+    throw await toHttpError(response);
+  }
+
+  return response.json();
+}
+
+/**
+ * Stream a chat completion (server-sent events) and return the full text of the answer.
+ * @param {Object} endpoint
+ * @param {Object} body - Chat completion request (stream is forced on)
+ * @param {Object} stream - { onToken, signal }
+ * @returns {Promise<{ text: string, usage: Object|null, toolCalls: Array<Object> }>}
+ */
+async function streamChatCompletion(endpoint, body, { onToken, signal = null }) {
+  const response = await fetch(endpointUrl(endpoint, '/chat/completions'), {
+    method: 'POST',
+    headers: endpoint.headers,
+    body: JSON.stringify({
+      ...body,
+      stream: true,
+      ...(endpoint.streamUsage ? { stream_options: { include_usage: true } } : {})
+    }),
+    signal: withRequestTimeout(signal)
+  });
+
+  if (!response.ok) {
+    throw await toHttpError(response);
+  }
+
+  let text = '';
+  let usage = null;
+  // Tool calls arrive in pieces: the id and name first, then the arguments, keyed by index
+  const toolCalls = [];
+  await readSseStream(response, (data) => {
+    if (data === '[DONE]') return;
+    const chunk = JSON.parse(data);
+    // Errors after the response started arrive as an event of the stream
+    if (chunk.error) {
+      const error = new Error(`API error: ${chunk.error.message || 'stream interrupted'}`);
+      error.status = chunk.error.code;
+      throw error;
+    }
+    if (chunk.usage) {
+      usage = toUsage(chunk.usage);
+    }
+    const delta = chunk.choices?.[0]?.delta;
+    const token = delta?.content;
+    if (token) {
+      text += token;
+      onToken(token);
+    }
+    (delta?.tool_calls || []).forEach((part) => {
+      const index = part.index ?? toolCalls.length;
+      const call = toolCalls[index] || (toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.function.name += part.function.name;
+      if (part.function?.arguments) call.function.arguments += part.function.arguments;
+    });
+  });
+  dbgLog('Streamed chat completion received:', { provider: endpoint.provider, responseLength: text.length, toolCallCount: toolCalls.length });
+  return { text, usage, toolCalls: toolCalls.filter(Boolean) };
+}
+
+/**
+ * Text and token usage of one completion, streamed when the caller passes onToken.
+ * @param {Object} endpoint
+ * @param {Object} body - { model, messages, temperature, max_tokens }
+ * @param {Object} [stream] - { onToken, signal }
+ * @param {boolean} [expectJson] - Review request (JSON mode on endpoints that support it)
+ * @returns {Promise<{ text: string, usage: Object|null, toolCalls?: Array<Object> }>} toolCalls when the request offered tools
+ */
+async function requestCompletion(endpoint, body, { onToken = null, signal = null } = {}, expectJson = false) {
+  if (endpoint.api === 'anthropic') {
+    return requestAnthropicMessage(endpoint, body, { onToken, signal });
+  }
+
+  const request = {
+    ...body,
+    stream: false,
+    ...(expectJson && endpoint.jsonMode ? { response_format: { type: 'json_object' } } : {})
+  };
+  if (onToken) {
+    return streamChatCompletion(endpoint, request, { onToken, signal });
+  }
+  const data = await postChatCompletion(endpoint, request, signal);
+  dbgLog('Chat completion received:', {
+    provider: endpoint.provider,
+    hasChoices: Array.isArray(data?.choices),
+    choiceCount: data?.choices?.length || 0
+  });
+  const message = data.choices?.[0]?.message;
+  return { text: message?.content ?? '', usage: toUsage(data.usage), toolCalls: message?.tool_calls || [] };
+}
+
+/**
+ * Send one completion with max_tokens fitted to the context window.
+ * @param {Object} endpoint
+ * @param {string} model
+ * @param {Array<Object>} messages
+ * @param {number|null} contextLength
+ * @param {number} budget - max_tokens budget
+ * @param {AbortSignal|null} [signal]
+ * @param {boolean} [expectJson]
+ * @returns {Promise<{ text: string, usage: Object|null }>}
+ */
+async function completeChat(endpoint, model, messages, contextLength, budget, signal = null, expectJson = false) {
+  const maxTokens = resolveMaxTokens(contextLength, estimatePromptTokensFromMessages(messages), budget);
+  return requestCompletion(endpoint, {
+    model,
+    messages,
+    temperature: 0.2,
+    max_tokens: maxTokens
+  }, { signal }, expectJson);
+}
+
+/**
+ * Parse a JSON review. On endpoints that enforce the schema, an answer that does not parse or does
+ * not match the schema is sent back once with the problems for the model to correct.
+ * @param {Object} endpoint
+ * @param {string} reviewText - Model answer
+ * @param {Object} params - { model, messages, contextLength, signal }: the review request
+ * @returns {Promise<{ parsed: Object|null, text: string, usage: Object|null }>} parsed is null when the answer is not JSON
+ */
+async function parseReviewAnswer(endpoint, reviewText, { model, messages, contextLength, signal = null }) {
+  let parsed = null;
+  let problems;
+  try {
+    parsed = extractJsonFromText(reviewText);
+    problems = findReviewSchemaProblems(parsed);
+  } catch (parseError) {
+    problems = [`The answer is not valid JSON (${parseError.message}).`];
+  }
+  if (problems.length === 0 || !endpoint.enforceReviewSchema) {
+    return { parsed, text: reviewText, usage: null };
+  }
+
+  dbgLog('Review does not match the schema, asking for a correction:', { provider: endpoint.provider, problems });
+  const repair = await completeChat(endpoint, model, [
+    ...messages,
+    { role: 'assistant', content: reviewText },
+    { role: 'user', content: buildReviewRepairPrompt(problems) }
+  ], contextLength, REVIEW_MAX_TOKENS_BUDGET, signal, true);
+  try {
+    return { parsed: extractJsonFromText(repair.text), text: repair.text, usage: repair.usage };
+  } catch (_) {
+    // Keep the first answer: it is what the user saw while the review was streamed
+    return { parsed, text: reviewText, usage: repair.usage };
+  }
+}
+
+/**
+ * Review a patch that exceeds the model's context window part by part, then merge the part reviews
+ * with a final summarization pass. At most MAX_REVIEW_CHUNKS parts are reviewed.
+ */
+async function reviewPatchInChunks(endpoint, chunks, patchSizeChars, { model, contextLength, language, reviewRules, prContext, taxonomy, signal = null }) {
+  const reviewedChunks = chunks.slice(0, MAX_REVIEW_CHUNKS);
+  let usage = null;
+  const { review, chunkCount, failedChunkCount } = await runChunkedReview({
+    chunks: reviewedChunks,
+    language,
+    signal,
+    reviewChunk: async (chunk, index, total) => {
+      const { prompt } = buildReviewPrompt(chunk, language, reviewRules, prContext, buildChunkNote(index, total), null, taxonomy);
+      const messages = [
+        { role: 'system', content: REVIEW_SYSTEM_PROMPT },
+        { role: 'user', content: prompt }
+      ];
+      const answer = await completeChat(endpoint, model, messages, contextLength, REVIEW_MAX_TOKENS_BUDGET, signal, true);
+      usage = addUsage(usage, answer.usage);
+      const { parsed, usage: repairUsage } = await parseReviewAnswer(endpoint, answer.text, { model, messages, contextLength, signal });
+      usage = addUsage(usage, repairUsage);
+      if (!parsed) {
+        throw new Error('No JSON found in response');
+      }
+      return normalizeReview(parsed, model, endpoint.provider, taxonomy);
+    },
+    summarize: async (prompt) => {
+      const answer = await completeChat(endpoint, model, [
+        { role: 'user', content: prompt }
+      ], contextLength, CONVERSATION_MAX_TOKENS_BUDGET, signal, true);
+      usage = addUsage(usage, answer.usage);
+      return extractJsonFromText(answer.text);
+    }
+  });
+
+  const wasTruncated = chunks.length > reviewedChunks.length;
+  return {
+    status: 'success',
+    review: { ...review, provider: endpoint.provider, model },
+    provider: endpoint.provider,
+    meta: {
+      patchSizeChars,
+      patchSentChars: wasTruncated ? reviewedChunks.reduce((total, chunk) => total + chunk.length, 0) : patchSizeChars,
+      wasTruncated,
+      model,
+      chunkCount,
+      failedChunkCount,
+      usage
+    }
+  };
+}
+
+/**
+ * Review a patch. When the model's context length is known and the patch does not fit, the patch
+ * is reviewed in parts (utils/chunked-review.js).
+ * @param {Object} endpoint
+ * @param {Object} params - { patchContent, language, reviewRules, prContext, contextFiles, model, contextLength }
+ * @param {Object} [stream] - { onToken, signal }: stream the review text (not for reviews in parts) / abort the request
+ * @returns {Promise<Object>} { status, review, provider, meta, raw | rawResponse } - meta is the metadata bar info;
+ *   meta.contextFilesOmitted is set when the context files were left out to fit the patch
+ */
+export async function reviewPatchWithChatCompletions(endpoint, { patchContent, language, reviewRules = null, prContext = null, contextFiles = null, model, contextLength = null }, stream = {}) {
+  const taxonomy = await readReviewTaxonomy();
+  let { promptBeforePatch, promptAfterPatch } = buildReviewPrompt(patchContent, language, reviewRules, prContext, null, contextFiles, taxonomy);
+  let maxPatchChars = getMaxPatchChars(contextLength, promptBeforePatch, promptAfterPatch);
+
+  // The patch comes first: context files are left out when both do not fit
+  const contextFilesOmitted = Array.isArray(contextFiles) && contextFiles.length > 0
+    && maxPatchChars != null && patchContent.length > maxPatchChars;
+  if (contextFilesOmitted) {
+    ({ promptBeforePatch, promptAfterPatch } = buildReviewPrompt(patchContent, language, reviewRules, prContext, null, null, taxonomy));
+    maxPatchChars = getMaxPatchChars(contextLength, promptBeforePatch, promptAfterPatch);
+    dbgLog('Context files left out to fit the patch:', { provider: endpoint.provider, contextLength });
+  }
+
+  // Review in parts when the model's context length is known and the patch does not fit
+  if (maxPatchChars != null && patchContent.length > maxPatchChars && maxPatchChars >= MIN_CHUNK_CHARS) {
+    const chunks = splitPatchIntoChunks(patchContent, maxPatchChars);
+    dbgLog('Patch split to fit context:', { provider: endpoint.provider, contextLength, maxPatchChars, chunkCount: chunks.length });
+    const result = await reviewPatchInChunks(endpoint, chunks, patchContent.length, {
+      model, contextLength, language, reviewRules, prContext, taxonomy, signal: stream.signal
+    });
+    return contextFilesOmitted ? { ...result, meta: { ...result.meta, contextFilesOmitted } } : result;
+  }
+
+  const patchSizeChars = patchContent.length;
+  const meta = {
+    patchSizeChars,
+    patchSentChars: patchSizeChars,
+    wasTruncated: false,
+    model
+  };
+  if (contextFilesOmitted) {
+    meta.contextFilesOmitted = true;
+  }
+
+  const reviewMessages = [
+    {
+      role: 'system',
+      content: REVIEW_SYSTEM_PROMPT
+    },
+    {
+      role: 'user',
+      content: `${promptBeforePatch}${patchContent}${promptAfterPatch}`
+    }
+  ];
+  const maxTokens = resolveMaxTokens(
+    contextLength,
+    estimatePromptTokensFromMessages(reviewMessages),
+    REVIEW_MAX_TOKENS_BUDGET
+  );
+  dbgLog('max_tokens resolved for review:', {
+    provider: endpoint.provider,
+    contextLength,
+    budget: REVIEW_MAX_TOKENS_BUDGET,
+    maxTokens
+  });
+
+  const answer = await requestCompletion(endpoint, {
+    model,
+    messages: reviewMessages,
+    temperature: 0.2,
+    max_tokens: maxTokens
+  }, stream, true);
+  const { parsed: parsedReview, text: reviewText, usage: repairUsage } = await parseReviewAnswer(endpoint, answer.text, {
+    model, messages: reviewMessages, contextLength, signal: stream.signal
+  });
+  const usage = addUsage(addUsage(null, answer.usage), repairUsage);
+  if (usage) {
+    meta.usage = usage;
+  }
+
+  if (parsedReview) {
+    return {
+      status: 'success',
+      review: normalizeReview(parsedReview, model, endpoint.provider, taxonomy),
+      raw: parsedReview,
+      provider: endpoint.provider,
+      meta
+    };
+  }
+
+  dbgWarn('Failed to parse JSON review response, using fallback structure');
+  return {
+    status: 'success',
+    review: {
+      summary: reviewText.substring(0, 500) + (reviewText.length > 500 ? '...' : ''),
+      suggestions: ['Review the full text response for detailed feedback'],
+      securityIssues: [],
+      bestPractices: [],
+      metrics: {
+        overallScore: 75,
+        codeQuality: 75,
+        securityScore: 85,
+        bestPracticesScore: 75
+      },
+      suggestedQuestions: [
+        'Can you explain this change in more detail?',
+        'What are the potential risks?',
+        'How should this be tested?'
+      ],
+      provider: endpoint.provider,
+      model,
+      note: 'Model did not return structured JSON. See raw response below.'
+    },
+    rawResponse: reviewText,
+    provider: endpoint.provider,
+    meta
+  };
+}
+
+/**
+ * Answer the last user message of a conversation about a patch.
+ * With stream.repoTools the model may call the repository tools (utils/repo-tools.js) before it
+ * answers; models or endpoints without tool support answer without them.
+ * @param {Object} endpoint
+ * @param {Object} params - { patchContent, conversationHistory, language, model, contextLength }
+ * @param {Object} [stream] - { onToken, signal, repoTools }: stream the response text / abort the request /
+ *   offer the tools ({ definitions, runTool(name, args) → Promise<string> }; not on the Messages API)
+ * @returns {Promise<string>} The answer ('' when the model returned nothing)
+ */
+export async function chatWithChatCompletions(endpoint, { patchContent, conversationHistory, language, model, contextLength = null }, stream = {}) {
+  const { repoTools = null, ...requestStream } = stream;
+  const messages = buildConversationMessages(patchContent, conversationHistory, language);
+  const baseSystemContent = messages[0].content;
+  let offerTools = !!repoTools?.definitions?.length && endpoint.api !== 'anthropic';
+  if (offerTools) {
+    messages[0] = { ...messages[0], content: `${baseSystemContent}\n\n${REPO_TOOLS_SYSTEM_PROMPT}` };
+  }
+
+  for (let round = 0; ; round++) {
+    const maxTokens = resolveMaxTokens(
+      contextLength,
+      estimatePromptTokensFromMessages(messages),
+      CONVERSATION_MAX_TOKENS_BUDGET
+    );
+    dbgLog('max_tokens resolved for conversation:', {
+      provider: endpoint.provider,
+      contextLength,
+      budget: CONVERSATION_MAX_TOKENS_BUDGET,
+      maxTokens,
+      round
+    });
+
+    const plainBody = { model, messages, temperature: 0.2, max_tokens: maxTokens };
+    // After the last round the tools stay declared (the history has tool messages) but cannot be called
+    const body = offerTools
+      ? { ...plainBody, tools: repoTools.definitions, tool_choice: round < MAX_TOOL_ROUNDS ? 'auto' : 'none' }
+      : plainBody;
+
+    let result;
+    try {
+      result = await requestCompletion(endpoint, body, requestStream);
+    } catch (error) {
+      // Models without function calling reject the tools (400, or 404 on OpenRouter when no endpoint supports them)
+      if (!offerTools || round > 0 || (error.status !== 400 && error.status !== 404) || requestStream.signal?.aborted) {
+        throw error;
+      }
+      dbgWarn('Tools rejected, answering without them:', { provider: endpoint.provider, status: error.status });
+      offerTools = false;
+      messages[0] = { ...messages[0], content: baseSystemContent };
+      result = await requestCompletion(endpoint, plainBody, requestStream);
+    }
+
+    const toolCalls = offerTools && round < MAX_TOOL_ROUNDS ? (result.toolCalls || []) : [];
+    if (toolCalls.length === 0) {
+      return result.text;
+    }
+
+    messages.push({ role: 'assistant', content: result.text || null, tool_calls: toolCalls });
+    for (const call of toolCalls) {
+      const output = await repoTools.runTool(call.function?.name, parseToolArguments(call.function?.arguments));
+      messages.push({ role: 'tool', tool_call_id: call.id, content: output });
+    }
+  }
+}
+
+/**
+ * List the models of the endpoint (GET /models).
+ * @param {Object} endpoint
+ * @param {number} [timeoutMs]
+ * @returns {Promise<Array<Object>>} The raw model entries (`data` of the response)
+ */
+export async function listChatCompletionModels(endpoint, timeoutMs = 5000) {
+  const response = await fetch(endpointUrl(endpoint, '/models'), {
+    method: 'GET',
+    headers: endpoint.headers,
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Failed to fetch models: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  return Array.isArray(data?.data) ? data.data : [];
+}
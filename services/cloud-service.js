@@ -2,6 +2,10 @@ import { dbgLog, dbgWarn, dbgError } from '../utils/logger.js';
 import { getThinkReviewAuthHeaders, handleUnauthorizedResponse, AuthExpiredError } from '../utils/extension-auth.js';
 import { filterValidCreditPacks } from '../utils/credit-pack-validation.js';
 import { canUseEnterpriseGatewayFromStorage } from '../utils/enterprise-gateway.js';
+import { readManagedPolicy, resolveManagedProvider } from '../utils/managed-policy.js';
+import { buildReviewRulesPrompt } from '../utils/review-rules.js';
+import { buildPrContextPrompt } from '../utils/pr-context.js';
+import { buildContextFilesPrompt } from '../utils/expanded-context.js';
 
 // Cached once at module load; chrome.runtime.getManifest() is synchronous and
 // returns the same static value for the lifetime of the extension page.
@@ -88,14 +92,16 @@ export class CloudService {
           'subscriptionType',
         ], resolve);
       });
-      const provider = stored?.aiProvider || 'cloud';
+      // The managed policy wins over the stored settings, even before the background synced them
+      const policy = await readManagedPolicy();
+      const provider = resolveManagedProvider(policy, stored?.aiProvider);
       if (provider !== 'self-hosted') {
         return CLOUD_FUNCTIONS_BASE_URL;
       }
       if (!canUseEnterpriseGatewayFromStorage(stored)) {
         return CLOUD_FUNCTIONS_BASE_URL;
       }
-      const raw = stored?.gatewayBaseUrl;
+      const raw = policy.gatewayBaseUrl || stored?.gatewayBaseUrl;
       if (typeof raw === 'string' && raw.trim()) {
         return raw.trim().replace(/\/$/, '');
       }
@@ -287,9 +293,12 @@ export class CloudService {
    * @param {boolean} [forceRegenerate] - Optional flag to force regenerate review even if cached
    * @param {string} [platform] - Optional platform information ('gitlab' or 'azure-devops')
    * @param {string} [reviewFormat='severity'] - Optional review layout: 'severity' (default) or 'scoring'
+   * @param {Object|null} [reviewRules] - Optional repository rules (utils/review-rules.js) from .thinkreview.yml
+   * @param {Object|null} [prContext] - Optional pull request details (utils/pr-context.js)
+   * @param {Array<Object>|null} [contextFiles] - Optional full file contents (utils/expanded-context.js)
    * @returns {Promise<Object>} - Code review results from Gemini API
    */
-  static async reviewPatchCode(patchContent, language = 'English', mrId = null, mrUrl = null, forceRegenerate = false, platform = null, reviewFormat = 'severity') {
+  static async reviewPatchCode(patchContent, language = 'English', mrId = null, mrUrl = null, forceRegenerate = false, platform = null, reviewFormat = 'severity', reviewRules = null, prContext = null, contextFiles = null) {
     dbgLog('Sending patch for code review');
     
     if (!patchContent) {
@@ -372,6 +381,24 @@ export class CloudService {
       if (reviewFormat) {
         requestBody.reviewFormat = reviewFormat;
       }
+
+      // Include the repository rules as prompt text (same wording as the local providers)
+      const repositoryRules = buildReviewRulesPrompt(reviewRules);
+      if (repositoryRules) {
+        requestBody.repositoryRules = repositoryRules;
+      }
+
+      // Include the pull request details as prompt text (same wording as the local providers)
+      const pullRequestContext = buildPrContextPrompt(prContext);
+      if (pullRequestContext) {
+        requestBody.pullRequestContext = pullRequestContext;
+      }
+
+      // Include the expanded context files as prompt text (same wording as the local providers)
+      const fileContext = buildContextFilesPrompt(contextFiles);
+      if (fileContext) {
+        requestBody.fileContext = fileContext;
+      }
       
       const response = await CloudService.thinkReviewFetch(await CloudService.getReviewCodeUrlV11(), requestBody);
       
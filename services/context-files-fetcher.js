@@ -0,0 +1,139 @@
+// context-files-fetcher.js
+// Reads repository files at the PR/MR head commit for the expanded review context (utils/expanded-context.js).
+// Each request passes groups of candidate paths; the first path of a group that exists is returned.
+//   GitLab        → MR diff_refs.head_sha + repository files API, called from the content script (session cookie or token)
+//   GitHub        → PR head SHA + contents API (token), or the web raw URL of the PR head ref, called from background.js
+//   Azure DevOps  → PR last merge source commit + items API, called from background.js after fetcher init
+//   Bitbucket     → PR source commit + src/raw API, called from background.js
+import { dbgLog } from '../utils/logger.js';
+import { GitLabAPI } from './gitlab-api.js';
+import { GitHubAPI } from './github-api.js';
+import { azureDevOpsAPI } from './azure-devops-api.js';
+import { azureDevOpsFetcher } from './azure-devops-fetcher.js';
+import { fetchSourceFiles } from './bitbucket-api.js';
+
+/** Groups read at the same time */
+const FETCH_CONCURRENCY = 6;
+
+/**
+ * @param {string[][]} pathGroups
+ * @param {(filePath: string) => Promise<string|null>} readFile - null when the file does not exist
+ * @returns {Promise<Array<{ path: string, content: string }>>}
+ */
+async function readFirstExistingFiles(pathGroups, readFile) {
+  const files = [];
+  for (let start = 0; start < pathGroups.length; start += FETCH_CONCURRENCY) {
+    const batch = await Promise.all(pathGroups.slice(start, start + FETCH_CONCURRENCY).map(async (group) => {
+      for (const path of group) {
+        const content = await readFile(path);
+        if (content != null) return { path, content };
+      }
+      return null;
+    }));
+    files.push(...batch.filter(Boolean));
+  }
+  return files;
+}
+
+/**
+ * @param {{ origin: string, projectPath: string, mrIid: string|number }} target
+ * @param {string[][]} pathGroups
+ * @param {{ token?: string|null }} credentials - GitLab API mode token; the session cookie is used without it
+ */
+async function fetchGitLabFiles(target, pathGroups, { token = null } = {}) {
+  const api = new GitLabAPI({ ...target, token });
+  const mergeRequest = await api.getMergeRequest(target.mrIid);
+  const ref = mergeRequest?.diff_refs?.head_sha || mergeRequest?.sha;
+  if (!ref) throw new Error('GitLab merge request has no head commit');
+  return { ref, files: await readFirstExistingFiles(pathGroups, (path) => api.getFileContent(path, ref)) };
+}
+
+/**
+ * @param {{ hostname: string, owner: string, repo: string, prNumber: string|number }} target
+ * @param {string[][]} pathGroups
+ * @param {{ token?: string|null, canUseApi?: boolean }} credentials
+ */
+async function fetchGitHubFiles(target, pathGroups, { token = null, canUseApi = false } = {}) {
+  if (token && canUseApi) {
+    const api = new GitHubAPI({ hostname: target.hostname, owner: target.owner, repo: target.repo, token });
+    const ref = (await api.getPullRequest(target.prNumber))?.head?.sha;
+    if (!ref) throw new Error('GitHub pull request has no head commit');
+    return { ref, files: await readFirstExistingFiles(pathGroups, (path) => api.getFileContent(path, ref)) };
+  }
+
+  // Without API access: the PR head ref is readable on the web for public repositories, forks included
+  const ref = `refs/pull/${target.prNumber}/head`;
+  const files = await readFirstExistingFiles(pathGroups, async (path) => {
+    const response = await fetch(`https://${target.hostname}/${target.owner}/${target.repo}/raw/${ref}/${path}`);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${path} from GitHub: ${response.status} ${response.statusText}`);
+    }
+    return response.text();
+  });
+  return { ref, files };
+}
+
+/**
+ * The caller must have initialized azureDevOpsFetcher for this PR.
+ * @param {string[][]} pathGroups
+ */
+async function fetchAzureDevOpsFiles(pathGroups) {
+  const prDetails = await azureDevOpsAPI.getPullRequest(azureDevOpsFetcher.prInfo.prId);
+  const ref = prDetails?.lastMergeSourceCommit?.commitId;
+  if (!ref) throw new Error('Azure DevOps pull request has no source commit');
+  const files = await readFirstExistingFiles(pathGroups, async (path) => {
+    try {
+      return await azureDevOpsAPI.getFileContent(ref, `/${path}`);
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  });
+  return { ref, files };
+}
+
+/**
+ * @param {{ diffUrl: string }} target
+ * @param {string[][]} pathGroups
+ * @param {{ token?: string|null, email?: string|null }} credentials
+ */
+async function fetchBitbucketFiles(target, pathGroups, { token = null, email = null } = {}) {
+  const result = await fetchSourceFiles(target.diffUrl, pathGroups, { token, email });
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to fetch files from Bitbucket');
+  }
+  return { ref: result.ref, files: result.files };
+}
+
+/**
+ * Read files at the head commit of the PR/MR.
+ *
+ * @param {Object} params
+ * @param {'gitlab'|'github'|'azure-devops'|'bitbucket'} params.platform
+ * @param {Object} params.target - Platform-specific PR coordinates
+ * @param {string[][]} params.pathGroups - Candidate paths from the repository root; the first existing path of each group is read
+ * @param {Object} [params.credentials] - GitLab: { token }; GitHub: { token, canUseApi }; Bitbucket: { token, email }
+ * @returns {Promise<{ ref: string, files: Array<{ path: string, content: string }> }>}
+ */
+export async function fetchContextFiles({ platform, target, pathGroups, credentials = {} }) {
+  let result;
+  switch (platform) {
+    case 'gitlab':
+      result = await fetchGitLabFiles(target, pathGroups, credentials);
+      break;
+    case 'github':
+      result = await fetchGitHubFiles(target, pathGroups, credentials);
+      break;
+    case 'azure-devops':
+      result = await fetchAzureDevOpsFiles(pathGroups);
+      break;
+    case 'bitbucket':
+      result = await fetchBitbucketFiles(target, pathGroups, credentials);
+      break;
+    default:
+      throw new Error(`Expanded context is not supported on ${platform || 'this platform'}`);
+  }
+  dbgLog('Read context files:', { platform, ref: result.ref, requested: pathGroups.length, found: result.files.length });
+  return result;
+}
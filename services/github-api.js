@@ -0,0 +1,355 @@
+// github-api.js
+// Minimal GitHub REST client (github.com and GitHub Enterprise Server) used by background.js.
+// Auth: personal access or fine-grained token per host (utils/github-tokens.js).
+import { dbgLog, dbgWarn } from '../utils/logger.js';
+import { decodeBase64Content } from '../utils/text-encoding.js';
+import { getGitHubApiBase, getGitHubGraphqlUrl } from '../utils/github-tokens.js';
+
+/**
+ * Custom error class for GitHub authentication / permission failures
+ */
+export class GitHubAuthError extends Error {
+  constructor(message, statusCode, details = null) {
+    super(message);
+    this.name = 'GitHubAuthError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/** Files listed per page by pulls/{n}/files, and the most the endpoint returns (30 pages) */
+const PR_FILES_PER_PAGE = 100;
+const PR_FILES_MAX_PAGES = 30;
+
+/**
+ * Perform an authenticated GitHub REST request and return parsed JSON.
+ * @param {string} apiBase
+ * @param {string} path - Path starting with '/'
+ * @param {string} token
+ * @param {Object} [options] - fetch options (method, body)
+ * @returns {Promise<any>}
+ */
+async function githubRequest(apiBase, path, token, options = {}) {
+  const response = await fetch(`${apiBase}${path}`, {
+    ...options,
+    headers: {
+      'Accept': 'application/vnd.github+json',
+      'Authorization': `Bearer ${token}`,
+      'X-GitHub-Api-Version': '2022-11-28',
+      ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+      ...options.headers
+    }
+  });
+
+  if (!response.ok) {
+    let serverMessage = null;
+    try {
+      const data = await response.json();
+      serverMessage = data?.message || null;
+      if (Array.isArray(data?.errors) && data.errors.length > 0) {
+        const details = data.errors.map((e) => e?.message || e?.code).filter(Boolean).join('; ');
+        if (details) serverMessage = serverMessage ? `${serverMessage}: ${details}` : details;
+      }
+    } catch (_) { /* non-JSON error body */ }
+
+    const rateLimited = response.status === 429 || (response.status === 403 && response.headers.get('x-ratelimit-remaining') === '0');
+    if (!rateLimited && (response.status === 401 || response.status === 403)) {
+      // Tokens not yet authorized for an organization with SAML SSO: "required; url=https://github.com/orgs/..."
+      const ssoUrl = response.headers.get('x-github-sso')?.match(/url=(\S+)/)?.[1] || null;
+      throw new GitHubAuthError(
+        ssoUrl
+          ? 'GitHub token must be authorized for single sign-on to access this organization.'
+          : 'GitHub token is invalid, expired, or lacks access to this repository.',
+        response.status,
+        { userMessage: serverMessage, ssoUrl }
+      );
+    }
+    const err = new Error(`GitHub API error: ${response.status}${serverMessage ? ` - ${serverMessage}` : ''}`);
+    err.status = response.status;
+    err.isRateLimit = rateLimited;
+    throw err;
+  }
+
+  return response.status === 204 ? null : response.json();
+}
+
+/**
+ * Convert pulls/{n}/files entries into a unified patch. Files without a patch (binary, or too large
+ * for the API to include one) keep their header so they are listed as changed.
+ * @param {Array<{ filename: string, previous_filename?: string, status: string, patch?: string }>} files
+ * @returns {string}
+ */
+export function githubFilesToPatch(files) {
+  if (!Array.isArray(files) || files.length === 0) return '';
+  return files
+    .filter((file) => file?.filename)
+    .map((file) => {
+      const oldPath = file.previous_filename || file.filename;
+      const newPath = file.filename;
+      const isNew = file.status === 'added';
+      const isDeleted = file.status === 'removed';
+      const lines = [`diff --git a/${oldPath} b/${newPath}`];
+      if (isNew) lines.push('new file mode 100644');
+      if (isDeleted) lines.push('deleted file mode 100644');
+      if (file.status === 'renamed') {
+        lines.push(`rename from ${oldPath}`, `rename to ${newPath}`);
+      }
+      if (typeof file.patch !== 'string' || file.patch.length === 0) {
+        if (file.status !== 'renamed') {
+          lines.push(`Binary files ${isNew ? '/dev/null' : `a/${oldPath}`} and ${isDeleted ? '/dev/null' : `b/${newPath}`} differ`);
+        }
+        return lines.join('\n');
+      }
+      lines.push(isNew ? '--- /dev/null' : `--- a/${oldPath}`);
+      lines.push(isDeleted ? '+++ /dev/null' : `+++ b/${newPath}`);
+      lines.push(file.patch.replace(/\n$/, ''));
+      return lines.join('\n');
+    })
+    .join('\n') + '\n';
+}
+
+/**
+ * Check a token against a GitHub host (GET /user).
+ * @param {string} hostname
+ * @param {string} token
+ * @returns {Promise<{ valid: boolean, login: string|null, error: string|null, isAuthError: boolean, ssoUrl: string|null }>}
+ */
+export async function validateGitHubToken(hostname, token) {
+  try {
+    const user = await githubRequest(getGitHubApiBase(hostname), '/user', token);
+    return { valid: true, login: user?.login || null, error: null, isAuthError: false, ssoUrl: null };
+  } catch (error) {
+    dbgWarn('GitHub token validation failed:', error);
+    return {
+      valid: false,
+      login: null,
+      error: error instanceof GitHubAuthError ? 'GitHub rejected the token' : (error.message || String(error)),
+      isAuthError: error instanceof GitHubAuthError,
+      ssoUrl: error.details?.ssoUrl || null
+    };
+  }
+}
+
+/**
+ * GitHub pull request client bound to one repository.
+ */
+export class GitHubAPI {
+  /**
+   * @param {{ hostname: string, owner: string, repo: string, token: string }} options
+   */
+  constructor({ hostname, owner, repo, token }) {
+    if (!token) {
+      throw new GitHubAuthError('GitHub token is required', 401);
+    }
+    this.apiBase = getGitHubApiBase(hostname);
+    this.graphqlUrl = getGitHubGraphqlUrl(hostname);
+    this.repoPath = `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+    this.repoFullName = `${owner}/${repo}`;
+    this.token = token;
+  }
+
+  /**
+   * Get pull request details (head/base SHAs, title, body, ...)
+   * @param {string|number} prNumber
+   * @returns {Promise<Object>}
+   */
+  async getPullRequest(prNumber) {
+    const data = await githubRequest(this.apiBase, `${this.repoPath}/pulls/${prNumber}`, this.token);
+    dbgLog('Retrieved GitHub pull request:', { number: data?.number, headSha: data?.head?.sha });
+    return data;
+  }
+
+  /**
+   * Run a GraphQL query (review threads and linked issues are not available through REST).
+   * @param {string} query
+   * @param {Object} variables
+   * @returns {Promise<Object>} The `data` of the response
+   */
+  async graphql(query, variables) {
+    const result = await githubRequest(this.graphqlUrl, '', this.token, {
+      method: 'POST',
+      body: JSON.stringify({ query, variables })
+    });
+    if (Array.isArray(result?.errors) && result.errors.length > 0) {
+      throw new Error(`GitHub GraphQL error: ${result.errors.map((e) => e?.message).filter(Boolean).join('; ')}`);
+    }
+    return result?.data || null;
+  }
+
+  /**
+   * List the changed files of a pull request, following pagination (the API returns at most 3000 files).
+   * @param {string|number} prNumber
+   * @returns {Promise<Array<Object>>}
+   */
+  async listPullRequestFiles(prNumber) {
+    const files = [];
+    for (let page = 1; page <= PR_FILES_MAX_PAGES; page++) {
+      const batch = await githubRequest(
+        this.apiBase,
+        `${this.repoPath}/pulls/${prNumber}/files?per_page=${PR_FILES_PER_PAGE}&page=${page}`,
+        this.token
+      );
+      if (!Array.isArray(batch)) break;
+      files.push(...batch);
+      if (batch.length < PR_FILES_PER_PAGE) break;
+    }
+    return files;
+  }
+
+  /**
+   * Unified diff of a pull request built from its changed files.
+   * @param {string|number} prNumber
+   * @returns {Promise<{ patch: string, headSha: string|null, fileCount: number, totalFileCount: number }>}
+   *   totalFileCount is the PR's changed file count; it exceeds fileCount when the API listing is capped
+   */
+  async getPullRequestPatch(prNumber) {
+    const pullRequest = await this.getPullRequest(prNumber);
+    const files = await this.listPullRequestFiles(prNumber);
+    dbgLog('Retrieved GitHub pull request files:', { fileCount: files.length, changedFiles: pullRequest?.changed_files });
+    return {
+      patch: githubFilesToPatch(files),
+      headSha: pullRequest?.head?.sha || null,
+      fileCount: files.length,
+      totalFileCount: Number(pullRequest?.changed_files) || files.length
+    };
+  }
+
+  /**
+   * Read a repository file at a branch, tag or commit.
+   * @param {string} filePath - Path from the repository root
+   * @param {string} ref
+   * @returns {Promise<string|null>} File content, or null when the file does not exist
+   */
+  async getFileContent(filePath, ref) {
+    const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+    try {
+      const data = await githubRequest(this.apiBase, `${this.repoPath}/contents/${encodedPath}?${new URLSearchParams({ ref })}`, this.token);
+      return decodeBase64Content(data?.content);
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * List the entries of a repository directory at a branch, tag or commit.
+   * @param {string} dirPath - Path from the repository root ('' for the root)
+   * @param {string} ref
+   * @returns {Promise<Array<{ name: string, path: string, type: 'file'|'dir'|'symlink'|'submodule' }>|null>}
+   *   null when the directory does not exist
+   */
+  async listDirectory(dirPath, ref) {
+    const encodedPath = dirPath.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+    try {
+      const entries = await githubRequest(this.apiBase, `${this.repoPath}/contents/${encodedPath}?${new URLSearchParams({ ref })}`, this.token);
+      return Array.isArray(entries) ? entries : null;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Search code in the repository (first 20 matches). GitHub only indexes the default branch.
+   * @param {string} query
+   * @returns {Promise<Array<{ path: string, text_matches?: Array<{ fragment: string }> }>>}
+   */
+  async searchCode(query) {
+    const params = new URLSearchParams({ q: `${query} repo:${this.repoFullName}`, per_page: '20' });
+    const data = await githubRequest(this.apiBase, `/search/code?${params}`, this.token, {
+      headers: { 'Accept': 'application/vnd.github.text-match+json' }
+    });
+    return Array.isArray(data?.items) ? data.items : [];
+  }
+
+  /**
+   * Create an inline review comment on the pull request diff.
+   * @param {string|number} prNumber
+   * @param {{ body: string, commit_id: string, path: string, line: number, side?: string, start_line?: number, start_side?: string }} comment
+   * @returns {Promise<Object>}
+   */
+  async createReviewComment(prNumber, comment) {
+    return githubRequest(this.apiBase, `${this.repoPath}/pulls/${prNumber}/comments`, this.token, {
+      method: 'POST',
+      body: JSON.stringify(comment)
+    });
+  }
+
+  /**
+   * Create a general (conversation) comment on the pull request.
+   * @param {string|number} prNumber
+   * @param {string} body
+   * @returns {Promise<Object>}
+   */
+  async createIssueComment(prNumber, body) {
+    return githubRequest(this.apiBase, `${this.repoPath}/issues/${prNumber}/comments`, this.token, {
+      method: 'POST',
+      body: JSON.stringify({ body })
+    });
+  }
+
+  /**
+   * Validate the token against the API (GET /user).
+   * @returns {Promise<boolean>}
+   */
+  async testConnection() {
+    try {
+      await githubRequest(this.apiBase, '/user', this.token);
+      return true;
+    } catch (error) {
+      dbgWarn('GitHub connection test failed:', error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Diff of a pull request for review: through the REST API when a token can be used (private
+ * repositories, GitHub Enterprise Server behind SSO), otherwise the public .diff URL of the page.
+ * @param {Object} options
+ * @param {string} options.url - .diff URL of the pull request page
+ * @param {{ hostname: string, owner: string, repo: string, prNumber: string|number }|null} [options.target]
+ * @param {string|null} [options.token] - Token saved for the host
+ * @param {boolean} [options.canUseApi] - Token present and API host permission granted
+ * @returns {Promise<{ success: true, content: string, source: 'api'|'page', fileCount?: number, totalFileCount?: number }
+ *   | { success: false, error: string, status?: number, isAuthError?: boolean, needsToken?: boolean, ssoUrl?: string|null }>}
+ */
+export async function fetchGitHubPullRequestDiff({ url, target = null, token = null, canUseApi = false }) {
+  if (canUseApi && target?.prNumber) {
+    try {
+      const api = new GitHubAPI({ ...target, token });
+      const { patch, fileCount, totalFileCount } = await api.getPullRequestPatch(target.prNumber);
+      return { success: true, content: patch, source: 'api', fileCount, totalFileCount };
+    } catch (error) {
+      dbgWarn('Error fetching GitHub pull request files:', error);
+      if (error instanceof GitHubAuthError) {
+        return { success: false, isAuthError: true, status: error.statusCode, ssoUrl: error.details?.ssoUrl || null, error: error.message };
+      }
+      return { success: false, status: error.status, isRateLimit: !!error.isRateLimit, error: error.message };
+    }
+  }
+
+  try {
+    dbgLog('Fetching GitHub diff from:', url);
+    const response = await fetch(url);
+    if (!response.ok) {
+      // Private repositories answer 404 (or a login redirect error) to anonymous requests
+      const needsToken = [401, 403, 404].includes(response.status) && !canUseApi;
+      return {
+        success: false,
+        status: response.status,
+        needsToken,
+        isRateLimit: response.status === 429,
+        error: needsToken
+          ? 'GitHub did not return the diff. Private repositories need a GitHub token for this host in the extension popup.'
+          : `Failed to fetch GitHub diff: ${response.status} ${response.statusText}`
+      };
+    }
+    const content = await response.text();
+    dbgLog('Successfully fetched GitHub diff, length:', content.length);
+    return { success: true, content, source: 'page' };
+  } catch (error) {
+    dbgWarn('Error fetching GitHub diff:', error);
+    return { success: false, error: error.message };
+  }
+}
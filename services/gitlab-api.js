@@ -0,0 +1,342 @@
+// gitlab-api.js
+// Minimal GitLab REST (v4) client for merge requests.
+// Runs in the content script on the GitLab page: requests reuse the user's session cookie,
+// and write requests send the page's CSRF token (GitLab requires it for cookie-authenticated API calls).
+// With an access token saved for the instance (utils/gitlab-tokens.js), requests use the token instead.
+import { dbgLog, dbgWarn } from '../utils/logger.js';
+import { decodeBase64Content } from '../utils/text-encoding.js';
+
+/**
+ * Convert GitLab API diff entries (compare / MR diffs) into a unified patch.
+ * @param {Array<{ old_path: string, new_path: string, diff: string, new_file?: boolean, deleted_file?: boolean }>} diffs
+ * @returns {string}
+ */
+export function gitLabDiffsToPatch(diffs) {
+  if (!Array.isArray(diffs)) return '';
+  return diffs
+    .filter((entry) => entry && typeof entry.diff === 'string' && entry.diff.length > 0)
+    .map((entry) => {
+      const oldPath = entry.old_path || entry.new_path;
+      const newPath = entry.new_path || entry.old_path;
+      const lines = [`diff --git a/${oldPath} b/${newPath}`];
+      if (entry.new_file) lines.push('new file mode 100644');
+      if (entry.deleted_file) lines.push('deleted file mode 100644');
+      lines.push(entry.new_file ? '--- /dev/null' : `--- a/${oldPath}`);
+      lines.push(entry.deleted_file ? '+++ /dev/null' : `+++ b/${newPath}`);
+      lines.push(entry.diff.replace(/\n$/, ''));
+      return lines.join('\n');
+    })
+    .join('\n') + '\n';
+}
+
+/** Diff entries listed per page by merge_requests/:iid/diffs, and the most pages read */
+const MR_DIFFS_PER_PAGE = 100;
+const MR_DIFFS_MAX_PAGES = 50;
+/** Most pages of the merge request page's discussions read when looking up suggestions */
+const WEB_DISCUSSIONS_MAX_PAGES = 20;
+
+/**
+ * PR context (utils/pr-context.js) from a GitLab merge request.
+ * @param {Object} mergeRequest - merge_requests/:iid response
+ * @returns {Object}
+ */
+export function gitLabMergeRequestToPrContext(mergeRequest) {
+  return {
+    title: mergeRequest?.title || '',
+    description: mergeRequest?.description || '',
+    labels: Array.isArray(mergeRequest?.labels) ? mergeRequest.labels : [],
+    sourceBranch: mergeRequest?.source_branch || '',
+    targetBranch: mergeRequest?.target_branch || '',
+    pipelineStatus: mergeRequest?.head_pipeline?.status || mergeRequest?.pipeline?.status || ''
+  };
+}
+
+/**
+ * Check an access token against a GitLab instance (GET /user).
+ * @param {string} origin
+ * @param {string} token
+ * @returns {Promise<{ valid: boolean, username: string|null, error: string|null, isAuthError: boolean }>}
+ */
+export async function validateGitLabToken(origin, token) {
+  try {
+    const response = await fetch(`${origin}/api/v4/user`, {
+      headers: { 'Accept': 'application/json', 'PRIVATE-TOKEN': token },
+      credentials: 'omit'
+    });
+    if (!response.ok) {
+      return {
+        valid: false,
+        username: null,
+        error: `GitLab API error: ${response.status}`,
+        isAuthError: response.status === 401 || response.status === 403
+      };
+    }
+    const user = await response.json();
+    return { valid: true, username: user?.username || null, error: null, isAuthError: false };
+  } catch (error) {
+    dbgWarn('GitLab token validation failed:', error);
+    return { valid: false, username: null, error: error.message || String(error), isAuthError: false };
+  }
+}
+
+/**
+ * GitLab merge request client bound to one project on one GitLab origin.
+ */
+export class GitLabAPI {
+  /**
+   * @param {{ origin: string, projectPath: string, csrfToken?: string|null, token?: string|null }} options
+   *   token: access token (PRIVATE-TOKEN); without it the session cookie is used
+   */
+  constructor({ origin, projectPath, csrfToken = null, token = null }) {
+    this.origin = origin;
+    this.projectPath = projectPath;
+    this.apiBase = `${origin}/api/v4/projects/${encodeURIComponent(projectPath)}`;
+    this.csrfToken = csrfToken;
+    this.token = token;
+  }
+
+  /**
+   * @param {string} path - Path below the project API
+   * @param {Object} [options]
+   * @returns {Promise<any>}
+   */
+  async request(path, options = {}) {
+    return this.requestUrl(`${this.apiBase}${path}`, options);
+  }
+
+  /**
+   * @param {string} url - Full API URL
+   * @param {Object} [options]
+   * @returns {Promise<any>}
+   */
+  async requestUrl(url, options = {}) {
+    const headers = { 'Accept': 'application/json', ...options.headers };
+    if (options.body) headers['Content-Type'] = 'application/json';
+    if (this.token) {
+      headers['PRIVATE-TOKEN'] = this.token;
+    } else if (this.csrfToken && options.method && options.method !== 'GET') {
+      headers['X-CSRF-Token'] = this.csrfToken;
+    }
+
+    const response = await fetch(url, {
+      ...options,
+      headers,
+      credentials: this.token ? 'omit' : 'include'
+    });
+
+    if (!response.ok) {
+      let serverMessage = null;
+      try {
+        const data = await response.json();
+        serverMessage = typeof data?.message === 'string'
+          ? data.message
+          : (data?.message ? JSON.stringify(data.message) : data?.error || null);
+      } catch (_) { /* non-JSON error body */ }
+      const err = new Error(`GitLab API error: ${response.status}${serverMessage ? ` - ${serverMessage}` : ''}`);
+      err.status = response.status;
+      throw err;
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Get merge request details, including diff_refs (base/start/head SHAs).
+   * @param {string|number} mrIid
+   * @returns {Promise<Object>}
+   */
+  async getMergeRequest(mrIid) {
+    const data = await this.request(`/merge_requests/${mrIid}`);
+    dbgLog('Retrieved GitLab merge request:', { iid: data?.iid, diffRefs: data?.diff_refs });
+    return data;
+  }
+
+  /**
+   * Issues the merge request closes when merged ("Closes #12" in the description, or linked issues).
+   * @param {string|number} mrIid
+   * @returns {Promise<Array<{ iid: number, title: string, web_url: string }>>}
+   */
+  async listClosedIssues(mrIid) {
+    const issues = await this.request(`/merge_requests/${mrIid}/closes_issues`);
+    return Array.isArray(issues) ? issues : [];
+  }
+
+  /**
+   * First page of merge request discussions (threads), oldest first.
+   * @param {string|number} mrIid
+   * @returns {Promise<Array<{ id: string, notes: Array<Object> }>>}
+   */
+  async listDiscussions(mrIid) {
+    const discussions = await this.request(`/merge_requests/${mrIid}/discussions?per_page=100`);
+    return Array.isArray(discussions) ? discussions : [];
+  }
+
+  /**
+   * List the merged diff of a merge request (one entry per file), following pagination.
+   * Instances older than GitLab 15.7 have no /diffs endpoint: /changes is used there.
+   * @param {string|number} mrIid
+   * @returns {Promise<Array<Object>>}
+   */
+  async listMergeRequestDiffs(mrIid) {
+    const diffs = [];
+    for (let page = 1; page <= MR_DIFFS_MAX_PAGES; page++) {
+      let batch;
+      try {
+        batch = await this.request(`/merge_requests/${mrIid}/diffs?per_page=${MR_DIFFS_PER_PAGE}&page=${page}`);
+      } catch (error) {
+        if (error.status !== 404 || page > 1) throw error;
+        const changes = await this.request(`/merge_requests/${mrIid}/changes`);
+        return Array.isArray(changes?.changes) ? changes.changes : [];
+      }
+      if (!Array.isArray(batch)) break;
+      diffs.push(...batch);
+      if (batch.length < MR_DIFFS_PER_PAGE) break;
+    }
+    return diffs;
+  }
+
+  /**
+   * Merged diff of a merge request with its details, instead of the commit-by-commit .patch.
+   * @param {string|number} mrIid
+   * @returns {Promise<{ patch: string, prContext: Object, headSha: string|null, fileCount: number }>}
+   */
+  async getMergeRequestChanges(mrIid) {
+    const mergeRequest = await this.getMergeRequest(mrIid);
+    const diffs = await this.listMergeRequestDiffs(mrIid);
+    dbgLog('Retrieved GitLab merge request diffs:', { fileCount: diffs.length });
+    return {
+      patch: gitLabDiffsToPatch(diffs),
+      prContext: gitLabMergeRequestToPrContext(mergeRequest),
+      headSha: mergeRequest?.diff_refs?.head_sha || mergeRequest?.sha || null,
+      fileCount: diffs.length
+    };
+  }
+
+  /**
+   * List the merge request diff versions (one per push), newest first.
+   * @param {string|number} mrIid
+   * @returns {Promise<Array<{ id: number, head_commit_sha: string, base_commit_sha: string, start_commit_sha: string }>>}
+   */
+  async getMergeRequestVersions(mrIid) {
+    const data = await this.request(`/merge_requests/${mrIid}/versions`);
+    dbgLog('Retrieved GitLab merge request versions:', { count: Array.isArray(data) ? data.length : 0 });
+    return Array.isArray(data) ? data : [];
+  }
+
+  /**
+   * Compare two commits (diff from the merge base of `from` and `to`).
+   * @param {string} from
+   * @param {string} to
+   * @returns {Promise<{ commits: Array<Object>, diffs: Array<Object> }>}
+   */
+  async compare(from, to) {
+    const params = new URLSearchParams({ from, to });
+    return this.request(`/repository/compare?${params}`);
+  }
+
+  /**
+   * Read a repository file at a branch, tag or commit.
+   * @param {string} filePath - Path from the repository root
+   * @param {string} ref
+   * @returns {Promise<string|null>} File content, or null when the file does not exist
+   */
+  async getFileContent(filePath, ref) {
+    try {
+      const data = await this.request(`/repository/files/${encodeURIComponent(filePath)}?${new URLSearchParams({ ref })}`);
+      return decodeBase64Content(data?.content);
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * List the entries of a repository directory (first 100) at a branch, tag or commit.
+   * @param {string} dirPath - Path from the repository root ('' for the root)
+   * @param {string} ref
+   * @returns {Promise<Array<{ name: string, path: string, type: 'tree'|'blob' }>>}
+   */
+  async listTree(dirPath, ref) {
+    const params = new URLSearchParams({ ref, per_page: '100' });
+    if (dirPath) params.set('path', dirPath);
+    const entries = await this.request(`/repository/tree?${params}`);
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  /**
+   * Search file contents of the repository at a branch, tag or commit (first 20 matches).
+   * @param {string} query
+   * @param {string} ref
+   * @returns {Promise<Array<{ path: string, startline: number, data: string }>>}
+   */
+  async searchBlobs(query, ref) {
+    const params = new URLSearchParams({ scope: 'blobs', search: query, ref, per_page: '20' });
+    const results = await this.request(`/search?${params}`);
+    return Array.isArray(results) ? results : [];
+  }
+
+  /**
+   * Start a discussion on the merge request. Pass `position` for an inline diff comment.
+   * @param {string|number} mrIid
+   * @param {{ body: string, position?: Object }} discussion
+   * @returns {Promise<Object>}
+   */
+  async createDiscussion(mrIid, discussion) {
+    return this.request(`/merge_requests/${mrIid}/discussions`, {
+      method: 'POST',
+      body: JSON.stringify(discussion)
+    });
+  }
+
+  /**
+   * IDs of the suggestions in the given notes of a merge request. The REST API does not list
+   * suggestions, so this reads the discussions of the merge request page (session cookie only),
+   * following its cursor pagination.
+   * @param {string|number} mrIid
+   * @param {Array<string|number>} noteIds
+   * @returns {Promise<Map<string, number[]>>} Note id → ids of its suggestions that can still be applied
+   */
+  async getNoteSuggestionIds(mrIid, noteIds) {
+    const wanted = new Set(noteIds.map(String));
+    const found = new Map();
+    const baseUrl = `${this.origin}/${this.projectPath}/-/merge_requests/${mrIid}/discussions.json`;
+    let url = baseUrl;
+    for (let page = 0; page < WEB_DISCUSSIONS_MAX_PAGES && url; page++) {
+      const response = await fetch(url, { headers: { 'Accept': 'application/json' }, credentials: 'include' });
+      if (!response.ok) {
+        const err = new Error(`GitLab error: ${response.status} while reading merge request discussions`);
+        err.status = response.status;
+        throw err;
+      }
+      const discussions = await response.json();
+      (Array.isArray(discussions) ? discussions : []).forEach((discussion) => {
+        (discussion?.notes || []).forEach((note) => {
+          if (!wanted.has(String(note?.id))) return;
+          const ids = (note.suggestions || [])
+            .filter((suggestion) => suggestion && !suggestion.applied && suggestion.appliable !== false)
+            .map((suggestion) => suggestion.id);
+          found.set(String(note.id), ids);
+        });
+      });
+      const cursor = response.headers.get('X-Next-Page-Cursor');
+      url = found.size < wanted.size && cursor ? `${baseUrl}?cursor=${encodeURIComponent(cursor)}` : null;
+    }
+    dbgLog('Found GitLab suggestions for notes:', { requested: wanted.size, found: found.size });
+    return found;
+  }
+
+  /**
+   * Apply suggestions in a single commit on the source branch (PUT /suggestions/batch_apply).
+   * @param {number[]} suggestionIds
+   * @param {string} [commitMessage]
+   * @returns {Promise<Array<Object>>} The applied suggestions
+   */
+  async applySuggestions(suggestionIds, commitMessage) {
+    const body = { ids: suggestionIds };
+    if (commitMessage) body.commit_message = commitMessage;
+    return this.requestUrl(`${this.origin}/api/v4/suggestions/batch_apply`, {
+      method: 'PUT',
+      body: JSON.stringify(body)
+    });
+  }
+}
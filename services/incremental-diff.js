@@ -0,0 +1,108 @@
+// incremental-diff.js
+// Resolves the current head commit of a PR/MR and, when an earlier reviewed head is given,
+// fetches only the diff of the commits pushed since then (incremental re-review).
+//   GitLab        → MR versions + repository compare API, called from the content script (session cookie)
+//   GitHub        → PR API head (token) or the PR .patch, and the web compare .diff, called from background.js
+//   Azure DevOps  → PR iterations ($compareTo), called from background.js after fetcher init
+import { dbgLog } from '../utils/logger.js';
+import { GitLabAPI, gitLabDiffsToPatch } from './gitlab-api.js';
+import { GitHubAPI } from './github-api.js';
+import { azureDevOpsFetcher } from './azure-devops-fetcher.js';
+
+/** Last "From <sha>" line of a format-patch series is the PR head commit */
+const PATCH_COMMIT_REGEX = /^From ([0-9a-f]{40}) /gm;
+
+/**
+ * @param {{ origin: string, projectPath: string, mrIid: string|number }} target
+ * @param {string|null} baseSha
+ */
+async function fetchGitLabIncrementalDiff(target, baseSha) {
+  const api = new GitLabAPI(target);
+  const versions = await api.getMergeRequestVersions(target.mrIid);
+  const headSha = versions[0]?.head_commit_sha || null;
+  if (!headSha || !baseSha || baseSha === headSha) {
+    return { headSha, patch: null };
+  }
+  const comparison = await api.compare(baseSha, headSha);
+  return { headSha, patch: gitLabDiffsToPatch(comparison?.diffs) };
+}
+
+/**
+ * @param {{ hostname: string, owner: string, repo: string, prNumber: string|number }} target
+ * @param {string|null} baseSha
+ * @param {{ token?: string|null, canUseApi?: boolean }} credentials
+ */
+async function fetchGitHubIncrementalDiff(target, baseSha, { token = null, canUseApi = false } = {}) {
+  const repoUrl = `https://${target.hostname}/${target.owner}/${target.repo}`;
+
+  let headSha = null;
+  if (token && canUseApi) {
+    const api = new GitHubAPI({ hostname: target.hostname, owner: target.owner, repo: target.repo, token });
+    headSha = (await api.getPullRequest(target.prNumber))?.head?.sha || null;
+  } else {
+    const response = await fetch(`${repoUrl}/pull/${target.prNumber}.patch`);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch GitHub patch: ${response.status} ${response.statusText}`);
+    }
+    const shas = [...(await response.text()).matchAll(PATCH_COMMIT_REGEX)].map((match) => match[1]);
+    headSha = shas[shas.length - 1] || null;
+  }
+
+  if (!headSha || !baseSha || baseSha === headSha) {
+    return { headSha, patch: null };
+  }
+  const response = await fetch(`${repoUrl}/compare/${baseSha}...${headSha}.diff`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch GitHub compare diff: ${response.status} ${response.statusText}`);
+  }
+  return { headSha, patch: await response.text() };
+}
+
+/**
+ * The caller must have initialized azureDevOpsFetcher for this PR.
+ * @param {string|null} baseSha
+ */
+async function fetchAzureDevOpsIncrementalDiff(baseSha) {
+  const latest = await azureDevOpsFetcher.getLatestIteration();
+  const headSha = latest?.headSha || null;
+  if (!headSha || !baseSha || baseSha === headSha) {
+    return { headSha, patch: null };
+  }
+  const changes = await azureDevOpsFetcher.fetchIncrementalChanges(baseSha, headSha);
+  return { headSha, patch: changes.files.length > 0 ? azureDevOpsFetcher.toPatchString(changes) : '' };
+}
+
+/**
+ * Resolve the PR head commit and fetch the diff since `baseSha`.
+ *
+ * @param {Object} params
+ * @param {'gitlab'|'github'|'azure-devops'} params.platform
+ * @param {Object} params.target - Platform-specific PR coordinates
+ * @param {string|null} [params.baseSha] - Head commit of the previous review (null: resolve the head only)
+ * @param {Object} [params.credentials] - GitHub: { token, canUseApi }
+ * @returns {Promise<{ headSha: string|null, patch: string|null }>} patch is null when there is nothing
+ *   to diff (no base, or the head has not moved) and '' when the new commits change no reviewable files
+ */
+export async function fetchIncrementalDiff({ platform, target, baseSha = null, credentials = {} }) {
+  let result;
+  switch (platform) {
+    case 'gitlab':
+      result = await fetchGitLabIncrementalDiff(target, baseSha);
+      break;
+    case 'github':
+      result = await fetchGitHubIncrementalDiff(target, baseSha, credentials);
+      break;
+    case 'azure-devops':
+      result = await fetchAzureDevOpsIncrementalDiff(baseSha);
+      break;
+    default:
+      throw new Error(`Incremental review is not supported on ${platform || 'this platform'}`);
+  }
+  dbgLog('Resolved incremental diff:', {
+    platform,
+    baseSha,
+    headSha: result.headSha,
+    patchLength: result.patch?.length ?? null
+  });
+  return result;
+}
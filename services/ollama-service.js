@@ -1,38 +1,100 @@
 import { dbgLog, dbgWarn, dbgError } from '../utils/logger.js';
 import { clampOllamaOptions } from '../utils/ollama-options.js';
-
+import { buildReviewRulesPrompt } from '../utils/review-rules.js';
+import { buildPrContextPrompt } from '../utils/pr-context.js';
+import { buildContextFilesPrompt } from '../utils/expanded-context.js';
+import { normalizeReviewTaxonomy, readReviewTaxonomy, buildTaxonomyPrompt, toSeverityLists } from '../utils/review-taxonomy.js';
+import {
+  MAX_REVIEW_CHUNKS,
+  MIN_CHUNK_CHARS,
+  splitPatchIntoChunks,
+  buildChunkNote,
+  runChunkedReview
+} from '../utils/chunked-review.js';
+import { readNdjsonStream } from '../utils/stream-readers.js';
+import { MAX_TOOL_ROUNDS, REPO_TOOLS_SYSTEM_PROMPT, parseToolArguments } from '../utils/repo-tools.js';
+
+const CHARS_PER_TOKEN = 2;
+const RESERVED_RESPONSE_TOKENS = 1024;
+/** Room kept in the prompt for the "part i of n" note of chunked reviews */
+const CHUNK_NOTE_RESERVED_CHARS = 200;
+
+// Structured output schema so Ollama returns valid JSON matching our review format
+const REVIEW_FORMAT_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    suggestions: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    securityIssues: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    suggestedQuestions: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          description: { type: 'string' },
+          severity: { type: 'string' },
+          category: { type: 'string' },
+          filePath: { type: 'string' },
+          startLine: { type: 'integer' },
+          endLine: { type: 'integer' }
+        },
+        required: ['title', 'description', 'severity', 'category']
+      }
+    },
+    metrics: {
+      type: 'object',
+      properties: {
+        overallScore: { type: 'integer' , min :'0' , max:'100' },
+        codeQuality: { type: 'integer' },
+        securityScore: { type: 'integer' },
+        bestPracticesScore: { type: 'integer' }
+      },
+      required: ['overallScore', 'codeQuality', 'securityScore', 'bestPracticesScore']
+    }
+  },
+  required: ['summary', 'suggestions', 'securityIssues', 'suggestedQuestions', 'findings', 'metrics']
+};
+
+// Final pass of a chunked review: one summary and follow-up questions for the whole patch
+const CHUNK_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    suggestedQuestions: {
+      type: 'array',
+      items: { type: 'string' }
+    }
+  },
+  required: ['summary', 'suggestedQuestions']
+};
 
 /**
- * Ollama Service for ThinkReview
- * Handles local AI code reviews using Ollama
+ * Review prompt, split around the patch so the patch can be fitted to the context length.
+ * @param {string} language
+ * @param {Object|null} reviewRules - Repository rules (utils/review-rules.js)
+ * @param {Object|null} prContext - Pull request details (utils/pr-context.js)
+ * @param {string|null} [chunkNote] - Set when only one part of a larger patch is reviewed
+ * @param {Array<Object>|null} [contextFiles] - Full file contents (utils/expanded-context.js)
+ * @param {Object} [taxonomy] - Severities and categories the findings are tagged with (utils/review-taxonomy.js)
+ * @returns {{ promptBeforePatch: string, promptAfterPatch: string }}
  */
-export class OllamaService {
-  /**
-   * Review patch code using local Ollama instance
-   * @param {string} patchContent - The patch content in git diff format
-   * @param {string} [language] - Optional language preference for the review
-   * @param {string} [mrId] - Optional merge request ID for tracking
-   * @param {string} [mrUrl] - Optional merge request URL
-   * @returns {Promise<Object>} - Code review results
-   */
-  static async reviewPatchCode(patchContent, language = 'English', mrId = null, mrUrl = null) {
-    dbgLog('Sending patch for code review');
-    
-    if (!patchContent) {
-      dbgWarn('Cannot review code: Missing patch content');
-      throw new Error('Missing patch content');
-    }
-    
-    try {
-      // Get Ollama config from storage
-      const config = await chrome.storage.local.get(['ollamaConfig']);
-      const { url = 'http://localhost:11434', model = 'gemma4', OllamaModelcontextLength: savedContextLength, temperature: temp, top_p: topP, top_k: topK } = config.ollamaConfig || {};
-      const { temperature: tempClamped, top_p: topPClamped, top_k: topKClamped } = clampOllamaOptions({ temperature: temp, top_p: topP, top_k: topK });
-      
-      dbgLog(`Using Ollama at ${url} with model ${model}`);
-      
-      // Single prompt: instructions + patch (split so we can truncate patch by context length)
-      const promptBeforePatch = `You are an expert code reviewer. Analyze this git patch and provide a comprehensive code review in ${language}.
+function buildReviewPrompt(language, reviewRules, prContext, chunkNote = null, contextFiles = null, taxonomy = normalizeReviewTaxonomy(null)) {
+  const rulesPrompt = buildReviewRulesPrompt(reviewRules);
+  const contextPrompt = buildPrContextPrompt(prContext);
+  const filesPrompt = buildContextFilesPrompt(contextFiles);
+  const findingsPrompt = buildTaxonomyPrompt(taxonomy);
+  const promptBeforePatch = `You are an expert code reviewer. Analyze this git patch and provide a comprehensive code review in ${language}.
 
 You MUST provide a comprehensive code review with the following sections:
 1. Summary: an explanatory high level, 1 up to 7 numbered bullet points with an extra line separator between each point - depending on the code's purpose and design, you mention and summarize every change in the patch.
@@ -40,6 +102,7 @@ You MUST provide a comprehensive code review with the following sections:
 3. Security Issues: An array of strings identifying potential security vulnerabilities (e.g., injection risks, hardcoded secrets, insecure dependencies). If none, this MUST be an empty array.
 4. Suggested Follow-up Questions: An array containing exactly 3 relevant, insightful follow-up questions a developer might ask to deepen their understanding of the underlying principles related to the review feedback.
 5. Metrics: An object containing scores from 0-100 (overallScore, codeQuality, securityScore, bestPracticesScore).
+6. ${findingsPrompt.instruction}
 
 You MUST format your response as VALID JSON with this structure:
 {
@@ -47,6 +110,7 @@ You MUST format your response as VALID JSON with this structure:
   "suggestions": ["Suggestion 1", "Suggestion 2", ...],
   "securityIssues": ["Security issue 1", "Security issue 2", ...],
   "suggestedQuestions": ["Question 1?", "Question 2?", "Question 3?"],
+  ${findingsPrompt.example},
   "metrics": {
     "overallScore": 85,
     "codeQuality": 80,
@@ -59,27 +123,263 @@ Import rules:
 - Return ONLY valid JSON, no markdown formatting, no code blocks, no explanations.
 - All metric scores should be 0-100. Provide at least 3 code suggestions. Provide exactly 3 follow-up questions.
 
-Here is the patch to review:
+${rulesPrompt ? `${rulesPrompt}\n\n` : ''}${contextPrompt ? `${contextPrompt}\n\n` : ''}${filesPrompt ? `${filesPrompt}\n\n` : ''}${chunkNote ? `${chunkNote}\n\n` : ''}Here is the patch to review:
 
 `;
-      const promptAfterPatch = `
+  const promptAfterPatch = `
 
 Important: Respond ONLY with valid JSON. Do not include any explanatory text before or after the JSON.`;
 
-      // Truncate patch to fit model context when OllamaModelcontextLength is saved (Ollama only)
-      const CHARS_PER_TOKEN = 2;
-      const RESERVED_RESPONSE_TOKENS = 1024;
+  return { promptBeforePatch, promptAfterPatch };
+}
+
+/**
+ * Parse the JSON object in a model response (sometimes models wrap it in markdown).
+ * @param {string} text
+ * @returns {Object}
+ */
+function extractJson(text) {
+  const jsonMatch = String(text || '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in response');
+  }
+  return JSON.parse(jsonMatch[0]);
+}
+
+/**
+ * Map an Ollama review response to the UI's expected format (supports structured-output shape and legacy shape).
+ * The tagged findings fill the lists of the severity layout.
+ * @param {Object} parsedReview
+ * @param {string} model
+ * @param {Object} [taxonomy] - Severities and categories (utils/review-taxonomy.js)
+ * @returns {Object}
+ */
+function normalizeReview(parsedReview, model, taxonomy = normalizeReviewTaxonomy(null)) {
+  const suggestions = [];
+  if (parsedReview.suggestions && Array.isArray(parsedReview.suggestions)) {
+    parsedReview.suggestions.forEach(s => {
+      if (typeof s === 'string') suggestions.push(s);
+      else if (s && typeof s === 'object' && s.description) suggestions.push(`[${s.type?.toUpperCase() || 'TIP'}] ${s.description} (${s.file || ''}:${s.line || ''})`);
+    });
+  }
+  if (suggestions.length === 0 && parsedReview.issues && Array.isArray(parsedReview.issues)) {
+    parsedReview.issues.forEach(issue => {
+      suggestions.push(`[${issue.severity?.toUpperCase() || 'INFO'}] ${issue.description} (${issue.file}:${issue.line})`);
+    });
+  }
+
+  const securityIssues = [];
+  if (parsedReview.securityIssues && Array.isArray(parsedReview.securityIssues)) {
+    parsedReview.securityIssues.forEach(s => securityIssues.push(String(s)));
+  }
+  if (securityIssues.length === 0 && parsedReview.security && Array.isArray(parsedReview.security)) {
+    parsedReview.security.forEach(sec => {
+      securityIssues.push(`[${sec.severity?.toUpperCase() || 'WARNING'}] ${sec.description}\n**Recommendation:** ${sec.recommendation || 'Review and address this concern.'}`);
+    });
+  }
+
+  const bestPractices = Array.isArray(parsedReview.positives) ? parsedReview.positives : (Array.isArray(parsedReview.bestPractices) ? parsedReview.bestPractices : []);
+  
+  // Get metrics (with fallback to reasonable defaults matching Gemini format)
+  const metrics = parsedReview.metrics || {
+    overallScore: 75,
+    codeQuality: 75,
+    securityScore: 85,
+    bestPracticesScore: 75
+  };
+  
+  // Get suggested questions (with fallback)
+  const suggestedQuestions = parsedReview.suggestedQuestions || [
+    "How does this change affect existing functionality?",
+    "Are there any edge cases we should consider?",
+    "What testing strategy would you recommend?"
+  ];
+
+  return {
+    summary: parsedReview.summary || 'Code review completed',
+    prDescription: parsedReview.summary || 'Code review completed',
+    ...toSeverityLists(parsedReview.findings, taxonomy),
+    suggestions: suggestions,
+    securityIssues: securityIssues,
+    bestPractices: bestPractices,
+    metrics: metrics,
+    suggestedQuestions: suggestedQuestions,
+    provider: 'ollama',
+    model: model
+  };
+}
+
+/**
+ * Single-shot structured generation → /api/generate (system + prompt)
+ * @param {string} url
+ * @param {string} model
+ * @param {string} prompt
+ * @param {Object} format - JSON schema of the response
+ * @param {Object} options - Sampling options
+ * @param {Object} [stream] - { onToken, signal }: receive the text as it is generated / abort the request
+ * @returns {Promise<string>} The raw response text
+ */
+async function generate(url, model, prompt, format, options, { onToken = null, signal = null } = {}) {
+  const response = await fetch(`${url}/api/generate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model: model,
+      prompt: prompt,
+      stream: !!onToken,
+      format,
+      options
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`Ollama API error (${response.status}): ${errorText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  if (onToken) {
+    let text = '';
+    await readNdjsonStream(response, (chunk) => {
+      if (chunk.error) throw new Error(chunk.error);
+      if (chunk.response) {
+        text += chunk.response;
+        onToken(chunk.response);
+      }
+    });
+    dbgLog('Ollama streamed response received:', { responseLength: text.length });
+    return text;
+  }
+
+  const data = await response.json();
+  dbgLog('Ollama raw response received:', {
+    hasResponse: !!data?.response,
+    responseLength: data?.response?.length || 0
+  });
+  return data.response ?? '';
+}
+
+/**
+ * Send one /api/chat request.
+ * @param {string} url - Ollama base URL
+ * @param {Object} body - { model, messages, tools?, think, options } (stream is set from onToken)
+ * @param {Object} [stream] - { onToken, signal }: receive the text as it is generated / abort the request
+ * @returns {Promise<{ text: string, toolCalls: Array<{ function: { name: string, arguments: Object } }> }>}
+ */
+async function chat(url, body, { onToken = null, signal = null } = {}) {
+  const response = await fetch(`${url}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...body, stream: !!onToken }),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`Ollama API error (${response.status}): ${errorText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  if (onToken) {
+    let text = '';
+    const toolCalls = [];
+    await readNdjsonStream(response, (chunk) => {
+      if (chunk.error) throw new Error(chunk.error);
+      const token = chunk.message?.content;
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+      // Each tool call arrives whole, in its own chunk
+      toolCalls.push(...(chunk.message?.tool_calls || []));
+    });
+    return { text, toolCalls };
+  }
+
+  const data = await response.json();
+  return { text: data.message?.content ?? data.response ?? '', toolCalls: data.message?.tool_calls || [] };
+}
+
+/**
+ * Ollama Service for ThinkReview
+ * Handles local AI code reviews using Ollama
+ */
+export class OllamaService {
+  /**
+   * Review patch code using local Ollama instance.
+   * When OllamaModelcontextLength is saved and the patch does not fit, the patch is reviewed in
+   * parts (utils/chunked-review.js) and the part reviews are merged.
+   * @param {string} patchContent - The patch content in git diff format
+   * @param {string} [language] - Optional language preference for the review
+   * @param {string} [mrId] - Optional merge request ID for tracking
+   * @param {string} [mrUrl] - Optional merge request URL
+   * @param {Object|null} [reviewRules] - Repository rules (utils/review-rules.js) added to the prompt
+   * @param {Object|null} [prContext] - Pull request details (utils/pr-context.js) added to the prompt
+   * @param {Array<Object>|null} [contextFiles] - Full file contents (utils/expanded-context.js) added to the prompt
+   *   when they fit in the context together with the patch
+   * @param {Object} [stream] - { onToken, signal }: stream the review text (not for reviews in parts) / abort the request
+   * @returns {Promise<Object>} - Code review results
+   */
+  static async reviewPatchCode(patchContent, language = 'English', mrId = null, mrUrl = null, reviewRules = null, prContext = null, contextFiles = null, stream = {}) {
+    dbgLog('Sending patch for code review');
+    
+    if (!patchContent) {
+      dbgWarn('Cannot review code: Missing patch content');
+      throw new Error('Missing patch content');
+    }
+    
+    try {
+      // Get Ollama config from storage
+      const config = await chrome.storage.local.get(['ollamaConfig']);
+      const { url = 'http://localhost:11434', model = 'gemma4', OllamaModelcontextLength: savedContextLength, temperature: temp, top_p: topP, top_k: topK } = config.ollamaConfig || {};
+      const generateOptions = clampOllamaOptions({ temperature: temp, top_p: topP, top_k: topK });
+      const taxonomy = await readReviewTaxonomy();
+      
+      dbgLog(`Using Ollama at ${url} with model ${model}`);
+      
+      // Single prompt: instructions + patch (split so we can fit the patch to the context length)
+      let { promptBeforePatch, promptAfterPatch } = buildReviewPrompt(language, reviewRules, prContext, null, contextFiles, taxonomy);
+      const getMaxPatchChars = () => {
+        const promptTokens = Math.ceil((promptBeforePatch.length + promptAfterPatch.length + CHUNK_NOTE_RESERVED_CHARS) / CHARS_PER_TOKEN);
+        return Math.max(0, savedContextLength - RESERVED_RESPONSE_TOKENS - promptTokens) * CHARS_PER_TOKEN;
+      };
+
+      // The patch comes first: context files are left out when both do not fit
+      const hasContextLength = savedContextLength != null && savedContextLength > 0;
+      const contextFilesOmitted = Array.isArray(contextFiles) && contextFiles.length > 0
+        && hasContextLength && patchContent.length > getMaxPatchChars();
+      if (contextFilesOmitted) {
+        ({ promptBeforePatch, promptAfterPatch } = buildReviewPrompt(language, reviewRules, prContext, null, null, taxonomy));
+        dbgLog('Context files left out to fit the patch:', { savedContextLength });
+      }
+
+      // Fit the patch to the model context when OllamaModelcontextLength is saved (Ollama only):
+      // review it in parts, or truncate it when the context is too small for parts to help
       let patchToUse = patchContent;
-      if (savedContextLength != null && savedContextLength > 0) {
-        const promptTokens = Math.ceil((promptBeforePatch.length + promptAfterPatch.length) / CHARS_PER_TOKEN);
-        const maxPatchTokens = Math.max(0, savedContextLength - RESERVED_RESPONSE_TOKENS - promptTokens);
-        const maxPatchChars = maxPatchTokens * CHARS_PER_TOKEN;
+      let chunks = null;
+      if (hasContextLength) {
+        const maxPatchChars = getMaxPatchChars();
         if (patchContent.length > maxPatchChars) {
-          patchToUse = patchContent.substring(0, maxPatchChars) + '\n\n... (truncated for context limit)';
-          dbgLog('Patch truncated to fit context:', { savedContextLength, maxPatchChars, originalLength: patchContent.length });
+          if (maxPatchChars >= MIN_CHUNK_CHARS) {
+            chunks = splitPatchIntoChunks(patchContent, maxPatchChars);
+            dbgLog('Patch split to fit context:', { savedContextLength, maxPatchChars, chunkCount: chunks.length });
+          } else {
+            patchToUse = patchContent.substring(0, maxPatchChars) + '\n\n... (truncated for context limit)';
+            dbgLog('Patch truncated to fit context:', { savedContextLength, maxPatchChars, originalLength: patchContent.length });
+          }
         }
       }
 
+      if (chunks && chunks.length > 1) {
+        const result = await OllamaService.reviewPatchInChunks(chunks, patchContent.length, {
+          url, model, language, reviewRules, prContext, taxonomy, generateOptions, signal: stream.signal
+        });
+        return contextFilesOmitted ? { ...result, ollamaMeta: { ...result.ollamaMeta, contextFilesOmitted } } : result;
+      }
+
       const prompt = promptBeforePatch + patchToUse + promptAfterPatch;
 
       // Metadata for integrated review panel (patch size, truncation, model)
@@ -87,136 +387,24 @@ Important: Respond ONLY with valid JSON. Do not include any explanatory text bef
       const patchSentChars = patchToUse.length;
       const wasTruncated = patchContent.length > patchToUse.length;
       const ollamaMeta = { patchSizeChars, patchSentChars, wasTruncated, model };
-
-      // Structured output schema so Ollama returns valid JSON matching our review format
-      const reviewFormatSchema = {
-        type: 'object',
-        properties: {
-          summary: { type: 'string' },
-          suggestions: {
-            type: 'array',
-            items: { type: 'string' }
-          },
-          securityIssues: {
-            type: 'array',
-            items: { type: 'string' }
-          },
-          suggestedQuestions: {
-            type: 'array',
-            items: { type: 'string' }
-          },
-          metrics: {
-            type: 'object',
-            properties: {
-              overallScore: { type: 'integer' , min :'0' , max:'100' },
-              codeQuality: { type: 'integer' },
-              securityScore: { type: 'integer' },
-              bestPracticesScore: { type: 'integer' }
-            },
-            required: ['overallScore', 'codeQuality', 'securityScore', 'bestPracticesScore']
-          }
-        },
-        required: ['summary', 'suggestions', 'securityIssues', 'suggestedQuestions', 'metrics']
-      };
-
-      // Initial review: single-shot → use /api/generate (system + prompt)
-      const response = await fetch(`${url}/api/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: model,
-          prompt: prompt,
-          stream: false,
-          format: reviewFormatSchema,
-          options: {
-            temperature: tempClamped,
-            top_p: topPClamped,
-            top_k: topKClamped,
-          }
-        })
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Ollama API error (${response.status}): ${errorText}`);
+      if (contextFilesOmitted) {
+        ollamaMeta.contextFilesOmitted = true;
       }
 
-      const data = await response.json();
-      dbgLog('Ollama raw response received:', {
-        hasResponse: !!data?.response,
-        responseLength: data?.response?.length || 0
-      });
-
-      const reviewText = data.response ?? '';
+      const reviewText = await generate(url, model, prompt, REVIEW_FORMAT_SCHEMA, generateOptions, stream);
       
       // Try to parse as JSON
       try {
-        // Look for JSON content in the response (sometimes models wrap it in markdown)
-        const jsonMatch = reviewText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          const parsedReview = JSON.parse(jsonMatch[0]);
-          dbgLog('Successfully parsed JSON review:', parsedReview);
-          
-          // Map Ollama response to match the UI's expected format (supports structured-output shape and legacy shape)
-          const suggestions = [];
-          if (parsedReview.suggestions && Array.isArray(parsedReview.suggestions)) {
-            parsedReview.suggestions.forEach(s => {
-              if (typeof s === 'string') suggestions.push(s);
-              else if (s && typeof s === 'object' && s.description) suggestions.push(`[${s.type?.toUpperCase() || 'TIP'}] ${s.description} (${s.file || ''}:${s.line || ''})`);
-            });
-          }
-          if (suggestions.length === 0 && parsedReview.issues && Array.isArray(parsedReview.issues)) {
-            parsedReview.issues.forEach(issue => {
-              suggestions.push(`[${issue.severity?.toUpperCase() || 'INFO'}] ${issue.description} (${issue.file}:${issue.line})`);
-            });
-          }
-
-          const securityIssues = [];
-          if (parsedReview.securityIssues && Array.isArray(parsedReview.securityIssues)) {
-            parsedReview.securityIssues.forEach(s => securityIssues.push(String(s)));
-          }
-          if (securityIssues.length === 0 && parsedReview.security && Array.isArray(parsedReview.security)) {
-            parsedReview.security.forEach(sec => {
-              securityIssues.push(`[${sec.severity?.toUpperCase() || 'WARNING'}] ${sec.description}\n**Recommendation:** ${sec.recommendation || 'Review and address this concern.'}`);
-            });
-          }
-
-          const bestPractices = Array.isArray(parsedReview.positives) ? parsedReview.positives : (Array.isArray(parsedReview.bestPractices) ? parsedReview.bestPractices : []);
-          
-          // Get metrics (with fallback to reasonable defaults matching Gemini format)
-          const metrics = parsedReview.metrics || {
-            overallScore: 75,
-            codeQuality: 75,
-            securityScore: 85,
-            bestPracticesScore: 75
-          };
-          
-          // Get suggested questions (with fallback)
-          const suggestedQuestions = parsedReview.suggestedQuestions || [
-            "How does this change affect existing functionality?",
-            "Are there any edge cases we should consider?",
-            "What testing strategy would you recommend?"
-          ];
-          
-          // Return in the format expected by the content.js (matching Cloud API format)
-          return {
-            status: 'success',
-            review: {
-              summary: parsedReview.summary || 'Code review completed',
-              suggestions: suggestions,
-              securityIssues: securityIssues,
-              bestPractices: bestPractices,
-              metrics: metrics,
-              suggestedQuestions: suggestedQuestions,
-              provider: 'ollama',
-              model: model
-            },
-            raw: parsedReview, // Keep original for debugging
-            ollamaMeta
-          };
-        } else {
-          throw new Error('No JSON found in response');
-        }
+        const parsedReview = extractJson(reviewText);
+        dbgLog('Successfully parsed JSON review:', parsedReview);
+        
+        // Return in the format expected by the content.js (matching Cloud API format)
+        return {
+          status: 'success',
+          review: normalizeReview(parsedReview, model, taxonomy),
+          raw: parsedReview, // Keep original for debugging
+          ollamaMeta
+        };
       } catch (parseError) {
         dbgWarn('Failed to parse JSON response, using fallback structure:', parseError);
         
@@ -248,19 +436,58 @@ Important: Respond ONLY with valid JSON. Do not include any explanatory text bef
         };
       }
     } catch (error) {
+      // A cancelled request is not an Ollama failure
+      if (error.name === 'AbortError') throw error;
       dbgWarn('Error reviewing code with Ollama:', error);
       
       // Provide helpful error messages
       if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-        throw new Error(`Cannot connect to Ollama at the configured URL. Please ensure Ollama is running and accessible.\n\nTroubleshooting:\n1. Check if Ollama is running: 'ollama serve'\n2. Verify the URL in settings\n3. Try accessing ${error.url || 'http://localhost:11434'} in your browser`);
+        throw new Error(`Cannot connect to Ollama at the configured URL. Please ensure Ollama is running and accessible.\n\nTroubleshooting:\n1. Check if Ollama is running: 'ollama serve'\n2. Verify the URL in settings\n3. Try accessing ${error.url || 'http://localhost:11434'} in your browser`, { cause: error });
       } else if (error.message.includes('model')) {
-        throw new Error(`Model error: ${error.message}\n\nMake sure the selected model is installed.\nRun: ollama pull ${error.model || 'gemma4'}`);
+        throw new Error(`Model error: ${error.message}\n\nMake sure the selected model is installed.\nRun: ollama pull ${error.model || 'gemma4'}`, { cause: error });
       } else {
-        throw new Error(`Ollama error: ${error.message}`);
+        throw new Error(`Ollama error: ${error.message}`, { cause: error });
       }
     }
   }
 
+  /**
+   * Review a patch that exceeds the context window part by part, then merge the part reviews
+   * with a final summarization pass. At most MAX_REVIEW_CHUNKS parts are reviewed.
+   * @param {string[]} chunks - Parts from splitPatchIntoChunks()
+   * @param {number} patchSizeChars - Size of the whole patch
+   * @param {Object} params - { url, model, language, reviewRules, prContext, taxonomy, generateOptions, signal }
+   * @returns {Promise<Object>} - Code review results
+   */
+  static async reviewPatchInChunks(chunks, patchSizeChars, { url, model, language, reviewRules, prContext = null, taxonomy = normalizeReviewTaxonomy(null), generateOptions, signal = null }) {
+    const reviewedChunks = chunks.slice(0, MAX_REVIEW_CHUNKS);
+    const { review, chunkCount, failedChunkCount } = await runChunkedReview({
+      chunks: reviewedChunks,
+      language,
+      signal,
+      reviewChunk: async (chunk, index, total) => {
+        const { promptBeforePatch, promptAfterPatch } = buildReviewPrompt(language, reviewRules, prContext, buildChunkNote(index, total), null, taxonomy);
+        const reviewText = await generate(url, model, promptBeforePatch + chunk + promptAfterPatch, REVIEW_FORMAT_SCHEMA, generateOptions, { signal });
+        return normalizeReview(extractJson(reviewText), model, taxonomy);
+      },
+      summarize: async (prompt) => extractJson(await generate(url, model, prompt, CHUNK_SUMMARY_SCHEMA, generateOptions, { signal }))
+    });
+
+    const wasTruncated = chunks.length > reviewedChunks.length;
+    return {
+      status: 'success',
+      review: { ...review, provider: 'ollama', model },
+      ollamaMeta: {
+        patchSizeChars,
+        patchSentChars: wasTruncated ? reviewedChunks.reduce((total, chunk) => total + chunk.length, 0) : patchSizeChars,
+        wasTruncated,
+        model,
+        chunkCount,
+        failedChunkCount
+      }
+    };
+  }
+
   /**
    * Get conversational response for follow-up questions
    * @param {string} patchContent - The patch content in git diff format
@@ -268,9 +495,11 @@ Important: Respond ONLY with valid JSON. Do not include any explanatory text bef
    * @param {string} [language] - Optional language preference for the response
    * @param {string} [mrId] - Optional merge request ID for tracking
    * @param {string} [mrUrl] - Optional merge request URL
+   * @param {Object} [stream] - { onToken, signal, repoTools }: stream the response text / abort the request /
+   *   let the model call the repository tools ({ definitions, runTool }, utils/repo-tools.js)
    * @returns {Promise<Object>} - Conversational response
    */
-  static async getConversationalResponse(patchContent, conversationHistory, language = 'English', mrId = null, mrUrl = null) {
+  static async getConversationalResponse(patchContent, conversationHistory, language = 'English', mrId = null, mrUrl = null, { onToken = null, signal = null, repoTools = null } = {}) {
     dbgLog('Getting conversational response from Ollama');
     
     if (!patchContent || !conversationHistory || conversationHistory.length === 0) {
@@ -337,31 +566,58 @@ Your role is to answer questions about this code review in a helpful, concise ma
         }
       ];
 
-      const response = await fetch(`${url}/api/chat`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const baseSystemContent = messages[0].content;
+      let offerTools = !!repoTools?.definitions?.length;
+      if (offerTools) {
+        messages[0] = { ...messages[0], content: `${baseSystemContent}\n\n${REPO_TOOLS_SYSTEM_PROMPT}` };
+      }
+
+      let responseContent = '';
+      for (let round = 0; ; round++) {
+        // No tools in the last round: the model has to answer
+        const toolsThisRound = offerTools && round < MAX_TOOL_ROUNDS;
+        const body = {
           model: model,
           messages,
-          stream: false,
           think: false,
           options: {
             temperature: tempClamped,
             top_p: topPClamped,
             top_k: topKClamped
+          },
+          ...(toolsThisRound ? { tools: repoTools.definitions } : {})
+        };
+
+        let result;
+        try {
+          result = await chat(url, body, { onToken, signal });
+        } catch (error) {
+          // Models without tool support answer 400 "... does not support tools"
+          if (toolsThisRound && round === 0 && error.status === 400 && !signal?.aborted) {
+            dbgWarn('Ollama model does not support tools, answering without them');
+            offerTools = false;
+            messages[0] = { ...messages[0], content: baseSystemContent };
+            result = await chat(url, { ...body, tools: undefined }, { onToken, signal });
+          } else {
+            throw error;
           }
-        })
-      });
+        }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Ollama API error (${response.status}): ${errorText}`);
-      }
+        const toolCalls = offerTools && round < MAX_TOOL_ROUNDS ? result.toolCalls : [];
+        if (toolCalls.length === 0) {
+          responseContent = result.text;
+          break;
+        }
 
-      const data = await response.json();
+        messages.push({ role: 'assistant', content: result.text, tool_calls: toolCalls });
+        for (const call of toolCalls) {
+          const name = call.function?.name;
+          const output = await repoTools.runTool(name, parseToolArguments(call.function?.arguments));
+          messages.push({ role: 'tool', content: output, tool_name: name });
+        }
+      }
       dbgLog('Ollama conversational response received');
 
-      const responseContent = data.message?.content ?? data.response ?? '';
       return {
         response: responseContent || 'No response generated',
         provider: 'ollama',
@@ -369,13 +625,14 @@ Your role is to answer questions about this code review in a helpful, concise ma
       };
       
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       dbgWarn('Error getting conversational response from Ollama:', error);
       
       // Provide helpful error messages
       if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-        throw new Error(`Cannot connect to Ollama. Please ensure Ollama is running and accessible.\n\nTroubleshooting:\n1. Check if Ollama is running: 'ollama serve'\n2. Verify the URL in settings`);
+        throw new Error(`Cannot connect to Ollama. Please ensure Ollama is running and accessible.\n\nTroubleshooting:\n1. Check if Ollama is running: 'ollama serve'\n2. Verify the URL in settings`, { cause: error });
       } else {
-        throw new Error(`Ollama error: ${error.message}`);
+        throw new Error(`Ollama error: ${error.message}`, { cause: error });
       }
     }
   }
@@ -0,0 +1,186 @@
+// openai-compatible-service.js
+// Reviews and chat with a self-run OpenAI-compatible server (vLLM, LM Studio, llama.cpp server...).
+// Settings are stored under openaiCompatibleConfig: { baseUrl, apiKey?, model, contextLength? }.
+import { dbgLog, dbgWarn } from '../utils/logger.js';
+import { normalizeOpenAICompatibleBaseUrl } from '../utils/openai-compatible.js';
+import {
+  reviewPatchWithChatCompletions,
+  chatWithChatCompletions,
+  listChatCompletionModels
+} from './chat-completions.js';
+
+const PROVIDER_ID = 'openai-compatible';
+
+function getStoredOpenAICompatibleConfig() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['openaiCompatibleConfig'], (result) => {
+      resolve(result?.openaiCompatibleConfig || {});
+    });
+  });
+}
+
+/**
+ * Endpoint for services/chat-completions.js. The API key is optional: most self-run servers
+ * accept requests without one, so no Authorization header is sent when it is empty.
+ * @param {string} baseUrl - Normalized base URL
+ * @param {string} [apiKey]
+ */
+function getOpenAICompatibleEndpoint(baseUrl, apiKey = '') {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+  return { baseUrl, headers, provider: PROVIDER_ID };
+}
+
+/**
+ * Read and validate the stored settings used for reviews and chat.
+ * @returns {Promise<{ baseUrl: string, apiKey: string, model: string, contextLength: number|null }>}
+ */
+async function resolveOpenAICompatibleSettings() {
+  const config = await getStoredOpenAICompatibleConfig();
+  const baseUrl = normalizeOpenAICompatibleBaseUrl(config.baseUrl);
+  const model = config.model?.trim();
+
+  if (!baseUrl) {
+    throw new Error('OpenAI-compatible server URL is missing or invalid. Open the extension settings and save the server URL first.');
+  }
+  if (!model) {
+    throw new Error('OpenAI-compatible model is missing. Open the extension settings and select a model first.');
+  }
+
+  return {
+    baseUrl,
+    apiKey: config.apiKey?.trim() || '',
+    model,
+    contextLength: Number(config.contextLength) || null
+  };
+}
+
+function toOpenAICompatibleError(error, baseUrl) {
+  if (error.status === 401 || error.status === 403) {
+    return new Error('The OpenAI-compatible server rejected the API key. Please check the key in extension settings and save again.', { cause: error });
+  }
+  if (error.name === 'TypeError') {
+    return new Error(`Cannot reach the OpenAI-compatible server at ${baseUrl}. Check that it is running and reachable from this browser.`, { cause: error });
+  }
+  return new Error(`OpenAI-compatible server error: ${error.message}`, { cause: error });
+}
+
+export class OpenAICompatibleService {
+  /**
+   * @param {string} patchContent
+   * @param {string} [language]
+   * @param {string} [mrId]
+   * @param {string} [mrUrl]
+   * @param {Object|null} [reviewRules] - Repository rules (utils/review-rules.js) added to the prompt
+   * @param {Object|null} [prContext] - Pull request details (utils/pr-context.js) added to the prompt
+   * @param {Array<Object>|null} [contextFiles] - Full file contents (utils/expanded-context.js) added to the prompt
+   * @param {Object} [stream] - { onToken, signal }: stream the review text (not for reviews in parts) / abort the request
+   */
+  static async reviewPatchCode(patchContent, language = 'English', mrId = null, mrUrl = null, reviewRules = null, prContext = null, contextFiles = null, stream = {}) {
+    dbgLog('Sending patch for code review via OpenAI-compatible server');
+
+    if (!patchContent) {
+      dbgWarn('Cannot review code: Missing patch content');
+      throw new Error('Missing patch content');
+    }
+
+    const { baseUrl, apiKey, model, contextLength } = await resolveOpenAICompatibleSettings();
+
+    try {
+      const { meta, ...result } = await reviewPatchWithChatCompletions(getOpenAICompatibleEndpoint(baseUrl, apiKey), {
+        patchContent, language, reviewRules, prContext, contextFiles, model, contextLength
+      }, stream);
+      return { ...result, openaiCompatibleMeta: meta };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      dbgWarn('Error reviewing code with OpenAI-compatible server:', error);
+      throw toOpenAICompatibleError(error, baseUrl);
+    }
+  }
+
+  /**
+   * @param {string} patchContent
+   * @param {Array<Object>} conversationHistory
+   * @param {string} [language]
+   * @param {string} [mrId]
+   * @param {string} [mrUrl]
+   * @param {Object} [stream] - { onToken, signal, repoTools }: stream the response text / abort the request /
+   *   let the model call the repository tools (utils/repo-tools.js)
+   */
+  static async getConversationalResponse(patchContent, conversationHistory, language = 'English', mrId = null, mrUrl = null, stream = {}) {
+    dbgLog('Getting conversational response from OpenAI-compatible server');
+
+    if (!patchContent || !conversationHistory || conversationHistory.length === 0) {
+      throw new Error('Missing patch content or conversation history');
+    }
+
+    const { baseUrl, apiKey, model, contextLength } = await resolveOpenAICompatibleSettings();
+
+    try {
+      const responseContent = await chatWithChatCompletions(getOpenAICompatibleEndpoint(baseUrl, apiKey), {
+        patchContent, conversationHistory, language, model, contextLength
+      }, stream);
+      return {
+        response: responseContent || 'No response generated',
+        provider: PROVIDER_ID,
+        model
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      dbgWarn('Error getting conversational response from OpenAI-compatible server:', error);
+      throw toOpenAICompatibleError(error, baseUrl);
+    }
+  }
+
+  /**
+   * Check that the server answers GET /models with the given settings.
+   * @param {string} baseUrlInput - Server URL as entered (normalized here)
+   * @param {string} [apiKey]
+   * @returns {Promise<{ connected: boolean, error: string|null, isAuthError: boolean, modelCount?: number }>}
+   */
+  static async checkConnection(baseUrlInput, apiKey = '') {
+    const { models, error, isAuthError } = await OpenAICompatibleService.getAvailableModels(baseUrlInput, apiKey);
+    if (error) {
+      return { connected: false, error, isAuthError };
+    }
+    return { connected: true, error: null, isAuthError: false, modelCount: models.length };
+  }
+
+  /**
+   * List the models served at the base URL (GET /v1/models).
+   * @param {string} baseUrlInput - Server URL as entered (normalized here)
+   * @param {string} [apiKey]
+   * @returns {Promise<{ models: Array<{ id: string, name: string, context_length?: number }>, error: string|null, isAuthError: boolean }>}
+   */
+  static async getAvailableModels(baseUrlInput, apiKey = '') {
+    const baseUrl = normalizeOpenAICompatibleBaseUrl(baseUrlInput);
+    if (!baseUrl) {
+      return { models: [], error: 'Server URL is missing or invalid', isAuthError: false };
+    }
+
+    try {
+      dbgLog('Fetching models from OpenAI-compatible server:', baseUrl);
+      const entries = await listChatCompletionModels(getOpenAICompatibleEndpoint(baseUrl, String(apiKey || '').trim()));
+      // vLLM reports max_model_len, llama.cpp server meta.n_ctx_train; LM Studio reports none
+      const models = entries
+        .filter((model) => model?.id)
+        .map((model) => ({
+          id: model.id,
+          name: model.name || model.id,
+          context_length: Number(model.context_length || model.max_model_len || model.meta?.n_ctx_train) || undefined
+        }));
+
+      dbgLog(`Found ${models.length} models on OpenAI-compatible server`);
+      return { models, error: null, isAuthError: false };
+    } catch (error) {
+      dbgWarn('Error fetching models from OpenAI-compatible server:', error);
+      return {
+        models: [],
+        error: error.message || String(error),
+        isAuthError: error.status === 401 || error.status === 403
+      };
+    }
+  }
+}
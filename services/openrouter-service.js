@@ -1,11 +1,14 @@
 import { dbgLog, dbgWarn } from '../utils/logger.js';
+import {
+  postChatCompletion,
+  reviewPatchWithChatCompletions,
+  chatWithChatCompletions,
+  listChatCompletionModels
+} from './chat-completions.js';
 
 const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
 const OPENROUTER_APP_URL = 'https://thinkreview.dev';
 const OPENROUTER_APP_TITLE = 'ThinkReview';
-const OPENROUTER_REVIEW_MAX_TOKENS_BUDGET = 4096;
-const OPENROUTER_CONVERSATION_MAX_TOKENS_BUDGET = 2048;
-const OPENROUTER_RESERVED_RESPONSE_TOKENS = 1024;
 
 function getStoredOpenRouterConfig() {
   return new Promise((resolve) => {
@@ -24,185 +27,24 @@ async function resolveOpenRouterApiKey(apiKeyOverride = null) {
   return config.apiKey?.trim() || '';
 }
 
-function getRequestHeaders(apiKey) {
+function getOpenRouterEndpoint(apiKey) {
   return {
-    Authorization: `Bearer ${apiKey}`,
-    'HTTP-Referer': OPENROUTER_APP_URL,
-    'X-OpenRouter-Title': OPENROUTER_APP_TITLE,
-    'Content-Type': 'application/json'
-  };
-}
-
-function buildReviewPrompt(patchContent, language) {
-  const promptBeforePatch = `You are an expert code reviewer. Analyze this git patch and provide a comprehensive code review in ${language}.
-
-You MUST provide a comprehensive code review with the following sections:
-1. Summary: an explanatory high level, 1 up to 7 numbered bullet points with an extra line separator between each point - depending on the code's purpose and design, you mention and summarize every change in the patch.
-2. Suggestions: An array of strings containing specific, actionable recommendations to directly improve the provided code , be well descriptive and focus on critical issues . If none, this MUST be an empty array ([]).
-3. Security Issues: An array of strings identifying potential security vulnerabilities (e.g., injection risks, hardcoded secrets, insecure dependencies). If none, this MUST be an empty array.
-4. Suggested Follow-up Questions: An array containing exactly 3 relevant, insightful follow-up questions a developer might ask to deepen their understanding of the underlying principles related to the review feedback.
-5. Metrics: An object containing scores from 0-100 (overallScore, codeQuality, securityScore, bestPracticesScore).
-
-You MUST format your response as VALID JSON with this structure:
-{
-  "summary": "Brief summary of the changes",
-  "suggestions": ["Suggestion 1", "Suggestion 2", ...],
-  "securityIssues": ["Security issue 1", "Security issue 2", ...],
-  "suggestedQuestions": ["Question 1?", "Question 2?", "Question 3?"],
-  "metrics": {
-    "overallScore": 85,
-    "codeQuality": 80,
-    "securityScore": 90,
-    "bestPracticesScore": 85
-  }
-}
-
-Import rules:
-- Return ONLY valid JSON, no markdown formatting, no code blocks, no explanations.
-- All metric scores should be 0-100. Provide at least 3 code suggestions. Provide exactly 3 follow-up questions.
-
-Here is the patch to review:
-
-`;
-  const promptAfterPatch = `
-
-Important: Respond ONLY with valid JSON. Do not include any explanatory text before or after the JSON.`;
-
-  return {
-    promptBeforePatch,
-    promptAfterPatch,
-    prompt: `${promptBeforePatch}${patchContent}${promptAfterPatch}`
-  };
-}
-
-function buildConversationMessages(patchContent, conversationHistory, language) {
-  const systemContext = `You are an expert code reviewer. The following code patch is being discussed:\n\nCODE PATCH (Git Diff Format):\n\`\`\`\n${patchContent}\n\`\`\`\n\nYour role is to answer questions about this code review in a helpful, concise manner using Markdown formatting.`;
-
-  const languageInstruction = language && language !== 'English'
-    ? `\n\nIMPORTANT: You MUST respond entirely in ${language}. Your entire response must be written in ${language}.`
-    : '';
-
-  const lastUserMessage = conversationHistory[conversationHistory.length - 1];
-  if (!lastUserMessage || lastUserMessage.role !== 'user') {
-    throw new Error('The last message in the history must be from the user');
-  }
-
-  return [
-    { role: 'system', content: systemContext },
-    ...conversationHistory.slice(0, -1).map((message) => ({
-      role: message.role === 'user' ? 'user' : 'assistant',
-      content: message.content
-    })),
-    {
-      role: 'user',
-      content: lastUserMessage.content + (languageInstruction ? `\n\n${languageInstruction}` : '') + '\n\nKeep your response concise and well-formatted using Markdown.'
-    }
-  ];
-}
-
-function estimatePromptTokensFromMessages(messages) {
-  const totalCharacters = Array.isArray(messages)
-    ? messages.reduce((total, message) => total + String(message?.content || '').length, 0)
-    : 0;
-
-  return Math.ceil(totalCharacters / 2);
-}
-
-function resolveOpenRouterMaxTokens(contextLength, promptTokens, fallbackBudget) {
-  const parsedBudget = Number(fallbackBudget);
-  const budget = Number.isFinite(parsedBudget) && parsedBudget > 0
-    ? Math.floor(parsedBudget)
-    : 1024;
-  const parsedContextLength = Number(contextLength);
-  const parsedPromptTokens = Number(promptTokens);
-
-  if (Number.isFinite(parsedContextLength) && parsedContextLength > 0) {
-    const availableTokens = Math.max(
-      1,
-      parsedContextLength - OPENROUTER_RESERVED_RESPONSE_TOKENS - (Number.isFinite(parsedPromptTokens) && parsedPromptTokens > 0 ? Math.floor(parsedPromptTokens) : 0)
-    );
-    return Math.max(1, Math.min(availableTokens, budget));
-  }
-
-  return budget;
-}
-
-function extractJsonFromText(text) {
-  const match = text.match(/\{[\s\S]*\}/);
-  if (!match) {
-    throw new Error('No JSON found in response');
-  }
-  return JSON.parse(match[0]);
-}
-
-function normalizeReview(parsedReview, model) {
-  const suggestions = [];
-  if (Array.isArray(parsedReview.suggestions)) {
-    parsedReview.suggestions.forEach((suggestion) => {
-      if (typeof suggestion === 'string') {
-        suggestions.push(suggestion);
-      } else if (suggestion && typeof suggestion === 'object' && suggestion.description) {
-        suggestions.push(`[${suggestion.type?.toUpperCase() || 'TIP'}] ${suggestion.description} (${suggestion.file || ''}:${suggestion.line || ''})`);
-      }
-    });
-  }
-  if (suggestions.length === 0 && Array.isArray(parsedReview.issues)) {
-    parsedReview.issues.forEach((issue) => {
-      suggestions.push(`[${issue.severity?.toUpperCase() || 'INFO'}] ${issue.description} (${issue.file}:${issue.line})`);
-    });
-  }
-
-  const securityIssues = [];
-  if (Array.isArray(parsedReview.securityIssues)) {
-    parsedReview.securityIssues.forEach((securityIssue) => securityIssues.push(String(securityIssue)));
-  }
-  if (securityIssues.length === 0 && Array.isArray(parsedReview.security)) {
-    parsedReview.security.forEach((securityItem) => {
-      securityIssues.push(`[${securityItem.severity?.toUpperCase() || 'WARNING'}] ${securityItem.description}\n**Recommendation:** ${securityItem.recommendation || 'Review and address this concern.'}`);
-    });
-  }
-
-  const bestPractices = Array.isArray(parsedReview.positives)
-    ? parsedReview.positives
-    : (Array.isArray(parsedReview.bestPractices) ? parsedReview.bestPractices : []);
-
-  return {
-    summary: parsedReview.summary || 'Code review completed',
-    suggestions,
-    securityIssues,
-    bestPractices,
-    metrics: parsedReview.metrics || {
-      overallScore: 75,
-      codeQuality: 75,
-      securityScore: 85,
-      bestPracticesScore: 75
+    baseUrl: OPENROUTER_BASE_URL,
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'HTTP-Referer': OPENROUTER_APP_URL,
+      'X-OpenRouter-Title': OPENROUTER_APP_TITLE,
+      'Content-Type': 'application/json'
     },
-    suggestedQuestions: parsedReview.suggestedQuestions || [
-      'How does this change affect existing functionality?',
-      'Are there any edge cases we should consider?',
-      'What testing strategy would you recommend?'
-    ],
-    provider: 'openrouter',
-    model
+    provider: 'openrouter'
   };
 }
 
-async function performOpenRouterRequest(path, body, apiKey) {
-  const response = await fetch(`${OPENROUTER_BASE_URL}${path}`, {
-    method: 'POST',
-    headers: getRequestHeaders(apiKey),
-    body: JSON.stringify(body),
-    signal: AbortSignal.timeout(120000)
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    const error = new Error(`OpenRouter API error (${response.status}): ${errorText}`);
-    error.status = response.status;
-    throw error;
+function toOpenRouterError(error) {
+  if (error.status === 401) {
+    return new Error('OpenRouter rejected the API key. Please check the key in extension settings and save again.', { cause: error });
   }
-
-  return response.json();
+  return new Error(`OpenRouter error: ${error.message}`, { cause: error });
 }
 
 export class OpenRouterService {
@@ -234,7 +76,7 @@ export class OpenRouterService {
     };
 
     try {
-      const data = await performOpenRouterRequest('/chat/completions', requestBody, apiKey);
+      const data = await postChatCompletion(getOpenRouterEndpoint(apiKey), requestBody);
       const responseContent = data.choices?.[0]?.message?.content ?? '';
 
       return {
@@ -251,7 +93,17 @@ export class OpenRouterService {
     }
   }
 
-  static async reviewPatchCode(patchContent, language = 'English', mrId = null, mrUrl = null) {
+  /**
+   * @param {string} patchContent
+   * @param {string} [language]
+   * @param {string} [mrId]
+   * @param {string} [mrUrl]
+   * @param {Object|null} [reviewRules] - Repository rules (utils/review-rules.js) added to the prompt
+   * @param {Object|null} [prContext] - Pull request details (utils/pr-context.js) added to the prompt
+   * @param {Array<Object>|null} [contextFiles] - Full file contents (utils/expanded-context.js) added to the prompt
+   * @param {Object} [stream] - { onToken, signal }: stream the review text (not for reviews in parts) / abort the request
+   */
+  static async reviewPatchCode(patchContent, language = 'English', mrId = null, mrUrl = null, reviewRules = null, prContext = null, contextFiles = null, stream = {}) {
     dbgLog('Sending patch for code review via OpenRouter');
 
     if (!patchContent) {
@@ -271,100 +123,29 @@ export class OpenRouterService {
       throw new Error('OpenRouter model is missing. Open the extension settings and select a model first.');
     }
 
-    const { promptBeforePatch, promptAfterPatch } = buildReviewPrompt(patchContent, language);
-
-    const patchSizeChars = patchContent.length;
-    const openrouterMeta = {
-      patchSizeChars,
-      patchSentChars: patchSizeChars,
-      wasTruncated: false,
-      model
-    };
-
-    const reviewMessages = [
-      {
-        role: 'system',
-        content: 'You are an expert code reviewer. Return only valid JSON that matches the requested schema.'
-      },
-      {
-        role: 'user',
-        content: `${promptBeforePatch}${patchContent}${promptAfterPatch}`
-      }
-    ];
-    const maxTokens = resolveOpenRouterMaxTokens(
-      contextLength,
-      estimatePromptTokensFromMessages(reviewMessages),
-      OPENROUTER_REVIEW_MAX_TOKENS_BUDGET
-    );
-    dbgLog('OpenRouter max_tokens resolved for review:', {
-      contextLength,
-      budget: OPENROUTER_REVIEW_MAX_TOKENS_BUDGET,
-      maxTokens
-    });
-
-    const requestBody = {
-      model,
-      messages: reviewMessages,
-      stream: false,
-      temperature: 0.2,
-      max_tokens: maxTokens
-    };
-
     try {
-      const data = await performOpenRouterRequest('/chat/completions', requestBody, apiKey);
-      dbgLog('OpenRouter raw response received:', {
-        hasChoices: Array.isArray(data?.choices),
-        choiceCount: data?.choices?.length || 0
-      });
-
-      const reviewText = data.choices?.[0]?.message?.content ?? '';
-      try {
-        const parsedReview = extractJsonFromText(reviewText);
-        return {
-          status: 'success',
-          review: normalizeReview(parsedReview, model),
-          raw: parsedReview,
-          provider: 'openrouter',
-          openrouterMeta
-        };
-      } catch (parseError) {
-        dbgWarn('Failed to parse OpenRouter JSON response, using fallback structure:', parseError);
-        return {
-          status: 'success',
-          review: {
-            summary: reviewText.substring(0, 500) + (reviewText.length > 500 ? '...' : ''),
-            suggestions: ['Review the full text response for detailed feedback'],
-            securityIssues: [],
-            bestPractices: [],
-            metrics: {
-              overallScore: 75,
-              codeQuality: 75,
-              securityScore: 85,
-              bestPracticesScore: 75
-            },
-            suggestedQuestions: [
-              'Can you explain this change in more detail?',
-              'What are the potential risks?',
-              'How should this be tested?'
-            ],
-            provider: 'openrouter',
-            model,
-            note: 'Model did not return structured JSON. See raw response below.'
-          },
-          rawResponse: reviewText,
-          openrouterMeta
-        };
-      }
+      const { meta, ...result } = await reviewPatchWithChatCompletions(getOpenRouterEndpoint(apiKey), {
+        patchContent, language, reviewRules, prContext, contextFiles, model, contextLength
+      }, stream);
+      return { ...result, openrouterMeta: meta };
     } catch (error) {
+      // A cancelled request is not an OpenRouter failure
+      if (error.name === 'AbortError') throw error;
       dbgWarn('Error reviewing code with OpenRouter:', error);
-      if (error.status === 401) {
-        throw new Error('OpenRouter rejected the API key. Please check the key in extension settings and save again.');
-      }
-      throw new Error(`OpenRouter error: ${error.message}`);
+      throw toOpenRouterError(error);
     }
   }
 
-  static async getConversationalResponse(patchContent, conversationHistory, language = 'English', mrId = null, mrUrl = null) {
+  /**
+   * @param {string} patchContent
+   * @param {Array<Object>} conversationHistory
+   * @param {string} [language]
+   * @param {string} [mrId]
+   * @param {string} [mrUrl]
+   * @param {Object} [stream] - { onToken, signal, repoTools }: stream the response text / abort the request /
+   *   let the model call the repository tools (utils/repo-tools.js)
+   */
+  static async getConversationalResponse(patchContent, conversationHistory, language = 'English', mrId = null, mrUrl = null, stream = {}) {
     dbgLog('Getting conversational response from OpenRouter');
 
     if (!patchContent || !conversationHistory || conversationHistory.length === 0) {
@@ -383,41 +164,19 @@ export class OpenRouterService {
       throw new Error('OpenRouter model is missing. Open the extension settings and select a model first.');
     }
 
-    const messages = buildConversationMessages(patchContent, conversationHistory, language);
-
-    const maxTokens = resolveOpenRouterMaxTokens(
-      contextLength,
-      estimatePromptTokensFromMessages(messages),
-      OPENROUTER_CONVERSATION_MAX_TOKENS_BUDGET
-    );
-    dbgLog('OpenRouter max_tokens resolved for conversation:', {
-      contextLength,
-      budget: OPENROUTER_CONVERSATION_MAX_TOKENS_BUDGET,
-      maxTokens
-    });
-
-    const requestBody = {
-      model,
-      messages,
-      stream: false,
-      temperature: 0.2,
-      max_tokens: maxTokens
-    };
-
     try {
-      const data = await performOpenRouterRequest('/chat/completions', requestBody, apiKey);
-      const responseContent = data.choices?.[0]?.message?.content ?? '';
+      const responseContent = await chatWithChatCompletions(getOpenRouterEndpoint(apiKey), {
+        patchContent, conversationHistory, language, model, contextLength
+      }, stream);
       return {
         response: responseContent || 'No response generated',
         provider: 'openrouter',
         model
       };
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       dbgWarn('Error getting conversational response from OpenRouter:', error);
-      if (error.status === 401) {
-        throw new Error('OpenRouter rejected the API key. Please check the key in extension settings and save again.');
-      }
-      throw new Error(`OpenRouter error: ${error.message}`);
+      throw toOpenRouterError(error);
     }
   }
 
@@ -432,7 +191,7 @@ export class OpenRouterService {
       dbgLog('Checking connection to OpenRouter');
       const response = await fetch(`${OPENROUTER_BASE_URL}/models`, {
         method: 'GET',
-        headers: getRequestHeaders(apiKey),
+        headers: getOpenRouterEndpoint(apiKey).headers,
         signal: AbortSignal.timeout(5000)
       });
       const connected = response.ok;
@@ -453,26 +212,13 @@ export class OpenRouterService {
 
     try {
       dbgLog('Fetching available OpenRouter models');
-      const response = await fetch(`${OPENROUTER_BASE_URL}/models`, {
-        method: 'GET',
-        headers: getRequestHeaders(apiKey),
-        signal: AbortSignal.timeout(5000)
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch models: ${response.status}`);
-      }
-
-      const data = await response.json();
-      const models = Array.isArray(data?.data)
-        ? data.data.map((model) => ({
-            id: model.id,
-            name: model.name || model.id,
-            context_length: model.context_length,
-            max_output_length: model.max_output_length,
-            supported_features: model.supported_features || []
-          }))
-        : [];
+      const models = (await listChatCompletionModels(getOpenRouterEndpoint(apiKey))).map((model) => ({
+        id: model.id,
+        name: model.name || model.id,
+        context_length: model.context_length,
+        max_output_length: model.max_output_length,
+        supported_features: model.supported_features || []
+      }));
 
       dbgLog(`Found ${models.length} OpenRouter models`);
       return { models, error: null, isAuthError: false };
@@ -0,0 +1,319 @@
+// pr-comment-publisher.js
+// Publishes review findings (see components/utils/review-comments.js) as PR/MR comments.
+//   GitLab        → discussions API, called from the content script (session cookie + CSRF token)
+//   GitHub        → pull request review comments API (token), called from background.js
+//   Azure DevOps  → pull request threads API (PAT), called from background.js after fetcher init
+//   Bitbucket     → Cloud / Data Center comments API (stored credentials), called from background.js
+// Comments are posted one at a time so each item gets its own status. Comments whose line is not
+// part of the diff (or that the platform rejects as an inline position) are posted as general PR
+// comments that reference the file and line.
+// Code suggestions are posted as native suggestion blocks where the platform can apply them at the
+// comment's position (see getSuggestionBlockHeader); GitLab can then apply several in one commit.
+import { dbgLog, dbgWarn } from '../utils/logger.js';
+import { buildGeneralCommentBody, buildSuggestionBlockBody, getSuggestionFlavor } from '../components/utils/review-comments.js';
+import { GitHubAPI, GitHubAuthError } from './github-api.js';
+import { GitLabAPI } from './gitlab-api.js';
+import { azureDevOpsAPI, AzureDevOpsAuthError } from './azure-devops-api.js';
+import { postPullRequestComment } from './bitbucket-api.js';
+import { getBitbucketCommentsApiUrlFromDiffUrl } from '../utils/bitbucket-api-urls.js';
+
+/** HTTP statuses returned when an inline position is not valid for the diff */
+const INVALID_POSITION_STATUSES = [400, 422];
+
+/**
+ * Error thrown when the platform rejects the credentials; publishing stops at the first one.
+ */
+class PublishAuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PublishAuthError';
+  }
+}
+
+/**
+ * Post each comment with `postInline` (or `postGeneral` when it has no diff anchor),
+ * falling back to `postGeneral` when the inline position is rejected.
+ * @param {Array<Object>} comments
+ * @param {(comment: Object) => Promise<{ url?: string|null, noteId?: string|number, nativeSuggestion?: boolean }>} postInline
+ * @param {(comment: Object) => Promise<{ url?: string|null }>} postGeneral
+ * @param {{ requireAnchor?: boolean }} [options] - requireAnchor=false posts every comment inline
+ * @returns {Promise<Array<{ id: string, success: boolean, inline: boolean, url: string|null, nativeSuggestion?: boolean, noteId?: string|number|null, error?: string }>>}
+ */
+async function postEach(comments, postInline, postGeneral, { requireAnchor = true } = {}) {
+  const results = [];
+  for (const comment of comments) {
+    try {
+      if (comment.anchor || !requireAnchor) {
+        try {
+          const posted = await postInline(comment);
+          results.push({
+            id: comment.id,
+            success: true,
+            inline: true,
+            url: posted?.url || null,
+            nativeSuggestion: posted?.nativeSuggestion === true,
+            noteId: posted?.noteId ?? null
+          });
+          continue;
+        } catch (error) {
+          if (!INVALID_POSITION_STATUSES.includes(error?.status)) throw error;
+          dbgWarn('Inline position rejected, posting as general comment:', comment.id, error.message);
+        }
+      }
+      const posted = await postGeneral(comment);
+      results.push({ id: comment.id, success: true, inline: false, url: posted?.url || null });
+    } catch (error) {
+      if (error instanceof PublishAuthError || error instanceof GitHubAuthError || error instanceof AzureDevOpsAuthError) {
+        throw error;
+      }
+      dbgWarn('Failed to publish comment:', comment.id, error);
+      results.push({ id: comment.id, success: false, inline: !!comment.anchor || !requireAnchor, url: null, error: error?.message || String(error) });
+    }
+  }
+  return results;
+}
+
+/**
+ * @param {{ origin: string, projectPath: string, mrIid: string|number, csrfToken: string|null }} target
+ * @param {Array<Object>} comments
+ */
+async function publishGitLabComments(target, comments) {
+  const api = new GitLabAPI(target);
+  let mergeRequest;
+  try {
+    mergeRequest = await api.getMergeRequest(target.mrIid);
+  } catch (error) {
+    if (error?.status === 401 || error?.status === 403) {
+      throw new PublishAuthError('GitLab rejected the request. Make sure you are signed in and can comment on this merge request.');
+    }
+    throw error;
+  }
+  const diffRefs = mergeRequest?.diff_refs;
+  if (!diffRefs?.head_sha) {
+    throw new Error('GitLab merge request has no diff information yet.');
+  }
+
+  const webUrl = mergeRequest.web_url || null;
+  const toUrl = (discussion) => {
+    const noteId = discussion?.notes?.[0]?.id;
+    return webUrl && noteId ? `${webUrl}#note_${noteId}` : webUrl;
+  };
+
+  return postEach(
+    comments,
+    async (comment) => {
+      const position = {
+        position_type: 'text',
+        base_sha: diffRefs.base_sha,
+        start_sha: diffRefs.start_sha,
+        head_sha: diffRefs.head_sha,
+        new_path: comment.filePath,
+        old_path: comment.oldFilePath || comment.filePath,
+        new_line: comment.anchor.newLine
+      };
+      if (comment.anchor.type === 'context' && comment.anchor.oldLine != null) {
+        position.old_line = comment.anchor.oldLine;
+      }
+      const suggestionBody = buildSuggestionBlockBody(comment, 'gitlab');
+      const discussion = await api.createDiscussion(target.mrIid, { body: suggestionBody || comment.body, position });
+      return { url: toUrl(discussion), noteId: discussion?.notes?.[0]?.id ?? null, nativeSuggestion: !!suggestionBody };
+    },
+    async (comment) => {
+      const discussion = await api.createDiscussion(target.mrIid, { body: buildGeneralCommentBody(comment) });
+      return { url: toUrl(discussion) };
+    }
+  );
+}
+
+/**
+ * @param {{ hostname: string, owner: string, repo: string, prNumber: string|number }} target
+ * @param {Array<Object>} comments
+ * @param {{ token: string|null }} credentials
+ */
+async function publishGitHubComments(target, comments, { token }) {
+  const api = new GitHubAPI({ hostname: target.hostname, owner: target.owner, repo: target.repo, token });
+  const pullRequest = await api.getPullRequest(target.prNumber);
+  const commitId = pullRequest?.head?.sha;
+  if (!commitId) {
+    throw new Error('Could not determine the head commit of this pull request.');
+  }
+
+  return postEach(
+    comments,
+    async (comment) => {
+      const suggestionBody = buildSuggestionBlockBody(comment, 'github');
+      const payload = {
+        body: suggestionBody || comment.body,
+        commit_id: commitId,
+        path: comment.filePath,
+        line: comment.anchor.newLine,
+        side: 'RIGHT'
+      };
+      if (comment.startAnchor && comment.startAnchor.newLine < comment.anchor.newLine) {
+        payload.start_line = comment.startAnchor.newLine;
+        payload.start_side = 'RIGHT';
+      }
+      const created = await api.createReviewComment(target.prNumber, payload);
+      return { url: created?.html_url || null, nativeSuggestion: !!suggestionBody };
+    },
+    async (comment) => {
+      const created = await api.createIssueComment(target.prNumber, buildGeneralCommentBody(comment));
+      return { url: created?.html_url || null };
+    }
+  );
+}
+
+/**
+ * Azure DevOps threads can target any line of the right-hand file, so every comment is inline.
+ * The caller must have initialized azureDevOpsAPI (via azureDevOpsFetcher.init) for this PR.
+ * @param {{ prId: string|number }} target
+ * @param {Array<Object>} comments
+ */
+async function publishAzureDevOpsComments(target, comments) {
+  const postThread = async (comment) => {
+    const suggestionBody = buildSuggestionBlockBody(comment, 'azure-devops');
+    await azureDevOpsAPI.createPullRequestThread(target.prId, {
+      comments: [{ parentCommentId: 0, content: suggestionBody || comment.body, commentType: 1 }],
+      status: 1,
+      threadContext: {
+        filePath: `/${comment.filePath}`,
+        rightFileStart: { line: comment.startLine, offset: 1 },
+        rightFileEnd: { line: comment.endLine, offset: 1 }
+      }
+    });
+    return { url: null, nativeSuggestion: !!suggestionBody };
+  };
+  return postEach(comments, postThread, postThread, { requireAnchor: false });
+}
+
+/**
+ * @param {{ diffUrl: string }} target
+ * @param {Array<Object>} comments
+ * @param {{ token: string|null, email: string|null }} credentials
+ */
+async function publishBitbucketComments(target, comments, credentials) {
+  const commentsUrl = getBitbucketCommentsApiUrlFromDiffUrl(target.diffUrl);
+  if (!commentsUrl) {
+    throw new Error('Could not determine the Bitbucket pull request comments endpoint.');
+  }
+
+  const suggestionFlavor = getSuggestionFlavor('bitbucket', target);
+
+  const send = async (payload) => {
+    const result = await postPullRequestComment(commentsUrl, payload, credentials);
+    if (!result.success) {
+      if (result.bitbucketAuthRequired) {
+        throw new PublishAuthError('Bitbucket rejected the request. Check that your token can write pull request comments.');
+      }
+      const err = new Error(result.serverMessage || result.error);
+      err.status = result.status ?? null;
+      throw err;
+    }
+    return { url: result.url };
+  };
+
+  return postEach(
+    comments,
+    async (comment) => {
+      const suggestionBody = buildSuggestionBlockBody(comment, suggestionFlavor);
+      const posted = await send({
+        body: suggestionBody || comment.body,
+        path: comment.filePath,
+        line: comment.anchor.newLine,
+        startLine: comment.startAnchor?.newLine,
+        lineType: comment.anchor.type === 'added' ? 'ADDED' : 'CONTEXT'
+      });
+      return { ...posted, nativeSuggestion: !!suggestionBody };
+    },
+    (comment) => send({ body: buildGeneralCommentBody(comment) })
+  );
+}
+
+/**
+ * Apply the suggestions just posted on a GitLab merge request in a single commit.
+ * @param {{ origin: string, projectPath: string, mrIid: string|number, csrfToken: string|null }} target
+ * @param {Array<Object>} results - postEach() results
+ * @param {string} [commitMessage]
+ * @returns {Promise<{ success: boolean, appliedIds: string[], error?: string }>} appliedIds are comment ids
+ */
+async function applyGitLabSuggestions(target, results, commitMessage) {
+  const posted = results.filter((result) => result.success && result.nativeSuggestion && result.noteId != null);
+  if (posted.length === 0) {
+    return { success: false, appliedIds: [], error: 'None of the selected suggestions could be posted as a GitLab suggestion, so there is nothing to apply.' };
+  }
+
+  try {
+    const api = new GitLabAPI(target);
+    const suggestionIdsByNote = await api.getNoteSuggestionIds(target.mrIid, posted.map((result) => result.noteId));
+    const applicable = posted.filter((result) => suggestionIdsByNote.get(String(result.noteId))?.length > 0);
+    if (applicable.length === 0) {
+      throw new Error('GitLab did not list the posted suggestions. Apply them from the merge request instead.');
+    }
+    await api.applySuggestions(
+      applicable.flatMap((result) => suggestionIdsByNote.get(String(result.noteId))),
+      commitMessage
+    );
+    dbgLog('Applied GitLab suggestions in one commit:', applicable.length);
+    return { success: true, appliedIds: applicable.map((result) => result.id) };
+  } catch (error) {
+    dbgWarn('Applying GitLab suggestions failed:', error);
+    return { success: false, appliedIds: [], error: error?.message || String(error) };
+  }
+}
+
+/**
+ * Publish review comments to the current PR/MR.
+ *
+ * @param {Object} params
+ * @param {'gitlab'|'github'|'azure-devops'|'bitbucket'} params.platform
+ * @param {Object} params.target - Platform-specific PR coordinates (see the publish* functions)
+ * @param {Array<Object>} params.comments - Anchored comments from anchorCommentsToPatch()
+ * @param {Object} [params.credentials] - { token, email } for GitHub / Bitbucket
+ * @param {{ commitMessage?: string }|null} [params.applySuggestions] - GitLab only: apply the posted
+ *   suggestions in a single commit on the source branch
+ * @returns {Promise<{ success: true, results: Array<Object>, batchApply?: Object } | { success: false, error: string, isAuthError: boolean }>}
+ *   batchApply is the applyGitLabSuggestions() result when applySuggestions was requested
+ */
+export async function publishPullRequestComments({ platform, target, comments, credentials = {}, applySuggestions = null }) {
+  if (!Array.isArray(comments) || comments.length === 0) {
+    return { success: true, results: [] };
+  }
+
+  try {
+    let results;
+    switch (platform) {
+      case 'gitlab':
+        results = await publishGitLabComments(target, comments);
+        break;
+      case 'github':
+        results = await publishGitHubComments(target, comments, credentials);
+        break;
+      case 'azure-devops':
+        results = await publishAzureDevOpsComments(target, comments);
+        break;
+      case 'bitbucket':
+        results = await publishBitbucketComments(target, comments, credentials);
+        break;
+      default:
+        throw new Error(`Publishing comments is not supported on ${platform || 'this platform'}`);
+    }
+    dbgLog('Published PR comments:', {
+      platform,
+      posted: results.filter((r) => r.success).length,
+      failed: results.filter((r) => !r.success).length
+    });
+    if (platform === 'gitlab' && applySuggestions) {
+      const batchApply = await applyGitLabSuggestions(target, results, applySuggestions.commitMessage);
+      return { success: true, results, batchApply };
+    }
+    return { success: true, results };
+  } catch (error) {
+    const isAuthError = error instanceof PublishAuthError || error instanceof GitHubAuthError || error instanceof AzureDevOpsAuthError;
+    dbgWarn('Publishing PR comments failed:', error);
+    return {
+      success: false,
+      isAuthError,
+      error: error?.details?.userMessage || error?.message || String(error)
+    };
+  }
+}
@@ -0,0 +1,197 @@
+// pr-context-collector.js
+// Collects the PR/MR context sent with a review (utils/pr-context.js): title, description, labels,
+// branches, linked issues / work items and the unresolved discussions of human reviewers.
+//   GitLab        → MR, closes_issues and discussions APIs, called from the content script (session cookie or token)
+//   GitHub        → GraphQL pull request query (token), called from background.js
+//   Azure DevOps  → PR, work items and threads APIs, called from background.js after fetcher init
+//   Bitbucket     → PR and comments APIs (Jira keys from title and branch), called from background.js
+import { dbgLog, dbgWarn } from '../utils/logger.js';
+import { normalizePrContext, findIssueKeys } from '../utils/pr-context.js';
+import { GitLabAPI, gitLabMergeRequestToPrContext } from './gitlab-api.js';
+import { GitHubAPI } from './github-api.js';
+import { azureDevOpsAPI } from './azure-devops-api.js';
+import { azureDevOpsFetcher } from './azure-devops-fetcher.js';
+import { fetchPullRequestContext } from './bitbucket-api.js';
+
+const GITHUB_PR_CONTEXT_QUERY = `
+query($owner: String!, $repo: String!, $number: Int!) {
+  repository(owner: $owner, name: $repo) {
+    pullRequest(number: $number) {
+      title
+      body
+      author { login }
+      baseRefName
+      headRefName
+      labels(first: 20) { nodes { name } }
+      closingIssuesReferences(first: 10) { nodes { number title } }
+      reviewThreads(first: 50) {
+        nodes {
+          isResolved
+          path
+          line
+          comments(first: 5) { nodes { body author { __typename login } } }
+        }
+      }
+      commits(last: 1) { nodes { commit { statusCheckRollup { state } } } }
+    }
+  }
+}`;
+
+/**
+ * @param {{ origin: string, projectPath: string, mrIid: string|number, csrfToken?: string|null }} target
+ * @param {{ token?: string|null }} credentials - GitLab API mode token; the session cookie is used without it
+ */
+async function collectGitLabContext(target, { token = null } = {}) {
+  const api = new GitLabAPI({ ...target, token });
+  const [mergeRequest, issues, discussions] = await Promise.all([
+    api.getMergeRequest(target.mrIid),
+    api.listClosedIssues(target.mrIid).catch((error) => {
+      dbgWarn('GitLab closed issues unavailable:', error);
+      return [];
+    }),
+    api.listDiscussions(target.mrIid).catch((error) => {
+      dbgWarn('GitLab discussions unavailable:', error);
+      return [];
+    })
+  ]);
+
+  return {
+    ...gitLabMergeRequestToPrContext(mergeRequest),
+    author: mergeRequest?.author?.name || mergeRequest?.author?.username || '',
+    linkedIssues: issues.map((issue) => ({ id: `#${issue.iid}`, title: issue.title })),
+    discussions: discussions
+      .filter(({ notes }) => notes?.[0]?.resolvable && !notes[0].resolved && !notes[0].system)
+      .map(({ notes }) => ({
+        path: notes[0].position?.new_path || notes[0].position?.old_path || '',
+        line: notes[0].position?.new_line || notes[0].position?.old_line || null,
+        comments: notes
+          .filter((note) => !note.system && !note.author?.bot)
+          .map((note) => ({ author: note.author?.name || note.author?.username || '', body: note.body }))
+      }))
+  };
+}
+
+/**
+ * @param {{ hostname: string, owner: string, repo: string, prNumber: string|number }} target
+ * @param {{ token: string }} credentials
+ */
+async function collectGitHubContext(target, { token }) {
+  const api = new GitHubAPI({ hostname: target.hostname, owner: target.owner, repo: target.repo, token });
+  const data = await api.graphql(GITHUB_PR_CONTEXT_QUERY, {
+    owner: target.owner,
+    repo: target.repo,
+    number: Number(target.prNumber)
+  });
+  const pullRequest = data?.repository?.pullRequest;
+  if (!pullRequest) throw new Error('GitHub pull request not found');
+
+  return {
+    title: pullRequest.title,
+    description: pullRequest.body,
+    author: pullRequest.author?.login,
+    labels: (pullRequest.labels?.nodes || []).map((label) => label?.name),
+    sourceBranch: pullRequest.headRefName,
+    targetBranch: pullRequest.baseRefName,
+    pipelineStatus: pullRequest.commits?.nodes?.[0]?.commit?.statusCheckRollup?.state?.toLowerCase() || '',
+    linkedIssues: (pullRequest.closingIssuesReferences?.nodes || [])
+      .filter(Boolean)
+      .map((issue) => ({ id: `#${issue.number}`, title: issue.title })),
+    discussions: (pullRequest.reviewThreads?.nodes || [])
+      .filter((thread) => thread && !thread.isResolved)
+      .map((thread) => ({
+        path: thread.path,
+        line: thread.line,
+        comments: (thread.comments?.nodes || [])
+          .filter((comment) => comment && comment.author?.__typename !== 'Bot')
+          .map((comment) => ({ author: comment.author?.login, body: comment.body }))
+      }))
+  };
+}
+
+/**
+ * The caller must have initialized azureDevOpsFetcher for this PR.
+ */
+async function collectAzureDevOpsContext() {
+  const prId = azureDevOpsFetcher.prInfo.prId;
+  const [prDetails, workItems, threads] = await Promise.all([
+    azureDevOpsAPI.getPullRequest(prId),
+    azureDevOpsAPI.getPullRequestWorkItems(prId).catch((error) => {
+      dbgWarn('Azure DevOps work items unavailable:', error);
+      return [];
+    }),
+    azureDevOpsAPI.getPullRequestThreads(prId).catch((error) => {
+      dbgWarn('Azure DevOps threads unavailable:', error);
+      return [];
+    })
+  ]);
+
+  return {
+    title: prDetails?.title,
+    description: prDetails?.description,
+    author: prDetails?.createdBy?.displayName,
+    labels: (prDetails?.labels || []).filter((label) => label?.active !== false).map((label) => label?.name),
+    sourceBranch: String(prDetails?.sourceRefName || '').replace(/^refs\/heads\//, ''),
+    targetBranch: String(prDetails?.targetRefName || '').replace(/^refs\/heads\//, ''),
+    linkedIssues: workItems.map((item) => ({ id: `${item.type ? `${item.type} ` : ''}#${item.id}`, title: item.title })),
+    discussions: threads
+      // Active and pending threads are the ones still waiting for the author
+      .filter((thread) => !thread.isDeleted && ['active', 'pending'].includes(thread.status))
+      .map((thread) => ({
+        path: String(thread.threadContext?.filePath || '').replace(/^\//, ''),
+        line: thread.threadContext?.rightFileStart?.line || thread.threadContext?.leftFileStart?.line || null,
+        comments: (thread.comments || [])
+          .filter((comment) => !comment.isDeleted && comment.commentType !== 'system')
+          .map((comment) => ({ author: comment.author?.displayName, body: comment.content }))
+      }))
+  };
+}
+
+/**
+ * @param {{ diffUrl: string }} target
+ * @param {{ token?: string|null, email?: string|null }} credentials
+ */
+async function collectBitbucketContext(target, { token = null, email = null } = {}) {
+  const result = await fetchPullRequestContext(target.diffUrl, { token, email });
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to fetch the pull request from Bitbucket');
+  }
+  // Bitbucket has no issue links of its own: Jira keys in the title or branch name
+  const { context } = result;
+  return { ...context, linkedIssues: findIssueKeys(context.title, context.sourceBranch) };
+}
+
+/**
+ * Collect the PR/MR context for the review prompt.
+ *
+ * @param {Object} params
+ * @param {'gitlab'|'github'|'azure-devops'|'bitbucket'} params.platform
+ * @param {Object} params.target - Platform-specific PR coordinates
+ * @param {Object} [params.credentials] - GitLab: { token }; GitHub: { token }; Bitbucket: { token, email }
+ * @returns {Promise<Object|null>} Normalized context (utils/pr-context.js), null when empty
+ */
+export async function collectPrContext({ platform, target, credentials = {} }) {
+  let raw;
+  switch (platform) {
+    case 'gitlab':
+      raw = await collectGitLabContext(target, credentials);
+      break;
+    case 'github':
+      raw = await collectGitHubContext(target, credentials);
+      break;
+    case 'azure-devops':
+      raw = await collectAzureDevOpsContext();
+      break;
+    case 'bitbucket':
+      raw = await collectBitbucketContext(target, credentials);
+      break;
+    default:
+      throw new Error(`Pull request context is not supported on ${platform || 'this platform'}`);
+  }
+  const context = normalizePrContext(raw);
+  dbgLog('Collected pull request context:', {
+    platform,
+    linkedIssues: context?.linkedIssues.length || 0,
+    discussions: context?.discussions.length || 0
+  });
+  return context;
+}
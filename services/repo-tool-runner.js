@@ -0,0 +1,165 @@
+// repo-tool-runner.js
+// Runs the repository tools of the chat (utils/repo-tools.js) against the PR/MR source branch.
+//   read_file       → services/context-files-fetcher.js (head commit of the PR/MR, every platform)
+//   list_directory  → GitLab repository tree, GitHub contents, Azure DevOps items, Bitbucket src/browse
+//   search_code     → GitLab blob search at the head commit, GitHub code search (default branch only)
+// GitLab runs from the content script (session cookie or token); the other platforms from background.js.
+// Outputs are plain text for the model; missing files and empty results are answers, not errors.
+import { dbgLog } from '../utils/logger.js';
+import { getRepoToolNames, normalizeRepoPath, truncateToolOutput } from '../utils/repo-tools.js';
+import { fetchContextFiles } from './context-files-fetcher.js';
+import { GitLabAPI } from './gitlab-api.js';
+import { GitHubAPI } from './github-api.js';
+import { azureDevOpsAPI } from './azure-devops-api.js';
+import { azureDevOpsFetcher } from './azure-devops-fetcher.js';
+import { fetchSourceDirectory } from './bitbucket-api.js';
+
+/**
+ * @param {Array<{ path: string, isDirectory: boolean }>|null} entries
+ * @param {string} dirPath
+ * @returns {string}
+ */
+function formatDirectoryListing(entries, dirPath) {
+  if (entries === null) return `Directory not found: ${dirPath || '/'}`;
+  if (entries.length === 0) return `Directory ${dirPath || '/'} is empty.`;
+  const lines = [...entries]
+    .sort((a, b) => Number(b.isDirectory) - Number(a.isDirectory) || a.path.localeCompare(b.path))
+    .map((entry) => `${entry.path}${entry.isDirectory ? '/' : ''}`);
+  return `Entries of ${dirPath || '/'}:\n${lines.join('\n')}`;
+}
+
+/**
+ * @param {Array<{ path: string, line?: number|null, text?: string }>} matches
+ * @param {string} query
+ * @param {string} [note]
+ * @returns {string}
+ */
+function formatSearchResults(matches, query, note = '') {
+  if (matches.length === 0) return `No matches for "${query}".${note ? ` ${note}` : ''}`;
+  const lines = matches.map((match) => {
+    const location = match.line ? `${match.path}:${match.line}` : match.path;
+    const text = String(match.text || '').trim();
+    return text ? `${location}\n${text.split('\n').map((line) => `  ${line}`).join('\n')}` : location;
+  });
+  return `Matches for "${query}"${note ? ` (${note})` : ''}:\n${lines.join('\n')}`;
+}
+
+async function readFile(platform, target, path, credentials) {
+  const { files } = await fetchContextFiles({ platform, target, pathGroups: [[path]], credentials });
+  return files.length > 0 ? `Contents of ${path}:\n${files[0].content}` : `File not found: ${path}`;
+}
+
+async function listGitLabDirectory(target, dirPath, { token = null } = {}) {
+  const api = new GitLabAPI({ ...target, token });
+  const ref = (await api.getMergeRequest(target.mrIid))?.diff_refs?.head_sha;
+  if (!ref) throw new Error('GitLab merge request has no head commit');
+  try {
+    const tree = await api.listTree(dirPath, ref);
+    return tree.map((entry) => ({ path: entry.path, isDirectory: entry.type === 'tree' }));
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+async function searchGitLab(target, query, { token = null } = {}) {
+  const api = new GitLabAPI({ ...target, token });
+  const ref = (await api.getMergeRequest(target.mrIid))?.diff_refs?.head_sha;
+  if (!ref) throw new Error('GitLab merge request has no head commit');
+  const results = await api.searchBlobs(query, ref);
+  return results.map((result) => ({ path: result.path, line: result.startline, text: result.data }));
+}
+
+function createGitHubApi(target, { token = null, canUseApi = false } = {}, action) {
+  if (!token || !canUseApi) {
+    throw new Error(`${action} needs a GitHub token with access to this repository (extension settings).`);
+  }
+  return new GitHubAPI({ hostname: target.hostname, owner: target.owner, repo: target.repo, token });
+}
+
+async function listGitHubDirectory(target, dirPath, credentials) {
+  const api = createGitHubApi(target, credentials, 'Listing directories');
+  const ref = (await api.getPullRequest(target.prNumber))?.head?.sha;
+  if (!ref) throw new Error('GitHub pull request has no head commit');
+  const entries = await api.listDirectory(dirPath, ref);
+  return entries && entries.map((entry) => ({ path: entry.path, isDirectory: entry.type === 'dir' }));
+}
+
+async function searchGitHub(target, query, credentials) {
+  const api = createGitHubApi(target, credentials, 'Searching code');
+  const items = await api.searchCode(query);
+  return items.map((item) => ({
+    path: item.path,
+    text: (item.text_matches || []).map((match) => match.fragment).join('\n')
+  }));
+}
+
+/** The caller must have initialized azureDevOpsFetcher for this PR. */
+async function listAzureDevOpsDirectory(dirPath) {
+  const prDetails = await azureDevOpsAPI.getPullRequest(azureDevOpsFetcher.prInfo.prId);
+  const ref = prDetails?.lastMergeSourceCommit?.commitId;
+  if (!ref) throw new Error('Azure DevOps pull request has no source commit');
+  const items = await azureDevOpsAPI.listItems(ref, `/${dirPath}`);
+  return items && items.map((item) => ({ path: item.path.replace(/^\//, ''), isDirectory: !!item.isFolder }));
+}
+
+async function listBitbucketDirectory(target, dirPath, { token = null, email = null } = {}) {
+  const result = await fetchSourceDirectory(target.diffUrl, dirPath, { token, email });
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to list the directory on Bitbucket');
+  }
+  return result.entries;
+}
+
+async function listDirectory(platform, target, dirPath, credentials) {
+  switch (platform) {
+    case 'gitlab':
+      return listGitLabDirectory(target, dirPath, credentials);
+    case 'github':
+      return listGitHubDirectory(target, dirPath, credentials);
+    case 'azure-devops':
+      return listAzureDevOpsDirectory(dirPath);
+    case 'bitbucket':
+      return listBitbucketDirectory(target, dirPath, credentials);
+    default:
+      throw new Error(`Listing directories is not supported on ${platform || 'this platform'}`);
+  }
+}
+
+/**
+ * Run one tool call of the model.
+ *
+ * @param {Object} params
+ * @param {'gitlab'|'github'|'azure-devops'|'bitbucket'} params.platform
+ * @param {Object} params.target - Platform-specific PR coordinates
+ * @param {string} params.name - read_file, list_directory or search_code
+ * @param {Object} params.args - Arguments given by the model
+ * @param {Object} [params.credentials] - GitLab: { token }; GitHub: { token, canUseApi }; Bitbucket: { token, email }
+ * @returns {Promise<string>} Output for the model (truncated to MAX_TOOL_OUTPUT_CHARS)
+ */
+export async function runRepoTool({ platform, target, name, args = {}, credentials = {} }) {
+  if (!getRepoToolNames(platform).includes(name)) {
+    throw new Error(`Tool ${name} is not available on ${platform || 'this platform'}`);
+  }
+
+  let output;
+  if (name === 'search_code') {
+    const query = String(args.query || '').trim();
+    if (!query) throw new Error('search_code needs a query');
+    output = platform === 'github'
+      ? formatSearchResults(await searchGitHub(target, query, credentials), query, 'default branch')
+      : formatSearchResults(await searchGitLab(target, query, credentials), query);
+  } else {
+    const path = normalizeRepoPath(args.path);
+    if (path === null) throw new Error('Paths must stay inside the repository');
+    if (name === 'read_file') {
+      if (!path) throw new Error('read_file needs a file path');
+      output = await readFile(platform, target, path, credentials);
+    } else {
+      output = formatDirectoryListing(await listDirectory(platform, target, path, credentials), path);
+    }
+  }
+
+  dbgLog('Repository tool run:', { platform, name, outputLength: output.length });
+  return truncateToolOutput(output);
+}
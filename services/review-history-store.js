@@ -0,0 +1,176 @@
+// review-history-store.js
+// Persistent review history in IndexedDB (extension origin, used from background.js).
+// Every completed review is stored per MR/PR (utils/review-key.js) with its provider, model and
+// patch hash, so earlier runs can be reopened offline and compared (utils/review-diff.js).
+import { dbgLog } from '../utils/logger.js';
+
+const DB_NAME = 'thinkreview-review-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'reviews';
+const REVIEW_KEY_INDEX = 'reviewKey';
+
+/** Oldest runs of an MR/PR beyond this are pruned on save */
+const MAX_RUNS_PER_REVIEW = 25;
+/** Patches above this size are not kept (the review itself is always kept) */
+const MAX_STORED_PATCH_LENGTH = 512 * 1024;
+
+let dbPromise = null;
+
+/**
+ * Open (and create/upgrade) the history database once per service worker lifetime.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex(REVIEW_KEY_INDEX, REVIEW_KEY_INDEX, { unique: false });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * @param {IDBRequest|IDBTransaction} request
+ * @returns {Promise<any>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    if (request instanceof IDBTransaction) {
+      request.oncomplete = () => resolve();
+      request.onerror = () => reject(request.error);
+      request.onabort = () => reject(request.error);
+    } else {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }
+  });
+}
+
+/**
+ * SHA-256 of the reviewed patch (hex), to tell whether two runs reviewed the same code.
+ * @param {string} patchContent
+ * @returns {Promise<string|null>}
+ */
+async function hashPatch(patchContent) {
+  if (!patchContent) return null;
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(patchContent));
+  return Array.from(new Uint8Array(hashBuffer)).map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Count findings for the history list without loading whole reviews.
+ * @param {Object} review
+ * @returns {{ critical: number, high: number, low: number, suggestions: number }}
+ */
+function countFindings(review) {
+  const count = (list) => (Array.isArray(list) ? list.length : 0);
+  return {
+    critical: count(review?.criticalIssues),
+    high: count(review?.highIssues),
+    low: count(review?.lowIssues),
+    suggestions: count(review?.codeSuggestions) + count(review?.suggestions)
+  };
+}
+
+/**
+ * Entry fields returned by listReviewHistory (everything but the review and patch bodies).
+ * @param {Object} entry
+ * @returns {Object}
+ */
+function toSummary(entry) {
+  const { review: _review, patchContent: _patchContent, ...summary } = entry;
+  return summary;
+}
+
+/**
+ * Store a completed review run.
+ * @param {Object} params
+ * @param {string} params.reviewKey - utils/review-key.js key of the MR/PR
+ * @param {Object} params.review - Review object as displayed
+ * @param {string} [params.patchContent] - Reviewed patch
+ * @param {Object} [params.metadata] - { platform, mrId, mrUrl, title, provider, model, reviewFormat, language, headSha, incremental }
+ * @returns {Promise<number>} ID of the new entry
+ */
+export async function addReviewHistoryEntry({ reviewKey, review, patchContent = '', metadata = {} }) {
+  if (!reviewKey || !review) {
+    throw new Error('reviewKey and review are required');
+  }
+
+  const entry = {
+    ...metadata,
+    reviewKey,
+    createdAt: Date.now(),
+    patchHash: await hashPatch(patchContent),
+    patchLength: patchContent ? patchContent.length : 0,
+    patchContent: patchContent && patchContent.length <= MAX_STORED_PATCH_LENGTH ? patchContent : null,
+    counts: countFindings(review),
+    review
+  };
+
+  const db = await openDatabase();
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+  const id = await promisifyRequest(store.add(entry));
+
+  // Prune the oldest runs of this MR/PR
+  const keys = await promisifyRequest(store.index(REVIEW_KEY_INDEX).getAllKeys(IDBKeyRange.only(reviewKey)));
+  if (keys.length > MAX_RUNS_PER_REVIEW) {
+    keys.sort((a, b) => a - b).slice(0, keys.length - MAX_RUNS_PER_REVIEW).forEach((staleId) => store.delete(staleId));
+  }
+  await promisifyRequest(tx);
+
+  dbgLog('Stored review history entry:', { id, reviewKey, provider: entry.provider, patchHash: entry.patchHash?.slice(0, 12) });
+  return id;
+}
+
+/**
+ * List the runs of one MR/PR, newest first (summaries only).
+ * @param {string} reviewKey
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listReviewHistory(reviewKey) {
+  if (!reviewKey) return [];
+  const db = await openDatabase();
+  const tx = db.transaction(STORE_NAME, 'readonly');
+  const entries = await promisifyRequest(tx.objectStore(STORE_NAME).index(REVIEW_KEY_INDEX).getAll(IDBKeyRange.only(reviewKey)));
+  return entries.sort((a, b) => b.createdAt - a.createdAt).map(toSummary);
+}
+
+/**
+ * Get one full run (review and patch included).
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getReviewHistoryEntry(id) {
+  const db = await openDatabase();
+  const tx = db.transaction(STORE_NAME, 'readonly');
+  return (await promisifyRequest(tx.objectStore(STORE_NAME).get(id))) || null;
+}
+
+/**
+ * Delete every run of one MR/PR.
+ * @param {string} reviewKey
+ * @returns {Promise<number>} Number of deleted runs
+ */
+export async function clearReviewHistory(reviewKey) {
+  if (!reviewKey) return 0;
+  const db = await openDatabase();
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+  const keys = await promisifyRequest(store.index(REVIEW_KEY_INDEX).getAllKeys(IDBKeyRange.only(reviewKey)));
+  keys.forEach((id) => store.delete(id));
+  await promisifyRequest(tx);
+  dbgLog('Cleared review history:', { reviewKey, count: keys.length });
+  return keys.length;
+}
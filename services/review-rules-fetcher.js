@@ -0,0 +1,115 @@
+// review-rules-fetcher.js
+// Fetches the repository review rules file (.thinkreview.yml) from the PR/MR target branch,
+// so the rules under review cannot be changed by the PR itself.
+//   GitLab        → MR target_branch + repository files API, called from the content script (session cookie)
+//   GitHub        → PR base ref + contents API (token), or the web raw URL, called from background.js
+//   Azure DevOps  → PR targetRefName + items API, called from background.js after fetcher init
+//   Bitbucket     → PR destination branch + src/raw API, called from background.js
+import { dbgLog } from '../utils/logger.js';
+import { REVIEW_RULES_FILE_NAMES } from '../utils/review-rules.js';
+import { GitLabAPI } from './gitlab-api.js';
+import { GitHubAPI } from './github-api.js';
+import { azureDevOpsAPI } from './azure-devops-api.js';
+import { azureDevOpsFetcher } from './azure-devops-fetcher.js';
+import { fetchTargetBranchFile } from './bitbucket-api.js';
+
+/**
+ * Return the first rules file that exists at `ref`.
+ * @param {string} ref
+ * @param {(filePath: string) => Promise<string|null>} readFile
+ * @returns {Promise<{ path: string, ref: string, content: string }|null>}
+ */
+async function findRulesFile(ref, readFile) {
+  for (const path of REVIEW_RULES_FILE_NAMES) {
+    const content = await readFile(path);
+    if (content != null) return { path, ref, content };
+  }
+  return null;
+}
+
+/**
+ * @param {{ origin: string, projectPath: string, mrIid: string|number }} target
+ */
+async function fetchGitLabRulesFile(target) {
+  const api = new GitLabAPI(target);
+  const ref = (await api.getMergeRequest(target.mrIid))?.target_branch;
+  if (!ref) throw new Error('GitLab merge request has no target branch');
+  return findRulesFile(ref, (path) => api.getFileContent(path, ref));
+}
+
+/**
+ * @param {{ hostname: string, owner: string, repo: string, prNumber: string|number, baseRef?: string|null }} target
+ * @param {{ token?: string|null, canUseApi?: boolean }} credentials
+ */
+async function fetchGitHubRulesFile(target, { token = null, canUseApi = false } = {}) {
+  if (token && canUseApi) {
+    const api = new GitHubAPI({ hostname: target.hostname, owner: target.owner, repo: target.repo, token });
+    const ref = (await api.getPullRequest(target.prNumber))?.base?.ref;
+    if (!ref) throw new Error('GitHub pull request has no base branch');
+    return findRulesFile(ref, (path) => api.getFileContent(path, ref));
+  }
+
+  // Without API access: base branch read from the PR page, else the default branch
+  const ref = target.baseRef || 'HEAD';
+  return findRulesFile(ref, async (path) => {
+    const response = await fetch(`https://${target.hostname}/${target.owner}/${target.repo}/raw/${ref}/${path}`);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${path} from GitHub: ${response.status} ${response.statusText}`);
+    }
+    return response.text();
+  });
+}
+
+/**
+ * The caller must have initialized azureDevOpsFetcher for this PR.
+ */
+async function fetchAzureDevOpsRulesFile() {
+  const prDetails = await azureDevOpsAPI.getPullRequest(azureDevOpsFetcher.prInfo.prId);
+  const ref = String(prDetails?.targetRefName || '').replace(/^refs\/heads\//, '');
+  if (!ref) throw new Error('Azure DevOps pull request has no target branch');
+  return findRulesFile(ref, (path) => azureDevOpsAPI.getBranchFileContent(`/${path}`, ref));
+}
+
+/**
+ * @param {{ diffUrl: string }} target
+ * @param {{ token?: string|null, email?: string|null }} credentials
+ */
+async function fetchBitbucketRulesFile(target, { token = null, email = null } = {}) {
+  const result = await fetchTargetBranchFile(target.diffUrl, REVIEW_RULES_FILE_NAMES, { token, email });
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to fetch the rules file from Bitbucket');
+  }
+  return result.file;
+}
+
+/**
+ * Fetch the review rules file of the repository from the PR/MR target branch.
+ *
+ * @param {Object} params
+ * @param {'gitlab'|'github'|'azure-devops'|'bitbucket'} params.platform
+ * @param {Object} params.target - Platform-specific PR coordinates
+ * @param {Object} [params.credentials] - GitHub: { token, canUseApi }; Bitbucket: { token, email }
+ * @returns {Promise<{ path: string, ref: string, content: string }|null>} null when the repository has no rules file
+ */
+export async function fetchReviewRulesFile({ platform, target, credentials = {} }) {
+  let file;
+  switch (platform) {
+    case 'gitlab':
+      file = await fetchGitLabRulesFile(target);
+      break;
+    case 'github':
+      file = await fetchGitHubRulesFile(target, credentials);
+      break;
+    case 'azure-devops':
+      file = await fetchAzureDevOpsRulesFile();
+      break;
+    case 'bitbucket':
+      file = await fetchBitbucketRulesFile(target, credentials);
+      break;
+    default:
+      throw new Error(`Review rules files are not supported on ${platform || 'this platform'}`);
+  }
+  dbgLog('Resolved review rules file:', { platform, path: file?.path || null, ref: file?.ref || null });
+  return file;
+}
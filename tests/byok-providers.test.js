@@ -0,0 +1,219 @@
+/**
+ * Unit tests for the bring-your-own-key providers: Anthropic (Messages API) and Azure OpenAI,
+ * including the review schema check and the token usage reported in the review metadata.
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { normalizeAzureOpenAIEndpoint, getAzureOpenAIOriginPattern } from '../utils/azure-openai.js';
+import { findReviewSchemaProblems } from '../utils/review-schema.js';
+import { toAnthropicRequest, requestAnthropicMessage } from '../services/anthropic-messages.js';
+import { reviewPatchWithChatCompletions } from '../services/chat-completions.js';
+import { jsonResponse } from './test-helpers.js';
+
+const PATCH = 'diff --git a/a.js b/a.js\n--- a/a.js\n+++ b/a.js\n@@ -1 +1 @@\n-var a = 1;\n+const a = 1;';
+
+const VALID_REVIEW = {
+  summary: 'Uses const',
+  suggestions: ['Name it better'],
+  securityIssues: [],
+  suggestedQuestions: ['Why const?', 'Why not let?', 'What about var?'],
+  findings: [{ title: 'Unclear name', description: 'Rename a.', severity: 'low', category: 'style', filePath: 'a.js', startLine: 1 }],
+  metrics: { overallScore: 90, codeQuality: 90, securityScore: 100, bestPracticesScore: 85 }
+};
+
+const anthropicEndpoint = {
+  api: 'anthropic',
+  baseUrl: 'https://api.anthropic.com/v1',
+  headers: { 'x-api-key': 'sk-ant', 'Content-Type': 'application/json' },
+  provider: 'anthropic',
+  enforceReviewSchema: true
+};
+
+const azureEndpoint = {
+  baseUrl: 'https://my-resource.openai.azure.com/openai/deployments/gpt-4o',
+  query: 'api-version=2024-10-21',
+  headers: { 'api-key': 'azure-key', 'Content-Type': 'application/json' },
+  provider: 'azure-openai',
+  jsonMode: true,
+  streamUsage: true,
+  enforceReviewSchema: true
+};
+
+function sseResponse(events) {
+  const encoder = new TextEncoder();
+  return new Response(new ReadableStream({
+    start(controller) {
+      events.forEach((event) => controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`)));
+      controller.close();
+    }
+  }));
+}
+
+function completion(content, usage = { prompt_tokens: 100, completion_tokens: 20 }) {
+  return jsonResponse({ choices: [{ message: { content } }], usage });
+}
+
+const originalFetch = global.fetch;
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+describe('normalizeAzureOpenAIEndpoint', () => {
+  it('keeps only the resource origin', () => {
+    expect(normalizeAzureOpenAIEndpoint(' https://my-resource.openai.azure.com/openai/deployments/gpt-4o ')).toBe('https://my-resource.openai.azure.com');
+    expect(normalizeAzureOpenAIEndpoint('my-resource.openai.azure.com')).toBe('https://my-resource.openai.azure.com');
+  });
+
+  it('rejects empty and non-https endpoints', () => {
+    expect(normalizeAzureOpenAIEndpoint('')).toBe('');
+    expect(normalizeAzureOpenAIEndpoint('http://my-resource.openai.azure.com')).toBeNull();
+  });
+
+  it('builds the host permission pattern', () => {
+    expect(getAzureOpenAIOriginPattern('https://my-resource.openai.azure.com')).toBe('https://my-resource.openai.azure.com/*');
+  });
+});
+
+describe('findReviewSchemaProblems', () => {
+  it('accepts a review with every required field', () => {
+    expect(findReviewSchemaProblems(VALID_REVIEW)).toEqual([]);
+  });
+
+  it('lists missing fields and out of range scores', () => {
+    const problems = findReviewSchemaProblems({
+      summary: 'Ok',
+      suggestions: 'none',
+      securityIssues: [],
+      suggestedQuestions: [],
+      findings: [{ title: 'Unclear name', severity: 'low' }],
+      metrics: { ...VALID_REVIEW.metrics, codeQuality: 120 }
+    });
+
+    expect(problems).toEqual([
+      '"suggestions" must be an array of strings.',
+      '"findings" must be an array of objects with string "title", "severity" and "category".',
+      '"metrics.codeQuality" must be a number from 0 to 100.'
+    ]);
+  });
+
+  it('rejects answers that are not an object', () => {
+    expect(findReviewSchemaProblems([VALID_REVIEW])).toEqual(['The answer must be a single JSON object.']);
+  });
+});
+
+describe('toAnthropicRequest', () => {
+  it('moves system messages to the system prompt and joins consecutive turns', () => {
+    const request = toAnthropicRequest({
+      model: 'claude-sonnet',
+      temperature: 0.2,
+      max_tokens: 1024,
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Patch here' },
+        { role: 'user', content: 'What changed?' },
+        { role: 'model', content: 'var became const.' }
+      ]
+    });
+
+    expect(request).toEqual({
+      model: 'claude-sonnet',
+      max_tokens: 1024,
+      temperature: 0.2,
+      system: 'Be brief.',
+      messages: [
+        { role: 'user', content: 'Patch here\n\nWhat changed?' },
+        { role: 'assistant', content: 'var became const.' }
+      ]
+    });
+  });
+});
+
+describe('requestAnthropicMessage', () => {
+  it('streams text deltas and reports token usage', async () => {
+    global.fetch = jest.fn(async () => sseResponse([
+      { type: 'message_start', message: { usage: { input_tokens: 321, output_tokens: 1 } } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hello' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: ' there' } },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 12 } },
+      { type: 'message_stop' }
+    ]));
+    const tokens = [];
+
+    const result = await requestAnthropicMessage(anthropicEndpoint, {
+      model: 'claude-sonnet', temperature: 0, max_tokens: 64, messages: [{ role: 'user', content: 'Hi' }]
+    }, { onToken: (token) => tokens.push(token) });
+
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(init.headers['x-api-key']).toBe('sk-ant');
+    expect(JSON.parse(init.body).stream).toBe(true);
+    expect(tokens).toEqual(['Hello', ' there']);
+    expect(result).toEqual({ text: 'Hello there', usage: { inputTokens: 321, outputTokens: 12 } });
+  });
+
+  it('rejects with the status of a failed request', async () => {
+    global.fetch = jest.fn(async () => new Response('invalid x-api-key', { status: 401 }));
+
+    await expect(requestAnthropicMessage(anthropicEndpoint, {
+      model: 'claude-sonnet', temperature: 0, max_tokens: 64, messages: [{ role: 'user', content: 'Hi' }]
+    })).rejects.toMatchObject({ status: 401 });
+  });
+});
+
+describe('reviewPatchWithChatCompletions on Azure OpenAI', () => {
+  it('calls the deployment with the api-version and JSON mode, and records usage', async () => {
+    global.fetch = jest.fn(async () => completion(JSON.stringify(VALID_REVIEW)));
+
+    const result = await reviewPatchWithChatCompletions(azureEndpoint, { patchContent: PATCH, language: 'English', model: 'gpt-4o' });
+
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://my-resource.openai.azure.com/openai/deployments/gpt-4o/chat/completions?api-version=2024-10-21');
+    expect(init.headers['api-key']).toBe('azure-key');
+    expect(JSON.parse(init.body).response_format).toEqual({ type: 'json_object' });
+    expect(result.provider).toBe('azure-openai');
+    expect(result.review.summary).toBe('Uses const');
+    expect(result.meta.usage).toEqual({ inputTokens: 100, outputTokens: 20 });
+  });
+
+  it('asks once for a corrected review when the answer does not match the schema', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(completion('{"summary":"Uses const"}'))
+      .mockResolvedValueOnce(completion(JSON.stringify(VALID_REVIEW), { prompt_tokens: 150, completion_tokens: 30 }));
+
+    const result = await reviewPatchWithChatCompletions(azureEndpoint, { patchContent: PATCH, language: 'English', model: 'gpt-4o' });
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    const { messages } = JSON.parse(global.fetch.mock.calls[1][1].body);
+    expect(messages[messages.length - 2]).toEqual({ role: 'assistant', content: '{"summary":"Uses const"}' });
+    expect(messages[messages.length - 1].content).toContain('"suggestions" must be an array of strings.');
+    expect(result.review.suggestions).toEqual(['Name it better']);
+    expect(result.meta.usage).toEqual({ inputTokens: 250, outputTokens: 50 });
+  });
+
+  it('asks for a correction of malformed findings and keeps the repaired ones', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(completion(JSON.stringify({ ...VALID_REVIEW, findings: ['Unclear name'] })))
+      .mockResolvedValueOnce(completion(JSON.stringify(VALID_REVIEW)));
+
+    const result = await reviewPatchWithChatCompletions(azureEndpoint, { patchContent: PATCH, language: 'English', model: 'gpt-4o' });
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    const { messages } = JSON.parse(global.fetch.mock.calls[1][1].body);
+    const repairPrompt = messages[messages.length - 1].content;
+    expect(repairPrompt).toContain('"findings" must be an array of objects');
+    expect(repairPrompt).toContain('suggestedQuestions, findings, bestPractices and metrics');
+    expect(result.review.lowIssues).toEqual([
+      { title: 'Unclear name', description: 'Rename a.', severity: 'low', category: 'style', filePath: 'a.js', startLine: 1 }
+    ]);
+  });
+
+  it('does not retry on endpoints that do not enforce the schema', async () => {
+    global.fetch = jest.fn(async () => completion('{"summary":"Uses const"}'));
+
+    await reviewPatchWithChatCompletions({ ...azureEndpoint, enforceReviewSchema: false }, { patchContent: PATCH, language: 'English', model: 'gpt-4o' });
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
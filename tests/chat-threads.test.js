@@ -0,0 +1,72 @@
+/**
+ * Unit tests for the chat conversations saved per MR/PR (utils/chat-threads.js).
+ *
+ * @jest-environment node
+ */
+
+import {
+  hashPatchContent,
+  listChatThreads,
+  loadChatThread,
+  saveChatThread,
+  MAX_MESSAGES_PER_THREAD
+} from '../utils/chat-threads.js';
+import { mockStorage } from './test-helpers.js';
+
+const reviewKey = 'gitlab:https://gitlab.acme.com/team/app!12';
+const exchange = [
+  { role: 'user', content: 'Why is the cache   cleared on every request?' },
+  { role: 'model', content: 'Because `reset()` runs in the middleware.' }
+];
+
+afterEach(() => {
+  delete global.chrome;
+});
+
+describe('chat threads', () => {
+  it('saves a conversation once and updates it in place', async () => {
+    mockStorage();
+    const patchHash = await hashPatchContent('diff --git a/a.js b/a.js');
+
+    const created = await saveChatThread(reviewKey, { patchHash, messages: exchange });
+    const updated = await saveChatThread(reviewKey, {
+      id: created.id,
+      patchHash: 'ignored-for-existing-threads',
+      repoToolFetchCount: 3,
+      messages: [...exchange, { role: 'user', content: 'Can it be lazy?' }, { role: 'model', content: 'Yes.' }]
+    });
+
+    expect(created.title).toBe('Why is the cache cleared on every request?');
+    expect(created.repoToolFetchCount).toBe(0);
+    expect(updated).toMatchObject({ id: created.id, patchHash, repoToolFetchCount: 3, createdAt: created.createdAt });
+    const threads = await listChatThreads(reviewKey);
+    expect(threads).toHaveLength(1);
+    expect(threads[0].messages).toHaveLength(4);
+    await expect(loadChatThread(reviewKey, created.id)).resolves.toMatchObject({ id: created.id, repoToolFetchCount: 3 });
+  });
+
+  it('keeps threads apart per MR and drops the oldest messages of long threads', async () => {
+    mockStorage();
+    const long = Array.from({ length: MAX_MESSAGES_PER_THREAD + 4 }, (_, i) => ({
+      role: i % 2 === 0 ? 'user' : 'model',
+      content: `message ${i}`
+    }));
+
+    await saveChatThread(reviewKey, { patchHash: null, messages: long });
+    await saveChatThread('github:github.com/acme/app#3', { patchHash: null, messages: exchange });
+
+    const [thread] = await listChatThreads(reviewKey);
+    expect(thread.messages).toHaveLength(MAX_MESSAGES_PER_THREAD);
+    expect(thread.messages[0].content).toBe('message 4');
+    expect(await listChatThreads('github:github.com/acme/app#3')).toHaveLength(1);
+  });
+
+  it('stores nothing without a key or messages', async () => {
+    const data = mockStorage();
+
+    await expect(saveChatThread(null, { patchHash: null, messages: exchange })).resolves.toBeNull();
+    await expect(saveChatThread(reviewKey, { patchHash: null, messages: [] })).resolves.toBeNull();
+    expect(data.chatThreads).toBeUndefined();
+    expect(await hashPatchContent('')).toBeNull();
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Unit tests for reviewing oversized patches in parts (Ollama / OpenRouter).
+ */
+
+import { jest } from '@jest/globals';
+import {
+  splitPatchIntoChunks,
+  dedupeFindings,
+  mergeChunkReviews,
+  runChunkedReview
+} from '../utils/chunked-review.js';
+
+/**
+ * @param {string} path
+ * @param {string[][]} hunks - Added lines per hunk
+ * @returns {string}
+ */
+function fileDiff(path, hunks) {
+  return [
+    `diff --git a/${path} b/${path}`,
+    `--- a/${path}`,
+    `+++ b/${path}`,
+    ...hunks.flatMap((lines, index) => [`@@ -${index * 10 + 1},0 +${index * 10 + 1},${lines.length} @@`, ...lines.map((line) => `+${line}`)])
+  ].join('\n');
+}
+
+describe('splitPatchIntoChunks', () => {
+  it('keeps a patch that fits in one part', () => {
+    const patch = fileDiff('a.js', [['one']]);
+    expect(splitPatchIntoChunks(patch, 10000)).toEqual([patch]);
+  });
+
+  it('packs whole files into parts', () => {
+    const a = fileDiff('a.js', [['x'.repeat(60)]]);
+    const b = fileDiff('b.js', [['y'.repeat(60)]]);
+    const c = fileDiff('c.js', [['z'.repeat(60)]]);
+    const chunks = splitPatchIntoChunks([a, b, c].join('\n'), a.length * 2 + 1);
+    expect(chunks).toEqual([`${a}\n${b}`, c]);
+  });
+
+  it('splits a large file between hunks and repeats its header', () => {
+    const big = fileDiff('big.js', [['a'.repeat(80)], ['b'.repeat(80)], ['c'.repeat(80)]]);
+    const chunks = splitPatchIntoChunks(big, 200);
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach((chunk) => {
+      expect(chunk.length).toBeLessThanOrEqual(200);
+      expect(chunk.startsWith('diff --git a/big.js b/big.js\n--- a/big.js\n+++ b/big.js\n@@')).toBe(true);
+    });
+    expect(chunks.join('\n')).toContain('a'.repeat(80));
+    expect(chunks.join('\n')).toContain('c'.repeat(80));
+  });
+});
+
+describe('mergeChunkReviews', () => {
+  it('de-duplicates findings across parts and weights the metrics by part size', () => {
+    const merged = mergeChunkReviews([
+      {
+        weight: 300,
+        review: {
+          summary: 'Adds the parser',
+          suggestions: ['Validate the input length before parsing'],
+          securityIssues: ['Token is logged to the console'],
+          bestPractices: [],
+          metrics: { overallScore: 90, codeQuality: 90, securityScore: 60, bestPracticesScore: 90 },
+          suggestedQuestions: ['Why a custom parser?']
+        }
+      },
+      {
+        weight: 100,
+        review: {
+          summary: 'Wires the parser into the CLI',
+          suggestions: ['Validate the input length before parsing it', 'Add a --help flag'],
+          securityIssues: [],
+          bestPractices: ['Uses const'],
+          metrics: { overallScore: 50, codeQuality: 50, securityScore: 100, bestPracticesScore: 50 },
+          suggestedQuestions: ['Why a custom parser?', 'How is it tested?']
+        }
+      }
+    ]);
+
+    expect(merged.suggestions).toEqual(['Validate the input length before parsing it', 'Add a --help flag']);
+    expect(merged.securityIssues).toEqual(['Token is logged to the console']);
+    expect(merged.bestPractices).toEqual(['Uses const']);
+    expect(merged.metrics).toEqual({ overallScore: 80, codeQuality: 80, securityScore: 70, bestPracticesScore: 80 });
+    expect(merged.summary).toBe('Part 1: Adds the parser\n\nPart 2: Wires the parser into the CLI');
+    expect(merged.suggestedQuestions).toEqual(['Why a custom parser?', 'How is it tested?']);
+  });
+
+  it('keeps distinct findings that share few words', () => {
+    expect(dedupeFindings(['Missing null check in parseUser', 'SQL query built by string concatenation'])).toHaveLength(2);
+  });
+});
+
+describe('runChunkedReview', () => {
+  const partReview = (summary) => ({ summary, suggestions: [summary], securityIssues: [], bestPractices: [], metrics: {} });
+
+  it('reviews every part, skips failed parts and applies the final summary', async () => {
+    const reviewChunk = jest.fn(async (chunk, index, total) => {
+      if (index === 1) throw new Error('model timeout');
+      return partReview(`${chunk} ${index + 1}/${total}`);
+    });
+    const summarize = jest.fn(async () => ({ summary: 'Whole change', suggestedQuestions: ['Q1?', 'Q2?', 'Q3?', 'Q4?'] }));
+
+    const result = await runChunkedReview({ chunks: ['alpha', 'beta', 'gamma'], language: 'English', reviewChunk, summarize });
+
+    expect(reviewChunk).toHaveBeenCalledTimes(3);
+    expect(result.chunkCount).toBe(3);
+    expect(result.failedChunkCount).toBe(1);
+    expect(result.review.suggestions).toEqual(['alpha 1/3', 'gamma 3/3']);
+    expect(result.review.summary).toBe('Whole change');
+    expect(result.review.suggestedQuestions).toEqual(['Q1?', 'Q2?', 'Q3?']);
+    expect(summarize.mock.calls[0][0]).toContain('Part 1: alpha 1/3');
+  });
+
+  it('throws the provider error when every part fails', async () => {
+    const authError = Object.assign(new Error('Unauthorized'), { status: 401 });
+    await expect(runChunkedReview({
+      chunks: ['a', 'b'],
+      language: 'English',
+      reviewChunk: async () => { throw authError; },
+      summarize: async () => ({})
+    })).rejects.toBe(authError);
+  });
+
+  it('stops at the first part that fails after the review was cancelled', async () => {
+    const controller = new AbortController();
+    const abortError = Object.assign(new Error('aborted'), { name: 'AbortError' });
+    const reviewChunk = jest.fn(async () => {
+      controller.abort();
+      throw abortError;
+    });
+    await expect(runChunkedReview({
+      chunks: ['a', 'b', 'c'],
+      language: 'English',
+      reviewChunk,
+      summarize: async () => ({}),
+      signal: controller.signal
+    })).rejects.toBe(abortError);
+    expect(reviewChunk).toHaveBeenCalledTimes(1);
+  });
+});
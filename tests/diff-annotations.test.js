@@ -0,0 +1,125 @@
+/**
+ * Unit tests for the review annotations injected into the GitHub, Azure DevOps and Bitbucket
+ * diff views (utils/diff-annotation-injector.js).
+ */
+
+import { jest } from '@jest/globals';
+import {
+  buildDiffAnnotations,
+  diffPathsMatch,
+  injectDiffAnnotations,
+  removeDiffAnnotations
+} from '../utils/diff-annotation-injector.js';
+
+const PATCH = [
+  'diff --git a/src/app.js b/src/app.js',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -10,3 +10,4 @@',
+  ' const a = 1;',
+  '-let b = 2;',
+  '+const b = 3;',
+  '+const c = 4;',
+  ' module.exports = a;'
+].join('\n');
+
+const review = {
+  criticalIssues: [{ title: 'Shadowed constant', description: 'b is redeclared.', filePath: './src/app.js', startLine: 11 }],
+  highIssues: [{ title: 'Outside the diff', description: 'Not shown inline.', filePath: 'src/app.js', startLine: 40 }],
+  lowIssues: [],
+  codeSuggestions: [{ description: 'Merge the constants', filePath: 'src/app.js', startLine: 11, endLine: 12, suggestedCode: 'const [b, c] = [3, 4];' }]
+};
+
+/** Classic GitHub unified diff: old and new number cells, the new one with an id ending in R<line> */
+function renderGitHubDiff() {
+  const rows = [[10, 10], [null, 11], [null, 12], [11, 13]].map(([oldLine, newLine]) => `
+    <tr>
+      <td class="blob-num" ${oldLine ? `id="diff-abcL${oldLine}" data-line-number="${oldLine}"` : ''}></td>
+      <td class="blob-num" ${newLine ? `id="diff-abcR${newLine}" data-line-number="${newLine}"` : ''}></td>
+      <td class="blob-code"></td>
+    </tr>`).join('');
+  document.body.innerHTML = `<div id="files"><div class="file" data-tagsearch-path="src/app.js"><table><tbody>${rows}</tbody></table></div></div>`;
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 300));
+
+beforeEach(() => {
+  global.chrome = { runtime: { getURL: (path) => `chrome-extension://test/${path}` } };
+});
+
+afterEach(() => {
+  removeDiffAnnotations();
+  document.body.innerHTML = '';
+  window.history.replaceState(null, '', '/');
+  delete global.chrome;
+});
+
+describe('diff annotations', () => {
+  it('keeps the located findings that fall on a diff line', () => {
+    const annotations = buildDiffAnnotations(review, PATCH);
+
+    expect(annotations.map((a) => [a.id, a.line])).toEqual([['issue-critical-0', 11], ['suggestion-0', 12]]);
+    expect(annotations[0]).toMatchObject({ kind: 'issue', severity: 'critical', description: 'b is redeclared.' });
+    expect(diffPathsMatch('…/app.js', 'src/app.js')).toBe(true);
+    expect(diffPathsMatch('/src/app.js', './src/app.js')).toBe(true);
+    expect(diffPathsMatch('lib/app.js', 'src/app.js')).toBe(false);
+    expect(diffPathsMatch('.github/ci.yml', '.github/ci.yml')).toBe(true);
+  });
+
+  it('adds collapsible rows below the new-side line on GitHub and links back to the panel', () => {
+    window.history.replaceState(null, '', '/acme/app/pull/7/files');
+    renderGitHubDiff();
+    const onShowInPanel = jest.fn();
+
+    const result = injectDiffAnnotations('github', buildDiffAnnotations(review, PATCH), { onShowInPanel });
+
+    expect(result).toEqual({ injected: 2, pending: 0 });
+    const holders = document.querySelectorAll('tr.thinkreview-diff-annotation-holder');
+    expect(holders[0].previousElementSibling.querySelector('#diff-abcR11')).not.toBeNull();
+    expect(holders[0].firstElementChild.colSpan).toBe(3);
+    expect(holders[1].dataset.thinkreviewAnnotation).toBe('suggestion-0');
+
+    const annotation = holders[0].querySelector('.thinkreview-diff-annotation');
+    expect(annotation.classList.contains('thinkreview-diff-annotation--critical')).toBe(true);
+    expect(annotation.classList.contains('is-expanded')).toBe(false);
+    annotation.querySelector('.thinkreview-diff-annotation-header').click();
+    expect(annotation.classList.contains('is-expanded')).toBe(true);
+    expect(holders[1].querySelector('code').textContent).toBe('const [b, c] = [3, 4];');
+
+    annotation.querySelector('.thinkreview-diff-annotation-link').click();
+    expect(onShowInPanel).toHaveBeenCalledWith(expect.objectContaining({ id: 'issue-critical-0' }));
+  });
+
+  it('re-injects after the diff re-renders and clears everything when leaving the pull request', async () => {
+    window.history.replaceState(null, '', '/acme/app/pull/7/files');
+    renderGitHubDiff();
+    injectDiffAnnotations('github', buildDiffAnnotations(review, PATCH));
+
+    // Virtual scrolling: the platform renders the rows again, dropping our annotations with them
+    renderGitHubDiff();
+    expect(document.querySelectorAll('.thinkreview-diff-annotation-holder')).toHaveLength(0);
+    await flush();
+    expect(document.querySelectorAll('.thinkreview-diff-annotation-holder')).toHaveLength(2);
+
+    window.history.replaceState(null, '', '/acme/app/pull/8/files');
+    renderGitHubDiff();
+    await flush();
+    expect(document.querySelectorAll('.thinkreview-diff-annotation-holder')).toHaveLength(0);
+  });
+
+  it('matches the new-side number as text in Azure DevOps rows', () => {
+    window.history.replaceState(null, '', '/org/proj/_git/app/pullrequest/3?_a=files&path=/src/app.js');
+    document.body.innerHTML = `
+      <div class="repos-diff-contents">
+        <div class="repos-diff-contents-row"><span class="repos-line-number">10</span><span class="repos-line-number">10</span></div>
+        <div class="repos-diff-contents-row"><span class="repos-line-number"></span><span class="repos-line-number">11</span></div>
+        <div class="repos-diff-contents-row"><span class="repos-line-number">11</span><span class="repos-line-number"></span></div>
+      </div>`;
+
+    const result = injectDiffAnnotations('azure-devops', buildDiffAnnotations(review, PATCH));
+
+    expect(result).toEqual({ injected: 1, pending: 1 });
+    const holder = document.querySelector('div.thinkreview-diff-annotation-holder');
+    expect(holder.previousElementSibling.textContent).toBe('11');
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for the expanded review context: changed files and their imports sent with the patch
+ * within a token budget (utils/expanded-context.js, services/context-files-fetcher.js).
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import {
+  normalizeExpandedContextSettings,
+  listChangedFilePaths,
+  findRelativeImports,
+  selectContextFiles,
+  buildContextFilesPrompt,
+  MIN_CONTEXT_TOKEN_BUDGET
+} from '../utils/expanded-context.js';
+import { fetchContextFiles } from '../services/context-files-fetcher.js';
+import { reviewPatchWithChatCompletions } from '../services/chat-completions.js';
+import { jsonResponse } from './test-helpers.js';
+
+function fileDiff(path, body = '@@ -1 +1 @@\n-a\n+b') {
+  return `diff --git a/${path} b/${path}\n--- a/${path}\n+++ b/${path}\n${body}`;
+}
+
+const originalFetch = global.fetch;
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+describe('expanded context settings', () => {
+  it('is off by default and keeps the budget within bounds', () => {
+    expect(normalizeExpandedContextSettings(undefined)).toEqual({ enabled: false, tokenBudget: 8000, includeImports: false });
+    expect(normalizeExpandedContextSettings({ enabled: true, tokenBudget: '10' }).tokenBudget).toBe(MIN_CONTEXT_TOKEN_BUDGET);
+    expect(normalizeExpandedContextSettings({ tokenBudget: 'lots' }).tokenBudget).toBe(8000);
+  });
+});
+
+describe('context file candidates', () => {
+  it('lists files that exist after the change, smallest diff first', () => {
+    const patch = [
+      fileDiff('src/big.js', `@@ -1,3 +1,3 @@\n${'-old line\n'.repeat(20)}${'+new line\n'.repeat(20)}`),
+      'diff --git a/src/gone.js b/src/gone.js\ndeleted file mode 100644\n--- a/src/gone.js\n+++ /dev/null\n@@ -1 +0,0 @@\n-x',
+      fileDiff('assets/logo.png'),
+      fileDiff('src/small.js')
+    ].join('\n');
+
+    expect(listChangedFilePaths(patch)).toEqual(['src/small.js', 'src/big.js']);
+  });
+
+  it('resolves relative JavaScript and TypeScript imports to candidate paths', () => {
+    const content = [
+      "import { a } from './util';",
+      "import b from '../lib/api.js';",
+      "const c = require('./config');",
+      "const d = await import('./lazy');",
+      "import React from 'react';"
+    ].join('\n');
+
+    expect(findRelativeImports('src/app/main.ts', content)).toEqual([
+      ['src/app/util.ts', 'src/app/util.tsx', 'src/app/util.d.ts', 'src/app/util/index.ts', 'src/app/util/index.tsx', 'src/app/util.js'],
+      ['src/lib/api.js'],
+      ['src/app/config.ts', 'src/app/config.tsx', 'src/app/config.d.ts', 'src/app/config/index.ts', 'src/app/config/index.tsx', 'src/app/config.js'],
+      ['src/app/lazy.ts', 'src/app/lazy.tsx', 'src/app/lazy.d.ts', 'src/app/lazy/index.ts', 'src/app/lazy/index.tsx', 'src/app/lazy.js']
+    ]);
+    expect(findRelativeImports('README.md', "see './util'")).toEqual([]);
+  });
+
+  it('fills the budget with changed files first, then the smallest imports', () => {
+    const { files, skipped, usedTokens } = selectContextFiles([
+      { path: 'import-small.js', content: 'x'.repeat(400), reason: 'import' },
+      { path: 'changed-big.js', content: 'x'.repeat(2400), reason: 'changed' },
+      { path: 'changed-small.js', content: 'x'.repeat(800), reason: 'changed' },
+      { path: 'import-big.js', content: 'x'.repeat(4000), reason: 'import' }
+    ], 1000);
+
+    expect(files.map((file) => file.path)).toEqual(['changed-small.js', 'changed-big.js', 'import-small.js']);
+    expect(skipped).toEqual(['import-big.js']);
+    expect(usedTokens).toBe(900);
+  });
+});
+
+describe('fetchContextFiles', () => {
+  it('reads the first existing candidate of each group at the GitLab MR head commit', async () => {
+    const existing = {
+      'src/app.js': 'export const app = 1;\n',
+      'src/util/index.js': 'export const util = 2;\n'
+    };
+    global.fetch = jest.fn(async (url) => {
+      if (url.endsWith('/merge_requests/3')) return jsonResponse({ diff_refs: { head_sha: 'head1' } });
+      const match = url.match(/\/repository\/files\/([^?]+)\?ref=head1$/);
+      const content = match && existing[decodeURIComponent(match[1])];
+      return content
+        ? jsonResponse({ content: Buffer.from(content).toString('base64') })
+        : jsonResponse({ message: '404 File Not Found' }, 404);
+    });
+
+    const result = await fetchContextFiles({
+      platform: 'gitlab',
+      target: { origin: 'https://gitlab.acme.com', projectPath: 'team/app', mrIid: '3' },
+      pathGroups: [['src/app.js'], ['src/util.js', 'src/util/index.js'], ['src/missing.js']]
+    });
+
+    expect(result).toEqual({
+      ref: 'head1',
+      files: [
+        { path: 'src/app.js', content: 'export const app = 1;\n' },
+        { path: 'src/util/index.js', content: 'export const util = 2;\n' }
+      ]
+    });
+  });
+
+  it('reads public GitHub files from the PR head ref without a token', async () => {
+    global.fetch = jest.fn(async () => new Response('let a = 1;\n', { status: 200 }));
+
+    const result = await fetchContextFiles({
+      platform: 'github',
+      target: { hostname: 'github.com', owner: 'acme', repo: 'app', prNumber: '9' },
+      pathGroups: [['src/a.js']]
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith('https://github.com/acme/app/raw/refs/pull/9/head/src/a.js');
+    expect(result.files).toEqual([{ path: 'src/a.js', content: 'let a = 1;\n' }]);
+  });
+});
+
+describe('context files in the review prompt', () => {
+  const endpoint = { baseUrl: 'http://localhost:8000/v1', headers: {}, provider: 'openai-compatible' };
+  const contextFiles = [{ path: 'src/util.js', content: 'export function util() {}\n', reason: 'import' }];
+
+  it('sends the files before the patch', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({ choices: [{ message: { content: '{"summary":"ok","suggestedQuestions":[]}' } }] }));
+
+    const result = await reviewPatchWithChatCompletions(endpoint, {
+      patchContent: fileDiff('src/app.js'), language: 'English', contextFiles, model: 'm'
+    });
+
+    const prompt = JSON.parse(global.fetch.mock.calls[0][1].body).messages[1].content;
+    expect(prompt).toContain(buildContextFilesPrompt(contextFiles));
+    expect(prompt.indexOf('--- src/util.js (imported by a changed file) ---')).toBeLessThan(prompt.indexOf('Here is the patch to review'));
+    expect(result.meta.contextFilesOmitted).toBeUndefined();
+  });
+
+  it('leaves the files out when the patch would not fit with them', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({ choices: [{ message: { content: '{"summary":"ok","suggestedQuestions":[]}' } }] }));
+    const bigFile = [{ path: 'src/big.js', content: 'x'.repeat(40000), reason: 'changed' }];
+
+    const result = await reviewPatchWithChatCompletions(endpoint, {
+      patchContent: fileDiff('src/big.js'), language: 'English', contextFiles: bigFile, model: 'm', contextLength: 16000
+    });
+
+    const prompt = JSON.parse(global.fetch.mock.calls[0][1].body).messages[1].content;
+    expect(prompt).not.toContain('--- src/big.js ---');
+    expect(result.meta.contextFilesOmitted).toBe(true);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit tests for GitHub tokens per host and the pull request diff read through the REST API
+ * (utils/github-tokens.js, services/github-api.js).
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { getGitHubHostFromDomain, listGitHubHosts, readGitHubTokens, getGitHubApiOriginPattern } from '../utils/github-tokens.js';
+import { githubFilesToPatch, fetchGitHubPullRequestDiff, validateGitHubToken } from '../services/github-api.js';
+import { jsonResponse, mockStorage } from './test-helpers.js';
+
+const TARGET = { hostname: 'github.com', owner: 'acme', repo: 'app', prNumber: '7' };
+
+const originalFetch = global.fetch;
+afterEach(() => {
+  global.fetch = originalFetch;
+  delete global.chrome;
+});
+
+describe('GitHub hosts', () => {
+  it('uses the host of a domain as entered in settings', () => {
+    expect(getGitHubHostFromDomain('https://GitHub.Acme.com/')).toBe('github.acme.com');
+    expect(getGitHubHostFromDomain('www.github.com')).toBe('github.com');
+    expect(getGitHubHostFromDomain('')).toBeNull();
+  });
+
+  it('lists github.com before the enterprise domains', () => {
+    expect(listGitHubHosts(['github.acme.com', 'https://github.acme.com', 'ghe.example.org'])).toEqual(['github.com', 'github.acme.com', 'ghe.example.org']);
+  });
+
+  it('asks for the API origin of each host', () => {
+    expect(getGitHubApiOriginPattern('github.com')).toBe('https://api.github.com/*');
+    expect(getGitHubApiOriginPattern('github.acme.com')).toBe('https://github.acme.com/*');
+  });
+});
+
+describe('readGitHubTokens', () => {
+  it('moves the token saved before tokens were per host to every known host', async () => {
+    const data = mockStorage({ githubToken: ' ghp_old ', githubEnterpriseDomains: ['github.acme.com'], githubTokens: { 'github.com': 'ghp_new' } });
+
+    const tokens = await readGitHubTokens();
+
+    expect(tokens).toEqual({ 'github.com': 'ghp_new', 'github.acme.com': 'ghp_old' });
+    expect(data.githubTokens).toEqual(tokens);
+    expect(data).not.toHaveProperty('githubToken');
+  });
+});
+
+describe('githubFilesToPatch', () => {
+  it('builds git headers for modified, added, removed, renamed and binary files', () => {
+    const patch = githubFilesToPatch([
+      { filename: 'src/a.js', status: 'modified', patch: '@@ -1 +1 @@\n-var a;\n+let a;' },
+      { filename: 'src/new.js', status: 'added', patch: '@@ -0,0 +1 @@\n+x' },
+      { filename: 'src/old.js', status: 'removed', patch: '@@ -1 +0,0 @@\n-y' },
+      { filename: 'src/moved.js', previous_filename: 'src/orig.js', status: 'renamed' },
+      { filename: 'logo.png', status: 'added' }
+    ]);
+
+    expect(patch).toBe([
+      'diff --git a/src/a.js b/src/a.js', '--- a/src/a.js', '+++ b/src/a.js', '@@ -1 +1 @@', '-var a;', '+let a;',
+      'diff --git a/src/new.js b/src/new.js', 'new file mode 100644', '--- /dev/null', '+++ b/src/new.js', '@@ -0,0 +1 @@', '+x',
+      'diff --git a/src/old.js b/src/old.js', 'deleted file mode 100644', '--- a/src/old.js', '+++ /dev/null', '@@ -1 +0,0 @@', '-y',
+      'diff --git a/src/orig.js b/src/moved.js', 'rename from src/orig.js', 'rename to src/moved.js',
+      'diff --git a/logo.png b/logo.png', 'new file mode 100644', 'Binary files /dev/null and b/logo.png differ',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('fetchGitHubPullRequestDiff', () => {
+  it('reads every page of changed files through the API when a token can be used', async () => {
+    const firstPage = Array.from({ length: 100 }, (_, i) => ({ filename: `f${i}.js`, status: 'modified', patch: '@@ -1 +1 @@\n-a\n+b' }));
+    global.fetch = jest.fn(async (url) => {
+      if (url.endsWith('/pulls/7')) return jsonResponse({ head: { sha: 'abc' }, changed_files: 101 });
+      if (url.endsWith('&page=1')) return jsonResponse(firstPage);
+      return jsonResponse([{ filename: 'last.js', status: 'added', patch: '@@ -0,0 +1 @@\n+c' }]);
+    });
+
+    const result = await fetchGitHubPullRequestDiff({ url: 'https://github.com/acme/app/pull/7.diff', target: TARGET, token: 'ghp', canUseApi: true });
+
+    const urls = global.fetch.mock.calls.map(([url]) => url);
+    expect(urls).toEqual([
+      'https://api.github.com/repos/acme/app/pulls/7',
+      'https://api.github.com/repos/acme/app/pulls/7/files?per_page=100&page=1',
+      'https://api.github.com/repos/acme/app/pulls/7/files?per_page=100&page=2'
+    ]);
+    expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer ghp');
+    expect(result).toMatchObject({ success: true, source: 'api', fileCount: 101, totalFileCount: 101 });
+    expect(result.content).toContain('diff --git a/last.js b/last.js');
+  });
+
+  it('reports the single sign-on page when the organization has not authorized the token', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({ message: 'Resource protected by organization SAML enforcement.' }, 403, {
+      'X-GitHub-SSO': 'required; url=https://github.com/orgs/acme/sso?authorization_request=abc'
+    }));
+
+    const result = await fetchGitHubPullRequestDiff({ url: 'https://github.com/acme/app/pull/7.diff', target: TARGET, token: 'ghp', canUseApi: true });
+
+    expect(result).toMatchObject({ success: false, isAuthError: true, status: 403, ssoUrl: 'https://github.com/orgs/acme/sso?authorization_request=abc' });
+  });
+
+  it('does not treat an exhausted rate limit as a bad token', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({ message: 'API rate limit exceeded' }, 403, { 'X-RateLimit-Remaining': '0' }));
+
+    const result = await fetchGitHubPullRequestDiff({ url: 'https://github.com/acme/app/pull/7.diff', target: TARGET, token: 'ghp', canUseApi: true });
+
+    expect(result).toMatchObject({ success: false, status: 403, isRateLimit: true });
+    expect(result.isAuthError).toBeUndefined();
+  });
+
+  it('asks for a token when the anonymous diff of a private repository is not found', async () => {
+    global.fetch = jest.fn(async () => new Response('Not Found', { status: 404, statusText: 'Not Found' }));
+
+    const result = await fetchGitHubPullRequestDiff({ url: 'https://github.com/acme/app/pull/7.diff', target: TARGET });
+
+    expect(global.fetch).toHaveBeenCalledWith('https://github.com/acme/app/pull/7.diff');
+    expect(result).toMatchObject({ success: false, status: 404, needsToken: true });
+  });
+});
+
+describe('validateGitHubToken', () => {
+  it('returns the login of a working token and flags rejected ones', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse({ login: 'octocat' }))
+      .mockResolvedValueOnce(jsonResponse({ message: 'Bad credentials' }, 401));
+
+    expect(await validateGitHubToken('github.acme.com', 'ghp')).toMatchObject({ valid: true, login: 'octocat' });
+    expect(global.fetch.mock.calls[0][0]).toBe('https://github.acme.com/api/v3/user');
+    expect(await validateGitHubToken('github.com', 'bad')).toMatchObject({ valid: false, isAuthError: true });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit tests for GitLab API mode: merged merge request diff and details through the REST API
+ * (services/gitlab-api.js, utils/gitlab-tokens.js) and the PR context added to the review prompt
+ * (utils/pr-context.js).
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { GitLabAPI, gitLabMergeRequestToPrContext } from '../services/gitlab-api.js';
+import { getGitLabOriginFromDomain, listGitLabOrigins } from '../utils/gitlab-tokens.js';
+import { normalizePrContext, buildPrContextPrompt, MAX_PR_DESCRIPTION_CHARS } from '../utils/pr-context.js';
+import { reviewPatchWithChatCompletions } from '../services/chat-completions.js';
+import { jsonResponse } from './test-helpers.js';
+
+const TARGET = { origin: 'https://gitlab.acme.com', projectPath: 'team/app', mrIid: '12' };
+
+const MERGE_REQUEST = {
+  iid: 12,
+  title: 'Cache user lookups',
+  description: 'Adds an LRU cache in front of the user service.',
+  labels: ['performance', 'backend'],
+  source_branch: 'feature/cache',
+  target_branch: 'main',
+  head_pipeline: { status: 'failed' },
+  diff_refs: { head_sha: 'abc123' }
+};
+
+function diffEntry(path) {
+  return { old_path: path, new_path: path, diff: '@@ -1 +1 @@\n-a\n+b\n' };
+}
+
+const originalFetch = global.fetch;
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+describe('GitLab instances', () => {
+  it('keys tokens by instance origin, gitlab.com first', () => {
+    expect(getGitLabOriginFromDomain('gitlab.acme.com')).toBe('https://gitlab.acme.com');
+    expect(getGitLabOriginFromDomain('http://localhost:8083/')).toBe('http://localhost:8083');
+    expect(listGitLabOrigins(['https://gitlab.com', 'gitlab.acme.com'])).toEqual(['https://gitlab.com', 'https://gitlab.acme.com']);
+  });
+});
+
+describe('GitLabAPI.getMergeRequestChanges', () => {
+  it('reads every page of the merged diff with the access token', async () => {
+    const firstPage = Array.from({ length: 100 }, (_, i) => diffEntry(`f${i}.js`));
+    global.fetch = jest.fn(async (url) => {
+      if (url.endsWith('/merge_requests/12')) return jsonResponse(MERGE_REQUEST);
+      if (url.endsWith('&page=1')) return jsonResponse(firstPage);
+      return jsonResponse([diffEntry('last.js')]);
+    });
+
+    const result = await new GitLabAPI({ ...TARGET, token: 'glpat' }).getMergeRequestChanges('12');
+
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual([
+      'https://gitlab.acme.com/api/v4/projects/team%2Fapp/merge_requests/12',
+      'https://gitlab.acme.com/api/v4/projects/team%2Fapp/merge_requests/12/diffs?per_page=100&page=1',
+      'https://gitlab.acme.com/api/v4/projects/team%2Fapp/merge_requests/12/diffs?per_page=100&page=2'
+    ]);
+    const [, init] = global.fetch.mock.calls[0];
+    expect(init.headers['PRIVATE-TOKEN']).toBe('glpat');
+    expect(init.credentials).toBe('omit');
+    expect(result.fileCount).toBe(101);
+    expect(result.headSha).toBe('abc123');
+    expect(result.patch).toContain('diff --git a/last.js b/last.js');
+    expect(result.prContext).toEqual({
+      title: 'Cache user lookups',
+      description: 'Adds an LRU cache in front of the user service.',
+      labels: ['performance', 'backend'],
+      sourceBranch: 'feature/cache',
+      targetBranch: 'main',
+      pipelineStatus: 'failed'
+    });
+  });
+
+  it('uses the session cookie without a token and falls back to /changes on older instances', async () => {
+    global.fetch = jest.fn(async (url) => {
+      if (url.endsWith('/merge_requests/12')) return jsonResponse(MERGE_REQUEST);
+      if (url.includes('/diffs?')) return jsonResponse({ message: '404 Not Found' }, 404);
+      return jsonResponse({ changes: [diffEntry('a.js')] });
+    });
+
+    const result = await new GitLabAPI(TARGET).getMergeRequestChanges('12');
+
+    expect(global.fetch.mock.calls[2][0]).toBe('https://gitlab.acme.com/api/v4/projects/team%2Fapp/merge_requests/12/changes');
+    expect(global.fetch.mock.calls[0][1].credentials).toBe('include');
+    expect(global.fetch.mock.calls[0][1].headers).not.toHaveProperty('PRIVATE-TOKEN');
+    expect(result.fileCount).toBe(1);
+  });
+
+  it('rejects with the status when the project is not visible', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({ message: '404 Project Not Found' }, 404));
+
+    await expect(new GitLabAPI(TARGET).getMergeRequestChanges('12')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('PR context prompt', () => {
+  it('describes the pull request for the model', () => {
+    expect(buildPrContextPrompt(gitLabMergeRequestToPrContext(MERGE_REQUEST))).toBe([
+      'Pull request context (written by the author; use it to check that the change does what it says, but review the code itself):',
+      '',
+      'Title: Cache user lookups',
+      'Branches: feature/cache → main',
+      'Labels: performance, backend',
+      'CI pipeline status: failed',
+      'Description:',
+      'Adds an LRU cache in front of the user service.'
+    ].join('\n'));
+  });
+
+  it('drops empty contexts and cuts long descriptions', () => {
+    expect(buildPrContextPrompt(null)).toBe('');
+    expect(normalizePrContext({ title: '  ', labels: [''] })).toBeNull();
+    const { description } = normalizePrContext({ description: 'x'.repeat(MAX_PR_DESCRIPTION_CHARS + 10) });
+    expect(description).toBe(`${'x'.repeat(MAX_PR_DESCRIPTION_CHARS)}\n[description truncated]`);
+  });
+
+  it('is sent to the providers with the review prompt', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({ choices: [{ message: { content: '{"summary":"ok","suggestedQuestions":[]}' } }] }));
+
+    await reviewPatchWithChatCompletions(
+      { baseUrl: 'http://localhost:8000/v1', headers: {}, provider: 'openai-compatible' },
+      { patchContent: 'diff --git a/a b/a', language: 'English', prContext: { title: 'Cache user lookups' }, model: 'm' }
+    );
+
+    const { messages } = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(messages.map((message) => message.content).join('\n')).toContain('Title: Cache user lookups');
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for incremental re-review: carrying line numbers through an incremental diff
+ * and merging the delta review into the previous findings.
+ */
+
+import { buildDiffLineMapper, mapLineThroughDiff } from '../utils/diff-line-locator.js';
+import { mergeIncrementalReview } from '../utils/incremental-review.js';
+import { buildReviewKey } from '../utils/review-key.js';
+
+// Line 3 is modified and two lines are inserted after line 10 of src/app.js; src/old.js is deleted.
+const DELTA_PATCH = [
+  'diff --git a/src/app.js b/src/app.js',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -2,3 +2,3 @@',
+  ' const a = 1;',
+  '-const b = query(input);',
+  '+const b = query(escape(input));',
+  ' const c = 3;',
+  '@@ -10,0 +11,2 @@',
+  '+log(a);',
+  '+log(b);',
+  'diff --git a/src/old.js b/src/old.js',
+  'deleted file mode 100644',
+  '--- a/src/old.js',
+  '+++ /dev/null',
+  '@@ -1,1 +0,0 @@',
+  '-module.exports = 1;',
+  ''
+].join('\n');
+
+describe('mapLineThroughDiff', () => {
+  const mapper = buildDiffLineMapper(DELTA_PATCH);
+
+  it('keeps lines before a hunk and shifts lines after inserted code', () => {
+    expect(mapLineThroughDiff(mapper, 'src/app.js', 1)).toBe(1);
+    expect(mapLineThroughDiff(mapper, 'src/app.js', 4)).toBe(4);
+    expect(mapLineThroughDiff(mapper, 'src/app.js', 10)).toBe(10);
+    expect(mapLineThroughDiff(mapper, 'src/app.js', 11)).toBe(13);
+  });
+
+  it('returns null for modified lines and deleted files', () => {
+    expect(mapLineThroughDiff(mapper, 'src/app.js', 3)).toBeNull();
+    expect(mapLineThroughDiff(mapper, 'src/old.js', 1)).toBeNull();
+  });
+
+  it('leaves files outside the diff unchanged', () => {
+    expect(mapLineThroughDiff(mapper, '/src/other.js', 42)).toBe(42);
+  });
+});
+
+describe('mergeIncrementalReview', () => {
+  const previous = {
+    reviewFormat: 'severity',
+    prDescription: 'Adds a query helper.',
+    criticalIssues: [{ title: 'SQL injection in query', filePath: 'src/app.js', startLine: 3 }],
+    highIssues: [{ title: 'Missing error handling', filePath: 'src/app.js', startLine: 20, endLine: 22 }],
+    lowIssues: [{ title: 'Unused export', filePath: 'src/old.js', startLine: 1 }]
+  };
+
+  it('marks touched findings resolved, shifts untouched ones and tags new ones', () => {
+    const merged = mergeIncrementalReview(previous, {
+      reviewFormat: 'severity',
+      prDescription: 'Escapes query input and adds logging.',
+      criticalIssues: [],
+      highIssues: [],
+      lowIssues: [{ title: 'Debug logging left in', filePath: 'src/app.js', startLine: 11 }]
+    }, DELTA_PATCH, { baseSha: 'aaa', headSha: 'bbb' });
+
+    expect(merged.criticalIssues).toEqual([]);
+    expect(merged.highIssues).toEqual([
+      { title: 'Missing error handling', filePath: 'src/app.js', startLine: 22, endLine: 24, incrementalStatus: 'still-present' }
+    ]);
+    expect(merged.lowIssues).toEqual([
+      { title: 'Debug logging left in', filePath: 'src/app.js', startLine: 11, incrementalStatus: 'new' }
+    ]);
+    expect(merged.resolvedFindings.map((f) => [f.incrementalLevel, f.title])).toEqual([
+      ['critical', 'SQL injection in query'],
+      ['low', 'Unused export']
+    ]);
+    expect(merged.incremental).toMatchObject({ baseSha: 'aaa', headSha: 'bbb', newCount: 1, stillPresentCount: 1, resolvedCount: 2 });
+    expect(merged.prDescription).toBe('Adds a query helper.\n\n**Since last review:** Escapes query input and adds logging.');
+  });
+
+  it('keeps a touched finding that the delta review reports again', () => {
+    const merged = mergeIncrementalReview(previous, {
+      highIssues: [{ title: 'SQL injection risk in query', description: 'Still concatenated.', filePath: './src/app.js', startLine: 3 }]
+    }, DELTA_PATCH, { baseSha: 'aaa', headSha: 'bbb' });
+
+    expect(merged.criticalIssues).toEqual([]);
+    expect(merged.highIssues.map((f) => [f.title, f.incrementalStatus])).toEqual([
+      ['SQL injection risk in query', 'still-present'],
+      ['Missing error handling', 'still-present']
+    ]);
+    expect(merged.resolvedFindings.map((f) => f.title)).toEqual(['Unused export']);
+  });
+
+  it('keeps the taxonomy severity of carried, new and resolved findings', () => {
+    const merged = mergeIncrementalReview({
+      highIssues: [{ title: 'Missing error handling', severity: 'major', category: 'correctness', filePath: 'src/app.js', startLine: 20 }],
+      lowIssues: [{ title: 'Unused export', severity: 'nit', category: 'style', filePath: 'src/old.js', startLine: 1 }]
+    }, {
+      lowIssues: [{ title: 'Debug logging left in', severity: 'nit', category: 'style', filePath: 'src/app.js', startLine: 11 }]
+    }, DELTA_PATCH, { baseSha: 'aaa', headSha: 'bbb' });
+
+    expect(merged.highIssues.map((f) => [f.severity, f.category, f.incrementalStatus])).toEqual([['major', 'correctness', 'still-present']]);
+    expect(merged.lowIssues.map((f) => [f.severity, f.incrementalStatus])).toEqual([['nit', 'new']]);
+    expect(merged.resolvedFindings.map((f) => [f.severity, f.incrementalLevel])).toEqual([['nit', 'low']]);
+
+    const next = mergeIncrementalReview(merged, {}, '', { baseSha: 'bbb', headSha: 'ccc' });
+    expect(next.highIssues.map((f) => f.severity)).toEqual(['major']);
+  });
+
+  it('does not repeat the "since last review" text across successive merges', () => {
+    const first = mergeIncrementalReview(previous, { prDescription: 'First push.' }, '', { baseSha: 'a', headSha: 'b' });
+    const second = mergeIncrementalReview(first, { prDescription: 'Second push.' }, '', { baseSha: 'b', headSha: 'c' });
+    expect(second.prDescription).toBe('Adds a query helper.\n\n**Since last review:** Second push.');
+  });
+});
+
+describe('buildReviewKey', () => {
+  it('identifies the MR/PR per platform', () => {
+    expect(buildReviewKey('github', { hostname: 'github.com', owner: 'o', repo: 'r', prNumber: '7' }))
+      .toBe('github:github.com/o/r#7');
+    expect(buildReviewKey('gitlab', { origin: 'https://gitlab.com', projectPath: 'g/p', mrIid: '3' }))
+      .toBe('gitlab:https://gitlab.com/g/p!3');
+    expect(buildReviewKey('bitbucket', { hostname: 'bitbucket.org', repository: 'ws/repo', prId: '5' }))
+      .toBe('bitbucket:bitbucket.org/ws/repo#5');
+    expect(buildReviewKey('bitbucket', { diffUrl: 'x' })).toBeNull();
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for the local review agents (utils/local-agents.js) and their tabs in the review
+ * panel (components/agent-review-tabs.js).
+ */
+
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  buildLocalAgentPrompt,
+  normalizeLocalAgents,
+  parseLocalAgentOutput,
+  runLocalAgentReview,
+  scopePatchToAgent
+} from '../utils/local-agents.js';
+import { mountAgentReviewTabs } from '../components/agent-review-tabs.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const PATCH = [
+  'diff --git a/src/db.ts b/src/db.ts',
+  '--- a/src/db.ts',
+  '+++ b/src/db.ts',
+  '@@ -1,1 +1,1 @@',
+  '-db.query(`SELECT * FROM users WHERE id = ${id}`);',
+  '+db.query(`SELECT * FROM users WHERE id = ${userId}`);',
+  'diff --git a/docs/readme.md b/docs/readme.md',
+  '--- a/docs/readme.md',
+  '+++ b/docs/readme.md',
+  '@@ -1,1 +1,1 @@',
+  '-Old',
+  '+New'
+].join('\n');
+
+const [security] = normalizeLocalAgents([{
+  id: 'local-sec',
+  icon: '🔒',
+  name: 'Security',
+  systemPrompt: 'Look for injection.',
+  fileGlobs: 'src/**\n# comment',
+  outputSections: 'Findings: One bullet per problem\nVerdict'
+}]);
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('local agents', () => {
+  it('normalizes stored agents and drops invalid ones', () => {
+    expect(security).toEqual({
+      id: 'local-sec',
+      name: 'Security',
+      icon: '🔒',
+      systemPrompt: 'Look for injection.',
+      fileGlobs: ['src/**'],
+      outputSections: [{ title: 'Findings', description: 'One bullet per problem' }, { title: 'Verdict', description: '' }],
+      enabled: true
+    });
+    const agents = normalizeLocalAgents([{ name: 'No prompt' }, { name: 'Style', systemPrompt: 'Naming.', enabled: false }, security, security]);
+    expect(agents).toHaveLength(2);
+    expect(agents[0]).toMatchObject({ name: 'Style', enabled: false, fileGlobs: [], outputSections: [] });
+    expect(agents[0].id).toMatch(/^local-/);
+    expect(normalizeLocalAgents('nope')).toEqual([]);
+  });
+
+  it('scopes the patch to the agent globs and asks for its sections', () => {
+    const scoped = scopePatchToAgent(PATCH, security);
+    expect(scoped.files).toEqual(['src/db.ts']);
+    expect(scoped.patch).not.toContain('docs/readme.md');
+    expect(scopePatchToAgent(PATCH, { fileGlobs: [] }).patch).toBe(PATCH);
+
+    const prompt = buildLocalAgentPrompt(security, scoped.files);
+    expect(prompt).toContain('"Security" review agent');
+    expect(prompt).toContain('Look for injection.');
+    expect(prompt).toContain('files in your scope: src/db.ts');
+    expect(prompt).toContain('- Findings: One bullet per problem\n- Verdict');
+  });
+
+  it('reads sections, skips and unstructured answers', () => {
+    expect(parseLocalAgentOutput('Here is my review.\n\n## findings\n- SQL injection in `db.ts`\n\n## **Verdict:**\nBlock', security)).toEqual({
+      agentId: 'local-sec',
+      sections: [{ title: 'Findings', content: '- SQL injection in `db.ts`' }, { title: 'Verdict', content: 'Block' }]
+    });
+    expect(parseLocalAgentOutput('SKIP: Only documentation changed.', security))
+      .toMatchObject({ relevanceSkipped: true, skipReason: 'Only documentation changed.' });
+    expect(parseLocalAgentOutput('Looks fine.', security))
+      .toMatchObject({ sections: [{ title: 'Findings', content: 'Looks fine.' }], parseError: true });
+  });
+
+  it('runs on the scoped patch and reports skips and failures without rejecting', async () => {
+    const ask = jest.fn(async () => '## Findings\n- None');
+    await expect(runLocalAgentReview(security, PATCH, ask)).resolves.toMatchObject({ sections: [{ title: 'Findings' }] });
+    expect(ask.mock.calls[0][0]).not.toContain('docs/readme.md');
+
+    await expect(runLocalAgentReview({ ...security, fileGlobs: ['lib/**'] }, PATCH, ask))
+      .resolves.toMatchObject({ relevanceSkipped: true, skipReason: 'No changed file matches `lib/**`.' });
+    await expect(runLocalAgentReview(security, PATCH, async () => { throw new Error('Ollama is not running'); }))
+      .resolves.toEqual({ agentId: 'local-sec', sections: [], error: 'Ollama is not running' });
+  });
+});
+
+describe('local agent tabs', () => {
+  beforeEach(() => {
+    global.chrome = { runtime: { getURL: (file) => path.join(ROOT, file) } };
+    document.body.innerHTML = '<div id="review-tab-buttons"></div><div class="thinkreview-tab-panels"></div>';
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    delete global.chrome;
+  });
+
+  it('renders local agents on a non-cloud provider with loading, result and error states', async () => {
+    const [style] = normalizeLocalAgents([{ id: 'local-style', name: 'Style', systemPrompt: 'Naming.' }]);
+    let answerSecurity;
+    const askProvider = jest.fn((patch, prompt) => (prompt.includes('"Security"')
+      ? new Promise((resolve) => { answerSecurity = resolve; })
+      : Promise.reject(new Error('Rate limited'))));
+
+    await mountAgentReviewTabs({ enabledReviewAgents: [], localReviewAgents: [security, style], askProvider, patchContent: PATCH, provider: 'ollama' });
+
+    const tabs = document.querySelectorAll('[data-thinkreview-agent-tab]');
+    expect(Array.from(tabs, (tab) => tab.textContent)).toEqual(['🔒 Security', 'Style']);
+    const securityPanel = document.getElementById('tab-panel-agent-local-sec');
+    expect(securityPanel.querySelector('.loader-close-hint').textContent).toContain('on your AI provider');
+
+    await flush();
+    expect(document.getElementById('tab-panel-agent-local-style').textContent).toContain('Rate limited');
+
+    answerSecurity('## Findings\n- SQL injection');
+    await flush();
+    expect(securityPanel.querySelector('.thinkreview-section-title').textContent).toBe('Findings');
+    expect(securityPanel.textContent).toContain('SQL injection');
+  });
+
+  it('keeps the previous behaviour on non-cloud providers without local agents', async () => {
+    await mountAgentReviewTabs({ enabledReviewAgents: [{ id: 'a', name: 'Cloud' }], localReviewAgents: [], askProvider: jest.fn(), patchContent: PATCH, provider: 'openrouter' });
+    expect(document.querySelectorAll('[data-thinkreview-agent-tab]')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for the enterprise managed policy (utils/managed-policy.js): validation of the
+ * managed storage contents and how it is merged with the user's provider, domain and filter settings.
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import {
+  applyManagedPatchFilter,
+  applyManagedProviderPolicy,
+  getManagedDomainOrigins,
+  mergeManagedDomains,
+  normalizeManagedPolicy,
+  readManagedPolicy,
+  resolveManagedProvider
+} from '../utils/managed-policy.js';
+import { normalizePatchFilterSettings } from '../utils/patch-filter.js';
+
+const policy = normalizeManagedPolicy({
+  gitlabDomains: ['gitlab.acme.com/', 'localhost:8083', 'not a domain'],
+  azureDevOpsDomains: ['https://tfs.acme.com'],
+  allowUserDomains: false,
+  allowedProviders: ['ollama', 'self-hosted', 'gpt-killer'],
+  defaultProvider: 'self-hosted',
+  gatewayBaseUrl: 'thinkreview.acme.com/',
+  disableAnalytics: true,
+  patchFilter: { excludeGlobs: ['secrets/**'], maxFileSizeKb: '200', skipGenerated: true, skipMinified: 'yes' }
+});
+
+describe('managed policy', () => {
+  it('validates the managed storage contents', () => {
+    expect(policy).toMatchObject({
+      managed: true,
+      allowUserDomains: false,
+      allowedProviders: ['ollama', 'self-hosted'],
+      defaultProvider: 'self-hosted',
+      gatewayBaseUrl: 'https://thinkreview.acme.com',
+      disableAnalytics: true,
+      patchFilter: { excludeGlobs: ['secrets/**'], maxFileSizeKb: 200, skipGenerated: true }
+    });
+    expect(policy.domains.gitlabDomains).toEqual(['https://gitlab.acme.com', 'http://localhost:8083']);
+    expect(getManagedDomainOrigins(policy)).toEqual(['https://gitlab.acme.com/*', 'http://localhost:8083/*', 'https://tfs.acme.com/*']);
+
+    expect(normalizeManagedPolicy({ allowedProviders: ['ollama'], defaultProvider: 'cloud' }).defaultProvider).toBeNull();
+    expect(normalizeManagedPolicy(undefined)).toMatchObject({ managed: false, allowUserDomains: true, allowedProviders: null });
+  });
+
+  it('reads an empty policy where managed storage is not available', async () => {
+    global.chrome = { storage: { managed: { get: jest.fn(async () => { throw new Error('Managed storage manifest not found'); }) } } };
+    await expect(readManagedPolicy()).resolves.toMatchObject({ managed: false });
+    global.chrome = { storage: { managed: { get: jest.fn(async () => ({ disableAnalytics: true })) } } };
+    await expect(readManagedPolicy()).resolves.toMatchObject({ managed: true, disableAnalytics: true });
+    delete global.chrome;
+    await expect(readManagedPolicy()).resolves.toMatchObject({ managed: false });
+  });
+
+  it('replaces a blocked provider and drops blocked providers from the fallback chain', () => {
+    expect(resolveManagedProvider(policy, 'ollama')).toBe('ollama');
+    expect(resolveManagedProvider(policy, 'cloud')).toBe('self-hosted');
+    expect(resolveManagedProvider(policy, undefined)).toBe('self-hosted');
+    expect(resolveManagedProvider(normalizeManagedPolicy({ allowedProviders: ['anthropic', 'ollama'] }), 'cloud')).toBe('anthropic');
+    expect(resolveManagedProvider(normalizeManagedPolicy({}), undefined)).toBe('cloud');
+
+    const settings = applyManagedProviderPolicy({
+      aiProvider: 'cloud',
+      ollamaConfig: { model: 'qwen2.5-coder' },
+      providerFallback: { chain: ['openrouter', 'ollama', 'cloud'], allowRemote: { ollama: true } }
+    }, policy);
+    expect(settings).toEqual({
+      aiProvider: 'self-hosted',
+      ollamaConfig: { model: 'qwen2.5-coder' },
+      providerFallback: { chain: ['ollama'], allowRemote: { ollama: true } }
+    });
+  });
+
+  it('merges the policy domains and filter rules with the user settings', () => {
+    expect(mergeManagedDomains(policy, 'gitlabDomains', ['https://gitlab.com', 'https://git.home.io'])).toEqual(['https://gitlab.acme.com', 'http://localhost:8083']);
+    const open = normalizeManagedPolicy({ gitlabDomains: ['https://gitlab.acme.com'] });
+    expect(mergeManagedDomains(open, 'gitlabDomains', ['https://gitlab.com', 'https://gitlab.acme.com']))
+      .toEqual(['https://gitlab.acme.com', 'https://gitlab.com']);
+    expect(mergeManagedDomains(open, 'azureDevOpsDomains', ['https://tfs.home.io'])).toEqual(['https://tfs.home.io']);
+
+    const user = normalizePatchFilterSettings({ includeGlobs: ['src/**'], excludeGlobs: ['docs/**'], maxFileSizeKb: 500, skipGenerated: false });
+    expect(applyManagedPatchFilter(policy, user)).toEqual({
+      ...user,
+      excludeGlobs: ['secrets/**', 'docs/**'],
+      maxFileSizeKb: 200,
+      skipGenerated: true
+    });
+    expect(applyManagedPatchFilter(normalizeManagedPolicy({}), user)).toEqual(user);
+  });
+});
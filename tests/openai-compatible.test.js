@@ -0,0 +1,149 @@
+/**
+ * Unit tests for the custom OpenAI-compatible provider (vLLM, LM Studio, llama.cpp server)
+ * and the shared chat completions client it uses with OpenRouter.
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { normalizeOpenAICompatibleBaseUrl, getOpenAICompatibleOriginPattern } from '../utils/openai-compatible.js';
+import {
+  reviewPatchWithChatCompletions,
+  chatWithChatCompletions,
+  listChatCompletionModels
+} from '../services/chat-completions.js';
+import { jsonResponse } from './test-helpers.js';
+
+const endpoint = {
+  baseUrl: 'http://gpu-box:8000/v1',
+  headers: { 'Content-Type': 'application/json' },
+  provider: 'openai-compatible'
+};
+
+const PATCH = 'diff --git a/a.js b/a.js\n--- a/a.js\n+++ b/a.js\n@@ -1 +1 @@\n-var a = 1;\n+const a = 1;';
+
+function sseResponse(events) {
+  const encoder = new TextEncoder();
+  return new Response(new ReadableStream({
+    start(controller) {
+      events.forEach((event) => controller.enqueue(encoder.encode(`data: ${event}\n\n`)));
+      controller.close();
+    }
+  }));
+}
+
+function completion(content) {
+  return jsonResponse({ choices: [{ message: { content } }] });
+}
+
+const originalFetch = global.fetch;
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+describe('normalizeOpenAICompatibleBaseUrl', () => {
+  it('adds /v1 to a bare server address', () => {
+    expect(normalizeOpenAICompatibleBaseUrl('http://localhost:1234')).toBe('http://localhost:1234/v1');
+    expect(normalizeOpenAICompatibleBaseUrl('gpu-box:8000/')).toBe('http://gpu-box:8000/v1');
+  });
+
+  it('keeps an explicit path without trailing slashes', () => {
+    expect(normalizeOpenAICompatibleBaseUrl(' https://llm.example.com/openai/v1/ ')).toBe('https://llm.example.com/openai/v1');
+  });
+
+  it('rejects empty and non-http URLs', () => {
+    expect(normalizeOpenAICompatibleBaseUrl('')).toBe('');
+    expect(normalizeOpenAICompatibleBaseUrl('ftp://box/v1')).toBeNull();
+  });
+
+  it('builds the host permission pattern from the origin', () => {
+    expect(getOpenAICompatibleOriginPattern('http://gpu-box:8000/v1')).toBe('http://gpu-box:8000/*');
+  });
+});
+
+describe('reviewPatchWithChatCompletions', () => {
+  it('normalizes the JSON review returned by the model', async () => {
+    global.fetch = jest.fn(async () => completion('```json\n{"summary":"Uses const","suggestions":[{"type":"style","description":"Name it better","file":"a.js","line":1}],"security":[{"severity":"low","description":"None really"}]}\n```'));
+
+    const result = await reviewPatchWithChatCompletions(endpoint, { patchContent: PATCH, language: 'English', model: 'qwen2.5-coder' });
+
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://gpu-box:8000/v1/chat/completions');
+    expect(init.headers).not.toHaveProperty('Authorization');
+    expect(JSON.parse(init.body)).toMatchObject({ model: 'qwen2.5-coder', stream: false, max_tokens: 4096 });
+    expect(result.provider).toBe('openai-compatible');
+    expect(result.review.summary).toBe('Uses const');
+    expect(result.review.suggestions).toEqual(['[STYLE] Name it better (a.js:1)']);
+    expect(result.review.securityIssues[0]).toMatch(/^\[LOW\] None really/);
+    expect(result.meta).toEqual({ patchSizeChars: PATCH.length, patchSentChars: PATCH.length, wasTruncated: false, model: 'qwen2.5-coder' });
+  });
+
+  it('falls back to the raw text when the model does not answer with JSON', async () => {
+    global.fetch = jest.fn(async () => completion('Looks fine to me.'));
+
+    const result = await reviewPatchWithChatCompletions(endpoint, { patchContent: PATCH, language: 'English', model: 'm' });
+
+    expect(result.review.summary).toBe('Looks fine to me.');
+    expect(result.rawResponse).toBe('Looks fine to me.');
+  });
+
+  it('streams the review text when onToken is given', async () => {
+    global.fetch = jest.fn(async () => sseResponse([
+      '{"choices":[{"delta":{"content":"{\\"summary\\":"}}]}',
+      '{"choices":[{"delta":{"content":"\\"Done\\"}"}}]}',
+      '[DONE]'
+    ]));
+    const tokens = [];
+
+    const result = await reviewPatchWithChatCompletions(endpoint, { patchContent: PATCH, language: 'English', model: 'm' }, {
+      onToken: (token) => tokens.push(token)
+    });
+
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+    expect(tokens.join('')).toBe('{"summary":"Done"}');
+    expect(result.review.summary).toBe('Done');
+  });
+
+  it('rejects with the HTTP status of a failed request', async () => {
+    global.fetch = jest.fn(async () => new Response('bad key', { status: 401 }));
+
+    await expect(reviewPatchWithChatCompletions(endpoint, { patchContent: PATCH, language: 'English', model: 'm' }))
+      .rejects.toMatchObject({ status: 401, message: 'API error (401): bad key' });
+  });
+});
+
+describe('chatWithChatCompletions', () => {
+  it('sends the patch as context and the language instruction with the last question', async () => {
+    global.fetch = jest.fn(async () => completion('Because it is block scoped.'));
+
+    const answer = await chatWithChatCompletions(endpoint, {
+      patchContent: PATCH,
+      conversationHistory: [
+        { role: 'user', content: 'What changed?' },
+        { role: 'model', content: 'var became const.' },
+        { role: 'user', content: 'Why?' }
+      ],
+      language: 'French',
+      model: 'm',
+      contextLength: 8192
+    });
+
+    const { messages } = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(answer).toBe('Because it is block scoped.');
+    expect(messages.map((message) => message.role)).toEqual(['system', 'user', 'assistant', 'user']);
+    expect(messages[0].content).toContain(PATCH);
+    expect(messages[3].content).toContain('respond entirely in French');
+  });
+});
+
+describe('listChatCompletionModels', () => {
+  it('returns the model entries of GET /models', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({ object: 'list', data: [{ id: 'llama-3.1-8b', max_model_len: 32768 }] }));
+
+    const models = await listChatCompletionModels({ ...endpoint, headers: { Authorization: 'Bearer local' } });
+
+    expect(global.fetch.mock.calls[0][0]).toBe('http://gpu-box:8000/v1/models');
+    expect(global.fetch.mock.calls[0][1].headers).toEqual({ Authorization: 'Bearer local' });
+    expect(models).toEqual([{ id: 'llama-3.1-8b', max_model_len: 32768 }]);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for the configurable patch filter and path globs.
+ */
+
+import { filterPatch, getFilterSummary, normalizePatchFilterSettings } from '../utils/patch-filter.js';
+import { globToRegExp } from '../utils/glob.js';
+
+/**
+ * @param {string} path
+ * @param {string[]} added
+ * @returns {string}
+ */
+function fileDiff(path, added) {
+  return [`diff --git a/${path} b/${path}`, `--- a/${path}`, `+++ b/${path}`, '@@ -0,0 +1 @@', ...added.map((line) => `+${line}`)].join('\n');
+}
+
+describe('globToRegExp', () => {
+  it.each([
+    ['**/*.lock', 'packages/app/yarn.lock', true],
+    ['*.md', 'docs/README.md', true],
+    ['dist/', 'dist/bundle.js', true],
+    ['src/gen/**', 'src/gen/api/client.js', true],
+    ['src/gen/**', 'lib/src/gen/client.js', false],
+    ['*.md', 'docs/README.mdx', false]
+  ])('%s matches %s: %s', (glob, path, expected) => {
+    expect(globToRegExp(glob).test(path)).toBe(expected);
+  });
+});
+
+describe('filterPatch', () => {
+  const patch = [
+    fileDiff('src/app.js', ['const answer = 42;']),
+    fileDiff('yarn.lock', ['lodash@4.17.21']),
+    fileDiff('vendor/lib/util.js', ['module.exports = {};']),
+    fileDiff('api/service.pb.go', ['package api']),
+    fileDiff('src/client.js', ['// Code generated by openapi-generator. DO NOT EDIT.', 'export {};']),
+    fileDiff('public/bundle.js', ['x'.repeat(2000)]),
+    fileDiff('docs/guide.md', ['# Guide']),
+    fileDiff('assets/logo.png', ['binary'])
+  ].join('\n');
+
+  it('records the rule that removed each file', () => {
+    const result = filterPatch(patch, { excludeGlobs: ['docs/**'] });
+    expect(result.removed.map(({ filename, rule }) => [filename, rule])).toEqual([
+      ['yarn.lock', 'lockfile'],
+      ['vendor/lib/util.js', 'vendored'],
+      ['api/service.pb.go', 'generated'],
+      ['src/client.js', 'generated'],
+      ['public/bundle.js', 'minified'],
+      ['docs/guide.md', 'exclude'],
+      ['assets/logo.png', 'media']
+    ]);
+    expect(result.filteredPatch).toBe(fileDiff('src/app.js', ['const answer = 42;']));
+    expect(result.removedFiles).toHaveLength(7);
+  });
+
+  it('keeps everything but media when the heuristics are off', () => {
+    const result = filterPatch(patch, { skipLockfiles: false, skipVendored: false, skipGenerated: false, skipMinified: false });
+    expect(result.removed.map((f) => f.filename)).toEqual(['assets/logo.png']);
+  });
+
+  it('applies include globs and the per-file size limit', () => {
+    const result = filterPatch(patch, { includeGlobs: ['src/**', 'public/**'], skipMinified: false, maxFileSizeKb: 1 });
+    const byFile = Object.fromEntries(result.removed.map((f) => [f.filename, f.rule]));
+    expect(byFile['yarn.lock']).toBe('include');
+    expect(byFile['public/bundle.js']).toBe('size');
+    expect(byFile['src/app.js']).toBeUndefined();
+  });
+
+  it('only treats generator header comments at the top of the file as generated', () => {
+    const result = filterPatch([
+      fileDiff('src/user.js', ['user.autoGenerated = true;', 'const note = "DO NOT EDIT by hand";']),
+      fileDiff('src/schema.ts', ['/* @generated by prisma */', 'export type User = {};']),
+      [
+        'diff --git a/src/late.js b/src/late.js',
+        '--- a/src/late.js',
+        '+++ b/src/late.js',
+        '@@ -120,2 +120,3 @@',
+        ' call();',
+        '+// DO NOT EDIT the order of these calls',
+        ' done();'
+      ].join('\n')
+    ].join('\n'));
+    expect(result.removed).toEqual([{ filename: 'src/schema.ts', rule: 'generated', detail: '"@generated" marker' }]);
+  });
+
+  it('keeps the header before the first file and patches without file sections', () => {
+    const header = 'Pull Request: Add retries\nAuthor: Jane\nSource: feature/retry -> main\n\n';
+    const result = filterPatch(`${header}${[fileDiff('src/app.js', ['retry();']), fileDiff('yarn.lock', ['a'])].join('\n')}`);
+    expect(result.filteredPatch).toBe(`${header}${fileDiff('src/app.js', ['retry();'])}`);
+
+    expect(filterPatch(header).filteredPatch).toBe(header);
+  });
+
+  it('keeps files the user chose to review anyway', () => {
+    const result = filterPatch(patch, undefined, { reviewAnyway: ['yarn.lock'] });
+    expect(result.removedFiles).not.toContain('yarn.lock');
+    expect(result.filteredPatch).toContain('lodash@4.17.21');
+  });
+});
+
+describe('getFilterSummary', () => {
+  it('names the rule for every removed file', () => {
+    const summary = getFilterSummary(filterPatch(
+      [fileDiff('yarn.lock', ['a']), fileDiff('docs/a.md', ['b'])].join('\n'),
+      { excludeGlobs: 'docs/**' }
+    ));
+    expect(summary).toBe('Note: 2 files were excluded from the review: yarn.lock: lockfile; docs/a.md: exclude pattern "docs/**".');
+  });
+});
+
+describe('normalizePatchFilterSettings', () => {
+  it('fills defaults and cleans stored values', () => {
+    expect(normalizePatchFilterSettings({ excludeGlobs: 'docs/**\n\n# note\n*.snap', maxFileSizeKb: '-5', skipMinified: false })).toEqual({
+      includeGlobs: [],
+      excludeGlobs: ['docs/**', '*.snap'],
+      maxFileSizeKb: 0,
+      skipLockfiles: true,
+      skipVendored: true,
+      skipGenerated: true,
+      skipMinified: false
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for the PR context collected for reviews: linked issues and unresolved discussions
+ * (utils/pr-context.js) and the GitHub / GitLab collectors (services/pr-context-collector.js).
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import {
+  normalizePrContext,
+  buildPrContextPrompt,
+  findIssueKeys,
+  mergePrContextWithPageInfo,
+  MAX_DISCUSSIONS,
+  MAX_COMMENT_CHARS
+} from '../utils/pr-context.js';
+import { collectPrContext } from '../services/pr-context-collector.js';
+import { getGitHubGraphqlUrl } from '../utils/github-tokens.js';
+import { jsonResponse } from './test-helpers.js';
+
+const originalFetch = global.fetch;
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+describe('PR context prompt', () => {
+  it('lists linked issues and the open discussions the review must not repeat', () => {
+    const prompt = buildPrContextPrompt({
+      title: 'Retry failed uploads',
+      author: 'dana',
+      linkedIssues: [{ id: '#42', title: 'Uploads fail on flaky networks' }, { id: 'OPS-7' }],
+      discussions: [
+        { path: 'src/upload.js', line: 18, comments: [{ author: 'lee', body: 'Cap the retries?' }, { author: 'dana', body: 'Will do.' }] },
+        { path: '', line: null, comments: [{ author: 'kim', body: 'Needs a changelog entry.' }] }
+      ]
+    });
+
+    expect(prompt).toContain('Author: dana');
+    expect(prompt).toContain('Linked issues:\n- #42: Uploads fail on flaky networks\n- OPS-7');
+    expect(prompt).toContain('Do not repeat these points');
+    expect(prompt).toContain('- src/upload.js:18\n  lee: Cap the retries?\n  dana: Will do.');
+    expect(prompt).toContain('- General\n  kim: Needs a changelog entry.');
+  });
+
+  it('caps discussions and long comments and drops empty threads', () => {
+    const discussions = Array.from({ length: MAX_DISCUSSIONS + 5 }, (_, i) => ({
+      path: `f${i}.js`,
+      comments: [{ author: 'lee', body: 'x'.repeat(MAX_COMMENT_CHARS + 50) }]
+    }));
+    discussions.unshift({ path: 'empty.js', comments: [{ author: 'bot', body: '  ' }] });
+
+    const context = normalizePrContext({ discussions });
+
+    expect(context.discussions).toHaveLength(MAX_DISCUSSIONS);
+    expect(context.discussions[0].path).toBe('f0.js');
+    expect(context.discussions[0].comments[0].body.endsWith(' [...]')).toBe(true);
+  });
+
+  it('finds Jira keys once and fills missing fields from the page', () => {
+    expect(findIssueKeys('PAY-12: fix rounding', 'feature/PAY-12-rounding', 'see OPS-3')).toEqual([
+      { id: 'PAY-12', title: '' },
+      { id: 'OPS-3', title: '' }
+    ]);
+    expect(mergePrContextWithPageInfo({ title: 'From API' }, { title: 'From page', targetBranch: 'main' }))
+      .toMatchObject({ title: 'From API', targetBranch: 'main' });
+    expect(mergePrContextWithPageInfo(null, { title: 'From page' })).toMatchObject({ title: 'From page' });
+  });
+});
+
+describe('collectPrContext', () => {
+  it('reads unresolved GitHub review threads from human reviewers through GraphQL', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({
+      data: {
+        repository: {
+          pullRequest: {
+            title: 'Retry failed uploads',
+            body: 'Closes #42',
+            author: { login: 'dana' },
+            baseRefName: 'main',
+            headRefName: 'retry-uploads',
+            labels: { nodes: [{ name: 'bug' }] },
+            closingIssuesReferences: { nodes: [{ number: 42, title: 'Uploads fail' }] },
+            reviewThreads: {
+              nodes: [
+                { isResolved: true, path: 'a.js', line: 1, comments: { nodes: [{ body: 'Done', author: { __typename: 'User', login: 'lee' } }] } },
+                {
+                  isResolved: false,
+                  path: 'src/upload.js',
+                  line: 18,
+                  comments: {
+                    nodes: [
+                      { body: 'Cap the retries?', author: { __typename: 'User', login: 'lee' } },
+                      { body: 'Coverage dropped', author: { __typename: 'Bot', login: 'codecov' } }
+                    ]
+                  }
+                }
+              ]
+            },
+            commits: { nodes: [{ commit: { statusCheckRollup: { state: 'FAILURE' } } }] }
+          }
+        }
+      }
+    }));
+
+    const context = await collectPrContext({
+      platform: 'github',
+      target: { hostname: 'github.com', owner: 'acme', repo: 'app', prNumber: '7' },
+      credentials: { token: 'ghp_test' }
+    });
+
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://api.github.com/graphql');
+    expect(JSON.parse(init.body).variables).toEqual({ owner: 'acme', repo: 'app', number: 7 });
+    expect(context).toMatchObject({
+      title: 'Retry failed uploads',
+      pipelineStatus: 'failure',
+      linkedIssues: [{ id: '#42', title: 'Uploads fail' }],
+      discussions: [{ path: 'src/upload.js', line: 18, comments: [{ author: 'lee', body: 'Cap the retries?' }] }]
+    });
+  });
+
+  it('uses the Enterprise Server GraphQL endpoint', () => {
+    expect(getGitHubGraphqlUrl('github.com')).toBe('https://api.github.com/graphql');
+    expect(getGitHubGraphqlUrl('github.acme.com')).toBe('https://github.acme.com/api/graphql');
+  });
+
+  it('reads closed issues and unresolved GitLab discussions, skipping system notes', async () => {
+    const routes = {
+      '/merge_requests/12': { title: 'Cache lookups', description: '', author: { name: 'Dana' }, source_branch: 'cache', target_branch: 'main' },
+      '/merge_requests/12/closes_issues': [{ iid: 5, title: 'Slow profile page' }],
+      '/merge_requests/12/discussions?per_page=100': [
+        { notes: [{ body: 'added 1 commit', system: true }] },
+        { notes: [{ body: 'Resolved point', resolvable: true, resolved: true, author: { name: 'Lee' } }] },
+        {
+          notes: [
+            { body: 'What evicts entries?', resolvable: true, resolved: false, author: { name: 'Lee' }, position: { new_path: 'cache.js', new_line: 9 } },
+            { body: 'Nothing yet', resolvable: true, resolved: false, author: { name: 'Dana' } }
+          ]
+        }
+      ]
+    };
+    global.fetch = jest.fn(async (url) => jsonResponse(routes[url.replace('https://gitlab.acme.com/api/v4/projects/team%2Fapp', '')]));
+
+    const context = await collectPrContext({
+      platform: 'gitlab',
+      target: { origin: 'https://gitlab.acme.com', projectPath: 'team/app', mrIid: '12' }
+    });
+
+    expect(context.author).toBe('Dana');
+    expect(context.linkedIssues).toEqual([{ id: '#5', title: 'Slow profile page' }]);
+    expect(context.discussions).toEqual([{
+      path: 'cache.js',
+      line: 9,
+      comments: [{ author: 'Lee', body: 'What evicts entries?' }, { author: 'Dana', body: 'Nothing yet' }]
+    }]);
+  });
+
+  it('still returns the merge request details when discussions cannot be read', async () => {
+    global.fetch = jest.fn(async (url) => (url.endsWith('/merge_requests/12')
+      ? jsonResponse({ title: 'Cache lookups' })
+      : jsonResponse({ message: '403 Forbidden' }, 403)));
+
+    const context = await collectPrContext({
+      platform: 'gitlab',
+      target: { origin: 'https://gitlab.acme.com', projectPath: 'team/app', mrIid: '12' }
+    });
+
+    expect(context).toMatchObject({ title: 'Cache lookups', linkedIssues: [], discussions: [] });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for the provider fallback chain (utils/provider-fallback.js)
+ */
+
+import { jest } from '@jest/globals';
+import {
+  getFallbackReason,
+  buildProviderChain,
+  isRemoteFallbackBlocked,
+  runProviderChain,
+  normalizeProviderFallbackSettings
+} from '../utils/provider-fallback.js';
+
+function httpError(status) {
+  const error = new Error(`API error (${status})`);
+  error.status = status;
+  return error;
+}
+
+describe('getFallbackReason', () => {
+  it('classifies errors another provider may not hit', () => {
+    expect(getFallbackReason(httpError(429))).toBe('rate-limit');
+    expect(getFallbackReason(httpError(503))).toBe('server-error');
+    expect(getFallbackReason(new TypeError('Failed to fetch'))).toBe('connection');
+    expect(getFallbackReason(Object.assign(new Error('signal timed out'), { name: 'TimeoutError' }))).toBe('timeout');
+    expect(getFallbackReason(Object.assign(new Error('Daily limit'), { isLimitExceeded: true }))).toBe('rate-limit');
+  });
+
+  it('looks through errors wrapped by the services', () => {
+    const wrapped = new Error('OpenRouter error: API error (502)', { cause: httpError(502) });
+    expect(getFallbackReason(wrapped)).toBe('server-error');
+  });
+
+  it('does not fall back on errors that another provider would not fix', () => {
+    expect(getFallbackReason(httpError(401))).toBeNull();
+    expect(getFallbackReason(new Error('No JSON found in response'))).toBeNull();
+  });
+});
+
+describe('buildProviderChain', () => {
+  it('puts the selected provider first and drops duplicates and unknown providers', () => {
+    expect(buildProviderChain('ollama', { chain: ['ollama', 'openrouter', 'bogus', 'cloud'] }))
+      .toEqual(['ollama', 'openrouter', 'cloud']);
+    expect(buildProviderChain('cloud', undefined)).toEqual(['cloud']);
+  });
+
+  it('leaves out the cloud while the self-hosted gateway is selected', () => {
+    expect(buildProviderChain('self-hosted', { chain: ['cloud', 'ollama'] })).toEqual(['self-hosted', 'ollama']);
+  });
+});
+
+describe('isRemoteFallbackBlocked', () => {
+  it('blocks remote providers after a local provider unless allowed', () => {
+    expect(isRemoteFallbackBlocked('openrouter', ['ollama'], { allowRemote: {} })).toBe(true);
+    expect(isRemoteFallbackBlocked('openrouter', ['ollama'], { allowRemote: { ollama: true } })).toBe(false);
+    expect(isRemoteFallbackBlocked('openai-compatible', ['ollama'], { allowRemote: {} })).toBe(false);
+    expect(isRemoteFallbackBlocked('cloud', ['openrouter'], { allowRemote: {} })).toBe(false);
+  });
+});
+
+describe('runProviderChain', () => {
+  const failure = (provider, fallbackReason) => ({ success: false, provider, error: `${provider} failed`, fallbackReason });
+
+  it('returns the first answer without fallback info', async () => {
+    const attempt = jest.fn(async (provider) => ({ success: true, provider }));
+
+    const response = await runProviderChain(['openrouter', 'cloud'], {}, attempt);
+
+    expect(attempt).toHaveBeenCalledTimes(1);
+    expect(response).toEqual({ success: true, provider: 'openrouter' });
+  });
+
+  it('tries the next provider on retryable failures and reports the earlier ones', async () => {
+    const attempt = jest.fn(async (provider) => (provider === 'ollama' ? failure('ollama', 'connection') : { success: true, provider }));
+    const onFallback = jest.fn();
+
+    const response = await runProviderChain(['ollama', 'openrouter'], { allowRemote: { ollama: true } }, attempt, { onFallback });
+
+    expect(onFallback).toHaveBeenCalledWith('openrouter');
+    expect(response.success).toBe(true);
+    expect(response.fallback).toEqual({
+      provider: 'openrouter',
+      label: 'OpenRouter',
+      failures: [{ provider: 'ollama', label: 'Ollama', reason: 'connection', error: 'ollama failed' }]
+    });
+  });
+
+  it('stops on failures that another provider would not fix', async () => {
+    const attempt = jest.fn(async (provider) => failure(provider, null));
+
+    const response = await runProviderChain(['openrouter', 'cloud'], {}, attempt);
+
+    expect(attempt).toHaveBeenCalledTimes(1);
+    expect(response).not.toHaveProperty('fallback');
+  });
+
+  it('never sends the code from a local provider to a remote one unless allowed', async () => {
+    const attempt = jest.fn(async (provider) => failure(provider, 'connection'));
+
+    const response = await runProviderChain(['ollama', 'openrouter', 'openai-compatible'], { allowRemote: {} }, attempt);
+
+    expect(attempt.mock.calls.map(([provider]) => provider)).toEqual(['ollama', 'openai-compatible']);
+    expect(response.provider).toBe('openai-compatible');
+    expect(response.fallback.failures.map(({ provider, reason }) => [provider, reason])).toEqual([
+      ['ollama', 'connection'],
+      ['openrouter', 'privacy']
+    ]);
+  });
+
+  it('stops when the request is cancelled', async () => {
+    const attempt = jest.fn(async (provider) => ({ success: false, isCancelled: true, provider }));
+
+    const response = await runProviderChain(['ollama', 'openai-compatible'], {}, attempt);
+
+    expect(attempt).toHaveBeenCalledTimes(1);
+    expect(response.isCancelled).toBe(true);
+  });
+});
+
+describe('normalizeProviderFallbackSettings', () => {
+  it('keeps at most three known providers and defaults the privacy flags to off', () => {
+    expect(normalizeProviderFallbackSettings({
+      chain: ['openrouter', 'openrouter', 'self-hosted', 'cloud', 'ollama', 'anthropic'],
+      allowRemote: { ollama: true, 'openai-compatible': 'yes' }
+    })).toEqual({
+      chain: ['openrouter', 'cloud', 'ollama'],
+      allowRemote: { ollama: true, 'openai-compatible': false, 'self-hosted': false }
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for the repository tools the model can call in chat: the tool loop of the Chat
+ * Completions providers (services/chat-completions.js) and the tool runner (services/repo-tool-runner.js).
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import {
+  getRepoToolNames,
+  getRepoToolDefinitions,
+  normalizeRepoPath,
+  describeRepoToolCall,
+  MAX_TOOL_OUTPUT_CHARS
+} from '../utils/repo-tools.js';
+import { runRepoTool } from '../services/repo-tool-runner.js';
+import { chatWithChatCompletions } from '../services/chat-completions.js';
+import { jsonResponse } from './test-helpers.js';
+
+const originalFetch = global.fetch;
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+describe('repository tool definitions', () => {
+  it('offers code search only where the platform can search the source branch', () => {
+    expect(getRepoToolNames('gitlab')).toEqual(['read_file', 'list_directory', 'search_code']);
+    expect(getRepoToolNames('bitbucket')).toEqual(['read_file', 'list_directory']);
+    expect(getRepoToolNames('unknown')).toEqual([]);
+    expect(getRepoToolDefinitions(['read_file'])).toEqual([
+      expect.objectContaining({ type: 'function', function: expect.objectContaining({ name: 'read_file' }) })
+    ]);
+  });
+
+  it('keeps paths inside the repository and describes calls for the chat log', () => {
+    expect(normalizeRepoPath('./src//app.js')).toBe('src/app.js');
+    expect(normalizeRepoPath('/')).toBe('');
+    expect(normalizeRepoPath('../secrets')).toBeNull();
+    expect(describeRepoToolCall('read_file', { path: './src/app.js' })).toBe('📄 Read src/app.js');
+    expect(describeRepoToolCall('list_directory', {})).toBe('📁 Listed /');
+  });
+});
+
+describe('chat tool loop', () => {
+  const endpoint = { baseUrl: 'http://localhost:8000/v1', headers: {}, provider: 'openai-compatible' };
+  const history = [{ role: 'user', content: 'Where is parseConfig defined?' }];
+
+  it('runs the tool calls of the model and sends their output back before the answer', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse({
+        choices: [{
+          message: {
+            content: '',
+            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{"path":"src/config.js"}' } }]
+          }
+        }]
+      }))
+      .mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'In src/config.js.' } }] }));
+    const runTool = jest.fn(async () => 'Contents of src/config.js:\nexport function parseConfig() {}');
+
+    const answer = await chatWithChatCompletions(endpoint, {
+      patchContent: 'diff', conversationHistory: history, language: 'English', model: 'm'
+    }, { repoTools: { definitions: getRepoToolDefinitions(getRepoToolNames('gitlab')), runTool } });
+
+    expect(answer).toBe('In src/config.js.');
+    expect(runTool).toHaveBeenCalledWith('read_file', { path: 'src/config.js' });
+    const firstBody = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(firstBody.tools.map((tool) => tool.function.name)).toEqual(['read_file', 'list_directory', 'search_code']);
+    const secondBody = JSON.parse(global.fetch.mock.calls[1][1].body);
+    expect(secondBody.messages.slice(-2)).toEqual([
+      { role: 'assistant', content: null, tool_calls: expect.any(Array) },
+      { role: 'tool', tool_call_id: 'call_1', content: 'Contents of src/config.js:\nexport function parseConfig() {}' }
+    ]);
+  });
+
+  it('answers without tools when the model does not support them', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse({ error: { message: 'tools are not supported' } }, 400))
+      .mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'From the patch only.' } }] }));
+
+    const answer = await chatWithChatCompletions(endpoint, {
+      patchContent: 'diff', conversationHistory: history, language: 'English', model: 'm'
+    }, { repoTools: { definitions: getRepoToolDefinitions(['read_file']), runTool: jest.fn() } });
+
+    expect(answer).toBe('From the patch only.');
+    const retryBody = JSON.parse(global.fetch.mock.calls[1][1].body);
+    expect(retryBody.tools).toBeUndefined();
+    expect(retryBody.messages[0].content).not.toContain('You can call tools');
+  });
+});
+
+describe('runRepoTool', () => {
+  const target = { origin: 'https://gitlab.acme.com', projectPath: 'team/app', mrIid: '4' };
+  const apiBase = 'https://gitlab.acme.com/api/v4/projects/team%2Fapp';
+
+  it('lists GitLab directories and searches code at the merge request head commit', async () => {
+    global.fetch = jest.fn(async (url) => {
+      if (url === `${apiBase}/merge_requests/4`) return jsonResponse({ diff_refs: { head_sha: 'head4' } });
+      if (url === `${apiBase}/repository/tree?ref=head4&per_page=100&path=src`) {
+        return jsonResponse([{ path: 'src/util.js', type: 'blob' }, { path: 'src/lib', type: 'tree' }]);
+      }
+      if (url === `${apiBase}/search?scope=blobs&search=parseConfig&ref=head4&per_page=20`) {
+        return jsonResponse([{ path: 'src/config.js', startline: 12, data: 'export function parseConfig() {\n' }]);
+      }
+      return jsonResponse({ message: '404 Not Found' }, 404);
+    });
+
+    await expect(runRepoTool({ platform: 'gitlab', target, name: 'list_directory', args: { path: 'src/' } }))
+      .resolves.toBe('Entries of src:\nsrc/lib/\nsrc/util.js');
+    await expect(runRepoTool({ platform: 'gitlab', target, name: 'search_code', args: { query: 'parseConfig' } }))
+      .resolves.toBe('Matches for "parseConfig":\nsrc/config.js:12\n  export function parseConfig() {');
+    await expect(runRepoTool({ platform: 'gitlab', target, name: 'list_directory', args: { path: 'nope' } }))
+      .resolves.toBe('Directory not found: nope');
+  });
+
+  it('truncates long files and rejects tools and paths that are not allowed', async () => {
+    global.fetch = jest.fn(async (url) => (url.endsWith('/merge_requests/4')
+      ? jsonResponse({ diff_refs: { head_sha: 'head4' } })
+      : jsonResponse({ content: Buffer.from('x'.repeat(MAX_TOOL_OUTPUT_CHARS + 100)).toString('base64') })));
+
+    const output = await runRepoTool({ platform: 'gitlab', target, name: 'read_file', args: { path: 'big.txt' } });
+    expect(output).toContain('[... truncated');
+    await expect(runRepoTool({ platform: 'gitlab', target, name: 'read_file', args: { path: '../etc/passwd' } }))
+      .rejects.toThrow('inside the repository');
+    await expect(runRepoTool({ platform: 'bitbucket', target: {}, name: 'search_code', args: { query: 'x' } }))
+      .rejects.toThrow('not available on bitbucket');
+  });
+});
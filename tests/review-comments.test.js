@@ -0,0 +1,97 @@
+/**
+ * Unit tests for building publishable PR comments from a review and anchoring
+ * them to lines of the reviewed patch (Publish to PR).
+ */
+
+import {
+  buildPublishableComments,
+  anchorCommentsToPatch,
+  buildGeneralCommentBody
+} from '../components/utils/review-comments.js';
+
+const PATCH = [
+  'diff --git a/src/app.js b/src/app.js',
+  'index 1111111..2222222 100644',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -10,4 +10,5 @@ function main() {',
+  ' const a = 1;',
+  '-const b = 2;',
+  '+const b = 3;',
+  '+const c = 4;',
+  ' return a + b;',
+  ' }',
+  ''
+].join('\n');
+
+describe('buildPublishableComments', () => {
+  it('includes severity issues and code suggestions that have a file and line', () => {
+    const comments = buildPublishableComments({
+      criticalIssues: [{ title: 'SQL injection', description: 'Use parameters.', filePath: 'src/db.js', startLine: 4 }],
+      highIssues: [{ title: 'No location', description: 'Missing file' }],
+      lowIssues: [{ title: 'Naming', filePath: './src/app.js', startLine: 11, endLine: 12 }],
+      codeSuggestions: [{ description: 'Use const', filePath: 'src/app.js', startLine: 12, suggestedCode: 'const c = 4;' }]
+    });
+
+    expect(comments.map((c) => c.id)).toEqual(['issue-critical-0', 'issue-low-0', 'suggestion-0']);
+    expect(comments[0].body).toContain('**[Critical] SQL injection**');
+    expect(comments[1]).toMatchObject({ filePath: 'src/app.js', startLine: 11, endLine: 12 });
+    expect(comments[2].body).toContain('const c = 4;');
+  });
+
+  it('ignores end lines before the start line', () => {
+    const [comment] = buildPublishableComments({
+      lowIssues: [{ title: 'x', filePath: 'a.js', startLine: 8, endLine: 3 }]
+    });
+    expect(comment.endLine).toBe(8);
+  });
+
+  it('returns an empty list for reviews without anchored findings', () => {
+    expect(buildPublishableComments(null)).toEqual([]);
+    expect(buildPublishableComments({ summary: 'ok', suggestions: ['a'] })).toEqual([]);
+  });
+});
+
+describe('anchorCommentsToPatch', () => {
+  it('anchors added and context lines and leaves lines outside the diff unanchored', () => {
+    const comments = anchorCommentsToPatch([
+      { id: 'added', filePath: 'src/app.js', startLine: 11, endLine: 12 },
+      { id: 'context', filePath: 'src/app.js', startLine: 13, endLine: 13 },
+      { id: 'outside', filePath: 'src/app.js', startLine: 40, endLine: 40 },
+      { id: 'other-file', filePath: 'src/other.js', startLine: 11, endLine: 11 }
+    ], PATCH);
+
+    const byId = Object.fromEntries(comments.map((c) => [c.id, c]));
+    expect(byId.added.anchor).toEqual({ type: 'added', newLine: 12, oldLine: null });
+    expect(byId.added.startAnchor).toEqual({ type: 'added', newLine: 11, oldLine: null });
+    expect(byId.context.anchor).toEqual({ type: 'context', newLine: 13, oldLine: 12 });
+    expect(byId.outside.anchor).toBeNull();
+    expect(byId['other-file'].anchor).toBeNull();
+  });
+
+  it('matches Azure DevOps style paths with a leading slash', () => {
+    const azurePatch = PATCH.replace(/a\/src\/app\.js b\/src\/app\.js/, 'a//src/app.js b//src/app.js');
+    const [comment] = anchorCommentsToPatch([{ id: 'x', filePath: 'src/app.js', startLine: 12, endLine: 12 }], azurePatch);
+    expect(comment.anchor).toMatchObject({ type: 'added', newLine: 12 });
+  });
+  it('keeps the rename source of a renamed file as the old path', () => {
+    const renamedPatch = PATCH
+      .replace('diff --git a/src/app.js b/src/app.js', 'diff --git a/src/main.js b/src/app.js\nsimilarity index 90%\nrename from src/main.js\nrename to src/app.js')
+      .replace('--- a/src/app.js', '--- a/src/main.js');
+    const [renamed, outside] = anchorCommentsToPatch([
+      { id: 'renamed', filePath: 'src/app.js', startLine: 12, endLine: 12 },
+      { id: 'outside', filePath: 'src/other.js', startLine: 1, endLine: 1 }
+    ], renamedPatch);
+
+    expect(renamed).toMatchObject({ anchor: { type: 'added', newLine: 12 }, oldFilePath: 'src/main.js' });
+    expect(outside.oldFilePath).toBe('src/other.js');
+    expect(anchorCommentsToPatch([{ id: 'x', filePath: 'src/app.js', startLine: 12, endLine: 12 }], PATCH)[0].oldFilePath).toBe('src/app.js');
+  });
+});
+
+describe('buildGeneralCommentBody', () => {
+  it('prefixes the body with the file and line range', () => {
+    const body = buildGeneralCommentBody({ filePath: 'src/app.js', startLine: 3, endLine: 5, body: 'Details' });
+    expect(body).toBe('`src/app.js:3-5`\n\nDetails');
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Unit tests for comparing the findings of two review runs of the same MR/PR.
+ */
+
+import { diffReviewFindings } from '../utils/review-diff.js';
+
+describe('diffReviewFindings', () => {
+  const older = {
+    criticalIssues: [{ title: 'SQL injection in user query', filePath: 'src/db.js', startLine: 10 }],
+    highIssues: [{ title: 'Missing null check on response', filePath: 'src/api.js', startLine: 4 }],
+    lowIssues: [],
+    codeSuggestions: [{ description: 'Extract the retry loop into a helper', filePath: 'src/api.js', startLine: 30 }]
+  };
+
+  it('splits findings into appeared, disappeared and unchanged', () => {
+    const newer = {
+      criticalIssues: [],
+      // Re-graded and reworded, same file: still the same finding
+      highIssues: [{ title: 'SQL injection risk in user query', filePath: './src/db.js', startLine: 12 }],
+      lowIssues: [{ title: 'Console logging left in', filePath: 'src/api.js', startLine: 8 }],
+      codeSuggestions: [{ description: 'Extract the retry loop into a helper function', filePath: 'src/api.js', startLine: 31 }]
+    };
+
+    const diff = diffReviewFindings(older, newer);
+
+    expect(diff.unchanged.map((f) => [f.severity, f.item.title || f.item.description])).toEqual([
+      ['high', 'SQL injection risk in user query'],
+      ['suggestion', 'Extract the retry loop into a helper function']
+    ]);
+    expect(diff.appeared.map((f) => f.item.title)).toEqual(['Console logging left in']);
+    expect(diff.disappeared.map((f) => [f.severity, f.item.title])).toEqual([
+      ['high', 'Missing null check on response']
+    ]);
+  });
+
+  it('does not match findings in different files', () => {
+    const diff = diffReviewFindings(older, {
+      criticalIssues: [{ title: 'SQL injection in user query', filePath: 'src/other.js', startLine: 10 }]
+    });
+    expect(diff.appeared).toHaveLength(1);
+    expect(diff.disappeared).toHaveLength(3);
+    expect(diff.unchanged).toHaveLength(0);
+  });
+
+  it('compares scoring-layout text lists', () => {
+    const diff = diffReviewFindings(
+      { suggestions: ['Add unit tests for the parser'], securityIssues: ['Token is logged to the console'] },
+      { suggestions: ['Add unit tests for the parser'], bestPractices: ['Prefer const over let'] }
+    );
+    expect(diff.unchanged.map((f) => f.severity)).toEqual(['suggestions']);
+    expect(diff.appeared.map((f) => [f.severity, f.item.title])).toEqual([['practice', 'Prefer const over let']]);
+    expect(diff.disappeared.map((f) => [f.severity, f.item.title])).toEqual([['security', 'Token is logged to the console']]);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for the review exports of the settings menu (components/utils/review-export.js)
+ * and the Markdown builders they share with copy-all (components/utils/review-markdown.js).
+ *
+ * @jest-environment node
+ */
+
+import { buildReviewMarkdown, buildReviewExportMarkdown } from '../components/utils/review-markdown.js';
+import { buildReviewExport, buildReviewSarif, REVIEW_EXPORT_FORMATS } from '../components/utils/review-export.js';
+
+const severityReview = {
+  reviewFormat: 'severity',
+  summary: 'Adds a cache for user lookups.',
+  metrics: { overallScore: 78, codeQuality: 80, securityScore: 70, bestPracticesScore: 85 },
+  criticalIssues: [
+    { title: 'SQL injection', description: 'The id is concatenated into the query.', filePath: './src/db.js', startLine: 12, endLine: 14 }
+  ],
+  highIssues: [],
+  lowIssues: [{ title: 'Unused import', description: '', filePath: 'src/cache.js' }],
+  codeSuggestions: [
+    { description: 'Use a parameterized query', filePath: 'src/db.js', startLine: 12, endLine: 14, suggestedCode: 'db.query(sql, [id]);' }
+  ]
+};
+
+const meta = {
+  platform: 'github',
+  reviewLabel: 'PR #34',
+  reviewUrl: 'https://github.com/acme/app/pull/34',
+  provider: 'ollama',
+  providerLabel: 'Ollama',
+  model: 'qwen2.5-coder',
+  extensionVersion: '2.3.7',
+  exportedAt: '2026-01-02T03:04:05.000Z'
+};
+
+describe('review Markdown', () => {
+  it('keeps copy-all unchanged and adds summary, metrics, code suggestions and metadata to the export', () => {
+    expect(buildReviewMarkdown(severityReview)).toBe([
+      '# AI Code Review',
+      '## Critical Issues\n\n- **SQL injection** (./src/db.js:12-14)\n  The id is concatenated into the query.',
+      '## Low Issues\n\n- **Unused import** (src/cache.js)'
+    ].join('\n\n'));
+
+    const markdown = buildReviewExportMarkdown(severityReview, meta);
+    expect(markdown).toContain('## Summary\n\nAdds a cache for user lookups.');
+    expect(markdown).toContain('**Overall:** 78');
+    expect(markdown).toContain('## Code Suggestions\n\n- **Use a parameterized query** (src/db.js:12-14)\n\n  ```\n  db.query(sql, [id]);\n  ```');
+    expect(markdown.endsWith('_Reviewed with ThinkReview · PR #34 · Ollama · qwen2.5-coder_')).toBe(true);
+    expect(markdown.indexOf('## Summary')).toBeLessThan(markdown.indexOf('## Critical Issues'));
+  });
+});
+
+describe('review exports', () => {
+  it('builds a SARIF 2.1.0 log with located results and fixes for code suggestions', () => {
+    const sarif = buildReviewSarif(severityReview, meta);
+    const [run] = sarif.runs;
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver).toMatchObject({ name: 'ThinkReview', version: '2.3.7' });
+    expect(run.results.map((result) => [result.ruleId, result.level])).toEqual([
+      ['thinkreview/critical', 'error'],
+      ['thinkreview/low', 'note'],
+      ['thinkreview/code-suggestion', 'note']
+    ]);
+    expect(run.results[0]).toMatchObject({
+      message: { text: 'SQL injection\n\nThe id is concatenated into the query.' },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'src/db.js' }, region: { startLine: 12, endLine: 14 } } }]
+    });
+    expect(run.results[0].ruleIndex).toBe(run.tool.driver.rules.findIndex((rule) => rule.id === 'thinkreview/critical'));
+    expect(run.results[1].locations[0].physicalLocation.region).toBeUndefined();
+    expect(run.results[2].fixes[0].artifactChanges[0].replacements[0]).toEqual({
+      deletedRegion: { startLine: 12, endLine: 14 },
+      insertedContent: { text: 'db.query(sql, [id]);' }
+    });
+    expect(run.properties).toMatchObject({ provider: 'Ollama', model: 'qwen2.5-coder', summary: severityReview.summary });
+  });
+
+  it('reports the string lists of the scoring layout as results without a location', () => {
+    const sarif = buildReviewSarif({ summary: 'ok', securityIssues: ['Token logged in plain text'], suggestions: ['', 'Add tests'] });
+
+    expect(sarif.runs[0].results).toEqual([
+      expect.objectContaining({ ruleId: 'thinkreview/security', level: 'warning', message: { text: 'Token logged in plain text' } }),
+      expect.objectContaining({ ruleId: 'thinkreview/suggestion', message: { text: 'Add tests' } })
+    ]);
+    expect(sarif.runs[0].results[0].locations).toBeUndefined();
+  });
+
+  it('names files after the PR and wraps the raw review in JSON', () => {
+    expect(REVIEW_EXPORT_FORMATS.map((format) => format.id)).toEqual(['markdown', 'sarif', 'json']);
+
+    const json = buildReviewExport('json', severityReview, meta);
+    expect(json).toMatchObject({ filename: 'thinkreview-github-pr-34.json', mimeType: 'application/json' });
+    expect(JSON.parse(json.content)).toMatchObject({ model: 'qwen2.5-coder', reviewRequest: 'PR #34', review: severityReview });
+    expect(buildReviewExport('sarif', severityReview, {}).filename).toBe('thinkreview-review.sarif');
+    expect(() => buildReviewExport('pdf', severityReview, meta)).toThrow('Unknown export format');
+    expect(() => buildReviewExport('markdown', null, meta)).toThrow('no review');
+  });
+});
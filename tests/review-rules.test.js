@@ -0,0 +1,124 @@
+/**
+ * Unit tests for the repository review rules file (.thinkreview.yml).
+ */
+
+import {
+  parseReviewRules,
+  applyReviewRulesIgnore,
+  buildReviewRulesPrompt,
+  applyReviewRulesSeverityOverrides,
+  describeReviewRules
+} from '../utils/review-rules.js';
+
+const RULES_FILE = `version: 1
+# Generated code is reviewed upstream
+ignore:
+  - "**/*.lock"
+  - dist/
+focus: [security, performance]
+banned_apis:
+  - pattern: eval(
+    reason: Use a parser
+severity_overrides:
+  - match: console.log
+    severity: low
+instructions: |
+  Prefer small functions.
+  Name things well.
+`;
+
+describe('parseReviewRules', () => {
+  it('parses every supported setting', () => {
+    const { rules, errors, warnings } = parseReviewRules(RULES_FILE);
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([]);
+    expect(rules).toEqual({
+      ignore: ['**/*.lock', 'dist/'],
+      focus: ['security', 'performance'],
+      bannedApis: [{ pattern: 'eval(', reason: 'Use a parser' }],
+      severityOverrides: [{ match: 'console.log', severity: 'low' }],
+      instructions: 'Prefer small functions.\nName things well.'
+    });
+    expect(describeReviewRules(rules)).toEqual([
+      '2 ignore globs',
+      '2 focus areas',
+      '1 banned API',
+      '1 severity override',
+      'custom instructions'
+    ]);
+  });
+
+  it('warns about unknown settings without rejecting the file', () => {
+    const { rules, warnings } = parseReviewRules('focus:\n  - tests\nreviewers: 3\n');
+    expect(rules.focus).toEqual(['tests']);
+    expect(warnings).toEqual(['Unknown setting "reviewers" was ignored']);
+  });
+
+  it('rejects syntax errors, unsupported versions and non-mapping files', () => {
+    expect(parseReviewRules('ignore:\n  - a\n bad').errors).toEqual(['Line 3: Unexpected indentation']);
+    expect(parseReviewRules('version: 2').errors).toEqual(['Unsupported rules file version 2 (expected 1)']);
+    const listOnly = parseReviewRules('- a');
+    expect(listOnly.rules).toBeNull();
+    expect(listOnly.errors).toHaveLength(1);
+  });
+});
+
+describe('applyReviewRulesIgnore', () => {
+  const patch = [
+    'diff --git a/src/app.js b/src/app.js',
+    '--- a/src/app.js',
+    '+++ b/src/app.js',
+    '@@ -1 +1 @@',
+    '-old',
+    '+new',
+    'diff --git a/yarn.lock b/yarn.lock',
+    '--- a/yarn.lock',
+    '+++ b/yarn.lock',
+    '@@ -1 +1 @@',
+    '-a',
+    '+b'
+  ].join('\n');
+
+  it('removes the files matched by the ignore globs', () => {
+    const { rules } = parseReviewRules(RULES_FILE);
+    const result = applyReviewRulesIgnore(patch, rules);
+    expect(result.ignoredFiles).toEqual(['yarn.lock']);
+    expect(result.patch).toContain('src/app.js');
+    expect(result.patch).not.toContain('yarn.lock');
+  });
+
+  it('returns the patch unchanged without ignore globs', () => {
+    expect(applyReviewRulesIgnore(patch, { ignore: [] })).toEqual({ patch, ignoredFiles: [] });
+  });
+});
+
+describe('buildReviewRulesPrompt', () => {
+  it('describes the rules for the model', () => {
+    const prompt = buildReviewRulesPrompt(parseReviewRules(RULES_FILE).rules);
+    expect(prompt).toContain('- security');
+    expect(prompt).toContain('- eval( (Use a parser)');
+    expect(prompt).toContain('Prefer small functions.');
+  });
+
+  it('is empty when the rules only ignore files', () => {
+    expect(buildReviewRulesPrompt(parseReviewRules('ignore: [dist/]').rules)).toBe('');
+    expect(buildReviewRulesPrompt(null)).toBe('');
+  });
+});
+
+describe('applyReviewRulesSeverityOverrides', () => {
+  it('moves matching findings to the configured severity', () => {
+    const { rules } = parseReviewRules(RULES_FILE);
+    const review = {
+      criticalIssues: [{ title: 'Debug output', description: 'Remove the Console.log call' }],
+      highIssues: [{ title: 'Missing null check' }],
+      lowIssues: []
+    };
+    const { review: updated, overridden } = applyReviewRulesSeverityOverrides(review, rules);
+    expect(overridden).toBe(1);
+    expect(updated.criticalIssues).toEqual([]);
+    expect(updated.highIssues).toEqual([{ title: 'Missing null check' }]);
+    expect(updated.lowIssues).toEqual([{ title: 'Debug output', description: 'Remove the Console.log call' }]);
+    expect(review.criticalIssues).toHaveLength(1);
+  });
+});
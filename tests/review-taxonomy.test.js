@@ -0,0 +1,128 @@
+/**
+ * Unit tests for the review taxonomy (utils/review-taxonomy.js): settings, tagging of findings,
+ * category scores, and the tagged findings asked from the local providers.
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import {
+  buildCategoryScores,
+  collectTaggedFindings,
+  normalizeReviewTaxonomy,
+  toSeverityLists
+} from '../utils/review-taxonomy.js';
+import { mergeChunkReviews } from '../utils/chunked-review.js';
+import { reviewPatchWithChatCompletions } from '../services/chat-completions.js';
+
+const taxonomy = normalizeReviewTaxonomy({
+  severities: ['Blocker = critical', 'Major = high', { label: 'Nit', level: 'low' }],
+  categories: ['Security', 'Performance', 'Correctness', 'Style', 'Tests', 'Docs'],
+  groupBy: 'category'
+});
+
+const originalFetch = global.fetch;
+afterEach(() => {
+  global.fetch = originalFetch;
+  delete global.chrome;
+});
+
+describe('review taxonomy', () => {
+  it('normalizes the settings and keeps one severity per level', () => {
+    expect(taxonomy.severities).toEqual([
+      { id: 'blocker', label: 'Blocker', level: 'critical' },
+      { id: 'major', label: 'Major', level: 'high' },
+      { id: 'nit', label: 'Nit', level: 'low' }
+    ]);
+    expect(taxonomy.groupBy).toBe('category');
+
+    const partial = normalizeReviewTaxonomy({ severities: ['Must fix = critical', 'Bad level = urgent'], categories: [], groupBy: 'author' });
+    expect(partial.severities.map(({ id, level }) => `${id}:${level}`)).toEqual(['must-fix:critical', 'high:high', 'low:low']);
+    expect(partial.categories.map(({ id }) => id)).toEqual(['security', 'performance', 'correctness', 'style', 'tests', 'docs']);
+    expect(partial.groupBy).toBe('severity');
+  });
+
+  it('tags findings and scores each category', () => {
+    const review = {
+      criticalIssues: [{ title: 'SQL injection in search', description: 'User input reaches the query.' }],
+      highIssues: [{ title: 'Query runs in a loop', severity: 'major', category: 'Performance' }],
+      lowIssues: [{ title: 'Wrong result for empty lists', severity: 'blocker' }, { title: 'Missing unit test for parse()' }]
+    };
+
+    expect(collectTaggedFindings(review, taxonomy).map(({ itemId, severity, category }) => `${itemId} ${severity} ${category}`)).toEqual([
+      'issue-critical-0 blocker security',
+      'issue-high-0 major performance',
+      'issue-low-0 nit correctness',
+      'issue-low-1 nit tests'
+    ]);
+    expect(buildCategoryScores(review, taxonomy)).toEqual([
+      { id: 'security', label: 'Security', score: 70, count: 1 },
+      { id: 'performance', label: 'Performance', score: 85, count: 1 },
+      { id: 'correctness', label: 'Correctness', score: 95, count: 1 },
+      { id: 'style', label: 'Style', score: 100, count: 0 },
+      { id: 'tests', label: 'Tests', score: 95, count: 1 },
+      { id: 'docs', label: 'Docs', score: 100, count: 0 }
+    ]);
+
+    const scoring = buildCategoryScores({ securityIssues: ['Token in logs'], suggestions: ['Fix the typo in the README'] }, taxonomy);
+    expect(scoring.filter(({ count }) => count > 0)).toEqual([
+      { id: 'security', label: 'Security', score: 85, count: 1 },
+      { id: 'docs', label: 'Docs', score: 95, count: 1 }
+    ]);
+  });
+
+  it('asks local providers for tagged findings and fills the severity lists', async () => {
+    global.chrome = { storage: { local: { get: jest.fn(async () => ({ reviewTaxonomySettings: taxonomy })) } } };
+    global.fetch = jest.fn(async () => new Response(JSON.stringify({
+      choices: [{
+        message: {
+          content: JSON.stringify({
+            summary: '1. Adds search',
+            suggestions: [],
+            securityIssues: [],
+            findings: [
+              { title: 'SQL injection', description: 'Use parameters.', severity: 'Blocker', category: 'security', filePath: 'src/db.js', startLine: 4, endLine: 2 },
+              { title: 'Slow loop', description: 'Batch the queries.', severity: 'unknown', category: 'speed' },
+              { title: 'Race on save', description: 'Lock the record.', severity: 'High', category: 'correctness', filePath: 'src/db.js', startLine: 9 }
+            ]
+          })
+        }
+      }]
+    })));
+
+    const { review } = await reviewPatchWithChatCompletions(
+      { baseUrl: 'http://localhost:1234/v1', headers: {}, provider: 'openrouter' },
+      { patchContent: 'diff --git a/src/db.js b/src/db.js\n@@ -1 +1 @@\n-a\n+b', language: 'English', model: 'm' }
+    );
+
+    const prompt = JSON.parse(global.fetch.mock.calls[0][1].body).messages[1].content;
+    expect(prompt).toContain('"severity" (one of: blocker (critical), major (high), nit (low))');
+    expect(prompt).toContain('"category" (one of: security, performance, correctness, style, tests, docs)');
+    expect(review.prDescription).toBe('1. Adds search');
+    expect(review.criticalIssues).toEqual([
+      { title: 'SQL injection', description: 'Use parameters.', severity: 'blocker', category: 'security', filePath: 'src/db.js', startLine: 4 }
+    ]);
+    expect(review.highIssues).toEqual([
+      { title: 'Race on save', description: 'Lock the record.', severity: 'major', category: 'correctness', filePath: 'src/db.js', startLine: 9 }
+    ]);
+    expect(review.lowIssues).toEqual([{ title: 'Slow loop', description: 'Batch the queries.', severity: 'nit', category: 'performance' }]);
+
+    const merged = mergeChunkReviews([
+      { review, weight: 1 },
+      {
+        review: {
+          ...review,
+          ...toSeverityLists([
+            { title: 'SQL injection', severity: 'blocker', filePath: 'src/db.js', startLine: 3, endLine: 5 },
+            { title: 'SQL injection', severity: 'blocker', filePath: 'src/search.js', startLine: 4 },
+            { title: 'Slow loop', severity: 'nit' },
+            { title: 'Dead code', severity: 'nit' }
+          ], taxonomy)
+        },
+        weight: 1
+      }
+    ]);
+    expect(merged.criticalIssues.map(({ filePath }) => filePath)).toEqual(['src/db.js', 'src/search.js']);
+    expect(merged.lowIssues.map(({ title }) => title)).toEqual(['Slow loop', 'Dead code']);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the team settings bundle (utils/settings-bundle.js): export without and with
+ * encrypted secrets, validation on import, the diff preview and the permissions it needs.
+ *
+ * @jest-environment node
+ */
+
+import {
+  buildSettingsBundle,
+  decryptSettingsBundleSecrets,
+  getSettingsBundleOrigins,
+  parseSettingsBundle,
+  planSettingsImport
+} from '../utils/settings-bundle.js';
+
+const storage = {
+  gitlabDomains: ['https://gitlab.com', 'gitlab.acme.com'],
+  githubEnterpriseDomains: ['https://github.acme.com'],
+  aiProvider: 'openai-compatible',
+  ollamaConfig: { url: 'http://localhost:11434', model: 'qwen2.5-coder', temperature: 0.3, top_p: 0.4, top_k: 90 },
+  openaiCompatibleConfig: { baseUrl: 'http://llm.acme.internal:8000/v1', apiKey: 'sk-team', model: 'coder' },
+  'code-review-language': 'German',
+  reviewIdeAssistTarget: 'claude_code',
+  gitlabTokens: { 'https://gitlab.acme.com': 'glpat-secret' },
+  lastInstalledVersion: '1.3.8'
+};
+
+describe('settings bundle export', () => {
+  it('leaves tokens and API keys out by default', async () => {
+    const bundle = await buildSettingsBundle(storage, { extensionVersion: '1.3.8', exportedAt: '2026-01-02T00:00:00.000Z' });
+
+    expect(bundle).toMatchObject({ format: 'thinkreview-settings', version: 1, extensionVersion: '1.3.8' });
+    expect(bundle.secrets).toBeUndefined();
+    expect(bundle.settings.openaiCompatibleConfig).toEqual({ baseUrl: 'http://llm.acme.internal:8000/v1', model: 'coder' });
+    expect(bundle.settings.gitlabTokens).toBeUndefined();
+    expect(bundle.settings.lastInstalledVersion).toBeUndefined();
+    expect(JSON.stringify(bundle)).not.toContain('secret');
+    expect(JSON.stringify(bundle)).not.toContain('sk-team');
+  });
+
+  it('encrypts the secrets with the passphrase and restores them on import', async () => {
+    const bundle = await buildSettingsBundle(storage, { passphrase: 'correct horse' });
+    expect(JSON.stringify(bundle)).not.toContain('glpat-secret');
+
+    const parsed = parseSettingsBundle(JSON.stringify(bundle));
+    await expect(decryptSettingsBundleSecrets(parsed.secrets, 'wrong passphrase')).rejects.toThrow('passphrase is wrong');
+    const secrets = await decryptSettingsBundleSecrets(parsed.secrets, 'correct horse');
+    expect(secrets).toEqual({
+      keys: { gitlabTokens: { 'https://gitlab.acme.com': 'glpat-secret' } },
+      fields: { openaiCompatibleConfig: { apiKey: 'sk-team' } }
+    });
+
+    const { updates, changes } = planSettingsImport({}, parsed, secrets);
+    expect(updates.openaiCompatibleConfig.apiKey).toBe('sk-team');
+    expect(updates.gitlabTokens).toEqual({ 'https://gitlab.acme.com': 'glpat-secret' });
+    expect(changes.find((change) => change.label === 'OpenAI-compatible server › apiKey').after).toBe('••••••••');
+    expect(changes.some((change) => change.after.includes('glpat'))).toBe(false);
+  });
+});
+
+describe('settings bundle import', () => {
+  it('rejects files that are not a readable bundle', () => {
+    expect(() => parseSettingsBundle('{')).toThrow('not valid JSON');
+    expect(() => parseSettingsBundle('{"format":"other"}')).toThrow('not a ThinkReview settings bundle');
+    expect(() => parseSettingsBundle('{"format":"thinkreview-settings","version":2,"settings":{}}')).toThrow('newer version');
+  });
+
+  it('skips unknown and invalid settings and never accepts plain-text secrets', () => {
+    const parsed = parseSettingsBundle(JSON.stringify({
+      format: 'thinkreview-settings',
+      version: 1,
+      settings: {
+        aiProvider: 'gpt-killer',
+        gitlabDomains: ['gitlab.acme.com', 'not a domain'],
+        anthropicConfig: { apiKey: 'sk-plain', model: 'claude' },
+        'code-review-format': 'scoring',
+        favouriteColour: 'blue'
+      }
+    }));
+
+    expect(parsed.settings).toEqual({ anthropicConfig: { model: 'claude' }, 'code-review-format': 'scoring' });
+    expect(parsed.skipped.map((entry) => entry.key)).toEqual(['aiProvider', 'gitlabDomains', 'favouriteColour']);
+    expect(parsed.secrets).toBeNull();
+  });
+
+  it('previews only what changes and keeps saved API keys when the bundle has none', () => {
+    const parsed = parseSettingsBundle(JSON.stringify({
+      format: 'thinkreview-settings',
+      version: 1,
+      settings: {
+        gitlabDomains: ['https://gitlab.com', 'gitlab.acme.com', 'https://git.corp.io'],
+        openaiCompatibleConfig: { baseUrl: 'http://llm.acme.internal:8000', model: 'coder-v2' },
+        'code-review-language': 'German',
+        bitbucketAllowed: true
+      }
+    }));
+
+    const { updates, changes } = planSettingsImport(storage, parsed);
+
+    expect(Object.keys(updates)).toEqual(['gitlabDomains', 'openaiCompatibleConfig', 'bitbucketAllowed']);
+    expect(updates.openaiCompatibleConfig).toEqual({ baseUrl: 'http://llm.acme.internal:8000/v1', model: 'coder-v2', apiKey: 'sk-team' });
+    expect(changes).toEqual([
+      { key: 'gitlabDomains', label: 'GitLab domains', before: 'https://gitlab.com, gitlab.acme.com', after: 'https://gitlab.com, gitlab.acme.com, https://git.corp.io' },
+      { key: 'openaiCompatibleConfig', label: 'OpenAI-compatible server › model', before: 'coder', after: 'coder-v2' },
+      { key: 'bitbucketAllowed', label: 'Bitbucket Cloud enabled', before: '(not set)', after: 'On' }
+    ]);
+    expect(getSettingsBundleOrigins(updates)).toEqual([
+      'https://gitlab.com/*',
+      'https://gitlab.acme.com/*',
+      'https://git.corp.io/*',
+      'https://bitbucket.org/*',
+      'http://llm.acme.internal:8000/*'
+    ]);
+  });
+
+  it('drops a saved API key when the bundle moves the config to another endpoint', () => {
+    const parsed = parseSettingsBundle(JSON.stringify({
+      format: 'thinkreview-settings',
+      version: 1,
+      settings: { openaiCompatibleConfig: { baseUrl: 'https://llm.elsewhere.example', model: 'coder' } }
+    }));
+
+    const { updates, changes } = planSettingsImport(storage, parsed);
+
+    expect(updates.openaiCompatibleConfig).toEqual({ baseUrl: 'https://llm.elsewhere.example/v1', model: 'coder' });
+    expect(changes.find((change) => change.label === 'OpenAI-compatible server › apiKey')).toMatchObject({ before: '••••••••', after: '(cleared)' });
+  });
+
+  it('refuses encrypted secrets with an excessive key derivation cost', () => {
+    const parsed = parseSettingsBundle(JSON.stringify({
+      format: 'thinkreview-settings',
+      version: 1,
+      settings: {},
+      secrets: { algorithm: 'AES-GCM', kdf: 'PBKDF2', iterations: 1e9, salt: 'AA==', iv: 'AA==', ciphertext: 'AA==' }
+    }));
+
+    expect(parsed.secrets).toBeNull();
+    expect(parsed.skipped).toEqual([{ key: 'secrets', reason: 'damaged encrypted secrets' }]);
+  });
+});
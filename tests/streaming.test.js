@@ -0,0 +1,84 @@
+/**
+ * Unit tests for streamed model responses (Ollama NDJSON, OpenRouter server-sent events)
+ * and the partial JSON parsing behind the live review preview.
+ *
+ * @jest-environment node
+ */
+
+import { readNdjsonStream, readSseStream } from '../utils/stream-readers.js';
+import { parsePartialJson } from '../utils/partial-json.js';
+
+/**
+ * Response whose body delivers the given pieces one read at a time.
+ * @param {string[]} pieces
+ * @returns {Response}
+ */
+function streamedResponse(pieces) {
+  const encoder = new TextEncoder();
+  return new Response(new ReadableStream({
+    start(controller) {
+      pieces.forEach((piece) => controller.enqueue(encoder.encode(piece)));
+      controller.close();
+    }
+  }));
+}
+
+describe('readNdjsonStream', () => {
+  it('parses objects split across reads', async () => {
+    const objects = [];
+    await readNdjsonStream(
+      streamedResponse(['{"response":"He', 'llo"}\n{"response":" world"}\n\n', '{"done":true}']),
+      (object) => objects.push(object)
+    );
+    expect(objects).toEqual([{ response: 'Hello' }, { response: ' world' }, { done: true }]);
+  });
+
+  it('propagates errors thrown by the callback', async () => {
+    await expect(readNdjsonStream(streamedResponse(['{"error":"model not found"}\n']), (object) => {
+      throw new Error(object.error);
+    })).rejects.toThrow('model not found');
+  });
+});
+
+describe('readSseStream', () => {
+  it('dispatches data events and skips comments', async () => {
+    const events = [];
+    await readSseStream(
+      streamedResponse([
+        ': OPENROUTER PROCESSING\n\n',
+        'data: {"choices":[{"delta":{"content":"a"}}]}\r\n\r\n',
+        'data: {"choices":[{"delta":',
+        '{"content":"b"}}]}\n\ndata: [DONE]\n\n'
+      ]),
+      (data) => events.push(data)
+    );
+    expect(events).toEqual([
+      '{"choices":[{"delta":{"content":"a"}}]}',
+      '{"choices":[{"delta":{"content":"b"}}]}',
+      '[DONE]'
+    ]);
+  });
+});
+
+describe('parsePartialJson', () => {
+  it('returns complete documents unchanged', () => {
+    expect(parsePartialJson('```json\n{"summary":"Done","suggestions":["a"]}\n```')).toEqual({ summary: 'Done', suggestions: ['a'] });
+  });
+
+  it('keeps a string value that is still being received', () => {
+    expect(parsePartialJson('{"summary": "Adds a cache for')).toEqual({ summary: 'Adds a cache for' });
+    expect(parsePartialJson('{"summary": "Line \\')).toEqual({ summary: 'Line ' });
+  });
+
+  it('drops keys and values that are cut short', () => {
+    expect(parsePartialJson('{"summary": "ok", "sugg')).toEqual({ summary: 'ok' });
+    expect(parsePartialJson('{"summary": "ok", "suggestions": ["one", "two"')).toEqual({ summary: 'ok', suggestions: ['one', 'two'] });
+    expect(parsePartialJson('{"metrics": {"overallScore": 8')).toEqual({ metrics: {} });
+  });
+
+  it('returns null before an object has started', () => {
+    expect(parsePartialJson('')).toBeNull();
+    expect(parsePartialJson('```json\n')).toBeNull();
+    expect(parsePartialJson('{"summ')).toEqual({});
+  });
+});
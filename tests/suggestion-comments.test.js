@@ -0,0 +1,112 @@
+/**
+ * Unit tests for publishing code suggestions as native suggestion comments
+ * (components/utils/review-comments.js) and applying them in one GitLab commit
+ * (services/pr-comment-publisher.js).
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import {
+  buildSuggestionBlockBody,
+  getSuggestionBlockHeader,
+  getSuggestionFlavor
+} from '../components/utils/review-comments.js';
+import { publishPullRequestComments } from '../services/pr-comment-publisher.js';
+import { jsonResponse } from './test-helpers.js';
+
+const suggestion = {
+  id: 'suggestion-0',
+  kind: 'suggestion',
+  filePath: 'src/app.js',
+  startLine: 11,
+  endLine: 12,
+  description: 'Use const',
+  suggestedCode: 'const b = 3;\nconst c = 4;\n',
+  body: '**Suggested change**\n\nUse const',
+  anchor: { type: 'added', newLine: 12, oldLine: null },
+  startAnchor: { type: 'added', newLine: 11, oldLine: null }
+};
+
+const originalFetch = global.fetch;
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+describe('suggestion blocks', () => {
+  it('uses the suggestion syntax of each platform for the commented range', () => {
+    expect(getSuggestionBlockHeader(suggestion, 'github')).toBe('suggestion');
+    expect(getSuggestionBlockHeader(suggestion, 'gitlab')).toBe('suggestion:-1+0');
+    expect(getSuggestionBlockHeader({ ...suggestion, anchor: suggestion.startAnchor, startAnchor: null, endLine: 14 }, 'gitlab'))
+      .toBe('suggestion:-0+3');
+    expect(getSuggestionBlockHeader(suggestion, 'azure-devops')).toBe('suggestion');
+    expect(getSuggestionBlockHeader(suggestion, 'bitbucket-dc')).toBeNull();
+    expect(getSuggestionBlockHeader({ ...suggestion, startAnchor: null }, 'github')).toBeNull();
+    expect(getSuggestionBlockHeader({ ...suggestion, kind: 'issue' }, 'github')).toBeNull();
+    expect(getSuggestionFlavor('bitbucket', { diffUrl: 'https://bb.acme.com/rest/api/1.0/projects/A/repos/r/pull-requests/3/diff' }))
+      .toBe('bitbucket-dc');
+    expect(getSuggestionFlavor('bitbucket', { diffUrl: 'https://api.bitbucket.org/2.0/repositories/a/r/pullrequests/3/diff' }))
+      .toBeNull();
+  });
+
+  it('fences the suggested code with more backticks than it contains', () => {
+    const body = buildSuggestionBlockBody({ ...suggestion, suggestedCode: 'const s = ```md```;' }, 'github');
+    expect(body).toContain('````suggestion\nconst s = ```md```;\n````');
+    expect(buildSuggestionBlockBody(suggestion, 'gitlab')).toContain('Use const\n\n```suggestion:-1+0\nconst b = 3;\nconst c = 4;\n```');
+  });
+});
+
+describe('GitLab batch apply', () => {
+  const target = { origin: 'https://gitlab.acme.com', projectPath: 'team/app', mrIid: '4', csrfToken: 'csrf' };
+  const apiBase = 'https://gitlab.acme.com/api/v4/projects/team%2Fapp';
+
+  it('posts native suggestions and applies them in one commit', async () => {
+    global.fetch = jest.fn(async (url, options = {}) => {
+      if (url === `${apiBase}/merge_requests/4`) {
+        return jsonResponse({ web_url: 'https://gitlab.acme.com/team/app/-/merge_requests/4', diff_refs: { base_sha: 'b', start_sha: 's', head_sha: 'h' } });
+      }
+      if (url === `${apiBase}/merge_requests/4/discussions`) return jsonResponse({ notes: [{ id: 501 }] }, 201);
+      if (url === 'https://gitlab.acme.com/team/app/-/merge_requests/4/discussions.json') {
+        return jsonResponse([{ notes: [{ id: '501', suggestions: [{ id: 77, appliable: true, applied: false }] }] }]);
+      }
+      if (url === 'https://gitlab.acme.com/api/v4/suggestions/batch_apply' && options.method === 'PUT') return jsonResponse([{ id: 77 }]);
+      return jsonResponse({ message: '404 Not Found' }, 404);
+    });
+
+    const response = await publishPullRequestComments({
+      platform: 'gitlab',
+      target,
+      comments: [{ ...suggestion, oldFilePath: 'src/main.js' }],
+      applySuggestions: { commitMessage: 'Apply 1 suggestion' }
+    });
+
+    expect(response).toMatchObject({
+      success: true,
+      results: [{ id: 'suggestion-0', success: true, nativeSuggestion: true, noteId: 501 }],
+      batchApply: { success: true, appliedIds: ['suggestion-0'] }
+    });
+    const posted = JSON.parse(global.fetch.mock.calls[1][1].body);
+    expect(posted.body).toContain('```suggestion:-1+0');
+    expect(posted.position).toMatchObject({ old_path: 'src/main.js', new_path: 'src/app.js', new_line: 12 });
+    const applied = global.fetch.mock.calls.find(([url]) => url.endsWith('/suggestions/batch_apply'));
+    expect(JSON.parse(applied[1].body)).toEqual({ ids: [77], commit_message: 'Apply 1 suggestion' });
+    expect(applied[1].headers['X-CSRF-Token']).toBe('csrf');
+  });
+
+  it('reports when nothing could be applied without failing the publish', async () => {
+    global.fetch = jest.fn(async (url) => (url.endsWith('/merge_requests/4')
+      ? jsonResponse({ diff_refs: { head_sha: 'h' } })
+      : jsonResponse({ notes: [{ id: 9 }] }, 201)));
+
+    const response = await publishPullRequestComments({
+      platform: 'gitlab',
+      target,
+      comments: [{ ...suggestion, anchor: null, startAnchor: null }],
+      applySuggestions: { commitMessage: 'x' }
+    });
+
+    expect(response.success).toBe(true);
+    expect(response.results[0]).toMatchObject({ success: true, inline: false });
+    expect(response.batchApply).toMatchObject({ success: false, appliedIds: [] });
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Fixtures shared by the unit tests: fetch responses and an in-memory chrome.storage.local.
+ */
+
+import { jest } from '@jest/globals';
+
+/**
+ * @param {*} body - Serialized as the JSON body
+ * @param {number} [status]
+ * @param {Object} [headers] - Added to the JSON content type
+ * @returns {Response}
+ */
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+/**
+ * Install a global.chrome whose storage.local keeps its values in memory.
+ * @param {Object} [initial] - Stored values to start with
+ * @returns {Object} The stored values, updated by set() and remove()
+ */
+export function mockStorage(initial = {}) {
+  const data = { ...initial };
+  global.chrome = {
+    storage: {
+      local: {
+        get: jest.fn(async (keys) => Object.fromEntries(keys.filter((key) => key in data).map((key) => [key, data[key]]))),
+        set: jest.fn(async (values) => Object.assign(data, values)),
+        remove: jest.fn(async (key) => { delete data[key]; })
+      }
+    }
+  };
+  return data;
+}
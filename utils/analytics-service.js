@@ -2,6 +2,7 @@
 // Google Analytics service using Measurement Protocol with no-cors mode
 
 import { GA_MEASUREMENT_ID, GA_API_SECRET } from './env-config.js';
+import { readManagedPolicy } from './managed-policy.js';
 
 const GA_ENDPOINT = (GA_MEASUREMENT_ID && GA_API_SECRET)
   ? `https://www.google-analytics.com/mp/collect?measurement_id=${GA_MEASUREMENT_ID}&api_secret=${GA_API_SECRET}`
@@ -61,6 +62,9 @@ async function sendEvent(eventName, eventParams = {}) {
   if (!GA_ENDPOINT) return;
   
   try {
+    // Organizations can turn analytics off with the managed policy
+    if ((await readManagedPolicy()).disableAnalytics) return;
+
     const clientId = await getClientId();
     const payload = {
       client_id: clientId,
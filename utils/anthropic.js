@@ -0,0 +1,11 @@
+// anthropic.js
+// Anthropic (Messages API) bring-your-own-key provider: API location and optional host permission
+// helpers shared by popup and background.
+
+export const ANTHROPIC_API_BASE_URL = 'https://api.anthropic.com/v1';
+export const ANTHROPIC_API_VERSION = '2023-06-01';
+export const ANTHROPIC_ORIGINS = ['https://api.anthropic.com/*'];
+
+export async function hasAnthropicHostPermission() {
+  return chrome.permissions.contains({ origins: ANTHROPIC_ORIGINS });
+}
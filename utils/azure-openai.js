@@ -0,0 +1,41 @@
+// azure-openai.js
+// Azure OpenAI bring-your-own-key provider: resource endpoint and optional host permission helpers
+// shared by popup and background.
+
+/** Generally available data-plane version used when none is configured */
+export const DEFAULT_AZURE_OPENAI_API_VERSION = '2024-10-21';
+
+/**
+ * Normalize a resource endpoint as shown in the Azure portal ("https://my-resource.openai.azure.com/").
+ * A path the user pasted along with it (e.g. /openai/deployments/...) is dropped.
+ * @param {string} raw
+ * @returns {string|null} '' when empty, null when not an https URL
+ */
+export function normalizeAzureOpenAIEndpoint(raw) {
+  const trimmed = String(raw || '').trim();
+  if (!trimmed) return '';
+
+  let candidate = trimmed;
+  if (!/^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//.test(candidate)) {
+    candidate = `https://${candidate}`;
+  }
+
+  try {
+    const url = new URL(candidate);
+    return url.protocol === 'https:' ? url.origin : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * @param {string} endpoint - Normalized resource endpoint
+ * @returns {string} Host permission pattern for the resource
+ */
+export function getAzureOpenAIOriginPattern(endpoint) {
+  return `${new URL(endpoint).origin}/*`;
+}
+
+export async function hasAzureOpenAIHostPermission(endpoint) {
+  return chrome.permissions.contains({ origins: [getAzureOpenAIOriginPattern(endpoint)] });
+}
@@ -37,6 +37,17 @@ export function getBitbucketPrApiUrl(workspace, repoSlug, prId) {
   return `${BITBUCKET_API_BASE}/repositories/${workspace}/${repoSlug}/pullrequests/${prId}`;
 }
 
+/**
+ * Build the Bitbucket API 2.0 raw file URL (repositories/{fullName}/src/{ref}/{path}).
+ * @param {string} repoFullName - '{workspace}/{repoSlug}'
+ * @param {string} ref - Commit hash or branch name
+ * @param {string} filePath - Path from the repository root
+ * @returns {string}
+ */
+export function getBitbucketSourceFileApiUrl(repoFullName, ref, filePath) {
+  return `${BITBUCKET_API_BASE}/repositories/${repoFullName}/src/${encodeURIComponent(ref)}/${filePath}`;
+}
+
 /**
  * Build the Bitbucket API 2.0 diff URL (repositories/.../pullrequests/{id}/diff).
  * @param {string} workspace
@@ -48,6 +59,20 @@ export function getBitbucketDiffApiUrl(workspace, repoSlug, prId) {
   return `${BITBUCKET_API_BASE}/repositories/${workspace}/${repoSlug}/pullrequests/${prId}/diff`;
 }
 
+/**
+ * Derive the PR comments endpoint from a PR diff endpoint (Cloud or Data Center).
+ *   Cloud:       …/repositories/{ws}/{repo}/pullrequests/{id}/diff  → …/pullrequests/{id}/comments
+ *   Data Center: …/rest/api/1.0/…/pull-requests/{id}/diff           → …/pull-requests/{id}/comments
+ * @param {string} diffUrl
+ * @returns {string|null}
+ */
+export function getBitbucketCommentsApiUrlFromDiffUrl(diffUrl) {
+  if (!diffUrl || typeof diffUrl !== 'string') return null;
+  const base = diffUrl.replace(/[?#].*$/, '');
+  if (!/\/(pullrequests|pull-requests)\/\d+\/diff$/.test(base)) return null;
+  return base.replace(/\/diff$/, '/comments');
+}
+
 // ---------------------------------------------------------------------------
 // Bitbucket Data Center (self-hosted) helpers
 // ---------------------------------------------------------------------------
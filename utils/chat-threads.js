@@ -0,0 +1,97 @@
+// chat-threads.js
+// Saved chat conversations per MR/PR (utils/review-key.js), so follow-up questions survive page
+// reloads. Each thread keeps the hash of the patch it was started on, so the panel can warn when
+// the patch has changed since, and the number of repository fetches the model made in it, so the
+// per-conversation fetch budget carries over when it is reopened. Stored in chrome.storage.local under chatThreads:
+//   { [reviewKey]: { savedAt, threads: [{ id, title, patchHash, repoToolFetchCount, createdAt, updatedAt, messages }] } }
+// Messages use the conversation format of the panel: { role: 'user'|'model', content }.
+
+const STORAGE_KEY = 'chatThreads';
+const MAX_STORED_REVIEWS = 30;
+const MAX_THREADS_PER_REVIEW = 10;
+/** Oldest messages of a thread beyond this are dropped on save */
+export const MAX_MESSAGES_PER_THREAD = 60;
+const MAX_TITLE_CHARS = 80;
+
+/**
+ * SHA-256 of a patch (hex), to tell whether a conversation was about the current code.
+ * @param {string} patchContent
+ * @returns {Promise<string|null>}
+ */
+export async function hashPatchContent(patchContent) {
+  if (!patchContent) return null;
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(patchContent));
+  return Array.from(new Uint8Array(hashBuffer)).map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {Array<{ role: string, content: string }>} messages
+ * @returns {string} First question of the thread, shortened
+ */
+function buildThreadTitle(messages) {
+  const question = String(messages.find((message) => message.role === 'user')?.content || 'Conversation').replace(/\s+/g, ' ').trim();
+  return question.length > MAX_TITLE_CHARS ? `${question.slice(0, MAX_TITLE_CHARS - 1)}…` : question;
+}
+
+async function loadAllThreads() {
+  const result = await chrome.storage.local.get([STORAGE_KEY]);
+  return result[STORAGE_KEY] || {};
+}
+
+/**
+ * Threads of one MR/PR, most recently updated first.
+ * @param {string} reviewKey
+ * @returns {Promise<Array<{ id: string, title: string, patchHash: string|null, repoToolFetchCount: number, createdAt: number, updatedAt: number, messages: Array<Object> }>>}
+ */
+export async function listChatThreads(reviewKey) {
+  if (!reviewKey) return [];
+  const threads = (await loadAllThreads())[reviewKey]?.threads || [];
+  return [...threads].sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * @param {string} reviewKey
+ * @param {string} threadId
+ * @returns {Promise<Object|null>}
+ */
+export async function loadChatThread(reviewKey, threadId) {
+  return (await listChatThreads(reviewKey)).find((thread) => thread.id === threadId) || null;
+}
+
+/**
+ * Create or update a thread, keeping the most recent threads and MRs/PRs only.
+ * @param {string} reviewKey
+ * @param {{ id?: string|null, patchHash: string|null, repoToolFetchCount?: number, messages: Array<{ role: string, content: string }> }} thread
+ *   Without id a new thread is created
+ * @returns {Promise<Object|null>} The stored thread (null when there is nothing to store)
+ */
+export async function saveChatThread(reviewKey, { id = null, patchHash, repoToolFetchCount = 0, messages }) {
+  const kept = (Array.isArray(messages) ? messages : [])
+    .filter((message) => message && typeof message.content === 'string' && (message.role === 'user' || message.role === 'model'))
+    .map(({ role, content }) => ({ role, content }))
+    .slice(-MAX_MESSAGES_PER_THREAD);
+  if (!reviewKey || kept.length === 0) return null;
+
+  const all = await loadAllThreads();
+  const threads = all[reviewKey]?.threads || [];
+  const now = Date.now();
+  const existing = id ? threads.find((thread) => thread.id === id) : null;
+  const thread = {
+    id: existing?.id || `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    title: buildThreadTitle(kept),
+    patchHash: existing ? existing.patchHash : (patchHash || null),
+    repoToolFetchCount: Number.isInteger(repoToolFetchCount) && repoToolFetchCount > 0 ? repoToolFetchCount : 0,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    messages: kept
+  };
+
+  const updatedThreads = [thread, ...threads.filter((other) => other.id !== thread.id)]
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .slice(0, MAX_THREADS_PER_REVIEW);
+  const states = { ...all, [reviewKey]: { savedAt: now, threads: updatedThreads } };
+  const keys = Object.keys(states).sort((a, b) => (states[b].savedAt || 0) - (states[a].savedAt || 0));
+  keys.slice(MAX_STORED_REVIEWS).forEach((staleKey) => delete states[staleKey]);
+  await chrome.storage.local.set({ [STORAGE_KEY]: states });
+  return thread;
+}
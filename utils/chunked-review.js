@@ -0,0 +1,310 @@
+// chunked-review.js
+// Map-reduce review of patches that do not fit the model's context window (Ollama, OpenRouter):
+// the patch is split along file and hunk boundaries, each part is reviewed on its own, and the
+// partial reviews are merged and de-duplicated before a final summarization pass.
+
+import { parsePatchFiles } from './patch-filter.js';
+import { titleSimilarity } from './review-diff.js';
+import { dbgLog, dbgWarn } from './logger.js';
+
+/** Parts beyond this are not reviewed (the rest of the patch is reported as truncated) */
+export const MAX_REVIEW_CHUNKS = 20;
+/** Below this budget per part, chunking is pointless and the patch is truncated instead */
+export const MIN_CHUNK_CHARS = 2000;
+
+/** Findings whose significant words overlap at least this much are reported once */
+const DUPLICATE_THRESHOLD = 0.7;
+const TEXT_FIELDS = ['suggestions', 'securityIssues', 'bestPractices'];
+/** Tagged findings of the severity layout (utils/review-taxonomy.js) */
+const ISSUE_FIELDS = ['criticalIssues', 'highIssues', 'lowIssues'];
+const METRIC_FIELDS = ['overallScore', 'codeQuality', 'securityScore', 'bestPracticesScore'];
+
+/**
+ * Split text into line-aligned pieces of at most maxChars (a single longer line is cut).
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function splitLines(text, maxChars) {
+  const pieces = [];
+  let current = '';
+  text.split('\n').forEach((line) => {
+    let rest = line;
+    while (rest.length > maxChars) {
+      if (current) pieces.push(current);
+      current = '';
+      pieces.push(rest.slice(0, maxChars));
+      rest = rest.slice(maxChars);
+    }
+    if (current && current.length + 1 + rest.length > maxChars) {
+      pieces.push(current);
+      current = rest;
+    } else {
+      current = current ? `${current}\n${rest}` : rest;
+    }
+  });
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Split one file diff into pieces of at most maxChars, at hunk boundaries where possible.
+ * Every piece keeps the file header so the model knows which file it is reading.
+ * @param {string} fileDiff
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function splitFileDiff(fileDiff, maxChars) {
+  const lines = fileDiff.split('\n');
+  const firstHunk = lines.findIndex((line) => line.startsWith('@@'));
+  if (firstHunk === -1) {
+    return splitLines(fileDiff, maxChars);
+  }
+
+  const header = lines.slice(0, firstHunk).join('\n');
+  const hunks = [];
+  lines.slice(firstHunk).forEach((line) => {
+    if (line.startsWith('@@') || hunks.length === 0) hunks.push([line]);
+    else hunks[hunks.length - 1].push(line);
+  });
+
+  const bodyBudget = Math.max(1, maxChars - header.length - 1);
+  const bodies = hunks.flatMap((hunk) => splitLines(hunk.join('\n'), bodyBudget));
+  return packPieces(bodies, bodyBudget).map((body) => `${header}\n${body}`);
+}
+
+/**
+ * Greedily join pieces (newline-separated) into chunks of at most maxChars.
+ * @param {string[]} pieces
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function packPieces(pieces, maxChars) {
+  const chunks = [];
+  let current = '';
+  pieces.forEach((piece) => {
+    if (current && current.length + 1 + piece.length > maxChars) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current = current ? `${current}\n${piece}` : piece;
+    }
+  });
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split a patch into parts of at most maxChunkChars: whole files are kept together when they fit,
+ * larger files are split between hunks, and only hunks larger than a part are split between lines.
+ * @param {string} patchContent
+ * @param {number} maxChunkChars
+ * @returns {string[]}
+ */
+export function splitPatchIntoChunks(patchContent, maxChunkChars) {
+  if (!patchContent) return [];
+  const maxChars = Math.max(1, Math.floor(maxChunkChars));
+  if (patchContent.length <= maxChars) return [patchContent];
+
+  const files = parsePatchFiles(patchContent);
+  if (files.length === 0) {
+    return splitLines(patchContent, maxChars);
+  }
+
+  // Any header before the first file (e.g. the Azure DevOps PR header) goes with the first part
+  const firstDiffIndex = patchContent.indexOf('diff --git');
+  const preamble = firstDiffIndex > 0 ? patchContent.slice(0, firstDiffIndex).replace(/\n+$/, '') : '';
+
+  const pieces = [
+    ...(preamble ? splitLines(preamble, maxChars) : []),
+    ...files.flatMap((file) => (file.content.length <= maxChars ? [file.content] : splitFileDiff(file.content, maxChars)))
+  ];
+  return packPieces(pieces, maxChars);
+}
+
+/**
+ * Prompt note telling the model it only sees part of the change.
+ * @param {number} index - Zero-based part index
+ * @param {number} total
+ * @returns {string}
+ */
+export function buildChunkNote(index, total) {
+  return `This patch is part ${index + 1} of ${total} of a larger change that is reviewed in parts. Review only the code in this part; the other parts are reviewed separately.`;
+}
+
+/**
+ * Drop findings that repeat an earlier one (across parts), keeping the more detailed wording.
+ * @param {string[]} items
+ * @returns {string[]}
+ */
+export function dedupeFindings(items) {
+  const kept = [];
+  items.forEach((item) => {
+    const text = String(item || '').trim();
+    if (!text) return;
+    const duplicateIndex = kept.findIndex((existing) => titleSimilarity(existing, text) >= DUPLICATE_THRESHOLD);
+    if (duplicateIndex === -1) {
+      kept.push(text);
+    } else if (text.length > kept[duplicateIndex].length) {
+      kept[duplicateIndex] = text;
+    }
+  });
+  return kept;
+}
+
+/**
+ * Whether two findings point at the same code: the same file with overlapping lines, or no location at all.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSameLocation(a, b) {
+  if (!a.filePath || !b.filePath) return !a.filePath && !b.filePath;
+  if (a.filePath !== b.filePath) return false;
+  if (!Number.isInteger(a.startLine) || !Number.isInteger(b.startLine)) return true;
+  const aEnd = Number.isInteger(a.endLine) ? a.endLine : a.startLine;
+  const bEnd = Number.isInteger(b.endLine) ? b.endLine : b.startLine;
+  return a.startLine <= bEnd && b.startLine <= aEnd;
+}
+
+/**
+ * Drop findings objects that repeat an earlier one (across parts): a similar title at the same location.
+ * @param {Object[]} issues
+ * @returns {Object[]}
+ */
+function dedupeIssues(issues) {
+  const kept = [];
+  issues.forEach((issue) => {
+    if (!issue || typeof issue !== 'object') return;
+    const title = String(issue.title || '');
+    const isDuplicate = kept.some((existing) => (
+      isSameLocation(existing, issue) && titleSimilarity(String(existing.title || ''), title) >= DUPLICATE_THRESHOLD
+    ));
+    if (!isDuplicate) kept.push(issue);
+  });
+  return kept;
+}
+
+/**
+ * Merge the reviews of the parts of one patch (both layouts).
+ * Metrics are averaged weighted by part size; the summaries are joined until the final pass replaces them.
+ * @param {Array<{ review: Object, weight: number }>} partials
+ * @returns {Object}
+ */
+export function mergeChunkReviews(partials) {
+  const totalWeight = partials.reduce((total, { weight }) => total + (weight > 0 ? weight : 1), 0);
+  const merged = {};
+
+  TEXT_FIELDS.forEach((field) => {
+    merged[field] = dedupeFindings(partials.flatMap(({ review }) => (Array.isArray(review[field]) ? review[field] : [])));
+  });
+
+  if (partials.some(({ review }) => ISSUE_FIELDS.some((field) => Array.isArray(review[field])))) {
+    ISSUE_FIELDS.forEach((field) => {
+      merged[field] = dedupeIssues(partials.flatMap(({ review }) => (Array.isArray(review[field]) ? review[field] : [])));
+    });
+  }
+
+  merged.metrics = {};
+  METRIC_FIELDS.forEach((field) => {
+    const weighted = partials.reduce((total, { review, weight }) => {
+      const value = Number(review.metrics?.[field]);
+      return Number.isFinite(value) ? total + value * (weight > 0 ? weight : 1) : total;
+    }, 0);
+    const scoredWeight = partials.reduce((total, { review, weight }) => (
+      Number.isFinite(Number(review.metrics?.[field])) ? total + (weight > 0 ? weight : 1) : total
+    ), 0);
+    merged.metrics[field] = scoredWeight > 0 ? Math.round(weighted / scoredWeight) : 75;
+  });
+
+  merged.summary = partials.length === 1
+    ? partials[0].review.summary
+    : partials.map(({ review }, index) => `Part ${index + 1}: ${review.summary || ''}`.trim()).join('\n\n');
+  merged.suggestedQuestions = dedupeFindings(partials.flatMap(({ review }) => review.suggestedQuestions || [])).slice(0, 3);
+
+  dbgLog('Merged chunk reviews:', { parts: partials.length, totalWeight, suggestions: merged.suggestions.length });
+  return merged;
+}
+
+/**
+ * Prompt for the final pass that turns the part summaries into one summary of the whole change.
+ * @param {Object} merged - mergeChunkReviews() result
+ * @param {number} partCount
+ * @param {string} language
+ * @returns {string}
+ */
+export function buildChunkSummaryPrompt(merged, partCount, language) {
+  const findings = [...merged.securityIssues, ...merged.suggestions].slice(0, 30).map((item) => `- ${item}`).join('\n');
+  return `You are an expert code reviewer. A large patch was reviewed in ${partCount} parts. Below are the summaries of each part and the combined findings.
+
+Write, in ${language}:
+1. Summary: one summary of the whole change, 1 up to 7 numbered bullet points with an extra line separator between each point, covering every part.
+2. Suggested Follow-up Questions: exactly 3 relevant, insightful follow-up questions a developer might ask about the review feedback.
+
+Respond ONLY with valid JSON with this structure:
+{
+  "summary": "Summary of the whole change",
+  "suggestedQuestions": ["Question 1?", "Question 2?", "Question 3?"]
+}
+
+Part summaries:
+${merged.summary}
+
+Combined findings:
+${findings || '- none'}`;
+}
+
+/**
+ * Review a patch part by part and merge the results.
+ * Parts are reviewed one after the other (a local model serves one request at a time); a failed part
+ * is skipped, and a failed summarization pass keeps the joined part summaries. When every part fails,
+ * the first error is thrown; once the signal is aborted, the abort error is thrown right away.
+ * @param {Object} params
+ * @param {string[]} params.chunks - splitPatchIntoChunks() result
+ * @param {string} params.language
+ * @param {(chunk: string, index: number, total: number) => Promise<Object>} params.reviewChunk - Normalized review of one part
+ * @param {(prompt: string) => Promise<{ summary?: string, suggestedQuestions?: string[] }>} params.summarize
+ * @param {AbortSignal|null} [params.signal] - Cancels the review
+ * @returns {Promise<{ review: Object, chunkCount: number, failedChunkCount: number }>}
+ */
+export async function runChunkedReview({ chunks, language, reviewChunk, summarize, signal = null }) {
+  const partials = [];
+  let failedChunkCount = 0;
+  let firstError = null;
+
+  for (let index = 0; index < chunks.length; index++) {
+    try {
+      const review = await reviewChunk(chunks[index], index, chunks.length);
+      partials.push({ review, weight: chunks[index].length });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      failedChunkCount++;
+      firstError = firstError || error;
+      dbgWarn(`Review of part ${index + 1}/${chunks.length} failed:`, error);
+    }
+  }
+  // Nothing to merge: surface the provider error (connection, auth, model) as for a single request
+  if (partials.length === 0) {
+    throw firstError;
+  }
+
+  const review = mergeChunkReviews(partials);
+  if (partials.length > 1) {
+    try {
+      const final = await summarize(buildChunkSummaryPrompt(review, partials.length, language));
+      if (final?.summary) review.summary = final.summary;
+      if (Array.isArray(final?.suggestedQuestions) && final.suggestedQuestions.length > 0) {
+        review.suggestedQuestions = final.suggestedQuestions.slice(0, 3);
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      dbgWarn('Final summarization pass failed, keeping the part summaries:', error);
+    }
+  }
+  // The severity layout shows the summary as the PR description
+  if (ISSUE_FIELDS.some((field) => Array.isArray(review[field]))) {
+    review.prDescription = review.summary;
+  }
+
+  return { review, chunkCount: chunks.length, failedChunkCount };
+}
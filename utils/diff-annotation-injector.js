@@ -0,0 +1,459 @@
+// diff-annotation-injector.js
+// Inline annotations for the diff views of GitHub (Files changed), Azure DevOps (PR Files tab) and
+// Bitbucket Cloud / Data Center. GitLab keeps its own gutter markers (gitlab-suggestion-injector.js).
+//
+// A platform adapter finds the file containers and the new-side line rows of the diff; each located
+// severity issue and code suggestion of the review is rendered as a collapsible row below the line it
+// is anchored to. A MutationObserver puts annotations back when the platform re-renders rows (virtual
+// scrolling, expanded files) and drops them all when SPA navigation leaves the pull request.
+
+import {
+  buildPublishableComments,
+  anchorCommentsToPatch,
+  normalizeCommentPath
+} from '../components/utils/review-comments.js';
+
+// Debug toggle
+const DEBUG = false;
+function dbgLog(...args) { if (DEBUG) console.log('[DiffAnnotationInjector]', ...args); }
+function dbgWarn(...args) { if (DEBUG) console.warn('[DiffAnnotationInjector]', ...args); }
+
+/** Platforms with a diff view adapter */
+export const DIFF_ANNOTATION_PLATFORMS = ['github', 'azure-devops', 'bitbucket'];
+
+const HOLDER_CLASS = 'thinkreview-diff-annotation-holder';
+const STYLES_ID = 'thinkreview-diff-annotation-styles';
+const REINJECT_DELAY_MS = 250;
+
+const SEVERITY_LABELS = {
+  critical: 'Critical',
+  high: 'High',
+  low: 'Low'
+};
+
+/** Path of the pull request a URL belongs to; annotations are dropped when it changes */
+const PULL_REQUEST_PATH_REGEX = /^(.*?\/(?:pull|pullrequest|pull-requests)\/\d+)/;
+
+/**
+ * Per-platform knowledge of the diff DOM.
+ * - fileSelectors: one element per changed file
+ * - getFilePath(container): repo-relative path shown for that file
+ * - lineCellSelectors(line): cells holding the new-side number of `line`
+ * - lineNumberSelector / rowSelector: fallback that matches the number as text inside a row
+ */
+const DIFF_VIEW_ADAPTERS = {
+  github: {
+    isDiffView: (location) => /\/pull\/\d+\/(files|changes)/.test(location.pathname),
+    fileSelectors: ['div.file[data-tagsearch-path]', 'div.file', 'div[data-file-path]', 'copilot-diff-entry[data-file-path]'],
+    getFilePath: (container) => readPathAttribute(container, ['data-tagsearch-path', 'data-file-path', 'data-path'])
+      || readPathAttribute(container.querySelector('.file-header[data-path], [data-path]'), ['data-path'])
+      || container.querySelector('.file-info a[title]')?.getAttribute('title')
+      || null,
+    // Classic view: the new-side cell id ends with R<line>; React view marks the side explicitly
+    lineCellSelectors: (line) => [
+      `td.blob-num[id$="R${line}"]`,
+      `td[data-diff-side="right"][data-line-number="${line}"]`,
+      `td.new-diff-line-number[data-line-number="${line}"]`
+    ],
+    lineNumberSelector: null,
+    rowSelector: 'tr'
+  },
+  'azure-devops': {
+    isDiffView: (location) => /\/pullrequest\/\d+/.test(location.pathname) && /[?&]_a=files/.test(location.search),
+    fileSelectors: ['.repos-change-summary-file', '.repos-summary-item', '.repos-diff-viewer', '.repos-diff-contents'],
+    getFilePath: (container) => readPathAttribute(container, ['data-path'])
+      || container.querySelector('.repos-summary-header [title], .repos-change-summary-file-header [title]')?.getAttribute('title')
+      || container.querySelector('.repos-summary-header .secondary-text, .repos-change-summary-file-path')?.textContent
+      // Single-file view: the selected file is only named in the URL
+      || new URLSearchParams(window.location.search).get('path'),
+    lineCellSelectors: (line) => [`[data-line-number="${line}"].repos-line-number`],
+    // Unified rows show the old then the new number; side-by-side rows end with the right side
+    lineNumberSelector: '.repos-line-number',
+    rowSelector: '.repos-diff-contents-row, tr'
+  },
+  bitbucket: {
+    isDiffView: (location) => /\/pull-requests\/\d+/.test(location.pathname),
+    fileSelectors: [
+      'article[data-qa="pr-diff-file-styles"]',
+      'section.bb-udiff',
+      '.diff-container[data-path]',
+      '.file-content[data-path]',
+      '.diff-content-container'
+    ],
+    getFilePath: (container) => readPathAttribute(container, ['data-path', 'data-filename', 'data-file-path'])
+      || container.querySelector('[data-qa="bk-filepath"], .filename, .breadcrumbs')?.textContent
+      || null,
+    // Cloud links the "to" number in data attributes; Data Center renders it as text
+    lineCellSelectors: (line) => [
+      `[data-tnum="${line}"]`,
+      `[data-line-to="${line}"]`,
+      `[data-qa="line-number-to"][data-line-number="${line}"]`
+    ],
+    lineNumberSelector: '.line-number-to, [data-qa="line-number-to"]',
+    rowSelector: 'tr, [data-qa="code-line"], .udiff-line, .diff-line, .line'
+  }
+};
+
+// Active injection, kept for re-injection after the platform re-renders the diff
+let activeAdapter = null;
+let activeAnnotations = [];
+let activeOptions = {};
+let activePullRequestPath = null;
+let diffObserver = null;
+let reinjectTimeoutId = null;
+const expandedAnnotationIds = new Set();
+
+/**
+ * @param {Element|null} element
+ * @param {string[]} attributes
+ * @returns {string|null}
+ */
+function readPathAttribute(element, attributes) {
+  if (!element) return null;
+  for (const attribute of attributes) {
+    const value = element.getAttribute(attribute);
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * Compare the path a diff view shows for a file with a review path. Views may prefix the path with
+ * a slash or shorten it from the left ("…/src/app.js"), so a trailing match on whole segments counts.
+ * @param {string|null} displayedPath
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function diffPathsMatch(displayedPath, filePath) {
+  const shown = normalizeCommentPath(String(displayedPath || '').replace(/^(?:…|\.\.\.)\/?/, '').split(/\s+→\s+/).pop());
+  const wanted = normalizeCommentPath(filePath);
+  if (!shown || !wanted) return false;
+  return shown === wanted || wanted.endsWith(`/${shown}`) || shown.endsWith(`/${wanted}`);
+}
+
+/**
+ * Located findings of a review that fall on a line of the diff, in panel order.
+ * Items outside the diff are left to the review panel (and Publish to PR's general comments).
+ * @param {Object} review - Review object as rendered by the integrated panel
+ * @param {string} patchContent - Patch the review was generated from
+ * @returns {Array<{ id: string, kind: 'issue'|'suggestion', severity: string|null, title: string, description: string, suggestedCode: string, filePath: string, startLine: number, endLine: number, line: number }>}
+ */
+export function buildDiffAnnotations(review, patchContent) {
+  return anchorCommentsToPatch(buildPublishableComments(review), patchContent || '')
+    .filter((comment) => comment.anchor)
+    .map((comment) => ({
+      id: comment.id,
+      kind: comment.kind,
+      severity: comment.severity,
+      title: comment.title,
+      description: comment.description || '',
+      suggestedCode: comment.suggestedCode || '',
+      filePath: comment.filePath,
+      startLine: comment.startLine,
+      endLine: comment.endLine,
+      line: comment.anchor.newLine
+    }));
+}
+
+/** Load the annotation stylesheet once per page */
+function ensureDiffAnnotationStylesLoaded() {
+  if (document.getElementById(STYLES_ID)) return;
+  const link = document.createElement('link');
+  link.id = STYLES_ID;
+  link.rel = 'stylesheet';
+  link.href = chrome.runtime.getURL('utils/diff-annotations.css');
+  document.head.appendChild(link);
+}
+
+/**
+ * @param {Object} adapter
+ * @returns {Element[]}
+ */
+function getFileContainers(adapter) {
+  for (const selector of adapter.fileSelectors) {
+    const containers = Array.from(document.querySelectorAll(selector));
+    if (containers.length > 0) return containers;
+  }
+  return [];
+}
+
+/**
+ * Find the row showing a new-side line inside a file container.
+ * @param {Object} adapter
+ * @param {Element} container
+ * @param {number} line
+ * @returns {Element|null}
+ */
+function findLineRow(adapter, container, line) {
+  for (const selector of adapter.lineCellSelectors(line)) {
+    const cell = container.querySelector(selector);
+    if (cell) return cell.closest(adapter.rowSelector) || cell;
+  }
+  if (!adapter.lineNumberSelector) return null;
+
+  const wanted = String(line);
+  for (const row of container.querySelectorAll(adapter.rowSelector)) {
+    const numbers = row.querySelectorAll(adapter.lineNumberSelector);
+    const newSide = numbers[numbers.length - 1];
+    if (newSide && newSide.textContent.trim() === wanted) return row;
+  }
+  return null;
+}
+
+/**
+ * @param {Object} annotation
+ * @returns {string}
+ */
+function formatLineRange(annotation) {
+  return annotation.endLine !== annotation.startLine
+    ? `Lines ${annotation.startLine}–${annotation.endLine}`
+    : `Line ${annotation.startLine}`;
+}
+
+/**
+ * Collapsible annotation: header with severity and title, body with the description,
+ * the suggested code and a link back to the item in the review panel.
+ * @param {Object} annotation - buildDiffAnnotations() item
+ * @returns {HTMLElement}
+ */
+function createAnnotationElement(annotation) {
+  const tone = annotation.kind === 'suggestion' ? 'suggestion' : annotation.severity;
+  const expanded = expandedAnnotationIds.has(annotation.id);
+
+  const root = document.createElement('div');
+  root.className = `thinkreview-diff-annotation thinkreview-diff-annotation--${tone}`;
+  root.classList.toggle('is-expanded', expanded);
+
+  const header = document.createElement('button');
+  header.type = 'button';
+  header.className = 'thinkreview-diff-annotation-header';
+  header.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+
+  const logo = document.createElement('img');
+  logo.src = chrome.runtime.getURL('images/icon16.png');
+  logo.alt = 'ThinkReview';
+  logo.className = 'thinkreview-diff-annotation-logo';
+
+  const badge = document.createElement('span');
+  badge.className = 'thinkreview-diff-annotation-badge';
+  badge.textContent = annotation.kind === 'suggestion' ? 'Suggestion' : (SEVERITY_LABELS[annotation.severity] || 'Issue');
+
+  const title = document.createElement('span');
+  title.className = 'thinkreview-diff-annotation-title';
+  title.textContent = annotation.title;
+
+  const chevron = document.createElement('span');
+  chevron.className = 'thinkreview-diff-annotation-chevron';
+  chevron.setAttribute('aria-hidden', 'true');
+  chevron.textContent = '▸';
+
+  header.append(logo, badge, title, chevron);
+
+  const body = document.createElement('div');
+  body.className = 'thinkreview-diff-annotation-body';
+
+  if (annotation.description && (annotation.kind === 'issue' || annotation.description !== annotation.title)) {
+    const description = document.createElement('p');
+    description.className = 'thinkreview-diff-annotation-description';
+    description.textContent = annotation.description;
+    body.appendChild(description);
+  }
+
+  if (annotation.suggestedCode) {
+    const pre = document.createElement('pre');
+    pre.className = 'thinkreview-diff-annotation-code';
+    const code = document.createElement('code');
+    code.textContent = annotation.suggestedCode;
+    pre.appendChild(code);
+    body.appendChild(pre);
+  }
+
+  const footer = document.createElement('div');
+  footer.className = 'thinkreview-diff-annotation-footer';
+  const range = document.createElement('span');
+  range.textContent = formatLineRange(annotation);
+  footer.appendChild(range);
+
+  if (typeof activeOptions.onShowInPanel === 'function') {
+    const showInPanel = document.createElement('button');
+    showInPanel.type = 'button';
+    showInPanel.className = 'thinkreview-diff-annotation-link';
+    showInPanel.textContent = 'Show in review panel';
+    showInPanel.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      activeOptions.onShowInPanel(annotation);
+    });
+    footer.appendChild(showInPanel);
+  }
+  body.appendChild(footer);
+
+  header.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const isExpanded = !root.classList.contains('is-expanded');
+    root.classList.toggle('is-expanded', isExpanded);
+    header.setAttribute('aria-expanded', isExpanded ? 'true' : 'false');
+    if (isExpanded) expandedAnnotationIds.add(annotation.id);
+    else expandedAnnotationIds.delete(annotation.id);
+  });
+
+  root.append(header, body);
+  return root;
+}
+
+/**
+ * Insert an annotation below a diff row, after the annotations already attached to it.
+ * Table rows get a full-width row of their own; other layouts a sibling block.
+ * @param {Element} row
+ * @param {Object} annotation
+ */
+function placeAnnotation(row, annotation) {
+  let holder;
+  if (row.tagName === 'TR') {
+    holder = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = Array.from(row.children).reduce((sum, child) => sum + (child.colSpan || 1), 0) || 1;
+    cell.appendChild(createAnnotationElement(annotation));
+    holder.appendChild(cell);
+  } else {
+    holder = document.createElement('div');
+    holder.appendChild(createAnnotationElement(annotation));
+  }
+  holder.className = HOLDER_CLASS;
+  holder.dataset.thinkreviewAnnotation = annotation.id;
+
+  let after = row;
+  while (after.nextElementSibling?.classList.contains(HOLDER_CLASS)) {
+    after = after.nextElementSibling;
+  }
+  after.after(holder);
+}
+
+/**
+ * Inject every active annotation that is not on the page yet.
+ * @returns {{ injected: number, pending: number }}
+ */
+function injectPendingAnnotations() {
+  if (!activeAdapter || !activeAdapter.isDiffView(window.location)) {
+    return { injected: 0, pending: activeAnnotations.length };
+  }
+
+  const present = new Set(
+    Array.from(document.querySelectorAll(`.${HOLDER_CLASS}`)).map((holder) => holder.dataset.thinkreviewAnnotation)
+  );
+  const missing = activeAnnotations.filter((annotation) => !present.has(annotation.id));
+  if (missing.length === 0) return { injected: 0, pending: 0 };
+
+  const containers = getFileContainers(activeAdapter).map((container) => ({
+    container,
+    path: activeAdapter.getFilePath(container)
+  }));
+  if (containers.length === 0) dbgWarn('No file containers found in the diff view yet');
+
+  let injected = 0;
+  for (const annotation of missing) {
+    const file = containers.find(({ path }) => diffPathsMatch(path, annotation.filePath));
+    const row = file ? findLineRow(activeAdapter, file.container, annotation.line) : null;
+    if (!row) continue;
+    placeAnnotation(row, annotation);
+    injected++;
+  }
+
+  dbgLog(`Injected ${injected} of ${missing.length} missing annotations`);
+  return { injected, pending: missing.length - injected };
+}
+
+/**
+ * @param {string} href
+ * @returns {string|null}
+ */
+function getPullRequestPath(href) {
+  try {
+    return new URL(href).pathname.match(PULL_REQUEST_PATH_REGEX)?.[1] || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** React to DOM changes: drop everything after leaving the PR, otherwise re-inject what went missing */
+function handleDiffMutations() {
+  if (getPullRequestPath(window.location.href) !== activePullRequestPath) {
+    dbgLog('Navigated away from the pull request, removing annotations');
+    removeDiffAnnotations();
+    return;
+  }
+  if (reinjectTimeoutId) clearTimeout(reinjectTimeoutId);
+  reinjectTimeoutId = setTimeout(() => {
+    reinjectTimeoutId = null;
+    injectPendingAnnotations();
+  }, REINJECT_DELAY_MS);
+}
+
+/** Watch the page for re-rendered rows, newly loaded files and SPA navigation */
+function setupDiffObserver() {
+  if (diffObserver) diffObserver.disconnect();
+  diffObserver = new MutationObserver((mutations) => {
+    // Ignore our own insertions and removals
+    const isOwnMutation = (mutation) => [...mutation.addedNodes, ...mutation.removedNodes]
+      .every((node) => node.nodeType === 1 && node.classList.contains(HOLDER_CLASS));
+    if (!mutations.every(isOwnMutation)) handleDiffMutations();
+  });
+  diffObserver.observe(document.body, { childList: true, subtree: true });
+  window.addEventListener('popstate', handleDiffMutations);
+}
+
+/**
+ * Show the located findings of a review in the platform's diff view.
+ * Replaces the annotations of a previous review.
+ * @param {string} platform - 'github' | 'azure-devops' | 'bitbucket'
+ * @param {Array<Object>} annotations - buildDiffAnnotations() result
+ * @param {Object} [options]
+ * @param {(annotation: Object) => void} [options.onShowInPanel] - Reveal the item in the review panel
+ * @returns {{ injected: number, pending: number }} Annotations whose line is not rendered yet stay pending
+ */
+export function injectDiffAnnotations(platform, annotations, options = {}) {
+  removeDiffAnnotations();
+  expandedAnnotationIds.clear();
+  const adapter = DIFF_VIEW_ADAPTERS[platform];
+  if (!adapter || !Array.isArray(annotations) || annotations.length === 0) {
+    return { injected: 0, pending: 0 };
+  }
+
+  ensureDiffAnnotationStylesLoaded();
+  activeAdapter = adapter;
+  activeAnnotations = annotations;
+  activeOptions = options;
+  activePullRequestPath = getPullRequestPath(window.location.href);
+
+  const result = injectPendingAnnotations();
+  setupDiffObserver();
+  return result;
+}
+
+/** Remove all annotations and stop watching the page */
+export function removeDiffAnnotations() {
+  if (diffObserver) {
+    diffObserver.disconnect();
+    diffObserver = null;
+    window.removeEventListener('popstate', handleDiffMutations);
+  }
+  if (reinjectTimeoutId) {
+    clearTimeout(reinjectTimeoutId);
+    reinjectTimeoutId = null;
+  }
+  document.querySelectorAll(`.${HOLDER_CLASS}`).forEach((holder) => holder.remove());
+  activeAdapter = null;
+  activeAnnotations = [];
+  activeOptions = {};
+  activePullRequestPath = null;
+}
+
+// Memory management: stop observing on window unload
+window.addEventListener('unload', () => {
+  if (diffObserver) {
+    diffObserver.disconnect();
+    diffObserver = null;
+  }
+  dbgLog('Disconnected diff annotation observer on window unload');
+});
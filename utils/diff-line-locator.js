@@ -0,0 +1,197 @@
+// diff-line-locator.js
+// Maps new-file line numbers to their position in a unified diff so inline comments
+// can be anchored on lines the platform actually shows in the PR/MR diff view.
+
+import { parsePatchFiles } from './patch-filter.js';
+
+const HUNK_HEADER_REGEX = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+/**
+ * Normalize a diff or review file path for lookups (drops leading slashes and "./").
+ * @param {string} filePath
+ * @returns {string}
+ */
+function normalizePath(filePath) {
+  return String(filePath || '').trim().replace(/^\.\//, '').replace(/^\/+/, '');
+}
+
+/**
+ * Path of a patch file before the change: the source of a rename, otherwise the file's own path.
+ * @param {{ filename: string, content: string }} file - parsePatchFiles() entry
+ * @returns {string}
+ */
+function getOldPath(file) {
+  const lines = file.content.split('\n');
+  const firstHunk = lines.findIndex((line) => HUNK_HEADER_REGEX.test(line));
+  // Only the file header names paths; removed lines in the hunks can look like "--- a/…" too
+  if (firstHunk !== -1) lines.length = firstHunk;
+  const minusLine = lines.find((line) => line.startsWith('--- a/'));
+  if (minusLine) return normalizePath(minusLine.slice('--- a/'.length));
+  const renameLine = lines.find((line) => line.startsWith('rename from '));
+  if (renameLine) return normalizePath(renameLine.slice('rename from '.length));
+  if (lines.some((line) => line === '--- /dev/null')) return normalizePath(file.filename);
+  const pathMatch = lines[0].match(/diff --git a\/(.+?) b\/(.+)/);
+  return normalizePath(pathMatch ? pathMatch[1] : file.filename);
+}
+
+/**
+ * Build an index of every new-side line that appears in the patch.
+ * Added lines and context lines are indexed; removed lines have no new-side number.
+ *
+ * @param {string} patchContent - Unified diff (as produced by the platform fetchers)
+ * @returns {Map<string, { oldPath: string, lines: Map<number, { type: 'added'|'context', oldLine: number|null }> }>}
+ *   Keyed by the new path
+ */
+export function buildDiffLineIndex(patchContent) {
+  const index = new Map();
+
+  for (const file of parsePatchFiles(patchContent)) {
+    const lines = new Map();
+    let oldLine = 0;
+    let newLine = 0;
+    let inHunk = false;
+
+    for (const line of file.content.split('\n')) {
+      const header = line.match(HUNK_HEADER_REGEX);
+      if (header) {
+        oldLine = parseInt(header[1], 10);
+        newLine = parseInt(header[2], 10);
+        inHunk = true;
+        continue;
+      }
+      if (!inHunk || line.startsWith('\\')) continue;
+
+      if (line.startsWith('+')) {
+        lines.set(newLine, { type: 'added', oldLine: null });
+        newLine++;
+      } else if (line.startsWith('-')) {
+        oldLine++;
+      } else if (line.startsWith(' ') || line === '') {
+        lines.set(newLine, { type: 'context', oldLine });
+        oldLine++;
+        newLine++;
+      } else {
+        // Anything else (e.g. the next file header in a malformed patch) ends the hunk
+        inHunk = false;
+      }
+    }
+
+    index.set(normalizePath(file.filename), { oldPath: getOldPath(file), lines });
+  }
+
+  return index;
+}
+
+/**
+ * Look up a new-side line in the diff index.
+ * @param {Map} index - Result of buildDiffLineIndex()
+ * @param {string} filePath
+ * @param {number} line
+ * @returns {{ type: 'added'|'context', newLine: number, oldLine: number|null } | null}
+ */
+export function locateDiffLine(index, filePath, line) {
+  const entry = index?.get(normalizePath(filePath))?.lines.get(line);
+  if (!entry) return null;
+  return { type: entry.type, newLine: line, oldLine: entry.oldLine };
+}
+
+/**
+ * Path of a file in the diff before the change (differs from filePath for renamed files).
+ * @param {Map} index - Result of buildDiffLineIndex()
+ * @param {string} filePath - Path on the new side
+ * @returns {string|null} null when the file is not part of the diff
+ */
+export function getDiffOldPath(index, filePath) {
+  return index?.get(normalizePath(filePath))?.oldPath ?? null;
+}
+
+const HUNK_RANGE_REGEX = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Build a per-file line mapper from a patch so old-side line numbers can be carried
+ * to the new side (used to follow earlier findings across the commits in an incremental diff).
+ * Keyed by the old path; renamed files keep their new path in `newPath`.
+ *
+ * @param {string} patchContent - Unified diff
+ * @returns {Map<string, { newPath: string, deleted: boolean, hunks: Array<{ oldStart: number, oldEnd: number, newEnd: number, removed: Set<number>, context: Map<number, number> }> }>}
+ */
+export function buildDiffLineMapper(patchContent) {
+  const mapper = new Map();
+
+  for (const file of parsePatchFiles(patchContent)) {
+    const lines = file.content.split('\n');
+    const oldPath = getOldPath(file);
+    const entry = {
+      newPath: normalizePath(file.filename),
+      deleted: lines.some((line) => line === '+++ /dev/null' || line.startsWith('deleted file mode')),
+      hunks: []
+    };
+
+    let hunk = null;
+    let oldLine = 0;
+    let newLine = 0;
+    const closeHunk = () => {
+      if (hunk) {
+        hunk.oldEnd = oldLine;
+        hunk.newEnd = newLine;
+        entry.hunks.push(hunk);
+        hunk = null;
+      }
+    };
+
+    for (const line of lines) {
+      const header = line.match(HUNK_RANGE_REGEX);
+      if (header) {
+        closeHunk();
+        // A zero-length side ("-5,0") names the line *before* the hunk
+        oldLine = parseInt(header[1], 10) + (header[2] === '0' ? 1 : 0);
+        newLine = parseInt(header[3], 10) + (header[4] === '0' ? 1 : 0);
+        hunk = { oldStart: oldLine, oldEnd: oldLine, newEnd: newLine, removed: new Set(), context: new Map() };
+        continue;
+      }
+      if (!hunk || line.startsWith('\\')) continue;
+
+      if (line.startsWith('+')) {
+        newLine++;
+      } else if (line.startsWith('-')) {
+        hunk.removed.add(oldLine);
+        oldLine++;
+      } else if (line.startsWith(' ') || line === '') {
+        hunk.context.set(oldLine, newLine);
+        oldLine++;
+        newLine++;
+      } else {
+        closeHunk();
+      }
+    }
+    closeHunk();
+
+    mapper.set(oldPath, entry);
+  }
+
+  return mapper;
+}
+
+/**
+ * Carry an old-side line through the patch.
+ * @param {Map} mapper - Result of buildDiffLineMapper()
+ * @param {string} filePath - Path on the old side
+ * @param {number} line
+ * @returns {number|null} New-side line number, or null when the line was removed/modified (or the file deleted)
+ */
+export function mapLineThroughDiff(mapper, filePath, line) {
+  const entry = mapper?.get(normalizePath(filePath));
+  if (!entry) return line;
+  if (entry.deleted) return null;
+
+  let offset = 0;
+  for (const hunk of entry.hunks) {
+    if (line < hunk.oldStart) break;
+    if (line < hunk.oldEnd) {
+      if (hunk.removed.has(line)) return null;
+      return hunk.context.get(line) ?? null;
+    }
+    offset = hunk.newEnd - hunk.oldEnd;
+  }
+  return line + offset;
+}
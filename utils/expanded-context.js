@@ -0,0 +1,148 @@
+// expanded-context.js
+// Expanded context: the full contents (after the change) of the files touched by a patch, and
+// optionally of the files they import, sent with the review within a token budget so the model sees
+// the code around the hunks. Files are read per platform by services/context-files-fetcher.js.
+// Settings are stored under expandedContextSettings: { enabled, tokenBudget, includeImports }.
+import { parsePatchFiles } from './patch-filter.js';
+
+export const DEFAULT_EXPANDED_CONTEXT_SETTINGS = Object.freeze({
+  enabled: false,
+  tokenBudget: 8000,
+  includeImports: false
+});
+
+export const MIN_CONTEXT_TOKEN_BUDGET = 1000;
+export const MAX_CONTEXT_TOKEN_BUDGET = 200000;
+
+/** Rough size of a token in characters, used to fit files in the budget */
+export const CONTEXT_CHARS_PER_TOKEN = 4;
+
+/** Most changed files read, and most imports looked up, per review */
+export const MAX_CHANGED_CONTEXT_FILES = 40;
+export const MAX_IMPORTED_CONTEXT_FILES = 20;
+
+/** Extensions tried for extensionless relative imports, by language of the importing file */
+const IMPORT_EXTENSIONS = {
+  ts: ['.ts', '.tsx', '.d.ts', '/index.ts', '/index.tsx', '.js'],
+  js: ['.js', '.jsx', '.mjs', '/index.js', '.ts']
+};
+const SCRIPT_FILE_PATTERN = /\.(m?[jt]sx?|cjs|vue|svelte)$/;
+const RELATIVE_IMPORT_PATTERN = /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)['"](\.{1,2}\/[^'"\n]+)['"]/g;
+
+/**
+ * Fill in defaults and clamp the budget.
+ * @param {Object|null|undefined} settings
+ * @returns {typeof DEFAULT_EXPANDED_CONTEXT_SETTINGS}
+ */
+export function normalizeExpandedContextSettings(settings) {
+  const raw = settings && typeof settings === 'object' ? settings : {};
+  const budget = Math.floor(Number(raw.tokenBudget));
+  return {
+    enabled: raw.enabled === true,
+    tokenBudget: Number.isFinite(budget) && budget > 0
+      ? Math.min(MAX_CONTEXT_TOKEN_BUDGET, Math.max(MIN_CONTEXT_TOKEN_BUDGET, budget))
+      : DEFAULT_EXPANDED_CONTEXT_SETTINGS.tokenBudget,
+    includeImports: raw.includeImports === true
+  };
+}
+
+/**
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateContextTokens(text) {
+  return Math.ceil(String(text || '').length / CONTEXT_CHARS_PER_TOKEN);
+}
+
+/**
+ * Files of a patch that still exist after the change, smallest diff first (small changes in small
+ * files benefit the most from their surroundings). Deleted, media and binary files are left out.
+ * @param {string} patchContent
+ * @returns {string[]}
+ */
+export function listChangedFilePaths(patchContent) {
+  return parsePatchFiles(patchContent)
+    .filter((file) => !file.isFiltered)
+    .filter((file) => !/^deleted file mode/m.test(file.content) && !/^\+\+\+ \/dev\/null/m.test(file.content))
+    .filter((file) => !/^Binary files /m.test(file.content))
+    .sort((a, b) => a.content.length - b.content.length)
+    .map((file) => file.filename);
+}
+
+function resolveRelativePath(fromFile, specifier) {
+  const parts = fromFile.split('/').slice(0, -1);
+  for (const segment of specifier.split('/')) {
+    if (segment === '..') {
+      if (parts.length === 0) return null;
+      parts.pop();
+    } else if (segment !== '.' && segment !== '') {
+      parts.push(segment);
+    }
+  }
+  return parts.join('/');
+}
+
+/**
+ * Repository paths a JavaScript / TypeScript file may import through relative specifiers
+ * ('./util', '../lib/api.js'). Each entry lists the candidate paths of one import, in the order
+ * they are tried (the first that exists is used). Package imports are not followed.
+ * @param {string} filePath - Path of the importing file
+ * @param {string} content - Its contents
+ * @returns {string[][]}
+ */
+export function findRelativeImports(filePath, content) {
+  if (!SCRIPT_FILE_PATTERN.test(filePath)) return [];
+  const extensions = /\.tsx?$/.test(filePath) ? IMPORT_EXTENSIONS.ts : IMPORT_EXTENSIONS.js;
+  const seen = new Set();
+  const imports = [];
+  for (const match of String(content || '').matchAll(RELATIVE_IMPORT_PATTERN)) {
+    const resolved = resolveRelativePath(filePath, match[1].replace(/[?#].*$/, ''));
+    if (!resolved || seen.has(resolved)) continue;
+    seen.add(resolved);
+    const hasExtension = /\.[a-z0-9]+$/i.test(resolved.split('/').pop());
+    imports.push(hasExtension ? [resolved] : extensions.map((extension) => `${resolved}${extension}`));
+  }
+  return imports;
+}
+
+/**
+ * Pick the context files that fit in the budget: changed files first, then imported files, the
+ * smallest first within each group.
+ * @param {Array<{ path: string, content: string, reason: 'changed'|'import' }>} files - Files read from the platform
+ * @param {number} tokenBudget
+ * @returns {{ files: Array<{ path: string, content: string, reason: string, tokens: number }>, skipped: string[], usedTokens: number }}
+ */
+export function selectContextFiles(files, tokenBudget) {
+  const order = { changed: 0, import: 1 };
+  const candidates = (Array.isArray(files) ? files : [])
+    .filter((file) => file?.path && typeof file.content === 'string' && file.content.trim() !== '')
+    .map((file) => ({ ...file, tokens: estimateContextTokens(file.content) }))
+    .sort((a, b) => (order[a.reason] ?? 1) - (order[b.reason] ?? 1) || a.tokens - b.tokens);
+
+  const selected = [];
+  const skipped = [];
+  let usedTokens = 0;
+  candidates.forEach((file) => {
+    if (usedTokens + file.tokens <= tokenBudget) {
+      selected.push(file);
+      usedTokens += file.tokens;
+    } else {
+      skipped.push(file.path);
+    }
+  });
+  return { files: selected, skipped, usedTokens };
+}
+
+/**
+ * Prompt section with the context files, shared by every provider (the cloud receives it as text too).
+ * @param {Array<{ path: string, content: string, reason?: string }>|null} contextFiles
+ * @returns {string} Empty when there are no files
+ */
+export function buildContextFilesPrompt(contextFiles) {
+  const files = (Array.isArray(contextFiles) ? contextFiles : []).filter((file) => file?.path && typeof file.content === 'string');
+  if (files.length === 0) return '';
+  const sections = files.map((file) =>
+    `--- ${file.path}${file.reason === 'import' ? ' (imported by a changed file)' : ''} ---\n${file.content.replace(/\n$/, '')}`
+  );
+  return `Full contents of files related to the patch, after the change. Use them to understand the surrounding code; report findings on the changes in the patch only:\n\n${sections.join('\n\n')}`;
+}
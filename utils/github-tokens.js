@@ -0,0 +1,114 @@
+// github-tokens.js
+// GitHub tokens per host (github.com and GitHub Enterprise Server domains) and the REST API origin
+// of each host, shared by popup and background.
+// Stored under githubTokens: { [host]: token }. The single githubToken saved before tokens were per
+// host is copied to every known GitHub host the first time the tokens are read.
+
+const GITHUB_COM_HOST = 'github.com';
+
+/**
+ * Host key for a GitHub domain as entered in settings ('https://github.acme.com/', 'www.github.com').
+ * @param {string} domain
+ * @returns {string|null}
+ */
+export function getGitHubHostFromDomain(domain) {
+  const trimmed = String(domain || '').trim().toLowerCase();
+  if (!trimmed) return null;
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(trimmed) ? trimmed : `https://${trimmed}`);
+    return url.host === 'www.github.com' ? GITHUB_COM_HOST : url.host;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Resolve the REST API base URL for a GitHub host.
+ * github.com uses api.github.com; GitHub Enterprise Server serves the API under /api/v3.
+ * @param {string} hostname - e.g. 'github.com' or 'github.mycompany.com'
+ * @returns {string}
+ */
+export function getGitHubApiBase(hostname) {
+  const host = String(hostname || 'github.com').toLowerCase();
+  if (host === 'github.com' || host === 'www.github.com') {
+    return 'https://api.github.com';
+  }
+  return `https://${host}/api/v3`;
+}
+
+/**
+ * GraphQL endpoint for a GitHub host (outside /api/v3 on GitHub Enterprise Server).
+ * @param {string} hostname
+ * @returns {string}
+ */
+export function getGitHubGraphqlUrl(hostname) {
+  const apiBase = getGitHubApiBase(hostname);
+  return apiBase.endsWith('/api/v3') ? `${apiBase.slice(0, -'/v3'.length)}/graphql` : `${apiBase}/graphql`;
+}
+
+/**
+ * Host permission pattern needed to call the REST API for a GitHub host.
+ * @param {string} hostname
+ * @returns {string}
+ */
+export function getGitHubApiOriginPattern(hostname) {
+  return `${new URL(getGitHubApiBase(hostname)).origin}/*`;
+}
+
+/**
+ * github.com followed by the GitHub Enterprise Server domains from settings.
+ * @param {string[]|undefined} enterpriseDomains - githubEnterpriseDomains from storage
+ * @returns {string[]}
+ */
+export function listGitHubHosts(enterpriseDomains) {
+  const hosts = [GITHUB_COM_HOST];
+  (Array.isArray(enterpriseDomains) ? enterpriseDomains : []).forEach((domain) => {
+    const host = getGitHubHostFromDomain(domain);
+    if (host && !hosts.includes(host)) hosts.push(host);
+  });
+  return hosts;
+}
+
+/**
+ * @returns {Promise<Object<string, string>>} Saved tokens by host
+ */
+export async function readGitHubTokens() {
+  const { githubTokens, githubToken, githubEnterpriseDomains } = await chrome.storage.local.get(['githubTokens', 'githubToken', 'githubEnterpriseDomains']);
+  const tokens = githubTokens && typeof githubTokens === 'object' ? { ...githubTokens } : {};
+
+  const legacyToken = githubToken ? String(githubToken).trim() : '';
+  if (legacyToken) {
+    // The legacy token was sent to every host: keep it working there until replaced
+    listGitHubHosts(githubEnterpriseDomains).forEach((host) => {
+      if (!tokens[host]) tokens[host] = legacyToken;
+    });
+    await chrome.storage.local.set({ githubTokens: tokens });
+    await chrome.storage.local.remove('githubToken');
+  }
+  return tokens;
+}
+
+/**
+ * @param {string} hostname - Page hostname of the pull request
+ * @returns {Promise<string|null>}
+ */
+export async function getGitHubToken(hostname) {
+  const host = getGitHubHostFromDomain(hostname);
+  if (!host) return null;
+  const token = (await readGitHubTokens())[host];
+  return token ? String(token).trim() || null : null;
+}
+
+/**
+ * @param {string} host
+ * @param {string|null} token - null removes the token
+ */
+export async function setGitHubToken(host, token) {
+  const tokens = await readGitHubTokens();
+  if (token) {
+    tokens[host] = token;
+  } else {
+    delete tokens[host];
+  }
+  await chrome.storage.local.set({ githubTokens: tokens });
+}
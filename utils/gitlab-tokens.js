@@ -0,0 +1,68 @@
+// gitlab-tokens.js
+// Optional GitLab access tokens per instance (gitlab.com and self-managed domains), shared by popup
+// and content script. Stored under gitlabTokens: { [origin]: token }; gitlabApiMode turns on reading
+// merge requests through the REST API (with the session cookie when no token is saved).
+
+const GITLAB_COM_ORIGIN = 'https://gitlab.com';
+
+/**
+ * Origin for a GitLab domain as entered in settings ('gitlab.acme.com', 'http://localhost:8083/').
+ * @param {string} domain
+ * @returns {string|null}
+ */
+export function getGitLabOriginFromDomain(domain) {
+  const trimmed = String(domain || '').trim().toLowerCase();
+  if (!trimmed) return null;
+  try {
+    return new URL(/^https?:\/\//.test(trimmed) ? trimmed : `https://${trimmed}`).origin;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * gitlab.com followed by the self-managed domains from settings.
+ * @param {string[]|undefined} gitlabDomains - gitlabDomains from storage
+ * @returns {string[]} Origins
+ */
+export function listGitLabOrigins(gitlabDomains) {
+  const origins = [GITLAB_COM_ORIGIN];
+  (Array.isArray(gitlabDomains) ? gitlabDomains : []).forEach((domain) => {
+    const origin = getGitLabOriginFromDomain(domain);
+    if (origin && !origins.includes(origin)) origins.push(origin);
+  });
+  return origins;
+}
+
+/**
+ * @returns {Promise<Object<string, string>>} Saved tokens by origin
+ */
+export async function readGitLabTokens() {
+  const { gitlabTokens } = await chrome.storage.local.get(['gitlabTokens']);
+  return gitlabTokens && typeof gitlabTokens === 'object' ? { ...gitlabTokens } : {};
+}
+
+/**
+ * @param {string} origin - Page origin of the merge request
+ * @returns {Promise<string|null>}
+ */
+export async function getGitLabToken(origin) {
+  const key = getGitLabOriginFromDomain(origin);
+  if (!key) return null;
+  const token = (await readGitLabTokens())[key];
+  return token ? String(token).trim() || null : null;
+}
+
+/**
+ * @param {string} origin
+ * @param {string|null} token - null removes the token
+ */
+export async function setGitLabToken(origin, token) {
+  const tokens = await readGitLabTokens();
+  if (token) {
+    tokens[origin] = token;
+  } else {
+    delete tokens[origin];
+  }
+  await chrome.storage.local.set({ gitlabTokens: tokens });
+}
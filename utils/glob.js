@@ -0,0 +1,53 @@
+// glob.js
+// Path globs used by the patch filter settings and the repository review rules file.
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Convert a path glob to a RegExp over repository-relative paths (gitignore-like):
+ * `*` and `?` stay within a directory, `**` crosses directories, `{a,b}` alternates,
+ * a leading `/` anchors at the root, and a pattern without `/` matches at any depth.
+ * A match on a directory also covers everything below it.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let pattern = String(glob || '').trim().replace(/^\.\//, '');
+  const anchored = pattern.startsWith('/');
+  if (anchored) pattern = pattern.slice(1);
+  if (pattern.endsWith('/')) pattern = pattern.slice(0, -1);
+  const anyDepth = !anchored && !pattern.includes('/');
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && pattern.indexOf('}', i) > i) {
+      const end = pattern.indexOf('}', i);
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${anyDepth ? '(?:.*/)?' : ''}${source}(?:/.*)?$`);
+}
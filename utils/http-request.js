@@ -0,0 +1,38 @@
+// http-request.js
+// Shared helpers for the model API clients (services/chat-completions.js, services/anthropic-messages.js).
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 120000;
+
+/**
+ * Abort on the caller's signal (cancel) or after the request timeout, whichever comes first.
+ * (AbortSignal.any is not available in every supported browser.)
+ * @param {AbortSignal|null} signal
+ * @param {number} [timeoutMs]
+ * @returns {AbortSignal}
+ */
+export function withRequestTimeout(signal, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  if (!signal) return timeout;
+
+  const controller = new AbortController();
+  [signal, timeout].forEach((source) => {
+    if (source.aborted) {
+      controller.abort(source.reason);
+    } else {
+      source.addEventListener('abort', () => controller.abort(source.reason), { once: true });
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * Error for a failed HTTP response; the status is kept on `status` so callers can word auth errors.
+ * @param {Response} response
+ * @returns {Promise<Error>}
+ */
+export async function toHttpError(response) {
+  const errorText = await response.text();
+  const error = new Error(`API error (${response.status}): ${errorText}`);
+  error.status = response.status;
+  return error;
+}
@@ -0,0 +1,174 @@
+// incremental-review.js
+// Incremental re-review: remembers the head commit and findings of the last review per MR/PR,
+// and merges the review of the commits pushed since then into the previous findings.
+// Earlier findings whose lines were modified by the new commits and that the new review does not
+// report again are marked resolved; untouched ones are carried over (line numbers shifted) as still present.
+
+import { buildDiffLineMapper, mapLineThroughDiff } from './diff-line-locator.js';
+import { FINDING_LISTS, TEXT_LISTS, isSameFinding } from './review-diff.js';
+
+const STORAGE_KEY = 'incrementalReviewStates';
+const MAX_STORED_REVIEWS = 30;
+
+/**
+ * @param {string} key
+ * @returns {Promise<{ headSha: string, review: Object, reviewFormat: string, language: string, savedAt: number } | null>}
+ */
+export async function loadIncrementalReviewState(key) {
+  if (!key) return null;
+  const result = await chrome.storage.local.get([STORAGE_KEY]);
+  return result[STORAGE_KEY]?.[key] || null;
+}
+
+/**
+ * Store the state for one MR/PR, keeping only the most recently reviewed ones.
+ * @param {string} key
+ * @param {{ headSha: string, review: Object, reviewFormat: string, language: string }} state
+ */
+export async function saveIncrementalReviewState(key, state) {
+  if (!key || !state?.headSha || !state.review) return;
+  const result = await chrome.storage.local.get([STORAGE_KEY]);
+  const states = { ...(result[STORAGE_KEY] || {}), [key]: { ...state, savedAt: Date.now() } };
+  const keys = Object.keys(states).sort((a, b) => (states[b].savedAt || 0) - (states[a].savedAt || 0));
+  keys.slice(MAX_STORED_REVIEWS).forEach((staleKey) => delete states[staleKey]);
+  await chrome.storage.local.set({ [STORAGE_KEY]: states });
+}
+
+/**
+ * Carry a previous finding's line range through the incremental diff.
+ * @param {Object} item
+ * @param {Map} mapper - buildDiffLineMapper() result
+ * @returns {{ item: Object, touched: boolean }}
+ */
+function carryFinding(item, mapper) {
+  if (!item.filePath || typeof item.startLine !== 'number') {
+    return { item, touched: false };
+  }
+  const startLine = item.startLine;
+  const endLine = typeof item.endLine === 'number' && item.endLine >= startLine ? item.endLine : startLine;
+  let mappedStart = null;
+  let mappedEnd = null;
+  for (let line = startLine; line <= endLine; line++) {
+    const mapped = mapLineThroughDiff(mapper, item.filePath, line);
+    if (mapped == null) return { item, touched: true };
+    if (line === startLine) mappedStart = mapped;
+    mappedEnd = mapped;
+  }
+  const carried = { ...item, startLine: mappedStart };
+  if (typeof item.endLine === 'number') carried.endLine = mappedEnd;
+  return { item: carried, touched: false };
+}
+
+/**
+ * Strip status fields left over from an earlier incremental merge.
+ * @param {Object} item
+ * @returns {Object}
+ */
+function withoutStatus(item) {
+  const { incrementalStatus: _status, incrementalLevel: _level, ...rest } = item;
+  return rest;
+}
+
+/**
+ * Merge the review of an incremental diff into the previous review.
+ *
+ * @param {Object} previousReview - Review stored for the last reviewed head commit
+ * @param {Object} deltaReview - Review of the commits pushed since then
+ * @param {string} deltaPatch - The incremental diff that deltaReview was produced from
+ * @param {{ baseSha: string, headSha: string }} commits
+ * @returns {Object} Merged review: findings carry `incrementalStatus` ('new' | 'still-present'),
+ *   resolved ones move to `resolvedFindings` (with their list level as `incrementalLevel`), and `incremental` holds the counts
+ */
+export function mergeIncrementalReview(previousReview, deltaReview, deltaPatch, { baseSha, headSha }) {
+  const previous = previousReview || {};
+  const delta = deltaReview || {};
+  const mapper = buildDiffLineMapper(deltaPatch);
+
+  const deltaFindings = [];
+  FINDING_LISTS.forEach(([severity, field]) => {
+    (Array.isArray(delta[field]) ? delta[field] : []).forEach((item) => {
+      deltaFindings.push({ severity, item: withoutStatus(item), matched: false });
+    });
+  });
+
+  const merged = Object.fromEntries(FINDING_LISTS.map(([severity]) => [severity, []]));
+  const resolvedFindings = [];
+  let stillPresentCount = 0;
+
+  const findMatch = (item, severity) =>
+    deltaFindings.find((candidate) => !candidate.matched && isSameFinding(candidate, { severity, item })) || null;
+
+  FINDING_LISTS.forEach(([severity, field]) => {
+    (Array.isArray(previous[field]) ? previous[field] : []).forEach((rawItem) => {
+      const item = withoutStatus(rawItem);
+      const carried = carryFinding(item, mapper);
+      const match = findMatch(carried.item, severity);
+      if (match) {
+        // Reported again by the new review: keep the fresh wording and location
+        match.matched = true;
+        merged[match.severity].push({ ...match.item, incrementalStatus: 'still-present' });
+        stillPresentCount++;
+      } else if (carried.touched) {
+        resolvedFindings.push({ ...item, incrementalLevel: severity, incrementalStatus: 'resolved' });
+      } else {
+        merged[severity].push({ ...carried.item, incrementalStatus: 'still-present' });
+        stillPresentCount++;
+      }
+    });
+  });
+
+  let newCount = 0;
+  deltaFindings.filter((finding) => !finding.matched).forEach((finding) => {
+    merged[finding.severity].push({ ...finding.item, incrementalStatus: 'new' });
+    newCount++;
+  });
+
+  const baseDescription = previous.incremental?.baseDescription ?? previous.prDescription ?? null;
+  const baseSummary = previous.incremental?.baseSummary ?? previous.summary ?? null;
+  const appendSinceLastReview = (base, latest) => {
+    if (!latest) return base;
+    return base ? `${base}\n\n**Since last review:** ${latest}` : latest;
+  };
+
+  const review = {
+    ...previous,
+    ...delta,
+    // Scores cover the whole PR; a delta-only score would misrepresent it
+    metrics: previous.metrics || delta.metrics,
+    resolvedFindings,
+    incremental: {
+      baseSha,
+      headSha,
+      newCount,
+      stillPresentCount,
+      resolvedCount: resolvedFindings.length,
+      baseDescription,
+      baseSummary
+    }
+  };
+
+  const prDescription = appendSinceLastReview(baseDescription, delta.prDescription);
+  if (prDescription != null) review.prDescription = prDescription;
+  const summary = appendSinceLastReview(baseSummary, delta.summary);
+  if (summary != null) review.summary = summary;
+
+  FINDING_LISTS.forEach(([severity, field]) => {
+    review[field] = merged[severity];
+  });
+
+  // Scoring-layout text lists are merged as a de-duplicated union
+  TEXT_LISTS.forEach(([, field]) => {
+    const seen = new Set();
+    const union = [...(previous[field] || []), ...(delta[field] || [])].filter((entry) => {
+      const normalized = String(entry).trim().toLowerCase();
+      if (!normalized || seen.has(normalized)) return false;
+      seen.add(normalized);
+      return true;
+    });
+    if (union.length > 0 || Array.isArray(previous[field]) || Array.isArray(delta[field])) {
+      review[field] = union;
+    }
+  });
+
+  return review;
+}
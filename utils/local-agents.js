@@ -0,0 +1,267 @@
+// local-agents.js
+// Local review agents: reviewers defined in the popup (name, icon, system prompt, file globs and
+// the sections they answer with) and stored under localReviewAgents. Unlike the cloud agents they
+// run on the selected AI provider, in parallel after the main review, and their results use the
+// agent payload rows rendered by components/agent-review-tabs.js.
+import { parsePatchFiles } from './patch-filter.js';
+import { globToRegExp } from './glob.js';
+
+export const LOCAL_AGENTS_STORAGE_KEY = 'localReviewAgents';
+
+export const MAX_LOCAL_AGENTS = 10;
+const MAX_NAME_LENGTH = 60;
+const MAX_ICON_LENGTH = 8;
+const MAX_SYSTEM_PROMPT_LENGTH = 4000;
+const MAX_FILE_GLOBS = 20;
+const MAX_OUTPUT_SECTIONS = 8;
+const MAX_SECTION_TITLE_LENGTH = 80;
+const MAX_SECTION_DESCRIPTION_LENGTH = 300;
+
+/** After this long, agents still running are shown as still processing (their result is applied when it arrives) */
+export const LOCAL_AGENT_TIMEOUT_MS = 90000;
+
+/** Sections asked for when the agent does not define its own */
+export const DEFAULT_AGENT_OUTPUT_SECTIONS = Object.freeze([
+  Object.freeze({ title: 'Findings', description: 'Problems found in the changes, one bullet each, with the file and line.' }),
+  Object.freeze({ title: 'Recommendations', description: 'Concrete changes to make, one bullet each.' })
+]);
+
+const SKIP_PREFIX_REGEX = /^SKIP:\s*/i;
+const HEADING_REGEX = /^#{1,3}\s+(.+?)\s*#*\s*$/;
+
+/**
+ * @returns {string} Id of a new agent (prefixed so it never collides with a cloud agent id)
+ */
+export function createLocalAgentId() {
+  return `local-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * @param {unknown} value
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function toTrimmedString(value, maxLength) {
+  return String(value ?? '').trim().slice(0, maxLength);
+}
+
+/**
+ * @param {unknown} value - Array or one glob per line
+ * @returns {string[]}
+ */
+function toGlobList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split('\n');
+  return list.map((glob) => String(glob).trim()).filter((glob) => glob && !glob.startsWith('#')).slice(0, MAX_FILE_GLOBS);
+}
+
+/**
+ * Parse the output sections of the popup editor: one section per line, `Title: what goes in it`.
+ * @param {string} text
+ * @returns {Array<{ title: string, description: string }>}
+ */
+export function parseOutputSectionsText(text) {
+  return String(text || '').split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const colon = line.indexOf(':');
+      return colon > 0
+        ? { title: line.slice(0, colon), description: line.slice(colon + 1) }
+        : { title: line, description: '' };
+    });
+}
+
+/**
+ * @param {Array<{ title: string, description: string }>} sections
+ * @returns {string} The sections as edited in the popup
+ */
+export function formatOutputSectionsText(sections) {
+  return (sections || []).map((section) => (section.description ? `${section.title}: ${section.description}` : section.title)).join('\n');
+}
+
+/**
+ * @param {unknown} value - Array of { title, description } or the popup text
+ * @returns {Array<{ title: string, description: string }>}
+ */
+function toOutputSections(value) {
+  const list = Array.isArray(value) ? value : parseOutputSectionsText(value);
+  const seen = new Set();
+  return list
+    .map((section) => ({
+      title: toTrimmedString(section?.title, MAX_SECTION_TITLE_LENGTH).replace(/^#+\s*/, ''),
+      description: toTrimmedString(section?.description, MAX_SECTION_DESCRIPTION_LENGTH)
+    }))
+    .filter((section) => {
+      const key = section.title.toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_OUTPUT_SECTIONS);
+}
+
+/**
+ * Fill in defaults and drop invalid values from one stored agent.
+ * @param {Object|null|undefined} agent
+ * @returns {{ id: string, name: string, icon: string, systemPrompt: string, fileGlobs: string[], outputSections: Array<{ title: string, description: string }>, enabled: boolean }|null}
+ *   null when the agent has no name or no system prompt
+ */
+export function normalizeLocalAgent(agent) {
+  if (!agent || typeof agent !== 'object') return null;
+  const name = toTrimmedString(agent.name, MAX_NAME_LENGTH);
+  const systemPrompt = toTrimmedString(agent.systemPrompt, MAX_SYSTEM_PROMPT_LENGTH);
+  if (!name || !systemPrompt) return null;
+
+  const id = toTrimmedString(agent.id, 64);
+  return {
+    id: id || createLocalAgentId(),
+    name,
+    icon: toTrimmedString(agent.icon, MAX_ICON_LENGTH),
+    systemPrompt,
+    fileGlobs: toGlobList(agent.fileGlobs),
+    outputSections: toOutputSections(agent.outputSections),
+    enabled: agent.enabled !== false
+  };
+}
+
+/**
+ * Normalize the stored agent list, dropping invalid agents and duplicate ids.
+ * @param {unknown} agents
+ * @returns {Array<ReturnType<typeof normalizeLocalAgent>>}
+ */
+export function normalizeLocalAgents(agents) {
+  if (!Array.isArray(agents)) return [];
+  const seen = new Set();
+  const result = [];
+  for (const raw of agents) {
+    const agent = normalizeLocalAgent(raw);
+    if (!agent || seen.has(agent.id)) continue;
+    seen.add(agent.id);
+    result.push(agent);
+    if (result.length >= MAX_LOCAL_AGENTS) break;
+  }
+  return result;
+}
+
+/**
+ * Keep the files of the patch the agent is scoped to (every file when it has no globs).
+ * @param {string} patchContent
+ * @param {{ fileGlobs: string[] }} agent
+ * @returns {{ patch: string, files: string[] }} An empty patch when no changed file is in scope
+ */
+export function scopePatchToAgent(patchContent, agent) {
+  const files = parsePatchFiles(patchContent);
+  const globs = agent.fileGlobs || [];
+  if (globs.length === 0) {
+    return { patch: patchContent || '', files: files.map((file) => file.filename) };
+  }
+
+  const regexes = globs.map((glob) => globToRegExp(glob));
+  const kept = files.filter((file) => regexes.some((regex) => regex.test(file.filename)));
+  return {
+    patch: kept.map((file) => file.content).join('\n'),
+    files: kept.map((file) => file.filename)
+  };
+}
+
+/**
+ * The chat message that runs the agent on the patch sent with it.
+ * @param {ReturnType<typeof normalizeLocalAgent>} agent
+ * @param {string[]} files - Changed files in the agent's scope
+ * @returns {string}
+ */
+export function buildLocalAgentPrompt(agent, files) {
+  const sections = agent.outputSections.length > 0 ? agent.outputSections : DEFAULT_AGENT_OUTPUT_SECTIONS;
+  const lines = [
+    `You are the "${agent.name}" review agent. Review the code patch above by following only these instructions:`,
+    '',
+    agent.systemPrompt,
+    ''
+  ];
+  if (agent.fileGlobs.length > 0) {
+    lines.push(`The patch is limited to the files in your scope: ${files.join(', ')}.`, '');
+  }
+  lines.push('Answer in Markdown with exactly these sections, in this order, each starting with a level-2 heading (## Title):');
+  for (const section of sections) {
+    lines.push(`- ${section.title}${section.description ? `: ${section.description}` : ''}`);
+  }
+  lines.push('', 'If none of the changes are relevant to your instructions, reply with one line instead: "SKIP: " followed by the reason.');
+  return lines.join('\n');
+}
+
+/**
+ * Read the agent answer into an agent payload row. Headings are matched to the expected sections
+ * case-insensitively; an answer without headings becomes one section flagged with parseError.
+ * @param {string} text
+ * @param {ReturnType<typeof normalizeLocalAgent>} agent
+ * @returns {{ agentId: string, sections: Array<{ title: string, content: string }>, relevanceSkipped?: boolean, skipReason?: string, parseError?: boolean }}
+ */
+export function parseLocalAgentOutput(text, agent) {
+  let raw = String(text || '').trim();
+  const fenced = raw.match(/^```(?:markdown|md)?\n([\s\S]*?)\n```$/);
+  if (fenced) raw = fenced[1].trim();
+
+  if (SKIP_PREFIX_REGEX.test(raw)) {
+    return {
+      agentId: agent.id,
+      sections: [],
+      relevanceSkipped: true,
+      skipReason: raw.replace(SKIP_PREFIX_REGEX, '').trim() || 'Not relevant to this patch.'
+    };
+  }
+
+  const expected = agent.outputSections.length > 0 ? agent.outputSections : DEFAULT_AGENT_OUTPUT_SECTIONS;
+  const byTitle = new Map(expected.map((section) => [section.title.toLowerCase(), section.title]));
+
+  const sections = [];
+  let current = null;
+  for (const line of raw.split('\n')) {
+    const heading = line.match(HEADING_REGEX);
+    if (heading) {
+      const title = heading[1].replace(/^\*\*(.+)\*\*$/, '$1').replace(/:$/, '').trim();
+      current = { title: byTitle.get(title.toLowerCase()) || title, lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  if (sections.length === 0) {
+    return {
+      agentId: agent.id,
+      sections: raw ? [{ title: expected[0].title, content: raw }] : [],
+      parseError: true
+    };
+  }
+
+  return {
+    agentId: agent.id,
+    sections: sections.map((section) => ({ title: section.title, content: section.lines.join('\n').trim() }))
+  };
+}
+
+/**
+ * Run one agent on the patch. Never rejects: failures are returned in row.error.
+ * @param {ReturnType<typeof normalizeLocalAgent>} agent
+ * @param {string} patchContent
+ * @param {(patch: string, prompt: string) => Promise<string>} ask - Sends the prompt with the patch to the AI provider
+ * @returns {Promise<Object>} Agent payload row
+ */
+export async function runLocalAgentReview(agent, patchContent, ask) {
+  const scoped = scopePatchToAgent(patchContent, agent);
+  if (!scoped.patch.trim()) {
+    return {
+      agentId: agent.id,
+      sections: [],
+      relevanceSkipped: true,
+      skipReason: `No changed file matches ${agent.fileGlobs.map((glob) => `\`${glob}\``).join(', ')}.`
+    };
+  }
+
+  try {
+    const answer = await ask(scoped.patch, buildLocalAgentPrompt(agent, scoped.files));
+    return parseLocalAgentOutput(answer, agent);
+  } catch (error) {
+    return { agentId: agent.id, sections: [], error: error?.message || String(error) };
+  }
+}
@@ -0,0 +1,208 @@
+// managed-policy.js
+// Enterprise policy pushed by IT through chrome.storage.managed (schema: managed_schema.json):
+// platform domains, the providers reviews may use, the default provider, the self-hosted gateway
+// URL, an analytics opt-out and patch filter rules. Policy values are merged with the user
+// settings at read time, so removing a policy restores the user's own settings. background.js
+// enforces the provider allowlist on every review and chat request; the popup locks the controls.
+//
+// Example policy (Chrome: 3rdparty > extensions > <extension id> > policy):
+//   { "gitlabDomains": ["https://gitlab.acme.com"], "allowUserDomains": false,
+//     "allowedProviders": ["ollama", "self-hosted"], "defaultProvider": "self-hosted",
+//     "gatewayBaseUrl": "https://thinkreview.acme.com", "disableAnalytics": true,
+//     "patchFilter": { "excludeGlobs": ["secrets/**"] } }
+
+import { normalizeGatewayBaseUrl } from './enterprise-gateway.js';
+import { PROVIDER_LABELS } from './provider-fallback.js';
+
+/** Domain settings that a policy can provide, by storage key */
+export const MANAGED_DOMAIN_KEYS = ['gitlabDomains', 'githubEnterpriseDomains', 'azureDevOpsDomains', 'bitbucketDataCenterDomains'];
+
+/** aiProvider values a policy can allow */
+export const MANAGED_PROVIDERS = Object.keys(PROVIDER_LABELS);
+
+const PATCH_FILTER_FLAGS = ['skipLockfiles', 'skipVendored', 'skipGenerated', 'skipMinified'];
+
+/** Shown next to the controls a policy locks */
+export const MANAGED_POLICY_NOTICE = 'Managed by your organization';
+
+/**
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function toStringList(value) {
+  return Array.isArray(value) ? value.map((item) => String(item ?? '').trim()).filter(Boolean) : [];
+}
+
+/**
+ * Store policy domains like the popup does: full URL without trailing slash, http:// for
+ * localhost and explicit ports, https:// otherwise.
+ * @param {string} domain
+ * @returns {string|null} null when the value is not a host
+ */
+function normalizeManagedDomain(domain) {
+  const trimmed = domain.toLowerCase().replace(/\/+$/, '');
+  const withProtocol = /^https?:\/\//.test(trimmed)
+    ? trimmed
+    : `${trimmed.includes('localhost') || /:\d+/.test(trimmed) ? 'http' : 'https'}://${trimmed}`;
+  try {
+    const url = new URL(withProtocol);
+    return url.hostname ? withProtocol : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Validate the managed storage contents. Unknown providers and invalid values are dropped.
+ * @param {Object|null|undefined} raw - chrome.storage.managed.get() result
+ * @returns {{ managed: boolean, domains: Object<string, string[]>, allowUserDomains: boolean, allowedProviders: string[]|null,
+ *   defaultProvider: string|null, gatewayBaseUrl: string, disableAnalytics: boolean, patchFilter: Object }}
+ *   allowedProviders is null when every provider is allowed; patchFilter holds only the fields the policy sets
+ */
+export function normalizeManagedPolicy(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+
+  const domains = {};
+  MANAGED_DOMAIN_KEYS.forEach((key) => {
+    domains[key] = [...new Set(toStringList(source[key]).map(normalizeManagedDomain).filter(Boolean))];
+  });
+
+  const allowed = toStringList(source.allowedProviders).filter((provider) => MANAGED_PROVIDERS.includes(provider));
+  const allowedProviders = allowed.length > 0 ? [...new Set(allowed)] : null;
+
+  const defaultProvider = MANAGED_PROVIDERS.includes(source.defaultProvider)
+    && (!allowedProviders || allowedProviders.includes(source.defaultProvider))
+    ? source.defaultProvider
+    : null;
+
+  const patchFilter = {};
+  const rawFilter = source.patchFilter && typeof source.patchFilter === 'object' ? source.patchFilter : {};
+  ['includeGlobs', 'excludeGlobs'].forEach((key) => {
+    const globs = toStringList(rawFilter[key]);
+    if (globs.length > 0) patchFilter[key] = globs;
+  });
+  const maxFileSizeKb = Math.floor(Number(rawFilter.maxFileSizeKb));
+  if (Number.isFinite(maxFileSizeKb) && maxFileSizeKb > 0) patchFilter.maxFileSizeKb = maxFileSizeKb;
+  PATCH_FILTER_FLAGS.forEach((key) => {
+    if (typeof rawFilter[key] === 'boolean') patchFilter[key] = rawFilter[key];
+  });
+
+  const policy = {
+    domains,
+    allowUserDomains: source.allowUserDomains !== false,
+    allowedProviders,
+    defaultProvider,
+    gatewayBaseUrl: normalizeGatewayBaseUrl(source.gatewayBaseUrl) || '',
+    disableAnalytics: source.disableAnalytics === true,
+    patchFilter
+  };
+  policy.managed = MANAGED_DOMAIN_KEYS.some((key) => domains[key].length > 0)
+    || !policy.allowUserDomains
+    || Boolean(allowedProviders || defaultProvider || policy.gatewayBaseUrl || policy.disableAnalytics)
+    || Object.keys(patchFilter).length > 0;
+  return policy;
+}
+
+/**
+ * Read the policy. Browsers without managed storage (or without a policy) get the empty policy.
+ * @returns {Promise<ReturnType<typeof normalizeManagedPolicy>>}
+ */
+export async function readManagedPolicy() {
+  try {
+    if (typeof chrome === 'undefined' || !chrome.storage?.managed) return normalizeManagedPolicy(null);
+    return normalizeManagedPolicy(await chrome.storage.managed.get(null));
+  } catch (_) {
+    return normalizeManagedPolicy(null);
+  }
+}
+
+/**
+ * @param {ReturnType<typeof normalizeManagedPolicy>} policy
+ * @param {string} provider
+ * @returns {boolean}
+ */
+export function isProviderAllowed(policy, provider) {
+  return !policy.allowedProviders || policy.allowedProviders.includes(provider);
+}
+
+/**
+ * The provider to use: the selected one when allowed, otherwise the policy default, otherwise
+ * the first allowed provider.
+ * @param {ReturnType<typeof normalizeManagedPolicy>} policy
+ * @param {string|undefined} provider - aiProvider from storage (unset when the user never chose)
+ * @returns {string}
+ */
+export function resolveManagedProvider(policy, provider) {
+  if (provider && isProviderAllowed(policy, provider)) return provider;
+  if (policy.defaultProvider) return policy.defaultProvider;
+  if (!provider && isProviderAllowed(policy, 'cloud')) return 'cloud';
+  return policy.allowedProviders ? policy.allowedProviders[0] : (provider || 'cloud');
+}
+
+/**
+ * Provider settings with the policy applied: the provider is resolved and the fallback chain
+ * only keeps allowed providers.
+ * @param {Object} settings - PROVIDER_SETTINGS_KEYS from storage
+ * @param {ReturnType<typeof normalizeManagedPolicy>} policy
+ * @returns {Object}
+ */
+export function applyManagedProviderPolicy(settings, policy) {
+  const chain = Array.isArray(settings?.providerFallback?.chain) ? settings.providerFallback.chain : [];
+  return {
+    ...settings,
+    aiProvider: resolveManagedProvider(policy, settings?.aiProvider),
+    providerFallback: settings?.providerFallback
+      ? { ...settings.providerFallback, chain: chain.filter((provider) => isProviderAllowed(policy, provider)) }
+      : settings?.providerFallback
+  };
+}
+
+/**
+ * Domains of one platform: the policy's followed by the user's own (when the policy allows them).
+ * @param {ReturnType<typeof normalizeManagedPolicy>} policy
+ * @param {string} key - One of MANAGED_DOMAIN_KEYS
+ * @param {string[]} userDomains - The stored setting with its default applied
+ * @returns {string[]}
+ */
+export function mergeManagedDomains(policy, key, userDomains) {
+  const user = policy.allowUserDomains && Array.isArray(userDomains) ? userDomains : [];
+  return [...new Set([...(policy.domains[key] || []), ...user])];
+}
+
+/**
+ * Host permission patterns of the policy domains (the content scripts only run where access is granted).
+ * @param {ReturnType<typeof normalizeManagedPolicy>} policy
+ * @returns {string[]}
+ */
+export function getManagedDomainOrigins(policy) {
+  const origins = new Set();
+  MANAGED_DOMAIN_KEYS.forEach((key) => {
+    policy.domains[key].forEach((domain) => {
+      try {
+        origins.add(`${new URL(domain).origin}/*`);
+      } catch (_) {
+        // Not a URL (normalizeManagedPolicy only keeps valid ones)
+      }
+    });
+  });
+  return [...origins];
+}
+
+/**
+ * Patch filter settings with the policy rules: policy globs are added to the user's excludes,
+ * policy includes replace the user's, and the size limit and skip flags set by the policy win.
+ * @param {ReturnType<typeof normalizeManagedPolicy>} policy
+ * @param {Object} settings - Normalized patch filter settings
+ * @returns {Object}
+ */
+export function applyManagedPatchFilter(policy, settings) {
+  const rules = policy.patchFilter;
+  const result = { ...settings };
+  if (rules.excludeGlobs) result.excludeGlobs = [...new Set([...rules.excludeGlobs, ...(settings.excludeGlobs || [])])];
+  if (rules.includeGlobs) result.includeGlobs = [...rules.includeGlobs];
+  if (rules.maxFileSizeKb) result.maxFileSizeKb = rules.maxFileSizeKb;
+  PATCH_FILTER_FLAGS.forEach((key) => {
+    if (typeof rules[key] === 'boolean') result[key] = rules[key];
+  });
+  return result;
+}
@@ -0,0 +1,43 @@
+// openai-compatible.js
+// Custom OpenAI-compatible provider (vLLM, LM Studio, llama.cpp server...): base URL and
+// optional host permission helpers shared by popup and background.
+
+/**
+ * Normalize a user-entered base URL to the API root serving /chat/completions and /models.
+ * A bare server address gets the conventional /v1 path ("http://box:8000" → "http://box:8000/v1");
+ * an explicit path is kept as entered.
+ * @param {string} raw
+ * @returns {string|null} '' when empty, null when not an http(s) URL
+ */
+export function normalizeOpenAICompatibleBaseUrl(raw) {
+  const trimmed = String(raw || '').trim();
+  if (!trimmed) return '';
+
+  let candidate = trimmed;
+  if (!/^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//.test(candidate)) {
+    candidate = `http://${candidate}`;
+  }
+
+  try {
+    const url = new URL(candidate);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return null;
+    }
+    const pathname = url.pathname.replace(/\/+$/, '');
+    return `${url.origin}${pathname || '/v1'}`;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * @param {string} baseUrl - Normalized base URL
+ * @returns {string} Host permission pattern for the server's origin
+ */
+export function getOpenAICompatibleOriginPattern(baseUrl) {
+  return `${new URL(baseUrl).origin}/*`;
+}
+
+export async function hasOpenAICompatibleHostPermission(baseUrl) {
+  return chrome.permissions.contains({ origins: [getOpenAICompatibleOriginPattern(baseUrl)] });
+}
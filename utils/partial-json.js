@@ -0,0 +1,87 @@
+// partial-json.js
+// Best-effort parsing of a JSON review that is still being streamed, so the panel can render
+// the sections that have already arrived.
+
+/**
+ * Parse the complete part of a JSON object that is still being received.
+ * Open strings, arrays and objects are closed; a value (or key) that is cut short is dropped,
+ * except a string value, which is kept as received so far. Text before the first "{" (e.g. a
+ * Markdown code fence) is ignored.
+ * @param {string} text
+ * @returns {Object|null} null when no object has started yet
+ */
+export function parsePartialJson(text) {
+  const start = typeof text === 'string' ? text.indexOf('{') : -1;
+  if (start === -1) return null;
+  const source = text.slice(start);
+
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+  // Longest prefix that ends between two values, and the closers it needs
+  let safeEnd = 0;
+  let safeClosers = [];
+  // Prefix ending with the last complete string (a value, unless it turns out to be a key)
+  let stringEnd = 0;
+  let stringClosers = [];
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') {
+        inString = false;
+        stringEnd = i + 1;
+        stringClosers = [...closers];
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      closers.push(char === '{' ? '}' : ']');
+      safeEnd = i + 1;
+      safeClosers = [...closers];
+    } else if (char === '}' || char === ']') {
+      closers.pop();
+      if (closers.length === 0) {
+        return tryParse(source.slice(0, i + 1));
+      }
+      safeEnd = i + 1;
+      safeClosers = [...closers];
+    } else if (char === ',') {
+      safeEnd = i;
+      safeClosers = [...closers];
+    }
+  }
+
+  const close = (stack) => [...stack].reverse().join('');
+  if (inString) {
+    // Keep a string value received so far (a dangling escape is dropped); fails when the string is a key
+    const head = escaped ? source.slice(0, -1) : source;
+    const closedString = tryParse(`${head}"${close(closers)}`);
+    if (closedString) return closedString;
+  }
+  if (stringEnd > safeEnd) {
+    const lastString = tryParse(source.slice(0, stringEnd) + close(stringClosers));
+    if (lastString) return lastString;
+  }
+  return safeEnd > 0 ? tryParse(source.slice(0, safeEnd) + close(safeClosers)) : null;
+}
+
+/**
+ * @param {string} candidate
+ * @returns {Object|null}
+ */
+function tryParse(candidate) {
+  try {
+    const parsed = JSON.parse(candidate);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+export default { parsePartialJson };
@@ -1,5 +1,9 @@
 // patch-filter.js
-// Utility to filter media and binary files from git patches
+// Filters files out of git patches before review: media/binary files always, plus the user's
+// patch filter settings (include/exclude globs, per-file size limit, lockfiles, vendored code,
+// generated and minified files). Every removed file records the rule that removed it.
+
+import { globToRegExp } from './glob.js';
 
 /**
  * List of file extensions to filter out from patch reviews
@@ -96,40 +100,247 @@ export function parsePatchFiles(patchContent) {
   return files;
 }
 
+/** Settings stored under `patchFilterSettings`; heuristics are on by default */
+export const DEFAULT_PATCH_FILTER_SETTINGS = Object.freeze({
+  includeGlobs: [],
+  excludeGlobs: [],
+  maxFileSizeKb: 0,
+  skipLockfiles: true,
+  skipVendored: true,
+  skipGenerated: true,
+  skipMinified: true
+});
+
+const LOCKFILE_NAMES = [
+  'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb', 'bun.lock',
+  'composer.lock', 'Gemfile.lock', 'Cargo.lock', 'poetry.lock', 'Pipfile.lock', 'uv.lock', 'pdm.lock',
+  'go.sum', 'packages.lock.json', 'paket.lock', 'mix.lock', 'pubspec.lock', 'Podfile.lock',
+  'Package.resolved', 'flake.lock', 'gradle.lockfile', 'conan.lock'
+];
+
+const VENDORED_GLOBS = ['vendor/', 'third_party/', 'third-party/', 'node_modules/', 'bower_components/', 'Pods/'];
+
+const GENERATED_GLOBS = [
+  '*.pb.go', '*.pb.cc', '*.pb.h', '*_pb2.py', '*_pb2_grpc.py', '*.pb.ts', '*_pb.js', '*_pb.d.ts', '*_grpc_pb.js',
+  '*.generated.*', '*.g.dart', '*.freezed.dart', '*.designer.cs', '*.g.cs',
+  '*.snap', '__snapshots__/'
+];
+
+/**
+ * Header comments emitted by code generators (`@generated`, `DO NOT EDIT`, `Code generated by ... DO NOT EDIT.`),
+ * searched case-sensitively in comment lines among the first lines of the file
+ */
+const GENERATED_MARKER_PATTERN = /^\s*(?:\/\/|\/\*|\*|#|<!--|--|;)[^\n]*?(@generated\b|\bDO NOT EDIT\b)/;
+const GENERATED_MARKER_SCAN_LINES = 40;
+const HUNK_HEADER_PATTERN = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+const MINIFIED_NAME_PATTERN = /\.min\.(?:js|css|mjs)$|\.(?:js|css)\.map$/i;
+/** A changed line at least this long is treated as minified output */
+const MINIFIED_LINE_LENGTH = 1000;
+
+const RULE_LABELS = {
+  media: 'media/binary file',
+  include: 'not matched by include patterns',
+  exclude: 'exclude pattern',
+  lockfile: 'lockfile',
+  vendored: 'vendored code',
+  generated: 'generated file',
+  minified: 'minified file',
+  size: 'over the size limit'
+};
+
+/**
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function toGlobList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split('\n');
+  return list.map((glob) => String(glob).trim()).filter((glob) => glob && !glob.startsWith('#'));
+}
+
+/**
+ * Fill in defaults and drop invalid values from stored patch filter settings.
+ * @param {Object|null|undefined} settings
+ * @returns {typeof DEFAULT_PATCH_FILTER_SETTINGS}
+ */
+export function normalizePatchFilterSettings(settings) {
+  const raw = settings && typeof settings === 'object' ? settings : {};
+  const maxFileSizeKb = Number(raw.maxFileSizeKb);
+  const flag = (key) => (typeof raw[key] === 'boolean' ? raw[key] : DEFAULT_PATCH_FILTER_SETTINGS[key]);
+  return {
+    includeGlobs: toGlobList(raw.includeGlobs),
+    excludeGlobs: toGlobList(raw.excludeGlobs),
+    maxFileSizeKb: Number.isFinite(maxFileSizeKb) && maxFileSizeKb > 0 ? Math.floor(maxFileSizeKb) : 0,
+    skipLockfiles: flag('skipLockfiles'),
+    skipVendored: flag('skipVendored'),
+    skipGenerated: flag('skipGenerated'),
+    skipMinified: flag('skipMinified')
+  };
+}
+
+/**
+ * @param {string[]} globs
+ * @returns {Array<{ glob: string, regex: RegExp }>}
+ */
+function compileGlobs(globs) {
+  return globs.map((glob) => ({ glob, regex: globToRegExp(glob) }));
+}
+
+/**
+ * Changed (added/removed) lines of a file diff, without the diff headers.
+ * @param {string} content
+ * @returns {string[]}
+ */
+function getChangedLines(content) {
+  return content.split('\n')
+    .filter((line) => (line.startsWith('+') && !line.startsWith('+++')) || (line.startsWith('-') && !line.startsWith('---')))
+    .map((line) => line.slice(1));
+}
+
 /**
- * Filters out media and binary files from a git patch
+ * Lines of the new file among its first GENERATED_MARKER_SCAN_LINES (added or unchanged), as far as the diff shows them.
+ * @param {string} content
+ * @returns {string[]}
+ */
+function getLeadingFileLines(content) {
+  const leading = [];
+  let newLine = null;
+  content.split('\n').forEach((line) => {
+    const header = line.match(HUNK_HEADER_PATTERN);
+    if (header) {
+      newLine = Number(header[1]);
+      return;
+    }
+    if (newLine === null || line.startsWith('+++') || !(line.startsWith('+') || line.startsWith(' '))) return;
+    if (newLine <= GENERATED_MARKER_SCAN_LINES) leading.push(line.slice(1));
+    newLine++;
+  });
+  return leading;
+}
+
+/**
+ * Decide whether one file of the patch is removed, and by which rule.
+ * @param {{ filename: string, content: string }} file
+ * @param {Object} compiled - Normalized settings with compiled include/exclude globs
+ * @returns {{ rule: string, detail: string|null }|null} null when the file is kept
+ */
+function classifyPatchFile(file, compiled) {
+  const path = file.filename.replace(/^\/+/, '');
+  const name = path.split('/').pop();
+
+  if (shouldFilterFile(path)) {
+    return { rule: 'media', detail: null };
+  }
+  if (compiled.include.length > 0 && !compiled.include.some(({ regex }) => regex.test(path))) {
+    return { rule: 'include', detail: null };
+  }
+  const excludedBy = compiled.exclude.find(({ regex }) => regex.test(path));
+  if (excludedBy) {
+    return { rule: 'exclude', detail: excludedBy.glob };
+  }
+  if (compiled.skipLockfiles && LOCKFILE_NAMES.includes(name)) {
+    return { rule: 'lockfile', detail: null };
+  }
+  if (compiled.skipVendored) {
+    const vendoredBy = compiled.vendored.find(({ regex }) => regex.test(path));
+    if (vendoredBy) return { rule: 'vendored', detail: vendoredBy.glob };
+  }
+
+  const changedLines = compiled.skipGenerated || compiled.skipMinified ? getChangedLines(file.content) : [];
+  if (compiled.skipGenerated) {
+    const generatedBy = compiled.generated.find(({ regex }) => regex.test(path));
+    if (generatedBy) return { rule: 'generated', detail: generatedBy.glob };
+    const marker = getLeadingFileLines(file.content).map((line) => line.match(GENERATED_MARKER_PATTERN)).find(Boolean);
+    if (marker) return { rule: 'generated', detail: `"${marker[1]}" marker` };
+  }
+  if (compiled.skipMinified) {
+    if (MINIFIED_NAME_PATTERN.test(name)) return { rule: 'minified', detail: null };
+    const longest = changedLines.reduce((max, line) => Math.max(max, line.length), 0);
+    if (longest >= MINIFIED_LINE_LENGTH) return { rule: 'minified', detail: `line of ${longest} characters` };
+  }
+  if (compiled.maxFileSizeKb > 0) {
+    const sizeKb = file.content.length / 1024;
+    if (sizeKb > compiled.maxFileSizeKb) {
+      return { rule: 'size', detail: `${Math.ceil(sizeKb)} KB diff, limit ${compiled.maxFileSizeKb} KB` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Filters files out of a git patch: media/binary files plus the patch filter settings
  * @param {string} patchContent - The complete patch content
- * @returns {Object} - Object with filtered patch and statistics
+ * @param {Object} [settings] - Patch filter settings (see DEFAULT_PATCH_FILTER_SETTINGS); defaults apply when omitted
+ * @param {Object} [options]
+ * @param {string[]} [options.reviewAnyway] - Files the user chose to review despite the filter
+ * @returns {Object} - Object with filtered patch and statistics; `removed` lists `{ filename, rule, detail }`
  */
-export function filterPatch(patchContent) {
+export function filterPatch(patchContent, settings = DEFAULT_PATCH_FILTER_SETTINGS, { reviewAnyway = [] } = {}) {
   if (!patchContent || typeof patchContent !== 'string') {
     return {
       filteredPatch: '',
       originalFileCount: 0,
       filteredFileCount: 0,
       removedFileCount: 0,
-      removedFiles: []
+      removedFiles: [],
+      removed: []
     };
   }
-  
+
+  const normalized = normalizePatchFilterSettings(settings);
+  const compiled = {
+    ...normalized,
+    include: compileGlobs(normalized.includeGlobs),
+    exclude: compileGlobs(normalized.excludeGlobs),
+    vendored: compileGlobs(VENDORED_GLOBS),
+    generated: compileGlobs(GENERATED_GLOBS)
+  };
+  const forced = new Set(reviewAnyway);
+
   const files = parsePatchFiles(patchContent);
-  const keptFiles = files.filter(f => !f.isFiltered);
-  const removedFiles = files.filter(f => f.isFiltered);
-  
-  // Reconstruct the patch with only non-filtered files
-  const filteredPatch = keptFiles.map(f => f.content).join('\n');
-  
+  const keptFiles = [];
+  const removed = [];
+  files.forEach((file) => {
+    const reason = forced.has(file.filename) ? null : classifyPatchFile(file, compiled);
+    if (reason) {
+      removed.push({ filename: file.filename, ...reason });
+    } else {
+      keptFiles.push(file);
+    }
+  });
+
+  // Reconstruct the patch with only non-filtered files, keeping any header before the first file
+  // (e.g. the Azure DevOps PR header); a patch without file sections is passed through as it is
+  let filteredPatch = patchContent;
+  if (removed.length > 0) {
+    const firstDiffIndex = patchContent.indexOf('diff --git');
+    const preamble = firstDiffIndex > 0 ? patchContent.slice(0, firstDiffIndex) : '';
+    filteredPatch = preamble + keptFiles.map(f => f.content).join('\n');
+  }
+
   return {
     filteredPatch: filteredPatch,
     originalFileCount: files.length,
     filteredFileCount: keptFiles.length,
-    removedFileCount: removedFiles.length,
-    removedFiles: removedFiles.map(f => f.filename)
+    removedFileCount: removed.length,
+    removedFiles: removed.map(f => f.filename),
+    removed
   };
 }
 
 /**
- * Generates a human-readable summary of what was filtered
+ * Describe why a file was removed, e.g. `exclude pattern "docs/**"` or `minified file (line of 4000 characters)`
+ * @param {{ rule: string, detail?: string|null }} entry - An item of filterPatch().removed
+ * @returns {string}
+ */
+export function describeFilterRule(entry) {
+  const label = RULE_LABELS[entry?.rule] || entry?.rule || 'filtered';
+  if (!entry?.detail) return label;
+  return entry.rule === 'exclude' ? `${label} "${entry.detail}"` : `${label} (${entry.detail})`;
+}
+
+/**
+ * Generates a human-readable summary of what was filtered, naming the rule that removed each file
  * @param {Object} filterResult - Result from filterPatch()
  * @returns {string} - Human-readable summary
  */
@@ -137,18 +348,13 @@ export function getFilterSummary(filterResult) {
   if (!filterResult || filterResult.removedFileCount === 0) {
     return '';
   }
-  
-  const { removedFileCount, removedFiles } = filterResult;
-  
-  if (removedFileCount === 1) {
-    return `Note: 1 media/binary file (${removedFiles[0]}) was excluded from the review.`;
-  } else if (removedFileCount <= 3) {
-    return `Note: ${removedFileCount} media/binary files (${removedFiles.join(', ')}) were excluded from the review.`;
-  } else {
-    return `Note: ${removedFileCount} media/binary files were excluded from the review.`;
-  }
-}
-
-
 
+  const removed = Array.isArray(filterResult.removed)
+    ? filterResult.removed
+    : filterResult.removedFiles.map((filename) => ({ filename, rule: 'media' }));
+  const details = removed.map((entry) => `${entry.filename}: ${describeFilterRule(entry)}`);
 
+  return removed.length === 1
+    ? `Note: 1 file was excluded from the review: ${details[0]}.`
+    : `Note: ${removed.length} files were excluded from the review: ${details.join('; ')}.`;
+}
@@ -0,0 +1,159 @@
+// pr-context.js
+// Pull/merge request details sent with a review: title, description, labels, branches, pipeline
+// status, linked issues / work items and the unresolved review discussions of human reviewers, so the
+// model can check the change against what the PR says it does and not repeat points already raised.
+// Collected per platform by services/pr-context-collector.js.
+
+/** Longest description kept in the prompt; longer ones are cut */
+export const MAX_PR_DESCRIPTION_CHARS = 4000;
+export const MAX_LINKED_ISSUES = 10;
+export const MAX_DISCUSSIONS = 15;
+export const MAX_COMMENTS_PER_DISCUSSION = 5;
+export const MAX_COMMENT_CHARS = 600;
+export const MAX_STATIC_FINDINGS = 50;
+
+/** Jira-style keys ("PROJ-123"), used for platforms that do not link issues themselves */
+const ISSUE_KEY_PATTERN = /\b([A-Z][A-Z0-9]{1,9}-\d{1,7})\b/g;
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(/\r\n/g, '\n').trim() : '';
+}
+
+function truncate(text, maxChars, note) {
+  return text.length > maxChars ? `${text.slice(0, maxChars)}${note}` : text;
+}
+
+function normalizeLinkedIssues(raw) {
+  const issues = [];
+  (Array.isArray(raw) ? raw : []).forEach((issue) => {
+    const id = cleanText(issue?.id != null ? String(issue.id) : '');
+    if (!id || issues.some((existing) => existing.id === id) || issues.length >= MAX_LINKED_ISSUES) return;
+    issues.push({ id, title: cleanText(issue.title) });
+  });
+  return issues;
+}
+
+function normalizeDiscussions(raw) {
+  return (Array.isArray(raw) ? raw : [])
+    .map((discussion) => ({
+      path: cleanText(discussion?.path),
+      line: Number.isInteger(discussion?.line) && discussion.line > 0 ? discussion.line : null,
+      comments: (Array.isArray(discussion?.comments) ? discussion.comments : [])
+        .map((comment) => ({
+          author: cleanText(comment?.author),
+          body: truncate(cleanText(comment?.body), MAX_COMMENT_CHARS, ' [...]')
+        }))
+        .filter((comment) => comment.body)
+        .slice(0, MAX_COMMENTS_PER_DISCUSSION)
+    }))
+    .filter((discussion) => discussion.comments.length > 0)
+    .slice(0, MAX_DISCUSSIONS);
+}
+
+function normalizeStaticFindings(raw) {
+  return (Array.isArray(raw) ? raw : [])
+    .map((finding) => ({
+      path: cleanText(finding?.filePath),
+      line: Number.isInteger(finding?.startLine) && finding.startLine > 0 ? finding.startLine : null,
+      rule: cleanText(finding?.ruleLabel),
+      title: cleanText(finding?.title)
+    }))
+    .filter((finding) => finding.title)
+    .slice(0, MAX_STATIC_FINDINGS);
+}
+
+/**
+ * Keep the known fields of a PR context, trimmed and capped. Returns null when nothing is left.
+ * @param {Object|null|undefined} raw
+ * @returns {{ title: string, description: string, author: string, labels: string[], sourceBranch: string, targetBranch: string,
+ *   pipelineStatus: string, linkedIssues: Array<{ id: string, title: string }>,
+ *   discussions: Array<{ path: string, line: number|null, comments: Array<{ author: string, body: string }> }>,
+ *   staticFindings: Array<{ path: string, line: number|null, rule: string, title: string }> }|null}
+ *   staticFindings are the findings of utils/static-rules.js, already shown with the review
+ */
+export function normalizePrContext(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const context = {
+    title: cleanText(raw.title),
+    description: truncate(cleanText(raw.description), MAX_PR_DESCRIPTION_CHARS, '\n[description truncated]'),
+    author: cleanText(raw.author),
+    labels: (Array.isArray(raw.labels) ? raw.labels : []).map(cleanText).filter(Boolean),
+    sourceBranch: cleanText(raw.sourceBranch),
+    targetBranch: cleanText(raw.targetBranch),
+    pipelineStatus: cleanText(raw.pipelineStatus),
+    linkedIssues: normalizeLinkedIssues(raw.linkedIssues),
+    discussions: normalizeDiscussions(raw.discussions),
+    staticFindings: normalizeStaticFindings(raw.staticFindings)
+  };
+  const hasContent = Object.values(context).some((value) => (Array.isArray(value) ? value.length > 0 : value !== ''));
+  return hasContent ? context : null;
+}
+
+/**
+ * Jira-style issue keys mentioned in a PR title, description or branch name.
+ * @param {...string} texts
+ * @returns {Array<{ id: string, title: string }>}
+ */
+export function findIssueKeys(...texts) {
+  const keys = new Set();
+  texts.forEach((text) => {
+    for (const match of String(text || '').matchAll(ISSUE_KEY_PATTERN)) keys.add(match[1]);
+  });
+  return [...keys].map((id) => ({ id, title: '' }));
+}
+
+/**
+ * Fill the fields the platform API did not return from the page (title, branches, author).
+ * @param {Object|null} context - Collected context
+ * @param {Object|null} pageInfo - Detector page info
+ * @returns {Object|null}
+ */
+export function mergePrContextWithPageInfo(context, pageInfo) {
+  if (!pageInfo) return context;
+  const merged = { ...(context || {}) };
+  ['title', 'sourceBranch', 'targetBranch', 'author'].forEach((field) => {
+    if (!cleanText(merged[field]) && typeof pageInfo[field] === 'string') merged[field] = pageInfo[field];
+  });
+  return normalizePrContext(merged);
+}
+
+function formatDiscussion({ path, line, comments }) {
+  const location = path ? `${path}${line ? `:${line}` : ''}` : 'General';
+  const thread = comments.map(({ author, body }) => `  ${author || 'Reviewer'}: ${body.replace(/\n/g, '\n    ')}`);
+  return `- ${location}\n${thread.join('\n')}`;
+}
+
+/**
+ * Prompt section describing the PR, shared by every provider (the cloud receives it as text too).
+ * @param {Object|null} prContext
+ * @returns {string} Empty when there is no context
+ */
+export function buildPrContextPrompt(prContext) {
+  const context = normalizePrContext(prContext);
+  if (!context) return '';
+  const lines = [];
+  if (context.title) lines.push(`Title: ${context.title}`);
+  if (context.author) lines.push(`Author: ${context.author}`);
+  if (context.sourceBranch || context.targetBranch) {
+    lines.push(`Branches: ${context.sourceBranch || '?'} → ${context.targetBranch || '?'}`);
+  }
+  if (context.labels.length > 0) lines.push(`Labels: ${context.labels.join(', ')}`);
+  if (context.pipelineStatus) lines.push(`CI pipeline status: ${context.pipelineStatus}`);
+  if (context.description) lines.push(`Description:\n${context.description}`);
+  if (context.linkedIssues.length > 0) {
+    lines.push(`Linked issues:\n${context.linkedIssues.map(({ id, title }) => `- ${id}${title ? `: ${title}` : ''}`).join('\n')}`);
+  }
+
+  const sections = [];
+  if (lines.length > 0) {
+    sections.push(`Pull request context (written by the author; use it to check that the change does what it says, but review the code itself):\n\n${lines.join('\n')}`);
+  }
+  if (context.discussions.length > 0) {
+    sections.push(`Unresolved review discussions (raised by human reviewers). Do not repeat these points as new findings:\n\n${context.discussions.map(formatDiscussion).join('\n')}`);
+  }
+  if (context.staticFindings.length > 0) {
+    const findings = context.staticFindings.map(({ path, line, rule, title }) => `- ${path || 'General'}${line ? `:${line}` : ''} [${rule || 'Static check'}] ${title}`);
+    sections.push(`Already reported by automated static checks (shown to the user with your review). Do not repeat these as new findings:\n\n${findings.join('\n')}`);
+  }
+  return sections.join('\n\n');
+}
@@ -0,0 +1,131 @@
+// provider-fallback.js
+// Ordered provider chain for reviews and chat: when the selected provider cannot answer (connection
+// error, timeout, rate limit, server error), the next provider of the chain is tried.
+// Settings are stored under providerFallback: { chain: string[], allowRemote: { [localProvider]: boolean } }.
+
+/** Providers that can be added after the selected one (the self-hosted gateway is only used when selected) */
+export const FALLBACK_PROVIDERS = ['ollama', 'openai-compatible', 'openrouter', 'anthropic', 'azure-openai', 'cloud'];
+
+/** Providers that keep the code on the user's machine or network */
+export const LOCAL_PROVIDERS = ['ollama', 'openai-compatible', 'self-hosted'];
+
+export const PROVIDER_LABELS = {
+  cloud: 'ThinkReview Cloud',
+  'self-hosted': 'Self-hosted gateway',
+  ollama: 'Ollama',
+  'openai-compatible': 'OpenAI-compatible server',
+  openrouter: 'OpenRouter',
+  anthropic: 'Anthropic',
+  'azure-openai': 'Azure OpenAI'
+};
+
+/** Number of fallback providers that can be configured after the selected one */
+export const MAX_FALLBACK_PROVIDERS = 3;
+
+/**
+ * Defaults and validation for the providerFallback setting (popup and background).
+ * @param {Object|undefined} raw
+ * @returns {{ chain: string[], allowRemote: Object<string, boolean> }}
+ */
+export function normalizeProviderFallbackSettings(raw) {
+  const chain = [];
+  (Array.isArray(raw?.chain) ? raw.chain : []).forEach((provider) => {
+    if (FALLBACK_PROVIDERS.includes(provider) && !chain.includes(provider) && chain.length < MAX_FALLBACK_PROVIDERS) {
+      chain.push(provider);
+    }
+  });
+  const allowRemote = {};
+  LOCAL_PROVIDERS.forEach((provider) => {
+    allowRemote[provider] = raw?.allowRemote?.[provider] === true;
+  });
+  return { chain, allowRemote };
+}
+
+const NETWORK_ERROR_PATTERN = /Failed to fetch|NetworkError|Load failed/;
+
+/**
+ * Why a failed request may succeed with another provider. Services wrap errors for the user, so
+ * the original error is looked up through `cause`.
+ * @param {Error} error
+ * @returns {'connection'|'timeout'|'rate-limit'|'server-error'|null} null when another provider would not help (bad key, invalid answer...)
+ */
+export function getFallbackReason(error) {
+  for (let current = error, depth = 0; current && depth < 5; current = current.cause, depth++) {
+    if (current.isRateLimit || current.isLimitExceeded || current.status === 429) return 'rate-limit';
+    if (current.name === 'TimeoutError' || current.status === 408) return 'timeout';
+    if (current.status >= 500) return 'server-error';
+    if (NETWORK_ERROR_PATTERN.test(current.message || '')) return 'connection';
+  }
+  return null;
+}
+
+/**
+ * Providers to try, in order: the selected provider, then the configured fallbacks.
+ * @param {string} primary - aiProvider
+ * @param {Object|undefined} config - providerFallback from storage
+ * @returns {string[]}
+ */
+export function buildProviderChain(primary, config) {
+  const chain = [primary];
+  (Array.isArray(config?.chain) ? config.chain : []).forEach((provider) => {
+    if (!FALLBACK_PROVIDERS.includes(provider) || chain.includes(provider)) return;
+    // CloudService sends cloud requests to the gateway while the self-hosted gateway is selected
+    if (provider === 'cloud' && primary === 'self-hosted') return;
+    chain.push(provider);
+  });
+  return chain;
+}
+
+/**
+ * A remote provider may not receive the code after a local provider that does not allow it.
+ * @param {string} provider
+ * @param {string[]} triedProviders - Providers tried before, in order
+ * @param {Object|undefined} config - providerFallback from storage
+ * @returns {boolean}
+ */
+export function isRemoteFallbackBlocked(provider, triedProviders, config) {
+  if (LOCAL_PROVIDERS.includes(provider)) return false;
+  return triedProviders.some((tried) => LOCAL_PROVIDERS.includes(tried) && config?.allowRemote?.[tried] !== true);
+}
+
+/**
+ * Try the providers of a chain in order until one answers or fails for a reason another provider
+ * would not fix.
+ * @param {string[]} chain - buildProviderChain() result
+ * @param {Object|undefined} config - providerFallback from storage
+ * @param {(provider: string) => Promise<Object>} attempt - Resolves with the response for the content
+ *   script; failed responses set fallbackReason when the next provider may be tried
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the chain when the request is cancelled
+ * @param {(provider: string) => void} [options.onFallback] - Called before each provider after the first
+ * @returns {Promise<Object>} The last response; `fallback` lists the earlier failures when there were any
+ */
+export async function runProviderChain(chain, config, attempt, { signal = null, onFallback = null } = {}) {
+  const failures = [];
+  const tried = [];
+  let response = null;
+
+  for (const provider of chain) {
+    if (isRemoteFallbackBlocked(provider, tried, config)) {
+      failures.push({ provider, label: PROVIDER_LABELS[provider], reason: 'privacy', error: null });
+      continue;
+    }
+    if (tried.length > 0) onFallback?.(provider);
+
+    tried.push(provider);
+    response = await attempt(provider);
+    if (response.success || response.isCancelled || !response.fallbackReason || signal?.aborted) break;
+    failures.push({ provider, label: PROVIDER_LABELS[provider], reason: response.fallbackReason, error: response.error || null });
+  }
+
+  const earlierFailures = failures.filter((failure) => failure.provider !== response.provider);
+  if (earlierFailures.length === 0) return response;
+  return {
+    ...response,
+    fallback: {
+      provider: response.provider,
+      label: PROVIDER_LABELS[response.provider] || response.provider,
+      failures: earlierFailures
+    }
+  };
+}
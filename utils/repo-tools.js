@@ -0,0 +1,131 @@
+// repo-tools.js
+// Repository tools offered to the model in chat (OpenAI-compatible providers and Ollama): while it
+// answers, the model can read files, list directories and search code of the PR/MR source branch.
+// Calls are run by services/repo-tool-runner.js on behalf of the content script, which shows each
+// call in the chat log and enforces the fetch budget of the conversation.
+
+/** Tool calls allowed per conversation */
+export const REPO_TOOL_FETCH_BUDGET = 20;
+
+/** Rounds of tool calls per answer; the model must answer after the last one */
+export const MAX_TOOL_ROUNDS = 6;
+
+/** Longest tool output sent back to the model */
+export const MAX_TOOL_OUTPUT_CHARS = 16000;
+
+export const REPO_TOOLS_SYSTEM_PROMPT = 'You can call tools to read files, list directories and search code in the repository, on the source branch of this pull request. Use them when the patch alone is not enough to answer, and prefer reading the few files you need over browsing.';
+
+const TOOL_DEFINITIONS = {
+  read_file: {
+    description: 'Read a file of the repository at the head of the pull request.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path from the repository root, e.g. src/app.js' }
+      },
+      required: ['path']
+    }
+  },
+  list_directory: {
+    description: 'List the files and directories of a repository directory at the head of the pull request.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory path from the repository root; empty for the root' }
+      },
+      required: []
+    }
+  },
+  search_code: {
+    description: 'Search the repository for text (identifiers, strings). Returns matching files and lines.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Text to search for' }
+      },
+      required: ['query']
+    }
+  }
+};
+
+/** Tools per platform: Azure DevOps and Bitbucket have no code search API for a branch */
+const PLATFORM_TOOLS = {
+  gitlab: ['read_file', 'list_directory', 'search_code'],
+  github: ['read_file', 'list_directory', 'search_code'],
+  'azure-devops': ['read_file', 'list_directory'],
+  bitbucket: ['read_file', 'list_directory']
+};
+
+/**
+ * @param {string} platform
+ * @returns {string[]} Names of the tools available on the platform (empty when unsupported)
+ */
+export function getRepoToolNames(platform) {
+  return PLATFORM_TOOLS[platform] || [];
+}
+
+/**
+ * Tool definitions in the Chat Completions format (also accepted by Ollama /api/chat).
+ * @param {string[]} toolNames
+ * @returns {Array<{ type: 'function', function: { name: string, description: string, parameters: Object } }>}
+ */
+export function getRepoToolDefinitions(toolNames) {
+  return toolNames
+    .filter((name) => TOOL_DEFINITIONS[name])
+    .map((name) => ({ type: 'function', function: { name, ...TOOL_DEFINITIONS[name] } }));
+}
+
+/**
+ * Arguments of a tool call: a JSON string (Chat Completions) or an object (Ollama).
+ * @param {string|Object|null} raw
+ * @returns {Object}
+ */
+export function parseToolArguments(raw) {
+  if (raw && typeof raw === 'object') return raw;
+  try {
+    const parsed = JSON.parse(raw || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Repository-relative path from a path given by the model ('./src/a.js', '/src/' → 'src/a.js', 'src').
+ * @param {string} path
+ * @returns {string|null} null when the path leaves the repository
+ */
+export function normalizeRepoPath(path) {
+  const segments = String(path || '').split('/').filter((segment) => segment && segment !== '.');
+  if (segments.includes('..')) return null;
+  return segments.join('/');
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+export function truncateToolOutput(text) {
+  const value = String(text ?? '');
+  if (value.length <= MAX_TOOL_OUTPUT_CHARS) return value;
+  return `${value.slice(0, MAX_TOOL_OUTPUT_CHARS)}\n[... truncated, ${value.length - MAX_TOOL_OUTPUT_CHARS} more characters]`;
+}
+
+/**
+ * One-line description of a tool call for the chat log.
+ * @param {string} name
+ * @param {Object} args
+ * @returns {string}
+ */
+export function describeRepoToolCall(name, args) {
+  switch (name) {
+    case 'read_file':
+      return `📄 Read ${normalizeRepoPath(args?.path) || args?.path || '(no path)'}`;
+    case 'list_directory':
+      return `📁 Listed ${normalizeRepoPath(args?.path) || '/'}`;
+    case 'search_code':
+      return `🔍 Searched for "${String(args?.query || '').slice(0, 80)}"`;
+    default:
+      return `🔧 ${name}`;
+  }
+}
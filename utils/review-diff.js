@@ -0,0 +1,135 @@
+// review-diff.js
+// Compares the findings of two reviews of the same MR/PR: which ones appeared, disappeared,
+// or were reported in both. Findings are matched by kind, file and title similarity because
+// the model rewords and re-locates findings between runs.
+
+/** Review list fields that hold located findings, with the severity used for each */
+export const FINDING_LISTS = [
+  ['critical', 'criticalIssues'],
+  ['high', 'highIssues'],
+  ['low', 'lowIssues'],
+  ['suggestion', 'codeSuggestions']
+];
+
+/** Scoring-layout lists of plain strings */
+export const TEXT_LISTS = [
+  ['suggestions', 'suggestions'],
+  ['security', 'securityIssues'],
+  ['practice', 'bestPractices']
+];
+
+const ISSUE_SEVERITIES = ['critical', 'high', 'low'];
+const TITLE_MATCH_THRESHOLD = 0.5;
+
+/**
+ * @param {string} filePath
+ * @returns {string}
+ */
+function normalizeFindingPath(filePath) {
+  return String(filePath || '').trim().replace(/^\.\//, '').replace(/^\/+/, '');
+}
+
+/**
+ * Display title of a finding (code suggestions only have a description).
+ * @param {{ severity: string, item: Object }} finding
+ * @returns {string}
+ */
+export function findingTitle({ severity, item }) {
+  return String((severity === 'suggestion' ? item.description : item.title) || '');
+}
+
+/**
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function titleTokens(text) {
+  return new Set(text.toLowerCase().split(/[^a-z0-9]+/).filter((token) => token.length >= 3));
+}
+
+/**
+ * Jaccard similarity of the significant words in two titles.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function titleSimilarity(a, b) {
+  const tokensA = titleTokens(a);
+  const tokensB = titleTokens(b);
+  if (tokensA.size === 0 || tokensB.size === 0) {
+    return a.trim().toLowerCase() === b.trim().toLowerCase() ? 1 : 0;
+  }
+  let shared = 0;
+  tokensA.forEach((token) => { if (tokensB.has(token)) shared++; });
+  return shared / (tokensA.size + tokensB.size - shared);
+}
+
+/**
+ * Severity issues match across severities (a re-run may re-grade them); other kinds only match their own kind.
+ * @param {string} severity
+ * @returns {string}
+ */
+function findingKind(severity) {
+  return ISSUE_SEVERITIES.includes(severity) ? 'issue' : severity;
+}
+
+/**
+ * Whether two findings describe the same problem.
+ * @param {{ severity: string, item: Object }} a
+ * @param {{ severity: string, item: Object }} b
+ * @returns {boolean}
+ */
+export function isSameFinding(a, b) {
+  return findingKind(a.severity) === findingKind(b.severity) &&
+    normalizeFindingPath(a.item.filePath) === normalizeFindingPath(b.item.filePath) &&
+    titleSimilarity(findingTitle(a), findingTitle(b)) >= TITLE_MATCH_THRESHOLD;
+}
+
+/**
+ * Flatten a review into findings (severity issues, code suggestions and scoring-layout text items).
+ * @param {Object} review
+ * @returns {Array<{ severity: string, item: Object }>}
+ */
+export function collectFindings(review) {
+  const findings = [];
+  if (!review) return findings;
+  FINDING_LISTS.forEach(([severity, field]) => {
+    (Array.isArray(review[field]) ? review[field] : []).forEach((item) => {
+      if (item) findings.push({ severity, item });
+    });
+  });
+  TEXT_LISTS.forEach(([severity, field]) => {
+    (Array.isArray(review[field]) ? review[field] : []).forEach((text) => {
+      if (text) findings.push({ severity, item: { title: String(text) } });
+    });
+  });
+  return findings;
+}
+
+/**
+ * Diff the findings of an older and a newer review run.
+ * @param {Object} olderReview
+ * @param {Object} newerReview
+ * @returns {{ appeared: Array<Object>, disappeared: Array<Object>, unchanged: Array<Object> }}
+ *   Each entry is { severity, item }; unchanged entries carry the newer item
+ */
+export function diffReviewFindings(olderReview, newerReview) {
+  const remaining = collectFindings(olderReview).map((finding) => ({ ...finding, matched: false }));
+  const appeared = [];
+  const unchanged = [];
+
+  collectFindings(newerReview).forEach((finding) => {
+    const match = remaining.find((candidate) => !candidate.matched && isSameFinding(candidate, finding));
+    if (match) {
+      match.matched = true;
+      unchanged.push(finding);
+    } else {
+      appeared.push(finding);
+    }
+  });
+
+  const disappeared = remaining
+    .filter((candidate) => !candidate.matched)
+    .map(({ severity, item }) => ({ severity, item }));
+
+  return { appeared, disappeared, unchanged };
+}
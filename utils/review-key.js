@@ -0,0 +1,33 @@
+// review-key.js
+// Stable identifier for one MR/PR (platform + host + repository + MR/PR id), used to key
+// per-MR local state such as the incremental review state and the review history.
+
+/**
+ * Build the key for one MR/PR.
+ * @param {'gitlab'|'github'|'azure-devops'|'bitbucket'} platform
+ * @param {Object} target - Platform-specific PR coordinates (content.js getPullRequestTarget())
+ * @returns {string|null}
+ */
+export function buildReviewKey(platform, target) {
+  if (!platform || !target) return null;
+  switch (platform) {
+    case 'gitlab':
+      return target.projectPath && target.mrIid
+        ? `gitlab:${target.origin}/${target.projectPath}!${target.mrIid}`
+        : null;
+    case 'github':
+      return target.owner && target.repo && target.prNumber
+        ? `github:${target.hostname}/${target.owner}/${target.repo}#${target.prNumber}`
+        : null;
+    case 'azure-devops':
+      return target.prId && target.repository?.name
+        ? `azure-devops:${target.hostname}/${target.organization}/${target.project}/${target.repository.name}#${target.prId}`
+        : null;
+    case 'bitbucket':
+      return target.prId && target.repository
+        ? `bitbucket:${target.hostname}/${target.repository}#${target.prId}`
+        : null;
+    default:
+      return null;
+  }
+}
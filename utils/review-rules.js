@@ -0,0 +1,495 @@
+// review-rules.js
+// Repository-level review rules (.thinkreview.yml on the target branch): parsing, validation,
+// ignore globs applied to the patch, the prompt section sent to every provider, and severity
+// overrides applied to the returned findings. Fetching lives in services/review-rules-fetcher.js.
+//
+// Example:
+//   version: 1
+//   ignore:
+//     - "**/*.snap"
+//     - dist/
+//   focus:
+//     - SQL queries must use bound parameters
+//   banned_apis:
+//     - pattern: eval(
+//       reason: Arbitrary code execution
+//   severity_overrides:
+//     - match: console.log
+//       severity: low
+//   instructions: |
+//     Public APIs need JSDoc.
+
+import { parsePatchFiles } from './patch-filter.js';
+import { globToRegExp } from './glob.js';
+
+/** Looked up in this order at the repository root */
+export const REVIEW_RULES_FILE_NAMES = ['.thinkreview.yml', '.thinkreview.yaml'];
+
+const SUPPORTED_VERSION = 1;
+const MAX_LIST_ITEMS = 50;
+const MAX_ITEM_LENGTH = 300;
+const MAX_INSTRUCTIONS_LENGTH = 4000;
+const OVERRIDE_SEVERITIES = ['critical', 'high', 'low'];
+const SEVERITY_FIELDS = { critical: 'criticalIssues', high: 'highIssues', low: 'lowIssues' };
+const KNOWN_KEYS = ['version', 'ignore', 'focus', 'banned_apis', 'severity_overrides', 'instructions'];
+
+/** `key:` or `key: value` (the colon must be followed by a space or end the line) */
+const MAPPING_ENTRY_REGEX = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'"#][^:]*?)\s*:(?:\s+|$)/;
+const BLOCK_SCALAR_REGEX = /^[|>][+-]?$/;
+
+/**
+ * Error raised for malformed YAML, with the 1-based line it was found on.
+ */
+class ReviewRulesSyntaxError extends Error {
+  constructor(message, lineIndex) {
+    super(`Line ${lineIndex + 1}: ${message}`);
+    this.name = 'ReviewRulesSyntaxError';
+  }
+}
+
+/**
+ * Remove a trailing `# comment` that is outside quotes.
+ * @param {string} line
+ * @returns {string}
+ */
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * Split a flow sequence body on commas outside quotes.
+ * @param {string} body
+ * @returns {string[]}
+ */
+function splitFlowItems(body) {
+  const items = [];
+  let quote = null;
+  let current = '';
+  for (const char of body) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  items.push(current);
+  return items.map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * @param {string} text - Trimmed scalar text
+ * @param {number} lineIndex
+ * @returns {string|number|boolean|null|Array}
+ */
+function parseScalar(text, lineIndex) {
+  if (text.startsWith('"')) {
+    if (!text.endsWith('"') || text.length < 2) throw new ReviewRulesSyntaxError('Unterminated double-quoted string', lineIndex);
+    try {
+      return JSON.parse(text);
+    } catch (_) {
+      return text.slice(1, -1);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!text.endsWith("'") || text.length < 2) throw new ReviewRulesSyntaxError('Unterminated single-quoted string', lineIndex);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) throw new ReviewRulesSyntaxError('Unterminated flow sequence', lineIndex);
+    return splitFlowItems(text.slice(1, -1)).map((item) => parseScalar(item, lineIndex));
+  }
+  if (text.startsWith('{')) {
+    if (text === '{}') return {};
+    throw new ReviewRulesSyntaxError('Inline mappings are not supported; use one "key: value" per line', lineIndex);
+  }
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (text === 'null' || text === '~') return null;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Parse the YAML subset used by rules files: nested block mappings and sequences,
+ * plain/quoted scalars, flow sequences of scalars and `|` / `>` block scalars.
+ * Anchors, tags, multi-document streams and inline mappings are not supported.
+ * @param {string} text
+ * @returns {any}
+ */
+export function parseReviewRulesYaml(text) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  let index = 0;
+
+  const indentOf = (line) => line.length - line.trimStart().length;
+  const contentOf = (line) => stripComment(line).trim();
+  const isSequenceItem = (content) => content === '-' || content.startsWith('- ');
+
+  const skipIgnorable = () => {
+    while (index < lines.length && !contentOf(lines[index])) index++;
+    return index < lines.length;
+  };
+
+  lines.forEach((line, lineIndex) => {
+    if (/^\s*\t/.test(line)) throw new ReviewRulesSyntaxError('Tabs are not allowed for indentation', lineIndex);
+  });
+
+  const parseBlockScalar = (parentIndent, indicator) => {
+    const collected = [];
+    let blockIndent = null;
+    while (index < lines.length) {
+      const line = lines[index];
+      if (line.trim() === '') {
+        collected.push('');
+        index++;
+        continue;
+      }
+      const lineIndent = indentOf(line);
+      if (lineIndent <= parentIndent) break;
+      if (blockIndent == null) blockIndent = lineIndent;
+      collected.push(line.slice(Math.min(blockIndent, lineIndent)));
+      index++;
+    }
+    while (collected.length > 0 && collected[collected.length - 1] === '') collected.pop();
+    if (indicator.startsWith('|')) return collected.join('\n');
+    // Folded: single newlines become spaces, blank lines stay as line breaks
+    return collected.reduce((folded, line) => {
+      if (line === '') return `${folded}\n`;
+      return folded === '' || folded.endsWith('\n') ? `${folded}${line}` : `${folded} ${line}`;
+    }, '');
+  };
+
+  let parseBlock;
+
+  const parseNested = (parentIndent, allowSameIndentSequence) => {
+    if (!skipIgnorable()) return null;
+    const lineIndent = indentOf(lines[index]);
+    if (lineIndent > parentIndent) return parseBlock();
+    if (allowSameIndentSequence && lineIndent === parentIndent && isSequenceItem(contentOf(lines[index]))) {
+      return parseBlock();
+    }
+    return null;
+  };
+
+  const parseValue = (valueText, lineIndent, lineIndex, allowSameIndentSequence) => {
+    if (BLOCK_SCALAR_REGEX.test(valueText)) return parseBlockScalar(lineIndent, valueText);
+    if (valueText === '') return parseNested(lineIndent, allowSameIndentSequence);
+    return parseScalar(valueText, lineIndex);
+  };
+
+  const parseMapping = (indent) => {
+    const mapping = {};
+    while (skipIgnorable()) {
+      const line = lines[index];
+      const lineIndent = indentOf(line);
+      if (lineIndent < indent) break;
+      if (lineIndent > indent) throw new ReviewRulesSyntaxError('Unexpected indentation', index);
+      const content = contentOf(line);
+      if (isSequenceItem(content)) break;
+      const match = content.match(MAPPING_ENTRY_REGEX);
+      if (!match) throw new ReviewRulesSyntaxError('Expected "key: value"', index);
+      const rawKey = match[1].trim();
+      const key = /^["']/.test(rawKey) ? String(parseScalar(rawKey, index)) : rawKey;
+      if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+        throw new ReviewRulesSyntaxError(`Duplicate key "${key}"`, index);
+      }
+      const lineIndex = index;
+      index++;
+      mapping[key] = parseValue(content.slice(match[0].length).trim(), lineIndent, lineIndex, true);
+    }
+    return mapping;
+  };
+
+  const parseSequence = (indent) => {
+    const items = [];
+    while (skipIgnorable()) {
+      const line = lines[index];
+      const lineIndent = indentOf(line);
+      if (lineIndent < indent) break;
+      if (lineIndent > indent) throw new ReviewRulesSyntaxError('Unexpected indentation', index);
+      const content = contentOf(line);
+      if (!isSequenceItem(content)) break;
+      const rest = content.slice(1).trim();
+      if (rest && MAPPING_ENTRY_REGEX.test(rest)) {
+        // "- key: value" starts a mapping whose keys are aligned with the first key
+        const keyIndent = lineIndent + (content.length - rest.length);
+        lines[index] = `${' '.repeat(keyIndent)}${rest}`;
+        items.push(parseMapping(keyIndent));
+      } else {
+        const lineIndex = index;
+        index++;
+        items.push(parseValue(rest, lineIndent, lineIndex, false));
+      }
+    }
+    return items;
+  };
+
+  parseBlock = () => {
+    const line = lines[index];
+    return isSequenceItem(contentOf(line)) ? parseSequence(indentOf(line)) : parseMapping(indentOf(line));
+  };
+
+  if (!skipIgnorable()) return null;
+  if (contentOf(lines[index]) === '---') {
+    index++;
+    if (!skipIgnorable()) return null;
+  }
+  const result = parseBlock();
+  if (skipIgnorable()) {
+    throw new ReviewRulesSyntaxError('Unexpected content (check the indentation)', index);
+  }
+  return result;
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Normalize a string-or-list field into trimmed, length-capped strings.
+ * @param {any} value
+ * @param {string} key
+ * @param {string[]} warnings
+ * @returns {string[]}
+ */
+function toStringList(value, key, warnings) {
+  if (value == null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  const strings = [];
+  list.forEach((item) => {
+    if (typeof item !== 'string' && typeof item !== 'number') {
+      warnings.push(`"${key}" entries must be strings; one entry was skipped`);
+      return;
+    }
+    const text = String(item).trim();
+    if (text) strings.push(text.slice(0, MAX_ITEM_LENGTH));
+  });
+  if (strings.length > MAX_LIST_ITEMS) {
+    warnings.push(`"${key}" has more than ${MAX_LIST_ITEMS} entries; the rest were ignored`);
+  }
+  return strings.slice(0, MAX_LIST_ITEMS);
+}
+
+/**
+ * Validate parsed YAML and normalize it into the rules shape used by the extension.
+ * Invalid entries are skipped with a warning; a file that cannot be used at all produces errors.
+ * @param {any} raw
+ * @returns {{ rules: Object|null, errors: string[], warnings: string[] }}
+ */
+export function validateReviewRules(raw) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(raw)) {
+    errors.push('The rules file must be a mapping of settings (e.g. "ignore:", "focus:")');
+    return { rules: null, errors, warnings };
+  }
+  if (raw.version != null && raw.version !== SUPPORTED_VERSION) {
+    errors.push(`Unsupported rules file version ${raw.version} (expected ${SUPPORTED_VERSION})`);
+    return { rules: null, errors, warnings };
+  }
+  Object.keys(raw).filter((key) => !KNOWN_KEYS.includes(key)).forEach((key) => {
+    warnings.push(`Unknown setting "${key}" was ignored`);
+  });
+
+  const bannedApis = [];
+  (Array.isArray(raw.banned_apis) ? raw.banned_apis : raw.banned_apis == null ? [] : [raw.banned_apis]).forEach((entry) => {
+    const pattern = isPlainObject(entry) ? entry.pattern ?? entry.name : entry;
+    if (typeof pattern !== 'string' || !pattern.trim()) {
+      warnings.push('"banned_apis" entries need a "pattern"; one entry was skipped');
+      return;
+    }
+    const reason = isPlainObject(entry) && typeof entry.reason === 'string' ? entry.reason.trim().slice(0, MAX_ITEM_LENGTH) : '';
+    bannedApis.push({ pattern: pattern.trim().slice(0, MAX_ITEM_LENGTH), reason });
+  });
+
+  const severityOverrides = [];
+  (Array.isArray(raw.severity_overrides) ? raw.severity_overrides : raw.severity_overrides == null ? [] : [raw.severity_overrides]).forEach((entry) => {
+    const match = isPlainObject(entry) && typeof entry.match === 'string' ? entry.match.trim() : '';
+    const severity = isPlainObject(entry) && typeof entry.severity === 'string' ? entry.severity.trim().toLowerCase() : '';
+    if (!match || !OVERRIDE_SEVERITIES.includes(severity)) {
+      warnings.push(`"severity_overrides" entries need "match" and a severity of ${OVERRIDE_SEVERITIES.join(', ')}; one entry was skipped`);
+      return;
+    }
+    severityOverrides.push({ match: match.slice(0, MAX_ITEM_LENGTH), severity });
+  });
+
+  let instructions = '';
+  if (raw.instructions != null) {
+    if (typeof raw.instructions !== 'string') {
+      warnings.push('"instructions" must be text; it was ignored');
+    } else {
+      instructions = raw.instructions.trim();
+      if (instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+        warnings.push(`"instructions" is longer than ${MAX_INSTRUCTIONS_LENGTH} characters and was shortened`);
+        instructions = instructions.slice(0, MAX_INSTRUCTIONS_LENGTH);
+      }
+    }
+  }
+
+  const rules = {
+    ignore: toStringList(raw.ignore, 'ignore', warnings),
+    focus: toStringList(raw.focus, 'focus', warnings),
+    bannedApis: bannedApis.slice(0, MAX_LIST_ITEMS),
+    severityOverrides: severityOverrides.slice(0, MAX_LIST_ITEMS),
+    instructions
+  };
+  return { rules, errors, warnings };
+}
+
+/**
+ * Parse and validate the text of a rules file.
+ * @param {string} text
+ * @returns {{ rules: Object|null, errors: string[], warnings: string[] }}
+ */
+export function parseReviewRules(text) {
+  let raw;
+  try {
+    raw = parseReviewRulesYaml(text);
+  } catch (error) {
+    return { rules: null, errors: [error.message], warnings: [] };
+  }
+  if (raw == null) {
+    return { rules: null, errors: ['The rules file is empty'], warnings: [] };
+  }
+  return validateReviewRules(raw);
+}
+
+/**
+ * Remove the files matched by the rules' ignore globs from a patch.
+ * @param {string} patchContent
+ * @param {Object|null} rules - validateReviewRules() rules
+ * @returns {{ patch: string, ignoredFiles: string[] }}
+ */
+export function applyReviewRulesIgnore(patchContent, rules) {
+  if (!patchContent || !rules?.ignore?.length) {
+    return { patch: patchContent, ignoredFiles: [] };
+  }
+  const matchers = rules.ignore.map(globToRegExp);
+  const files = parsePatchFiles(patchContent);
+  if (files.length === 0) {
+    return { patch: patchContent, ignoredFiles: [] };
+  }
+
+  const ignoredFiles = [];
+  const kept = files.filter((file) => {
+    const path = file.filename.replace(/^\/+/, '');
+    if (matchers.some((matcher) => matcher.test(path))) {
+      ignoredFiles.push(file.filename);
+      return false;
+    }
+    return true;
+  });
+  if (ignoredFiles.length === 0) {
+    return { patch: patchContent, ignoredFiles };
+  }
+
+  // Keep any header before the first file (e.g. the Azure DevOps PR header)
+  const firstDiffIndex = patchContent.indexOf('diff --git');
+  const preamble = firstDiffIndex > 0 ? patchContent.slice(0, firstDiffIndex) : '';
+  return { patch: preamble + kept.map((file) => file.content).join('\n'), ignoredFiles };
+}
+
+/**
+ * Prompt section describing the repository rules, shared by all providers.
+ * @param {Object|null} rules
+ * @returns {string} Empty when the rules add nothing to the prompt
+ */
+export function buildReviewRulesPrompt(rules) {
+  if (!rules) return '';
+  const sections = [];
+  if (rules.focus.length > 0) {
+    sections.push(`Focus areas:\n${rules.focus.map((item) => `- ${item}`).join('\n')}`);
+  }
+  if (rules.bannedApis.length > 0) {
+    sections.push(`Banned APIs (report every new use as an issue):\n${rules.bannedApis
+      .map(({ pattern, reason }) => `- ${pattern}${reason ? ` (${reason})` : ''}`)
+      .join('\n')}`);
+  }
+  if (rules.severityOverrides.length > 0) {
+    sections.push(`Severity overrides:\n${rules.severityOverrides
+      .map(({ match, severity }) => `- Findings about "${match}" are ${severity} severity`)
+      .join('\n')}`);
+  }
+  if (rules.instructions) {
+    sections.push(`Additional instructions:\n${rules.instructions}`);
+  }
+  if (sections.length === 0) return '';
+  return `Repository review rules (from the repository's .thinkreview.yml). Follow them in addition to the instructions above:\n\n${sections.join('\n\n')}`;
+}
+
+/**
+ * Move severity-layout findings that match an override to the configured severity.
+ * Matching is a case-insensitive substring test on the finding title and description.
+ * @param {Object} review
+ * @param {Object|null} rules
+ * @returns {{ review: Object, overridden: number }}
+ */
+export function applyReviewRulesSeverityOverrides(review, rules) {
+  if (!review || !rules?.severityOverrides?.length) {
+    return { review, overridden: 0 };
+  }
+  const overrides = rules.severityOverrides.map((override) => ({ ...override, needle: override.match.toLowerCase() }));
+  const lists = Object.fromEntries(OVERRIDE_SEVERITIES.map((severity) => [severity, []]));
+  let overridden = 0;
+
+  OVERRIDE_SEVERITIES.forEach((severity) => {
+    const items = review[SEVERITY_FIELDS[severity]];
+    (Array.isArray(items) ? items : []).forEach((item) => {
+      const haystack = `${item?.title || ''}\n${item?.description || ''}`.toLowerCase();
+      const override = overrides.find(({ needle }) => haystack.includes(needle));
+      if (override && override.severity !== severity) {
+        lists[override.severity].push(item);
+        overridden++;
+      } else {
+        lists[severity].push(item);
+      }
+    });
+  });
+  if (overridden === 0) {
+    return { review, overridden };
+  }
+
+  const updated = { ...review };
+  OVERRIDE_SEVERITIES.forEach((severity) => {
+    if (Array.isArray(review[SEVERITY_FIELDS[severity]]) || lists[severity].length > 0) {
+      updated[SEVERITY_FIELDS[severity]] = lists[severity];
+    }
+  });
+  return { review: updated, overridden };
+}
+
+/**
+ * Short labels for the active rules (metadata bar).
+ * @param {Object|null} rules
+ * @returns {string[]}
+ */
+export function describeReviewRules(rules) {
+  if (!rules) return [];
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const labels = [];
+  if (rules.ignore.length > 0) labels.push(plural(rules.ignore.length, 'ignore glob'));
+  if (rules.focus.length > 0) labels.push(plural(rules.focus.length, 'focus area'));
+  if (rules.bannedApis.length > 0) labels.push(plural(rules.bannedApis.length, 'banned API'));
+  if (rules.severityOverrides.length > 0) labels.push(plural(rules.severityOverrides.length, 'severity override'));
+  if (rules.instructions) labels.push('custom instructions');
+  return labels;
+}
@@ -0,0 +1,63 @@
+// review-schema.js
+// Checks that a model's JSON review has the shape the review prompt asks for, so providers that
+// enforce the schema (Anthropic, Azure OpenAI) can ask the model to correct an answer once.
+
+const METRIC_FIELDS = ['overallScore', 'codeQuality', 'securityScore', 'bestPracticesScore'];
+const STRING_LIST_FIELDS = ['suggestions', 'securityIssues', 'suggestedQuestions'];
+const FINDING_STRING_FIELDS = ['title', 'severity', 'category'];
+
+/**
+ * @param {*} finding - One entry of "findings"
+ * @returns {boolean}
+ */
+function isValidFinding(finding) {
+  return Boolean(finding) && typeof finding === 'object' && !Array.isArray(finding)
+    && FINDING_STRING_FIELDS.every((field) => typeof finding[field] === 'string');
+}
+
+/**
+ * List what is wrong with a parsed review (empty when it matches the schema).
+ * @param {*} review - Parsed JSON answer
+ * @returns {string[]}
+ */
+export function findReviewSchemaProblems(review) {
+  if (!review || typeof review !== 'object' || Array.isArray(review)) {
+    return ['The answer must be a single JSON object.'];
+  }
+
+  const problems = [];
+  if (typeof review.summary !== 'string' || !review.summary.trim()) {
+    problems.push('"summary" must be a non-empty string.');
+  }
+  STRING_LIST_FIELDS.forEach((field) => {
+    if (!Array.isArray(review[field]) || review[field].some((item) => typeof item !== 'string')) {
+      problems.push(`"${field}" must be an array of strings.`);
+    }
+  });
+  if (!Array.isArray(review.findings) || !review.findings.every(isValidFinding)) {
+    problems.push('"findings" must be an array of objects with string "title", "severity" and "category".');
+  }
+  if (!review.metrics || typeof review.metrics !== 'object') {
+    problems.push('"metrics" must be an object with overallScore, codeQuality, securityScore and bestPracticesScore.');
+  } else {
+    METRIC_FIELDS.forEach((field) => {
+      const value = review.metrics[field];
+      if (typeof value !== 'number' || value < 0 || value > 100) {
+        problems.push(`"metrics.${field}" must be a number from 0 to 100.`);
+      }
+    });
+  }
+  return problems;
+}
+
+/**
+ * Follow-up message asking the model to fix its previous answer.
+ * @param {string[]} problems - findReviewSchemaProblems() result, or the JSON parse error
+ * @returns {string}
+ */
+export function buildReviewRepairPrompt(problems) {
+  return `Your previous answer does not match the required JSON structure:
+${problems.map((problem) => `- ${problem}`).join('\n')}
+
+Return the corrected review as ONLY valid JSON with the keys summary, suggestions, securityIssues, suggestedQuestions, findings, bestPractices and metrics. Do not include any text before or after the JSON.`;
+}
@@ -0,0 +1,282 @@
+// review-taxonomy.js
+// Severities and categories of review findings. Each severity the user defines belongs to one of
+// the three levels the review stores (criticalIssues, highIssues, lowIssues), so publishing, diff
+// annotations, exports and history keep working; findings are tagged with their severity and
+// category (given by the model or inferred from the text). The severity layout uses the tags for
+// its filter chips and grouping, the scorecard for the per-category scores, and the Ollama and
+// OpenAI-compatible prompts ask the model for them.
+// Settings are stored under reviewTaxonomySettings: { severities, categories, groupBy }.
+
+export const REVIEW_TAXONOMY_STORAGE_KEY = 'reviewTaxonomySettings';
+
+/** Levels from most to least severe, with the review field that stores them */
+export const SEVERITY_LEVELS = ['critical', 'high', 'low'];
+export const SEVERITY_LEVEL_FIELDS = Object.freeze({ critical: 'criticalIssues', high: 'highIssues', low: 'lowIssues' });
+
+export const GROUP_BY_OPTIONS = Object.freeze({ severity: 'Severity', file: 'File', category: 'Category' });
+
+export const MAX_SEVERITIES = 8;
+export const MAX_CATEGORIES = 12;
+
+/** Points a category score loses per finding of each level */
+const LEVEL_PENALTIES = { critical: 30, high: 15, low: 5 };
+
+export const DEFAULT_REVIEW_TAXONOMY = Object.freeze({
+  severities: Object.freeze([
+    Object.freeze({ id: 'critical', label: 'Critical', level: 'critical' }),
+    Object.freeze({ id: 'high', label: 'High', level: 'high' }),
+    Object.freeze({ id: 'low', label: 'Low', level: 'low' })
+  ]),
+  categories: Object.freeze([
+    Object.freeze({ id: 'security', label: 'Security' }),
+    Object.freeze({ id: 'performance', label: 'Performance' }),
+    Object.freeze({ id: 'correctness', label: 'Correctness' }),
+    Object.freeze({ id: 'style', label: 'Style' }),
+    Object.freeze({ id: 'tests', label: 'Tests' }),
+    Object.freeze({ id: 'docs', label: 'Docs' })
+  ]),
+  groupBy: 'severity'
+});
+
+/** Words that place an untagged finding in one of the default categories, checked in this order */
+const CATEGORY_KEYWORDS = [
+  ['security', /secur|inject|xss|csrf|secret|credential|password|token|auth[a-z]*\b|vulnerab|saniti[sz]|escap|permission|privilege/i],
+  ['performance', /perform|slow|latency|memory|leak|n\s*\+\s*1|cach|complexity|o\(n|allocat|inefficien|throughput|blocking/i],
+  ['tests', /\btests?\b|testing|coverage|assert|\bmock|\bspec\b|unit test/i],
+  ['docs', /document|\bdocs?\b|comment|readme|jsdoc|docstring|typo|changelog/i],
+  ['style', /style|naming|\bname\b|format|lint|readab|consisten|indent|long function|duplicat|dead code|unused|debug statement|console\.log/i]
+];
+
+/**
+ * @param {string} label
+ * @returns {string} Lowercase id made of letters, digits and dashes
+ */
+function slugify(label) {
+  return String(label).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * @param {Object|string} entry - { label, level } or "Label = level"
+ * @returns {{ id: string, label: string, level: string }|null}
+ */
+function normalizeSeverity(entry) {
+  let label;
+  let level;
+  if (typeof entry === 'string') {
+    [label, level] = entry.split('=').map((part) => part.trim());
+  } else if (entry && typeof entry === 'object') {
+    ({ label, level } = entry);
+  }
+  label = String(label || '').trim().slice(0, 30);
+  level = String(level || '').trim().toLowerCase();
+  const id = slugify(label);
+  return id && SEVERITY_LEVELS.includes(level) ? { id, label, level } : null;
+}
+
+/**
+ * @param {Object|string} entry - { label } or "Label"
+ * @returns {{ id: string, label: string }|null}
+ */
+function normalizeCategory(entry) {
+  const label = String((typeof entry === 'string' ? entry : entry?.label) || '').trim().slice(0, 30);
+  const id = slugify(label);
+  return id ? { id, label } : null;
+}
+
+/**
+ * @template T
+ * @param {Array<T & { id: string }>} entries
+ * @returns {T[]} The entries without repeated ids
+ */
+function uniqueById(entries) {
+  const seen = new Set();
+  return entries.filter((entry) => entry && !seen.has(entry.id) && seen.add(entry.id));
+}
+
+/**
+ * Fill in defaults and drop invalid values from stored taxonomy settings. Severities are ordered by
+ * level, and every level keeps at least one severity so each finding has one.
+ * @param {Object|null|undefined} settings
+ * @returns {{ severities: Array<{ id: string, label: string, level: string }>, categories: Array<{ id: string, label: string }>, groupBy: string }}
+ */
+export function normalizeReviewTaxonomy(settings) {
+  const raw = settings && typeof settings === 'object' ? settings : {};
+
+  let severities = uniqueById((Array.isArray(raw.severities) ? raw.severities : []).map(normalizeSeverity)).slice(0, MAX_SEVERITIES);
+  if (severities.length === 0) severities = DEFAULT_REVIEW_TAXONOMY.severities.map((severity) => ({ ...severity }));
+  SEVERITY_LEVELS.forEach((level) => {
+    if (!severities.some((severity) => severity.level === level)) {
+      const fallback = DEFAULT_REVIEW_TAXONOMY.severities.find((severity) => severity.level === level);
+      severities.push({ ...fallback, id: severities.some((severity) => severity.id === fallback.id) ? `${fallback.id}-level` : fallback.id });
+    }
+  });
+  severities.sort((a, b) => SEVERITY_LEVELS.indexOf(a.level) - SEVERITY_LEVELS.indexOf(b.level));
+
+  let categories = uniqueById((Array.isArray(raw.categories) ? raw.categories : []).map(normalizeCategory)).slice(0, MAX_CATEGORIES);
+  if (categories.length === 0) categories = DEFAULT_REVIEW_TAXONOMY.categories.map((category) => ({ ...category }));
+
+  return {
+    severities,
+    categories,
+    groupBy: Object.prototype.hasOwnProperty.call(GROUP_BY_OPTIONS, raw.groupBy) ? raw.groupBy : DEFAULT_REVIEW_TAXONOMY.groupBy
+  };
+}
+
+/**
+ * Read the taxonomy settings (the defaults where storage is not available).
+ * @returns {Promise<ReturnType<typeof normalizeReviewTaxonomy>>}
+ */
+export async function readReviewTaxonomy() {
+  try {
+    const stored = await chrome.storage.local.get([REVIEW_TAXONOMY_STORAGE_KEY]);
+    return normalizeReviewTaxonomy(stored[REVIEW_TAXONOMY_STORAGE_KEY]);
+  } catch (_) {
+    return normalizeReviewTaxonomy(null);
+  }
+}
+
+/**
+ * @param {Array<{ id: string, label: string }>} entries
+ * @param {*} value - Id or label given by the model
+ * @returns {string|null} Id of the matching entry
+ */
+function findTaxonomyId(entries, value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const id = slugify(value);
+  return entries.find((entry) => entry.id === id || slugify(entry.label) === id)?.id || null;
+}
+
+/**
+ * Category of a finding: its tag when it names a category of the taxonomy, otherwise guessed from
+ * the text (correctness, or the first category, when nothing matches).
+ * @param {Object|string} issue - Finding, or a plain string of the scoring layout
+ * @param {ReturnType<typeof normalizeReviewTaxonomy>} taxonomy
+ * @returns {string} Category id
+ */
+export function getFindingCategory(issue, taxonomy) {
+  const tagged = typeof issue === 'object' ? findTaxonomyId(taxonomy.categories, issue?.category) : null;
+  if (tagged) return tagged;
+  const text = typeof issue === 'string' ? issue : `${issue?.title || ''}\n${issue?.description || ''}`;
+  const known = new Set(taxonomy.categories.map((category) => category.id));
+  const match = CATEGORY_KEYWORDS.find(([id, regex]) => known.has(id) && regex.test(text));
+  if (match) return match[0];
+  return known.has('correctness') ? 'correctness' : taxonomy.categories[0].id;
+}
+
+/**
+ * Severity of a finding: its tag when it names a severity of the list's level, otherwise the
+ * first severity of that level (the review lists are the source of truth for the level).
+ * @param {Object} issue
+ * @param {string} level - critical, high or low
+ * @param {ReturnType<typeof normalizeReviewTaxonomy>} taxonomy
+ * @returns {string} Severity id
+ */
+export function getFindingSeverity(issue, level, taxonomy) {
+  const ofLevel = taxonomy.severities.filter((severity) => severity.level === level);
+  return findTaxonomyId(ofLevel, issue?.severity) || ofLevel[0].id;
+}
+
+/**
+ * The findings of the severity lists with their tags, in level order.
+ * @param {Object} review
+ * @param {ReturnType<typeof normalizeReviewTaxonomy>} taxonomy
+ * @returns {Array<{ issue: Object, level: string, index: number, itemId: string, severity: string, category: string }>}
+ *   itemId is the id of the finding's comment and diff annotation (issue-<level>-<index>)
+ */
+export function collectTaggedFindings(review, taxonomy) {
+  return SEVERITY_LEVELS.flatMap((level) => {
+    const issues = review?.[SEVERITY_LEVEL_FIELDS[level]];
+    return (Array.isArray(issues) ? issues : [])
+      .map((issue, index) => ({ issue, level, index }))
+      .filter(({ issue }) => issue && typeof issue === 'object')
+      .map((entry) => ({
+        ...entry,
+        itemId: `issue-${entry.level}-${entry.index}`,
+        severity: getFindingSeverity(entry.issue, entry.level, taxonomy),
+        category: getFindingCategory(entry.issue, taxonomy)
+      }));
+  });
+}
+
+/**
+ * Score per category: 100 minus a penalty per finding (by level). Reviews without severity lists
+ * (scoring layout of the cloud) count security issues as high and suggestions as low findings.
+ * @param {Object} review
+ * @param {ReturnType<typeof normalizeReviewTaxonomy>} taxonomy
+ * @returns {Array<{ id: string, label: string, score: number, count: number }>}
+ */
+export function buildCategoryScores(review, taxonomy) {
+  let findings = collectTaggedFindings(review, taxonomy).map(({ level, category }) => ({ level, category }));
+  if (findings.length === 0) {
+    const strings = (field) => (Array.isArray(review?.[field]) ? review[field].filter((item) => typeof item === 'string') : []);
+    const security = taxonomy.categories.some((category) => category.id === 'security') ? 'security' : null;
+    findings = [
+      ...strings('securityIssues').map((text) => ({ level: 'high', category: security || getFindingCategory(text, taxonomy) })),
+      ...strings('suggestions').map((text) => ({ level: 'low', category: getFindingCategory(text, taxonomy) }))
+    ];
+  }
+
+  return taxonomy.categories.map(({ id, label }) => {
+    const inCategory = findings.filter((finding) => finding.category === id);
+    const penalty = inCategory.reduce((total, finding) => total + LEVEL_PENALTIES[finding.level], 0);
+    return { id, label, score: Math.max(0, 100 - penalty), count: inCategory.length };
+  });
+}
+
+/**
+ * Review prompt parts asking the model for tagged findings.
+ * @param {ReturnType<typeof normalizeReviewTaxonomy>} taxonomy
+ * @returns {{ instruction: string, example: string }} The section description and its line of the JSON example
+ */
+export function buildTaxonomyPrompt(taxonomy) {
+  const severities = taxonomy.severities.map(({ id, level }) => `${id} (${level})`).join(', ');
+  const categories = taxonomy.categories.map(({ id }) => id).join(', ');
+  const example = {
+    title: 'Short title',
+    description: 'What is wrong and how to fix it',
+    severity: taxonomy.severities[0].id,
+    category: taxonomy.categories[0].id,
+    filePath: 'path/to/file.js',
+    startLine: 12,
+    endLine: 14
+  };
+  return {
+    instruction: `Findings: An array with one object per problem found in the patch, each with "title", "description", "severity" (one of: ${severities}), "category" (one of: ${categories}), "filePath", "startLine" and "endLine" (new-file line numbers from the patch). If none, this MUST be an empty array.`,
+    example: `"findings": [${JSON.stringify(example)}, ...]`
+  };
+}
+
+/**
+ * Sort the findings of a model answer into the severity lists of the review. A tag naming a level
+ * (critical, high, low) instead of a severity gets the first severity of that level; other unknown
+ * tags are low.
+ * @param {Array<Object>} findings - "findings" of the model answer
+ * @param {ReturnType<typeof normalizeReviewTaxonomy>} taxonomy
+ * @returns {{ criticalIssues: Object[], highIssues: Object[], lowIssues: Object[] }}
+ */
+export function toSeverityLists(findings, taxonomy) {
+  const lists = { criticalIssues: [], highIssues: [], lowIssues: [] };
+  (Array.isArray(findings) ? findings : []).forEach((finding) => {
+    if (!finding || typeof finding !== 'object' || !(finding.title || finding.description)) return;
+    const tagged = findTaxonomyId(taxonomy.severities, finding.severity);
+    const namedLevel = typeof finding.severity === 'string' ? slugify(finding.severity) : '';
+    const level = tagged
+      ? taxonomy.severities.find((entry) => entry.id === tagged).level
+      : SEVERITY_LEVELS.includes(namedLevel) ? namedLevel : 'low';
+    const issue = {
+      title: String(finding.title || finding.description).trim(),
+      description: String(finding.description || '').trim(),
+      severity: tagged || getFindingSeverity({}, level, taxonomy),
+      category: getFindingCategory(finding, taxonomy)
+    };
+    if (typeof finding.filePath === 'string' && finding.filePath.trim()) issue.filePath = finding.filePath.trim();
+    const startLine = Number(finding.startLine);
+    const endLine = Number(finding.endLine);
+    if (Number.isInteger(startLine) && startLine > 0) {
+      issue.startLine = startLine;
+      if (Number.isInteger(endLine) && endLine >= startLine) issue.endLine = endLine;
+    }
+    lists[SEVERITY_LEVEL_FIELDS[level]].push(issue);
+  });
+  return lists;
+}
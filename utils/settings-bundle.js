@@ -0,0 +1,529 @@
+// settings-bundle.js
+// Team settings bundle: the extension configuration exported as a versioned JSON file and imported
+// on another machine (popup "Import / Export Settings"). Tokens and API keys are left out unless the
+// user includes them, in which case they are encrypted with a passphrase (AES-GCM, PBKDF2 key).
+//
+// Bundle:
+//   { format: 'thinkreview-settings', version: 1, exportedAt, extensionVersion,
+//     settings: { <storage key>: value },
+//     secrets?: { algorithm, kdf, iterations, salt, iv, ciphertext } }  // encrypted { keys, fields }
+
+import { normalizePatchFilterSettings } from './patch-filter.js';
+import { normalizeExpandedContextSettings } from './expanded-context.js';
+import { normalizePrivacyGuardSettings } from './privacy-guard.js';
+import { normalizeStaticRulesSettings } from './static-rules.js';
+import { normalizeReviewTaxonomy } from './review-taxonomy.js';
+import { normalizeProviderFallbackSettings } from './provider-fallback.js';
+import { normalizeLocalAgents } from './local-agents.js';
+import { normalizeIdeAssistTarget } from './ide-integration/ide-assist-preference.js';
+import { normalizeOpenAICompatibleBaseUrl, getOpenAICompatibleOriginPattern } from './openai-compatible.js';
+import { normalizeAzureOpenAIEndpoint, getAzureOpenAIOriginPattern } from './azure-openai.js';
+import { ANTHROPIC_ORIGINS } from './anthropic.js';
+
+export const SETTINGS_BUNDLE_FORMAT = 'thinkreview-settings';
+export const SETTINGS_BUNDLE_VERSION = 1;
+
+const MAX_DOMAINS = 50;
+const MAX_STRING_LENGTH = 2000;
+const PBKDF2_ITERATIONS = 250000;
+/** Imported bundles asking for more iterations are refused (the key derivation would hang the popup) */
+const MAX_PBKDF2_ITERATIONS = PBKDF2_ITERATIONS * 10;
+const AI_PROVIDERS = ['cloud', 'self-hosted', 'ollama', 'openai-compatible', 'openrouter', 'anthropic', 'azure-openai'];
+const PANEL_TEXT_SIZES = ['small', 'medium', 'large', 'x-large'];
+const MASKED_SECRET = '••••••••';
+
+/**
+ * Error raised for a bundle that cannot be read or decrypted.
+ */
+export class SettingsBundleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SettingsBundleError';
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function requireString(value) {
+  if (typeof value !== 'string') throw new SettingsBundleError('expected text');
+  return value.trim().slice(0, MAX_STRING_LENGTH);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function requireBoolean(value) {
+  if (typeof value !== 'boolean') throw new SettingsBundleError('expected true or false');
+  return value;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {Object}
+ */
+function requireObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) throw new SettingsBundleError('expected an object');
+  return value;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number|undefined}
+ */
+function optionalNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new SettingsBundleError('expected a number');
+  return number;
+}
+
+/**
+ * Keep the listed fields of a config object, as text unless a converter is given.
+ * @param {unknown} value
+ * @param {Object<string, Function|null>} fields
+ * @returns {Object}
+ */
+function pickFields(value, fields) {
+  const raw = requireObject(value);
+  const result = {};
+  for (const [field, convert] of Object.entries(fields)) {
+    if (raw[field] === undefined) continue;
+    const converted = convert ? convert(raw[field]) : requireString(raw[field]);
+    if (converted !== undefined) result[field] = converted;
+  }
+  return result;
+}
+
+/**
+ * Domains as entered in the popup ('gitlab.acme.com' or 'https://gitlab.acme.com').
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function domainList(value) {
+  if (!Array.isArray(value)) throw new SettingsBundleError('expected a list of domains');
+  if (value.length > MAX_DOMAINS) throw new SettingsBundleError(`more than ${MAX_DOMAINS} domains`);
+  return value.map((domain) => {
+    const trimmed = requireString(domain);
+    try {
+      new URL(/^https?:\/\//.test(trimmed) ? trimmed : `https://${trimmed}`);
+    } catch {
+      throw new SettingsBundleError(`invalid domain "${trimmed}"`);
+    }
+    return trimmed;
+  });
+}
+
+/**
+ * @param {unknown} value
+ * @returns {Object<string, string>} Tokens by host or origin
+ */
+function tokenMap(value) {
+  const raw = requireObject(value);
+  const result = {};
+  for (const [host, token] of Object.entries(raw)) {
+    result[requireString(host)] = requireString(token);
+  }
+  return result;
+}
+
+/**
+ * @param {Array<string>} allowed
+ * @returns {(value: unknown) => string}
+ */
+function oneOf(allowed) {
+  return (value) => {
+    if (!allowed.includes(value)) throw new SettingsBundleError(`expected one of ${allowed.join(', ')}`);
+    return value;
+  };
+}
+
+/**
+ * Settings of the bundle, by storage key. validate returns the value to store or throws.
+ * secretFields are removed on export unless secrets are included.
+ */
+const SETTINGS_FIELDS = {
+  gitlabDomains: { label: 'GitLab domains', validate: domainList },
+  githubEnterpriseDomains: { label: 'GitHub Enterprise domains', validate: domainList },
+  azureDevOpsDomains: { label: 'Azure DevOps domains', validate: domainList },
+  bitbucketDataCenterDomains: { label: 'Bitbucket Data Center domains', validate: domainList },
+  bitbucketAllowed: { label: 'Bitbucket Cloud enabled', validate: requireBoolean },
+  gitlabApiMode: { label: 'GitLab API mode', validate: requireBoolean },
+  aiProvider: { label: 'AI provider', validate: oneOf(AI_PROVIDERS) },
+  ollamaConfig: {
+    label: 'Ollama',
+    validate: (value) => pickFields(value, {
+      url: null, model: null, temperature: optionalNumber, top_p: optionalNumber, top_k: optionalNumber, OllamaModelcontextLength: optionalNumber
+    })
+  },
+  openrouterConfig: { label: 'OpenRouter', secretFields: ['apiKey'], validate: (value) => pickFields(value, { apiKey: null, model: null }) },
+  openaiCompatibleConfig: {
+    label: 'OpenAI-compatible server',
+    secretFields: ['apiKey'],
+    endpointField: 'baseUrl',
+    validate: (value) => {
+      const config = pickFields(value, { baseUrl: null, apiKey: null, model: null, contextLength: optionalNumber });
+      if (config.baseUrl !== undefined) {
+        config.baseUrl = normalizeOpenAICompatibleBaseUrl(config.baseUrl);
+        if (config.baseUrl === null) throw new SettingsBundleError('invalid server URL');
+      }
+      return config;
+    }
+  },
+  anthropicConfig: { label: 'Anthropic', secretFields: ['apiKey'], validate: (value) => pickFields(value, { apiKey: null, model: null }) },
+  azureOpenAIConfig: {
+    label: 'Azure OpenAI',
+    secretFields: ['apiKey'],
+    endpointField: 'endpoint',
+    validate: (value) => {
+      const config = pickFields(value, { endpoint: null, apiKey: null, deployment: null, apiVersion: null });
+      if (config.endpoint !== undefined) {
+        config.endpoint = normalizeAzureOpenAIEndpoint(config.endpoint);
+        if (config.endpoint === null) throw new SettingsBundleError('invalid endpoint (https only)');
+      }
+      return config;
+    }
+  },
+  providerFallback: { label: 'Provider fallback', validate: (value) => normalizeProviderFallbackSettings(requireObject(value)) },
+  gatewayBaseUrl: { label: 'Self-hosted gateway URL', validate: requireString },
+  'code-review-format': { label: 'Review format', validate: oneOf(['severity', 'scoring']) },
+  'code-review-language': { label: 'Review language', validate: requireString },
+  reviewIdeAssistTarget: { label: 'IDE assist target', validate: (value) => normalizeIdeAssistTarget(requireString(value)) },
+  reviewLayoutSettings: {
+    label: 'Panel layout',
+    validate: (value) => pickFields(value, { triggerMode: null, buttonPosition: null, panelMode: null, sidebarSide: null })
+  },
+  panelTextSize: { label: 'Panel text size', validate: oneOf(PANEL_TEXT_SIZES) },
+  autoStartReview: { label: 'Start reviews automatically', validate: requireBoolean },
+  diffAnnotationsEnabled: { label: 'Diff annotations', validate: requireBoolean },
+  gitlabInjectionEnabled: { label: 'GitLab suggestion injection', validate: requireBoolean },
+  patchFilterSettings: { label: 'Patch filter', validate: (value) => normalizePatchFilterSettings(requireObject(value)) },
+  expandedContextSettings: { label: 'Expanded context', validate: (value) => normalizeExpandedContextSettings(requireObject(value)) },
+  staticRulesSettings: { label: 'Static checks', validate: (value) => normalizeStaticRulesSettings(requireObject(value)) },
+  privacyGuardSettings: { label: 'Privacy guard', validate: (value) => normalizePrivacyGuardSettings(requireObject(value)) },
+  reviewTaxonomySettings: { label: 'Review taxonomy', validate: (value) => normalizeReviewTaxonomy(requireObject(value)) },
+  localReviewAgents: {
+    label: 'Local review agents',
+    validate: (value) => {
+      if (!Array.isArray(value)) throw new SettingsBundleError('expected a list of agents');
+      return normalizeLocalAgents(value);
+    }
+  }
+};
+
+/** Tokens stored on their own; only exported encrypted */
+const SECRET_KEYS = {
+  githubTokens: { label: 'GitHub tokens', validate: tokenMap },
+  gitlabTokens: { label: 'GitLab tokens', validate: tokenMap },
+  azureDevOpsToken: { label: 'Azure DevOps token', validate: requireString },
+  bitbucketToken: { label: 'Bitbucket Cloud token', validate: requireString },
+  bitbucketEmail: { label: 'Bitbucket Cloud email', validate: requireString },
+  bitbucketDataCenterToken: { label: 'Bitbucket Data Center token', validate: requireString }
+};
+
+/** Storage keys read for an export or to preview an import */
+export const SETTINGS_BUNDLE_STORAGE_KEYS = [...Object.keys(SETTINGS_FIELDS), ...Object.keys(SECRET_KEYS)];
+
+/**
+ * @param {string} key
+ * @returns {string}
+ */
+export function getSettingLabel(key) {
+  return SETTINGS_FIELDS[key]?.label || SECRET_KEYS[key]?.label || key;
+}
+
+// ---- Encryption (Web Crypto, available in the popup and in Node 20) ----
+
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * @param {Object} secrets - { keys, fields }
+ * @param {string} passphrase
+ * @returns {Promise<Object>} Encrypted envelope stored in bundle.secrets
+ */
+async function encryptSecrets(secrets, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(secrets)));
+  return {
+    algorithm: 'AES-GCM',
+    kdf: 'PBKDF2-SHA256',
+    iterations: PBKDF2_ITERATIONS,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    ciphertext: toBase64(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypt and validate the secrets of a bundle.
+ * @param {Object} envelope - bundle.secrets
+ * @param {string} passphrase
+ * @returns {Promise<{ keys: Object, fields: Object }>}
+ * @throws {SettingsBundleError} Wrong passphrase or damaged data
+ */
+export async function decryptSettingsBundleSecrets(envelope, passphrase) {
+  if (!passphrase) throw new SettingsBundleError('Enter the passphrase used for the export.');
+  let secrets;
+  try {
+    const key = await deriveKey(passphrase, fromBase64(envelope.salt), envelope.iterations);
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.ciphertext));
+    secrets = JSON.parse(new TextDecoder().decode(plaintext));
+  } catch {
+    throw new SettingsBundleError('The passphrase is wrong or the secrets are damaged.');
+  }
+
+  const keys = {};
+  for (const [key, value] of Object.entries(secrets?.keys || {})) {
+    if (!SECRET_KEYS[key]) continue;
+    try {
+      keys[key] = SECRET_KEYS[key].validate(value);
+    } catch {
+      /* skipped like an invalid setting */
+    }
+  }
+  const fields = {};
+  for (const [key, values] of Object.entries(secrets?.fields || {})) {
+    const allowed = SETTINGS_FIELDS[key]?.secretFields || [];
+    const picked = {};
+    allowed.forEach((field) => {
+      if (typeof values?.[field] === 'string') picked[field] = values[field];
+    });
+    if (Object.keys(picked).length > 0) fields[key] = picked;
+  }
+  return { keys, fields };
+}
+
+// ---- Export ----
+
+/**
+ * Build the bundle from the stored settings.
+ * @param {Object} storage - SETTINGS_BUNDLE_STORAGE_KEYS read from chrome.storage.local
+ * @param {{ passphrase?: string, extensionVersion?: string, exportedAt?: string }} [options]
+ *   With a passphrase, tokens and API keys are included encrypted
+ * @returns {Promise<Object>}
+ */
+export async function buildSettingsBundle(storage, { passphrase = '', extensionVersion = '', exportedAt = new Date().toISOString() } = {}) {
+  const settings = {};
+  const secrets = { keys: {}, fields: {} };
+
+  for (const [key, field] of Object.entries(SETTINGS_FIELDS)) {
+    if (storage?.[key] === undefined) continue;
+    let value;
+    try {
+      value = field.validate(storage[key]);
+    } catch {
+      continue;
+    }
+    if (field.secretFields && value && typeof value === 'object') {
+      value = { ...value };
+      const removed = {};
+      field.secretFields.forEach((name) => {
+        if (value[name]) removed[name] = value[name];
+        delete value[name];
+      });
+      if (Object.keys(removed).length > 0) secrets.fields[key] = removed;
+    }
+    settings[key] = value;
+  }
+  for (const key of Object.keys(SECRET_KEYS)) {
+    if (storage?.[key]) secrets.keys[key] = storage[key];
+  }
+
+  const bundle = { format: SETTINGS_BUNDLE_FORMAT, version: SETTINGS_BUNDLE_VERSION, exportedAt, extensionVersion, settings };
+  if (passphrase) {
+    bundle.secrets = await encryptSecrets(secrets, passphrase);
+  }
+  return bundle;
+}
+
+// ---- Import ----
+
+/**
+ * Read and validate a bundle file. Invalid or unknown settings are skipped and reported.
+ * @param {string} text
+ * @returns {{ settings: Object, secrets: Object|null, skipped: Array<{ key: string, reason: string }>, exportedAt: string|null, extensionVersion: string|null }}
+ * @throws {SettingsBundleError} When the file is not a settings bundle this version can read
+ */
+export function parseSettingsBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch {
+    throw new SettingsBundleError('The file is not valid JSON.');
+  }
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== SETTINGS_BUNDLE_FORMAT) {
+    throw new SettingsBundleError('The file is not a ThinkReview settings bundle.');
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    throw new SettingsBundleError('The settings bundle has no valid version.');
+  }
+  if (bundle.version > SETTINGS_BUNDLE_VERSION) {
+    throw new SettingsBundleError(`The settings bundle was made by a newer version of the extension (bundle version ${bundle.version}). Update the extension to import it.`);
+  }
+  if (!bundle.settings || typeof bundle.settings !== 'object' || Array.isArray(bundle.settings)) {
+    throw new SettingsBundleError('The settings bundle has no settings.');
+  }
+
+  const settings = {};
+  const skipped = [];
+  for (const [key, value] of Object.entries(bundle.settings)) {
+    const field = SETTINGS_FIELDS[key];
+    if (!field) {
+      skipped.push({ key, reason: 'unknown setting' });
+      continue;
+    }
+    try {
+      settings[key] = field.validate(value);
+      (field.secretFields || []).forEach((name) => { delete settings[key][name]; });
+    } catch (error) {
+      skipped.push({ key, reason: error.message });
+    }
+  }
+
+  const envelope = bundle.secrets;
+  const hasSecrets = envelope && typeof envelope === 'object'
+    && ['salt', 'iv', 'ciphertext'].every((name) => typeof envelope[name] === 'string')
+    && Number.isInteger(envelope.iterations) && envelope.iterations > 0 && envelope.iterations <= MAX_PBKDF2_ITERATIONS;
+  if (envelope && !hasSecrets) skipped.push({ key: 'secrets', reason: 'damaged encrypted secrets' });
+
+  return {
+    settings,
+    secrets: hasSecrets ? envelope : null,
+    skipped,
+    exportedAt: typeof bundle.exportedAt === 'string' ? bundle.exportedAt : null,
+    extensionVersion: typeof bundle.extensionVersion === 'string' ? bundle.extensionVersion : null
+  };
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string} Short text for the diff preview
+ */
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') return '(not set)';
+  if (typeof value === 'boolean') return value ? 'On' : 'Off';
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '(none)';
+    return value.map((item) => (item && typeof item === 'object' ? item.name || JSON.stringify(item) : String(item))).join(', ');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Compare the bundle with the stored settings. Secret fields the bundle does not bring are kept,
+ * so importing a bundle without secrets never clears a saved API key, unless the bundle points the
+ * same config at another endpoint (the key would be sent there).
+ * @param {Object} current - SETTINGS_BUNDLE_STORAGE_KEYS read from chrome.storage.local
+ * @param {{ settings: Object }} parsed - from parseSettingsBundle
+ * @param {{ keys: Object, fields: Object }|null} [secrets] - from decryptSettingsBundleSecrets
+ * @returns {{ updates: Object, changes: Array<{ key: string, label: string, before: string, after: string }> }}
+ *   updates is written to chrome.storage.local; changes lists what the preview shows (secrets masked)
+ */
+export function planSettingsImport(current, parsed, secrets = null) {
+  const updates = {};
+  const changes = [];
+  const addChange = (key, path, before, after, secret = false) => {
+    changes.push({
+      key,
+      label: path ? `${getSettingLabel(key)} › ${path}` : getSettingLabel(key),
+      before: secret ? (before ? MASKED_SECRET : '(not set)') : formatValue(before),
+      after: secret ? (after ? MASKED_SECRET : '(cleared)') : formatValue(after)
+    });
+  };
+
+  for (const [key, incoming] of Object.entries(parsed.settings)) {
+    const field = SETTINGS_FIELDS[key];
+    const before = current?.[key];
+    let value = incoming;
+    if (field.secretFields) {
+      value = { ...incoming };
+      const endpointChanged = Boolean(field.endpointField) && incoming[field.endpointField] !== undefined
+        && !sameValue(before?.[field.endpointField], incoming[field.endpointField]);
+      field.secretFields.forEach((name) => {
+        const imported = secrets?.fields?.[key]?.[name];
+        if (imported) value[name] = imported;
+        else if (before?.[name] && !endpointChanged) value[name] = before[name];
+      });
+    }
+    if (sameValue(before, value)) continue;
+    updates[key] = value;
+
+    const isConfigObject = value && typeof value === 'object' && !Array.isArray(value) && (!before || typeof before === 'object');
+    if (isConfigObject) {
+      const names = new Set([...Object.keys(before || {}), ...Object.keys(value)]);
+      names.forEach((name) => {
+        if (sameValue(before?.[name], value[name])) return;
+        addChange(key, name, before?.[name], value[name], (field.secretFields || []).includes(name));
+      });
+    } else {
+      addChange(key, null, before, value);
+    }
+  }
+
+  for (const [key, value] of Object.entries(secrets?.keys || {})) {
+    if (sameValue(current?.[key], value)) continue;
+    updates[key] = value;
+    addChange(key, null, current?.[key], value, key !== 'bitbucketEmail');
+  }
+
+  return { updates, changes };
+}
+
+/**
+ * Host permissions the imported settings need (platform domains and provider endpoints).
+ * Requested by the popup before the settings are written.
+ * @param {Object} updates - from planSettingsImport
+ * @returns {string[]} Origin patterns
+ */
+export function getSettingsBundleOrigins(updates) {
+  const origins = new Set();
+  const addDomain = (domain) => {
+    try {
+      const url = new URL(/^https?:\/\//.test(domain) ? domain : `https://${domain}`);
+      origins.add(`${url.protocol}//${url.host}/*`);
+    } catch {
+      /* validated on parse */
+    }
+  };
+  ['gitlabDomains', 'githubEnterpriseDomains', 'azureDevOpsDomains', 'bitbucketDataCenterDomains'].forEach((key) => {
+    (updates[key] || []).forEach(addDomain);
+  });
+  if (updates.bitbucketAllowed === true) origins.add('https://bitbucket.org/*');
+  if (updates.openaiCompatibleConfig?.baseUrl) origins.add(getOpenAICompatibleOriginPattern(updates.openaiCompatibleConfig.baseUrl));
+  if (updates.azureOpenAIConfig?.endpoint) origins.add(getAzureOpenAIOriginPattern(updates.azureOpenAIConfig.endpoint));
+  if (updates.anthropicConfig?.apiKey) ANTHROPIC_ORIGINS.forEach((origin) => origins.add(origin));
+  return [...origins];
+}
@@ -0,0 +1,341 @@
+// static-rules.js
+// Deterministic checks run on the added lines of the patch before the AI review: committed secrets,
+// debug statements, TODOs without a ticket, merge conflict markers and very long added functions.
+// Findings are merged into the severity lists of the review with source: 'rule' (shown with a Rule
+// badge) and can be listed in the prompt so the model does not report them again.
+// Settings are stored under staticRulesSettings: { enabled, disabledRules, maxFunctionLines, sendToModel }.
+// Other modules can add checks with registerStaticRule().
+
+import { parsePatchFiles } from './patch-filter.js';
+import { createRedactionSession, REDACTION_TYPE_LABELS } from './privacy-guard.js';
+
+export const STATIC_RULES_STORAGE_KEY = 'staticRulesSettings';
+
+export const MIN_FUNCTION_LINES = 20;
+export const MAX_FUNCTION_LINES = 1000;
+/** Findings kept per rule, so one noisy rule cannot flood the review */
+export const MAX_FINDINGS_PER_RULE = 25;
+
+export const DEFAULT_STATIC_RULES_SETTINGS = Object.freeze({
+  enabled: true,
+  disabledRules: Object.freeze([]),
+  maxFunctionLines: 80,
+  sendToModel: true
+});
+
+/** Review field of each finding severity */
+const SEVERITY_FIELDS = { critical: 'criticalIssues', high: 'highIssues', low: 'lowIssues' };
+
+const HUNK_HEADER_REGEX = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+/**
+ * @param {string} text
+ * @returns {number} Width of the leading whitespace (tabs count as one)
+ */
+function indentation(text) {
+  return text.match(/^\s*/)[0].length;
+}
+
+/**
+ * Lines of an added function: braces are counted for C-like languages, indentation for Python.
+ * Only consecutive added lines are counted (the function is new code).
+ * @param {Array<{ line: number, text: string }>} addedLines
+ * @param {number} start - Index of the line that declares the function
+ * @returns {number} Index of the last line of the function within the run of added lines
+ */
+function findFunctionEnd(addedLines, start) {
+  const isConsecutive = (index) => index === start || addedLines[index].line === addedLines[index - 1].line + 1;
+  const declaration = addedLines[start].text;
+
+  if (/^\s*(?:async\s+)?def\s/.test(declaration)) {
+    const baseIndent = indentation(declaration);
+    let end = start;
+    for (let index = start + 1; index < addedLines.length && isConsecutive(index); index++) {
+      const { text } = addedLines[index];
+      if (text.trim() && indentation(text) <= baseIndent) break;
+      end = index;
+    }
+    return end;
+  }
+
+  let depth = 0;
+  let opened = false;
+  for (let index = start; index < addedLines.length && isConsecutive(index); index++) {
+    // Braces inside strings and comments are rare enough to ignore here
+    for (const char of addedLines[index].text) {
+      if (char === '{') {
+        depth++;
+        opened = true;
+      } else if (char === '}') {
+        depth--;
+      }
+    }
+    if (opened && depth <= 0) return index;
+    if (!opened && index > start + 2) return start;
+  }
+  return opened ? addedLines.length - 1 : start;
+}
+
+const FUNCTION_DECLARATION_REGEXES = [
+  /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([\w$]*)\s*\(/,
+  /^\s*(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/,
+  /^\s*(?:async\s+)?def\s+(\w+)\s*\(/,
+  /^\s*func\s+(?:\([^)]*\)\s*)?(\w+)\s*\(/,
+  /^\s*(?:(?:public|private|protected|internal|static|final|override|virtual|async|abstract)\s+)+[\w<>[\],\s]+?\s+(\w+)\s*\([^;]*$/,
+  /^\s*(?:static\s+|async\s+|get\s+|set\s+)*(?!(?:if|for|while|switch|catch|return|else|do|try)\b)([\w$]+)\s*\([^;'"`]*\)\s*\{\s*$/
+];
+
+/**
+ * @param {string} text - Added line
+ * @returns {string|null} Name of the function it declares ('' when anonymous), null when it declares none
+ */
+function matchFunctionDeclaration(text) {
+  for (const regex of FUNCTION_DECLARATION_REGEXES) {
+    const match = text.match(regex);
+    if (match) return match[1] || '';
+  }
+  return null;
+}
+
+const BUILT_IN_RULES = [
+  {
+    id: 'committed-secret',
+    label: 'Committed secret',
+    severity: 'critical',
+    category: 'security',
+    check: ({ addedLines }) => {
+      // The privacy guard detectors, without email addresses (not a finding)
+      const scanner = createRedactionSession({ detectors: { emails: false } });
+      const findings = [];
+      // Scanned as one hunk so private key blocks spanning several lines are found
+      const hunk = `@@ -0,0 +1,${addedLines.length} @@\n${addedLines.map(({ text }) => `+${text}`).join('\n')}`;
+      scanner.redactPatch(hunk).items.forEach((item) => {
+        const { line } = addedLines[item.line - 1];
+        // One finding per line
+        if (findings.some((finding) => finding.startLine === line)) return;
+        const label = REDACTION_TYPE_LABELS[item.type];
+        findings.push({
+          startLine: line,
+          title: `${label} committed to the code`,
+          description: `Line ${line} adds what looks like a ${label.toLowerCase()} (${item.preview}). Remove it, rotate it, and read it from the environment or a secret store instead.`
+        });
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'merge-conflict-marker',
+    label: 'Merge conflict marker',
+    severity: 'critical',
+    category: 'correctness',
+    check: ({ addedLines }) => {
+      // ======= alone is also a heading underline (Markdown, reStructuredText): only counted after a <<<<<<< marker
+      let conflictOpened = false;
+      return addedLines.filter(({ text }) => {
+        if (/^<{7}(?: |$)/.test(text)) conflictOpened = true;
+        return /^(?:<{7}(?: |$)|>{7}(?: |$))/.test(text) || (conflictOpened && /^(?:={7}$|\|{7}(?: |$))/.test(text));
+      }).map(({ line, text }) => ({
+        startLine: line,
+        title: 'Unresolved merge conflict marker',
+        description: `Line ${line} adds \`${text.slice(0, 7)}\`; the merge conflict was not resolved.`
+      }));
+    }
+  },
+  {
+    id: 'long-function',
+    label: 'Long function',
+    severity: 'high',
+    category: 'style',
+    check: ({ addedLines, settings }) => {
+      const findings = [];
+      for (let index = 0; index < addedLines.length; index++) {
+        const name = matchFunctionDeclaration(addedLines[index].text);
+        if (name === null) continue;
+        const end = findFunctionEnd(addedLines, index);
+        const length = addedLines[end].line - addedLines[index].line + 1;
+        if (length > settings.maxFunctionLines) {
+          findings.push({
+            startLine: addedLines[index].line,
+            endLine: addedLines[end].line,
+            title: `Long function added${name ? `: ${name}` : ''}`,
+            description: `This new function is ${length} lines long (limit ${settings.maxFunctionLines}). Split it into smaller functions that each do one thing.`
+          });
+        }
+        // Functions nested in a long one are part of the same finding
+        if (end > index) index = end;
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'debug-statement',
+    label: 'Debug statement',
+    severity: 'low',
+    category: 'style',
+    check: ({ addedLines, filePath }) => (/(?:^|\/)(?:scripts?|bin|cli)\//.test(filePath)
+      ? []
+      : addedLines
+        .filter(({ text }) => /^\s*(?:console\.(?:log|debug|trace|dir)\s*\(|debugger\s*;?\s*$|(?:import\s+pdb\s*;\s*)?pdb\.set_trace\(\)|breakpoint\(\)\s*$|var_dump\s*\(|binding\.pry\b)/.test(text))
+        .map(({ line, text }) => ({
+          startLine: line,
+          title: 'Debug statement left in',
+          description: `Line ${line} adds \`${text.trim().slice(0, 60)}\`. Remove it or use the project's logger.`
+        })))
+  },
+  {
+    id: 'todo-without-ticket',
+    label: 'TODO without ticket',
+    severity: 'low',
+    category: 'docs',
+    check: ({ addedLines }) => addedLines
+      .filter(({ text }) => {
+        const match = text.match(/(?:\/\/|#|\/\*|\*|--|<!--)\s*(TODO|FIXME|XXX|HACK)\b(.*)$/);
+        // A ticket key (ABC-123), an issue number (#123) or a link counts as a ticket
+        return match && !/\b[A-Z][A-Z0-9]{1,9}-\d+\b|#\d+\b|https?:\/\//.test(match[2]);
+      })
+      .map(({ line, text }) => ({
+        startLine: line,
+        title: 'TODO without a ticket',
+        description: `Line ${line} adds \`${text.trim().slice(0, 80)}\` without a ticket reference. Link an issue so the follow-up is tracked.`
+      }))
+  }
+];
+
+const registeredRules = [...BUILT_IN_RULES];
+
+/**
+ * Add a check to the engine.
+ * @param {{ id: string, label: string, severity: 'critical'|'high'|'low', category?: string,
+ *   check: (file: { filePath: string, addedLines: Array<{ line: number, text: string }>, settings: Object }) =>
+ *     Array<{ startLine: number, endLine?: number, title: string, description: string }> }} rule
+ */
+export function registerStaticRule(rule) {
+  if (!rule?.id || typeof rule.check !== 'function' || !SEVERITY_FIELDS[rule.severity]) {
+    throw new Error('A static rule needs an id, a severity (critical, high or low) and a check function');
+  }
+  if (registeredRules.some((existing) => existing.id === rule.id)) {
+    throw new Error(`A static rule with id "${rule.id}" is already registered`);
+  }
+  registeredRules.push(rule);
+}
+
+/**
+ * @returns {Array<{ id: string, label: string, severity: string }>} The registered rules
+ */
+export function listStaticRules() {
+  return registeredRules.map(({ id, label, severity }) => ({ id, label, severity }));
+}
+
+/**
+ * Fill in defaults and drop invalid values from stored static rules settings.
+ * @param {Object|null|undefined} settings
+ * @returns {typeof DEFAULT_STATIC_RULES_SETTINGS}
+ */
+export function normalizeStaticRulesSettings(settings) {
+  const raw = settings && typeof settings === 'object' ? settings : {};
+  const maxFunctionLines = Math.round(Number(raw.maxFunctionLines));
+  return {
+    enabled: raw.enabled !== false,
+    disabledRules: Array.isArray(raw.disabledRules)
+      ? [...new Set(raw.disabledRules.filter((id) => typeof id === 'string' && id))]
+      : [],
+    maxFunctionLines: Number.isFinite(maxFunctionLines)
+      ? Math.min(MAX_FUNCTION_LINES, Math.max(MIN_FUNCTION_LINES, maxFunctionLines))
+      : DEFAULT_STATIC_RULES_SETTINGS.maxFunctionLines,
+    sendToModel: raw.sendToModel !== false
+  };
+}
+
+/**
+ * @param {string} fileContent - One file of parsePatchFiles()
+ * @returns {Array<{ line: number, text: string }>} Added lines with their new-file line numbers
+ */
+function listAddedLines(fileContent) {
+  const added = [];
+  let newLine = 0;
+  let inHunk = false;
+  for (const line of fileContent.split('\n')) {
+    const header = line.match(HUNK_HEADER_REGEX);
+    if (header) {
+      newLine = parseInt(header[1], 10);
+      inHunk = true;
+      continue;
+    }
+    if (!inHunk || line.startsWith('\\') || line.startsWith('-')) continue;
+    if (line.startsWith('+')) {
+      added.push({ line: newLine, text: line.slice(1) });
+      newLine++;
+    } else if (line.startsWith(' ') || line === '') {
+      newLine++;
+    } else {
+      inHunk = false;
+    }
+  }
+  return added;
+}
+
+/**
+ * Run the enabled rules on the added lines of a patch.
+ * @param {string} patchContent - Filtered patch that will be reviewed
+ * @param {Object} settings - staticRulesSettings (normalized here)
+ * @returns {Array<{ ruleId: string, ruleLabel: string, severity: string, category?: string, source: 'rule', title: string,
+ *   description: string, filePath: string, startLine: number, endLine?: number }>} category is a category id of
+ *   utils/review-taxonomy.js
+ */
+export function runStaticRules(patchContent, settings) {
+  const normalized = normalizeStaticRulesSettings(settings);
+  if (!normalized.enabled) return [];
+  const rules = registeredRules.filter((rule) => !normalized.disabledRules.includes(rule.id));
+  const files = parsePatchFiles(patchContent)
+    .map((file) => ({ filePath: file.filename, addedLines: listAddedLines(file.content), settings: normalized }))
+    .filter((file) => file.addedLines.length > 0);
+
+  return rules.flatMap((rule) => {
+    const findings = [];
+    for (const file of files) {
+      try {
+        rule.check(file).forEach((finding) => {
+          findings.push({
+            ruleId: rule.id,
+            ruleLabel: rule.label,
+            severity: rule.severity,
+            ...(rule.category ? { category: rule.category } : {}),
+            source: 'rule',
+            filePath: file.filePath,
+            ...finding
+          });
+        });
+      } catch (_) {
+        // A failing rule skips the file; the other rules still run
+      }
+    }
+    return findings.slice(0, MAX_FINDINGS_PER_RULE);
+  });
+}
+
+/**
+ * Add the static findings to a review. Severity-layout reviews get them in the issue lists; the
+ * scoring layout lists them under security issues (secrets) or best practices.
+ * @param {Object} review
+ * @param {Array<Object>} findings - runStaticRules() result
+ * @returns {Object} A new review object (the same one when there are no findings)
+ */
+export function mergeStaticFindings(review, findings) {
+  if (!review || !Array.isArray(findings) || findings.length === 0) return review;
+  const merged = { ...review };
+
+  if (review.reviewFormat === 'scoring') {
+    findings.forEach((finding) => {
+      const field = finding.ruleId === 'committed-secret' ? 'securityIssues' : 'bestPractices';
+      const location = `${finding.filePath}:${finding.startLine}`;
+      merged[field] = [...(merged[field] || []), `[${finding.ruleLabel}] ${finding.title} (${location}): ${finding.description}`];
+    });
+    return merged;
+  }
+
+  findings.forEach(({ severity, ...finding }) => {
+    const field = SEVERITY_FIELDS[severity];
+    merged[field] = [...(Array.isArray(merged[field]) ? merged[field] : []), finding];
+  });
+  return merged;
+}
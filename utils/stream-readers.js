@@ -0,0 +1,74 @@
+// stream-readers.js
+// Incremental readers for streamed model responses: Ollama answers with newline-delimited JSON,
+// OpenRouter (OpenAI-compatible) with server-sent events.
+
+/**
+ * Yield the lines of a fetch response body as they arrive (without the line terminator).
+ * Rejects with an AbortError when the request's signal is aborted mid-stream.
+ * @param {Response} response
+ */
+async function* readLines(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        yield line.replace(/\r$/, '');
+      }
+    }
+    buffer += decoder.decode();
+    if (buffer) {
+      yield buffer.replace(/\r$/, '');
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Read a newline-delimited JSON stream (Ollama /api/generate and /api/chat with stream: true).
+ * @param {Response} response
+ * @param {(object: Object) => void} onObject - Called with each parsed line
+ * @returns {Promise<void>}
+ */
+export async function readNdjsonStream(response, onObject) {
+  for await (const line of readLines(response)) {
+    if (line.trim()) {
+      onObject(JSON.parse(line));
+    }
+  }
+}
+
+/**
+ * Read a server-sent events stream (OpenAI-compatible chat completions with stream: true).
+ * Comment lines (keep-alives such as ": OPENROUTER PROCESSING") and fields other than data are skipped.
+ * @param {Response} response
+ * @param {(data: string) => void} onData - Called with the data of each event ("[DONE]" included)
+ * @returns {Promise<void>}
+ */
+export async function readSseStream(response, onData) {
+  let dataLines = [];
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onData(dataLines.join('\n'));
+      dataLines = [];
+    }
+  };
+
+  for await (const line of readLines(response)) {
+    if (line === '') {
+      dispatch();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+  dispatch();
+}
+
+export default { readNdjsonStream, readSseStream };
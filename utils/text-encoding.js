@@ -0,0 +1,15 @@
+// text-encoding.js
+// Decoding helpers for file contents returned by the platform REST APIs.
+
+/**
+ * Decode base64 file content (GitLab/GitHub file APIs) as UTF-8. Line breaks inside the
+ * base64 text are ignored.
+ * @param {string|null|undefined} content
+ * @returns {string|null}
+ */
+export function decodeBase64Content(content) {
+  if (typeof content !== 'string') return null;
+  const binary = atob(content.replace(/\s/g, ''));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}